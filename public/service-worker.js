@@ -0,0 +1,178 @@
+/**
+ * PkmnBindr service worker
+ * - Precaches the app shell and built bundles so the app opens without a
+ *   connection
+ * - Caches built assets, set/card JSON and card images as they are used
+ *
+ * Bump CACHE_VERSION to drop every cache on the next activation. Bundles
+ * of earlier builds are dropped from the asset cache on every activation.
+ */
+
+const CACHE_VERSION = "v1";
+const SHELL_CACHE = `pkmnbindr-shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `pkmnbindr-assets-${CACHE_VERSION}`;
+const DATA_CACHE = `pkmnbindr-data-${CACHE_VERSION}`;
+const IMAGE_CACHE = `pkmnbindr-images-${CACHE_VERSION}`;
+
+const CURRENT_CACHES = [SHELL_CACHE, ASSET_CACHE, DATA_CACHE, IMAGE_CACHE];
+
+const SHELL_FILES = ["/", "/index.html", "/manifest.json", "/logo.png"];
+
+// The hashed JS and CSS bundles of the build, so the app opens offline right
+// after install. Filled in by the precache plugin in vite.config.js; empty
+// in development.
+const BUILD_FILES = [];
+
+// Card images load without CORS, and browsers count every opaque response
+// against the storage quota at a padded size, so keep only the recent ones
+const MAX_IMAGE_ENTRIES = 600;
+
+const IMAGE_HOSTS = ["images.pokemontcg.io", "img.pkmnbindr.com"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => caches.open(ASSET_CACHE))
+      .then((cache) => cache.addAll(BUILD_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) =>
+                key.startsWith("pkmnbindr-") && !CURRENT_CACHES.includes(key)
+            )
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(pruneOldBundles)
+      .then(() => self.clients.claim())
+  );
+});
+
+// Drop the bundles of earlier builds; their hashed names never come back.
+// Nothing to compare against in development.
+const pruneOldBundles = async () => {
+  if (BUILD_FILES.length === 0) return;
+  const cache = await caches.open(ASSET_CACHE);
+  const keys = await cache.keys();
+  await Promise.all(
+    keys
+      .filter((request) => {
+        const { pathname } = new URL(request.url);
+        return (
+          pathname.startsWith("/assets/") &&
+          /\.(js|css)$/.test(pathname) &&
+          !BUILD_FILES.includes(pathname)
+        );
+      })
+      .map((request) => cache.delete(request))
+  );
+};
+
+// Drop the oldest entries once a cache grows past its limit
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  if (keys.length <= maxEntries) return;
+  await Promise.all(
+    keys.slice(0, keys.length - maxEntries).map((key) => cache.delete(key))
+  );
+};
+
+// Network first, cached copy when offline (page loads)
+const networkFirst = async (request, cacheName, fallbackUrl = null) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(fallbackUrl || request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Cached copy first, network only on a miss (hashed assets, card images)
+const cacheFirst = async (request, cacheName, maxEntries = null) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  // Opaque copies can't answer CORS requests (e.g. images drawn to a canvas)
+  if (cached && (cached.type !== "opaque" || request.mode === "no-cors")) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  // Cross-origin images without CORS come back opaque (status 0)
+  if (response.ok || response.type === "opaque") {
+    await cache.put(request, response.clone());
+    if (maxEntries) trimCache(cacheName, maxEntries);
+  }
+  return response;
+};
+
+// Cached copy right away, refreshed in the background (catalog JSON)
+const staleWhileRevalidate = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch((error) => {
+      if (!cached) throw error;
+      return cached;
+    });
+
+  return cached || refresh;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  // App navigation: serve the shell when offline so client routing works
+  if (request.mode === "navigate" && url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request, SHELL_CACHE, "/index.html"));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith("/assets/")) {
+      event.respondWith(cacheFirst(request, ASSET_CACHE));
+      return;
+    }
+
+    if (url.pathname.startsWith("/data/") && url.pathname.endsWith(".json")) {
+      event.respondWith(staleWhileRevalidate(request, DATA_CACHE));
+      return;
+    }
+
+    if (url.pathname.startsWith("/icons/")) {
+      event.respondWith(cacheFirst(request, ASSET_CACHE));
+    }
+    return;
+  }
+
+  if (IMAGE_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+  }
+});
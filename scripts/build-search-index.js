@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/*
+  Build the full-text search index of a local card catalog.
+
+  Usage:
+    node scripts/build-search-index.js [lang]
+
+  - lang defaults to "en"; reads the catalog generated by clone-pokemontcg.js
+    from `public/data/<lang>/sets/sets.json` and `public/data/<lang>/cards/`.
+  - Writes `public/data/<lang>/search-index.json`, which the card search
+    worker loads to search names, attacks, abilities, rules and flavor text.
+  - Run it again whenever the catalog changes.
+*/
+
+import fs from "fs/promises";
+import path from "path";
+import process from "process";
+import { buildSearchIndex } from "../src/utils/searchIndex.js";
+
+async function main() {
+  const lang = process.argv[2] || "en";
+  const langDir = path.resolve("public", "data", lang);
+  const setsPath = path.join(langDir, "sets", "sets.json");
+
+  let sets;
+  try {
+    sets = JSON.parse(await fs.readFile(setsPath, "utf8"));
+  } catch (err) {
+    console.error(`❌ Failed to read the sets of "${lang}" at ${setsPath}`);
+    console.error(err);
+    process.exit(1);
+  }
+
+  // Same card order as the app's per-set fallback
+  const cards = [];
+  for (const set of sets) {
+    const file = path.join(langDir, "cards", `${set.id}.json`);
+    try {
+      cards.push(...JSON.parse(await fs.readFile(file, "utf8")));
+    } catch {
+      console.warn(`⚠️  Skipping missing or invalid card file: ${set.id}`);
+    }
+  }
+
+  const index = buildSearchIndex(cards, lang);
+  const outPath = path.join(langDir, "search-index.json");
+  await fs.writeFile(outPath, JSON.stringify(index));
+
+  const { size } = await fs.stat(outPath);
+  console.log(
+    `🏁 Indexed ${cards.length} cards (${
+      Object.keys(index.terms).length
+    } words) into ${outPath} (${(size / 1024 / 1024).toFixed(1)} MB)`
+  );
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,5 +1,6 @@
 import fs from "fs";
 import path from "path";
+import process from "process";
 import { fileURLToPath } from "url";
 import chalk from "chalk";
 import ora from "ora";
@@ -15,15 +16,34 @@ const __dirname = path.dirname(__filename);
 const API_BASE = "https://api.pokemontcg.io/v2";
 const API_KEY = process.env.POKEMONTCG_API_KEY || "";
 
-// Where to put downloaded data
+/**
+ * Command line options
+ *   --lang <code>    Catalog language to generate (default: en)
+ *   --source <dir>   Build the catalog from a local copy instead of the API,
+ *                    laid out like the pokemon-tcg-data repository:
+ *                    <dir>/sets/<lang>.json and <dir>/cards/<lang>/<setId>.json
+ *                    (<dir>/sets.json and <dir>/cards/<setId>.json also work)
+ * The API only serves English, so other languages need --source.
+ */
+function parseArgs(argv) {
+  const options = { lang: "en", source: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--lang") options.lang = argv[++i];
+    else if (argv[i] === "--source") options.source = argv[++i];
+  }
+  return options;
+}
+
+const OPTIONS = parseArgs(process.argv.slice(2));
+
+// Where to put generated data (read by the app from /data/<lang>/...)
 const PUBLIC_DIR = path.resolve(__dirname, "..", "public");
+const DATA_DIR = path.join(PUBLIC_DIR, "data");
+const LANG_DIR = path.join(DATA_DIR, OPTIONS.lang);
 const DIRS = {
-  cards: path.join(PUBLIC_DIR, "cards", "en"),
-  sets: path.join(PUBLIC_DIR, "sets"),
-  types: path.join(PUBLIC_DIR, "types"),
-  subtypes: path.join(PUBLIC_DIR, "subtypes"),
-  supertypes: path.join(PUBLIC_DIR, "supertypes"),
-  rarities: path.join(PUBLIC_DIR, "rarities"),
+  cards: path.join(LANG_DIR, "cards"),
+  sets: path.join(LANG_DIR, "sets"),
+  metadata: path.join(LANG_DIR, "metadata"),
 };
 
 // Ensure directories exist
@@ -92,7 +112,7 @@ async function downloadReference(name) {
   const res = await fetchWithRetry(`${API_BASE}/${name}`);
   const json = await res.json();
   fs.writeFileSync(
-    path.join(DIRS[name], `${name}.json`),
+    path.join(DIRS.metadata, `${name}.json`),
     JSON.stringify(json.data ?? json, null, 2)
   );
 }
@@ -108,7 +128,142 @@ async function downloadCardsBySet(setId) {
   console.log(`Saved ${cards.length} cards for set ${setId}`);
 }
 
-async function main() {
+/**
+ * Local source: build the catalog of a language from JSON files on disk.
+ */
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function findExisting(candidates) {
+  return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+}
+
+// Sorted unique values of a card field, for the filter metadata files
+function collectValues(cards, getValues) {
+  const values = new Set();
+  cards.forEach((card) => {
+    [].concat(getValues(card) || []).forEach((value) => {
+      if (value) values.add(value);
+    });
+  });
+  return [...values].sort((a, b) => a.localeCompare(b));
+}
+
+async function buildFromSource(source, lang) {
+  const sourceDir = path.resolve(source);
+  const setsFile = findExisting([
+    path.join(sourceDir, "sets", `${lang}.json`),
+    path.join(sourceDir, "sets.json"),
+  ]);
+  const cardsDir = findExisting([
+    path.join(sourceDir, "cards", lang),
+    path.join(sourceDir, "cards"),
+  ]);
+  if (!setsFile || !cardsDir) {
+    throw new Error(
+      `No sets file or cards folder for "${lang}" found in ${sourceDir}`
+    );
+  }
+
+  const sets = readJson(setsFile);
+  fs.writeFileSync(
+    path.join(DIRS.sets, "sets.json"),
+    JSON.stringify(sets, null, 2)
+  );
+  console.log(chalk.green(`Copied ${sets.length} sets`));
+
+  const progress = new cliProgress.SingleBar(
+    {
+      format: `${chalk.blue(
+        "{bar}"
+      )} {percentage}% | {value}/{total} sets | {setId}`,
+      hideCursor: true,
+    },
+    cliProgress.Presets.shades_classic
+  );
+  progress.start(sets.length, 0, { setId: "" });
+
+  const allCards = [];
+  const missing = [];
+  for (const set of sets) {
+    progress.update(progress.value, { setId: set.id });
+    const cardsFile = path.join(cardsDir, `${set.id}.json`);
+    if (!fs.existsSync(cardsFile)) {
+      missing.push(set.id);
+      progress.increment();
+      continue;
+    }
+
+    // The app expects every card to carry its set, like the API returns it
+    const { id, name, series, printedTotal, total, releaseDate, images } = set;
+    const cards = readJson(cardsFile).map((card) => ({
+      ...card,
+      set: card.set || {
+        id,
+        name,
+        series,
+        printedTotal,
+        total,
+        releaseDate,
+        images,
+      },
+      language: lang,
+    }));
+    fs.writeFileSync(
+      path.join(DIRS.cards, `${set.id}.json`),
+      JSON.stringify(cards, null, 2)
+    );
+    allCards.push(...cards);
+    progress.increment();
+  }
+  progress.stop();
+
+  if (missing.length > 0) {
+    console.warn(
+      chalk.yellow(
+        `No card file for ${missing.length} sets: ${missing.join(", ")}`
+      )
+    );
+  }
+
+  // Filter options come from the cards, so they use the catalog's own names
+  const metadata = {
+    types: collectValues(allCards, (card) => card.types),
+    subtypes: collectValues(allCards, (card) => card.subtypes),
+    supertypes: collectValues(allCards, (card) => card.supertype),
+    rarities: collectValues(allCards, (card) => card.rarity),
+  };
+  Object.entries(metadata).forEach(([name, values]) => {
+    fs.writeFileSync(
+      path.join(DIRS.metadata, `${name}.json`),
+      JSON.stringify(values, null, 2)
+    );
+  });
+  console.log(chalk.green(`Saved ${allCards.length} ${lang} cards`));
+}
+
+/**
+ * Rewrite public/data/languages.json with every generated catalog.
+ */
+function writeLanguageIndex() {
+  const languages = fs
+    .readdirSync(DATA_DIR, { withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isDirectory() &&
+        fs.existsSync(path.join(DATA_DIR, entry.name, "sets", "sets.json"))
+    )
+    .map((entry) => entry.name)
+    .sort((a, b) => (a === "en" ? -1 : b === "en" ? 1 : a.localeCompare(b)));
+  fs.writeFileSync(
+    path.join(DATA_DIR, "languages.json"),
+    JSON.stringify(languages, null, 2) + "\n"
+  );
+  console.log(chalk.green(`Catalog languages: ${languages.join(", ")}`));
+}
+
+async function downloadFromApi() {
   // 1) Fetch list of sets
   const setsSpinner = ora({
     text: "Fetching set list…",
@@ -149,7 +304,26 @@ async function main() {
     progress.increment();
   }
   progress.stop();
+}
+
+async function main() {
+  if (OPTIONS.source) {
+    await buildFromSource(OPTIONS.source, OPTIONS.lang);
+  } else if (OPTIONS.lang !== "en") {
+    throw new Error(
+      `The API only has English cards; pass --source to build "${OPTIONS.lang}"`
+    );
+  } else {
+    await downloadFromApi();
+  }
+
+  writeLanguageIndex();
   console.log(chalk.green("All done."));
+  console.log(
+    chalk.gray(
+      `Rebuild the search index with: npm run build:search-index -- ${OPTIONS.lang}`
+    )
+  );
 }
 
 main().catch((e) => {
@@ -30,6 +30,12 @@ import AdminPage from "./pages/AdminPage";
 import BinderViewer from "./components/admin/BinderViewer";
 import PublicBinderViewPage from "./pages/PublicBinderViewPage";
 import SharedBinderPage from "./pages/SharedBinderPage";
+import SharedWantListPage from "./pages/SharedWantListPage";
+import WantListPage from "./pages/WantListPage";
+import ArtistsPage from "./pages/ArtistsPage";
+import ArtistPage from "./pages/ArtistPage";
+import CollectionProgressPage from "./pages/CollectionProgressPage";
+import DuplicatesPage from "./pages/DuplicatesPage";
 import LoginPage from "./pages/auth/LoginPage";
 import RegisterPage from "./pages/auth/RegisterPage";
 import ForgotPasswordPage from "./pages/auth/ForgotPasswordPage";
@@ -131,6 +137,10 @@ const App = () => {
                       path="share/:shareToken"
                       element={<SharedBinderPage />}
                     />
+                    <Route
+                      path="share/wants/:shareToken"
+                      element={<SharedWantListPage />}
+                    />
 
                     {/* Public Routes */}
                     <Route path="/" element={<RootLayout />}>
@@ -141,6 +151,17 @@ const App = () => {
                         element={<StaticBinderPage />}
                       />
                       <Route path="binder/:id" element={<BinderPage />} />
+                      <Route path="wants" element={<WantListPage />} />
+                      <Route
+                        path="progress"
+                        element={<CollectionProgressPage />}
+                      />
+                      <Route path="duplicates" element={<DuplicatesPage />} />
+                      <Route path="artists" element={<ArtistsPage />} />
+                      <Route
+                        path="artists/:artistName"
+                        element={<ArtistPage />}
+                      />
                       <Route
                         path="binder"
                         element={<Navigate to="/binders" replace />}
@@ -0,0 +1,11 @@
+import { atom } from "jotai";
+import { CONDITION_FILTERS } from "../utils/cardCondition";
+
+// Condition filter of the binder view (see matchesConditionFilter in cardCondition).
+// "all" shows every card; other values dim the cards that don't match.
+// Not persisted, so a binder never opens with cards unexpectedly dimmed.
+export const conditionFilterAtom = atom(CONDITION_FILTERS.ALL);
+
+// Card position highlighted in the binder view, e.g. after opening a binder
+// from "Find in my binders". null when nothing is highlighted.
+export const highlightedPositionAtom = atom(null);
@@ -0,0 +1,20 @@
+import { atomWithStorage } from "jotai/utils";
+import {
+  DEFAULT_PRICE_SOURCE,
+  PRICE_SOURCE_STORAGE_KEY,
+} from "../utils/cardValuation";
+
+// Which catalog price is used to value cards (see PRICE_SOURCES in cardValuation).
+export const priceSourceAtom = atomWithStorage(
+  PRICE_SOURCE_STORAGE_KEY,
+  DEFAULT_PRICE_SOURCE
+);
+
+// How values are displayed.
+// currency      – "auto" keeps the source's own currency (USD / EUR)
+// exchangeRates – multiplier per currency pair, keyed "USD->EUR"
+//                 (see getExchangeRateKey in cardValuation)
+export const priceDisplayAtom = atomWithStorage("priceDisplay", {
+  currency: "auto",
+  exchangeRates: {},
+});
@@ -4,9 +4,16 @@ import {
   XMarkIcon,
   FunnelIcon,
   ArrowPathIcon,
+  QuestionMarkCircleIcon,
+  ExclamationTriangleIcon,
 } from "@heroicons/react/24/outline";
 import useCardSearch from "../hooks/useCardSearch";
 import PokemonCard from "./PokemonCard";
+import WantListButton from "./wantlist/WantListButton";
+import LanguageSelect from "./ui/LanguageSelect";
+import OwnedBadge from "./inventory/OwnedBadge";
+import useInventory from "../hooks/useInventory";
+import { CARD_QUERY_EXAMPLES } from "../utils/cardQuery";
 import { ChevronDown } from "lucide-react";
 
 // Search filters component
@@ -186,6 +193,7 @@ const CardSearch = ({ onCardSelect, selectedCards = [], className = "" }) => {
     searchQuery,
     filters,
     orderBy,
+    language,
     cards,
     totalCount,
     hasMore,
@@ -204,10 +212,15 @@ const CardSearch = ({ onCardSelect, selectedCards = [], className = "" }) => {
     updateFilter,
     updateSearchQuery,
     setOrderBy,
+    setLanguage,
     hasActiveFilters,
+    queryErrors,
     isEmpty,
     showFeatured,
   } = useCardSearch();
+  const { getOwnedCopies } = useInventory();
+
+  const [showSyntaxHelp, setShowSyntaxHelp] = useState(false);
 
   const [quickSearches] = useState([
     "Charizard",
@@ -248,6 +261,11 @@ const CardSearch = ({ onCardSelect, selectedCards = [], className = "" }) => {
     searchByPokemon(pokemonName);
   };
 
+  const handleExampleClick = (query) => {
+    updateSearchQuery(query);
+    searchInputRef.current?.focus();
+  };
+
   const handleFilterChange = (filterName, value) => {
     updateFilter(filterName, value);
   };
@@ -281,7 +299,7 @@ const CardSearch = ({ onCardSelect, selectedCards = [], className = "" }) => {
               type="text"
               value={searchQuery}
               onChange={(e) => updateSearchQuery(e.target.value)}
-              placeholder="Search for Pokemon cards..."
+              placeholder="Search cards, e.g. charizard or types:fire hp>=120"
               className="w-full pl-10 pr-12 py-3 border border-slate-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
             />
             {searchQuery && (
@@ -294,8 +312,53 @@ const CardSearch = ({ onCardSelect, selectedCards = [], className = "" }) => {
               </button>
             )}
           </div>
+          {queryErrors.length > 0 && (
+            <div className="flex items-center gap-1.5 mt-2 text-sm text-amber-700 dark:text-amber-400">
+              <ExclamationTriangleIcon className="w-4 h-4 flex-shrink-0" />
+              <span>{queryErrors.join(" · ")} - that part is ignored</span>
+            </div>
+          )}
         </form>
 
+        {/* Search syntax help */}
+        <div className="mb-4">
+          <button
+            type="button"
+            onClick={() => setShowSyntaxHelp(!showSyntaxHelp)}
+            className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:underline"
+          >
+            <QuestionMarkCircleIcon className="w-4 h-4" />
+            {showSyntaxHelp ? "Hide search syntax" : "Search syntax"}
+          </button>
+          {showSyntaxHelp && (
+            <div className="mt-2 p-3 rounded-lg bg-slate-50 dark:bg-gray-700/50 border border-slate-200 dark:border-gray-600">
+              <p className="text-sm text-slate-600 dark:text-slate-400 mb-2">
+                Plain words search card names, attacks, abilities and card text,
+                and small typos are fine. Combine field filters with spaces (all
+                must match), OR and parentheses. Prefix a filter with - to
+                exclude it. Click an example to try it.
+              </p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-1">
+                {CARD_QUERY_EXAMPLES.map((example) => (
+                  <button
+                    key={example.query}
+                    type="button"
+                    onClick={() => handleExampleClick(example.query)}
+                    className="flex items-center justify-between gap-2 px-2 py-1 rounded text-left hover:bg-slate-100 dark:hover:bg-gray-600"
+                  >
+                    <code className="text-sm text-slate-800 dark:text-slate-200">
+                      {example.query}
+                    </code>
+                    <span className="text-xs text-slate-500 dark:text-slate-400">
+                      {example.description}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
         {/* Quick searches */}
         <div className="flex flex-wrap gap-2 mb-4">
           <span className="text-sm text-slate-600 dark:text-slate-400 mr-2">
@@ -330,6 +393,7 @@ const CardSearch = ({ onCardSelect, selectedCards = [], className = "" }) => {
                 <option value="hp">HP Low-High</option>
               </select>
             </div>
+            <LanguageSelect value={language} onChange={setLanguage} />
           </div>
 
           {totalCount > 0 && (
@@ -418,7 +482,16 @@ const CardSearch = ({ onCardSelect, selectedCards = [], className = "" }) => {
                     className={
                       isCardSelected(card.id) ? "ring-2 ring-blue-500" : ""
                     }
-                  />
+                  >
+                    <WantListButton
+                      card={card}
+                      className="absolute top-1 right-1"
+                    />
+                    <OwnedBadge
+                      ownership={getOwnedCopies(card)}
+                      className="absolute bottom-1 left-1"
+                    />
+                  </PokemonCard>
                 ))}
               </div>
             )}
@@ -443,7 +516,16 @@ const CardSearch = ({ onCardSelect, selectedCards = [], className = "" }) => {
                   className={
                     isCardSelected(card.id) ? "ring-2 ring-blue-500" : ""
                   }
-                />
+                >
+                  <WantListButton
+                    card={card}
+                    className="absolute top-1 right-1"
+                  />
+                  <OwnedBadge
+                    ownership={getOwnedCopies(card)}
+                    className="absolute bottom-1 left-1"
+                  />
+                </PokemonCard>
               ))}
             </div>
 
@@ -2,6 +2,8 @@ import { useState, forwardRef } from "react";
 import PropTypes from "prop-types";
 import { Check, EyeOff, Trash2 } from "lucide-react";
 import { MagnifyingGlassPlusIcon } from "@heroicons/react/24/outline";
+import { getConditionBadge } from "../utils/cardCondition";
+import { DEFAULT_LANGUAGE, getLanguageInfo } from "../utils/cardLanguages";
 
 // Loading placeholder component
 const CardLoadingScreen = () => (
@@ -165,6 +167,16 @@ const PokemonCard = forwardRef(
       card.binderMetadata?.reverseHolo || 
       false;
 
+    // Grade of slabbed cards, condition of played raw cards
+    const conditionBadge = getConditionBadge(card.binderMetadata);
+
+    // Only non-English printings are marked
+    const language = card.binderMetadata?.language || card.language;
+    const languageBadge =
+      language && language !== DEFAULT_LANGUAGE
+        ? getLanguageInfo(language)
+        : null;
+
     return (
       <div
         ref={ref}
@@ -326,6 +338,30 @@ const PokemonCard = forwardRef(
           </div>
         )}
 
+        {/* Condition / Grading Badge */}
+        {conditionBadge && showDetails && imageLoaded && (
+          <div
+            className={`absolute bottom-1 left-1 text-white text-[10px] font-bold px-1.5 py-0.5 rounded shadow-lg pointer-events-none ${
+              conditionBadge.type === "graded"
+                ? "bg-gradient-to-r from-amber-500 to-yellow-500"
+                : "bg-slate-700/90"
+            }`}
+            title={conditionBadge.title}
+          >
+            {conditionBadge.label}
+          </div>
+        )}
+
+        {/* Language Badge */}
+        {languageBadge && showDetails && imageLoaded && (
+          <div
+            className="absolute bottom-1 right-1 bg-sky-600/90 text-white text-[10px] font-bold px-1.5 py-0.5 rounded shadow-lg pointer-events-none"
+            title={languageBadge.label}
+          >
+            {languageBadge.short}
+          </div>
+        )}
+
         {/* Action buttons on hover - Outside the drag handle area */}
         {(showDeleteButton || showMissingButton) && imageLoaded && (
           <div className="absolute bottom-0 left-0 right-0 translate-y-full hover:translate-y-0 transition-transform duration-200 group-hover:translate-y-0 z-10">
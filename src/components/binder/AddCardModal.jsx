@@ -10,16 +10,19 @@ import {
   CubeTransparentIcon,
 } from "@heroicons/react/24/outline";
 import { useBinderContext } from "../../contexts/BinderContext";
-import { getGridConfig } from "../../hooks/useBinderDimensions";
+import { getGridConfig } from "../../utils/binderGrids";
 import { toast } from "react-hot-toast";
 import SingleCardTab from "./SingleCardTab";
 import SetTab from "./SetTab";
 import SleevesTab from "./SleevesTab";
+import ImportTab from "./ImportTab";
+import LivingDexTab from "./LivingDexTab";
 import SelectedCardsSidebar from "./SelectedCardsSidebar";
 import { useAtom } from "jotai";
 import { modalModeAtom } from "../../atoms/addCardModalAtoms";
 import useCardSearch from "../../hooks/useCardSearch";
 import useBinderLimits from "../../hooks/useBinderLimits";
+import { getBinderLanguage } from "../../utils/cardLanguages";
 
 const AddCardModal = ({
   isOpen,
@@ -41,8 +44,9 @@ const AddCardModal = ({
   const [filtersOpen, setFiltersOpen] = useState(false);
   const [isSelectAllLoading, setIsSelectAllLoading] = useState(false);
 
-  const cardSearch = useCardSearch();
-  const { fetchAllCards, totalCount } = cardSearch;
+  const binderLanguage = getBinderLanguage(currentBinder);
+  const cardSearch = useCardSearch({ initialLanguage: binderLanguage });
+  const { fetchAllCards, totalCount, setLanguage } = cardSearch;
   const MAX_SELECT_ALL = 250;
 
   // Binder limits
@@ -61,6 +65,13 @@ const AddCardModal = ({
     }
   }, [isOpen]);
 
+  // Search the binder's default language each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setLanguage(binderLanguage);
+    }
+  }, [isOpen, binderLanguage, setLanguage]);
+
   const handleClearCard = (card) => {
     setSelectedCardsMap((prev) => {
       const newMap = { ...prev };
@@ -307,7 +318,8 @@ const AddCardModal = ({
     cards,
     isReplacement = false,
     startPosition = null,
-    shouldShift = false
+    shouldShift = false,
+    metadata = {}
   ) => {
     if (!currentBinder || !Array.isArray(cards) || cards.length === 0) return;
 
@@ -344,7 +356,7 @@ const AddCardModal = ({
         currentBinder.id,
         cards,
         addPosition,
-        {},
+        metadata,
         isReplacement
       );
     } catch (error) {
@@ -353,6 +365,18 @@ const AddCardModal = ({
     }
   };
 
+  // Set and living dex layouts hold cards the user doesn't own yet, so they
+  // leave the want list alone
+  const handleAddLayoutCards = (
+    cards,
+    isReplacement,
+    startPosition,
+    shouldShift
+  ) =>
+    handleAddCards(cards, isReplacement, startPosition, shouldShift, {
+      checkOffWantList: false,
+    });
+
   const isCardSelected = (cardId) => {
     return !!selectedCardsMap[cardId];
   };
@@ -601,6 +625,42 @@ const AddCardModal = ({
                             </button>
                           )}
                         </Tab>
+                        {/* Hide CSV import in compact mode */}
+                        {!isCompact && (
+                          <Tab as={Fragment}>
+                            {({ selected }) => (
+                              <button
+                                className={`w-full rounded-lg py-2 text-sm font-medium leading-5 transition-all duration-200 ease-in-out focus:outline-none ring-white/60 focus:ring-2
+                                 ${
+                                   selected
+                                     ? "bg-white dark:bg-slate-800 shadow text-blue-700 dark:text-blue-400"
+                                     : "text-slate-600 dark:text-slate-400 hover:bg-white/[0.5] dark:hover:bg-slate-800/[0.5]"
+                                 }
+                               `}
+                              >
+                                Import
+                              </button>
+                            )}
+                          </Tab>
+                        )}
+                        {/* Hide Living Dex in compact mode */}
+                        {!isCompact && (
+                          <Tab as={Fragment}>
+                            {({ selected }) => (
+                              <button
+                                className={`w-full rounded-lg py-2 text-sm font-medium leading-5 transition-all duration-200 ease-in-out focus:outline-none ring-white/60 focus:ring-2
+                                 ${
+                                   selected
+                                     ? "bg-white dark:bg-slate-800 shadow text-blue-700 dark:text-blue-400"
+                                     : "text-slate-600 dark:text-slate-400 hover:bg-white/[0.5] dark:hover:bg-slate-800/[0.5]"
+                                 }
+                               `}
+                              >
+                                Living Dex
+                              </button>
+                            )}
+                          </Tab>
+                        )}
                       </Tab.List>
                     </div>
                     <Tab.Panels className="flex-1 min-h-0 pt-2">
@@ -634,7 +694,7 @@ const AddCardModal = ({
                           >
                             <SetTab
                               currentBinder={currentBinder}
-                              onAddCards={handleAddCards}
+                              onAddCards={handleAddLayoutCards}
                               onSetAdded={onClose}
                             />
                           </div>
@@ -656,28 +716,61 @@ const AddCardModal = ({
                           />
                         </div>
                       </Tab.Panel>
+                      {/* CSV import panel hidden in compact */}
+                      {!isCompact && (
+                        <Tab.Panel className="h-full">
+                          <div
+                            className={`h-full ${isMobileScreen ? "pb-0" : ""}`}
+                          >
+                            <ImportTab
+                              currentBinder={currentBinder}
+                              onAddCards={handleAddCards}
+                              cardRemaining={cardRemaining}
+                              onImported={onClose}
+                            />
+                          </div>
+                        </Tab.Panel>
+                      )}
+                      {/* Living dex panel hidden in compact */}
+                      {!isCompact && (
+                        <Tab.Panel className="h-full">
+                          <div
+                            className={`h-full ${isMobileScreen ? "pb-0" : ""}`}
+                          >
+                            <LivingDexTab
+                              currentBinder={currentBinder}
+                              onAddCards={handleAddLayoutCards}
+                              onDexAdded={onClose}
+                            />
+                          </div>
+                        </Tab.Panel>
+                      )}
                     </Tab.Panels>
                   </Tab.Group>
 
                   {/* Selected Items Sidebar - for desktop only */}
-                  {!isCompact && !isMobileScreen && activeTab !== 1 && (
-                    <SelectedCardsSidebar
-                      selectedMap={selectedCardsMap}
-                      onIncrease={handleIncrease}
-                      onDecrease={handleDecrease}
-                      onClearCard={handleClearCard}
-                      onClearAll={handleClearAll}
-                      handlePrimaryAddAction={handlePrimaryAddAction}
-                      addToPage={addToPage}
-                      setAddToPage={setAddToPage}
-                      exceedsLimit={exceedsLimit}
-                      cardRemaining={cardRemaining}
-                      selectedTotalCount={selectedTotalCount}
-                      isAdding={isAdding}
-                      isAddingToPage={isAddingToPage}
-                      activeTab={activeTab}
-                    />
-                  )}
+                  {!isCompact &&
+                    !isMobileScreen &&
+                    activeTab !== 1 &&
+                    activeTab !== 3 &&
+                    activeTab !== 4 && (
+                      <SelectedCardsSidebar
+                        selectedMap={selectedCardsMap}
+                        onIncrease={handleIncrease}
+                        onDecrease={handleDecrease}
+                        onClearCard={handleClearCard}
+                        onClearAll={handleClearAll}
+                        handlePrimaryAddAction={handlePrimaryAddAction}
+                        addToPage={addToPage}
+                        setAddToPage={setAddToPage}
+                        exceedsLimit={exceedsLimit}
+                        cardRemaining={cardRemaining}
+                        selectedTotalCount={selectedTotalCount}
+                        isAdding={isAdding}
+                        isAddingToPage={isAddingToPage}
+                        activeTab={activeTab}
+                      />
+                    )}
                 </div>
 
                 {/* Floating Footer for Mobile - Hidden in compact mode */}
@@ -735,8 +828,10 @@ const AddCardModal = ({
                           </div>
                         )}
 
-                        {activeTab === 1 && (
-                          /* Footer for sets tab */
+                        {(activeTab === 1 ||
+                          activeTab === 3 ||
+                          activeTab === 4) && (
+                          /* Footer for sets, import and living dex tabs */
                           <div className="p-3">
                             <div className="flex justify-center">
                               <button
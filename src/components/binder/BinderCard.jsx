@@ -11,9 +11,11 @@ import {
   PencilIcon,
   HeartIcon,
   BookmarkIcon,
+  UserGroupIcon,
 } from "@heroicons/react/24/outline";
 // import { BinderInteractionService } from "../../services/BinderInteractionService";  // Disabled
 import { useBinderCardCustomization } from "../../contexts/BinderCardCustomizationContext";
+import { isGradedEntry } from "../../utils/cardCondition";
 
 const BinderCard = ({
   binder,
@@ -32,6 +34,7 @@ const BinderCard = ({
   onTogglePublic,
   onClaim,
   onCustomize,
+  onManageCollaborators,
   // Helper functions
   getBinderStatus,
   getStatusIcon,
@@ -48,6 +51,8 @@ const BinderCard = ({
   // Cached data to prevent Firebase requests
   cachedInteractionStats = null,
   cachedCustomization = null,
+  // Formatted collection value (optional)
+  binderValue = null,
 }) => {
   const [showDropdown, setShowDropdown] = useState(false);
   const [interactionStats, setInteractionStats] = useState({
@@ -73,6 +78,9 @@ const BinderCard = ({
   const isGuestBinder = status === "guest";
   const isGuestBinderInaccessible = isGuestBinder && user;
   const cardCount = Object.keys(binder.cards || {}).length;
+  const gradedCount = Object.values(binder.cards || {}).filter(
+    isGradedEntry
+  ).length;
 
   // Generate gradient colors based on binder ID
   const colorIndex =
@@ -240,6 +248,14 @@ const BinderCard = ({
     setShowDropdown(false);
   };
 
+  const handleCollaboratorsClick = (e) => {
+    e.stopPropagation();
+    if (onManageCollaborators) {
+      onManageCollaborators(binder);
+    }
+    setShowDropdown(false);
+  };
+
   const handleDropdownClick = (e) => {
     e.stopPropagation();
     setShowDropdown(!showDropdown);
@@ -303,6 +319,21 @@ const BinderCard = ({
               <span className="text-white text-xs font-medium opacity-90">
                 {cardCount} cards
               </span>
+              {binderValue && (
+                <span className="text-white text-xs font-semibold opacity-90">
+                  • {binderValue}
+                </span>
+              )}
+              {gradedCount > 0 && (
+                <span
+                  className="px-1.5 py-0.5 bg-amber-400/90 text-amber-950 text-[10px] font-bold rounded"
+                  title={`${gradedCount} graded ${
+                    gradedCount === 1 ? "card" : "cards"
+                  }`}
+                >
+                  {gradedCount} graded
+                </span>
+              )}
             </div>
 
             {/* Dropdown Menu */}
@@ -351,6 +382,17 @@ const BinderCard = ({
                         Customize
                       </button>
 
+                      {/* Collaborators Button */}
+                      {onManageCollaborators && (
+                        <button
+                          onClick={handleCollaboratorsClick}
+                          className="w-full px-4 py-2 text-left text-sm hover:bg-accent dark:hover:bg-gray-700 flex items-center gap-2 text-gray-700 dark:text-gray-300"
+                        >
+                          <UserGroupIcon className="w-4 h-4 text-secondary dark:text-gray-400" />
+                          Collaborators
+                        </button>
+                      )}
+
                       {/* Delete Button */}
                       {showDeleteButton && (
                         <>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import PropTypes from "prop-types";
 import { toast } from "react-hot-toast";
 import BinderCore from "./BinderCore";
@@ -13,15 +13,15 @@ import useBinderDimensions from "../../hooks/useBinderDimensions";
 import useBinderNavigation from "../../hooks/useBinderNavigation";
 import useBinderDragDrop from "../../hooks/useBinderDragDrop";
 import useBinderModals from "../../hooks/useBinderModals";
+import useBinderHistory from "../../hooks/useBinderHistory";
 import { useBinderContext } from "../../contexts/BinderContext";
 import { useSelection } from "../../contexts/selection";
 import { Button } from "../ui/Button";
-import { pdfExportService } from "../../services/PdfExportService";
 import { Settings } from "lucide-react";
 import { useTheme } from "../../contexts/ThemeContext";
 import { getThemeAwareBinderColor } from "../../utils/themeUtils";
 import FloatingSyncControls from "./FloatingSyncControls";
-import { getGridConfig } from "../../hooks/useBinderDimensions";
+import { getGridConfig } from "../../utils/binderGrids";
 
 /**
  * Default feature configuration for different modes
@@ -43,6 +43,7 @@ const DEFAULT_FEATURES = {
     pageManagement: true,
     sorting: true,
     autoSort: true,
+    history: true,
   },
   readonly: {
     toolbar: false,
@@ -60,6 +61,7 @@ const DEFAULT_FEATURES = {
     pageManagement: false,
     sorting: false,
     autoSort: false,
+    history: false,
   },
   admin: {
     toolbar: true,
@@ -77,6 +79,7 @@ const DEFAULT_FEATURES = {
     pageManagement: false,
     sorting: false,
     autoSort: false,
+    history: false,
   },
   preview: {
     toolbar: false,
@@ -94,6 +97,7 @@ const DEFAULT_FEATURES = {
     pageManagement: false,
     sorting: false,
     autoSort: false,
+    history: false,
   },
 };
 
@@ -107,6 +111,7 @@ const DEFAULT_FEATURES = {
  * @param {Object} props.features - Feature flags to override default mode settings
  * @param {Object} props.binderContext - Optional binder context override
  * @param {number} props.initialPage - Initial page to display
+ * @param {number} props.focusPosition - Card position whose page to open
  * @param {Function} props.onBinderChange - Callback when binder data changes
  * @param {Function} props.onCardClick - Callback when card is clicked
  * @param {Function} props.onCardDelete - Callback when card is deleted
@@ -123,6 +128,7 @@ export const BinderContainer = ({
   features: featureOverrides = {},
   binderContext,
   initialPage = 0,
+  focusPosition = null,
   onBinderChange,
   onCardClick,
   onCardDelete,
@@ -141,7 +147,25 @@ export const BinderContainer = ({
   showQRCode = false,
   onToggleQRCode = null,
 }) => {
-  // Early return check - must be before any hooks
+  // Merge default features with overrides
+  const features = { ...DEFAULT_FEATURES[mode], ...featureOverrides };
+
+  // Use external binder context or internal hook
+  const defaultContext = useBinderContext();
+  const contextValue = binderContext || defaultContext;
+
+  // Undo / redo (Ctrl+Z / Ctrl+Shift+Z), also usable from the history panel.
+  // It has to run before the early return, ahead of the modal state, so the
+  // open-modal check is read from a ref set once that state exists.
+  const isModalsOpenRef = useRef(false);
+  const binderHistory = useBinderHistory({
+    binder,
+    binderContext: contextValue,
+    isModalsOpenRef,
+    enabled: features.history,
+  });
+
+  // Early return check - must be before any other hooks
   if (!binder) {
     if (!showNoBinderMessage) {
       return null;
@@ -159,24 +183,19 @@ export const BinderContainer = ({
     );
   }
 
-  // Merge default features with overrides
-  const features = { ...DEFAULT_FEATURES[mode], ...featureOverrides };
-
   // Local state
   const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(
     !features.sidebar
   );
-  const [isPdfExporting, setIsPdfExporting] = useState(false);
   const [isMobileSettingsOpen, setIsMobileSettingsOpen] = useState(false);
   const [isMobileToolbarOpen, setIsMobileToolbarOpen] = useState(false);
   const [reorderMode, setReorderMode] = useState("swap"); // 'swap' or 'shift'
 
-  // Use external binder context or internal hook
-  const contextValue = binderContext || useBinderContext();
   const {
     updateBinderSettings,
     updateBinder,
     updateBinderMetadata,
+    checkOffCollectedCards,
     updateCardInBinder,
     exportBinderData,
     moveCard,
@@ -213,7 +232,7 @@ export const BinderContainer = ({
     canGoNext,
     canGoPrev,
     getCardsForPage,
-  } = useBinderPages(binder, binderDimensions.isMobile);
+  } = useBinderPages(binder, binderDimensions.isMobile, { focusPosition });
 
   // Also compute total card pages (mobile hook returns cover + card pages)
   const { totalPages: totalMobilePages } = useBinderPages(binder, true);
@@ -261,6 +280,10 @@ export const BinderContainer = ({
     enableModals: features.modals,
   });
 
+  isModalsOpenRef.current =
+    binderModals.modals.isAnyModalOpen &&
+    !binderModals.modals.isHistoryPanelOpen;
+
   // Card interaction handlers (must be defined before drag and drop hook)
   const handleCardClick = (card, slotIndex) => {
     onCardClick?.(card, slotIndex);
@@ -386,6 +409,11 @@ export const BinderContainer = ({
     binderModals.handlers.openShareLinkModal();
   };
 
+  const handleHistory = () => {
+    if (!features.history) return;
+    binderModals.handlers.openHistoryPanel();
+  };
+
   const handleMobileSettings = () => {
     setIsMobileSettingsOpen(true);
   };
@@ -396,6 +424,26 @@ export const BinderContainer = ({
     }
   };
 
+  const handleSpreadsheetExport = () => {
+    if (!features.export || !binder) return;
+    binderModals.handlers.openSpreadsheetExport();
+  };
+
+  const handlePlaceholderPrint = () => {
+    if (!features.export || !binder) return;
+    binderModals.handlers.openPlaceholderPrint();
+  };
+
+  const handleChecklistPrint = () => {
+    if (!features.export || !binder) return;
+    binderModals.handlers.openChecklist();
+  };
+
+  const handleShareImage = () => {
+    if (!features.export || !binder) return;
+    binderModals.handlers.openShareImage();
+  };
+
   const handleClearBinder = () => {
     if (!features.clearBinder) return;
 
@@ -405,35 +453,18 @@ export const BinderContainer = ({
     }
   };
 
-  const handlePdfExport = async () => {
-    if (!features.export || !binder || isPdfExporting) return;
-
-    try {
-      setIsPdfExporting(true);
-      toast.loading("Generating PDF...", { id: "pdf-export" });
-
-      // Generate PDF using the service
-      await pdfExportService.generateBinderPdf(binder, {
-        quality: 0.95,
-        format: "a4",
-        includeEmptyPages: false, // Don't include empty pages for cleaner output
-        filename: null, // Auto-generate filename
-      });
-
-      toast.success("PDF generated successfully!", { id: "pdf-export" });
-    } catch (error) {
-      console.error("PDF export failed:", error);
-      toast.error(`PDF export failed: ${error.message}`, { id: "pdf-export" });
-      onError?.(error);
-    } finally {
-      setIsPdfExporting(false);
-    }
+  const handlePdfExport = () => {
+    if (!features.export || !binder) return;
+    binderModals.handlers.openPdfExport();
   };
 
   // Binder property handlers
-  const handleGridSizeChange = (newSize) => {
+  const handleGridSizeChange = (newSize, presetId = null) => {
     if (!binder || !features.sorting) return;
-    updateBinderSettings(binder.id, { gridSize: newSize });
+    updateBinderSettings(binder.id, {
+      gridSize: newSize,
+      gridPreset: presetId,
+    });
     onBinderChange?.(binder);
   };
 
@@ -516,6 +547,9 @@ export const BinderContainer = ({
       await updateBinderMetadata(binder.id, {
         missingInstances: updatedMissingCards,
       });
+      if (!isMissing && currentMissingCards.includes(instanceId)) {
+        checkOffCollectedCards?.(binder.id, [instanceId]);
+      }
 
       toast.success(
         isMissing ? "Card marked as missing" : "Card marked as collected"
@@ -605,6 +639,14 @@ export const BinderContainer = ({
       await updateBinderMetadata(binder.id, {
         missingInstances: updatedMissingCards,
       });
+      if (!markAsMissing) {
+        checkOffCollectedCards?.(
+          binder.id,
+          currentMissingCards.filter((instanceId) =>
+            allCardInstanceIds.includes(instanceId)
+          )
+        );
+      }
 
       const cardCount = allCardInstanceIds.length;
       toast.success(
@@ -705,6 +747,11 @@ export const BinderContainer = ({
             onClearBinder={handleClearBinder}
             onPageOverview={handlePageOverview}
             onPdfExport={handlePdfExport}
+            onSpreadsheetExport={handleSpreadsheetExport}
+            onPlaceholderPrint={handlePlaceholderPrint}
+            onChecklistPrint={handleChecklistPrint}
+            onShareImage={handleShareImage}
+            onHistory={features.history ? handleHistory : undefined}
             onColorPicker={handleColorPicker}
             onShare={handleShare}
             onMobileSettings={handleMobileSettings}
@@ -713,7 +760,6 @@ export const BinderContainer = ({
             onToggleReorderMode={handleToggleReorderMode}
             selectionMode={selectionMode}
             currentBinder={binder}
-            isPdfExporting={isPdfExporting}
             isMobile={false}
             onCompactPage={handleCompactCurrentPage}
             onCompactBinder={handleCompactEntireBinder}
@@ -857,6 +903,16 @@ export const BinderContainer = ({
             modals={binderModals.modals}
             modalData={binderModals.modalData}
             handlers={binderModals.handlers}
+            modalProps={{
+              historyPanel: features.history
+                ? {
+                    past: binderHistory.past,
+                    future: binderHistory.future,
+                    onUndo: binderHistory.undo,
+                    onRedo: binderHistory.redo,
+                  }
+                : {},
+            }}
           />
         )}
       </DragProvider>
@@ -930,6 +986,7 @@ BinderContainer.propTypes = {
   features: PropTypes.object,
   binderContext: PropTypes.object,
   initialPage: PropTypes.number,
+  focusPosition: PropTypes.number,
   onBinderChange: PropTypes.func,
   onCardClick: PropTypes.func,
   onCardDelete: PropTypes.func,
@@ -0,0 +1,171 @@
+import PropTypes from "prop-types";
+import {
+  XMarkIcon,
+  ClockIcon,
+  ArrowUturnLeftIcon,
+  ArrowUturnRightIcon,
+} from "@heroicons/react/24/outline";
+import { getHistoryCommandLabel } from "../../utils/binderHistory";
+
+const formatTime = (timestamp) => {
+  const diffInMinutes = Math.floor(
+    (Date.now() - new Date(timestamp).getTime()) / 60000
+  );
+  if (diffInMinutes < 1) return "Just now";
+  if (diffInMinutes < 60) return `${diffInMinutes}m ago`;
+  const diffInHours = Math.floor(diffInMinutes / 60);
+  if (diffInHours < 24) return `${diffInHours}h ago`;
+  return new Date(timestamp).toLocaleDateString();
+};
+
+/**
+ * BinderHistoryPanel - Recent binder edits, newest first
+ * Clicking an entry returns the binder to the state right after it; undone
+ * entries stay listed (dimmed) until a new edit replaces them.
+ */
+const BinderHistoryPanel = ({
+  isOpen,
+  onClose,
+  binder,
+  past = [],
+  future = [],
+  onUndo,
+  onRedo,
+}) => {
+  if (!isOpen) return null;
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  // future[0] is the most recently undone command
+  const redoEntries = future.map((command, index) => ({
+    command,
+    onSelect: () => onRedo(future.length - index),
+  }));
+  const undoEntries = [...past].reverse().map((command, index) => ({
+    command,
+    onSelect: index > 0 ? () => onUndo(index) : null,
+  }));
+
+  const isEmpty = past.length === 0 && future.length === 0;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-60 backdrop-blur-sm z-[70] flex items-center justify-center p-6"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl max-w-md w-full p-6 animate-in zoom-in-95 duration-200">
+        {/* Header */}
+        <div className="flex items-start justify-between mb-4">
+          <div className="flex items-center space-x-3">
+            <div className="w-12 h-12 bg-blue-100 dark:bg-blue-900 rounded-full flex items-center justify-center">
+              <ClockIcon className="w-6 h-6 text-blue-600 dark:text-blue-400" />
+            </div>
+            <div>
+              <h3 className="text-xl font-bold text-gray-900 dark:text-gray-100">
+                History
+              </h3>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                Recent changes to "{binder?.metadata?.name || "Untitled"}"
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <XMarkIcon className="w-5 h-5 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300" />
+          </button>
+        </div>
+
+        {/* Undo / Redo */}
+        <div className="flex gap-2 mb-4">
+          <button
+            onClick={() => onUndo(1)}
+            disabled={past.length === 0}
+            className="flex-1 flex items-center justify-center gap-2 px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg transition-colors"
+            title="Undo (Ctrl+Z)"
+          >
+            <ArrowUturnLeftIcon className="w-4 h-4" />
+            Undo
+          </button>
+          <button
+            onClick={() => onRedo(1)}
+            disabled={future.length === 0}
+            className="flex-1 flex items-center justify-center gap-2 px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg transition-colors"
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            <ArrowUturnRightIcon className="w-4 h-4" />
+            Redo
+          </button>
+        </div>
+
+        {/* Entries */}
+        {isEmpty ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">
+            No changes yet. Edits to this binder will show up here.
+          </p>
+        ) : (
+          <ul className="max-h-80 overflow-y-auto space-y-1">
+            {redoEntries.map(({ command, onSelect }) => (
+              <li key={command.id}>
+                <button
+                  onClick={onSelect}
+                  className="w-full flex items-center justify-between gap-3 px-3 py-2 text-left text-sm rounded-lg text-gray-400 dark:text-gray-500 line-through hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+                  title="Redo up to here"
+                >
+                  <span className="truncate">
+                    {getHistoryCommandLabel(command)}
+                  </span>
+                  <span className="text-xs flex-shrink-0">
+                    {formatTime(command.timestamp)}
+                  </span>
+                </button>
+              </li>
+            ))}
+            {undoEntries.map(({ command, onSelect }) => (
+              <li key={command.id}>
+                <button
+                  onClick={onSelect || undefined}
+                  disabled={!onSelect}
+                  className={`w-full flex items-center justify-between gap-3 px-3 py-2 text-left text-sm rounded-lg transition-colors ${
+                    onSelect
+                      ? "text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700/50"
+                      : "bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300 font-medium cursor-default"
+                  }`}
+                  title={onSelect ? "Undo back to here" : "Current state"}
+                >
+                  <span className="truncate">
+                    {getHistoryCommandLabel(command)}
+                  </span>
+                  <span className="text-xs flex-shrink-0 opacity-75">
+                    {formatTime(command.timestamp)}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <p className="mt-4 text-xs text-gray-500 dark:text-gray-400">
+          Only the most recent changes are kept after a reload.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+BinderHistoryPanel.propTypes = {
+  isOpen: PropTypes.bool,
+  onClose: PropTypes.func.isRequired,
+  binder: PropTypes.object,
+  past: PropTypes.array,
+  future: PropTypes.array,
+  onUndo: PropTypes.func.isRequired,
+  onRedo: PropTypes.func.isRequired,
+};
+
+export default BinderHistoryPanel;
@@ -21,7 +21,7 @@ import {
 } from "@dnd-kit/core";
 import { useBinderContext } from "../../contexts/BinderContext";
 import { useCardCache } from "../../contexts/CardCacheContext";
-import { getGridConfig } from "../../hooks/useBinderDimensions";
+import { getGridConfig } from "../../utils/binderGrids";
 import { toast } from "react-hot-toast";
 
 // Mobile breakpoint and constants
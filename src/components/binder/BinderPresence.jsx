@@ -0,0 +1,105 @@
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import { ArrowPathIcon, EyeIcon } from "@heroicons/react/24/outline";
+import { useBinderContext } from "../../contexts/BinderContext";
+import useBinderPresence from "../../hooks/useBinderPresence";
+
+// Avatars shown before the rest are summed up as "+N"
+const MAX_AVATARS = 4;
+
+const ViewerAvatar = ({ viewer }) =>
+  viewer.photoURL ? (
+    <img
+      src={viewer.photoURL}
+      alt={viewer.displayName}
+      title={viewer.displayName}
+      className="w-7 h-7 rounded-full object-cover ring-2 ring-white dark:ring-gray-800"
+    />
+  ) : (
+    <div
+      title={viewer.displayName}
+      className="w-7 h-7 rounded-full bg-purple-500 text-white text-xs font-medium flex items-center justify-center ring-2 ring-white dark:ring-gray-800"
+    >
+      {viewer.displayName?.charAt(0).toUpperCase()}
+    </div>
+  );
+
+/**
+ * BinderPresence - Who else has a shared binder open
+ * Also tells viewers they can't make changes, and offers to load the
+ * changes another collaborator saved in the meantime.
+ */
+const BinderPresence = ({ binder, role }) => {
+  const { downloadBinderFromCloud } = useBinderContext();
+  const { viewers, remoteChange } = useBinderPresence(binder);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const isViewer = role === "viewer";
+  if (viewers.length === 0 && !remoteChange && !isViewer) return null;
+
+  const hasUnsavedChanges = binder.sync?.status === "local";
+
+  const handleLoadLatest = async () => {
+    setIsLoading(true);
+    try {
+      await downloadBinderFromCloud(binder.id);
+    } catch (error) {
+      toast.error(error.message || "Failed to load the latest changes");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed top-[76px] left-1/2 -translate-x-1/2 z-40 flex items-center gap-3 px-3 py-1.5 bg-white/80 dark:bg-gray-800/80 backdrop-blur-md border border-gray-200 dark:border-gray-700 rounded-full shadow-lg text-sm text-gray-700 dark:text-gray-300">
+      {isViewer && (
+        <span className="flex items-center gap-1.5">
+          <EyeIcon className="w-4 h-4" />
+          View only
+        </span>
+      )}
+
+      {viewers.length > 0 && (
+        <span className="flex items-center gap-2">
+          <span className="flex -space-x-2">
+            {viewers.slice(0, MAX_AVATARS).map((viewer) => (
+              <ViewerAvatar key={viewer.userId} viewer={viewer} />
+            ))}
+          </span>
+          {viewers.length > MAX_AVATARS && (
+            <span className="text-xs">+{viewers.length - MAX_AVATARS}</span>
+          )}
+          <span className="hidden sm:inline">
+            {viewers.length === 1
+              ? `${viewers[0].displayName} is viewing`
+              : `${viewers.length} others viewing`}
+          </span>
+        </span>
+      )}
+
+      {remoteChange && (
+        <span className="flex items-center gap-2">
+          <span>{remoteChange.displayName} saved changes</span>
+          {hasUnsavedChanges ? (
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              Save to merge them
+            </span>
+          ) : (
+            <button
+              onClick={handleLoadLatest}
+              disabled={isLoading}
+              className="flex items-center gap-1 text-blue-600 hover:text-blue-700 dark:text-blue-400 dark:hover:text-blue-300 font-medium"
+            >
+              <ArrowPathIcon
+                className={`w-4 h-4 ${isLoading ? "animate-spin" : ""}`}
+              />
+              Load latest
+            </button>
+          )}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default BinderPresence;
@@ -13,47 +13,18 @@ import { useBinderContext } from "../../contexts/BinderContext";
 import { useAuth } from "../../hooks/useAuth";
 import { toast } from "react-hot-toast";
 import PageManager from "./PageManager";
+import GridSizeSelector from "./GridSizeSelector";
 import RevertConfirmationModal from "./RevertConfirmationModal";
 import SortControls from "./SortControls";
 import MissingCardsModal from "./MissingCardsModal";
+import BinderValueSummary from "./BinderValueSummary";
+import ConditionFilter from "./ConditionFilter";
+import LanguageSelect from "../ui/LanguageSelect";
+import useCardLanguages from "../../hooks/useCardLanguages";
+import { getBinderLanguage } from "../../utils/cardLanguages";
 
 import { X } from "lucide-react";
 
-const GridSizeSelector = ({ currentSize, onSizeChange }) => {
-  const gridSizes = [
-    { value: "2x2", label: "2×2", description: "4 cards per page" },
-    { value: "3x3", label: "3×3", description: "9 cards per page" },
-    { value: "4x3", label: "4×3", description: "12 cards per page" },
-    { value: "4x4", label: "4×4", description: "16 cards per page" },
-  ];
-
-  return (
-    <div className="space-y-2">
-      <label className="block text-sm font-medium text-gray-900 dark:text-gray-100">
-        Grid Size
-      </label>
-      <div className="space-y-2">
-        {gridSizes.map((size) => (
-          <button
-            key={size.value}
-            onClick={() => onSizeChange(size.value)}
-            className={`w-full text-left px-3 py-2 rounded-lg border transition-colors ${
-              currentSize === size.value
-                ? "border-blue-500 bg-blue-50 dark:bg-blue-950 text-blue-900 dark:text-blue-200"
-                : "border-gray-200 dark:border-gray-700 hover:border-slate-300 dark:hover:border-slate-500 text-gray-900 dark:text-gray-100"
-            }`}
-          >
-            <div className="font-medium">{size.label}</div>
-            <div className="text-xs text-gray-600 dark:text-gray-400">
-              {size.description}
-            </div>
-          </button>
-        ))}
-      </div>
-    </div>
-  );
-};
-
 const BinderNameEditor = ({ currentName, onNameChange }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [tempName, setTempName] = useState(currentName);
@@ -537,6 +508,27 @@ const BulkMissingToggle = ({
   );
 };
 
+const CardLanguageSetting = ({ binder, onSettingsChange }) => {
+  const { hasMultipleLanguages } = useCardLanguages();
+
+  if (!hasMultipleLanguages) return null;
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-900 dark:text-gray-100">
+        Card Language
+      </label>
+      <LanguageSelect
+        value={getBinderLanguage(binder)}
+        onChange={(language) => onSettingsChange("language", language)}
+      />
+      <p className="text-xs text-gray-600 dark:text-gray-400">
+        Catalog searched first when adding cards to this binder
+      </p>
+    </div>
+  );
+};
+
 const CardBackSettings = ({ binder, onSettingsChange }) => {
   const handleToggleEmptyCardBack = () => {
     const newValue = !binder.settings?.showCardBackForEmpty;
@@ -640,6 +632,7 @@ const BinderSidebar = ({
 }) => {
   const {
     updateBinderMetadata,
+    checkOffCollectedCards,
     downloadBinderFromCloud,
     updateBinderSettings,
   } = useBinderContext();
@@ -716,6 +709,7 @@ const BinderSidebar = ({
     updateBinderMetadata(binder.id, {
       missingInstances: updatedMissingInstances,
     });
+    checkOffCollectedCards(binder.id, [instanceId]);
 
     toast.success("Card marked as collected!");
   };
@@ -735,6 +729,7 @@ const BinderSidebar = ({
         {/* Grid Size Selector */}
         <GridSizeSelector
           currentSize={binder.settings.gridSize}
+          currentPreset={binder.settings.gridPreset}
           onSizeChange={onGridSizeChange}
         />
 
@@ -746,6 +741,20 @@ const BinderSidebar = ({
           onShowMissingCardsModal={() => setShowMissingCardsModal(true)}
         />
 
+        {/* Collection Value */}
+        <BinderValueSummary binder={binder} />
+
+        {/* Condition Filter */}
+        <ConditionFilter binder={binder} />
+
+        {/* Card Language */}
+        <CardLanguageSetting
+          binder={binder}
+          onSettingsChange={(setting, value) =>
+            updateBinderSettings(binder.id, { [setting]: value })
+          }
+        />
+
         {/* Card Back Settings */}
         <CardBackSettings
           binder={binder}
@@ -835,6 +844,7 @@ const BinderSidebar = ({
           {/* Grid Size Selector */}
           <GridSizeSelector
             currentSize={binder.settings.gridSize}
+            currentPreset={binder.settings.gridPreset}
             onSizeChange={onGridSizeChange}
           />
 
@@ -846,6 +856,20 @@ const BinderSidebar = ({
             onShowMissingCardsModal={() => setShowMissingCardsModal(true)}
           />
 
+          {/* Collection Value */}
+          <BinderValueSummary binder={binder} />
+
+          {/* Condition Filter */}
+          <ConditionFilter binder={binder} />
+
+          {/* Card Language */}
+          <CardLanguageSetting
+            binder={binder}
+            onSettingsChange={(setting, value) =>
+              updateBinderSettings(binder.id, { [setting]: value })
+            }
+          />
+
           {/* Card Back Settings */}
           <CardBackSettings
             binder={binder}
@@ -9,14 +9,16 @@ import {
   Squares2X2Icon,
   DocumentArrowDownIcon,
   SwatchIcon,
-  ExclamationTriangleIcon,
   EllipsisVerticalIcon,
-  ArrowPathIcon,
   DocumentTextIcon,
   CursorArrowRaysIcon,
   ArrowsPointingInIcon,
   BookOpenIcon,
   ArrowsRightLeftIcon,
+  TableCellsIcon,
+  ClockIcon,
+  PrinterIcon,
+  ClipboardDocumentCheckIcon,
 } from "@heroicons/react/24/outline";
 
 const ToolbarButton = ({
@@ -70,6 +72,11 @@ const BinderToolbar = ({
   onClearBinder,
   onPageOverview,
   onPdfExport,
+  onSpreadsheetExport,
+  onPlaceholderPrint,
+  onChecklistPrint,
+  onShareImage,
+  onHistory,
   onColorPicker,
   onShare, // New prop for share functionality
   onMobileSettings, // New prop for mobile settings modal
@@ -78,7 +85,6 @@ const BinderToolbar = ({
   onToggleReorderMode,
   selectionMode = false, // current mode
   currentBinder,
-  isPdfExporting = false,
   isMobile = false,
   onCompactPage, // new prop
   onCompactBinder, // new prop
@@ -257,16 +263,78 @@ const BinderToolbar = ({
                         onPdfExport?.();
                         setIsMoreMenuOpen(false);
                       }}
-                      disabled={disabled || isPdfExporting}
+                      disabled={disabled}
                       className="w-full text-left px-4 py-2 text-sm text-primary hover:bg-accent disabled:text-secondary disabled:cursor-not-allowed flex items-center gap-3"
                     >
-                      {isPdfExporting ? (
-                        <ArrowPathIcon className="w-4 h-4 animate-spin" />
-                      ) : (
-                        <DocumentTextIcon className="w-4 h-4" />
-                      )}
-                      {isPdfExporting ? "Exporting..." : "Export PDF"}
+                      <DocumentTextIcon className="w-4 h-4" />
+                      Export PDF
                     </button>
+                    {onSpreadsheetExport && (
+                      <button
+                        onClick={() => {
+                          onSpreadsheetExport();
+                          setIsMoreMenuOpen(false);
+                        }}
+                        disabled={disabled}
+                        className="w-full text-left px-4 py-2 text-sm text-primary hover:bg-accent disabled:text-secondary disabled:cursor-not-allowed flex items-center gap-3"
+                      >
+                        <TableCellsIcon className="w-4 h-4" />
+                        Export Spreadsheet
+                      </button>
+                    )}
+                    {onPlaceholderPrint && (
+                      <button
+                        onClick={() => {
+                          onPlaceholderPrint();
+                          setIsMoreMenuOpen(false);
+                        }}
+                        disabled={disabled}
+                        className="w-full text-left px-4 py-2 text-sm text-primary hover:bg-accent disabled:text-secondary disabled:cursor-not-allowed flex items-center gap-3"
+                      >
+                        <PrinterIcon className="w-4 h-4" />
+                        Print Placeholders
+                      </button>
+                    )}
+                    {onChecklistPrint && (
+                      <button
+                        onClick={() => {
+                          onChecklistPrint();
+                          setIsMoreMenuOpen(false);
+                        }}
+                        disabled={disabled}
+                        className="w-full text-left px-4 py-2 text-sm text-primary hover:bg-accent disabled:text-secondary disabled:cursor-not-allowed flex items-center gap-3"
+                      >
+                        <ClipboardDocumentCheckIcon className="w-4 h-4" />
+                        Print Checklist
+                      </button>
+                    )}
+                    {onShareImage && (
+                      <button
+                        onClick={() => {
+                          onShareImage();
+                          setIsMoreMenuOpen(false);
+                        }}
+                        disabled={disabled}
+                        className="w-full text-left px-4 py-2 text-sm text-primary hover:bg-accent disabled:text-secondary disabled:cursor-not-allowed flex items-center gap-3"
+                      >
+                        <PhotoIcon className="w-4 h-4" />
+                        Share as Image
+                      </button>
+                    )}
+
+                    {onHistory && (
+                      <button
+                        onClick={() => {
+                          onHistory();
+                          setIsMoreMenuOpen(false);
+                        }}
+                        disabled={disabled}
+                        className="w-full text-left px-4 py-2 text-sm text-primary hover:bg-accent disabled:text-secondary disabled:cursor-not-allowed flex items-center gap-3"
+                      >
+                        <ClockIcon className="w-4 h-4" />
+                        History
+                      </button>
+                    )}
 
                     {/* Reorder mode toggle (added to mobile More menu) */}
                     <button
@@ -348,6 +416,15 @@ const BinderToolbar = ({
             }
           />
 
+          {/* Undo / Redo History */}
+          {onHistory && (
+            <ToolbarButton
+              icon={ClockIcon}
+              onClick={() => handleToolClick("history", onHistory)}
+              title="History (Ctrl+Z to undo, Ctrl+Shift+Z to redo)"
+            />
+          )}
+
           {/* Page Overview */}
           <ToolbarButton
             icon={Squares2X2Icon}
@@ -372,44 +449,51 @@ const BinderToolbar = ({
           )}
 
           {/* PDF Export */}
-          <div className="relative flex items-center group">
-            <div className="relative">
-              <ToolbarButton
-                icon={DocumentArrowDownIcon}
-                onClick={() => handleToolClick("pdf", onPdfExport)}
-                title="Export as PDF"
-                className={
-                  isPdfExporting ? "opacity-50 cursor-not-allowed" : ""
-                }
-              />
+          <ToolbarButton
+            icon={DocumentArrowDownIcon}
+            onClick={() => handleToolClick("pdf", onPdfExport)}
+            title="Export as PDF"
+          />
 
-              {/* Warning Triangle */}
-              <div className="absolute -top-1 -right-1 z-10">
-                <ExclamationTriangleIcon className="w-4 h-4 text-yellow-500 drop-shadow-sm" />
-              </div>
-            </div>
+          {/* Spreadsheet Export */}
+          {onSpreadsheetExport && (
+            <ToolbarButton
+              icon={TableCellsIcon}
+              onClick={() =>
+                handleToolClick("spreadsheet", onSpreadsheetExport)
+              }
+              title="Export as CSV / Excel"
+            />
+          )}
 
-            {/* Warning Tooltip */}
-            <div className="absolute left-full ml-3 flex items-center bg-yellow-50 border border-yellow-200 rounded-lg px-3 py-2 text-sm text-yellow-800 shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none z-20">
-              <ExclamationTriangleIcon className="w-4 h-4 text-yellow-600 mr-2 flex-shrink-0" />
-              <span className="font-medium whitespace-nowrap">
-                Limited functionality - works best in Firefox
-              </span>
-              {/* Arrow pointing to button */}
-              <div className="absolute right-full top-1/2 transform -translate-y-1/2 w-2 h-2 bg-yellow-50 border-l border-b border-yellow-200 rotate-45"></div>
-            </div>
+          {/* Placeholder Print */}
+          {onPlaceholderPrint && (
+            <ToolbarButton
+              icon={PrinterIcon}
+              onClick={() =>
+                handleToolClick("placeholders", onPlaceholderPrint)
+              }
+              title="Print Placeholders for Missing Cards"
+            />
+          )}
 
-            {isPdfExporting && (
-              <div className="absolute left-full ml-3 flex items-center bg-slate-800/95 backdrop-blur-sm rounded-lg px-3 py-2 text-sm text-white shadow-lg border border-white/10 z-30">
-                <div className="animate-spin rounded-full h-4 w-4 border-2 border-white border-t-transparent mr-2 flex-shrink-0" />
-                <span className="text-white/90 font-medium whitespace-nowrap">
-                  Generating PDF...
-                </span>
-                {/* Arrow pointing to button */}
-                <div className="absolute right-full top-1/2 transform -translate-y-1/2 w-2 h-2 bg-slate-800 rotate-45 border-l border-b border-white/10"></div>
-              </div>
-            )}
-          </div>
+          {/* Checklist Print */}
+          {onChecklistPrint && (
+            <ToolbarButton
+              icon={ClipboardDocumentCheckIcon}
+              onClick={() => handleToolClick("checklist", onChecklistPrint)}
+              title="Print Checklist"
+            />
+          )}
+
+          {/* Share Image */}
+          {onShareImage && (
+            <ToolbarButton
+              icon={PhotoIcon}
+              onClick={() => handleToolClick("shareImage", onShareImage)}
+              title="Share as Image"
+            />
+          )}
 
           {/* Compact Tool */}
           <div className="relative">
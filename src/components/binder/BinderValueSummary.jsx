@@ -0,0 +1,146 @@
+import { useState } from "react";
+import { CurrencyDollarIcon } from "@heroicons/react/24/outline";
+import useCardPrices from "../../hooks/useCardPrices";
+import {
+  PRICE_SOURCES,
+  DISPLAY_CURRENCIES,
+  getDisplayConversion,
+  getExchangeRateKey,
+} from "../../utils/cardValuation";
+
+/**
+ * BinderValueSummary - Collection value panel for the binder sidebar
+ * Shows the binder total, per-page totals and the price source settings.
+ */
+const BinderValueSummary = ({ binder }) => {
+  const [showPages, setShowPages] = useState(false);
+  const {
+    isLoading,
+    priceSource,
+    setPriceSource,
+    priceDisplay,
+    setPriceDisplay,
+    getBinderValue,
+    formatValue,
+  } = useCardPrices({ binders: binder ? [binder] : [] });
+
+  if (!binder) return null;
+
+  const value = getBinderValue(binder);
+  const sourceCurrency = PRICE_SOURCES[priceSource].currency;
+  const { displayCurrency, rate } = getDisplayConversion(
+    sourceCurrency,
+    priceDisplay
+  );
+  const needsExchangeRate = displayCurrency !== sourceCurrency;
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-900 dark:text-gray-100">
+        Collection Value
+      </label>
+      <div className="p-3 bg-gray-50 dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <CurrencyDollarIcon className="w-5 h-5 text-green-600 dark:text-green-400" />
+            <span className="text-lg font-bold text-gray-900 dark:text-gray-100">
+              {isLoading ? "…" : formatValue(value.total)}
+            </span>
+          </div>
+          <span className="text-xs text-gray-500 dark:text-gray-400">
+            {value.pricedCount} priced
+            {value.unpricedCount > 0 && ` • ${value.unpricedCount} no data`}
+          </span>
+        </div>
+
+        {value.missingTotal > 0 && (
+          <div className="text-xs text-gray-600 dark:text-gray-400">
+            Missing cards: {formatValue(value.missingTotal)}
+          </div>
+        )}
+
+        {/* Per-page breakdown */}
+        {value.pages.length > 0 && (
+          <div>
+            <button
+              onClick={() => setShowPages(!showPages)}
+              className="text-xs font-medium text-blue-600 dark:text-blue-400 hover:underline"
+            >
+              {showPages ? "Hide page values" : "Show page values"}
+            </button>
+            {showPages && (
+              <div className="mt-2 max-h-40 overflow-y-auto space-y-1">
+                {value.pages.map((page) => (
+                  <div
+                    key={page.cardPageIndex}
+                    className="flex items-center justify-between text-xs text-gray-700 dark:text-gray-300"
+                  >
+                    <span>Page {page.cardPageIndex + 1}</span>
+                    <span className="font-medium">
+                      {formatValue(page.total)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Price settings */}
+        <div className="grid grid-cols-2 gap-2 pt-2 border-t border-gray-200 dark:border-gray-700">
+          <select
+            value={priceSource}
+            onChange={(e) => setPriceSource(e.target.value)}
+            className="col-span-2 px-2 py-1.5 text-xs border border-gray-200 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+            aria-label="Price source"
+          >
+            {Object.entries(PRICE_SOURCES).map(([key, source]) => (
+              <option key={key} value={key}>
+                {source.label} ({source.currency})
+              </option>
+            ))}
+          </select>
+          <select
+            value={priceDisplay.currency}
+            onChange={(e) =>
+              setPriceDisplay({ ...priceDisplay, currency: e.target.value })
+            }
+            className={`${
+              needsExchangeRate ? "" : "col-span-2"
+            } px-2 py-1.5 text-xs border border-gray-200 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100`}
+            aria-label="Display currency"
+          >
+            {DISPLAY_CURRENCIES.map((currency) => (
+              <option key={currency} value={currency}>
+                {currency === "auto" ? "Source currency" : currency}
+              </option>
+            ))}
+          </select>
+          {needsExchangeRate && (
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={rate}
+              onChange={(e) =>
+                setPriceDisplay({
+                  ...priceDisplay,
+                  exchangeRates: {
+                    ...priceDisplay.exchangeRates,
+                    [getExchangeRateKey(sourceCurrency, displayCurrency)]:
+                      parseFloat(e.target.value) || 1,
+                  },
+                })
+              }
+              className="px-2 py-1.5 text-xs border border-gray-200 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+              title={`1 ${sourceCurrency} = ? ${displayCurrency}`}
+              aria-label="Exchange rate"
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BinderValueSummary;
@@ -1,6 +1,16 @@
-import { getGridConfig } from "../../hooks/useBinderDimensions";
+import { useAtomValue } from "jotai";
+import { getGridConfig } from "../../utils/binderGrids";
+import {
+  conditionFilterAtom,
+  highlightedPositionAtom,
+} from "../../atoms/binderFilterAtoms";
+import { matchesConditionFilter } from "../../utils/cardCondition";
 import DroppableSlot from "./DroppableSlot";
 
+// Ring around the highlighted slot (see highlightedPositionAtom)
+const HIGHLIGHT_CLASSES =
+  "ring-4 ring-amber-400 ring-offset-2 rounded-lg animate-pulse";
+
 const CardPage = ({
   pageNumber,
   cards = [],
@@ -23,6 +33,8 @@ const CardPage = ({
   showCardBackForMissing = false,
 }) => {
   const gridConfig = getGridConfig(gridSize);
+  const conditionFilter = useAtomValue(conditionFilterAtom);
+  const highlightedPosition = useAtomValue(highlightedPositionAtom);
   const slots = Array.from({ length: gridConfig.total });
 
   // Full screen mobile layout (keeps background but removes binder styling)
@@ -59,6 +71,9 @@ const CardPage = ({
               const instanceId = card?.binderMetadata?.instanceId;
               const isMissing =
                 instanceId && missingPositions.includes(instanceId);
+              const isFilteredOut =
+                card &&
+                !matchesConditionFilter(card.binderMetadata, conditionFilter);
 
               return (
                 <DroppableSlot
@@ -73,7 +88,13 @@ const CardPage = ({
                   onToggleReverseHolo={
                     isReadOnly ? undefined : onToggleReverseHolo
                   }
-                  className="w-full h-full"
+                  className={`w-full h-full ${
+                    isFilteredOut ? "opacity-25" : ""
+                  } ${
+                    globalPosition === highlightedPosition
+                      ? HIGHLIGHT_CLASSES
+                      : ""
+                  }`}
                   isMissing={isMissing}
                   isReadOnly={isReadOnly}
                   isMobile={isMobile}
@@ -130,6 +151,9 @@ const CardPage = ({
             const instanceId = card?.binderMetadata?.instanceId;
             const isMissing =
               instanceId && missingPositions.includes(instanceId);
+            const isFilteredOut =
+              card &&
+              !matchesConditionFilter(card.binderMetadata, conditionFilter);
 
             return (
               <DroppableSlot
@@ -144,7 +168,13 @@ const CardPage = ({
                 onToggleReverseHolo={
                   isReadOnly ? undefined : onToggleReverseHolo
                 }
-                className="w-full h-full"
+                className={`w-full h-full ${
+                  isFilteredOut ? "opacity-25" : ""
+                } ${
+                  globalPosition === highlightedPosition
+                    ? HIGHLIGHT_CLASSES
+                    : ""
+                }`}
                 isMissing={isMissing}
                 isReadOnly={isReadOnly}
                 isMobile={isMobile}
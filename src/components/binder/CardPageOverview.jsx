@@ -9,7 +9,7 @@ import { DndProvider, useDrag, useDrop } from "react-dnd";
 import { HTML5Backend } from "react-dnd-html5-backend";
 import { useBinderContext } from "../../contexts/BinderContext";
 import { useCardCache } from "../../contexts/CardCacheContext";
-import { getGridConfig } from "../../hooks/useBinderDimensions";
+import { getGridConfig } from "../../utils/binderGrids";
 import { toast } from "react-hot-toast";
 import { Lock } from "lucide-react";
 
@@ -84,23 +84,8 @@ const DraggableCardPage = ({
   const cardCount = pageCards.filter((card) => card !== null).length;
   const isEmpty = cardCount === 0;
 
-  // Calculate grid layout for mini preview
-  const getGridLayout = () => {
-    switch (gridConfig.name) {
-      case "2x2":
-        return { cols: 2, rows: 2 };
-      case "3x3":
-        return { cols: 3, rows: 3 };
-      case "4x3":
-        return { cols: 4, rows: 3 };
-      case "4x4":
-        return { cols: 4, rows: 4 };
-      default:
-        return { cols: 3, rows: 3 };
-    }
-  };
-
-  const { cols, rows } = getGridLayout();
+  // Grid layout for mini preview
+  const { cols, rows } = gridConfig;
 
   return (
     <div
@@ -0,0 +1,213 @@
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import {
+  UserGroupIcon,
+  UserPlusIcon,
+  XMarkIcon,
+  TrashIcon,
+} from "@heroicons/react/24/outline";
+import { useBinderContext } from "../../contexts/BinderContext";
+import { COLLABORATOR_ROLES } from "../../utils/collaborators";
+
+const RoleSelect = ({ value, onChange, disabled }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    disabled={disabled}
+    className="px-2 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+  >
+    {Object.entries(COLLABORATOR_ROLES).map(([role, { label }]) => (
+      <option key={role} value={role}>
+        {label}
+      </option>
+    ))}
+  </select>
+);
+
+/**
+ * CollaboratorsModal - Invite other users to a binder as viewers or editors
+ * Only the owner of a binder that is saved to the cloud can share it.
+ */
+const CollaboratorsModal = ({ isOpen, onClose, binder }) => {
+  const {
+    addBinderCollaborator,
+    updateBinderCollaboratorRole,
+    removeBinderCollaborator,
+  } = useBinderContext();
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("viewer");
+  const [isBusy, setIsBusy] = useState(false);
+
+  if (!isOpen || !binder) return null;
+
+  const collaborators = binder.permissions?.collaborators || [];
+  const isSavedToCloud = Boolean(binder.sync?.lastSynced);
+
+  const run = async (action, successMessage) => {
+    setIsBusy(true);
+    try {
+      await action();
+      toast.success(successMessage);
+      return true;
+    } catch (error) {
+      toast.error(error.message || "Failed to update collaborators");
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    const invited = await run(
+      () => addBinderCollaborator(binder.id, email, role),
+      `Invited ${email.trim()} as ${COLLABORATOR_ROLES[
+        role
+      ].label.toLowerCase()}`
+    );
+    if (invited) setEmail("");
+  };
+
+  const handleRoleChange = (collaborator, newRole) =>
+    run(
+      () =>
+        updateBinderCollaboratorRole(binder.id, collaborator.userId, newRole),
+      `${collaborator.displayName} is now ${COLLABORATOR_ROLES[
+        newRole
+      ].label.toLowerCase()}`
+    );
+
+  const handleRemove = (collaborator) => {
+    if (
+      !window.confirm(
+        `Remove ${collaborator.displayName} from "${binder.metadata?.name}"?`
+      )
+    ) {
+      return;
+    }
+    run(
+      () => removeBinderCollaborator(binder.id, collaborator.userId),
+      `${collaborator.displayName} was removed`
+    );
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-60 backdrop-blur-sm z-[70] flex items-center justify-center p-6"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl max-w-lg w-full p-6 animate-in zoom-in-95 duration-200">
+        {/* Header */}
+        <div className="flex items-start justify-between mb-6">
+          <div className="flex items-center space-x-3">
+            <div className="w-12 h-12 bg-blue-100 dark:bg-blue-900 rounded-full flex items-center justify-center">
+              <UserGroupIcon className="w-6 h-6 text-blue-600 dark:text-blue-400" />
+            </div>
+            <div>
+              <h3 className="text-xl font-bold text-gray-900 dark:text-gray-100">
+                Collaborators
+              </h3>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mt-1 truncate">
+                {binder.metadata?.name || "Unnamed Binder"}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <XMarkIcon className="w-5 h-5 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300" />
+          </button>
+        </div>
+
+        {isSavedToCloud ? (
+          <form onSubmit={handleInvite} className="flex gap-2 mb-2">
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Email address"
+              disabled={isBusy}
+              className="flex-1 min-w-0 px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <RoleSelect value={role} onChange={setRole} disabled={isBusy} />
+            <button
+              type="submit"
+              disabled={isBusy || !email.trim()}
+              className="px-3 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 dark:disabled:bg-gray-600 text-white rounded-lg text-sm font-medium transition-colors flex items-center gap-1"
+            >
+              <UserPlusIcon className="w-4 h-4" />
+              Invite
+            </button>
+          </form>
+        ) : (
+          <p className="mb-2 p-3 text-sm text-amber-800 dark:text-amber-200 bg-amber-50 dark:bg-amber-950 border border-amber-200 dark:border-amber-800 rounded-lg">
+            Save this binder to the cloud before inviting collaborators.
+          </p>
+        )}
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+          {COLLABORATOR_ROLES.viewer.label}s{" "}
+          {COLLABORATOR_ROLES.viewer.description.toLowerCase()};{" "}
+          {COLLABORATOR_ROLES.editor.label.toLowerCase()}s{" "}
+          {COLLABORATOR_ROLES.editor.description.toLowerCase()}.
+        </p>
+
+        {/* Collaborator List */}
+        {collaborators.length === 0 ? (
+          <p className="py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+            Only you have access to this binder.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700 max-h-72 overflow-y-auto">
+            {collaborators.map((collaborator) => (
+              <li
+                key={collaborator.userId}
+                className="flex items-center gap-3 py-3"
+              >
+                {collaborator.photoURL ? (
+                  <img
+                    src={collaborator.photoURL}
+                    alt={collaborator.displayName}
+                    className="w-8 h-8 rounded-full object-cover"
+                  />
+                ) : (
+                  <div className="w-8 h-8 rounded-full bg-gray-200 dark:bg-gray-700 flex items-center justify-center text-sm font-medium text-gray-600 dark:text-gray-300">
+                    {collaborator.displayName?.charAt(0).toUpperCase()}
+                  </div>
+                )}
+                <span className="flex-1 min-w-0 text-sm font-medium text-gray-900 dark:text-gray-100 truncate">
+                  {collaborator.displayName}
+                </span>
+                <RoleSelect
+                  value={collaborator.role}
+                  onChange={(newRole) =>
+                    handleRoleChange(collaborator, newRole)
+                  }
+                  disabled={isBusy}
+                />
+                <button
+                  onClick={() => handleRemove(collaborator)}
+                  disabled={isBusy}
+                  className="p-2 text-gray-400 hover:text-red-600 dark:hover:text-red-400 rounded-lg transition-colors"
+                  title="Remove collaborator"
+                >
+                  <TrashIcon className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CollaboratorsModal;
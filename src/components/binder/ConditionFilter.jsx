@@ -0,0 +1,72 @@
+import { useEffect, useMemo } from "react";
+import { useAtom } from "jotai";
+import { conditionFilterAtom } from "../../atoms/binderFilterAtoms";
+import {
+  CARD_CONDITIONS,
+  CONDITION_FILTERS,
+  matchesConditionFilter,
+} from "../../utils/cardCondition";
+
+/**
+ * ConditionFilter - Condition / grading filter for the binder sidebar
+ * Cards that don't match stay in place but are dimmed.
+ */
+const ConditionFilter = ({ binder }) => {
+  const [filter, setFilter] = useAtom(conditionFilterAtom);
+
+  // Start every binder unfiltered
+  useEffect(() => {
+    return () => setFilter(CONDITION_FILTERS.ALL);
+  }, [binder?.id, setFilter]);
+
+  const options = useMemo(() => {
+    const entries = Object.values(binder?.cards || {}).filter(Boolean);
+    const countOf = (value) =>
+      entries.filter((entry) => matchesConditionFilter(entry, value)).length;
+
+    return [
+      { value: CONDITION_FILTERS.ALL, label: "All cards" },
+      { value: CONDITION_FILTERS.GRADED, label: "Graded" },
+      { value: CONDITION_FILTERS.RAW, label: "Raw (ungraded)" },
+      ...CARD_CONDITIONS.map((condition) => ({
+        value: condition.value,
+        label: `${condition.label} (${condition.short})`,
+      })),
+    ].map((option) => ({ ...option, count: countOf(option.value) }));
+  }, [binder?.cards]);
+
+  if (!binder) return null;
+
+  return (
+    <div className="space-y-2">
+      <label
+        htmlFor="condition-filter"
+        className="block text-sm font-medium text-gray-900 dark:text-gray-100"
+      >
+        Condition Filter
+      </label>
+      <select
+        id="condition-filter"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        className="w-full px-3 py-2 text-sm border border-gray-200 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+      >
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label} · {option.count}
+          </option>
+        ))}
+      </select>
+      {filter !== CONDITION_FILTERS.ALL && (
+        <button
+          onClick={() => setFilter(CONDITION_FILTERS.ALL)}
+          className="text-xs font-medium text-blue-600 dark:text-blue-400 hover:underline"
+        >
+          Clear filter
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ConditionFilter;
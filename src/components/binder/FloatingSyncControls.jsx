@@ -5,11 +5,15 @@ import {
   ArrowPathIcon,
   ExclamationTriangleIcon,
   ArrowUturnLeftIcon,
+  ArrowsRightLeftIcon,
+  SignalSlashIcon,
 } from "@heroicons/react/24/outline";
 import { useBinderContext } from "../../contexts/BinderContext";
 import { useAuth } from "../../hooks/useAuth";
+import useOnlineStatus from "../../hooks/useOnlineStatus";
 import { toast } from "react-hot-toast";
 import RevertConfirmationModal from "./RevertConfirmationModal";
+import ConflictResolutionModal from "../sync/ConflictResolutionModal";
 
 /**
  * FloatingSyncControls
@@ -18,26 +22,39 @@ import RevertConfirmationModal from "./RevertConfirmationModal";
  * still commit or discard changes without reopening the sidebar.
  */
 const FloatingSyncControls = ({ binder }) => {
-  // Early exit if binder is not yet available
-  if (!binder) return null;
-
   const { user } = useAuth();
-  const { saveBinderToCloud, downloadBinderFromCloud, syncStatus } =
-    useBinderContext();
+  const isOnline = useOnlineStatus();
+  const {
+    saveBinderToCloud,
+    downloadBinderFromCloud,
+    resolveBinderConflict,
+    syncStatus,
+  } = useBinderContext();
 
   // Local UI state
   const [isSaving, setIsSaving] = useState(false);
   const [isReverting, setIsReverting] = useState(false);
   const [showRevertModal, setShowRevertModal] = useState(false);
+  const [showConflictModal, setShowConflictModal] = useState(false);
+
+  // Early exit if binder is not yet available
+  if (!binder) return null;
 
   // Derived state from context
   const binderSyncStatus = syncStatus[binder.id] || {};
   const syncState = binder?.sync?.status || "local";
+  const conflictData =
+    syncState === "conflict" ? binder.sync?.conflictData : null;
 
   /* ------------------------------ Helpers ------------------------------ */
   const hasUnsyncedChanges = () => {
-    // Local or error status indicates pending changes
-    if (syncState === "local" || syncState === "error") return true;
+    // Local, queued or error status indicates pending changes
+    if (
+      syncState === "local" ||
+      syncState === "queued" ||
+      syncState === "error"
+    )
+      return true;
 
     // Pending change queue
     if (binder?.sync?.pendingChanges?.length) return true;
@@ -70,6 +87,8 @@ const FloatingSyncControls = ({ binder }) => {
       case "error":
       case "conflict":
         return <ExclamationTriangleIcon className="w-5 h-5" />;
+      case "queued":
+        return <SignalSlashIcon className="w-5 h-5" />;
       default:
         return <CloudArrowUpIcon className="w-5 h-5" />;
     }
@@ -85,6 +104,8 @@ const FloatingSyncControls = ({ binder }) => {
         return "Save Error";
       case "conflict":
         return "Conflict";
+      case "queued":
+        return "Save Queued";
       default:
         return "Save to Cloud";
     }
@@ -111,6 +132,8 @@ const FloatingSyncControls = ({ binder }) => {
         return binder.sync?.lastError || "Save failed";
       case "conflict":
         return binderSyncStatus.message || "Cloud version is newer";
+      case "queued":
+        return "Saves when you're back online";
       default:
         return user ? "Backup your binder" : "Sign in to save";
     }
@@ -129,6 +152,8 @@ const FloatingSyncControls = ({ binder }) => {
         return "bg-red-100 dark:bg-red-950 text-red-700 dark:text-red-300";
       case "conflict":
         return "bg-orange-100 dark:bg-orange-950 text-orange-700 dark:text-orange-300";
+      case "queued":
+        return "bg-amber-100 dark:bg-amber-950 text-amber-700 dark:text-amber-300";
       default:
         return "bg-blue-600 text-white hover:bg-blue-700";
     }
@@ -147,7 +172,10 @@ const FloatingSyncControls = ({ binder }) => {
 
     try {
       setIsSaving(true);
-      await saveBinderToCloud(binder.id);
+      const result = await saveBinderToCloud(binder.id);
+      if (result?.conflict) {
+        setShowConflictModal(true);
+      }
     } catch (err) {
       console.error("Save failed:", err);
       // saveBinderToCloud handles its own toasts
@@ -156,6 +184,19 @@ const FloatingSyncControls = ({ binder }) => {
     }
   };
 
+  const handleResolveConflict = async (resolutions) => {
+    try {
+      const result = await resolveBinderConflict(binder.id, resolutions);
+      // Keep the dialog open when the cloud changed again meanwhile
+      if (!result?.conflict) {
+        setShowConflictModal(false);
+      }
+    } catch (err) {
+      console.error("Conflict resolution failed:", err);
+      // resolveBinderConflict handles its own toasts
+    }
+  };
+
   const handleRevertClick = () => {
     if (!canRevert()) {
       // Non eligible cases already blocked by button disabled attr
@@ -208,6 +249,17 @@ const FloatingSyncControls = ({ binder }) => {
     <>
       {/* Action panel */}
       <div className="fixed bottom-3 right-3 z-40 flex flex-col gap-2 p-2 bg-white/60 dark:bg-gray-800/60 backdrop-blur-md border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+        {/* Offline indicator */}
+        {!isOnline && (
+          <div
+            className="flex items-center gap-2 px-3 py-1 text-xs font-medium text-amber-700 dark:text-amber-300"
+            title="Changes are kept on this device and saved when you're back online"
+          >
+            <SignalSlashIcon className="w-4 h-4" />
+            Offline
+          </div>
+        )}
+
         {/* Save */}
         <button
           onClick={handleSave}
@@ -225,6 +277,20 @@ const FloatingSyncControls = ({ binder }) => {
           <span className="text-sm font-medium">{getSyncText()}</span>
         </button>
 
+        {/* Resolve conflict */}
+        {conflictData && (
+          <button
+            onClick={() => setShowConflictModal(true)}
+            disabled={isSaving || binderSyncStatus.status === "saving"}
+            className="w-full flex items-center gap-2 px-3 py-2 rounded-lg bg-orange-600 text-white hover:bg-orange-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            aria-label="Review sync conflict"
+            title="Review changes from the cloud"
+          >
+            <ArrowsRightLeftIcon className="w-5 h-5" />
+            <span className="text-sm font-medium">Review Changes</span>
+          </button>
+        )}
+
         {/* Revert */}
         {canRevert() && (
           <button
@@ -256,6 +322,15 @@ const FloatingSyncControls = ({ binder }) => {
         binderName={binder?.metadata?.name || "Unnamed Binder"}
         isLoading={isReverting}
       />
+
+      {/* Conflict resolution */}
+      <ConflictResolutionModal
+        isOpen={showConflictModal && Boolean(conflictData)}
+        onClose={() => setShowConflictModal(false)}
+        onResolve={handleResolveConflict}
+        conflictData={conflictData}
+        binder={binder}
+      />
     </>
   );
 };
@@ -1,31 +1,111 @@
-const GridSizeSelector = ({ currentSize, onSizeChange }) => {
-  const gridSizes = [
-    { value: "1x1", label: "1×1", description: "Single Card" },
-    { value: "2x2", label: "2×2", description: "4 Cards" },
-    { value: "3x3", label: "3×3", description: "9 Cards" },
-    { value: "4x3", label: "4×3", description: "12 Cards" },
-    { value: "4x4", label: "4×4", description: "16 Cards" },
-  ];
+import { useEffect, useState } from "react";
+import {
+  GRID_LIMITS,
+  GRID_PRESETS,
+  formatGridSize,
+  getGridConfig,
+  getGridLabel,
+  getGridPreset,
+} from "../../utils/binderGrids";
+
+const DimensionInput = ({ label, value, onChange }) => (
+  <label className="flex-1 text-xs text-gray-600 dark:text-gray-400">
+    {label}
+    <input
+      type="number"
+      min={GRID_LIMITS.min}
+      max={GRID_LIMITS.max}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="mt-1 w-full px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+    />
+  </label>
+);
+
+/**
+ * GridSizeSelector - Pick a physical page preset or a custom columns × rows grid
+ * onSizeChange receives the grid size and the preset id (null for custom).
+ */
+const GridSizeSelector = ({ currentSize, currentPreset, onSizeChange }) => {
+  const activePreset = getGridPreset({
+    gridSize: currentSize,
+    gridPreset: currentPreset,
+  });
+  const currentGrid = getGridConfig(currentSize);
+
+  const [cols, setCols] = useState(currentGrid.cols);
+  const [rows, setRows] = useState(currentGrid.rows);
+
+  useEffect(() => {
+    setCols(currentGrid.cols);
+    setRows(currentGrid.rows);
+  }, [currentGrid]);
+
+  const customSize = formatGridSize(Number(cols), Number(rows));
+  const isCustomValid = [cols, rows].every(
+    (value) =>
+      Number.isInteger(Number(value)) &&
+      Number(value) >= GRID_LIMITS.min &&
+      Number(value) <= GRID_LIMITS.max
+  );
 
   return (
-    <div className="bg-white/90 backdrop-blur-sm rounded-lg p-3 shadow-lg">
-      <div className="text-xs font-medium text-gray-600 mb-2">Grid Size</div>
-      <div className="flex gap-1">
-        {gridSizes.map((size) => (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-900 dark:text-gray-100">
+        Grid Size
+      </label>
+      <div className="space-y-2">
+        {GRID_PRESETS.map((preset) => (
           <button
-            key={size.value}
-            onClick={() => onSizeChange(size.value)}
-            className={`px-2 py-1 rounded text-xs font-medium transition-colors ${
-              currentSize === size.value
-                ? "bg-blue-600 text-white"
-                : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            key={preset.id}
+            onClick={() => onSizeChange(preset.gridSize, preset.id)}
+            className={`w-full text-left px-3 py-2 rounded-lg border transition-colors ${
+              activePreset?.id === preset.id
+                ? "border-blue-500 bg-blue-50 dark:bg-blue-950 text-blue-900 dark:text-blue-200"
+                : "border-gray-200 dark:border-gray-700 hover:border-slate-300 dark:hover:border-slate-500 text-gray-900 dark:text-gray-100"
             }`}
-            title={size.description}
           >
-            {size.label}
+            <div className="flex items-center justify-between">
+              <span className="font-medium">{preset.label}</span>
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                {getGridLabel(preset.gridSize)}
+              </span>
+            </div>
+            <div className="text-xs text-gray-600 dark:text-gray-400">
+              {preset.description}
+            </div>
           </button>
         ))}
       </div>
+
+      {/* Custom Grid */}
+      <div
+        className={`px-3 py-2 rounded-lg border ${
+          activePreset
+            ? "border-gray-200 dark:border-gray-700"
+            : "border-blue-500 bg-blue-50 dark:bg-blue-950"
+        }`}
+      >
+        <div className="font-medium text-gray-900 dark:text-gray-100">
+          Custom
+        </div>
+        <div className="flex items-end gap-2 mt-1">
+          <DimensionInput label="Columns" value={cols} onChange={setCols} />
+          <DimensionInput label="Rows" value={rows} onChange={setRows} />
+          <button
+            onClick={() => onSizeChange(customSize, null)}
+            disabled={!isCustomValid || customSize === currentGrid.name}
+            className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 dark:disabled:bg-gray-600 text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            Apply
+          </button>
+        </div>
+        <div className="mt-1 text-xs text-gray-600 dark:text-gray-400">
+          {isCustomValid
+            ? `${Number(cols) * Number(rows)} cards per page`
+            : `${GRID_LIMITS.min} to ${GRID_LIMITS.max} pockets each way`}
+        </div>
+      </div>
     </div>
   );
 };
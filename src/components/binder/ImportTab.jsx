@@ -0,0 +1,21 @@
+import CsvImportWizard from "./import/CsvImportWizard";
+
+const ImportTab = ({
+  currentBinder,
+  onAddCards,
+  cardRemaining,
+  onImported = () => {},
+}) => {
+  return (
+    <div className="h-full">
+      <CsvImportWizard
+        currentBinder={currentBinder}
+        onAddCards={onAddCards}
+        cardRemaining={cardRemaining}
+        onImportComplete={onImported}
+      />
+    </div>
+  );
+};
+
+export default ImportTab;
@@ -0,0 +1,15 @@
+import LivingDexWizard from "./livingdex/LivingDexWizard";
+
+const LivingDexTab = ({ currentBinder, onAddCards, onDexAdded = () => {} }) => {
+  return (
+    <div className="h-full">
+      <LivingDexWizard
+        currentBinder={currentBinder}
+        onAddCards={onAddCards}
+        onWizardComplete={onDexAdded}
+      />
+    </div>
+  );
+};
+
+export default LivingDexTab;
@@ -3,11 +3,15 @@ import { Dialog, Transition } from "@headlessui/react";
 import {
   XMarkIcon,
   ExclamationTriangleIcon,
+  HeartIcon,
 } from "@heroicons/react/24/outline";
+import { toast } from "react-hot-toast";
+import useWantList from "../../hooks/useWantList";
 
 const MissingCardsModal = ({ isOpen, onClose, binder, onMarkAsCollected }) => {
   const [hoveredCard, setHoveredCard] = useState(null);
   const [hoverPosition, setHoverPosition] = useState({ x: 0, y: 0 });
+  const { addCards } = useWantList();
 
   if (!isOpen || !binder) return null;
 
@@ -46,6 +50,21 @@ const MissingCardsModal = ({ isOpen, onClose, binder, onMarkAsCollected }) => {
     setHoveredCard(null);
   };
 
+  const handleAddToWantList = () => {
+    const { added, alreadyListed } = addCards(missingCardDetails, {
+      source: "binder",
+      sourceBinderId: binder.id,
+    });
+
+    if (added > 0) {
+      toast.success(
+        `Added ${added} card${added !== 1 ? "s" : ""} to your want list`
+      );
+    } else if (alreadyListed > 0) {
+      toast("All missing cards are already on your want list");
+    }
+  };
+
   const handleMarkAsCollected = (instanceId) => {
     if (onMarkAsCollected) {
       onMarkAsCollected(instanceId);
@@ -246,12 +265,24 @@ const MissingCardsModal = ({ isOpen, onClose, binder, onMarkAsCollected }) => {
                     ).toFixed(1)}
                     %)
                   </div>
-                  <button
-                    onClick={onClose}
-                    className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
-                  >
-                    Close
-                  </button>
+                  <div className="flex items-center gap-2">
+                    {missingCards.length > 0 && (
+                      <button
+                        onClick={handleAddToWantList}
+                        className="px-4 py-2 bg-pink-600 text-white rounded-lg hover:bg-pink-700 transition-colors flex items-center gap-2"
+                        title="Add all missing cards to your want list"
+                      >
+                        <HeartIcon className="w-4 h-4" />
+                        Add to Want List
+                      </button>
+                    )}
+                    <button
+                      onClick={onClose}
+                      className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
+                    >
+                      Close
+                    </button>
+                  </div>
                 </div>
               </Dialog.Panel>
             </Transition.Child>
@@ -5,6 +5,12 @@ import BinderPageOverview from "./BinderPageOverview";
 import ClearBinderModal from "./ClearBinderModal";
 import BinderColorPicker from "./BinderColorPicker";
 import ShareLinkModal from "./ShareLinkModal";
+import SpreadsheetExportModal from "./SpreadsheetExportModal";
+import PlaceholderPrintModal from "./PlaceholderPrintModal";
+import PdfExportModal from "./PdfExportModal";
+import ChecklistModal from "../checklist/ChecklistModal";
+import ShareImageModal from "./ShareImageModal";
+import BinderHistoryPanel from "./BinderHistoryPanel";
 
 /**
  * ModalProvider component that centralizes all binder modal rendering and management
@@ -38,6 +44,12 @@ export const ModalProvider = ({
     isClearModalOpen = false,
     isColorPickerOpen = false,
     isShareLinkModalOpen = false,
+    isSpreadsheetExportOpen = false,
+    isPlaceholderPrintOpen = false,
+    isPdfExportOpen = false,
+    isChecklistOpen = false,
+    isShareImageOpen = false,
+    isHistoryPanelOpen = false,
   } = modals;
 
   const { targetPosition = null, previewColor = null } = modalData;
@@ -49,6 +61,12 @@ export const ModalProvider = ({
     confirmClearBinder = () => {},
     closeColorPicker = () => {},
     closeShareLinkModal = () => {},
+    closeSpreadsheetExport = () => {},
+    closePlaceholderPrint = () => {},
+    closePdfExport = () => {},
+    closeChecklist = () => {},
+    closeShareImage = () => {},
+    closeHistoryPanel = () => {},
     handlePageSelect = () => {},
     handleColorChange = () => {},
     handleColorPreview = () => {},
@@ -60,6 +78,12 @@ export const ModalProvider = ({
     clearModal: clearModalProps = {},
     colorPicker: colorPickerProps = {},
     shareModal: shareModalProps = {},
+    spreadsheetExport: spreadsheetExportProps = {},
+    placeholderPrint: placeholderPrintProps = {},
+    pdfExport: pdfExportProps = {},
+    checklist: checklistProps = {},
+    shareImage: shareImageProps = {},
+    historyPanel: historyPanelProps = {},
   } = modalProps;
 
   return (
@@ -109,6 +133,56 @@ export const ModalProvider = ({
         binder={binder}
         {...shareModalProps}
       />
+
+      {/* Spreadsheet Export Modal */}
+      <SpreadsheetExportModal
+        isOpen={isSpreadsheetExportOpen}
+        onClose={closeSpreadsheetExport}
+        binder={binder}
+        {...spreadsheetExportProps}
+      />
+
+      {/* Placeholder Print Modal */}
+      <PlaceholderPrintModal
+        isOpen={isPlaceholderPrintOpen}
+        onClose={closePlaceholderPrint}
+        binder={binder}
+        {...placeholderPrintProps}
+      />
+
+      {/* PDF Export Modal */}
+      <PdfExportModal
+        isOpen={isPdfExportOpen}
+        onClose={closePdfExport}
+        binder={binder}
+        {...pdfExportProps}
+      />
+
+      {/* Checklist Modal */}
+      <ChecklistModal
+        isOpen={isChecklistOpen}
+        onClose={closeChecklist}
+        binder={binder}
+        {...checklistProps}
+      />
+
+      {/* Share Image Modal */}
+      <ShareImageModal
+        isOpen={isShareImageOpen}
+        onClose={closeShareImage}
+        binder={binder}
+        {...shareImageProps}
+      />
+
+      {/* History Panel */}
+      {historyPanelProps.onUndo && (
+        <BinderHistoryPanel
+          isOpen={isHistoryPanelOpen}
+          onClose={closeHistoryPanel}
+          binder={binder}
+          {...historyPanelProps}
+        />
+      )}
     </>
   );
 };
@@ -121,6 +195,12 @@ ModalProvider.propTypes = {
     isClearModalOpen: PropTypes.bool,
     isColorPickerOpen: PropTypes.bool,
     isShareLinkModalOpen: PropTypes.bool,
+    isSpreadsheetExportOpen: PropTypes.bool,
+    isPlaceholderPrintOpen: PropTypes.bool,
+    isPdfExportOpen: PropTypes.bool,
+    isChecklistOpen: PropTypes.bool,
+    isShareImageOpen: PropTypes.bool,
+    isHistoryPanelOpen: PropTypes.bool,
     isAnyModalOpen: PropTypes.bool,
   }),
   modalData: PropTypes.shape({
@@ -134,6 +214,12 @@ ModalProvider.propTypes = {
     confirmClearBinder: PropTypes.func,
     closeColorPicker: PropTypes.func,
     closeShareLinkModal: PropTypes.func,
+    closeSpreadsheetExport: PropTypes.func,
+    closePlaceholderPrint: PropTypes.func,
+    closePdfExport: PropTypes.func,
+    closeChecklist: PropTypes.func,
+    closeShareImage: PropTypes.func,
+    closeHistoryPanel: PropTypes.func,
     handlePageSelect: PropTypes.func,
     handleColorChange: PropTypes.func,
     handleColorPreview: PropTypes.func,
@@ -144,6 +230,12 @@ ModalProvider.propTypes = {
     clearModal: PropTypes.object,
     colorPicker: PropTypes.object,
     shareModal: PropTypes.object,
+    spreadsheetExport: PropTypes.object,
+    placeholderPrint: PropTypes.object,
+    pdfExport: PropTypes.object,
+    checklist: PropTypes.object,
+    shareImage: PropTypes.object,
+    historyPanel: PropTypes.object,
   }),
   disabled: PropTypes.bool,
 };
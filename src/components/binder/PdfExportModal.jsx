@@ -0,0 +1,282 @@
+import { useMemo, useState } from "react";
+import { toast } from "react-hot-toast";
+import {
+  XMarkIcon,
+  DocumentTextIcon,
+  DocumentArrowDownIcon,
+} from "@heroicons/react/24/outline";
+import { useAuth } from "../../hooks/useAuth";
+import { useRules } from "../../contexts/RulesContext";
+import useExportTracking from "../../hooks/useExportTracking";
+import { pdfExportService } from "../../services/PdfExportService";
+import {
+  DEFAULT_PDF_PAGE_SIZE,
+  PDF_LAYOUTS,
+  PDF_PAGE_SIZES,
+  getBinderPdfPages,
+  getPdfSheets,
+} from "../../utils/binderPdf";
+
+const PROGRESS_LABELS = {
+  images: "Loading card images",
+  rendering: "Laying out pages",
+  writing: "Writing PDF",
+};
+
+/**
+ * PdfExportModal - Export a binder as a printable vector PDF
+ * Pages follow the binder's grid and card positions, with optional spreads,
+ * a linked page index and a checklist appendix.
+ */
+const PdfExportModal = ({ isOpen, onClose, binder }) => {
+  const { user } = useAuth();
+  const { checkBinderLimits, canPerformAction } = useRules();
+  const { trackExport } = useExportTracking();
+
+  const [pageSize, setPageSize] = useState(DEFAULT_PDF_PAGE_SIZE);
+  const [layout, setLayout] = useState("single");
+  const [includeIndex, setIncludeIndex] = useState(true);
+  const [includeChecklist, setIncludeChecklist] = useState(true);
+  const [includeEmptyPages, setIncludeEmptyPages] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const counts = useMemo(() => {
+    if (!isOpen || !binder) return { pages: 0, sheets: 0 };
+
+    const pages = getBinderPdfPages(binder, { includeEmptyPages });
+    return {
+      pages: pages.length,
+      sheets: getPdfSheets(pages, layout).length,
+    };
+  }, [isOpen, binder, includeEmptyPages, layout]);
+
+  if (!isOpen) return null;
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget && !isExporting) {
+      onClose();
+    }
+  };
+
+  const handleExport = async () => {
+    if (!binder || isExporting) return;
+
+    setIsExporting(true);
+    try {
+      const canExport = await checkBinderLimits.canExportPdf(
+        { canPerformAction },
+        user?.uid || "local_user"
+      );
+      if (!canExport.allowed) {
+        toast.error(canExport.reason || "Export limit reached");
+        return;
+      }
+
+      const { pageCount } = await pdfExportService.generateBinderPdf(binder, {
+        pageSize,
+        layout,
+        includeIndex,
+        includeChecklist,
+        includeEmptyPages,
+        onProgress: setProgress,
+      });
+
+      await trackExport("pdf");
+
+      toast.success(
+        `PDF with ${pageCount} binder page${pageCount !== 1 ? "s" : ""} ready`
+      );
+      onClose();
+    } catch (error) {
+      console.error("PDF export failed:", error);
+      toast.error(error.message);
+    } finally {
+      setIsExporting(false);
+      setProgress(null);
+    }
+  };
+
+  const optionClass = (selected) =>
+    `flex items-start gap-3 p-3 rounded-lg border cursor-pointer transition-colors ${
+      selected
+        ? "border-blue-500 bg-blue-50 dark:bg-blue-950/30"
+        : "border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50"
+    }`;
+
+  const progressPercent =
+    progress && progress.total > 0
+      ? Math.round((progress.completed / progress.total) * 100)
+      : 0;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-60 backdrop-blur-sm z-[70] flex items-center justify-center p-6"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl max-w-md w-full max-h-full overflow-y-auto p-6 animate-in zoom-in-95 duration-200">
+        {/* Header */}
+        <div className="flex items-start justify-between mb-6">
+          <div className="flex items-center space-x-3">
+            <div className="w-12 h-12 bg-red-100 dark:bg-red-900 rounded-full flex items-center justify-center">
+              <DocumentTextIcon className="w-6 h-6 text-red-600 dark:text-red-400" />
+            </div>
+            <div>
+              <h3 className="text-xl font-bold text-gray-900 dark:text-gray-100">
+                Export PDF
+              </h3>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                Printable copy of "{binder?.metadata?.name || "Untitled"}"
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={isExporting}
+            className="p-1 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <XMarkIcon className="w-5 h-5 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300" />
+          </button>
+        </div>
+
+        {/* Page Size */}
+        <div className="mb-6">
+          <span className="block text-sm font-medium text-gray-900 dark:text-gray-100 mb-2">
+            Page Size
+          </span>
+          <div className="flex gap-2">
+            {Object.entries(PDF_PAGE_SIZES).map(([key, size]) => (
+              <button
+                key={key}
+                onClick={() => setPageSize(key)}
+                disabled={isExporting}
+                className={`flex-1 px-3 py-2 rounded-lg border text-sm font-medium transition-colors ${
+                  pageSize === key
+                    ? "border-blue-500 bg-blue-50 dark:bg-blue-950/30 text-blue-900 dark:text-blue-200"
+                    : "border-gray-200 dark:border-gray-700 text-gray-900 dark:text-gray-100 hover:bg-gray-50 dark:hover:bg-gray-700/50"
+                }`}
+              >
+                {size.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Layout */}
+        <div className="mb-6 space-y-2">
+          <span className="block text-sm font-medium text-gray-900 dark:text-gray-100">
+            Layout
+          </span>
+          {Object.entries(PDF_LAYOUTS).map(([key, option]) => (
+            <label key={key} className={optionClass(layout === key)}>
+              <input
+                type="radio"
+                name="pdf-layout"
+                value={key}
+                checked={layout === key}
+                onChange={() => setLayout(key)}
+                disabled={isExporting}
+                className="mt-1"
+              />
+              <div>
+                <div className="font-medium text-gray-900 dark:text-gray-100">
+                  {option.label}
+                </div>
+                <div className="text-xs text-gray-600 dark:text-gray-400">
+                  {option.description}
+                </div>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        {/* Contents */}
+        <div className="mb-6 bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4 space-y-3">
+          <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-gray-100">
+            <input
+              type="checkbox"
+              checked={includeIndex}
+              onChange={(e) => setIncludeIndex(e.target.checked)}
+              disabled={isExporting}
+              className="rounded border-gray-300"
+            />
+            Page index with links
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-gray-100">
+            <input
+              type="checkbox"
+              checked={includeChecklist}
+              onChange={(e) => setIncludeChecklist(e.target.checked)}
+              disabled={isExporting}
+              className="rounded border-gray-300"
+            />
+            Checklist of every card
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-gray-100">
+            <input
+              type="checkbox"
+              checked={includeEmptyPages}
+              onChange={(e) => setIncludeEmptyPages(e.target.checked)}
+              disabled={isExporting}
+              className="rounded border-gray-300"
+            />
+            Include empty pages
+          </label>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {counts.pages} binder page{counts.pages !== 1 ? "s" : ""} on{" "}
+            {counts.sheets} sheet{counts.sheets !== 1 ? "s" : ""}, plus the
+            cover
+            {includeIndex || includeChecklist ? " and appendices" : ""}.
+          </p>
+        </div>
+
+        {/* Progress */}
+        {progress && (
+          <div className="mb-6">
+            <div className="flex justify-between text-xs text-gray-600 dark:text-gray-400 mb-1">
+              <span>{PROGRESS_LABELS[progress.stage]}</span>
+              {progress.stage !== "writing" && progress.total > 0 && (
+                <span>
+                  {progress.completed} / {progress.total}
+                </span>
+              )}
+            </div>
+            <div className="h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className={`h-full bg-blue-600 transition-all ${
+                  progress.stage === "writing" ? "animate-pulse" : ""
+                }`}
+                style={{
+                  width: `${
+                    progress.stage === "writing" ? 100 : progressPercent
+                  }%`,
+                }}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Action Buttons */}
+        <div className="flex space-x-3">
+          <button
+            onClick={onClose}
+            disabled={isExporting}
+            className="flex-1 px-4 py-3 text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg font-medium transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={isExporting || counts.pages === 0}
+            className="flex-1 px-4 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white rounded-lg font-medium transition-colors flex items-center justify-center gap-2"
+          >
+            <DocumentArrowDownIcon className="w-4 h-4" />
+            {isExporting ? "Generating..." : "Download PDF"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PdfExportModal;
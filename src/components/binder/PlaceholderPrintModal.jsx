@@ -0,0 +1,273 @@
+import { useMemo, useState } from "react";
+import { toast } from "react-hot-toast";
+import {
+  XMarkIcon,
+  PrinterIcon,
+  DocumentArrowDownIcon,
+} from "@heroicons/react/24/outline";
+import { useAuth } from "../../hooks/useAuth";
+import { useRules } from "../../contexts/RulesContext";
+import useExportTracking from "../../hooks/useExportTracking";
+import { placeholderPrintService } from "../../services/PlaceholderPrintService";
+import {
+  DEFAULT_PAPER_SIZE,
+  PAPER_SIZES,
+  getPlaceholderSlots,
+  layoutPlaceholderSheets,
+} from "../../utils/placeholderPrint";
+
+const STYLES = [
+  {
+    value: "image",
+    label: "Greyed out card image",
+    description: "Falls back to a text label when the image can't be loaded",
+  },
+  {
+    value: "text",
+    label: "Text label",
+    description: "Name, set, number and rarity - uses the least ink",
+  },
+];
+
+/**
+ * PlaceholderPrintModal - Print cut-to-size placeholders for a binder
+ * One 63×88 mm placeholder per missing card and/or empty pocket, with crop
+ * marks, so the binder can be filled physically.
+ */
+const PlaceholderPrintModal = ({ isOpen, onClose, binder }) => {
+  const { user } = useAuth();
+  const { checkBinderLimits, canPerformAction } = useRules();
+  const { trackExport } = useExportTracking();
+
+  const [includeMissing, setIncludeMissing] = useState(true);
+  const [includeEmpty, setIncludeEmpty] = useState(false);
+  const [paperSize, setPaperSize] = useState(DEFAULT_PAPER_SIZE);
+  const [style, setStyle] = useState("image");
+  const [matchPageOrder, setMatchPageOrder] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const counts = useMemo(() => {
+    if (!isOpen || !binder)
+      return { missing: 0, empty: 0, placeholders: 0, sheets: 0 };
+
+    const slots = getPlaceholderSlots(binder, {
+      includeMissing,
+      includeEmpty,
+    });
+    return {
+      missing: getPlaceholderSlots(binder, { includeMissing: true }).length,
+      empty: getPlaceholderSlots(binder, {
+        includeMissing: false,
+        includeEmpty: true,
+      }).length,
+      placeholders: slots.length,
+      sheets: layoutPlaceholderSheets(slots, {
+        gridSize: binder.settings?.gridSize,
+        paperSize,
+        matchPageOrder,
+      }).length,
+    };
+  }, [isOpen, binder, includeMissing, includeEmpty, paperSize, matchPageOrder]);
+
+  if (!isOpen) return null;
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget && !isExporting) {
+      onClose();
+    }
+  };
+
+  const handleExport = async () => {
+    if (!binder || isExporting) return;
+
+    setIsExporting(true);
+    try {
+      const canExport = await checkBinderLimits.canExportPdf(
+        { canPerformAction },
+        user?.uid || "local_user"
+      );
+      if (!canExport.allowed) {
+        toast.error(canExport.reason || "Export limit reached");
+        return;
+      }
+
+      const { placeholderCount, sheetCount } =
+        await placeholderPrintService.generatePlaceholderPdf(binder, {
+          includeMissing,
+          includeEmpty,
+          paperSize,
+          style,
+          matchPageOrder,
+        });
+
+      await trackExport("pdf");
+
+      toast.success(
+        `${placeholderCount} placeholder${
+          placeholderCount !== 1 ? "s" : ""
+        } on ${sheetCount} sheet${sheetCount !== 1 ? "s" : ""}`
+      );
+      onClose();
+    } catch (error) {
+      console.error("Placeholder print failed:", error);
+      toast.error(`Print failed: ${error.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const optionClass = (selected) =>
+    `flex items-start gap-3 p-3 rounded-lg border cursor-pointer transition-colors ${
+      selected
+        ? "border-blue-500 bg-blue-50 dark:bg-blue-950/30"
+        : "border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50"
+    }`;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-60 backdrop-blur-sm z-[70] flex items-center justify-center p-6"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl max-w-md w-full max-h-full overflow-y-auto p-6 animate-in zoom-in-95 duration-200">
+        {/* Header */}
+        <div className="flex items-start justify-between mb-6">
+          <div className="flex items-center space-x-3">
+            <div className="w-12 h-12 bg-purple-100 dark:bg-purple-900 rounded-full flex items-center justify-center">
+              <PrinterIcon className="w-6 h-6 text-purple-600 dark:text-purple-400" />
+            </div>
+            <div>
+              <h3 className="text-xl font-bold text-gray-900 dark:text-gray-100">
+                Print Placeholders
+              </h3>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                Cut-to-size 63×88 mm cards for "
+                {binder?.metadata?.name || "Untitled"}"
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={isExporting}
+            className="p-1 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <XMarkIcon className="w-5 h-5 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300" />
+          </button>
+        </div>
+
+        {/* Placeholders */}
+        <div className="mb-6 bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4 space-y-3">
+          <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-gray-100">
+            <input
+              type="checkbox"
+              checked={includeMissing}
+              onChange={(e) => setIncludeMissing(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Cards marked as missing ({counts.missing})
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-gray-100">
+            <input
+              type="checkbox"
+              checked={includeEmpty}
+              onChange={(e) => setIncludeEmpty(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Empty pockets ({counts.empty})
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-gray-100">
+            <input
+              type="checkbox"
+              checked={matchPageOrder}
+              onChange={(e) => setMatchPageOrder(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Match binder page order
+          </label>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {matchPageOrder
+              ? "Each binder page starts a new sheet, with placeholders in the same spots as their pockets where the page fits."
+              : "Placeholders are packed together to use the fewest sheets."}
+          </p>
+        </div>
+
+        {/* Style */}
+        <div className="mb-6 space-y-2">
+          <span className="block text-sm font-medium text-gray-900 dark:text-gray-100">
+            Placeholder Style
+          </span>
+          {STYLES.map((option) => (
+            <label
+              key={option.value}
+              className={optionClass(style === option.value)}
+            >
+              <input
+                type="radio"
+                name="placeholder-style"
+                value={option.value}
+                checked={style === option.value}
+                onChange={() => setStyle(option.value)}
+                className="mt-1"
+              />
+              <div>
+                <div className="font-medium text-gray-900 dark:text-gray-100">
+                  {option.label}
+                </div>
+                <div className="text-xs text-gray-600 dark:text-gray-400">
+                  {option.description}
+                </div>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        {/* Paper */}
+        <div className="mb-6">
+          <span className="block text-sm font-medium text-gray-900 dark:text-gray-100 mb-2">
+            Paper
+          </span>
+          <div className="flex gap-2">
+            {Object.entries(PAPER_SIZES).map(([key, paper]) => (
+              <button
+                key={key}
+                onClick={() => setPaperSize(key)}
+                className={`flex-1 px-3 py-2 rounded-lg border text-sm font-medium transition-colors ${
+                  paperSize === key
+                    ? "border-blue-500 bg-blue-50 dark:bg-blue-950/30 text-blue-900 dark:text-blue-200"
+                    : "border-gray-200 dark:border-gray-700 text-gray-900 dark:text-gray-100 hover:bg-gray-50 dark:hover:bg-gray-700/50"
+                }`}
+              >
+                {paper.label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            {counts.placeholders} placeholder
+            {counts.placeholders !== 1 ? "s" : ""} on {counts.sheets} sheet
+            {counts.sheets !== 1 ? "s" : ""}. Print at 100% scale.
+          </p>
+        </div>
+
+        {/* Action Buttons */}
+        <div className="flex space-x-3">
+          <button
+            onClick={onClose}
+            disabled={isExporting}
+            className="flex-1 px-4 py-3 text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg font-medium transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={isExporting || counts.placeholders === 0}
+            className="flex-1 px-4 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white rounded-lg font-medium transition-colors flex items-center justify-center gap-2"
+          >
+            <DocumentArrowDownIcon className="w-4 h-4" />
+            {isExporting ? "Generating..." : "Download PDF"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PlaceholderPrintModal;
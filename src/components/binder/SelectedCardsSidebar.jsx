@@ -6,6 +6,24 @@ import {
   XMarkIcon,
   CubeTransparentIcon,
 } from "@heroicons/react/24/outline";
+import useInventory from "../../hooks/useInventory";
+import { countCopies, formatLocation } from "../../utils/inventory";
+
+// Where the selected card is already owned, so duplicates are added on purpose
+const OwnedWarning = ({ ownedCopies }) => {
+  if (ownedCopies.length === 0) return null;
+
+  const count = countCopies(ownedCopies);
+  return (
+    <p
+      className="text-xs text-amber-600 dark:text-amber-400 truncate"
+      title={ownedCopies.map(formatLocation).join("\n")}
+    >
+      Already owned ×{count} · {ownedCopies[0].binderName}
+      {ownedCopies.length > 1 && ` +${ownedCopies.length - 1}`}
+    </p>
+  );
+};
 
 const SelectedCardsSidebar = ({
   selectedMap,
@@ -24,6 +42,7 @@ const SelectedCardsSidebar = ({
   cardRemaining = null,
 }) => {
   const selectedItems = Object.values(selectedMap);
+  const { getOwnedCopies } = useInventory();
 
   const footerVisible = activeTab === 0 || activeTab === 2; // For Single Cards and Sleeves tabs
 
@@ -74,6 +93,7 @@ const SelectedCardsSidebar = ({
                 <p className="text-xs text-slate-500 dark:text-slate-400 truncate">
                   {card.set.name}
                 </p>
+                <OwnedWarning ownedCopies={getOwnedCopies(card).samePrinting} />
               </div>
               <div className="flex items-center gap-1.5">
                 <button
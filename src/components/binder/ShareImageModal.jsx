@@ -0,0 +1,454 @@
+import { useEffect, useMemo, useState } from "react";
+import { toast } from "react-hot-toast";
+import {
+  XMarkIcon,
+  PhotoIcon,
+  ArrowDownTrayIcon,
+  ShareIcon,
+} from "@heroicons/react/24/outline";
+import { useAuth } from "../../hooks/useAuth";
+import { useRules } from "../../contexts/RulesContext";
+import useCardPrices from "../../hooks/useCardPrices";
+import useExportTracking from "../../hooks/useExportTracking";
+import { shareService } from "../../services/ShareService";
+import { shareImageService } from "../../services/ShareImageService";
+import { getUserProfile } from "../../utils/getUserProfile";
+import { getPublicBinderUrl } from "../../utils/publicUtils";
+import { isShareLinkExpired } from "../../utils/shareLinks";
+import {
+  DEFAULT_SHARE_IMAGE_SIZE,
+  SHARE_IMAGE_LAYOUTS,
+  SHARE_IMAGE_RANKINGS,
+  SHARE_IMAGE_SIZES,
+  getShareImageSheets,
+} from "../../utils/shareImage";
+
+/**
+ * ShareImageModal - Export a binder as an image for social media
+ * Renders a page, a spread or the binder's top cards with its name, owner,
+ * stats and share link, previewed before download.
+ */
+const ShareImageModal = ({ isOpen, onClose, binder }) => {
+  const { user } = useAuth();
+  const { checkBinderLimits, canPerformAction } = useRules();
+  const { trackExport } = useExportTracking();
+  const priceBinders = useMemo(() => (binder ? [binder] : []), [binder]);
+  const { getCardValue, getBinderValue, formatValue } = useCardPrices({
+    binders: priceBinders,
+  });
+
+  const [size, setSize] = useState(DEFAULT_SHARE_IMAGE_SIZE);
+  const [layout, setLayout] = useState("collage");
+  const [sheetIndex, setSheetIndex] = useState(0);
+  const [rankBy, setRankBy] = useState("rarity");
+  const [showValue, setShowValue] = useState(false);
+  const [shareLinks, setShareLinks] = useState([]);
+  const [shareUrl, setShareUrl] = useState("");
+  const [ownerName, setOwnerName] = useState(null);
+  const [image, setImage] = useState(null);
+  const [isRendering, setIsRendering] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const binderId = binder?.id;
+  const ownerId = binder?.ownerId;
+  const isOwner = Boolean(user && ownerId === user.uid);
+  const isPublic = Boolean(binder?.permissions?.public);
+
+  // Share links and owner name
+  useEffect(() => {
+    if (!isOpen || !binderId) return;
+    let isMounted = true;
+
+    const links = [];
+    if (isPublic && ownerId && ownerId !== "local_user") {
+      links.push({
+        url: `${window.location.origin}${getPublicBinderUrl(
+          ownerId,
+          binderId
+        )}`,
+        label: "Public binder page",
+      });
+    }
+    setShareLinks(links);
+    setShareUrl(links[0]?.url || "");
+
+    if (isOwner) {
+      shareService
+        .getShareLinks(binderId, user.uid)
+        .then((shares) => {
+          if (!isMounted) return;
+          const shareLinkOptions = shares
+            .filter((share) => !isShareLinkExpired(share))
+            .map((share) => {
+              const label = share.description || "Share link";
+              return {
+                url: share.shareUrl,
+                label: share.isPasscodeProtected
+                  ? `${label} (passcode)`
+                  : label,
+                isPasscodeProtected: share.isPasscodeProtected,
+              };
+            });
+          if (shareLinkOptions.length === 0) return;
+
+          const options = [...shareLinkOptions, ...links];
+          setShareLinks(options);
+          // Default to a link anyone scanning the image can open
+          setShareUrl(
+            (options.find((link) => !link.isPasscodeProtected) || options[0])
+              .url
+          );
+        })
+        .catch((error) => {
+          console.error("Error loading share links:", error);
+        });
+    }
+
+    if (!ownerId || ownerId === "local_user") {
+      setOwnerName(user?.displayName || null);
+    } else {
+      getUserProfile(ownerId)
+        .then((profile) => {
+          if (isMounted) setOwnerName(profile?.displayName || null);
+        })
+        .catch(() => {
+          if (isMounted) setOwnerName(null);
+        });
+    }
+
+    return () => {
+      isMounted = false;
+    };
+  }, [isOpen, binderId, ownerId, isOwner, isPublic, user]);
+
+  const sheets = useMemo(
+    () =>
+      isOpen && binder && layout !== "collage"
+        ? getShareImageSheets(binder, layout)
+        : [],
+    [isOpen, binder, layout]
+  );
+
+  const valueLabel = useMemo(() => {
+    if (!showValue || !binder) return null;
+    const { total } = getBinderValue(binder);
+    return total > 0 ? formatValue(total) : null;
+  }, [showValue, binder, getBinderValue, formatValue]);
+
+  const imageOptions = useMemo(
+    () => ({
+      size,
+      layout,
+      sheetIndex,
+      rankBy,
+      getCardValue,
+      ownerName,
+      shareUrl: shareUrl || null,
+      valueLabel,
+    }),
+    [
+      size,
+      layout,
+      sheetIndex,
+      rankBy,
+      getCardValue,
+      ownerName,
+      shareUrl,
+      valueLabel,
+    ]
+  );
+
+  // Render the preview, waiting for the options to settle
+  useEffect(() => {
+    if (!isOpen || !binder) return;
+    let isCurrent = true;
+
+    const timeout = setTimeout(async () => {
+      setIsRendering(true);
+      try {
+        const result = await shareImageService.generateShareImage(
+          binder,
+          imageOptions
+        );
+        if (isCurrent) {
+          setImage({ ...result, url: URL.createObjectURL(result.blob) });
+        }
+      } catch (error) {
+        console.error("Share image preview failed:", error);
+      } finally {
+        if (isCurrent) setIsRendering(false);
+      }
+    }, 300);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timeout);
+    };
+  }, [isOpen, binder, imageOptions]);
+
+  // Release the previous preview
+  useEffect(() => {
+    return () => {
+      if (image?.url) URL.revokeObjectURL(image.url);
+    };
+  }, [image]);
+
+  if (!isOpen || !binder) return null;
+
+  const imageFile = image
+    ? new File([image.blob], image.filename, { type: "image/png" })
+    : null;
+  const canShareFile = Boolean(
+    imageFile && navigator.canShare?.({ files: [imageFile] })
+  );
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget && !isExporting) {
+      onClose();
+    }
+  };
+
+  const handleLayoutChange = (value) => {
+    setLayout(value);
+    setSheetIndex(0);
+  };
+
+  const handleExport = async (method) => {
+    if (!image || isExporting) return;
+
+    setIsExporting(true);
+    try {
+      const canExport = await checkBinderLimits.canExportPdf(
+        { canPerformAction },
+        user?.uid || "local_user"
+      );
+      if (!canExport.allowed) {
+        toast.error(canExport.reason || "Export limit reached");
+        return;
+      }
+
+      if (method === "share") {
+        await navigator.share({
+          files: [imageFile],
+          title: binder.metadata?.name || "My Pokémon Binder",
+          ...(shareUrl && { url: shareUrl }),
+        });
+      } else {
+        shareImageService.downloadImage(image.blob, image.filename);
+      }
+
+      // Counts against the pdf_export rate limit checked above
+      await trackExport("pdf");
+
+      toast.success(method === "share" ? "Image shared" : "Image downloaded");
+      onClose();
+    } catch (error) {
+      if (error.name === "AbortError") return;
+      console.error("Share image export failed:", error);
+      toast.error(error.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const optionClass = (selected) =>
+    `px-3 py-2 rounded-lg border text-sm font-medium transition-colors ${
+      selected
+        ? "border-blue-500 bg-blue-50 dark:bg-blue-950/30 text-blue-900 dark:text-blue-200"
+        : "border-gray-200 dark:border-gray-700 text-gray-900 dark:text-gray-100 hover:bg-gray-50 dark:hover:bg-gray-700/50"
+    }`;
+  const selectClass =
+    "w-full px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm text-gray-900 dark:text-gray-100";
+  const labelClass =
+    "block text-sm font-medium text-gray-900 dark:text-gray-100 mb-2";
+  const selectedSize = SHARE_IMAGE_SIZES[size];
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-60 backdrop-blur-sm z-[70] flex items-center justify-center p-6"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl max-w-3xl w-full max-h-full overflow-y-auto p-6 animate-in zoom-in-95 duration-200">
+        {/* Header */}
+        <div className="flex items-start justify-between mb-6">
+          <div className="flex items-center space-x-3">
+            <div className="w-12 h-12 bg-pink-100 dark:bg-pink-900 rounded-full flex items-center justify-center">
+              <PhotoIcon className="w-6 h-6 text-pink-600 dark:text-pink-400" />
+            </div>
+            <div>
+              <h3 className="text-xl font-bold text-gray-900 dark:text-gray-100">
+                Share as Image
+              </h3>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                Post "{binder.metadata?.name || "Untitled Binder"}" on social
+                media
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={isExporting}
+            className="p-1 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <XMarkIcon className="w-5 h-5 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300" />
+          </button>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-6 mb-6">
+          {/* Preview */}
+          <div className="flex items-center justify-center bg-gray-100 dark:bg-gray-900/50 rounded-lg p-3 min-h-[16rem]">
+            {image ? (
+              <img
+                src={image.url}
+                alt="Share image preview"
+                className={`max-h-[28rem] max-w-full rounded shadow-md transition-opacity ${
+                  isRendering ? "opacity-50" : ""
+                }`}
+              />
+            ) : (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Rendering preview...
+              </p>
+            )}
+          </div>
+
+          {/* Options */}
+          <div className="space-y-5">
+            <div>
+              <span className={labelClass}>Size</span>
+              <select
+                value={size}
+                onChange={(e) => setSize(e.target.value)}
+                className={selectClass}
+              >
+                {Object.entries(SHARE_IMAGE_SIZES).map(([key, option]) => (
+                  <option key={key} value={key}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                {selectedSize.description}
+              </p>
+            </div>
+
+            <div>
+              <span className={labelClass}>Show</span>
+              <div className="flex gap-2">
+                {Object.entries(SHARE_IMAGE_LAYOUTS).map(([key, option]) => (
+                  <button
+                    key={key}
+                    onClick={() => handleLayoutChange(key)}
+                    title={option.description}
+                    className={`flex-1 ${optionClass(layout === key)}`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {layout === "collage" ? (
+              <div>
+                <span className={labelClass}>Rank Cards By</span>
+                <div className="flex gap-2">
+                  {SHARE_IMAGE_RANKINGS.map((option) => (
+                    <button
+                      key={option.value}
+                      onClick={() => setRankBy(option.value)}
+                      className={`flex-1 ${optionClass(
+                        rankBy === option.value
+                      )}`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <div>
+                <span className={labelClass}>
+                  {layout === "spread" ? "Spread" : "Page"}
+                </span>
+                <select
+                  value={sheetIndex}
+                  onChange={(e) => setSheetIndex(Number(e.target.value))}
+                  className={selectClass}
+                >
+                  {sheets.map((sheet, index) => (
+                    <option key={sheet.label} value={index}>
+                      {sheet.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div>
+              <span className={labelClass}>Link</span>
+              <select
+                value={shareUrl}
+                onChange={(e) => setShareUrl(e.target.value)}
+                className={selectClass}
+              >
+                {shareLinks.map((link) => (
+                  <option key={link.url} value={link.url}>
+                    {link.label}
+                  </option>
+                ))}
+                <option value="">No link</option>
+              </select>
+              {shareLinks.length === 0 && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  Make the binder public or create a share link to add a QR
+                  code.
+                </p>
+              )}
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-gray-100">
+              <input
+                type="checkbox"
+                checked={showValue}
+                onChange={(e) => setShowValue(e.target.checked)}
+                className="rounded border-gray-300"
+              />
+              Show collection value
+            </label>
+          </div>
+        </div>
+
+        {/* Action Buttons */}
+        <div className="flex space-x-3">
+          <button
+            onClick={onClose}
+            disabled={isExporting}
+            className="flex-1 px-4 py-3 text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg font-medium transition-colors"
+          >
+            Cancel
+          </button>
+          {canShareFile && (
+            <button
+              onClick={() => handleExport("share")}
+              disabled={isExporting || isRendering}
+              className="flex-1 px-4 py-3 text-blue-700 dark:text-blue-300 bg-blue-50 dark:bg-blue-950/30 hover:bg-blue-100 dark:hover:bg-blue-900/40 disabled:opacity-50 rounded-lg font-medium transition-colors flex items-center justify-center gap-2"
+            >
+              <ShareIcon className="w-4 h-4" />
+              Share
+            </button>
+          )}
+          <button
+            onClick={() => handleExport("download")}
+            disabled={isExporting || isRendering || !image}
+            className="flex-1 px-4 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white rounded-lg font-medium transition-colors flex items-center justify-center gap-2"
+          >
+            <ArrowDownTrayIcon className="w-4 h-4" />
+            {isExporting ? "Exporting..." : "Download PNG"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareImageModal;
@@ -1,11 +1,17 @@
 import React, { useState, useEffect, useRef } from "react";
 import { useAuth } from "../../hooks/useAuth";
 import { useBinderContext } from "../../contexts/BinderContext";
-import shareService from "../../services/ShareService";
+import shareService, {
+  MAX_SHARE_LINKS_PER_BINDER,
+} from "../../services/ShareService";
 import QRCodePdfService from "../../services/QRCodePdfService";
 import { toast } from "react-hot-toast";
 import { QRCodeSVG } from "qrcode.react";
 import * as RadioGroup from "@radix-ui/react-radio-group";
+import {
+  getShareViewHistory,
+  isShareLinkExpired,
+} from "../../utils/shareLinks";
 import {
   XMarkIcon,
   LinkIcon,
@@ -23,6 +29,8 @@ import {
   EyeSlashIcon,
   CheckCircleIcon,
   ClockIcon as TimeIcon,
+  LockClosedIcon,
+  ChartBarIcon,
 } from "@heroicons/react/24/outline";
 import { CheckIcon, ShieldCheckIcon } from "@heroicons/react/24/solid";
 
@@ -41,6 +49,10 @@ const expirationOptions = [
   { id: "never", label: "Never", value: null, icon: "♾️" },
 ];
 
+// Days of views shown per link
+const VIEW_HISTORY_DAYS = 14;
+const MIN_PASSCODE_LENGTH = 4;
+
 const ShareLinkModal = ({ isOpen, onClose, binder }) => {
   const { user } = useAuth();
   const { updateBinder } = useBinderContext();
@@ -50,6 +62,8 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [newLinkDesc, setNewLinkDesc] = useState("");
   const [selectedExpiration, setSelectedExpiration] = useState("never");
+  const [newLinkPasscode, setNewLinkPasscode] = useState("");
+  const [newLinkHidesDetails, setNewLinkHidesDetails] = useState(false);
   const [isMobile, setIsMobile] = useState(window.innerWidth < 768);
   const [visibleQRCodes, setVisibleQRCodes] = useState(new Set());
   const [publishing, setPublishing] = useState(false);
@@ -132,6 +146,8 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
       setShowCreateForm(false);
       setNewLinkDesc("");
       setSelectedExpiration("never");
+      setNewLinkPasscode("");
+      setNewLinkHidesDetails(false);
       setVisibleQRCodes(new Set());
     }
   }, [isOpen, binder?.id, user?.uid]);
@@ -150,8 +166,11 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
   };
 
   const handleCreateShareLink = async () => {
-    if (!binder?.permissions?.public) {
-      toast.error("Binder must be public to create share links");
+    const passcode = newLinkPasscode.trim();
+    if (passcode && passcode.length < MIN_PASSCODE_LENGTH) {
+      toast.error(
+        `Passcode must be at least ${MIN_PASSCODE_LENGTH} characters`
+      );
       return;
     }
 
@@ -170,6 +189,8 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
       const options = {
         description: newLinkDesc.trim() || `Share Link`,
         expiresAt,
+        passcode: passcode || null,
+        hidePricesAndNotes: newLinkHidesDetails,
       };
 
       const result = await shareService.createShareLink(
@@ -179,20 +200,14 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
       );
 
       if (result.success) {
-        // Show different success messages based on whether we replaced an existing link
-        if (result.replacedExistingLinks) {
-          toast.success(
-            "🔗 Share link updated! Previous link was automatically replaced."
-          );
-        } else {
-          toast.success("🔗 Share link created!");
-        }
+        toast.success("🔗 Share link created!");
 
-        // Since we only allow 1 link per binder, replace the entire array
-        setShareLinks([result.shareData]);
+        setShareLinks((prev) => [result.shareData, ...prev]);
         setShowCreateForm(false);
         setNewLinkDesc("");
         setSelectedExpiration("never");
+        setNewLinkPasscode("");
+        setNewLinkHidesDetails(false);
       }
     } catch (error) {
       console.error("Error creating share link:", error);
@@ -441,6 +456,11 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
   // Don't render if modal is not open
   if (!isOpen) return null;
 
+  const activeLinkCount = shareLinks.filter(
+    (link) => !isShareLinkExpired(link)
+  ).length;
+  const canCreateLink = activeLinkCount < MAX_SHARE_LINKS_PER_BINDER;
+
   const renderCreateForm = () => (
     <div className="bg-gradient-to-br from-card-background to-secondary/50 rounded-2xl border border-border shadow-lg p-4 sm:p-6 mb-6 sm:mb-8">
       <div className="flex items-center space-x-3 mb-4 sm:mb-6">
@@ -448,37 +468,17 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
           <PlusIcon className="w-4 h-4 text-white" />
         </div>
         <h3 className="text-lg sm:text-xl font-bold text-primary">
-          {shareLinks.length > 0 ? "Replace Share Link" : "Create Share Link"}
+          Create Share Link
         </h3>
       </div>
 
       <div className="space-y-6">
-        {shareLinks.length > 0 && (
-          <div className="bg-amber-50 border border-amber-200 rounded-xl p-4">
-            <div className="flex items-start space-x-3">
-              <div className="w-6 h-6 bg-amber-100 rounded-lg flex items-center justify-center flex-shrink-0 mt-0.5">
-                <span className="text-amber-600 text-sm">⚠️</span>
-              </div>
-              <div>
-                <h4 className="font-semibold text-amber-800 text-sm mb-1">
-                  Replace Existing Link
-                </h4>
-                <p className="text-amber-700 text-sm">
-                  Creating a new share link will automatically revoke your
-                  current active link. Only 1 share link is allowed per binder
-                  for security.
-                </p>
-              </div>
-            </div>
-          </div>
-        )}
-
         <div>
           <label
             htmlFor="link-description"
             className="block text-base sm:text-sm font-semibold text-primary mb-3"
           >
-            Description
+            Link Name
           </label>
           <input
             id="link-description"
@@ -523,6 +523,46 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
             ))}
           </RadioGroup.Root>
         </div>
+
+        <div>
+          <label
+            htmlFor="link-passcode"
+            className="block text-base sm:text-sm font-semibold text-primary mb-3"
+          >
+            Passcode
+          </label>
+          <input
+            id="link-passcode"
+            type="text"
+            value={newLinkPasscode}
+            onChange={(e) => setNewLinkPasscode(e.target.value)}
+            placeholder="Leave empty for no passcode"
+            autoComplete="off"
+            className="w-full px-4 py-4 sm:py-3 text-base sm:text-sm border border-border rounded-xl focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500 transition-all duration-200 bg-card-background shadow-sm"
+            maxLength={50}
+          />
+          <p className="text-sm sm:text-xs text-secondary mt-2">
+            Optional - viewers enter it before the binder opens. Send it
+            separately from the link.
+          </p>
+        </div>
+
+        <label className="flex items-start gap-3 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={newLinkHidesDetails}
+            onChange={(e) => setNewLinkHidesDetails(e.target.checked)}
+            className="mt-1 rounded border-border"
+          />
+          <span>
+            <span className="block text-base sm:text-sm font-semibold text-primary">
+              Hide prices and notes
+            </span>
+            <span className="block text-sm sm:text-xs text-secondary mt-1">
+              Viewers won't see card prices or your card notes
+            </span>
+          </span>
+        </label>
       </div>
 
       <div className="flex flex-col gap-3 mt-6 sm:mt-8">
@@ -539,9 +579,7 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
           ) : (
             <div className="flex items-center justify-center space-x-2">
               <CheckIcon className="w-5 h-5" />
-              <span>
-                {shareLinks.length > 0 ? "Replace Link" : "Create Link"}
-              </span>
+              <span>Create Link</span>
             </div>
           )}
         </button>
@@ -556,13 +594,10 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
   );
 
   const renderLinkItem = (link) => {
-    const isExpired =
-      link.expiresAt &&
-      (link.expiresAt.toDate
-        ? link.expiresAt.toDate()
-        : new Date(link.expiresAt)) < new Date();
-
+    const isExpired = isShareLinkExpired(link);
     const qrVisible = visibleQRCodes.has(link.shareToken);
+    const viewHistory = getShareViewHistory(link, VIEW_HISTORY_DAYS);
+    const maxDailyViews = Math.max(1, ...viewHistory.map((day) => day.count));
 
     return (
       <div
@@ -607,6 +642,22 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
                 <p className="text-sm text-secondary mt-1">
                   Created {formatDate(link.createdAt)}
                 </p>
+                {(link.isPasscodeProtected || link.hidePricesAndNotes) && (
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {link.isPasscodeProtected && (
+                      <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-secondary text-primary">
+                        <LockClosedIcon className="w-3 h-3 mr-1" />
+                        Passcode
+                      </span>
+                    )}
+                    {link.hidePricesAndNotes && (
+                      <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-secondary text-primary">
+                        <EyeSlashIcon className="w-3 h-3 mr-1" />
+                        No prices or notes
+                      </span>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -716,6 +767,47 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
             </div>
           </div>
 
+          {/* Views */}
+          <div className="bg-card-background/60 rounded-xl p-4 border border-border">
+            <div className="flex items-center justify-between mb-3">
+              <div className="flex items-center space-x-2">
+                <ChartBarIcon className="w-4 h-4 text-secondary flex-shrink-0" />
+                <span className="font-semibold text-primary text-sm">
+                  {link.viewCount || 0} view{link.viewCount === 1 ? "" : "s"}
+                </span>
+              </div>
+              <span className="text-xs text-secondary">
+                Last viewed{" "}
+                {link.lastViewed ? formatDate(link.lastViewed) : "never"}
+              </span>
+            </div>
+            <div
+              className="flex items-end gap-1 h-12"
+              aria-label={`Views over the last ${VIEW_HISTORY_DAYS} days`}
+            >
+              {viewHistory.map((day) => (
+                <div
+                  key={day.date}
+                  title={`${day.date}: ${day.count} view${
+                    day.count === 1 ? "" : "s"
+                  }`}
+                  className={`flex-1 rounded-sm ${
+                    day.count > 0 ? "bg-blue-500" : "bg-border"
+                  }`}
+                  style={{
+                    height: `${Math.max(
+                      8,
+                      (day.count / maxDailyViews) * 100
+                    )}%`,
+                  }}
+                />
+              ))}
+            </div>
+            <p className="text-xs text-secondary mt-2">
+              Last {VIEW_HISTORY_DAYS} days
+            </p>
+          </div>
+
           {/* Action Buttons */}
           <div className="pt-4 border-t border-border">
             <div className="grid grid-cols-2 gap-3">
@@ -804,7 +896,8 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
                 Share Binder
               </h2>
               <p className="text-sm text-secondary truncate mt-1">
-                {binder?.metadata?.name || "Unnamed Binder"} • 1 Link Max
+                {binder?.metadata?.name || "Unnamed Binder"} • {activeLinkCount}
+                /{MAX_SHARE_LINKS_PER_BINDER} Links
               </p>
             </div>
           </div>
@@ -838,7 +931,8 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
                     Binder is Private
                   </h3>
                   <p className="text-sm text-yellow-700 mt-2">
-                    Make your binder public first to create share links.
+                    Share links still work: anyone with a link can view this
+                    binder. Make it public to also show it on your profile.
                   </p>
 
                   {/* Make Public Button */}
@@ -882,30 +976,25 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
           )}
 
           {/* Create New Link Button / Form */}
-          {binder?.permissions?.public && !showCreateForm && (
+          {shareLinks.length > 0 && !showCreateForm && (
             <div className="mb-6 sm:mb-8">
               <button
                 onClick={() => setShowCreateForm(true)}
-                className="w-full flex items-center justify-center space-x-3 sm:space-x-4 bg-gradient-to-r from-blue-600 to-blue-700 text-white px-6 sm:px-8 py-5 sm:py-6 rounded-2xl hover:from-blue-700 hover:to-blue-800 transition-all duration-300 transform-gpu hover:scale-[1.02] active:scale-[0.98] shadow-lg hover:shadow-xl min-h-[56px]"
-                aria-label={
-                  shareLinks.length > 0
-                    ? "Replace existing share link"
-                    : "Create new share link"
-                }
+                disabled={!canCreateLink}
+                className="w-full flex items-center justify-center space-x-3 sm:space-x-4 bg-gradient-to-r from-blue-600 to-blue-700 text-white px-6 sm:px-8 py-5 sm:py-6 rounded-2xl hover:from-blue-700 hover:to-blue-800 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 transform-gpu hover:scale-[1.02] active:scale-[0.98] shadow-lg hover:shadow-xl min-h-[56px]"
+                aria-label="Create new share link"
               >
                 <div className="w-8 h-8 bg-white/20 rounded-xl flex items-center justify-center">
                   <PlusIcon className="w-5 h-5" />
                 </div>
                 <span className="text-base sm:text-lg font-bold">
-                  {shareLinks.length > 0
-                    ? "Replace Share Link"
-                    : "Create Share Link"}
+                  Create Another Link
                 </span>
               </button>
-              {shareLinks.length > 0 && (
+              {!canCreateLink && (
                 <p className="text-sm text-secondary text-center mt-3 px-4">
-                  📝 Creating a new link will automatically replace your current
-                  share link
+                  A binder can have up to {MAX_SHARE_LINKS_PER_BINDER} active
+                  share links. Revoke one to create another.
                 </p>
               )}
             </div>
@@ -928,23 +1017,21 @@ const ShareLinkModal = ({ isOpen, onClose, binder }) => {
                   <ShareIcon className="w-8 h-8 sm:w-10 sm:h-10 text-secondary" />
                 </div>
                 <h3 className="text-lg sm:text-xl font-bold text-primary mb-3">
-                  No Share Link Yet
+                  No Share Links Yet
                 </h3>
                 <p className="text-secondary mb-6 max-w-md mx-auto px-4">
-                  Create a share link to share this binder with friends, family,
-                  or the community. Each binder can have 1 secure share link
-                  with a scannable QR code!
+                  Create share links to share this binder with friends, family,
+                  or the community. Give each person or group their own link,
+                  with an expiry or passcode, and see how often it's viewed.
                 </p>
-                {binder?.permissions?.public && (
-                  <button
-                    onClick={() => setShowCreateForm(true)}
-                    className="inline-flex items-center space-x-2 bg-blue-600 text-white px-6 py-3 min-h-[48px] rounded-xl hover:bg-blue-700 transition-colors font-semibold"
-                    aria-label="Create share link"
-                  >
-                    <PlusIcon className="w-5 h-5" />
-                    <span>Create Share Link</span>
-                  </button>
-                )}
+                <button
+                  onClick={() => setShowCreateForm(true)}
+                  className="inline-flex items-center space-x-2 bg-blue-600 text-white px-6 py-3 min-h-[48px] rounded-xl hover:bg-blue-700 transition-colors font-semibold"
+                  aria-label="Create share link"
+                >
+                  <PlusIcon className="w-5 h-5" />
+                  <span>Create Share Link</span>
+                </button>
               </div>
             ) : (
               shareLinks.map(renderLinkItem)
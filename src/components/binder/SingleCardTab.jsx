@@ -13,6 +13,10 @@ import PokemonCard from "../PokemonCard";
 import DraggableSearchCard from "./DraggableSearchCard";
 import SortDropdown from "../ui/SortDropdown";
 import CardModal from "../ui/CardModal";
+import WantListButton from "../wantlist/WantListButton";
+import LanguageSelect from "../ui/LanguageSelect";
+import OwnedBadge from "../inventory/OwnedBadge";
+import useInventory from "../../hooks/useInventory";
 
 const SearchFilters = ({
   filters,
@@ -311,6 +315,7 @@ const SingleCardTab = ({
   searchQuery,
   filters,
   orderBy,
+  language,
   cards,
   totalCount,
   hasMore,
@@ -328,6 +333,7 @@ const SingleCardTab = ({
   updateFilter,
   updateSearchQuery,
   setOrderBy,
+  setLanguage,
   hasActiveFilters,
   isEmpty,
   showFeatured,
@@ -335,6 +341,7 @@ const SingleCardTab = ({
 }) => {
   const searchInputRef = useRef(null);
   const [previewCard, setPreviewCard] = useState(null);
+  const { getOwnedCopies } = useInventory();
   // Detect mobile screen (matches Tailwind sm breakpoint)
   const isMobileScreen = window.matchMedia("(max-width: 639px)").matches;
   const debounceRef = useRef(null);
@@ -533,6 +540,10 @@ const SingleCardTab = ({
                 hasActiveFilters={hasFilterBadge}
                 onVisibilityChange={onFiltersVisibilityChange}
               />
+
+              {setLanguage && (
+                <LanguageSelect value={language} onChange={setLanguage} />
+              )}
             </div>
 
             {/* Results Count */}
@@ -645,6 +656,16 @@ const SingleCardTab = ({
                           <MagnifyingGlassPlusIcon className="w-4 h-4 text-white" />
                         </button>
                       )}
+                      {!compact && !isCardSelected(card.id) && (
+                        <WantListButton
+                          card={card}
+                          className="absolute top-1 right-1"
+                        />
+                      )}
+                      <OwnedBadge
+                        ownership={getOwnedCopies(card)}
+                        className="absolute bottom-1 left-1"
+                      />
                       {isCardSelected(card.id) && (
                         <>
                           <div className="absolute inset-0 bg-black bg-opacity-40 rounded-lg pointer-events-none" />
@@ -700,6 +721,7 @@ const SingleCardTab = ({
       <CardModal
         selectedCard={previewCard}
         onClose={() => setPreviewCard(null)}
+        showLocations={true}
       />
     </div>
   );
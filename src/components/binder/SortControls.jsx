@@ -15,6 +15,7 @@ import {
   Tag,
   SortAsc,
   SortDesc,
+  DollarSign,
 } from "lucide-react";
 import {
   getSortOptions,
@@ -32,6 +33,7 @@ const IconMap = {
   Tag,
   SortAsc,
   SortDesc,
+  DollarSign,
 };
 
 // Helper function to render icon component
@@ -0,0 +1,209 @@
+import { useState } from "react";
+import { useAtomValue } from "jotai";
+import { toast } from "react-hot-toast";
+import {
+  XMarkIcon,
+  TableCellsIcon,
+  DocumentArrowDownIcon,
+} from "@heroicons/react/24/outline";
+import { useAuth } from "../../hooks/useAuth";
+import { useRules } from "../../contexts/RulesContext";
+import useExportTracking from "../../hooks/useExportTracking";
+import { priceSourceAtom } from "../../atoms/priceSettingsAtoms";
+import { PRICE_SOURCES } from "../../utils/cardValuation";
+import { spreadsheetExportService } from "../../services/SpreadsheetExportService";
+
+const FORMATS = [
+  {
+    value: "csv",
+    label: "CSV",
+    description: "Plain text, works with any spreadsheet app",
+  },
+  {
+    value: "xlsx",
+    label: "Excel (.xlsx)",
+    description: "Workbook for Excel, Numbers or Google Sheets",
+  },
+];
+
+/**
+ * SpreadsheetExportModal - Export a binder as CSV or Excel
+ * One row per card instance, optionally with catalog prices.
+ */
+const SpreadsheetExportModal = ({ isOpen, onClose, binder }) => {
+  const { user } = useAuth();
+  const { checkBinderLimits, canPerformAction } = useRules();
+  const { trackExport } = useExportTracking();
+  const storedPriceSource = useAtomValue(priceSourceAtom);
+
+  const [format, setFormat] = useState("csv");
+  const [includePrices, setIncludePrices] = useState(false);
+  const [priceSource, setPriceSource] = useState(storedPriceSource);
+  const [isExporting, setIsExporting] = useState(false);
+
+  if (!isOpen) return null;
+
+  const cardCount = Object.keys(binder?.cards || {}).length;
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget && !isExporting) {
+      onClose();
+    }
+  };
+
+  const handleExport = async () => {
+    if (!binder || isExporting) return;
+
+    setIsExporting(true);
+    try {
+      const canExport = await checkBinderLimits.canExportBinder(
+        { canPerformAction },
+        user?.uid || "local_user"
+      );
+      if (!canExport.allowed) {
+        toast.error(canExport.reason || "Export limit reached");
+        return;
+      }
+
+      const { filename, rowCount } =
+        await spreadsheetExportService.exportBinder(binder, {
+          format,
+          includePrices,
+          priceSource,
+        });
+
+      // Counts against the binder_export rate limit checked above
+      await trackExport("binder");
+
+      toast.success(
+        `Exported ${rowCount} card${rowCount !== 1 ? "s" : ""} to ${filename}`
+      );
+      onClose();
+    } catch (error) {
+      console.error("Spreadsheet export failed:", error);
+      toast.error(`Export failed: ${error.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-60 backdrop-blur-sm z-[70] flex items-center justify-center p-6"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl max-w-md w-full p-6 animate-in zoom-in-95 duration-200">
+        {/* Header */}
+        <div className="flex items-start justify-between mb-6">
+          <div className="flex items-center space-x-3">
+            <div className="w-12 h-12 bg-green-100 dark:bg-green-900 rounded-full flex items-center justify-center">
+              <TableCellsIcon className="w-6 h-6 text-green-600 dark:text-green-400" />
+            </div>
+            <div>
+              <h3 className="text-xl font-bold text-gray-900 dark:text-gray-100">
+                Export Spreadsheet
+              </h3>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                {cardCount} {cardCount === 1 ? "card" : "cards"} from "
+                {binder?.metadata?.name || "Untitled"}"
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={isExporting}
+            className="p-1 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <XMarkIcon className="w-5 h-5 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300" />
+          </button>
+        </div>
+
+        {/* Format */}
+        <div className="mb-6 space-y-2">
+          <span className="block text-sm font-medium text-gray-900 dark:text-gray-100">
+            Format
+          </span>
+          {FORMATS.map((option) => (
+            <label
+              key={option.value}
+              className={`flex items-start gap-3 p-3 rounded-lg border cursor-pointer transition-colors ${
+                format === option.value
+                  ? "border-blue-500 bg-blue-50 dark:bg-blue-950/30"
+                  : "border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50"
+              }`}
+            >
+              <input
+                type="radio"
+                name="spreadsheet-format"
+                value={option.value}
+                checked={format === option.value}
+                onChange={() => setFormat(option.value)}
+                className="mt-1"
+              />
+              <div>
+                <div className="font-medium text-gray-900 dark:text-gray-100">
+                  {option.label}
+                </div>
+                <div className="text-xs text-gray-600 dark:text-gray-400">
+                  {option.description}
+                </div>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        {/* Prices */}
+        <div className="mb-6 bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4 space-y-3">
+          <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-gray-100">
+            <input
+              type="checkbox"
+              checked={includePrices}
+              onChange={(e) => setIncludePrices(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Include price columns
+          </label>
+          {includePrices && (
+            <select
+              value={priceSource}
+              onChange={(e) => setPriceSource(e.target.value)}
+              className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+              aria-label="Price source"
+            >
+              {Object.entries(PRICE_SOURCES).map(([key, source]) => (
+                <option key={key} value={key}>
+                  {source.label} ({source.currency})
+                </option>
+              ))}
+            </select>
+          )}
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Each card copy gets its own row with page, slot, set, number,
+            variant, condition, grading and notes.
+          </p>
+        </div>
+
+        {/* Action Buttons */}
+        <div className="flex space-x-3">
+          <button
+            onClick={onClose}
+            disabled={isExporting}
+            className="flex-1 px-4 py-3 text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg font-medium transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={isExporting || cardCount === 0}
+            className="flex-1 px-4 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white rounded-lg font-medium transition-colors flex items-center justify-center gap-2"
+          >
+            <DocumentArrowDownIcon className="w-4 h-4" />
+            {isExporting ? "Exporting..." : "Export"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SpreadsheetExportModal;
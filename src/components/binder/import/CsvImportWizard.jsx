@@ -0,0 +1,130 @@
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import UploadStep from "./UploadStep";
+import ImportReviewStep from "./ImportReviewStep";
+import {
+  pokemonTcgApi,
+  normalizeCardData,
+} from "../../../services/pokemonTcgApi";
+import {
+  parseCollectionCsv,
+  resolveImportRows,
+  buildImportCards,
+} from "../../../utils/csvImport";
+
+// Normalized cards of a set from the local catalog
+const getCatalogSetCards = async (setId) => {
+  const cards = await pokemonTcgApi.getLocalSetCards(setId);
+  return cards.map(normalizeCardData);
+};
+
+const CsvImportWizard = ({
+  currentBinder,
+  onAddCards,
+  cardRemaining,
+  onImportComplete,
+}) => {
+  const [step, setStep] = useState(1);
+  const [fileName, setFileName] = useState(null);
+  const [resolvedRows, setResolvedRows] = useState([]);
+  const [isResolving, setIsResolving] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleParse = async (text, name = null) => {
+    setError(null);
+    const { rows, error: parseError } = parseCollectionCsv(text);
+    if (parseError) {
+      setError(parseError);
+      return;
+    }
+    if (rows.length === 0) {
+      setError("No card rows were found in the file.");
+      return;
+    }
+
+    setIsResolving(true);
+    try {
+      const sets = await pokemonTcgApi.getSets();
+      const resolved = await resolveImportRows(rows, {
+        sets,
+        getSetCards: getCatalogSetCards,
+      });
+      setFileName(name);
+      setResolvedRows(resolved);
+      setStep(2);
+    } catch (err) {
+      console.error("Failed to resolve CSV rows:", err);
+      setError("Failed to load the card catalog. Please try again.");
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
+  // Pick a candidate for an ambiguous row (null skips the row)
+  const handleSelectCard = (rowNumber, cardId) => {
+    setResolvedRows((prev) =>
+      prev.map((row) =>
+        row.rowNumber === rowNumber
+          ? {
+              ...row,
+              card: row.candidates.find((c) => c.id === cardId) || null,
+            }
+          : row
+      )
+    );
+  };
+
+  const handleImport = async () => {
+    const cards = buildImportCards(resolvedRows);
+    if (cards.length === 0) return;
+
+    setIsImporting(true);
+    try {
+      // batchAddCards enforces the binder limits
+      await onAddCards(cards);
+      toast.success(
+        `Imported ${cards.length} card${cards.length !== 1 ? "s" : ""} into ${
+          currentBinder?.metadata?.name || "your binder"
+        }`
+      );
+      onImportComplete();
+    } catch (err) {
+      console.error("Failed to import cards:", err);
+      toast.error(err.message || "Failed to import cards.");
+      setIsImporting(false);
+    }
+  };
+
+  const handleBack = () => {
+    setResolvedRows([]);
+    setFileName(null);
+    setStep(1);
+  };
+
+  return (
+    <div className="flex flex-col h-full bg-card-background text-primary">
+      <div className="flex-1 p-4 sm:p-6 overflow-y-auto">
+        {step === 1 ? (
+          <UploadStep
+            onParse={handleParse}
+            isResolving={isResolving}
+            error={error}
+          />
+        ) : (
+          <ImportReviewStep
+            fileName={fileName}
+            rows={resolvedRows}
+            cardRemaining={cardRemaining}
+            onSelectCard={handleSelectCard}
+            onConfirm={handleImport}
+            onBack={handleBack}
+            isImporting={isImporting}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CsvImportWizard;
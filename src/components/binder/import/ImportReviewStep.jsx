@@ -0,0 +1,246 @@
+import { useMemo } from "react";
+import { Disclosure } from "@headlessui/react";
+import {
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  QuestionMarkCircleIcon,
+  ChevronRightIcon,
+} from "@heroicons/react/24/outline";
+import { IMPORT_ROW_STATUS, buildImportCards } from "../../../utils/csvImport";
+import { getVariantLabel } from "../../../utils/cardValuation";
+import {
+  getConditionInfo,
+  getGradingLabel,
+} from "../../../utils/cardCondition";
+
+// How a row appeared in the spreadsheet
+const describeRow = (row) =>
+  [
+    row.set || row.setName,
+    row.number && `#${row.number}`,
+    row.name,
+    row.variantLabel,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+const RowDetails = ({ row }) => (
+  <div className="flex items-center gap-2 text-xs text-slate-500 dark:text-slate-400">
+    <span>Row {row.rowNumber}</span>
+    {row.quantity > 1 && <span>×{row.quantity}</span>}
+    {row.variant && <span>{getVariantLabel(row.variant)}</span>}
+    {row.condition && <span>{getConditionInfo(row.condition).short}</span>}
+    {row.grading && <span>{getGradingLabel(row.grading)}</span>}
+  </div>
+);
+
+const AmbiguousRow = ({ row, onSelectCard }) => (
+  <div className="p-3 rounded-lg border border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-950/30 space-y-2">
+    <div>
+      <div className="text-sm font-medium text-primary dark:text-slate-200">
+        {describeRow(row)}
+      </div>
+      <div className="text-xs text-amber-700 dark:text-amber-400">
+        {row.reason}
+      </div>
+      <RowDetails row={row} />
+    </div>
+    <select
+      value={row.card?.id || ""}
+      onChange={(e) => onSelectCard(row.rowNumber, e.target.value || null)}
+      className="w-full px-2 py-1.5 text-sm border border-slate-300 dark:border-slate-600 rounded bg-white dark:bg-slate-800 text-primary dark:text-slate-200"
+      aria-label={`Card for row ${row.rowNumber}`}
+    >
+      <option value="">Skip this row</option>
+      {row.candidates.map((card) => (
+        <option key={card.id} value={card.id}>
+          {card.name} - {card.set?.name} #{card.number}
+          {card.rarity ? ` (${card.rarity})` : ""}
+        </option>
+      ))}
+    </select>
+  </div>
+);
+
+const ImportReviewStep = ({
+  fileName,
+  rows,
+  cardRemaining,
+  onSelectCard,
+  onConfirm,
+  onBack,
+  isImporting,
+}) => {
+  const { matched, ambiguous, unmatched } = useMemo(
+    () => ({
+      matched: rows.filter((r) => r.status === IMPORT_ROW_STATUS.MATCHED),
+      ambiguous: rows.filter((r) => r.status === IMPORT_ROW_STATUS.AMBIGUOUS),
+      unmatched: rows.filter((r) => r.status === IMPORT_ROW_STATUS.UNMATCHED),
+    }),
+    [rows]
+  );
+
+  const cardCount = useMemo(() => buildImportCards(rows).length, [rows]);
+  const exceedsLimit = cardCount > cardRemaining;
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="flex-1 space-y-6">
+        <div>
+          <button
+            onClick={onBack}
+            className="text-sm font-medium text-blue-600 hover:underline mb-4 dark:text-blue-400"
+          >
+            &larr; Choose another file
+          </button>
+          <h2 className="text-xl sm:text-2xl font-bold text-primary dark:text-slate-100">
+            Review Import{fileName ? `: ${fileName}` : ""}
+          </h2>
+        </div>
+
+        {/* Summary */}
+        <div className="bg-slate-100 dark:bg-slate-800/50 rounded-lg border border-border dark:border-slate-700/80 p-4 space-y-3">
+          <div className="flex justify-between items-center">
+            <span className="font-medium text-primary dark:text-slate-200">
+              Matched rows
+            </span>
+            <span className="text-lg font-bold text-green-600 dark:text-green-400">
+              {matched.length}
+            </span>
+          </div>
+          <div className="flex justify-between items-center">
+            <span className="font-medium text-primary dark:text-slate-200">
+              Need review
+            </span>
+            <span className="text-lg font-bold text-amber-600 dark:text-amber-400">
+              {ambiguous.length}
+            </span>
+          </div>
+          <div className="flex justify-between items-center">
+            <span className="font-medium text-primary dark:text-slate-200">
+              Not found
+            </span>
+            <span className="text-lg font-bold text-red-600 dark:text-red-400">
+              {unmatched.length}
+            </span>
+          </div>
+          <div className="flex justify-between items-center pt-3 border-t border-border dark:border-slate-700">
+            <span className="font-medium text-primary dark:text-slate-200">
+              Cards to add
+            </span>
+            <span className="text-lg font-bold text-blue-600 dark:text-blue-400">
+              {cardCount}
+            </span>
+          </div>
+        </div>
+
+        {/* Ambiguous rows */}
+        {ambiguous.length > 0 && (
+          <section className="space-y-2">
+            <h3 className="flex items-center gap-2 font-medium text-primary dark:text-slate-200">
+              <QuestionMarkCircleIcon className="w-5 h-5 text-amber-500" />
+              Pick the right card
+            </h3>
+            {ambiguous.map((row) => (
+              <AmbiguousRow
+                key={row.rowNumber}
+                row={row}
+                onSelectCard={onSelectCard}
+              />
+            ))}
+          </section>
+        )}
+
+        {/* Unmatched rows */}
+        {unmatched.length > 0 && (
+          <section className="space-y-2">
+            <h3 className="flex items-center gap-2 font-medium text-primary dark:text-slate-200">
+              <ExclamationTriangleIcon className="w-5 h-5 text-red-500" />
+              Not found (will be skipped)
+            </h3>
+            <ul className="divide-y divide-border dark:divide-slate-700 rounded-lg border border-border dark:border-slate-700">
+              {unmatched.map((row) => (
+                <li key={row.rowNumber} className="px-3 py-2">
+                  <div className="text-sm text-primary dark:text-slate-200">
+                    {describeRow(row) || "(empty row)"}
+                  </div>
+                  <div className="text-xs text-red-600 dark:text-red-400">
+                    {row.reason}
+                  </div>
+                  <RowDetails row={row} />
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {/* Matched rows */}
+        {matched.length > 0 && (
+          <Disclosure as="section">
+            {({ open }) => (
+              <>
+                <Disclosure.Button className="flex w-full justify-between items-center rounded-lg bg-slate-100 dark:bg-slate-800 px-4 py-3 text-left text-sm font-medium text-primary hover:bg-slate-200 dark:hover:bg-slate-700">
+                  <span className="flex items-center gap-2">
+                    <CheckCircleIcon className="w-5 h-5 text-green-500" />
+                    Matched cards ({matched.length})
+                  </span>
+                  <ChevronRightIcon
+                    className={`${
+                      open ? "rotate-90 transform" : ""
+                    } h-5 w-5 text-slate-500 transition-transform`}
+                  />
+                </Disclosure.Button>
+                <Disclosure.Panel className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-2">
+                  {matched.map((row) => (
+                    <div
+                      key={row.rowNumber}
+                      className="flex items-center gap-3 p-2 rounded-lg border border-border dark:border-slate-700"
+                    >
+                      {row.card.imageSmall && (
+                        <img
+                          src={row.card.imageSmall}
+                          alt={row.card.name}
+                          className="w-10 rounded"
+                          loading="lazy"
+                        />
+                      )}
+                      <div className="min-w-0">
+                        <div className="text-sm font-medium text-primary dark:text-slate-200 truncate">
+                          {row.card.name}
+                        </div>
+                        <div className="text-xs text-slate-500 dark:text-slate-400 truncate">
+                          {row.card.set?.name} #{row.card.number}
+                        </div>
+                        <RowDetails row={row} />
+                      </div>
+                    </div>
+                  ))}
+                </Disclosure.Panel>
+              </>
+            )}
+          </Disclosure>
+        )}
+      </div>
+
+      {/* Footer Actions */}
+      <div className="pt-6 mt-6 border-t border-border dark:border-slate-700">
+        <button
+          onClick={onConfirm}
+          disabled={isImporting || cardCount === 0 || exceedsLimit}
+          className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-slate-400 dark:disabled:bg-slate-700 dark:disabled:text-slate-500 disabled:cursor-not-allowed text-white rounded-lg transition-all duration-150 flex items-center justify-center gap-2 px-4 py-3 text-base font-semibold shadow-lg"
+        >
+          {isImporting
+            ? "Importing..."
+            : `Add ${cardCount} Card${cardCount !== 1 ? "s" : ""} to Binder`}
+        </button>
+        {exceedsLimit && (
+          <p className="text-red-600 dark:text-red-400 text-sm mt-2 text-center">
+            Cannot add: only {cardRemaining} card slots left in this binder.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportReviewStep;
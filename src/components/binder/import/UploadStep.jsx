@@ -0,0 +1,123 @@
+import { useState, useRef } from "react";
+import {
+  ArrowUpTrayIcon,
+  ExclamationTriangleIcon,
+} from "@heroicons/react/24/outline";
+
+const EXAMPLE_CSV = `Set Code,Number,Name,Variant,Quantity,Condition
+BS,4,Charizard,Holo,1,NM
+SVI,1,Pineco,Reverse,2,LP
+sv3pt5,25,Pikachu,,1,`;
+
+const UploadStep = ({ onParse, isResolving, error }) => {
+  const [text, setText] = useState("");
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow re-selecting the same file
+    if (!file) return;
+
+    const contents = await file.text();
+    setText(contents);
+    onParse(contents, file.name);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-xl sm:text-2xl font-bold text-primary dark:text-slate-100">
+          Import from Spreadsheet
+        </h2>
+        <p className="mt-1 text-sm text-slate-500 dark:text-slate-400">
+          Upload a CSV export of your collection. Rows are matched against the
+          card catalog by set and number (or name), and you can review anything
+          that couldn't be matched before it is added.
+        </p>
+      </div>
+
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        disabled={isResolving}
+        className="w-full flex flex-col items-center justify-center gap-2 p-8 border-2 border-dashed border-slate-300 dark:border-slate-600 rounded-lg hover:border-blue-500 dark:hover:border-blue-400 hover:bg-slate-50 dark:hover:bg-slate-800/50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+      >
+        {isResolving ? (
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+        ) : (
+          <ArrowUpTrayIcon className="w-8 h-8 text-blue-500 dark:text-blue-400" />
+        )}
+        <span className="font-medium text-primary dark:text-slate-200">
+          {isResolving ? "Matching cards..." : "Choose a CSV file"}
+        </span>
+        <span className="text-xs text-slate-500 dark:text-slate-400">
+          Comma, semicolon or tab separated
+        </span>
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+        onChange={handleFileChange}
+        className="hidden"
+      />
+
+      <div className="space-y-2">
+        <label
+          htmlFor="csv-import-text"
+          className="block font-medium text-primary dark:text-slate-200"
+        >
+          Or paste CSV
+        </label>
+        <textarea
+          id="csv-import-text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={EXAMPLE_CSV}
+          rows={8}
+          className="w-full px-3 py-2 font-mono text-xs border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-800 text-primary dark:text-slate-200 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+        <button
+          onClick={() => onParse(text)}
+          disabled={isResolving || !text.trim()}
+          className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-slate-400 dark:disabled:bg-slate-700 dark:disabled:text-slate-500 disabled:cursor-not-allowed text-white rounded-lg transition-all duration-150 px-4 py-3 text-base font-semibold shadow-lg"
+        >
+          {isResolving ? "Matching cards..." : "Match Cards"}
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-start gap-2 p-3 rounded-lg bg-red-50 dark:bg-red-950/30 border border-red-200 dark:border-red-800 text-sm text-red-700 dark:text-red-300">
+          <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="bg-blue-50 dark:bg-blue-950/30 rounded-lg border border-blue-200 dark:border-blue-800 p-4">
+        <h3 className="font-medium text-blue-800 dark:text-blue-300 mb-2">
+          Supported columns
+        </h3>
+        <ul className="text-sm text-blue-700 dark:text-blue-400 space-y-1 list-disc list-inside">
+          <li>
+            <strong>Set Code</strong> (e.g. SVI or sv1) or{" "}
+            <strong>Set Name</strong> - required
+          </li>
+          <li>
+            <strong>Number</strong> (e.g. 4 or 4/102) and/or{" "}
+            <strong>Name</strong>
+          </li>
+          <li>
+            <strong>Variant</strong> - normal, holo, reverse, 1st edition
+          </li>
+          <li>
+            <strong>Quantity</strong> - number of copies (default 1)
+          </li>
+          <li>
+            <strong>Condition</strong> - M, NM, LP, MP, HP or DMG
+          </li>
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default UploadStep;
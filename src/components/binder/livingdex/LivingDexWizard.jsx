@@ -0,0 +1,149 @@
+import { useMemo, useState } from "react";
+import WizardProgress from "../wizard/WizardProgress";
+import SelectRangeStep from "./SelectRangeStep";
+import PickCardsStep from "./PickCardsStep";
+import ReviewDexStep from "./ReviewDexStep";
+import useLivingDexCatalog from "../../../hooks/useLivingDexCatalog";
+import { getBinderLanguage } from "../../../utils/cardLanguages";
+import {
+  POKEDEX_GENERATIONS,
+  DEFAULT_LIVING_DEX_PREFERENCES,
+  rankSpeciesCandidates,
+} from "../../../utils/livingDex";
+
+const steps = [
+  { id: 1, name: "Pokédex Range", description: "Choose generations" },
+  { id: 2, name: "Pick Cards", description: "Choose a card per Pokémon" },
+  { id: 3, name: "Review & Add", description: "Check layout & confirm" },
+];
+
+const LivingDexWizard = ({ currentBinder, onAddCards, onWizardComplete }) => {
+  const [step, setStep] = useState(1);
+  const [language, setLanguage] = useState(() =>
+    getBinderLanguage(currentBinder)
+  );
+  const [generationIds, setGenerationIds] = useState(() =>
+    POKEDEX_GENERATIONS.map((generation) => generation.id)
+  );
+  const [alignGenerations, setAlignGenerations] = useState(true);
+  const [preferences, setPreferences] = useState(
+    DEFAULT_LIVING_DEX_PREFERENCES
+  );
+  // dexNumber -> card id chosen by hand, overriding the preferences
+  const [overrides, setOverrides] = useState({});
+
+  const catalog = useLivingDexCatalog(language);
+  const { species } = catalog;
+
+  // Dex numbers in the binder, ascending
+  const dexNumbers = useMemo(
+    () =>
+      POKEDEX_GENERATIONS.filter((generation) =>
+        generationIds.includes(generation.id)
+      ).flatMap((generation) =>
+        Array.from(
+          { length: generation.last - generation.first + 1 },
+          (_, index) => generation.first + index
+        )
+      ),
+    [generationIds]
+  );
+
+  // Printings of each species, best fit for the preferences first
+  const rankedCandidates = useMemo(() => {
+    const ranked = new Map();
+    dexNumbers.forEach((number) => {
+      const entry = species.get(number);
+      if (entry) ranked.set(number, rankSpeciesCandidates(entry, preferences));
+    });
+    return ranked;
+  }, [dexNumbers, species, preferences]);
+
+  const picks = useMemo(() => {
+    const chosen = new Map();
+    rankedCandidates.forEach((candidates, number) => {
+      const override =
+        overrides[number] &&
+        candidates.find((card) => card.id === overrides[number]);
+      chosen.set(number, override || candidates[0]);
+    });
+    return chosen;
+  }, [rankedCandidates, overrides]);
+
+  const handleLanguageChange = (newLanguage) => {
+    setLanguage(newLanguage);
+    setOverrides({});
+  };
+
+  const handlePreferencesChange = (changes) => {
+    setPreferences((prev) => ({ ...prev, ...changes }));
+  };
+
+  const handlePick = (dexNumber, cardId) => {
+    setOverrides((prev) => ({ ...prev, [dexNumber]: cardId }));
+  };
+
+  const handleResetPicks = () => {
+    setOverrides({});
+  };
+
+  const renderStep = () => {
+    switch (step) {
+      case 2:
+        return (
+          <PickCardsStep
+            catalog={catalog}
+            dexNumbers={dexNumbers}
+            rankedCandidates={rankedCandidates}
+            picks={picks}
+            overrides={overrides}
+            preferences={preferences}
+            onPreferencesChange={handlePreferencesChange}
+            onPick={handlePick}
+            onResetPicks={handleResetPicks}
+            onProceed={() => setStep(3)}
+            onBack={() => setStep(1)}
+          />
+        );
+      case 3:
+        return (
+          <ReviewDexStep
+            catalog={catalog}
+            currentBinder={currentBinder}
+            language={language}
+            dexNumbers={dexNumbers}
+            picks={picks}
+            alignGenerations={alignGenerations}
+            onAddCards={onAddCards}
+            onConfirm={onWizardComplete}
+            onBack={() => setStep(2)}
+          />
+        );
+      default:
+        return (
+          <SelectRangeStep
+            catalog={catalog}
+            language={language}
+            onLanguageChange={handleLanguageChange}
+            generationIds={generationIds}
+            onGenerationIdsChange={setGenerationIds}
+            alignGenerations={alignGenerations}
+            onAlignGenerationsChange={setAlignGenerations}
+            dexCount={dexNumbers.length}
+            onProceed={() => setStep(2)}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="flex flex-col h-full bg-card-background text-primary">
+      {/* Header with Step Indicator */}
+      <WizardProgress steps={steps} currentStep={step} onStepClick={setStep} />
+
+      <div className="flex-1 p-4 sm:p-6 overflow-y-auto">{renderStep()}</div>
+    </div>
+  );
+};
+
+export default LivingDexWizard;
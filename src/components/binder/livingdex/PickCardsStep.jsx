@@ -0,0 +1,263 @@
+import { useMemo, useState } from "react";
+import {
+  ArrowPathIcon,
+  CheckCircleIcon,
+  MagnifyingGlassIcon,
+  XMarkIcon,
+} from "@heroicons/react/24/outline";
+import { normalizeText } from "../../../utils/cardQuery";
+import { ERA_NEWEST, ERA_OLDEST } from "../../../utils/livingDex";
+
+const formatDexNumber = (number) => `#${String(number).padStart(3, "0")}`;
+
+const getCardImage = (card) => card?.images?.small || card?.image;
+
+// Printings of one species, to pick the card of its slot by hand
+const CandidatePicker = ({
+  species,
+  candidates,
+  selectedId,
+  onPick,
+  onClose,
+}) => (
+  <div className="bg-slate-100 dark:bg-slate-800/50 rounded-lg border border-border dark:border-slate-700/80 p-4">
+    <div className="flex items-center justify-between mb-3">
+      <h3 className="font-semibold text-primary dark:text-slate-100">
+        {formatDexNumber(species.number)} {species.name}
+        <span className="ml-2 text-sm font-normal text-slate-500 dark:text-slate-400">
+          {candidates.length} card{candidates.length !== 1 ? "s" : ""}
+        </span>
+      </h3>
+      <button
+        onClick={onClose}
+        className="p-1 rounded-md hover:bg-slate-200 dark:hover:bg-slate-700"
+        aria-label="Close card picker"
+      >
+        <XMarkIcon className="w-5 h-5 text-slate-500 dark:text-slate-400" />
+      </button>
+    </div>
+    <div className="grid grid-cols-3 sm:grid-cols-5 lg:grid-cols-7 gap-3 max-h-80 overflow-y-auto">
+      {candidates.map((card) => (
+        <button
+          key={card.id}
+          onClick={() => onPick(card.id)}
+          className={`${
+            card.id === selectedId
+              ? "ring-2 ring-blue-500"
+              : "hover:ring-2 hover:ring-blue-300"
+          } relative text-left rounded-md transition-all`}
+          title={`${card.name} · ${card.set?.name || ""} ${card.number}${
+            card.artist ? ` · ${card.artist}` : ""
+          }`}
+        >
+          <img
+            src={getCardImage(card)}
+            alt={card.name}
+            loading="lazy"
+            className="w-full rounded-md"
+          />
+          <div className="mt-1 text-[11px] leading-tight text-slate-600 dark:text-slate-400">
+            <div className="truncate">{card.set?.name}</div>
+            <div className="truncate">{card.rarity || "—"}</div>
+          </div>
+          {card.id === selectedId && (
+            <CheckCircleIcon className="h-5 w-5 text-blue-600 bg-white rounded-full absolute top-1 right-1" />
+          )}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+const PickCardsStep = ({
+  catalog,
+  dexNumbers,
+  rankedCandidates,
+  picks,
+  overrides,
+  preferences,
+  onPreferencesChange,
+  onPick,
+  onResetPicks,
+  onProceed,
+  onBack,
+}) => {
+  const { species, seriesOptions, rarityOptions } = catalog;
+  const [searchQuery, setSearchQuery] = useState("");
+  const [activeDex, setActiveDex] = useState(null);
+
+  const visibleNumbers = useMemo(() => {
+    const query = normalizeText(searchQuery.trim());
+    if (!query) return dexNumbers;
+    return dexNumbers.filter(
+      (number) =>
+        String(number).padStart(3, "0").includes(query) ||
+        normalizeText(species.get(number)?.name || "").includes(query)
+    );
+  }, [dexNumbers, species, searchQuery]);
+
+  const overrideCount = Object.keys(overrides).length;
+  const activeSpecies = activeDex !== null ? species.get(activeDex) : null;
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="flex-1 space-y-6">
+        <div>
+          <button
+            onClick={onBack}
+            className="text-sm font-medium text-blue-600 hover:underline mb-4 dark:text-blue-400"
+          >
+            &larr; Back to Pokédex Range
+          </button>
+          <h2 className="text-xl sm:text-2xl font-bold text-primary dark:text-slate-100">
+            Step 2: Pick Cards
+          </h2>
+          <p className="text-sm text-secondary mt-1">
+            Each Pokémon gets the card that best fits your preferences. Click a
+            Pokémon to choose a different card.
+          </p>
+        </div>
+
+        {/* Preferences */}
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <label className="flex flex-col gap-1 text-sm font-medium text-primary dark:text-slate-200">
+            Era
+            <select
+              value={preferences.era}
+              onChange={(e) => onPreferencesChange({ era: e.target.value })}
+              className="px-3 py-2 border border-border rounded-lg text-sm bg-card-background text-primary focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value={ERA_NEWEST}>Newest printing</option>
+              <option value={ERA_OLDEST}>Oldest printing</option>
+              {seriesOptions.map((series) => (
+                <option key={series} value={series}>
+                  {series}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-sm font-medium text-primary dark:text-slate-200">
+            Rarity
+            <select
+              value={preferences.rarity}
+              onChange={(e) => onPreferencesChange({ rarity: e.target.value })}
+              className="px-3 py-2 border border-border rounded-lg text-sm bg-card-background text-primary focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Any rarity</option>
+              {rarityOptions.map((rarity) => (
+                <option key={rarity} value={rarity}>
+                  {rarity}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-sm font-medium text-primary dark:text-slate-200">
+            Artist
+            <input
+              type="text"
+              value={preferences.artist}
+              onChange={(e) => onPreferencesChange({ artist: e.target.value })}
+              placeholder="e.g. Ken Sugimori"
+              className="px-3 py-2 border border-border rounded-lg text-sm bg-card-background text-primary focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+        </div>
+
+        <div className="flex items-center gap-3">
+          <div className="relative flex-1">
+            <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400 dark:text-slate-500" />
+            <input
+              type="text"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Find a Pokémon by name or number..."
+              className="w-full pl-10 pr-4 py-2 border border-border rounded-lg text-sm bg-card-background text-primary focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          {overrideCount > 0 && (
+            <button
+              onClick={onResetPicks}
+              className="flex items-center gap-1.5 px-3 py-2 text-sm font-medium text-slate-600 dark:text-slate-300 border border-border rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800"
+              title="Drop the cards picked by hand"
+            >
+              <ArrowPathIcon className="w-4 h-4" />
+              Reset {overrideCount} pick{overrideCount !== 1 ? "s" : ""}
+            </button>
+          )}
+        </div>
+
+        {activeSpecies && (
+          <CandidatePicker
+            species={activeSpecies}
+            candidates={rankedCandidates.get(activeDex) || []}
+            selectedId={picks.get(activeDex)?.id}
+            onPick={(cardId) => {
+              onPick(activeDex, cardId);
+              setActiveDex(null);
+            }}
+            onClose={() => setActiveDex(null)}
+          />
+        )}
+
+        <div className="grid grid-cols-3 sm:grid-cols-5 lg:grid-cols-8 gap-3">
+          {visibleNumbers.map((number) => {
+            const card = picks.get(number);
+            const entry = species.get(number);
+            return (
+              <button
+                key={number}
+                onClick={() => entry && setActiveDex(number)}
+                disabled={!entry}
+                className={`${
+                  activeDex === number ? "ring-2 ring-blue-500" : ""
+                } ${
+                  entry ? "hover:ring-2 hover:ring-blue-300" : "cursor-default"
+                } relative text-left rounded-md transition-all`}
+                title={card ? `${card.name} · ${card.set?.name || ""}` : ""}
+              >
+                {card ? (
+                  <img
+                    src={getCardImage(card)}
+                    alt={card.name}
+                    loading="lazy"
+                    className="w-full rounded-md"
+                  />
+                ) : (
+                  <div className="aspect-[5/7] rounded-md border-2 border-dashed border-slate-300 dark:border-slate-600 flex items-center justify-center text-xs text-slate-400 dark:text-slate-500 text-center p-2">
+                    No card printed
+                  </div>
+                )}
+                <div className="mt-1 text-[11px] leading-tight text-slate-600 dark:text-slate-400 truncate">
+                  {formatDexNumber(number)} {entry?.name || ""}
+                </div>
+                {overrides[number] && (
+                  <span className="absolute top-1 left-1 px-1.5 py-0.5 rounded bg-blue-600 text-white text-[10px] font-semibold">
+                    Picked
+                  </span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+
+        {visibleNumbers.length === 0 && (
+          <div className="text-center py-8 text-secondary">
+            No Pokémon match "{searchQuery}".
+          </div>
+        )}
+      </div>
+
+      {/* Footer Actions */}
+      <div className="pt-6 mt-6 border-t border-border dark:border-slate-700">
+        <button
+          onClick={onProceed}
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-all duration-150 flex items-center justify-center gap-2 px-4 py-3 text-base font-semibold shadow-lg hover:shadow-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 dark:focus:ring-offset-slate-900"
+        >
+          Review Layout &rarr;
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PickCardsStep;
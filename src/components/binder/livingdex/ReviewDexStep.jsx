@@ -0,0 +1,306 @@
+import { useMemo, useState } from "react";
+import { RadioGroup } from "@headlessui/react";
+import { toast } from "react-hot-toast";
+import {
+  ArchiveBoxXMarkIcon,
+  ArrowDownOnSquareIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+} from "@heroicons/react/24/outline";
+import { useBinderContext } from "../../../contexts/BinderContext";
+import { getGridConfig } from "../../../utils/binderGrids";
+import { normalizeCardData } from "../../../services/pokemonTcgApi";
+import { GLOBAL_CARD_LIMIT } from "../../../lib/globalRules.js";
+import {
+  buildLivingDexLayout,
+  getOwnedDexNumbers,
+} from "../../../utils/livingDex";
+
+const placementOptions = [
+  {
+    value: "replace",
+    label: "Replace Whole Binder",
+    description: "Clear existing cards and start the dex on the first page.",
+    Icon: ArchiveBoxXMarkIcon,
+  },
+  {
+    value: "end",
+    label: "Add to End",
+    description: "Start the dex on the page after the existing cards.",
+    Icon: ArrowDownOnSquareIcon,
+  },
+];
+
+const ReviewDexStep = ({
+  catalog,
+  currentBinder,
+  language,
+  dexNumbers,
+  picks,
+  alignGenerations,
+  onAddCards,
+  onConfirm,
+  onBack,
+}) => {
+  const { binders, clearBinderCards } = useBinderContext();
+  const [placement, setPlacement] = useState("replace");
+  const [markMissing, setMarkMissing] = useState(true);
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  const cardsPerPage = getGridConfig(currentBinder.settings.gridSize).total;
+  const usedPositions = useMemo(
+    () => Object.keys(currentBinder.cards || {}).map((p) => parseInt(p, 10)),
+    [currentBinder.cards]
+  );
+  const hasExistingCards = usedPositions.length > 0;
+
+  // First slot of the page after the last occupied slot
+  const startPosition = useMemo(() => {
+    if (placement === "replace" || usedPositions.length === 0) return 0;
+    const nextFree = Math.max(...usedPositions) + 1;
+    return Math.ceil(nextFree / cardsPerPage) * cardsPerPage;
+  }, [placement, usedPositions, cardsPerPage]);
+
+  // Cards already in the collection; when replacing, this binder's cards go
+  const ownedDexNumbers = useMemo(
+    () =>
+      getOwnedDexNumbers(
+        placement === "replace"
+          ? binders.filter((binder) => binder.id !== currentBinder.id)
+          : binders,
+        catalog.cardsById
+      ),
+    [binders, currentBinder.id, placement, catalog.cardsById]
+  );
+
+  const { layout, cardCount, missingCount, noCardCount } = useMemo(() => {
+    const binderCards = new Map();
+    let missing = 0;
+    dexNumbers.forEach((number) => {
+      const card = picks.get(number);
+      if (!card) return;
+      const isMissing = markMissing && !ownedDexNumbers.has(number);
+      if (isMissing) missing++;
+      binderCards.set(number, {
+        ...normalizeCardData({ ...card, language }),
+        missing: isMissing,
+      });
+    });
+    return {
+      layout: buildLivingDexLayout(dexNumbers, binderCards, {
+        cardsPerPage,
+        alignGenerations,
+        startPosition,
+      }),
+      cardCount: binderCards.size,
+      missingCount: missing,
+      noCardCount: dexNumbers.length - binderCards.size,
+    };
+  }, [
+    dexNumbers,
+    picks,
+    language,
+    markMissing,
+    ownedDexNumbers,
+    cardsPerPage,
+    alignGenerations,
+    startPosition,
+  ]);
+
+  const cardPagesNeeded = Math.ceil(layout.length / cardsPerPage);
+  const totalCardsAfterAdd =
+    placement === "replace" ? cardCount : usedPositions.length + cardCount;
+  const exceedsHardLimit = totalCardsAfterAdd > GLOBAL_CARD_LIMIT;
+
+  const handleConfirm = async () => {
+    setIsProcessing(true);
+    try {
+      if (placement === "replace") {
+        if (hasExistingCards) {
+          await clearBinderCards(currentBinder.id, "living_dex_replacement");
+        }
+        await onAddCards(layout, true);
+      } else {
+        await onAddCards(layout, false, startPosition);
+      }
+
+      toast.success(
+        `Added a living dex of ${cardCount} Pokémon${
+          missingCount > 0 ? ` (${missingCount} marked as missing)` : ""
+        }!`,
+        { duration: 4000 }
+      );
+      onConfirm();
+    } catch (err) {
+      console.error("Failed to add the living dex:", err);
+      toast.error("Failed to add the living dex.");
+      setIsProcessing(false);
+    }
+  };
+
+  if (isProcessing) {
+    return (
+      <div className="flex flex-col items-center justify-center h-full text-center p-4">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mb-6"></div>
+        <h3 className="text-xl font-bold text-primary mb-2">
+          Adding {cardCount} Pokémon
+        </h3>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="flex-1 space-y-6">
+        <div>
+          <button
+            onClick={onBack}
+            className="text-sm font-medium text-blue-600 hover:underline mb-4 dark:text-blue-400"
+          >
+            &larr; Back to Card Picks
+          </button>
+          <h2 className="text-xl sm:text-2xl font-bold text-primary dark:text-slate-100">
+            Step 3: Review & Add
+          </h2>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 lg:gap-x-8 items-start">
+          {/* --- Left Column: Summary --- */}
+          <div className="space-y-6 mb-6 lg:mb-0">
+            <div className="bg-slate-100 dark:bg-slate-800/50 rounded-lg border border-border dark:border-slate-700/80 p-4 space-y-3">
+              <div className="flex justify-between items-center">
+                <span className="font-medium text-primary dark:text-slate-200">
+                  Cards to Add
+                </span>
+                <span className="text-lg font-bold text-blue-600 dark:text-blue-400">
+                  {cardCount}
+                </span>
+              </div>
+              {markMissing && (
+                <div className="flex justify-between items-center">
+                  <span className="font-medium text-primary dark:text-slate-200">
+                    Marked as Missing
+                  </span>
+                  <span className="text-lg font-bold text-amber-600 dark:text-amber-400">
+                    {missingCount}
+                  </span>
+                </div>
+              )}
+              {noCardCount > 0 && (
+                <div className="flex justify-between items-center">
+                  <span className="font-medium text-primary dark:text-slate-200">
+                    Empty Slots (no card printed)
+                  </span>
+                  <span className="text-lg font-bold text-slate-600 dark:text-slate-300">
+                    {noCardCount}
+                  </span>
+                </div>
+              )}
+              <div className="flex justify-between items-center">
+                <span className="font-medium text-primary dark:text-slate-200">
+                  Pages Used ({cardsPerPage} slots each)
+                </span>
+                <span className="text-lg font-bold text-green-600 dark:text-green-400">
+                  {cardPagesNeeded}
+                </span>
+              </div>
+            </div>
+
+            <label className="flex items-start gap-3 bg-slate-100 dark:bg-slate-800/50 rounded-lg border border-border dark:border-slate-700/80 p-4 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={markMissing}
+                onChange={(e) => setMarkMissing(e.target.checked)}
+                className="mt-1 h-4 w-4 rounded border-slate-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span className="flex flex-col">
+                <span className="text-base font-medium text-primary dark:text-slate-200">
+                  Mark Pokémon I Don't Own Yet as Missing
+                </span>
+                <span className="text-sm text-slate-500 dark:text-slate-400">
+                  Pokémon without a card in your
+                  {placement === "replace" ? " other" : ""} binders are added as
+                  missing, so the dex doubles as a checklist.
+                </span>
+              </span>
+            </label>
+
+            {exceedsHardLimit && (
+              <div className="flex items-start gap-2 bg-red-50 dark:bg-red-950/30 border border-red-200 dark:border-red-800 rounded-lg p-3 text-sm text-red-700 dark:text-red-300">
+                <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+                <span>
+                  This would put {totalCardsAfterAdd} cards in the binder, over
+                  the {GLOBAL_CARD_LIMIT} card limit. Go back and pick fewer
+                  generations.
+                </span>
+              </div>
+            )}
+          </div>
+
+          {/* --- Right Column: Placement --- */}
+          <RadioGroup
+            value={placement}
+            onChange={setPlacement}
+            className="space-y-3"
+          >
+            <RadioGroup.Label className="font-medium text-primary dark:text-slate-200">
+              Where should the dex go?
+            </RadioGroup.Label>
+            {placementOptions.map((option) => (
+              <RadioGroup.Option
+                key={option.value}
+                value={option.value}
+                className={({ checked }) =>
+                  `${
+                    checked
+                      ? "border-blue-500 ring-2 ring-blue-500"
+                      : "border-border dark:border-slate-600"
+                  } relative flex cursor-pointer rounded-lg border bg-card-background dark:bg-slate-800 p-4 shadow-sm focus:outline-none transition-all hover:border-blue-400`
+                }
+              >
+                {({ checked }) => (
+                  <>
+                    <option.Icon className="h-8 w-8 text-blue-500 dark:text-blue-400/80 mr-4 flex-shrink-0" />
+                    <div className="flex flex-1 flex-col">
+                      <RadioGroup.Label
+                        as="span"
+                        className="block text-base font-semibold text-primary dark:text-slate-100"
+                      >
+                        {option.label}
+                      </RadioGroup.Label>
+                      <RadioGroup.Description
+                        as="span"
+                        className="mt-1 text-sm text-slate-500 dark:text-slate-400"
+                      >
+                        {option.description}
+                      </RadioGroup.Description>
+                    </div>
+                    {checked && (
+                      <CheckCircleIcon
+                        className="h-6 w-6 text-blue-600 absolute top-3 right-3"
+                        aria-hidden="true"
+                      />
+                    )}
+                  </>
+                )}
+              </RadioGroup.Option>
+            ))}
+          </RadioGroup>
+        </div>
+      </div>
+
+      {/* Footer Actions */}
+      <div className="pt-6 mt-6 border-t border-border dark:border-slate-700">
+        <button
+          onClick={handleConfirm}
+          disabled={cardCount === 0 || exceedsHardLimit}
+          className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-slate-400 dark:disabled:bg-slate-700 dark:disabled:text-slate-500 disabled:cursor-not-allowed text-white rounded-lg transition-all duration-150 flex items-center justify-center gap-2 px-4 py-3 text-base font-semibold shadow-lg"
+        >
+          Confirm & Add to Binder
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReviewDexStep;
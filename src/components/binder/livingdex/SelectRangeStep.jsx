@@ -0,0 +1,190 @@
+import { Switch } from "@headlessui/react";
+import {
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+} from "@heroicons/react/24/outline";
+import LanguageSelect from "../../ui/LanguageSelect";
+import { GLOBAL_CARD_LIMIT } from "../../../lib/globalRules.js";
+import { POKEDEX_GENERATIONS } from "../../../utils/livingDex";
+
+const formatDexNumber = (number) => `#${String(number).padStart(3, "0")}`;
+
+const SelectRangeStep = ({
+  catalog,
+  language,
+  onLanguageChange,
+  generationIds,
+  onGenerationIdsChange,
+  alignGenerations,
+  onAlignGenerationsChange,
+  dexCount,
+  onProceed,
+}) => {
+  const { species, isLoading, error } = catalog;
+
+  const toggleGeneration = (generationId) => {
+    onGenerationIdsChange(
+      generationIds.includes(generationId)
+        ? generationIds.filter((id) => id !== generationId)
+        : [...generationIds, generationId].sort((a, b) => a - b)
+    );
+  };
+
+  // Species of a generation that have at least one card in the catalog
+  const countAvailable = (generation) => {
+    let available = 0;
+    for (let number = generation.first; number <= generation.last; number++) {
+      if (species.has(number)) available++;
+    }
+    return available;
+  };
+
+  const exceedsLimit = dexCount > GLOBAL_CARD_LIMIT;
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="flex-1 space-y-6">
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <h2 className="text-xl sm:text-2xl font-bold text-primary dark:text-slate-100">
+              Step 1: Choose the Pokédex Range
+            </h2>
+            <p className="text-sm text-secondary mt-1">
+              One slot per National Pokédex number, in dex order.
+            </p>
+          </div>
+          <LanguageSelect value={language} onChange={onLanguageChange} />
+        </div>
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-950 border border-red-200 dark:border-red-800 rounded-lg p-4 text-sm text-red-600 dark:text-red-400">
+            {error}
+          </div>
+        )}
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <span className="font-medium text-primary dark:text-slate-200">
+              Generations
+            </span>
+            <div className="flex gap-3 text-sm">
+              <button
+                onClick={() =>
+                  onGenerationIdsChange(
+                    POKEDEX_GENERATIONS.map((generation) => generation.id)
+                  )
+                }
+                className="font-medium text-blue-600 hover:underline dark:text-blue-400"
+              >
+                All
+              </button>
+              <button
+                onClick={() => onGenerationIdsChange([])}
+                className="font-medium text-blue-600 hover:underline dark:text-blue-400"
+              >
+                None
+              </button>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+            {POKEDEX_GENERATIONS.map((generation) => {
+              const isSelected = generationIds.includes(generation.id);
+              const total = generation.last - generation.first + 1;
+              return (
+                <button
+                  key={generation.id}
+                  onClick={() => toggleGeneration(generation.id)}
+                  className={`${
+                    isSelected
+                      ? "border-blue-500 ring-2 ring-blue-500 bg-blue-50 dark:bg-blue-950/30"
+                      : "border-border dark:border-slate-600 bg-card-background dark:bg-slate-800"
+                  } relative text-left rounded-lg border p-3 shadow-sm transition-all hover:border-blue-400`}
+                >
+                  <div className="font-semibold text-primary dark:text-slate-100">
+                    {generation.label}
+                  </div>
+                  <div className="text-sm text-slate-500 dark:text-slate-400">
+                    {generation.region} · {formatDexNumber(generation.first)}–
+                    {formatDexNumber(generation.last)}
+                  </div>
+                  <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                    {isLoading
+                      ? "Checking cards..."
+                      : `${countAvailable(generation)} of ${total} have cards`}
+                  </div>
+                  {isSelected && (
+                    <CheckCircleIcon
+                      className="h-5 w-5 text-blue-600 absolute top-3 right-3"
+                      aria-hidden="true"
+                    />
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        <div className="bg-slate-100 dark:bg-slate-800/50 rounded-lg border border-border dark:border-slate-700/80 p-4 flex items-center justify-between">
+          <label
+            htmlFor="align-generations"
+            className="flex flex-col cursor-pointer flex-1 pr-4"
+          >
+            <span className="text-base font-medium text-primary dark:text-slate-200">
+              Start Each Generation on a New Page
+            </span>
+            <span className="text-sm text-slate-500 dark:text-slate-400">
+              Leaves the rest of a generation's last page empty.
+            </span>
+          </label>
+          <Switch
+            id="align-generations"
+            checked={alignGenerations}
+            onChange={onAlignGenerationsChange}
+            className={`${
+              alignGenerations ? "bg-blue-600" : "bg-gray-200 dark:bg-slate-700"
+            } relative inline-flex h-6 w-11 items-center rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 dark:focus:ring-offset-slate-800`}
+          >
+            <span
+              className={`${
+                alignGenerations ? "translate-x-6" : "translate-x-1"
+              } inline-block h-4 w-4 transform rounded-full bg-white transition-transform`}
+            />
+          </Switch>
+        </div>
+
+        <div className="bg-slate-100 dark:bg-slate-800/50 rounded-lg p-4 border border-border dark:border-slate-700/80 flex items-center justify-between">
+          <span className="text-base font-medium text-primary dark:text-slate-200">
+            Pokémon in Range
+          </span>
+          <span className="text-2xl font-bold text-blue-600 dark:text-blue-400">
+            {dexCount}
+          </span>
+        </div>
+
+        {exceedsLimit && (
+          <div className="flex items-start gap-2 bg-amber-50 dark:bg-amber-950/30 border border-amber-200 dark:border-amber-800 rounded-lg p-3 text-sm text-amber-800 dark:text-amber-300">
+            <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+            <span>
+              A binder holds at most {GLOBAL_CARD_LIMIT} cards. Pick fewer
+              generations or split the dex across several binders.
+            </span>
+          </div>
+        )}
+      </div>
+
+      {/* Footer Actions */}
+      <div className="pt-6 mt-6 border-t border-border dark:border-slate-700">
+        <button
+          onClick={onProceed}
+          disabled={dexCount === 0 || isLoading || Boolean(error)}
+          className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-slate-400 dark:disabled:bg-slate-700 dark:disabled:text-slate-500 disabled:cursor-not-allowed text-white rounded-lg transition-all duration-150 flex items-center justify-center gap-2 px-4 py-3 text-base font-semibold shadow-lg"
+        >
+          {isLoading ? "Loading cards..." : "Pick Cards →"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SelectRangeStep;
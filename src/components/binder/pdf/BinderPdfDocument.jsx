@@ -0,0 +1,514 @@
+import {
+  Document,
+  Page,
+  Text,
+  View,
+  Image,
+  Link,
+  StyleSheet,
+} from "@react-pdf/renderer";
+import { getGridLabel, getGridPreset } from "../../../utils/binderGrids";
+import { getPdfCardImage, getPdfCardSize } from "../../../utils/binderPdf";
+
+const PAGE_PADDING = 28;
+const HEADER_HEIGHT = 22;
+const FOOTER_HEIGHT = 18;
+const CARD_GAP = 4;
+const SPREAD_GUTTER = 24;
+
+const styles = StyleSheet.create({
+  page: {
+    padding: PAGE_PADDING,
+    paddingBottom: PAGE_PADDING + FOOTER_HEIGHT,
+    fontFamily: "Helvetica",
+    fontSize: 10,
+    color: "#1f2937",
+    backgroundColor: "#ffffff",
+  },
+  footer: {
+    position: "absolute",
+    left: PAGE_PADDING,
+    right: PAGE_PADDING,
+    bottom: PAGE_PADDING / 2,
+    flexDirection: "row",
+    justifyContent: "space-between",
+    fontSize: 7,
+    color: "#9ca3af",
+  },
+  cover: {
+    flexGrow: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    textAlign: "center",
+  },
+  coverTitle: {
+    fontSize: 30,
+    fontFamily: "Helvetica-Bold",
+    marginBottom: 12,
+  },
+  coverDescription: {
+    fontSize: 13,
+    color: "#6b7280",
+    marginBottom: 32,
+    maxWidth: 380,
+  },
+  coverStats: {
+    flexDirection: "row",
+    backgroundColor: "#eff6ff",
+    borderRadius: 12,
+    paddingVertical: 20,
+  },
+  coverStat: {
+    width: 110,
+    alignItems: "center",
+  },
+  coverStatValue: {
+    fontSize: 20,
+    fontFamily: "Helvetica-Bold",
+    color: "#1d4ed8",
+    marginBottom: 4,
+  },
+  coverStatLabel: {
+    fontSize: 9,
+    color: "#6b7280",
+  },
+  heading: {
+    fontSize: 18,
+    fontFamily: "Helvetica-Bold",
+    marginBottom: 14,
+  },
+  indexRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 5,
+    borderBottomWidth: 0.5,
+    borderBottomColor: "#e5e7eb",
+    textDecoration: "none",
+    color: "#1f2937",
+  },
+  indexDetail: {
+    color: "#6b7280",
+  },
+  sheet: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  binderPage: {
+    height: "100%",
+  },
+  binderPageHeader: {
+    height: HEADER_HEIGHT,
+    flexDirection: "row",
+    justifyContent: "space-between",
+    fontSize: 10,
+    color: "#6b7280",
+  },
+  binderPageTitle: {
+    fontFamily: "Helvetica-Bold",
+    color: "#374151",
+  },
+  grid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  slot: {
+    justifyContent: "center",
+    alignItems: "center",
+    borderRadius: 4,
+    overflow: "hidden",
+  },
+  emptySlot: {
+    borderWidth: 0.75,
+    borderStyle: "dashed",
+    borderColor: "#d1d5db",
+    backgroundColor: "#f9fafb",
+    color: "#9ca3af",
+    fontSize: 8,
+  },
+  textSlot: {
+    borderWidth: 0.75,
+    borderColor: "#e5e7eb",
+    backgroundColor: "#f8fafc",
+    padding: 4,
+    textAlign: "center",
+  },
+  textSlotName: {
+    fontFamily: "Helvetica-Bold",
+    fontSize: 8,
+    marginBottom: 2,
+  },
+  textSlotDetail: {
+    fontSize: 6,
+    color: "#64748b",
+  },
+  missingTag: {
+    position: "absolute",
+    bottom: 3,
+    paddingHorizontal: 4,
+    paddingVertical: 1,
+    borderRadius: 3,
+    backgroundColor: "#fee2e2",
+    color: "#b91c1c",
+    fontSize: 6,
+  },
+  tableHeader: {
+    flexDirection: "row",
+    borderBottomWidth: 1,
+    borderBottomColor: "#9ca3af",
+    paddingBottom: 4,
+    marginBottom: 2,
+    fontFamily: "Helvetica-Bold",
+    fontSize: 8,
+  },
+  tableRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 3,
+    borderBottomWidth: 0.5,
+    borderBottomColor: "#e5e7eb",
+    fontSize: 8,
+  },
+  checkbox: {
+    width: 8,
+    height: 8,
+    borderWidth: 0.75,
+    borderColor: "#6b7280",
+  },
+  checkboxChecked: {
+    backgroundColor: "#374151",
+  },
+});
+
+// Checklist columns as [label, key, width]
+const CHECKLIST_COLUMNS = [
+  ["Page", "page", 32],
+  ["Slot", "slot", 28],
+  ["Name", "name", null],
+  ["Set", "setName", 120],
+  ["No.", "number", 40],
+  ["Rarity", "rarity", 80],
+];
+
+const pageId = (number) => `binder-page-${number}`;
+
+const Footer = ({ binderName, onPageRender }) => (
+  <View style={styles.footer} fixed>
+    <Text>{binderName}</Text>
+    <Text
+      render={({ pageNumber, totalPages }) => {
+        // Pagination resolves this a second time once the total is known
+        if (totalPages) onPageRender?.(pageNumber, totalPages);
+        return `${pageNumber} / ${totalPages}`;
+      }}
+    />
+  </View>
+);
+
+const CoverPage = ({ binder, size, cardCount, pageCount, onPageRender }) => {
+  const preset = getGridPreset(binder.settings);
+  const stats = [
+    [cardCount, cardCount === 1 ? "Card" : "Cards"],
+    [pageCount, pageCount === 1 ? "Page" : "Pages"],
+    [
+      getGridLabel(binder.settings?.gridSize),
+      preset ? `${preset.label} Grid` : "Custom Grid",
+    ],
+  ];
+
+  return (
+    <Page size={size} style={styles.page}>
+      <View style={styles.cover}>
+        <Text style={styles.coverTitle}>
+          {binder.metadata?.name || "My Pokémon Binder"}
+        </Text>
+        {binder.metadata?.description && (
+          <Text style={styles.coverDescription}>
+            {binder.metadata.description}
+          </Text>
+        )}
+        <View style={styles.coverStats}>
+          {stats.map(([value, label]) => (
+            <View key={label} style={styles.coverStat}>
+              <Text style={styles.coverStatValue}>{value}</Text>
+              <Text style={styles.coverStatLabel}>{label}</Text>
+            </View>
+          ))}
+        </View>
+      </View>
+      <Footer
+        binderName={binder.metadata?.name || "Binder"}
+        onPageRender={onPageRender}
+      />
+    </Page>
+  );
+};
+
+const IndexPage = ({
+  binderName,
+  size,
+  pages,
+  includeChecklist,
+  onPageRender,
+}) => (
+  <Page size={size} style={styles.page}>
+    <Text style={styles.heading}>Contents</Text>
+    {pages.map((page) => {
+      const names = page.slots
+        .filter((slot) => slot.cardEntry)
+        .map((slot) => slot.cardEntry.cardData?.name)
+        .filter(Boolean);
+
+      return (
+        <Link
+          key={page.number}
+          src={`#${pageId(page.number)}`}
+          style={styles.indexRow}
+        >
+          <Text>Page {page.number}</Text>
+          <Text style={styles.indexDetail}>
+            {names.length > 0
+              ? `${names[0]}${
+                  names.length > 1 ? ` - ${names[names.length - 1]}` : ""
+                } (${page.cardCount})`
+              : "Empty"}
+          </Text>
+        </Link>
+      );
+    })}
+    {includeChecklist && (
+      <Link src="#checklist" style={styles.indexRow}>
+        <Text>Checklist</Text>
+        <Text style={styles.indexDetail}>Every card in the binder</Text>
+      </Link>
+    )}
+    <Footer binderName={binderName} onPageRender={onPageRender} />
+  </Page>
+);
+
+const CardSlot = ({ slot, grid, cardSize, images }) => {
+  const { cardEntry, isMissing } = slot;
+  const index = slot.slot - 1;
+  const sizeStyle = {
+    width: cardSize.width,
+    height: cardSize.height,
+    marginRight: index % grid.cols < grid.cols - 1 ? CARD_GAP : 0,
+    marginBottom: Math.floor(index / grid.cols) < grid.rows - 1 ? CARD_GAP : 0,
+  };
+
+  if (!cardEntry) {
+    return (
+      <View style={[styles.slot, styles.emptySlot, sizeStyle]}>
+        <Text>{slot.slot}</Text>
+      </View>
+    );
+  }
+
+  const cardData = cardEntry.cardData || {};
+  const image = images.get(getPdfCardImage(cardEntry));
+
+  return (
+    <View style={[styles.slot, sizeStyle]}>
+      {image ? (
+        <Image
+          src={image}
+          style={{
+            width: cardSize.width,
+            height: cardSize.height,
+            objectFit: "contain",
+            opacity: isMissing ? 0.35 : 1,
+          }}
+        />
+      ) : (
+        <View
+          style={[
+            styles.textSlot,
+            { width: cardSize.width, height: cardSize.height },
+          ]}
+        >
+          <Text style={styles.textSlotName}>
+            {cardData.name || "Unknown Card"}
+          </Text>
+          <Text style={styles.textSlotDetail}>
+            {[cardData.set?.name, cardData.number && `#${cardData.number}`]
+              .filter(Boolean)
+              .join(" · ")}
+          </Text>
+        </View>
+      )}
+      {isMissing && <Text style={styles.missingTag}>Missing</Text>}
+    </View>
+  );
+};
+
+const BinderPageView = ({ page, grid, area, images }) => {
+  const cardSize = getPdfCardSize(
+    { width: area.width, height: area.height - HEADER_HEIGHT },
+    grid,
+    CARD_GAP
+  );
+
+  return (
+    <View id={pageId(page.number)} style={[styles.binderPage, area]}>
+      <View style={styles.binderPageHeader}>
+        <Text style={styles.binderPageTitle}>Page {page.number}</Text>
+        <Text>
+          {page.cardCount} / {page.slots.length} cards
+        </Text>
+      </View>
+      <View
+        style={[
+          styles.grid,
+          // Slack for rounding so the last column never wraps
+          {
+            width: cardSize.width * grid.cols + CARD_GAP * (grid.cols - 1) + 1,
+          },
+        ]}
+      >
+        {page.slots.map((slot) => (
+          <CardSlot
+            key={slot.position}
+            slot={slot}
+            grid={grid}
+            cardSize={cardSize}
+            images={images}
+          />
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const CardSheet = ({ sheet, size, grid, images, binderName, onPageRender }) => {
+  const contentWidth = size[0] - PAGE_PADDING * 2;
+  const contentHeight = size[1] - PAGE_PADDING * 2 - FOOTER_HEIGHT;
+  const area = {
+    width:
+      sheet.length === 2 ? (contentWidth - SPREAD_GUTTER) / 2 : contentWidth,
+    height: contentHeight,
+  };
+
+  return (
+    <Page size={size} style={styles.page} wrap={false}>
+      <View style={styles.sheet}>
+        {sheet.map((page, index) =>
+          page ? (
+            <BinderPageView
+              key={page.number}
+              page={page}
+              grid={grid}
+              area={area}
+              images={images}
+            />
+          ) : (
+            <View key={`blank-${index}`} style={area} />
+          )
+        )}
+      </View>
+      <Footer binderName={binderName} onPageRender={onPageRender} />
+    </Page>
+  );
+};
+
+const ChecklistPages = ({ binderName, size, rows, onPageRender }) => (
+  <Page size={size} style={styles.page} wrap>
+    <View id="checklist">
+      <Text style={styles.heading}>Checklist</Text>
+    </View>
+    <View style={styles.tableHeader} fixed>
+      <View style={{ width: 16 }} />
+      {CHECKLIST_COLUMNS.map(([label, key, width]) => (
+        <Text key={key} style={width ? { width } : { flex: 1 }}>
+          {label}
+        </Text>
+      ))}
+    </View>
+    {rows.map((row, index) => (
+      <View key={index} style={styles.tableRow} wrap={false}>
+        <View style={{ width: 16 }}>
+          <View
+            style={[
+              styles.checkbox,
+              row.missing !== "Yes" && styles.checkboxChecked,
+            ]}
+          />
+        </View>
+        {CHECKLIST_COLUMNS.map(([, key, width]) => (
+          <Text key={key} style={width ? { width } : { flex: 1 }}>
+            {row[key]}
+          </Text>
+        ))}
+      </View>
+    ))}
+    <Footer binderName={binderName} onPageRender={onPageRender} />
+  </Page>
+);
+
+/**
+ * BinderPdfDocument - Vector PDF of a binder for @react-pdf/renderer
+ * Card images are passed in already loaded (`images` maps image URL to a
+ * data URL, or null when it failed) so the export can report progress.
+ * `onPageRender(pageNumber, totalPages)` is called as each page is laid out.
+ */
+const BinderPdfDocument = ({
+  binder,
+  pages,
+  sheets,
+  grid,
+  images,
+  pageSize,
+  checklistRows = null,
+  includeIndex = true,
+  onPageRender,
+}) => {
+  const binderName = binder.metadata?.name || "Binder";
+  const portrait = [pageSize.width, pageSize.height];
+  const isSpread = sheets.some((sheet) => sheet.length === 2);
+  const sheetSize = isSpread ? [pageSize.height, pageSize.width] : portrait;
+
+  return (
+    <Document
+      title={binderName}
+      author="PokémonBindr"
+      creator="PokémonBindr PDF Export"
+      subject={`Pokémon Trading Card Binder - ${binderName}`}
+    >
+      <CoverPage
+        binder={binder}
+        size={portrait}
+        cardCount={Object.keys(binder.cards || {}).length}
+        pageCount={pages.length}
+        onPageRender={onPageRender}
+      />
+      {includeIndex && (
+        <IndexPage
+          binderName={binderName}
+          size={portrait}
+          pages={pages}
+          includeChecklist={Boolean(checklistRows)}
+          onPageRender={onPageRender}
+        />
+      )}
+      {sheets.map((sheet, index) => (
+        <CardSheet
+          key={index}
+          sheet={sheet}
+          size={sheetSize}
+          grid={grid}
+          images={images}
+          binderName={binderName}
+          onPageRender={onPageRender}
+        />
+      ))}
+      {checklistRows && (
+        <ChecklistPages
+          binderName={binderName}
+          size={portrait}
+          rows={checklistRows}
+          onPageRender={onPageRender}
+        />
+      )}
+    </Document>
+  );
+};
+
+export default BinderPdfDocument;
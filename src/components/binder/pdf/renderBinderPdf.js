@@ -0,0 +1,28 @@
+import { createElement } from "react";
+import { pdf } from "@react-pdf/renderer";
+import BinderPdfDocument from "./BinderPdfDocument";
+
+/**
+ * Lay out and write a binder PDF
+ * Shared by the PDF worker and the main-thread fallback. Progress is
+ * reported per laid out page as { stage: "rendering", completed, total },
+ * then once as { stage: "writing" } while the file itself is produced.
+ * @param {Object} documentProps - Props for BinderPdfDocument
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Blob>} - The PDF
+ */
+export const renderBinderPdf = (documentProps, onProgress) => {
+  const onPageRender = (pageNumber, totalPages) => {
+    onProgress?.({
+      stage: pageNumber < totalPages ? "rendering" : "writing",
+      completed: pageNumber,
+      total: totalPages,
+    });
+  };
+
+  return pdf(
+    createElement(BinderPdfDocument, { ...documentProps, onPageRender })
+  ).toBlob();
+};
+
+export default renderBinderPdf;
@@ -1,86 +1,82 @@
 import { Switch, RadioGroup } from "@headlessui/react";
 import { CheckCircleIcon } from "@heroicons/react/20/solid";
-import { useEffect, useState } from "react";
-
-const fetchSetCardStats = async (setId, lang = "en") => {
-  try {
-    const url = `${
-      import.meta.env.BASE_URL || "/"
-    }data/${lang}/cards/${setId}.json`;
-    const resp = await fetch(url);
-    if (!resp.ok) throw new Error("not found");
-    const cards = await resp.json();
-    const reverseEligibleRarities = ["Common", "Uncommon", "Rare", "Rare Holo"];
-    const reversibleCount = cards.filter((c) =>
-      reverseEligibleRarities.includes(c.rarity)
-    ).length;
-    return { total: cards.length, reversible: reversibleCount };
-  } catch {
-    return null;
-  }
-};
-
-// A rough estimation until we fetch the full card list with rarities.
-const estimateReverseHoloCount = (set, copies = 1) => {
-  if (!set) return 0;
-  // Estimate that ~60% of non-secret rare cards can have a reverse holo.
-  const baseReverseHolos = Math.floor(set.printedTotal * 0.6);
-  return baseReverseHolos * copies;
-};
+import { useMemo } from "react";
+import {
+  countExtraVariants,
+  getVariantAttributes,
+  hasVariantData,
+} from "../../../utils/cardVariants";
+import { getVariantLabel } from "../../../utils/cardValuation";
 
 const ConfigureStep = ({
-  selectedSet,
+  selectedSets,
+  setCards,
   configuration,
   onConfigChange,
   onProceed,
   onBack,
 }) => {
   const {
-    includeReverseHolos,
+    extraVariants = [],
     placement,
     binderPlacement,
     bufferPages = 0,
     reverseHoloCopies = 1,
+    setPageBreaks = true,
   } = configuration;
+  const { cardsBySet, isLoading, error } = setCards;
 
-  const [stats, setStats] = useState(null);
+  const allCards = useMemo(
+    () => selectedSets.flatMap((set) => cardsBySet[set.id] || []),
+    [selectedSets, cardsBySet]
+  );
+  const extraCounts = useMemo(() => countExtraVariants(allCards), [allCards]);
+  // Cards whose printings are guessed from their rarity
+  const guessedCount = useMemo(
+    () => allCards.filter((card) => !hasVariantData(card)).length,
+    [allCards]
+  );
+
+  const getCopies = (variant) =>
+    getVariantAttributes(variant).finish === "reverseHolofoil"
+      ? reverseHoloCopies
+      : 1;
+  const extraCardCount = extraCounts
+    .filter(({ variant }) => extraVariants.includes(variant))
+    .reduce((sum, { variant, count }) => sum + count * getCopies(variant), 0);
+  const totalCards = allCards.length + extraCardCount;
 
-  useEffect(() => {
-    let isMounted = true;
-    if (selectedSet) {
-      fetchSetCardStats(selectedSet.id).then((res) => {
-        if (isMounted) setStats(res);
-      });
-    }
-    return () => {
-      isMounted = false;
-    };
-  }, [selectedSet]);
+  const isMasterSet =
+    extraCounts.length > 0 &&
+    extraCounts.every(({ variant }) => extraVariants.includes(variant));
+  const includesReverseHolos = extraVariants.includes("reverseHolofoil");
 
-  const accurateRhCount = stats
-    ? stats.reversible * (includeReverseHolos ? reverseHoloCopies : 0)
-    : estimateReverseHoloCount(selectedSet, reverseHoloCopies);
+  const toggleVariant = (variant) => {
+    onConfigChange({
+      extraVariants: extraVariants.includes(variant)
+        ? extraVariants.filter((selected) => selected !== variant)
+        : [...extraVariants, variant],
+    });
+  };
 
-  const totalCards = stats
-    ? stats.total + (includeReverseHolos ? accurateRhCount : 0)
-    : (selectedSet?.printedTotal || 0) +
-      (includeReverseHolos ? accurateRhCount : 0);
+  const firstSet = selectedSets[0];
+  const isMultiSet = selectedSets.length > 1;
 
   const placementOptions = [
     {
       name: "Interleaved",
       value: "interleaved",
-      description: "Reverse holo after its regular version.",
+      description: "Extra printings after the card's main printing.",
     },
     {
       name: "All First",
       value: "first",
-      description: "All reverse holos at the start of the set.",
+      description: "All extra printings at the start of each set.",
     },
     {
       name: "All Last",
       value: "last",
-      description: "All reverse holos at the end of the set.",
+      description: "All extra printings at the end of each set.",
     },
   ];
 
@@ -97,122 +93,176 @@ const ConfigureStep = ({
           <div className="flex items-center gap-4">
             <div className="flex-shrink-0 w-16 h-16 bg-slate-100 dark:bg-slate-700 rounded-lg flex items-center justify-center overflow-hidden p-1">
               <img
-                src={selectedSet.logo}
-                alt={selectedSet.name}
+                src={firstSet.logo}
+                alt={firstSet.name}
                 className="max-w-full max-h-full object-contain"
               />
             </div>
-            <div>
+            <div className="min-w-0">
               <h2 className="text-xl sm:text-2xl font-bold text-primary dark:text-slate-100">
-                Step 2: Configure {selectedSet?.name}
+                Step 2: Configure{" "}
+                {isMultiSet ? `${selectedSets.length} Sets` : firstSet.name}
               </h2>
-              <p className="text-slate-500 dark:text-slate-400">
-                {selectedSet?.series} &bull; Released {selectedSet?.releaseDate}
+              <p className="text-slate-500 dark:text-slate-400 truncate">
+                {isMultiSet
+                  ? selectedSets.map((set) => set.name).join(", ")
+                  : `${firstSet.series} • Released ${firstSet.releaseDate}`}
               </p>
             </div>
           </div>
         </div>
 
+        {error && (
+          <div className="bg-red-50 dark:bg-red-950 border border-red-200 dark:border-red-800 rounded-lg p-4 text-sm text-red-600 dark:text-red-400">
+            {error}
+          </div>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-2 lg:gap-x-8 items-start">
           {/* --- Left Column: Holo Configuration --- */}
           <div className="space-y-6 mb-6 lg:mb-0">
-            {/* Reverse Holo Option */}
+            {/* Extra Printings */}
             <div className="bg-slate-100 dark:bg-slate-800/50 rounded-lg border border-border dark:border-slate-700/80">
               <div className="p-4 flex items-center justify-between">
                 <label
-                  htmlFor="include-reverse-holos"
+                  htmlFor="master-set"
                   className="flex flex-col cursor-pointer flex-1 pr-4"
                 >
                   <span className="text-base font-medium text-purple-800 dark:text-purple-300">
-                    Include Reverse Holo Cards
+                    Master Set
                   </span>
                   <span className="text-sm text-purple-600 dark:text-purple-400">
-                    Adds {stats ? accurateRhCount : `~${accurateRhCount}`}{" "}
-                    reverse holos ({reverseHoloCopies} cop
-                    {reverseHoloCopies === 1 ? "y" : "ies"} each).
+                    {isLoading
+                      ? "Checking which printings exist..."
+                      : extraCounts.length > 0
+                      ? "Every printing of every card, not just the main one."
+                      : "No card in this selection has other printings."}
                   </span>
                 </label>
                 <Switch
-                  id="include-reverse-holos"
-                  checked={includeReverseHolos}
+                  id="master-set"
+                  checked={isMasterSet}
+                  disabled={isLoading || extraCounts.length === 0}
                   onChange={(checked) =>
-                    onConfigChange({ includeReverseHolos: checked })
+                    onConfigChange({
+                      extraVariants: checked
+                        ? extraCounts.map(({ variant }) => variant)
+                        : [],
+                    })
                   }
                   className={`${
-                    includeReverseHolos
+                    isMasterSet
                       ? "bg-purple-600"
                       : "bg-gray-200 dark:bg-slate-700"
-                  } relative inline-flex h-6 w-11 items-center rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 dark:focus:ring-offset-slate-800`}
+                  } relative inline-flex h-6 w-11 items-center rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 dark:focus:ring-offset-slate-800 disabled:opacity-50`}
                 >
                   <span
                     className={`${
-                      includeReverseHolos ? "translate-x-6" : "translate-x-1"
+                      isMasterSet ? "translate-x-6" : "translate-x-1"
                     } inline-block h-4 w-4 transform rounded-full bg-white transition-transform`}
                   />
                 </Switch>
               </div>
 
-              {includeReverseHolos && (
+              {extraCounts.length > 0 && (
+                <div className="p-4 border-t border-border dark:border-slate-700/80 space-y-2">
+                  <span className="text-sm font-medium text-primary dark:text-slate-300">
+                    Extra Printings
+                  </span>
+                  {extraCounts.map(({ variant, count }) => (
+                    <label
+                      key={variant}
+                      className="flex items-center justify-between gap-3 text-sm cursor-pointer"
+                    >
+                      <span className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={extraVariants.includes(variant)}
+                          onChange={() => toggleVariant(variant)}
+                          className="rounded border-border text-purple-600 focus:ring-purple-500"
+                        />
+                        <span className="text-primary dark:text-slate-200">
+                          {getVariantLabel(variant)}
+                        </span>
+                      </span>
+                      <span className="text-slate-500 dark:text-slate-400">
+                        {count * getCopies(variant)} card
+                        {count * getCopies(variant) !== 1 ? "s" : ""}
+                      </span>
+                    </label>
+                  ))}
+                  {guessedCount > 0 && (
+                    <p className="text-xs text-slate-500 dark:text-slate-400">
+                      {guessedCount} card{guessedCount !== 1 ? "s" : ""} have no
+                      price data; their printings are guessed from rarity.
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {extraVariants.length > 0 && (
                 <div className="p-4 border-t border-border dark:border-slate-700/80 space-y-4">
                   {/* Number of Copies Selection */}
-                  <RadioGroup
-                    value={reverseHoloCopies}
-                    onChange={(value) =>
-                      onConfigChange({ reverseHoloCopies: value })
-                    }
-                  >
-                    <RadioGroup.Label className="text-sm font-medium text-primary dark:text-slate-300">
-                      Copies per Reverse Holo (Pokeball or Master Ball etc.)
-                    </RadioGroup.Label>
-                    <div className="mt-2 grid grid-cols-3 gap-2">
-                      {[1, 2, 3].map((copies) => (
-                        <RadioGroup.Option
-                          key={copies}
-                          value={copies}
-                          className={({ active, checked }) =>
-                            `${
-                              checked
-                                ? "border-purple-500 ring-2 ring-purple-500 bg-purple-50 dark:bg-purple-950/30"
-                                : "border-border dark:border-slate-600 bg-card-background dark:bg-slate-800"
-                            } relative flex cursor-pointer rounded-lg border p-3 shadow-sm focus:outline-none transition-all hover:border-purple-400`
-                          }
-                        >
-                          {({ checked }) => (
-                            <>
-                              <div className="flex flex-1 flex-col text-center">
-                                <RadioGroup.Label
-                                  as="span"
-                                  className={`block text-lg font-bold ${
-                                    checked
-                                      ? "text-purple-900 dark:text-purple-200"
-                                      : "text-primary dark:text-slate-200"
-                                  }`}
-                                >
-                                  {copies}
-                                </RadioGroup.Label>
-                                <RadioGroup.Description
-                                  as="span"
-                                  className={`mt-1 text-xs ${
-                                    checked
-                                      ? "text-purple-700 dark:text-purple-400"
-                                      : "text-slate-500 dark:text-slate-400"
-                                  }`}
-                                >
-                                  extra cop{copies === 1 ? "y" : "ies"}
-                                </RadioGroup.Description>
-                              </div>
-                              {checked && (
-                                <CheckCircleIcon
-                                  className="h-4 w-4 text-purple-600 absolute top-1 right-1"
-                                  aria-hidden="true"
-                                />
-                              )}
-                            </>
-                          )}
-                        </RadioGroup.Option>
-                      ))}
-                    </div>
-                  </RadioGroup>
+                  {includesReverseHolos && (
+                    <RadioGroup
+                      value={reverseHoloCopies}
+                      onChange={(value) =>
+                        onConfigChange({ reverseHoloCopies: value })
+                      }
+                    >
+                      <RadioGroup.Label className="text-sm font-medium text-primary dark:text-slate-300">
+                        Copies per Reverse Holo (Pokeball or Master Ball etc.)
+                      </RadioGroup.Label>
+                      <div className="mt-2 grid grid-cols-3 gap-2">
+                        {[1, 2, 3].map((copies) => (
+                          <RadioGroup.Option
+                            key={copies}
+                            value={copies}
+                            className={({ active, checked }) =>
+                              `${
+                                checked
+                                  ? "border-purple-500 ring-2 ring-purple-500 bg-purple-50 dark:bg-purple-950/30"
+                                  : "border-border dark:border-slate-600 bg-card-background dark:bg-slate-800"
+                              } relative flex cursor-pointer rounded-lg border p-3 shadow-sm focus:outline-none transition-all hover:border-purple-400`
+                            }
+                          >
+                            {({ checked }) => (
+                              <>
+                                <div className="flex flex-1 flex-col text-center">
+                                  <RadioGroup.Label
+                                    as="span"
+                                    className={`block text-lg font-bold ${
+                                      checked
+                                        ? "text-purple-900 dark:text-purple-200"
+                                        : "text-primary dark:text-slate-200"
+                                    }`}
+                                  >
+                                    {copies}
+                                  </RadioGroup.Label>
+                                  <RadioGroup.Description
+                                    as="span"
+                                    className={`mt-1 text-xs ${
+                                      checked
+                                        ? "text-purple-700 dark:text-purple-400"
+                                        : "text-slate-500 dark:text-slate-400"
+                                    }`}
+                                  >
+                                    extra cop{copies === 1 ? "y" : "ies"}
+                                  </RadioGroup.Description>
+                                </div>
+                                {checked && (
+                                  <CheckCircleIcon
+                                    className="h-4 w-4 text-purple-600 absolute top-1 right-1"
+                                    aria-hidden="true"
+                                  />
+                                )}
+                              </>
+                            )}
+                          </RadioGroup.Option>
+                        ))}
+                      </div>
+                    </RadioGroup>
+                  )}
 
                   {/* Placement Selection */}
                   <RadioGroup
@@ -220,7 +270,7 @@ const ConfigureStep = ({
                     onChange={(value) => onConfigChange({ placement: value })}
                   >
                     <RadioGroup.Label className="text-sm font-medium text-primary dark:text-slate-300">
-                      Reverse Holo Placement
+                      Extra Printing Placement
                     </RadioGroup.Label>
                     <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-3">
                       {placementOptions.map((option) => (
@@ -274,6 +324,43 @@ const ConfigureStep = ({
                 </div>
               )}
             </div>
+
+            {/* Page Break Between Sets */}
+            {isMultiSet && (
+              <div className="bg-slate-100 dark:bg-slate-800/50 rounded-lg border border-border dark:border-slate-700/80">
+                <div className="p-4 flex items-center justify-between">
+                  <label
+                    htmlFor="set-page-breaks"
+                    className="flex flex-col cursor-pointer flex-1 pr-4"
+                  >
+                    <span className="text-base font-medium text-primary dark:text-slate-200">
+                      Start Each Set on a New Page
+                    </span>
+                    <span className="text-sm text-slate-500 dark:text-slate-400">
+                      Sets are added oldest first.
+                    </span>
+                  </label>
+                  <Switch
+                    id="set-page-breaks"
+                    checked={setPageBreaks}
+                    onChange={(checked) =>
+                      onConfigChange({ setPageBreaks: checked })
+                    }
+                    className={`${
+                      setPageBreaks
+                        ? "bg-blue-600"
+                        : "bg-gray-200 dark:bg-slate-700"
+                    } relative inline-flex h-6 w-11 items-center rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 dark:focus:ring-offset-slate-800`}
+                  >
+                    <span
+                      className={`${
+                        setPageBreaks ? "translate-x-6" : "translate-x-1"
+                      } inline-block h-4 w-4 transform rounded-full bg-white transition-transform`}
+                    />
+                  </Switch>
+                </div>
+              </div>
+            )}
           </div>
 
           {/* --- Right Column: Placement and Summary --- */}
@@ -322,7 +409,7 @@ const ConfigureStep = ({
                                 : "text-slate-500 dark:text-slate-400"
                             }`}
                           >
-                            Clear all existing cards and add the complete set.
+                            Clear all existing cards and add the selected sets.
                           </RadioGroup.Description>
                         </div>
                         {checked && (
@@ -366,8 +453,7 @@ const ConfigureStep = ({
                                 : "text-slate-500 dark:text-slate-400"
                             }`}
                           >
-                            Add set to the start, pushing existing cards
-                            forward.
+                            Add to the start, pushing existing cards forward.
                           </RadioGroup.Description>
                         </div>
                         {checked && (
@@ -411,7 +497,7 @@ const ConfigureStep = ({
                                 : "text-slate-500 dark:text-slate-400"
                             }`}
                           >
-                            Add set after all existing cards in the binder.
+                            Add after all existing cards in the binder.
                           </RadioGroup.Description>
                         </div>
                         {checked && (
@@ -440,8 +526,8 @@ const ConfigureStep = ({
                     </span>
                     <span className="text-sm text-green-700 dark:text-green-400">
                       {binderPlacement === "end"
-                        ? "Leave empty page(s) before this set."
-                        : "Leave empty page(s) after this set."}
+                        ? "Leave empty page(s) before the new cards."
+                        : "Leave empty page(s) after the new cards."}
                     </span>
                   </label>
                   <div className="flex items-center gap-2">
@@ -475,7 +561,7 @@ const ConfigureStep = ({
                 Total Cards to Add
               </span>
               <span className="text-2xl font-bold text-blue-600 dark:text-blue-400">
-                {totalCards}
+                {isLoading ? "..." : totalCards}
               </span>
             </div>
           </div>
@@ -486,7 +572,8 @@ const ConfigureStep = ({
       <div className="pt-6 mt-6 border-t border-border dark:border-slate-700">
         <button
           onClick={onProceed}
-          className="w-full bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-all duration-150 flex items-center justify-center gap-2 px-4 py-3 text-base font-semibold shadow-lg hover:shadow-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 dark:focus:ring-offset-slate-900"
+          disabled={isLoading || Boolean(error)}
+          className="w-full disabled:bg-slate-400 dark:disabled:bg-slate-700 disabled:cursor-not-allowed bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-all duration-150 flex items-center justify-center gap-2 px-4 py-3 text-base font-semibold shadow-lg hover:shadow-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 dark:focus:ring-offset-slate-900"
         >
           Review & Check Capacity &rarr;
         </button>
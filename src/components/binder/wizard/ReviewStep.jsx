@@ -1,31 +1,56 @@
 import { useState, useEffect, useMemo } from "react";
 import { useBinderContext } from "../../../contexts/BinderContext";
-import useSetSearch from "../../../hooks/useSetSearch";
-import { getGridConfig } from "../../../hooks/useBinderDimensions";
+import {
+  PRESET_GRID_SIZES,
+  getGridConfig,
+  getGridLabel,
+  getGridPreset,
+} from "../../../utils/binderGrids";
 import { toast } from "react-hot-toast";
 import { GLOBAL_CARD_LIMIT } from "../../../lib/globalRules.js";
+import useWantList from "../../../hooks/useWantList";
+import { filterUnownedCards } from "../../../utils/wantList";
+import { buildMasterSetCards } from "../../../utils/cardVariants";
+import { normalizeCardData } from "../../../services/pokemonTcgApi";
 import { RadioGroup } from "@headlessui/react";
 import {
   CheckCircleIcon,
   ExclamationTriangleIcon,
   ArchiveBoxXMarkIcon,
   SparklesIcon,
+  HeartIcon,
 } from "@heroicons/react/24/outline";
 
 // --- Helper Functions ---
-const canHaveReverseHolo = (rarity) => {
-  const reverseHoloRarities = ["Common", "Uncommon", "Rare", "Rare Holo"];
-  return reverseHoloRarities.includes(rarity);
+// Binder cards of the selected sets in order. With setPageBreaks, null gaps
+// start each set on a new page; placements always start on a page boundary.
+const buildWizardCards = (
+  selectedSets,
+  cardsBySet,
+  configuration,
+  language
+) => {
+  const { setPageBreaks = true, cardsPerPage } = configuration;
+  const layout = [];
+
+  selectedSets.forEach((set) => {
+    const used = layout.length % cardsPerPage;
+    if (setPageBreaks && used > 0) {
+      layout.push(...Array(cardsPerPage - used).fill(null));
+    }
+    buildMasterSetCards(cardsBySet[set.id] || [], configuration).forEach(
+      (card) => {
+        layout.push({
+          ...normalizeCardData({ ...card, language }),
+          ...(card.variant && { variant: card.variant }),
+          ...(card.reverseHolo && { reverseHolo: true }),
+        });
+      }
+    );
+  });
+  return layout;
 };
 
-const createReverseHoloCard = (card) => ({
-  ...card,
-  id: `${card.id}-rh`,
-  originalId: card.id,
-  reverseHolo: true,
-  addedAt: new Date().toISOString(),
-});
-
 const calculateBinderCapacity = (binder, getPageCount) => {
   if (!binder) return { totalSlots: 0, usedSlots: 0, availableSlots: 0 };
   const gridConfig = getGridConfig(binder.settings.gridSize);
@@ -53,20 +78,18 @@ const calculateExpansionOptions = (binder, neededSlots, getPageCount) => {
   if (slotsShortfall <= 0) return options;
 
   // Option 1: Increase grid size
-  const gridSizes = [
-    { name: "3x3", config: getGridConfig("3x3") },
-    { name: "4x4", config: getGridConfig("4x4") },
-  ];
-
-  gridSizes.forEach(({ name, config }) => {
+  PRESET_GRID_SIZES.forEach((gridSize) => {
+    const config = getGridConfig(gridSize);
     if (config.total > gridConfig.total) {
+      const preset = getGridPreset({ gridSize });
       const cardPages = currentPages === 1 ? 1 : 1 + (currentPages - 1) * 2;
       const newTotalSlots = cardPages * config.total;
       if (newTotalSlots >= neededSlots) {
         options.push({
           type: "gridSize",
-          value: name,
-          label: `Change to ${name} grid`,
+          value: gridSize,
+          presetId: preset.id,
+          label: `Change to ${preset.label} (${getGridLabel(gridSize)}) grid`,
           description: `New capacity: ${newTotalSlots} slots`,
         });
       }
@@ -131,7 +154,9 @@ const CapacityBar = ({ currentSlots, totalSlots, newSlots }) => {
 };
 
 const ReviewStep = ({
-  selectedSet,
+  selectedSets,
+  setCards,
+  language,
   configuration,
   currentBinder,
   onBack,
@@ -140,15 +165,16 @@ const ReviewStep = ({
 }) => {
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState(null);
-  const [fetchedCards, setFetchedCards] = useState([]);
-  const [isFetchingCards, setIsFetchingCards] = useState(false);
   const [progress, setProgress] = useState({ message: "", percentage: 0 });
 
   const [addMode, setAddMode] = useState("replace");
   const [selectedExpansion, setSelectedExpansion] = useState(null);
 
-  const { getSetCards } = useSetSearch();
+  const [isAddingToWantList, setIsAddingToWantList] = useState(false);
+
+  const { addCards: addCardsToWantList } = useWantList();
   const {
+    binders,
     clearBinderCards,
     updateBinderSettings,
     batchAddPages,
@@ -156,57 +182,40 @@ const ReviewStep = ({
     batchMoveCards,
   } = useBinderContext();
 
-  const fetchSetCardStats = async (setId, lang = "en") => {
-    try {
-      const url = `${
-        import.meta.env.BASE_URL || "/"
-      }data/${lang}/cards/${setId}.json`;
-      const resp = await fetch(url);
-      if (!resp.ok) throw new Error("not found");
-      const cards = await resp.json();
-      const reverseEligible = cards.filter((c) =>
-        canHaveReverseHolo(c.rarity)
-      ).length;
-      return { total: cards.length, reversible: reverseEligible };
-    } catch {
-      return null;
-    }
-  };
+  const { cardsBySet } = setCards;
+  const { binderPlacement, bufferPages = 0 } = configuration;
+
+  const gridConfigCurrent = useMemo(
+    () => getGridConfig(currentBinder.settings.gridSize),
+    [currentBinder.settings.gridSize]
+  );
+  const cardsPerPage = gridConfigCurrent.total;
 
   // --- Memoized Calculations ---
-  const [stats, setStats] = useState(null);
+  const cardsToAdd = useMemo(
+    () =>
+      buildWizardCards(
+        selectedSets,
+        cardsBySet,
+        { ...configuration, cardsPerPage },
+        language
+      ),
+    [selectedSets, cardsBySet, configuration, cardsPerPage, language]
+  );
+  // Slots include the empty ones between sets
+  const numSlotsToAdd = cardsToAdd.length;
+  const numCardsToAdd = cardsToAdd.filter(Boolean).length;
+  const setNames =
+    selectedSets.length === 1
+      ? selectedSets[0].name
+      : `${selectedSets.length} sets`;
 
-  useEffect(() => {
-    let mounted = true;
-    fetchSetCardStats(selectedSet.id).then((s) => mounted && setStats(s));
-    return () => {
-      mounted = false;
-    };
-  }, [selectedSet]);
-
-  const accurateReverseCount = stats
-    ? stats.reversible *
-      (configuration.includeReverseHolos
-        ? configuration.reverseHoloCopies || 1
-        : 0)
-    : 0;
-
-  const numCardsToAdd = stats
-    ? stats.total + accurateReverseCount
-    : selectedSet.printedTotal + accurateReverseCount;
   const hasExistingCards = Object.keys(currentBinder?.cards || {}).length > 0;
-  const { binderPlacement, bufferPages = 0 } = configuration;
 
   const capacityInfo = useMemo(
     () => calculateBinderCapacity(currentBinder, getPageCount),
     [currentBinder, getPageCount]
   );
-  const gridConfigCurrent = useMemo(
-    () => getGridConfig(currentBinder.settings.gridSize),
-    [currentBinder.settings.gridSize]
-  );
-  const cardsPerPage = gridConfigCurrent.total;
-
   // compute gap slots from partial last page when adding at end
   const existingPositionsArr = Object.keys(currentBinder?.cards || {}).map(
     (p) => parseInt(p, 10)
@@ -223,8 +232,8 @@ const ReviewStep = ({
 
   const totalCardsAfterAdd =
     binderPlacement === "replace"
-      ? numCardsToAdd
-      : capacityInfo.usedSlots + numCardsToAdd + gapSlots;
+      ? numSlotsToAdd
+      : capacityInfo.usedSlots + numSlotsToAdd + gapSlots;
 
   const expansionOptions = useMemo(
     () =>
@@ -264,8 +273,11 @@ const ReviewStep = ({
         if (selectedExpansion.type === "gridSize") {
           await updateBinderSettings(currentBinder.id, {
             gridSize: selectedExpansion.value,
+            gridPreset: selectedExpansion.presetId,
           });
-          toast.success(`Binder grid updated to ${selectedExpansion.value}.`);
+          toast.success(
+            `Binder grid updated to ${getGridLabel(selectedExpansion.value)}.`
+          );
         } else if (selectedExpansion.type === "addPages") {
           await batchAddPages(currentBinder.id, selectedExpansion.value);
           toast.success(`${selectedExpansion.value} page(s) added.`);
@@ -277,61 +289,16 @@ const ReviewStep = ({
         setProgress({ message: "Clearing existing cards...", percentage: 50 });
         await clearBinderCards(
           currentBinder.id,
-          `complete_set_replacement_${selectedSet.id}`
+          `complete_set_replacement_${selectedSets
+            .map((set) => set.id)
+            .join("_")}`
         );
         toast.success("Binder cleared for new set.");
       }
 
-      // Step 3: Fetch actual cards now
-      setProgress({ message: "Fetching card data...", percentage: 60 });
-      const apiCards = await getSetCards(selectedSet.id);
-
-      const createReverseHoloCard = (card, copyIndex = 0) => ({
-        ...card,
-        id:
-          copyIndex === 0 ? `${card.id}-rh` : `${card.id}-rh-${copyIndex + 1}`,
-        originalId: card.id,
-        reverseHolo: true,
-        addedAt: new Date().toISOString(),
-      });
-
-      let cardsToAdd = [];
-      if (configuration.includeReverseHolos) {
-        const regular = [...apiCards];
-        const reverseHoloCopies = configuration.reverseHoloCopies || 1;
-
-        // Create all reverse holo copies
-        const reverses = [];
-        regular
-          .filter((c) => canHaveReverseHolo(c.rarity))
-          .forEach((card) => {
-            for (let i = 0; i < reverseHoloCopies; i++) {
-              reverses.push(createReverseHoloCard(card, i));
-            }
-          });
-
-        if (configuration.placement === "first")
-          cardsToAdd = [...reverses, ...regular];
-        else if (configuration.placement === "last")
-          cardsToAdd = [...regular, ...reverses];
-        else {
-          // Interleaved: regular card followed by all its reverse holo copies
-          regular.forEach((card) => {
-            cardsToAdd.push(card);
-            if (canHaveReverseHolo(card.rarity)) {
-              for (let i = 0; i < reverseHoloCopies; i++) {
-                cardsToAdd.push(createReverseHoloCard(card, i));
-              }
-            }
-          });
-        }
-      } else {
-        cardsToAdd = apiCards;
-      }
-
-      // Step 4: Add cards based on placement mode
+      // Step 3: Add cards based on placement mode
       setProgress({
-        message: `Adding ${cardsToAdd.length} cards...`,
+        message: `Adding ${numCardsToAdd} cards...`,
         percentage: 80,
       });
 
@@ -384,7 +351,7 @@ const ReviewStep = ({
           : "";
 
       toast.success(
-        `Added ${cardsToAdd.length} cards from ${selectedSet.name}${placementText}!`,
+        `Added ${numCardsToAdd} cards from ${setNames}${placementText}!`,
         {
           duration: 4000,
         }
@@ -399,6 +366,40 @@ const ReviewStep = ({
     }
   };
 
+  // Add the cards of the sets that aren't owned in any binder to the want list
+  const handleAddToWantList = async () => {
+    setIsAddingToWantList(true);
+    try {
+      const unownedCards = filterUnownedCards(
+        cardsToAdd.filter(Boolean),
+        binders
+      );
+
+      if (unownedCards.length === 0) {
+        toast.success(`You already own every card in ${setNames}!`);
+        return;
+      }
+
+      const { added, alreadyListed } = addCardsToWantList(unownedCards, {
+        source: "wizard",
+      });
+      if (added > 0) {
+        toast.success(
+          `Added ${added} card${
+            added !== 1 ? "s" : ""
+          } from ${setNames} to your want list`
+        );
+      } else if (alreadyListed > 0) {
+        toast(`${setNames} is already on your want list`);
+      }
+    } catch (err) {
+      console.error("Failed to add set to want list:", err);
+      toast.error("Failed to add the set to your want list.");
+    } finally {
+      setIsAddingToWantList(false);
+    }
+  };
+
   const MAX_BINDER_CARDS = GLOBAL_CARD_LIMIT;
 
   if (isProcessing) {
@@ -406,14 +407,14 @@ const ReviewStep = ({
       <div className="flex flex-col items-center justify-center h-full text-center p-4">
         <div className="w-24 h-24 mb-6 flex items-center justify-center">
           <img
-            src={selectedSet.symbol}
-            alt={`${selectedSet.name} symbol`}
+            src={selectedSets[0].symbol}
+            alt={`${selectedSets[0].name} symbol`}
             className="max-w-full max-h-full object-contain"
           />
         </div>
         <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mb-6"></div>
         <h3 className="text-xl font-bold text-primary mb-2">
-          Adding {selectedSet.name}
+          Adding {setNames}
         </h3>
         <p className="text-secondary mb-4">{progress.message}</p>
         <div className="w-full bg-slate-200 dark:bg-slate-700 rounded-full h-2.5">
@@ -434,7 +435,10 @@ const ReviewStep = ({
 
   const { totalSlots, usedSlots } = capacityInfo;
   const willItFitAfterReplace = totalCardsAfterAdd <= totalSlots;
-  const exceedsHardLimit = totalCardsAfterAdd > MAX_BINDER_CARDS;
+  // Empty slots between sets don't count towards the card limit
+  const exceedsHardLimit =
+    (binderPlacement === "replace" ? 0 : usedSlots) + numCardsToAdd >
+    MAX_BINDER_CARDS;
 
   return (
     <div className="flex flex-col h-full">
@@ -464,6 +468,16 @@ const ReviewStep = ({
                   {numCardsToAdd}
                 </span>
               </div>
+              {numSlotsToAdd > numCardsToAdd && (
+                <div className="flex justify-between items-center">
+                  <span className="font-medium text-primary dark:text-slate-200">
+                    Empty Slots Between Sets
+                  </span>
+                  <span className="text-lg font-bold text-green-600 dark:text-green-400">
+                    {numSlotsToAdd - numCardsToAdd}
+                  </span>
+                </div>
+              )}
               {binderPlacement !== "replace" && (
                 <div className="flex justify-between items-center">
                   <span className="font-medium text-primary dark:text-slate-200">
@@ -497,7 +511,7 @@ const ReviewStep = ({
               <CapacityBar
                 currentSlots={binderPlacement === "replace" ? 0 : usedSlots}
                 totalSlots={totalSlots}
-                newSlots={numCardsToAdd}
+                newSlots={numSlotsToAdd}
               />
               <div className="flex justify-between items-center">
                 <span className="font-medium text-primary dark:text-slate-200">
@@ -650,6 +664,7 @@ const ReviewStep = ({
           onClick={handleFinalConfirm}
           disabled={
             isProcessing ||
+            numCardsToAdd === 0 ||
             exceedsHardLimit ||
             (addMode === "replace" && !willItFitAfterReplace) ||
             (addMode === "expand" && !selectedExpansion)
@@ -658,6 +673,17 @@ const ReviewStep = ({
         >
           {isProcessing ? "Applying..." : `Confirm & Add to Binder`}
         </button>
+        <button
+          onClick={handleAddToWantList}
+          disabled={isProcessing || isAddingToWantList}
+          className="w-full mt-3 border border-pink-300 dark:border-pink-800 text-pink-700 dark:text-pink-300 hover:bg-pink-50 dark:hover:bg-pink-950/30 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg transition-colors flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium"
+          title="Add the cards you don't own yet to your want list"
+        >
+          <HeartIcon className="w-4 h-4" />
+          {isAddingToWantList
+            ? "Adding to Want List..."
+            : "Add Missing Cards to Want List"}
+        </button>
         {exceedsHardLimit && (
           <p className="text-red-600 dark:text-red-400 text-sm mt-2 text-center">
             Cannot add: Binder limit of {MAX_BINDER_CARDS} cards would be
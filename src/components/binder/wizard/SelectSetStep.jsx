@@ -1,8 +1,8 @@
 import { MagnifyingGlassIcon } from "@heroicons/react/24/outline";
 import useSetSearch from "../../../hooks/useSetSearch";
 import { Disclosure, Transition } from "@headlessui/react";
-import { ChevronRightIcon } from "@heroicons/react/24/solid";
-import { useState } from "react";
+import { CheckCircleIcon, ChevronRightIcon } from "@heroicons/react/24/solid";
+import LanguageSelect from "../../ui/LanguageSelect";
 
 const SetCardSkeleton = () => (
   <div className="bg-card-background rounded-xl border border-border p-4">
@@ -18,7 +18,13 @@ const SetCardSkeleton = () => (
   </div>
 );
 
-const SelectSetStep = ({ onSetSelect }) => {
+const SelectSetStep = ({
+  selectedSets,
+  onSelectionChange,
+  onProceed,
+  language,
+  onLanguageChange,
+}) => {
   const {
     isLoading,
     error,
@@ -27,8 +33,29 @@ const SelectSetStep = ({ onSetSelect }) => {
     filteredCount,
     totalSets,
     groupedSets,
-  } = useSetSearch();
-  const [openSeries, setOpenSeries] = useState({});
+  } = useSetSearch({ language });
+
+  const selectedIds = new Set(selectedSets.map((set) => set.id));
+  const selectedCardCount = selectedSets.reduce(
+    (sum, set) => sum + (set.total || 0),
+    0
+  );
+
+  const toggleSet = (set) => {
+    onSelectionChange(
+      selectedIds.has(set.id)
+        ? selectedSets.filter((selected) => selected.id !== set.id)
+        : [...selectedSets, set]
+    );
+  };
+
+  // Select every set of a series, or clear them when all are selected
+  const toggleSeries = (setsInSeries) => {
+    const allSelected = setsInSeries.every((set) => selectedIds.has(set.id));
+    const seriesIds = new Set(setsInSeries.map((set) => set.id));
+    const others = selectedSets.filter((set) => !seriesIds.has(set.id));
+    onSelectionChange(allSelected ? others : [...others, ...setsInSeries]);
+  };
 
   if (error) {
     return (
@@ -45,9 +72,14 @@ const SelectSetStep = ({ onSetSelect }) => {
     <div className="flex flex-col h-full">
       {/* Search & Controls */}
       <div className="pb-4 space-y-4">
-        <h2 className="text-xl sm:text-2xl font-bold text-primary dark:text-slate-100">
-          Step 1: Select a Set
-        </h2>
+        <div className="flex items-center justify-between gap-3">
+          <h2 className="text-xl sm:text-2xl font-bold text-primary dark:text-slate-100">
+            Step 1: Select Sets
+          </h2>
+          {onLanguageChange && (
+            <LanguageSelect value={language} onChange={onLanguageChange} />
+          )}
+        </div>
         <div className="relative">
           <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400 dark:text-slate-500" />
           <input
@@ -106,6 +138,16 @@ const SelectSetStep = ({ onSetSelect }) => {
                   <Disclosure.Button className="flex w-full justify-between items-center rounded-lg bg-slate-100 dark:bg-slate-800 px-4 py-3 text-left text-sm font-medium text-primary hover:bg-slate-200 dark:hover:bg-slate-700 focus:outline-none focus-visible:ring focus-visible:ring-blue-500 focus-visible:ring-opacity-75">
                     <span>
                       {series} ({setsInSeries.length})
+                      {setsInSeries.some((set) => selectedIds.has(set.id)) && (
+                        <span className="ml-2 text-xs font-semibold text-blue-600 dark:text-blue-400">
+                          {
+                            setsInSeries.filter((set) =>
+                              selectedIds.has(set.id)
+                            ).length
+                          }{" "}
+                          selected
+                        </span>
+                      )}
                     </span>
                     <ChevronRightIcon
                       className={`${
@@ -125,13 +167,33 @@ const SelectSetStep = ({ onSetSelect }) => {
                       as="div"
                       className="px-2 pt-2 pb-2 text-sm text-gray-500"
                     >
+                      <div className="flex justify-end mb-2">
+                        <button
+                          onClick={() => toggleSeries(setsInSeries)}
+                          className="font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-300"
+                        >
+                          {setsInSeries.every((set) => selectedIds.has(set.id))
+                            ? "Deselect whole series"
+                            : "Select whole series"}
+                        </button>
+                      </div>
                       <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 2xl:grid-cols-4 gap-4">
                         {setsInSeries.map((set) => (
                           <div
                             key={set.id}
-                            onClick={() => onSetSelect(set)}
-                            className="group relative bg-card-background dark:bg-slate-800/50 rounded-xl border border-border dark:border-slate-700/80 transition-all duration-200 hover:shadow-xl hover:border-blue-500 dark:hover:border-blue-500 hover:scale-[1.02] cursor-pointer"
+                            onClick={() => toggleSet(set)}
+                            className={`group relative bg-card-background dark:bg-slate-800/50 rounded-xl border transition-all duration-200 hover:shadow-xl hover:border-blue-500 dark:hover:border-blue-500 hover:scale-[1.02] cursor-pointer ${
+                              selectedIds.has(set.id)
+                                ? "border-blue-500 ring-2 ring-blue-500"
+                                : "border-border dark:border-slate-700/80"
+                            }`}
                           >
+                            {selectedIds.has(set.id) && (
+                              <CheckCircleIcon
+                                className="h-6 w-6 text-blue-600 bg-white rounded-full absolute -top-2 -right-2"
+                                aria-hidden="true"
+                              />
+                            )}
                             <div className="p-4">
                               <div className="flex items-start gap-4">
                                 <div className="flex-shrink-0 w-14 h-14 bg-slate-100 dark:bg-slate-700 rounded-lg flex items-center justify-center overflow-hidden p-1">
@@ -177,6 +239,33 @@ const SelectSetStep = ({ onSetSelect }) => {
           ))
         )}
       </div>
+
+      {/* Footer Actions */}
+      <div className="pt-4 mt-4 border-t border-border dark:border-slate-700 flex items-center gap-3">
+        {selectedSets.length > 0 && (
+          <button
+            onClick={() => onSelectionChange([])}
+            className="text-sm font-medium text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200"
+          >
+            Clear selection
+          </button>
+        )}
+        <button
+          onClick={onProceed}
+          disabled={selectedSets.length === 0}
+          className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-400 dark:disabled:bg-slate-700 dark:disabled:text-slate-500 disabled:cursor-not-allowed text-white rounded-lg transition-all duration-150 flex items-center justify-center gap-2 px-4 py-3 text-base font-semibold shadow-lg"
+        >
+          {selectedSets.length === 0 ? (
+            "Select at least one set"
+          ) : (
+            <>
+              Continue with {selectedSets.length} set
+              {selectedSets.length !== 1 ? "s" : ""} ({selectedCardCount} cards)
+              &rarr;
+            </>
+          )}
+        </button>
+      </div>
     </div>
   );
 };
@@ -2,34 +2,55 @@ import { useState } from "react";
 import SelectSetStep from "./SelectSetStep";
 import ConfigureStep from "./ConfigureStep";
 import ReviewStep from "./ReviewStep";
-import { CheckCircleIcon } from "@heroicons/react/24/solid";
+import WizardProgress from "./WizardProgress";
+import useSelectedSetCards from "../../../hooks/useSelectedSetCards";
+import { getBinderLanguage } from "../../../utils/cardLanguages";
+
+// Oldest set first, so a whole series lands in the binder in release order
+const sortByRelease = (sets) =>
+  [...sets].sort((a, b) =>
+    (a.releaseDate || "").localeCompare(b.releaseDate || "")
+  );
 
 const SetAddWizard = ({ currentBinder, onAddCards, onWizardComplete }) => {
   const [step, setStep] = useState(1);
-  const [selectedSet, setSelectedSet] = useState(null);
+  const [selectedSets, setSelectedSets] = useState([]);
+  const [language, setLanguage] = useState(() =>
+    getBinderLanguage(currentBinder)
+  );
   const [configuration, setConfiguration] = useState({
-    includeReverseHolos: false,
+    extraVariants: [], // extra printings to add, e.g. "reverseHolofoil"
     placement: "interleaved",
     binderPlacement: "replace", // new option: "replace", "start", "end"
     bufferPages: 0, // number of empty pages before the set when adding to end
     reverseHoloCopies: 1, // number of copies per reverse holo card (1, 2, or 3)
+    setPageBreaks: true, // start each set on a new page
   });
+  const setCards = useSelectedSetCards(selectedSets, language);
 
   const steps = [
-    { id: 1, name: "Select Set", description: "Choose a set to add" },
+    { id: 1, name: "Select Sets", description: "Choose the sets to add" },
     {
       id: 2,
       name: "Configure",
-      description: "Adjust reverse holos & options",
+      description: "Pick printings & options",
     },
     { id: 3, name: "Review & Add", description: "Check capacity & confirm" },
   ];
 
-  const handleSetSelect = (set) => {
-    setSelectedSet(set);
+  const handleSelectionChange = (sets) => {
+    setSelectedSets(sortByRelease(sets));
+  };
+
+  const handleProceedToConfigure = () => {
     setStep(2);
   };
 
+  const handleLanguageChange = (newLanguage) => {
+    setLanguage(newLanguage);
+    setSelectedSets([]);
+  };
+
   const handleConfigChange = (newConfig) => {
     setConfiguration((prev) => ({ ...prev, ...newConfig }));
   };
@@ -48,29 +69,35 @@ const SetAddWizard = ({ currentBinder, onAddCards, onWizardComplete }) => {
     onWizardComplete();
   };
 
-  const handleReset = () => {
-    setSelectedSet(null);
-    setStep(1);
-  };
-
   const renderStep = () => {
     switch (step) {
       case 1:
-        return <SelectSetStep onSetSelect={handleSetSelect} />;
+        return (
+          <SelectSetStep
+            selectedSets={selectedSets}
+            onSelectionChange={handleSelectionChange}
+            onProceed={handleProceedToConfigure}
+            language={language}
+            onLanguageChange={handleLanguageChange}
+          />
+        );
       case 2:
         return (
           <ConfigureStep
-            selectedSet={selectedSet}
+            selectedSets={selectedSets}
+            setCards={setCards}
             configuration={configuration}
             onConfigChange={handleConfigChange}
             onProceed={handleProceedToReview}
-            onBack={handleReset}
+            onBack={handleBack}
           />
         );
       case 3:
         return (
           <ReviewStep
-            selectedSet={selectedSet}
+            selectedSets={selectedSets}
+            setCards={setCards}
+            language={language}
             configuration={configuration}
             currentBinder={currentBinder}
             onAddCards={onAddCards}
@@ -79,83 +106,22 @@ const SetAddWizard = ({ currentBinder, onAddCards, onWizardComplete }) => {
           />
         );
       default:
-        return <SelectSetStep onSetSelect={handleSetSelect} />;
+        return (
+          <SelectSetStep
+            selectedSets={selectedSets}
+            onSelectionChange={handleSelectionChange}
+            onProceed={handleProceedToConfigure}
+            language={language}
+            onLanguageChange={handleLanguageChange}
+          />
+        );
     }
   };
 
   return (
     <div className="flex flex-col h-full bg-card-background text-primary">
       {/* Header with Step Indicator */}
-      <div className="px-4 py-3 border-b border-border">
-        <nav aria-label="Progress">
-          <ol role="list" className="flex items-center">
-            {steps.map((s, stepIdx) => (
-              <li
-                key={s.name}
-                className={`relative ${
-                  stepIdx !== steps.length - 1 ? "pr-8 sm:pr-20" : ""
-                }`}
-              >
-                {step > s.id ? (
-                  <>
-                    <div
-                      className="absolute inset-0 flex items-center"
-                      aria-hidden="true"
-                    >
-                      <div className="h-0.5 w-full bg-blue-600" />
-                    </div>
-                    <button
-                      onClick={() => setStep(s.id)}
-                      className="relative w-8 h-8 flex items-center justify-center bg-blue-600 rounded-full hover:bg-blue-700"
-                    >
-                      <CheckCircleIcon
-                        className="w-5 h-5 text-white"
-                        aria-hidden="true"
-                      />
-                      <span className="sr-only">{s.name}</span>
-                    </button>
-                  </>
-                ) : step === s.id ? (
-                  <>
-                    <div
-                      className="absolute inset-0 flex items-center"
-                      aria-hidden="true"
-                    >
-                      <div className="h-0.5 w-full bg-gray-200 dark:bg-gray-700" />
-                    </div>
-                    <div
-                      className="relative w-8 h-8 flex items-center justify-center bg-white dark:bg-slate-800 border-2 border-blue-600 rounded-full"
-                      aria-current="step"
-                    >
-                      <span
-                        className="h-2.5 w-2.5 bg-blue-600 rounded-full"
-                        aria-hidden="true"
-                      />
-                      <span className="sr-only">{s.name}</span>
-                    </div>
-                  </>
-                ) : (
-                  <>
-                    <div
-                      className="absolute inset-0 flex items-center"
-                      aria-hidden="true"
-                    >
-                      <div className="h-0.5 w-full bg-gray-200 dark:bg-gray-700" />
-                    </div>
-                    <div className="group relative w-8 h-8 flex items-center justify-center bg-white dark:bg-slate-800 border-2 border-gray-300 dark:border-gray-600 rounded-full">
-                      <span
-                        className="h-2.5 w-2.5 bg-transparent rounded-full"
-                        aria-hidden="true"
-                      />
-                      <span className="sr-only">{s.name}</span>
-                    </div>
-                  </>
-                )}
-              </li>
-            ))}
-          </ol>
-        </nav>
-      </div>
+      <WizardProgress steps={steps} currentStep={step} onStepClick={setStep} />
 
       <div className="flex-1 p-4 sm:p-6 overflow-y-auto">{renderStep()}</div>
     </div>
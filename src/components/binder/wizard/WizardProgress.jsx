@@ -0,0 +1,92 @@
+import PropTypes from "prop-types";
+import { CheckCircleIcon } from "@heroicons/react/24/solid";
+
+/**
+ * WizardProgress - Step indicator of the add-card wizards
+ * Completed steps can be clicked to go back to them.
+ */
+const WizardProgress = ({ steps, currentStep, onStepClick }) => (
+  <div className="px-4 py-3 border-b border-border">
+    <nav aria-label="Progress">
+      <ol role="list" className="flex items-center">
+        {steps.map((s, stepIdx) => (
+          <li
+            key={s.name}
+            className={`relative ${
+              stepIdx !== steps.length - 1 ? "pr-8 sm:pr-20" : ""
+            }`}
+          >
+            {currentStep > s.id ? (
+              <>
+                <div
+                  className="absolute inset-0 flex items-center"
+                  aria-hidden="true"
+                >
+                  <div className="h-0.5 w-full bg-blue-600" />
+                </div>
+                <button
+                  onClick={() => onStepClick(s.id)}
+                  className="relative w-8 h-8 flex items-center justify-center bg-blue-600 rounded-full hover:bg-blue-700"
+                >
+                  <CheckCircleIcon
+                    className="w-5 h-5 text-white"
+                    aria-hidden="true"
+                  />
+                  <span className="sr-only">{s.name}</span>
+                </button>
+              </>
+            ) : currentStep === s.id ? (
+              <>
+                <div
+                  className="absolute inset-0 flex items-center"
+                  aria-hidden="true"
+                >
+                  <div className="h-0.5 w-full bg-gray-200 dark:bg-gray-700" />
+                </div>
+                <div
+                  className="relative w-8 h-8 flex items-center justify-center bg-white dark:bg-slate-800 border-2 border-blue-600 rounded-full"
+                  aria-current="step"
+                >
+                  <span
+                    className="h-2.5 w-2.5 bg-blue-600 rounded-full"
+                    aria-hidden="true"
+                  />
+                  <span className="sr-only">{s.name}</span>
+                </div>
+              </>
+            ) : (
+              <>
+                <div
+                  className="absolute inset-0 flex items-center"
+                  aria-hidden="true"
+                >
+                  <div className="h-0.5 w-full bg-gray-200 dark:bg-gray-700" />
+                </div>
+                <div className="group relative w-8 h-8 flex items-center justify-center bg-white dark:bg-slate-800 border-2 border-gray-300 dark:border-gray-600 rounded-full">
+                  <span
+                    className="h-2.5 w-2.5 bg-transparent rounded-full"
+                    aria-hidden="true"
+                  />
+                  <span className="sr-only">{s.name}</span>
+                </div>
+              </>
+            )}
+          </li>
+        ))}
+      </ol>
+    </nav>
+  </div>
+);
+
+WizardProgress.propTypes = {
+  steps: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  currentStep: PropTypes.number.isRequired,
+  onStepClick: PropTypes.func.isRequired,
+};
+
+export default WizardProgress;
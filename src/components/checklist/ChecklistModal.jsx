@@ -0,0 +1,249 @@
+import { useEffect, useMemo, useState } from "react";
+import { toast } from "react-hot-toast";
+import {
+  XMarkIcon,
+  ClipboardDocumentCheckIcon,
+  DocumentArrowDownIcon,
+} from "@heroicons/react/24/outline";
+import { useAuth } from "../../hooks/useAuth";
+import { useRules } from "../../contexts/RulesContext";
+import { useBinderContext } from "../../contexts/BinderContext";
+import useExportTracking from "../../hooks/useExportTracking";
+import { pokemonTcgApi } from "../../services/pokemonTcgApi";
+import { checklistPdfService } from "../../services/ChecklistPdfService";
+import { DEFAULT_PDF_PAGE_SIZE, PDF_PAGE_SIZES } from "../../utils/binderPdf";
+import {
+  CHECKLIST_SORT_OPTIONS,
+  buildBinderChecklist,
+  buildSetChecklist,
+  countSecretCards,
+} from "../../utils/setChecklist";
+
+/**
+ * ChecklistModal - Print a checklist of a catalog set or of a binder
+ * Owned printings across all binders come pre-ticked. Pass either `set`
+ * (with `language`) or `binder`.
+ */
+const ChecklistModal = ({
+  isOpen,
+  onClose,
+  set = null,
+  binder = null,
+  language = "en",
+}) => {
+  const { user } = useAuth();
+  const { checkBinderLimits, canPerformAction } = useRules();
+  const { binders } = useBinderContext();
+  const { trackExport } = useExportTracking();
+
+  const [sortBy, setSortBy] = useState("number");
+  const [includeSecrets, setIncludeSecrets] = useState(true);
+  const [pageSize, setPageSize] = useState(DEFAULT_PDF_PAGE_SIZE);
+  const [catalog, setCatalog] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const setId = set?.id;
+
+  // Set checklists need the set's cards, binder checklists the set totals
+  useEffect(() => {
+    if (!isOpen) return;
+    let isMounted = true;
+    setCatalog(null);
+
+    const load = setId
+      ? pokemonTcgApi
+          .getLocalSetCards(setId, language)
+          .then((cards) => ({ cards, sets: [] }))
+      : pokemonTcgApi.getSets().then((sets) => ({ cards: [], sets }));
+
+    load
+      .catch((error) => {
+        console.error("Failed to load checklist data:", error);
+        return { cards: [], sets: [] };
+      })
+      .then((data) => {
+        if (isMounted) setCatalog(data);
+      });
+    return () => {
+      isMounted = false;
+    };
+  }, [isOpen, setId, language]);
+
+  const checklist = useMemo(() => {
+    if (!isOpen || !catalog) return null;
+    const options = { sortBy, includeSecrets };
+    return set
+      ? buildSetChecklist(set, catalog.cards, binders, options)
+      : buildBinderChecklist(binder, binders, catalog.sets, options);
+  }, [isOpen, catalog, set, binder, binders, sortBy, includeSecrets]);
+
+  const secretCount = useMemo(() => {
+    if (!isOpen || !catalog) return 0;
+    const options = { includeSecrets: true };
+    return countSecretCards(
+      set
+        ? buildSetChecklist(set, catalog.cards, binders, options)
+        : buildBinderChecklist(binder, binders, catalog.sets, options)
+    );
+  }, [isOpen, catalog, set, binder, binders]);
+
+  if (!isOpen) return null;
+
+  const title = set?.name || binder?.metadata?.name || "Untitled";
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget && !isExporting) {
+      onClose();
+    }
+  };
+
+  const handleExport = async () => {
+    if (!checklist || isExporting) return;
+
+    setIsExporting(true);
+    try {
+      const canExport = await checkBinderLimits.canExportPdf(
+        { canPerformAction },
+        user?.uid || "local_user"
+      );
+      if (!canExport.allowed) {
+        toast.error(canExport.reason || "Export limit reached");
+        return;
+      }
+
+      const { cardCount } = await checklistPdfService.generateChecklistPdf(
+        checklist,
+        { pageSize }
+      );
+
+      await trackExport("pdf");
+
+      toast.success(
+        `Checklist of ${cardCount} card${cardCount !== 1 ? "s" : ""} ready`
+      );
+      onClose();
+    } catch (error) {
+      console.error("Checklist export failed:", error);
+      toast.error(error.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const optionClass = (selected) =>
+    `flex-1 px-3 py-2 rounded-lg border text-sm font-medium transition-colors ${
+      selected
+        ? "border-blue-500 bg-blue-50 dark:bg-blue-950/30 text-blue-900 dark:text-blue-200"
+        : "border-gray-200 dark:border-gray-700 text-gray-900 dark:text-gray-100 hover:bg-gray-50 dark:hover:bg-gray-700/50"
+    }`;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-60 backdrop-blur-sm z-[70] flex items-center justify-center p-6"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl max-w-md w-full max-h-full overflow-y-auto p-6 animate-in zoom-in-95 duration-200">
+        {/* Header */}
+        <div className="flex items-start justify-between mb-6">
+          <div className="flex items-center space-x-3">
+            <div className="w-12 h-12 bg-amber-100 dark:bg-amber-900 rounded-full flex items-center justify-center">
+              <ClipboardDocumentCheckIcon className="w-6 h-6 text-amber-600 dark:text-amber-400" />
+            </div>
+            <div>
+              <h3 className="text-xl font-bold text-gray-900 dark:text-gray-100">
+                Print Checklist
+              </h3>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                Tick-off list for "{title}"
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={isExporting}
+            className="p-1 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <XMarkIcon className="w-5 h-5 text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300" />
+          </button>
+        </div>
+
+        {/* Sort */}
+        <div className="mb-6">
+          <span className="block text-sm font-medium text-gray-900 dark:text-gray-100 mb-2">
+            Sort By
+          </span>
+          <div className="flex gap-2">
+            {CHECKLIST_SORT_OPTIONS.map((option) => (
+              <button
+                key={option.value}
+                onClick={() => setSortBy(option.value)}
+                className={optionClass(sortBy === option.value)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Page Size */}
+        <div className="mb-6">
+          <span className="block text-sm font-medium text-gray-900 dark:text-gray-100 mb-2">
+            Page Size
+          </span>
+          <div className="flex gap-2">
+            {Object.entries(PDF_PAGE_SIZES).map(([key, size]) => (
+              <button
+                key={key}
+                onClick={() => setPageSize(key)}
+                className={optionClass(pageSize === key)}
+              >
+                {size.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Contents */}
+        <div className="mb-6 bg-gray-50 dark:bg-gray-900/50 rounded-lg p-4 space-y-3">
+          <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-gray-100">
+            <input
+              type="checkbox"
+              checked={includeSecrets}
+              onChange={(e) => setIncludeSecrets(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Include secret rares ({secretCount})
+          </label>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {checklist
+              ? `${checklist.total} card${checklist.total !== 1 ? "s" : ""}, ${
+                  checklist.owned
+                } already owned and pre-ticked. Boxes are shown for the normal, reverse holo and holo printings each card exists in.`
+              : "Loading cards..."}
+          </p>
+        </div>
+
+        {/* Action Buttons */}
+        <div className="flex space-x-3">
+          <button
+            onClick={onClose}
+            disabled={isExporting}
+            className="flex-1 px-4 py-3 text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg font-medium transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={isExporting || !checklist || checklist.total === 0}
+            className="flex-1 px-4 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white rounded-lg font-medium transition-colors flex items-center justify-center gap-2"
+          >
+            <DocumentArrowDownIcon className="w-4 h-4" />
+            {isExporting ? "Generating..." : "Download PDF"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChecklistModal;
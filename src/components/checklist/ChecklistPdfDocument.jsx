@@ -0,0 +1,343 @@
+import {
+  Document,
+  Page,
+  Text,
+  View,
+  Svg,
+  Circle,
+  Polygon,
+  StyleSheet,
+} from "@react-pdf/renderer";
+import {
+  CHECKLIST_FINISHES,
+  getChecklistLegend,
+  getRaritySymbol,
+  paginateChecklist,
+} from "../../utils/setChecklist";
+
+const PAGE_PADDING = 28;
+const FOOTER_HEIGHT = 16;
+const TITLE_HEIGHT = 64;
+const PAGE_HEADER_HEIGHT = 18;
+const COLUMN_HEADER_HEIGHT = 12;
+const COLUMN_GAP = 14;
+const ROW_HEIGHT = 11;
+const BOX_SIZE = 6.5;
+const SYMBOL_SIZE = 6;
+
+const TONES = {
+  black: "#111827",
+  silver: "#9ca3af",
+  gold: "#c99a06",
+};
+
+const styles = StyleSheet.create({
+  page: {
+    padding: PAGE_PADDING,
+    paddingBottom: PAGE_PADDING + FOOTER_HEIGHT,
+    fontFamily: "Helvetica",
+    fontSize: 7,
+    color: "#111827",
+  },
+  title: {
+    height: TITLE_HEIGHT,
+  },
+  titleRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "flex-end",
+    marginBottom: 6,
+  },
+  titleText: {
+    fontSize: 16,
+    fontFamily: "Helvetica-Bold",
+  },
+  subtitle: {
+    fontSize: 8,
+    color: "#6b7280",
+  },
+  count: {
+    fontSize: 9,
+    fontFamily: "Helvetica-Bold",
+  },
+  legend: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    fontSize: 6.5,
+    color: "#4b5563",
+  },
+  legendItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginRight: 8,
+    marginBottom: 2,
+  },
+  pageHeader: {
+    height: PAGE_HEADER_HEIGHT,
+    fontSize: 8,
+    color: "#6b7280",
+  },
+  columns: {
+    flexDirection: "row",
+  },
+  columnHeader: {
+    height: COLUMN_HEADER_HEIGHT,
+    flexDirection: "row",
+    alignItems: "center",
+    borderBottomWidth: 0.75,
+    borderBottomColor: "#9ca3af",
+    fontFamily: "Helvetica-Bold",
+    fontSize: 6,
+    color: "#4b5563",
+  },
+  row: {
+    height: ROW_HEIGHT,
+    flexDirection: "row",
+    alignItems: "center",
+    borderBottomWidth: 0.25,
+    borderBottomColor: "#e5e7eb",
+  },
+  heading: {
+    height: ROW_HEIGHT,
+    justifyContent: "flex-end",
+    fontFamily: "Helvetica-Bold",
+    fontSize: 7,
+    borderBottomWidth: 0.5,
+    borderBottomColor: "#9ca3af",
+  },
+  boxCell: {
+    width: 10,
+    alignItems: "center",
+  },
+  box: {
+    width: BOX_SIZE,
+    height: BOX_SIZE,
+    borderWidth: 0.6,
+    borderColor: "#374151",
+  },
+  boxOwned: {
+    backgroundColor: "#374151",
+  },
+  number: {
+    width: 26,
+    paddingLeft: 3,
+    color: "#4b5563",
+  },
+  symbol: {
+    width: 20,
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  symbolLabel: {
+    fontSize: 5,
+    marginLeft: 1,
+  },
+  name: {
+    flex: 1,
+  },
+  secret: {
+    color: "#b45309",
+  },
+  footer: {
+    position: "absolute",
+    left: PAGE_PADDING,
+    right: PAGE_PADDING,
+    bottom: PAGE_PADDING / 2,
+    flexDirection: "row",
+    justifyContent: "space-between",
+    fontSize: 6.5,
+    color: "#9ca3af",
+  },
+});
+
+// Five-pointed star inside a square of the given size
+const starPoints = (size) =>
+  Array.from({ length: 10 }, (_, index) => {
+    const radius = index % 2 === 0 ? size / 2 : size / 5;
+    const angle = (Math.PI / 5) * index - Math.PI / 2;
+    return `${size / 2 + radius * Math.cos(angle)},${
+      size / 2 + radius * Math.sin(angle)
+    }`;
+  }).join(" ");
+
+const RarityShape = ({ shape, color }) => (
+  <Svg
+    width={SYMBOL_SIZE}
+    height={SYMBOL_SIZE}
+    viewBox={`0 0 ${SYMBOL_SIZE} ${SYMBOL_SIZE}`}
+  >
+    {shape === "circle" && (
+      <Circle
+        cx={SYMBOL_SIZE / 2}
+        cy={SYMBOL_SIZE / 2}
+        r={SYMBOL_SIZE / 2.6}
+        fill={color}
+      />
+    )}
+    {shape === "diamond" && (
+      <Polygon
+        points={`${SYMBOL_SIZE / 2},0 ${SYMBOL_SIZE},${SYMBOL_SIZE / 2} ${
+          SYMBOL_SIZE / 2
+        },${SYMBOL_SIZE} 0,${SYMBOL_SIZE / 2}`}
+        fill={color}
+      />
+    )}
+    {shape === "star" && (
+      <Polygon points={starPoints(SYMBOL_SIZE)} fill={color} />
+    )}
+  </Svg>
+);
+
+const RaritySymbol = ({ rarity }) => {
+  const symbol = getRaritySymbol(rarity);
+  if (!symbol) return null;
+  const color = TONES[symbol.tone] || TONES.black;
+
+  return (
+    <View style={styles.symbol}>
+      {symbol.shape &&
+        Array.from({ length: symbol.count }, (_, index) => (
+          <RarityShape key={index} shape={symbol.shape} color={color} />
+        ))}
+      {symbol.label && <Text style={styles.symbolLabel}>{symbol.label}</Text>}
+    </View>
+  );
+};
+
+const ColumnHeader = () => (
+  <View style={styles.columnHeader}>
+    {CHECKLIST_FINISHES.map(({ finish, label }) => (
+      <Text key={finish} style={[styles.boxCell, { textAlign: "center" }]}>
+        {label}
+      </Text>
+    ))}
+    <Text style={styles.number}>No.</Text>
+    <View style={styles.symbol} />
+    <Text style={styles.name}>Name</Text>
+  </View>
+);
+
+const ChecklistRow = ({ item }) => (
+  <View style={styles.row}>
+    {item.finishes.map(({ finish, available, owned }) => (
+      <View key={finish} style={styles.boxCell}>
+        {available && <View style={[styles.box, owned && styles.boxOwned]} />}
+      </View>
+    ))}
+    <Text style={[styles.number, item.isSecret && styles.secret]}>
+      {item.number}
+    </Text>
+    <RaritySymbol rarity={item.rarity} />
+    <Text style={styles.name} maxLines={1} textOverflow="ellipsis">
+      {item.name}
+    </Text>
+  </View>
+);
+
+const Legend = ({ items }) => (
+  <View style={styles.legend}>
+    {CHECKLIST_FINISHES.map(({ finish, label, name }) => (
+      <View key={finish} style={styles.legendItem}>
+        <Text>
+          {label} = {name}
+        </Text>
+      </View>
+    ))}
+    {getChecklistLegend(items).map(({ rarity }) => (
+      <View key={rarity} style={styles.legendItem}>
+        <RaritySymbol rarity={rarity} />
+        <Text>{rarity}</Text>
+      </View>
+    ))}
+  </View>
+);
+
+// Rows that fit in a column; the first page also has the title and legend
+const getRowsPerColumn = (pageSize, isFirstPage) => {
+  const header = isFirstPage ? TITLE_HEIGHT : PAGE_HEADER_HEIGHT;
+  const available =
+    pageSize.height -
+    PAGE_PADDING * 2 -
+    FOOTER_HEIGHT -
+    header -
+    COLUMN_HEADER_HEIGHT;
+  return Math.floor(available / ROW_HEIGHT);
+};
+
+/**
+ * ChecklistPdfDocument - Compact printable checklist of a set or binder
+ * Cards run down each column, then across, to fill as few pages as possible.
+ */
+const ChecklistPdfDocument = ({ checklist, columns, pageSize }) => {
+  const size = [pageSize.width, pageSize.height];
+  const pages = paginateChecklist(checklist.items, {
+    columns,
+    firstPageRows: getRowsPerColumn(pageSize, true),
+    rows: getRowsPerColumn(pageSize, false),
+  });
+  const columnWidth =
+    (pageSize.width - PAGE_PADDING * 2 - COLUMN_GAP * (columns - 1)) / columns;
+
+  return (
+    <Document
+      title={`${checklist.title} Checklist`}
+      author="PokémonBindr"
+      creator="PokémonBindr Checklist Export"
+    >
+      {pages.map((pageColumns, pageIndex) => (
+        <Page key={pageIndex} size={size} style={styles.page} wrap={false}>
+          {pageIndex === 0 ? (
+            <View style={styles.title}>
+              <View style={styles.titleRow}>
+                <View>
+                  <Text style={styles.titleText}>{checklist.title}</Text>
+                  {checklist.subtitle && (
+                    <Text style={styles.subtitle}>{checklist.subtitle}</Text>
+                  )}
+                </View>
+                <Text style={styles.count}>
+                  {checklist.owned} / {checklist.total} owned
+                </Text>
+              </View>
+              <Legend items={checklist.items} />
+            </View>
+          ) : (
+            <Text style={styles.pageHeader}>{checklist.title}</Text>
+          )}
+
+          <View style={styles.columns}>
+            {pageColumns.map((columnItems, columnIndex) => (
+              <View
+                key={columnIndex}
+                style={{
+                  width: columnWidth,
+                  marginRight: columnIndex < columns - 1 ? COLUMN_GAP : 0,
+                }}
+              >
+                <ColumnHeader />
+                {columnItems.map((item, index) =>
+                  item.type === "heading" ? (
+                    <Text key={`heading-${index}`} style={styles.heading}>
+                      {item.title}
+                    </Text>
+                  ) : (
+                    <ChecklistRow key={item.id} item={item} />
+                  )
+                )}
+              </View>
+            ))}
+          </View>
+
+          <View style={styles.footer} fixed>
+            <Text>{checklist.title} Checklist</Text>
+            <Text>
+              {pageIndex + 1} / {pages.length}
+            </Text>
+          </View>
+        </Page>
+      ))}
+    </Document>
+  );
+};
+
+export default ChecklistPdfDocument;
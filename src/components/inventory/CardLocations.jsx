@@ -0,0 +1,60 @@
+import { Link } from "react-router-dom";
+import { MapPinIcon } from "@heroicons/react/24/outline";
+import useInventory from "../../hooks/useInventory";
+import { getVariantLabel } from "../../utils/cardValuation";
+import { getConditionInfo } from "../../utils/cardCondition";
+import { getLocationPath } from "../../utils/inventory";
+
+/**
+ * CardLocations - "Find in my binders" list of a card's owned copies
+ * Every copy links to its binder, opened on the page with the slot highlighted.
+ */
+const CardLocations = ({ card, onNavigate }) => {
+  const { getOwnedCopies } = useInventory();
+  const { copies } = getOwnedCopies(card?.binderMetadata || card);
+  const currentInstanceId = card?.binderMetadata?.instanceId;
+
+  return (
+    <div>
+      <span className="text-sm font-medium text-gray-600 dark:text-gray-400 flex items-center gap-1 mb-2">
+        <MapPinIcon className="w-4 h-4" />
+        In Your Binders
+      </span>
+      {copies.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          You don't own this card yet.
+        </p>
+      ) : (
+        <ul className="space-y-1 max-h-40 overflow-y-auto">
+          {copies.map((location) => (
+            <li key={`${location.binderId}-${location.position}`}>
+              <Link
+                to={getLocationPath(location)}
+                onClick={onNavigate}
+                className="flex items-center justify-between gap-3 text-sm rounded-lg px-2 py-1.5 bg-gray-50 dark:bg-gray-800 hover:bg-blue-50 dark:hover:bg-blue-900/30 transition-colors"
+              >
+                <span className="font-semibold text-gray-900 dark:text-gray-100 truncate">
+                  {location.binderName}
+                  {location.instanceId === currentInstanceId && (
+                    <span className="ml-1 text-xs font-normal text-gray-500 dark:text-gray-400">
+                      (this card)
+                    </span>
+                  )}
+                </span>
+                <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                  {location.variant &&
+                    `${getVariantLabel(location.variant)} · `}
+                  {getConditionInfo(location.condition).short} · Page{" "}
+                  {location.page}, Slot {location.slot}
+                  {location.quantity > 1 && ` · ×${location.quantity}`}
+                </span>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CardLocations;
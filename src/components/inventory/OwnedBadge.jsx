@@ -0,0 +1,40 @@
+import { Square2StackIcon } from "@heroicons/react/24/solid";
+import { countCopies, formatLocation } from "../../utils/inventory";
+
+/**
+ * OwnedBadge - Warns that a card is already in one of the user's binders
+ * Amber when the same printing is owned, grey when only other printings are.
+ * Pass the result of getOwnedCopies from useInventory.
+ */
+const OwnedBadge = ({ ownership, className = "" }) => {
+  if (!ownership || ownership.copies.length === 0) return null;
+
+  const sameCount = countCopies(ownership.samePrinting);
+  const isSamePrinting = sameCount > 0;
+  const title = [
+    isSamePrinting
+      ? `You own ${sameCount} cop${
+          sameCount === 1 ? "y" : "ies"
+        } of this printing:`
+      : "You own other printings of this card:",
+    ...(isSamePrinting ? ownership.samePrinting : ownership.copies).map(
+      formatLocation
+    ),
+  ].join("\n");
+
+  return (
+    <div
+      className={`flex items-center gap-0.5 rounded-full px-1.5 py-0.5 text-[10px] font-semibold shadow pointer-events-auto z-20 ${
+        isSamePrinting
+          ? "bg-amber-500 text-white"
+          : "bg-slate-600/80 text-white"
+      } ${className}`}
+      title={title}
+    >
+      <Square2StackIcon className="w-3 h-3" />
+      {isSamePrinting ? `Owned ×${sameCount}` : "Other printing"}
+    </div>
+  );
+};
+
+export default OwnedBadge;
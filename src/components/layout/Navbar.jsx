@@ -5,11 +5,13 @@ import { useRules } from "../../contexts/RulesContext";
 import { useBinderContext } from "../../contexts/BinderContext";
 import { useNavigation } from "../../hooks/useNavigation";
 import { useMessages } from "../../hooks/useMessages";
+import useTrades from "../../hooks/useTrades";
 import ThemeToggle from "../ui/ThemeToggle";
 import { Button } from "../ui/Button";
 import UserAvatar from "../ui/UserAvatar";
 import StatusEditor from "../ui/StatusEditor";
 import useUserProfile from "../../hooks/useUserProfile";
+import useOnlineStatus from "../../hooks/useOnlineStatus";
 import {
   Bars3Icon,
   XMarkIcon,
@@ -27,6 +29,10 @@ import {
   ChartBarIcon,
   ShieldCheckIcon,
   QuestionMarkCircleIcon,
+  HeartIcon,
+  PaintBrushIcon,
+  ChartPieIcon,
+  SignalSlashIcon,
 } from "@heroicons/react/24/outline";
 import {
   HomeIcon as HomeSolid,
@@ -39,6 +45,9 @@ import {
   ChartBarIcon as ChartBarSolid,
   ShieldCheckIcon as ShieldCheckSolid,
   QuestionMarkCircleIcon as QuestionMarkCircleSolid,
+  HeartIcon as HeartSolid,
+  PaintBrushIcon as PaintBrushSolid,
+  ChartPieIcon as ChartPieSolid,
 } from "@heroicons/react/24/solid";
 import MobileSyncButtons from "../sync/SyncButtons";
 import RevertConfirmationModal from "../binder/RevertConfirmationModal";
@@ -53,7 +62,10 @@ const Navbar = () => {
   const location = useLocation();
   const { isMobileMenuOpen, isScrolled, toggleMobileMenu, closeMobileMenu } =
     useNavigation();
-  const { unreadCount } = useMessages();
+  const { unreadCount: messagesUnread } = useMessages();
+  const { unreadCount: tradesUnread } = useTrades();
+  const unreadCount = messagesUnread + tradesUnread;
+  const isOnline = useOnlineStatus();
 
   // User dropdown state
   const [isUserDropdownOpen, setIsUserDropdownOpen] = useState(false);
@@ -175,6 +187,27 @@ const Navbar = () => {
           solidIcon: FolderSolid,
           active: isPathActive("/binders") && !isPathActive("/binder/"),
         },
+        {
+          name: "Want List",
+          href: "/wants",
+          icon: HeartIcon,
+          solidIcon: HeartSolid,
+          active: isActive("/wants"),
+        },
+        {
+          name: "Progress",
+          href: "/progress",
+          icon: ChartPieIcon,
+          solidIcon: ChartPieSolid,
+          active: isActive("/progress"),
+        },
+        {
+          name: "Artists",
+          href: "/artists",
+          icon: PaintBrushIcon,
+          solidIcon: PaintBrushSolid,
+          active: isPathActive("/artists"),
+        },
       ]
     : [];
 
@@ -187,6 +220,13 @@ const Navbar = () => {
           solidIcon: FolderSolid,
           active: isPathActive("/binders") && !isPathActive("/binder/"),
         },
+        {
+          name: "Artists",
+          href: "/artists",
+          icon: PaintBrushIcon,
+          solidIcon: PaintBrushSolid,
+          active: isPathActive("/artists"),
+        },
         {
           name: "Blog",
           href: "/blog",
@@ -452,6 +492,17 @@ const Navbar = () => {
     );
   };
 
+  // Shown while offline; binder saves are queued until the connection is back
+  const offlineIndicator = !isOnline && (
+    <span
+      className="flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-full bg-amber-100 dark:bg-amber-950 text-amber-700 dark:text-amber-300"
+      title="You're offline. Changes are kept on this device and saved when you're back online."
+    >
+      <SignalSlashIcon className="w-4 h-4" />
+      <span className="hidden sm:inline">Offline</span>
+    </span>
+  );
+
   return (
     <>
       <nav
@@ -481,6 +532,8 @@ const Navbar = () => {
 
             {/* Desktop User Section */}
             <div className="hidden md:flex items-center space-x-3">
+              {offlineIndicator}
+
               {/* Messages Icon - Always visible for logged in users */}
               {user && (
                 <Link
@@ -503,6 +556,8 @@ const Navbar = () => {
 
             {/* Mobile menu button, sync buttons, and messages */}
             <div className="md:hidden flex items-center space-x-2">
+              {offlineIndicator}
+
               {/* Mobile Sync Buttons - Only show when on binder page with unsaved changes */}
               {shouldShowMobileSyncButtons && (
                 <MobileSyncButtons
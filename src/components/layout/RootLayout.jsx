@@ -1,12 +1,17 @@
 import { Outlet } from "react-router-dom";
 import Navbar from "./Navbar";
 import SecurityBanner from "../SecurityBanner";
+import TradeSync from "../trades/TradeSync";
+import { useAuth } from "../../hooks/useAuth";
 
 const RootLayout = () => {
+  const { user } = useAuth();
+
   return (
     <div className="min-h-screen bg-background text-foreground">
       <Navbar />
       <SecurityBanner />
+      {user && <TradeSync userId={user.uid} />}
       <main className="relative">
         <Outlet />
       </main>
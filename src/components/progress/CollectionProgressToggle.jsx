@@ -0,0 +1,74 @@
+import { useState } from "react";
+import { Switch } from "@headlessui/react";
+import { toast } from "react-hot-toast";
+import useCollectionProgress from "../../hooks/useCollectionProgress";
+import { updateCollectionProgressVisibility } from "../../utils/userManagement";
+
+// Keeps the published summary up to date while mounted
+const CollectionProgressPublisher = ({ userProfile }) => {
+  useCollectionProgress("en", userProfile);
+  return null;
+};
+
+/**
+ * CollectionProgressToggle - Opt-in switch showing the collection progress
+ * on the public profile
+ * Pass publish={false} where useCollectionProgress already runs for the user.
+ */
+const CollectionProgressToggle = ({ userProfile, publish = true }) => {
+  const [isSaving, setIsSaving] = useState(false);
+  const isEnabled = Boolean(userProfile?.showCollectionProgress);
+
+  const handleChange = async (checked) => {
+    if (!userProfile?.uid) return;
+    setIsSaving(true);
+    const saved = await updateCollectionProgressVisibility(
+      userProfile.uid,
+      checked
+    );
+    setIsSaving(false);
+    if (saved) {
+      toast.success(
+        checked
+          ? "Your collection progress is now shown on your profile"
+          : "Your collection progress is no longer shown on your profile"
+      );
+    } else {
+      toast.error("Failed to update your profile");
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-between gap-4">
+      <div>
+        <h3 className="font-medium text-slate-800 dark:text-slate-200">
+          Show Collection Progress on Profile
+        </h3>
+        <p className="text-sm text-slate-600 dark:text-slate-400">
+          Visitors of your profile see how complete your sets are, counted
+          across all of your binders.
+        </p>
+      </div>
+      <Switch
+        checked={isEnabled}
+        onChange={handleChange}
+        disabled={isSaving || !userProfile?.uid}
+        className={`${
+          isEnabled ? "bg-blue-600" : "bg-gray-200 dark:bg-slate-700"
+        } relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 dark:focus:ring-offset-slate-800 disabled:opacity-50`}
+      >
+        <span className="sr-only">Show collection progress on profile</span>
+        <span
+          className={`${
+            isEnabled ? "translate-x-6" : "translate-x-1"
+          } inline-block h-4 w-4 transform rounded-full bg-white transition-transform`}
+        />
+      </Switch>
+      {publish && isEnabled && (
+        <CollectionProgressPublisher userProfile={userProfile} />
+      )}
+    </div>
+  );
+};
+
+export default CollectionProgressToggle;
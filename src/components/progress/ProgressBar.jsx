@@ -0,0 +1,36 @@
+import { getProgressPercent } from "../../utils/collectionProgress";
+
+/**
+ * ProgressBar - Owned vs. total bar of the collection progress views
+ */
+const ProgressBar = ({ owned, total, label, size = "md" }) => {
+  const percent = getProgressPercent(owned, total);
+  const isComplete = total > 0 && owned >= total;
+
+  return (
+    <div>
+      {label && (
+        <div className="flex justify-between text-xs text-slate-500 dark:text-slate-400 mb-1">
+          <span>{label}</span>
+          <span className="font-medium text-primary dark:text-slate-300">
+            {owned}/{total} ({percent}%)
+          </span>
+        </div>
+      )}
+      <div
+        className={`w-full bg-slate-200 dark:bg-slate-700 rounded-full overflow-hidden ${
+          size === "sm" ? "h-1.5" : "h-2.5"
+        }`}
+      >
+        <div
+          className={`h-full rounded-full transition-all ${
+            isComplete ? "bg-green-500" : "bg-blue-500"
+          }`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ProgressBar;
@@ -0,0 +1,98 @@
+import { useEffect, useMemo, useState } from "react";
+import ProgressBar from "./ProgressBar";
+import { pokemonTcgApi } from "../../services/pokemonTcgApi";
+
+/**
+ * PublicCollectionProgress - The set completion a user publishes on their
+ * profile (summary written by useCollectionProgress)
+ */
+const PublicCollectionProgress = ({ summary }) => {
+  const [sets, setSets] = useState([]);
+
+  useEffect(() => {
+    let isMounted = true;
+    pokemonTcgApi
+      .getSets("en")
+      .then((allSets) => {
+        if (isMounted) setSets(allSets);
+      })
+      .catch((err) => console.error("Failed to load sets:", err));
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  // Started sets, newest first
+  const entries = useMemo(() => {
+    const counts = summary?.sets || {};
+    return sets
+      .filter((set) => counts[set.id])
+      .map((set) => ({ set, ...counts[set.id] }))
+      .sort((a, b) =>
+        (b.set.releaseDate || "").localeCompare(a.set.releaseDate || "")
+      );
+  }, [sets, summary]);
+
+  const completedCount = entries.filter(
+    (entry) => entry.total > 0 && entry.owned >= entry.total
+  ).length;
+
+  if (entries.length === 0) {
+    return (
+      <p className="text-center py-12 text-gray-500">No sets started yet.</p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        {entries.length} set{entries.length !== 1 ? "s" : ""} started ·{" "}
+        {completedCount} completed
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {entries.map((entry) => (
+          <div
+            key={entry.set.id}
+            className="flex items-center gap-3 p-3 rounded-lg border border-border dark:border-slate-700/80"
+          >
+            {entry.set.images?.symbol && (
+              <img
+                src={entry.set.images.symbol}
+                alt=""
+                className="w-8 h-8 object-contain flex-shrink-0"
+              />
+            )}
+            <div className="flex-1 min-w-0">
+              <div className="font-medium text-primary dark:text-slate-100 truncate mb-1">
+                {entry.set.name}
+              </div>
+              <ProgressBar
+                label="Set"
+                owned={entry.printedOwned}
+                total={entry.printedTotal}
+                size="sm"
+              />
+              {entry.total > entry.printedTotal && (
+                <div className="mt-1">
+                  <ProgressBar
+                    label="With secrets"
+                    owned={entry.owned}
+                    total={entry.total}
+                    size="sm"
+                  />
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+      {summary?.updatedAt && (
+        <p className="text-xs text-gray-500">
+          Updated {new Date(summary.updatedAt).toLocaleDateString()}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PublicCollectionProgress;
@@ -0,0 +1,197 @@
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import {
+  CheckBadgeIcon,
+  ChevronDownIcon,
+  ClipboardDocumentCheckIcon,
+  HeartIcon,
+} from "@heroicons/react/24/outline";
+import ProgressBar from "./ProgressBar";
+import WantListButton from "../wantlist/WantListButton";
+import ChecklistModal from "../checklist/ChecklistModal";
+import useWantList from "../../hooks/useWantList";
+import { getVariantLabel } from "../../utils/cardValuation";
+import { normalizeCardData } from "../../services/pokemonTcgApi";
+
+// Owned vs. total table of a breakdown (by rarity or by printing)
+const BreakdownTable = ({ title, rows }) => (
+  <div>
+    <h4 className="text-sm font-semibold text-primary dark:text-slate-200 mb-2">
+      {title}
+    </h4>
+    <div className="space-y-2">
+      {rows.map((row) => (
+        <ProgressBar
+          key={row.key}
+          label={row.label}
+          owned={row.owned}
+          total={row.total}
+          size="sm"
+        />
+      ))}
+    </div>
+  </div>
+);
+
+/**
+ * SetProgressCard - Completion of one set, expandable to its breakdown by
+ * rarity and printing and the list of missing cards
+ */
+const SetProgressCard = ({ entry, language = "en" }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isChecklistOpen, setIsChecklistOpen] = useState(false);
+  const { addCards } = useWantList();
+  const { set, owned, total, printedOwned, printedTotal } = entry;
+  const isComplete = total > 0 && owned >= total;
+
+  const handleAddMissing = () => {
+    const cards = entry.missingCards.map((card) =>
+      normalizeCardData({ ...card, language })
+    );
+    const { added, alreadyListed } = addCards(cards, { source: "progress" });
+    if (added > 0) {
+      toast.success(
+        `Added ${added} card${added !== 1 ? "s" : ""} from ${
+          set.name
+        } to your want list`
+      );
+    } else if (alreadyListed > 0) {
+      toast(`The missing ${set.name} cards are already on your want list`);
+    }
+  };
+
+  return (
+    <div className="bg-card-background rounded-xl border border-border dark:border-slate-700/80">
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        className="w-full p-4 text-left flex items-center gap-4"
+        aria-expanded={isOpen}
+      >
+        <div className="flex-shrink-0 w-10 h-10 bg-slate-100 dark:bg-slate-700 rounded-lg flex items-center justify-center p-1">
+          {set.images?.symbol && (
+            <img
+              src={set.images.symbol}
+              alt=""
+              className="max-w-full max-h-full object-contain"
+            />
+          )}
+        </div>
+        <div className="flex-1 min-w-0 space-y-2">
+          <div className="flex items-center gap-2">
+            <span className="font-semibold text-primary dark:text-slate-100 truncate">
+              {set.name}
+            </span>
+            {isComplete && (
+              <CheckBadgeIcon
+                className="w-5 h-5 text-green-500 flex-shrink-0"
+                title="Complete"
+              />
+            )}
+            <span className="text-xs text-slate-500 dark:text-slate-400 truncate">
+              {set.series} · {set.releaseDate?.slice(0, 4)}
+            </span>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2">
+            <ProgressBar
+              label="Set"
+              owned={printedOwned}
+              total={printedTotal}
+            />
+            <ProgressBar label="With secrets" owned={owned} total={total} />
+          </div>
+        </div>
+        <ChevronDownIcon
+          className={`w-5 h-5 text-slate-500 flex-shrink-0 transition-transform ${
+            isOpen ? "rotate-180" : ""
+          }`}
+        />
+      </button>
+
+      {isOpen && (
+        <div className="px-4 pb-4 pt-2 border-t border-border dark:border-slate-700/80 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <BreakdownTable
+              title="By Rarity"
+              rows={entry.byRarity.map((row) => ({
+                key: row.rarity,
+                label: row.rarity,
+                owned: row.owned,
+                total: row.total,
+              }))}
+            />
+            <BreakdownTable
+              title="By Printing"
+              rows={entry.byVariant.map((row) => ({
+                key: row.variant,
+                label: getVariantLabel(row.variant),
+                owned: row.owned,
+                total: row.total,
+              }))}
+            />
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between gap-3 mb-3">
+              <h4 className="text-sm font-semibold text-primary dark:text-slate-200">
+                Missing Cards ({entry.missingCards.length})
+              </h4>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setIsChecklistOpen(true)}
+                  className="px-3 py-1.5 border border-border dark:border-slate-600 text-slate-700 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-700/50 rounded-lg transition-colors flex items-center gap-2 text-sm font-medium"
+                >
+                  <ClipboardDocumentCheckIcon className="w-4 h-4" />
+                  Print Checklist
+                </button>
+                {entry.missingCards.length > 0 && (
+                  <button
+                    onClick={handleAddMissing}
+                    className="px-3 py-1.5 border border-pink-300 dark:border-pink-800 text-pink-700 dark:text-pink-300 hover:bg-pink-50 dark:hover:bg-pink-950/30 rounded-lg transition-colors flex items-center gap-2 text-sm font-medium"
+                  >
+                    <HeartIcon className="w-4 h-4" />
+                    Add All to Want List
+                  </button>
+                )}
+              </div>
+            </div>
+            {entry.missingCards.length === 0 ? (
+              <p className="text-sm text-green-600 dark:text-green-400">
+                You own every card of {set.name}.
+              </p>
+            ) : (
+              <div className="grid grid-cols-3 sm:grid-cols-5 lg:grid-cols-8 gap-3">
+                {entry.missingCards.map((card) => (
+                  <div key={card.id} className="group relative">
+                    <img
+                      src={card.images?.small}
+                      alt={card.name}
+                      loading="lazy"
+                      className="w-full rounded-md opacity-80 group-hover:opacity-100 transition-opacity"
+                    />
+                    <WantListButton
+                      card={normalizeCardData({ ...card, language })}
+                      source="progress"
+                      className="absolute top-1 right-1"
+                    />
+                    <div className="mt-1 text-[11px] leading-tight text-slate-600 dark:text-slate-400 truncate">
+                      {card.name} · {card.number}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      <ChecklistModal
+        isOpen={isChecklistOpen}
+        onClose={() => setIsChecklistOpen(false)}
+        set={set}
+        language={language}
+      />
+    </div>
+  );
+};
+
+export default SetProgressCard;
@@ -95,7 +95,15 @@ const PricingTable = ({
           ? `${Math.round((value / 1024 / 1024 / 1024) * 10) / 10}GB`
           : `${Math.round(value / 1024 / 1024)}MB`,
     },
-    { key: "availableGridSizes", label: "Grid Sizes", category: "Display" },
+    {
+      key: "availableGridSizes",
+      label: "Grid Sizes",
+      category: "Display",
+      format: (sizes) =>
+        sizes
+          .map((size) => (size === "custom" ? "Custom sizes" : size))
+          .join(", "),
+    },
     { key: "publicSharing", label: "Public Sharing", category: "Sharing" },
     { key: "bulkOperations", label: "Bulk Operations", category: "Features" },
     { key: "exportFormats", label: "Export Formats", category: "Features" },
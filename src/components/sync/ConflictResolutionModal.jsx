@@ -0,0 +1,385 @@
+import { useState, useEffect, useMemo } from "react";
+import { Disclosure } from "@headlessui/react";
+import {
+  XMarkIcon,
+  ArrowsRightLeftIcon,
+  ComputerDesktopIcon,
+  CloudIcon,
+  ChevronRightIcon,
+} from "@heroicons/react/24/outline";
+import { getGridConfig } from "../../utils/binderGrids";
+import {
+  CONFLICT_SIDES,
+  getDefaultResolutions,
+} from "../../utils/binderConflicts";
+
+const SIDE_LABELS = {
+  [CONFLICT_SIDES.LOCAL]: { label: "This device", icon: ComputerDesktopIcon },
+  [CONFLICT_SIDES.CLOUD]: { label: "Cloud", icon: CloudIcon },
+};
+
+const formatDate = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleString() : "Unknown";
+
+const formatFieldValue = (value) => {
+  if (value === null || value === undefined || value === "") return "Not set";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (Array.isArray(value)) {
+    if (value.every((item) => typeof item === "string") && value.length <= 5) {
+      return value.length > 0 ? value.join(", ") : "None";
+    }
+    return `${value.length} item${value.length !== 1 ? "s" : ""}`;
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return value.toString();
+};
+
+const ChoiceButton = ({ side, selected, onSelect, children }) => {
+  const { label, icon: Icon } = SIDE_LABELS[side];
+
+  return (
+    <button
+      type="button"
+      onClick={() => onSelect(side)}
+      aria-pressed={selected}
+      className={`flex-1 min-w-0 text-left p-2 rounded-lg border-2 transition-colors ${
+        selected
+          ? "border-blue-500 bg-blue-50 dark:bg-blue-950/30"
+          : "border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50"
+      }`}
+    >
+      <div className="flex items-center gap-1 text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">
+        <Icon className="w-3.5 h-3.5" />
+        {label}
+      </div>
+      {children}
+    </button>
+  );
+};
+
+const CardSummary = ({ entry }) => {
+  if (!entry) {
+    return (
+      <div className="text-sm italic text-gray-500 dark:text-gray-400">
+        Empty slot
+      </div>
+    );
+  }
+
+  const cardData = entry.cardData || {};
+  return (
+    <div className="flex items-center gap-2 min-w-0">
+      {(cardData.imageSmall || cardData.image) && (
+        <img
+          src={cardData.imageSmall || cardData.image}
+          alt={cardData.name}
+          className="w-10 rounded flex-shrink-0"
+          loading="lazy"
+        />
+      )}
+      <div className="min-w-0">
+        <div className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">
+          {cardData.name || entry.cardId}
+        </div>
+        <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
+          {cardData.set?.name} {cardData.number && `#${cardData.number}`}
+        </div>
+        <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
+          {[entry.condition, entry.quantity > 1 && `×${entry.quantity}`]
+            .filter(Boolean)
+            .join(" · ")}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const SlotRow = ({ slot, cardsPerPage, side, onSelect }) => (
+  <div className="space-y-1">
+    <div className="text-xs font-medium text-gray-700 dark:text-gray-300">
+      Page {Math.floor(slot.position / cardsPerPage) + 1}, slot{" "}
+      {(slot.position % cardsPerPage) + 1}
+    </div>
+    <div className="flex gap-2">
+      {[CONFLICT_SIDES.LOCAL, CONFLICT_SIDES.CLOUD].map((option) => (
+        <ChoiceButton
+          key={option}
+          side={option}
+          selected={side === option}
+          onSelect={onSelect}
+        >
+          <CardSummary entry={slot[option]} />
+        </ChoiceButton>
+      ))}
+    </div>
+  </div>
+);
+
+const FieldRow = ({ field, side, onSelect }) => (
+  <div className="space-y-1">
+    <div className="text-xs font-medium text-gray-700 dark:text-gray-300">
+      {field.label}
+    </div>
+    <div className="flex gap-2">
+      {[CONFLICT_SIDES.LOCAL, CONFLICT_SIDES.CLOUD].map((option) => (
+        <ChoiceButton
+          key={option}
+          side={option}
+          selected={side === option}
+          onSelect={onSelect}
+        >
+          <div className="text-sm text-gray-900 dark:text-gray-100 break-words line-clamp-2">
+            {formatFieldValue(field[option])}
+          </div>
+        </ChoiceButton>
+      ))}
+    </div>
+  </div>
+);
+
+/**
+ * ConflictResolutionModal - Pick which side wins for every slot and setting
+ * that differs between this device and the cloud before saving the merge.
+ * Changes made on only one side are pre-selected and tucked away.
+ */
+const ConflictResolutionModal = ({
+  isOpen,
+  onClose,
+  onResolve,
+  conflictData,
+  binder,
+}) => {
+  const [resolutions, setResolutions] = useState(() =>
+    getDefaultResolutions(conflictData)
+  );
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Start over whenever a new conflict is opened
+  useEffect(() => {
+    if (isOpen) {
+      setResolutions(getDefaultResolutions(conflictData));
+    }
+  }, [isOpen, conflictData]);
+
+  const { conflictSlots, conflictFields, autoSlots, autoFields } = useMemo(
+    () => ({
+      conflictSlots: (conflictData?.slots || []).filter(
+        (slot) => !slot.autoResolution
+      ),
+      conflictFields: (conflictData?.fields || []).filter(
+        (field) => !field.autoResolution
+      ),
+      autoSlots: (conflictData?.slots || []).filter(
+        (slot) => slot.autoResolution
+      ),
+      autoFields: (conflictData?.fields || []).filter(
+        (field) => field.autoResolution
+      ),
+    }),
+    [conflictData]
+  );
+
+  if (!isOpen || !conflictData) return null;
+
+  const cardsPerPage = getGridConfig(binder?.settings?.gridSize || "3x3").total;
+  const conflictCount = conflictSlots.length + conflictFields.length;
+  const autoCount = autoSlots.length + autoFields.length;
+
+  const setSlotSide = (position, side) =>
+    setResolutions((prev) => ({
+      ...prev,
+      slots: { ...prev.slots, [position]: side },
+    }));
+
+  const setFieldSide = (path, side) =>
+    setResolutions((prev) => ({
+      ...prev,
+      fields: { ...prev.fields, [path]: side },
+    }));
+
+  // Bulk choices only touch the true conflicts
+  const chooseAll = (side) =>
+    setResolutions((prev) => ({
+      slots: {
+        ...prev.slots,
+        ...Object.fromEntries(conflictSlots.map((s) => [s.position, side])),
+      },
+      fields: {
+        ...prev.fields,
+        ...Object.fromEntries(conflictFields.map((f) => [f.path, side])),
+      },
+    }));
+
+  const handleClose = () => {
+    if (!isSaving) onClose();
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) handleClose();
+  };
+
+  const handleResolve = async () => {
+    setIsSaving(true);
+    try {
+      await onResolve(resolutions);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-60 backdrop-blur-sm z-[100] flex items-center justify-center p-4 sm:p-6"
+      onClick={handleBackdropClick}
+    >
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl max-w-2xl w-full max-h-[90vh] flex flex-col animate-in zoom-in-95 duration-200">
+        {/* Header */}
+        <div className="flex items-start justify-between p-6 pb-4">
+          <div className="flex items-center space-x-3">
+            <div className="w-12 h-12 bg-orange-100 dark:bg-orange-900/50 rounded-full flex items-center justify-center flex-shrink-0">
+              <ArrowsRightLeftIcon className="w-6 h-6 text-orange-600 dark:text-orange-400" />
+            </div>
+            <div>
+              <h3 className="text-xl font-bold text-slate-900 dark:text-gray-100">
+                Resolve Sync Conflict
+              </h3>
+              <p className="text-sm text-slate-600 dark:text-gray-400 mt-1">
+                "{binder?.metadata?.name || "Untitled"}" was changed on this
+                device and in the cloud
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={handleClose}
+            disabled={isSaving}
+            className="p-1 hover:bg-slate-100 dark:hover:bg-gray-700 rounded-lg transition-colors disabled:opacity-50"
+          >
+            <XMarkIcon className="w-5 h-5 text-slate-400 dark:text-gray-500" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto px-6 space-y-6">
+          <div className="grid grid-cols-2 gap-2 text-xs text-gray-600 dark:text-gray-400">
+            <div>
+              This device: v{conflictData.localVersion}, edited{" "}
+              {formatDate(conflictData.localModified)}
+            </div>
+            <div>
+              Cloud: v{conflictData.cloudVersion}, saved{" "}
+              {formatDate(conflictData.cloudModified)}
+            </div>
+          </div>
+
+          {!conflictData.hasBase && (
+            <div className="bg-amber-50 dark:bg-amber-950/30 border border-amber-200 dark:border-amber-800 rounded-lg p-3 text-sm text-amber-700 dark:text-amber-300">
+              This binder hasn't been synced from this device before, so every
+              difference needs a choice.
+            </div>
+          )}
+
+          {conflictCount > 0 && (
+            <section className="space-y-4">
+              <div className="flex items-center justify-between gap-2">
+                <h4 className="font-medium text-gray-900 dark:text-gray-100">
+                  Changed on both sides ({conflictCount})
+                </h4>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => chooseAll(CONFLICT_SIDES.LOCAL)}
+                    className="text-xs px-2 py-1 rounded bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600"
+                  >
+                    Keep all mine
+                  </button>
+                  <button
+                    onClick={() => chooseAll(CONFLICT_SIDES.CLOUD)}
+                    className="text-xs px-2 py-1 rounded bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600"
+                  >
+                    Keep all cloud
+                  </button>
+                </div>
+              </div>
+              {conflictFields.map((field) => (
+                <FieldRow
+                  key={field.path}
+                  field={field}
+                  side={resolutions.fields[field.path]}
+                  onSelect={(side) => setFieldSide(field.path, side)}
+                />
+              ))}
+              {conflictSlots.map((slot) => (
+                <SlotRow
+                  key={slot.position}
+                  slot={slot}
+                  cardsPerPage={cardsPerPage}
+                  side={resolutions.slots[slot.position]}
+                  onSelect={(side) => setSlotSide(slot.position, side)}
+                />
+              ))}
+            </section>
+          )}
+
+          {autoCount > 0 && (
+            <Disclosure as="section">
+              {({ open }) => (
+                <>
+                  <Disclosure.Button className="flex w-full justify-between items-center rounded-lg bg-gray-100 dark:bg-gray-700/50 px-4 py-3 text-left text-sm font-medium text-gray-900 dark:text-gray-100 hover:bg-gray-200 dark:hover:bg-gray-700">
+                    <span>Merged automatically ({autoCount})</span>
+                    <ChevronRightIcon
+                      className={`${
+                        open ? "rotate-90 transform" : ""
+                      } h-5 w-5 text-gray-500 transition-transform`}
+                    />
+                  </Disclosure.Button>
+                  <Disclosure.Panel className="mt-4 space-y-4">
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      These only changed on one side since your last save. The
+                      changed side is selected, but you can still switch it.
+                    </p>
+                    {autoFields.map((field) => (
+                      <FieldRow
+                        key={field.path}
+                        field={field}
+                        side={resolutions.fields[field.path]}
+                        onSelect={(side) => setFieldSide(field.path, side)}
+                      />
+                    ))}
+                    {autoSlots.map((slot) => (
+                      <SlotRow
+                        key={slot.position}
+                        slot={slot}
+                        cardsPerPage={cardsPerPage}
+                        side={resolutions.slots[slot.position]}
+                        onSelect={(side) => setSlotSide(slot.position, side)}
+                      />
+                    ))}
+                  </Disclosure.Panel>
+                </>
+              )}
+            </Disclosure>
+          )}
+        </div>
+
+        {/* Action Buttons */}
+        <div className="flex space-x-3 p-6 pt-4 border-t border-gray-200 dark:border-gray-700 mt-4">
+          <button
+            onClick={handleClose}
+            disabled={isSaving}
+            className="flex-1 px-4 py-3 text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg font-medium transition-colors disabled:opacity-50"
+          >
+            Decide Later
+          </button>
+          <button
+            onClick={handleResolve}
+            disabled={isSaving}
+            className="flex-1 px-4 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white rounded-lg font-medium transition-colors"
+          >
+            {isSaving ? "Saving..." : "Save Merged Binder"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictResolutionModal;
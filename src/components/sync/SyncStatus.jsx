@@ -8,10 +8,13 @@ import {
   XCircleIcon,
   ArrowPathIcon,
   ClockIcon,
+  SignalSlashIcon,
 } from "@heroicons/react/24/outline";
 import { toast } from "react-hot-toast";
 import { useBinder } from "../../services/binderSyncService";
 import { useAuth } from "../../hooks/useAuth";
+import { applyConflictResolutions } from "../../utils/binderConflicts";
+import ConflictResolutionModal from "./ConflictResolutionModal";
 
 const SyncStatus = ({
   binder,
@@ -25,6 +28,7 @@ const SyncStatus = ({
   const [isLoading, setIsLoading] = useState(false);
   const [cloudStatus, setCloudStatus] = useState(null);
   const [conflictData, setConflictData] = useState(null);
+  const [showConflictModal, setShowConflictModal] = useState(false);
 
   useEffect(() => {
     if (user && binder?.id) {
@@ -42,13 +46,13 @@ const SyncStatus = ({
     }
   };
 
-  const handleSyncToCloud = async (options = {}) => {
+  const handleSyncToCloud = async (options = {}, targetBinder = binder) => {
     if (!user) {
       toast.error("Please sign in to sync to cloud");
       return;
     }
 
-    if (!binder) {
+    if (!targetBinder) {
       toast.error("No binder to sync");
       return;
     }
@@ -57,7 +61,7 @@ const SyncStatus = ({
     setConflictData(null);
 
     try {
-      const result = await syncToCloud(binder, {
+      const result = await syncToCloud(targetBinder, {
         resolveConflicts: true,
         ...options,
       });
@@ -73,6 +77,8 @@ const SyncStatus = ({
       if (error.code === "SYNC_CONFLICT") {
         setConflictData(error.conflict);
         toast.error("Sync conflict detected. Please resolve manually.");
+      } else if (error.code === "OFFLINE_QUEUED") {
+        toast(error.message);
       } else {
         toast.error(error.message || "Failed to sync to cloud");
       }
@@ -111,6 +117,20 @@ const SyncStatus = ({
     await handleSyncToCloud({ forceOverwrite: true });
   };
 
+  const handleResolveConflict = async (resolutions) => {
+    const mergedBinder = applyConflictResolutions(
+      binder,
+      conflictData.conflictData,
+      resolutions
+    );
+    setShowConflictModal(false);
+    // The reviewed cloud state is the base for the merged save
+    await handleSyncToCloud(
+      { base: conflictData.conflictData.cloudSnapshot },
+      mergedBinder
+    );
+  };
+
   const getSyncStatusIcon = () => {
     if (isLoading) {
       return <ArrowPathIcon className="w-5 h-5 animate-spin text-blue-500" />;
@@ -121,6 +141,8 @@ const SyncStatus = ({
         return <CheckCircleIcon className="w-5 h-5 text-green-500" />;
       case "pending":
         return <ClockIcon className="w-5 h-5 text-yellow-500" />;
+      case "queued":
+        return <SignalSlashIcon className="w-5 h-5 text-amber-500" />;
       case "error":
         return <XCircleIcon className="w-5 h-5 text-red-500" />;
       case "conflict":
@@ -141,6 +163,8 @@ const SyncStatus = ({
           : "Synced";
       case "pending":
         return "Sync pending";
+      case "queued":
+        return "Waiting for connection";
       case "error":
         return `Sync error: ${binder.sync.lastError || "Unknown error"}`;
       case "conflict":
@@ -238,8 +262,21 @@ const SyncStatus = ({
                 "The cloud version is newer than your local version."}
               {conflictData.type === "content_different" &&
                 "Your local changes conflict with cloud changes."}
+              {conflictData.details?.slotCount > 0 &&
+                ` ${conflictData.details.slotCount} slot${
+                  conflictData.details.slotCount !== 1 ? "s" : ""
+                } differ.`}
             </p>
             <div className="flex gap-2">
+              {conflictData.conflictData && (
+                <button
+                  onClick={() => setShowConflictModal(true)}
+                  disabled={isLoading}
+                  className="text-xs bg-orange-600 text-white px-2 py-1 rounded hover:bg-orange-700 disabled:opacity-50"
+                >
+                  Review Changes
+                </button>
+              )}
               <button
                 onClick={handleDownloadFromCloud}
                 disabled={isLoading}
@@ -304,6 +341,14 @@ const SyncStatus = ({
           </div>
         )}
       </div>
+
+      <ConflictResolutionModal
+        isOpen={showConflictModal && Boolean(conflictData?.conflictData)}
+        onClose={() => setShowConflictModal(false)}
+        onResolve={handleResolveConflict}
+        conflictData={conflictData?.conflictData}
+        binder={binder}
+      />
     </div>
   );
 };
@@ -0,0 +1,57 @@
+import { useEffect } from "react";
+import { useBinderContext } from "../../contexts/BinderContext";
+import { getLastIncomingBinderId } from "../../hooks/useTrades";
+
+/**
+ * IncomingBinderSelect - Picks the binder that receives the cards of a trade
+ * Defaults to the binder used for the previous trade, also when the chosen
+ * binder was deleted.
+ */
+const IncomingBinderSelect = ({ value, onChange }) => {
+  const { binders, canAccessBinder } = useBinderContext();
+  const ownBinders = binders.filter((binder) => canAccessBinder(binder.id));
+
+  useEffect(() => {
+    if (
+      ownBinders.length === 0 ||
+      ownBinders.some((binder) => binder.id === value)
+    ) {
+      return;
+    }
+    const lastId = getLastIncomingBinderId();
+    onChange(
+      ownBinders.some((binder) => binder.id === lastId)
+        ? lastId
+        : ownBinders[0].id
+    );
+  }, [value, ownBinders, onChange]);
+
+  if (ownBinders.length === 0) {
+    return (
+      <p className="text-sm text-red-600 dark:text-red-400">
+        Create a binder to receive the cards first.
+      </p>
+    );
+  }
+
+  return (
+    <label className="block">
+      <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+        Add received cards to
+      </span>
+      <select
+        value={value || ""}
+        onChange={(e) => onChange(e.target.value)}
+        className="mt-1 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {ownBinders.map((binder) => (
+          <option key={binder.id} value={binder.id}>
+            {binder.metadata?.name || "Untitled Binder"}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default IncomingBinderSelect;
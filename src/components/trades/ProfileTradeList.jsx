@@ -0,0 +1,173 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { toast } from "react-hot-toast";
+import { ArrowsRightLeftIcon } from "@heroicons/react/24/outline";
+import { useAuth } from "../../hooks/useAuth";
+import useTrades from "../../hooks/useTrades";
+import useTradeList from "../../hooks/useTradeList";
+import useCardPrices from "../../hooks/useCardPrices";
+import { tradeService } from "../../services/TradeService";
+import TradeCardGrid from "./TradeCardGrid";
+import TradeProposalModal from "./TradeProposalModal";
+
+/**
+ * ProfileTradeList - Trade list tab of a user profile
+ * On your own profile it shows the cards you flagged for trade and whether
+ * they are listed publicly; on other profiles it shows their published list
+ * and lets signed in users propose a trade.
+ */
+const ProfileTradeList = ({ profileUser, isOwnProfile }) => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { proposeTrade } = useTrades();
+  const { items: myItems, isPublic, setPublic } = useTradeList();
+
+  const [theirItems, setTheirItems] = useState([]);
+  const [loading, setLoading] = useState(!isOwnProfile);
+  const [showProposal, setShowProposal] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOwnProfile) return;
+
+    let isMounted = true;
+    setLoading(true);
+    tradeService
+      .getTradeList(profileUser.uid)
+      .then((tradeList) => {
+        if (isMounted) {
+          setTheirItems(tradeList?.isPublic ? tradeList.items || [] : []);
+        }
+      })
+      // Private lists can't be read by other users
+      .catch(() => isMounted && setTheirItems([]))
+      .finally(() => isMounted && setLoading(false));
+
+    return () => {
+      isMounted = false;
+    };
+  }, [profileUser.uid, isOwnProfile]);
+
+  const items = isOwnProfile ? myItems : theirItems;
+  const { getCardValue, formatValue } = useCardPrices({ cardEntries: items });
+
+  const handleTogglePublic = async () => {
+    setIsSaving(true);
+    try {
+      await setPublic(!isPublic);
+      toast.success(
+        isPublic
+          ? "Your trade list is now private"
+          : "Your trade list is now shown on your profile"
+      );
+    } catch (error) {
+      toast.error(error.message || "Failed to update your trade list");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handlePropose = async ({
+    giving,
+    receiving,
+    incomingBinderId,
+    message,
+  }) => {
+    const tradeId = await proposeTrade({
+      toUser: { uid: profileUser.uid, displayName: profileUser.displayName },
+      offered: giving,
+      requested: receiving,
+      incomingBinderId,
+      message,
+    });
+    toast.success(`Trade proposed to ${profileUser.displayName}`);
+    navigate(`/messages?tab=trades&trade=${tradeId}`);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          {items.length} card{items.length !== 1 ? "s" : ""} available for trade
+        </p>
+        {isOwnProfile ? (
+          <label className="flex items-center gap-2 text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={isPublic}
+              onChange={handleTogglePublic}
+              disabled={isSaving}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Show on my profile
+          </label>
+        ) : (
+          user &&
+          items.length > 0 && (
+            <button
+              onClick={() => setShowProposal(true)}
+              className="inline-flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm"
+            >
+              <ArrowsRightLeftIcon className="w-4 h-4" />
+              Propose a Trade
+            </button>
+          )
+        )}
+      </div>
+
+      {items.length > 0 ? (
+        <TradeCardGrid
+          items={items}
+          getCardValue={getCardValue}
+          formatValue={formatValue}
+        />
+      ) : (
+        <div className="text-center py-12">
+          <div className="w-16 h-16 mx-auto mb-4 bg-gray-100 rounded-full flex items-center justify-center">
+            <ArrowsRightLeftIcon className="w-8 h-8 text-gray-400" />
+          </div>
+          <h3 className="text-lg font-medium text-gray-900 mb-2">
+            {isOwnProfile ? "Nothing Up for Trade Yet" : "No Cards for Trade"}
+          </h3>
+          <p className="text-gray-500 max-w-sm mx-auto">
+            {isOwnProfile ? (
+              <>
+                Mark cards as available for trade in your binders, or list the
+                surplus copies from your{" "}
+                <Link
+                  to="/duplicates"
+                  className="text-blue-600 hover:underline"
+                >
+                  duplicates
+                </Link>
+                .
+              </>
+            ) : (
+              `${profileUser.displayName} hasn't listed any cards for trade.`
+            )}
+          </p>
+        </div>
+      )}
+
+      {showProposal && (
+        <TradeProposalModal
+          otherUserName={profileUser.displayName}
+          myItems={myItems}
+          theirItems={theirItems}
+          onSubmit={handlePropose}
+          onClose={() => setShowProposal(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ProfileTradeList;
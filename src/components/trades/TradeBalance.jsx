@@ -0,0 +1,44 @@
+/**
+ * TradeBalance - Catalog value of both sides of a trade and the difference
+ * Pass the results of getTradeItemsValue for each side.
+ */
+const TradeBalance = ({ giving, receiving, formatValue }) => {
+  const balance = receiving.total - giving.total;
+  const unpriced = giving.unpriced + receiving.unpriced;
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-6 gap-y-1 text-sm">
+      <span className="text-gray-600 dark:text-gray-400">
+        You give{" "}
+        <span className="font-semibold text-gray-900 dark:text-gray-100">
+          {formatValue(giving.total)}
+        </span>
+      </span>
+      <span className="text-gray-600 dark:text-gray-400">
+        You get{" "}
+        <span className="font-semibold text-gray-900 dark:text-gray-100">
+          {formatValue(receiving.total)}
+        </span>
+      </span>
+      <span
+        className={`font-semibold ${
+          balance > 0
+            ? "text-green-700 dark:text-green-400"
+            : balance < 0
+            ? "text-red-600 dark:text-red-400"
+            : "text-gray-600 dark:text-gray-400"
+        }`}
+      >
+        Balance {balance > 0 ? "+" : balance < 0 ? "-" : ""}
+        {formatValue(Math.abs(balance))}
+      </span>
+      {unpriced > 0 && (
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          {unpriced} card{unpriced === 1 ? "" : "s"} without a price
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default TradeBalance;
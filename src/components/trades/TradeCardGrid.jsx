@@ -0,0 +1,97 @@
+import { CheckCircleIcon } from "@heroicons/react/24/solid";
+import { getVariantLabel } from "../../utils/cardValuation";
+import { getConditionInfo } from "../../utils/cardCondition";
+import { DEFAULT_LANGUAGE, getLanguageInfo } from "../../utils/cardLanguages";
+
+/**
+ * TradeCardGrid - Grid of trade items with their condition and value
+ * Pass onToggle to make the cards selectable.
+ */
+const TradeCardGrid = ({
+  items,
+  selectedIds,
+  onToggle,
+  getCardValue,
+  formatValue,
+  emptyMessage = "No cards",
+}) => {
+  if (items.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400 py-4 text-center">
+        {emptyMessage}
+      </p>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-3 sm:grid-cols-4 gap-2">
+      {items.map((item) => {
+        const isSelected = selectedIds?.has(item.instanceId);
+        const value = getCardValue?.({
+          cardId: item.cardId,
+          cardData: item.cardData,
+          variant: item.variant,
+        });
+        const details = [
+          getConditionInfo(item.condition).short,
+          item.variant && getVariantLabel(item.variant),
+          item.language !== DEFAULT_LANGUAGE &&
+            getLanguageInfo(item.language).label,
+        ]
+          .filter(Boolean)
+          .join(" · ");
+
+        const content = (
+          <>
+            <div className="relative">
+              <img
+                src={item.cardData?.imageSmall || item.cardData?.image}
+                alt={item.cardData?.name || item.cardId}
+                loading="lazy"
+                className={`w-full rounded-md bg-slate-100 dark:bg-slate-700 ${
+                  onToggle && !isSelected ? "opacity-60" : ""
+                }`}
+              />
+              {isSelected && (
+                <CheckCircleIcon className="absolute top-1 right-1 w-6 h-6 text-blue-600 bg-white rounded-full" />
+              )}
+            </div>
+            <div className="mt-1 text-xs font-medium text-gray-900 dark:text-gray-100 truncate">
+              {item.cardData?.name || item.cardId}
+            </div>
+            <div className="text-[11px] text-gray-500 dark:text-gray-400 truncate">
+              {details}
+            </div>
+            {value && formatValue && (
+              <div className="text-[11px] text-green-700 dark:text-green-400">
+                {formatValue(value.value, value.currency)}
+              </div>
+            )}
+          </>
+        );
+
+        return onToggle ? (
+          <button
+            key={item.instanceId}
+            type="button"
+            onClick={() => onToggle(item)}
+            className={`text-left rounded-lg p-1 transition-colors ${
+              isSelected
+                ? "bg-blue-50 dark:bg-blue-900/30 ring-2 ring-blue-500"
+                : "hover:bg-gray-50 dark:hover:bg-gray-800"
+            }`}
+            aria-pressed={isSelected}
+          >
+            {content}
+          </button>
+        ) : (
+          <div key={item.instanceId} className="p-1">
+            {content}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TradeCardGrid;
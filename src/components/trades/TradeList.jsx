@@ -0,0 +1,88 @@
+import { ArrowsRightLeftIcon } from "@heroicons/react/24/outline";
+import { describeTrade, getTradeSides } from "../../utils/trades";
+import TradeStatusBadge from "./TradeStatusBadge";
+
+/**
+ * TradeList - The user's trades, newest activity first
+ * Trades waiting on the user's response are marked.
+ */
+const TradeList = ({ trades, loading, userId, selectedTradeId, onSelect }) => {
+  return (
+    <div className="w-full md:w-1/3 border-r border-gray-200 dark:border-gray-700 flex flex-col h-full">
+      <div className="p-4 border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900 flex-shrink-0">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 flex items-center gap-2">
+          <ArrowsRightLeftIcon className="w-5 h-5 text-gray-700 dark:text-gray-300" />
+          Trades
+        </h2>
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : trades.length === 0 ? (
+          <div className="flex flex-col items-center justify-center text-center py-12 px-4 h-full">
+            <ArrowsRightLeftIcon className="w-16 h-16 text-gray-300 dark:text-gray-600 mb-4" />
+            <h3 className="text-lg font-medium text-gray-800 dark:text-gray-200 mb-1">
+              No trades yet
+            </h3>
+            <p className="text-gray-500 dark:text-gray-400 max-w-xs">
+              Propose a trade from another collector&apos;s profile to get
+              started.
+            </p>
+          </div>
+        ) : (
+          trades.map((trade) => {
+            const { otherUserName, isAwaitingMe } = getTradeSides(
+              trade,
+              userId
+            );
+            const unread = trade.unreadBy?.[userId] || 0;
+            const isSelected = trade.id === selectedTradeId;
+
+            return (
+              <button
+                key={trade.id}
+                onClick={() => onSelect(trade)}
+                className={`w-full text-left p-4 border-b border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors ${
+                  isSelected
+                    ? "bg-blue-50 dark:bg-blue-900/30 border-l-4 border-l-blue-500"
+                    : "border-l-4 border-l-transparent"
+                }`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span
+                    className={`text-sm text-gray-900 dark:text-gray-100 truncate ${
+                      unread > 0 ? "font-semibold" : "font-medium"
+                    }`}
+                  >
+                    {otherUserName}
+                  </span>
+                  <TradeStatusBadge
+                    status={isAwaitingMe ? "action" : trade.status}
+                  />
+                </div>
+                <div className="mt-1 flex items-center justify-between gap-2">
+                  <span className="text-sm text-gray-600 dark:text-gray-300 truncate">
+                    {trade.lastMessage || describeTrade(trade, userId)}
+                  </span>
+                  {unread > 0 && (
+                    <span className="bg-red-500 text-white text-xs rounded-full w-5 h-5 flex items-center justify-center flex-shrink-0">
+                      {unread > 9 ? "9+" : unread}
+                    </span>
+                  )}
+                </div>
+                <div className="mt-0.5 text-xs text-gray-500 dark:text-gray-400">
+                  {describeTrade(trade, userId)}
+                </div>
+              </button>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TradeList;
@@ -0,0 +1,195 @@
+import { useMemo, useState } from "react";
+import { toast } from "react-hot-toast";
+import { ArrowsRightLeftIcon, XMarkIcon } from "@heroicons/react/24/outline";
+import { Button } from "../ui/Button";
+import useCardPrices from "../../hooks/useCardPrices";
+import { getTradeItemsValue, MAX_TRADE_ITEMS } from "../../utils/trades";
+import TradeCardGrid from "./TradeCardGrid";
+import TradeBalance from "./TradeBalance";
+import IncomingBinderSelect from "./IncomingBinderSelect";
+
+const toIdSet = (items) => new Set(items.map((item) => item.instanceId));
+
+// Cards already in the trade may have been taken off a trade list since
+const withInitial = (items, initial) => [
+  ...initial,
+  ...items.filter(
+    (item) => !initial.some((other) => other.instanceId === item.instanceId)
+  ),
+];
+
+/**
+ * TradeProposalModal - Pick the cards to give and get in a trade
+ * Used for new proposals and counter offers. Both sides pick from the
+ * published trade lists; cards already in the trade stay selectable.
+ */
+const TradeProposalModal = ({
+  otherUserName,
+  myItems,
+  theirItems,
+  initialGiving = [],
+  initialReceiving = [],
+  isCounter = false,
+  onSubmit,
+  onClose,
+}) => {
+  const givable = useMemo(
+    () => withInitial(myItems, initialGiving),
+    [myItems, initialGiving]
+  );
+  const gettable = useMemo(
+    () => withInitial(theirItems, initialReceiving),
+    [theirItems, initialReceiving]
+  );
+
+  const [givingIds, setGivingIds] = useState(() => toIdSet(initialGiving));
+  const [receivingIds, setReceivingIds] = useState(() =>
+    toIdSet(initialReceiving)
+  );
+  const [incomingBinderId, setIncomingBinderId] = useState(null);
+  const [message, setMessage] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const cardEntries = useMemo(
+    () => [...givable, ...gettable],
+    [givable, gettable]
+  );
+  const { getCardValue, formatValue } = useCardPrices({ cardEntries });
+
+  const giving = givable.filter((item) => givingIds.has(item.instanceId));
+  const receiving = gettable.filter((item) =>
+    receivingIds.has(item.instanceId)
+  );
+
+  const toggle = (setIds) => (item) =>
+    setIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(item.instanceId)) {
+        next.delete(item.instanceId);
+      } else {
+        next.add(item.instanceId);
+      }
+      return next;
+    });
+
+  const tooMany =
+    giving.length > MAX_TRADE_ITEMS || receiving.length > MAX_TRADE_ITEMS;
+  const canSubmit =
+    (giving.length > 0 || receiving.length > 0) &&
+    !tooMany &&
+    (receiving.length === 0 || incomingBinderId) &&
+    !isSubmitting;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit({ giving, receiving, incomingBinderId, message });
+      onClose();
+    } catch (error) {
+      toast.error(error.message || "Failed to send the trade");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white dark:bg-gray-900 rounded-xl shadow-xl max-w-3xl w-full max-h-[90vh] flex flex-col"
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700 flex-shrink-0">
+          <div className="flex items-center space-x-3">
+            <ArrowsRightLeftIcon className="w-6 h-6 text-blue-600" />
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">
+              {isCounter ? "Counter Offer" : "Propose a Trade"} with{" "}
+              {otherUserName}
+            </h2>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+            aria-label="Close"
+          >
+            <XMarkIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+          <section>
+            <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-2">
+              You give ({giving.length})
+            </h3>
+            <TradeCardGrid
+              items={givable}
+              selectedIds={givingIds}
+              onToggle={toggle(setGivingIds)}
+              getCardValue={getCardValue}
+              formatValue={formatValue}
+              emptyMessage="Mark cards as available for trade in your binders to offer them."
+            />
+          </section>
+          <section>
+            <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-2">
+              You get ({receiving.length})
+            </h3>
+            <TradeCardGrid
+              items={gettable}
+              selectedIds={receivingIds}
+              onToggle={toggle(setReceivingIds)}
+              getCardValue={getCardValue}
+              formatValue={formatValue}
+              emptyMessage={`${otherUserName} has no cards listed for trade.`}
+            />
+          </section>
+        </div>
+
+        <div className="p-6 border-t border-gray-200 dark:border-gray-700 space-y-4 flex-shrink-0">
+          <TradeBalance
+            giving={getTradeItemsValue(giving, getCardValue)}
+            receiving={getTradeItemsValue(receiving, getCardValue)}
+            formatValue={formatValue}
+          />
+          {tooMany && (
+            <p className="text-sm text-red-600 dark:text-red-400">
+              A trade can include up to {MAX_TRADE_ITEMS} cards per side.
+            </p>
+          )}
+          {receiving.length > 0 && (
+            <IncomingBinderSelect
+              value={incomingBinderId}
+              onChange={setIncomingBinderId}
+            />
+          )}
+          <textarea
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Add a message (optional)"
+            rows={2}
+            maxLength={500}
+            className="w-full resize-none rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400 px-3 py-2 text-sm focus:border-blue-500 focus:ring-2 focus:ring-blue-500"
+          />
+          <div className="flex justify-end gap-3">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={!canSubmit}>
+              {isSubmitting
+                ? "Sending..."
+                : isCounter
+                ? "Send Counter Offer"
+                : "Send Proposal"}
+            </Button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default TradeProposalModal;
@@ -0,0 +1,30 @@
+import { TRADE_STATUSES } from "../../utils/trades";
+
+const STATUS_CLASSES = {
+  action: "bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300",
+  pending:
+    "bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300",
+  accepted:
+    "bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300",
+  declined: "bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300",
+  cancelled:
+    "bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300",
+};
+
+/**
+ * TradeStatusBadge - Status pill of a trade
+ * "action" marks a pending trade that waits on the viewing user.
+ */
+const TradeStatusBadge = ({ status }) => (
+  <span
+    className={`px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${
+      STATUS_CLASSES[status] || STATUS_CLASSES.pending
+    }`}
+  >
+    {status === "action"
+      ? "Your turn"
+      : TRADE_STATUSES[status]?.label || status}
+  </span>
+);
+
+export default TradeStatusBadge;
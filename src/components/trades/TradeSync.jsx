@@ -0,0 +1,110 @@
+import { useEffect, useRef } from "react";
+import { toast } from "react-hot-toast";
+import { useBinderContext } from "../../contexts/BinderContext";
+import useTrades from "../../hooks/useTrades";
+import useTradeList from "../../hooks/useTradeList";
+import { tradeService } from "../../services/TradeService";
+import {
+  findTradeItemSlot,
+  getTradeSides,
+  toBinderCard,
+} from "../../utils/trades";
+
+/**
+ * TradeSync - Keeps trades and binders in step for the signed in user
+ * Publishes the trade list when flagged cards change and settles accepted
+ * trades: the cards given away are removed from their binders and the cards
+ * received go into the binder chosen for the trade. Each participant settles
+ * their own side, so a trade completes on the next visit of each user.
+ * Settling can be retried: cards already given away or received are skipped.
+ */
+const TradeSync = ({ userId }) => {
+  const {
+    binders,
+    canAccessBinder,
+    isLoading,
+    removeCardFromBinder,
+    batchAddCards,
+  } = useBinderContext();
+  const { trades } = useTrades();
+  const settlingRef = useRef(new Set());
+  // Trades whose binder was deleted, warned about once per session
+  const missingBinderRef = useRef(new Set());
+
+  useTradeList({ autoPublish: true });
+
+  useEffect(() => {
+    if (isLoading) return;
+
+    const ownBinders = binders.filter((binder) => canAccessBinder(binder.id));
+    const unsettled = trades.filter(
+      (trade) =>
+        trade.status === "accepted" &&
+        !trade.settledBy?.[userId] &&
+        !settlingRef.current.has(trade.id)
+    );
+
+    unsettled.forEach(async (trade) => {
+      const { giving, receiving, otherUserName } = getTradeSides(trade, userId);
+      const incomingBinder = ownBinders.find(
+        (binder) => binder.id === trade.incomingBinderIds?.[userId]
+      );
+      // Cards already received by an earlier, interrupted settlement
+      const toReceive = receiving.filter(
+        (item) => !findTradeItemSlot(ownBinders, item)
+      );
+
+      // Settled once the user picks another binder in the trade
+      if (toReceive.length > 0 && !incomingBinder) {
+        if (!missingBinderRef.current.has(trade.id)) {
+          missingBinderRef.current.add(trade.id);
+          toast.error(
+            `The binder for your trade with ${otherUserName} no longer exists. Choose another one in the trade.`
+          );
+        }
+        return;
+      }
+
+      settlingRef.current.add(trade.id);
+
+      try {
+        for (const item of giving) {
+          const slot = findTradeItemSlot(ownBinders, item);
+          if (slot) await removeCardFromBinder(slot.binderId, slot.position);
+        }
+        if (toReceive.length > 0) {
+          await batchAddCards(
+            incomingBinder.id,
+            toReceive.map(toBinderCard),
+            null,
+            { notes: `Traded with ${otherUserName}` }
+          );
+        }
+        await tradeService.markSettled(trade.id, userId);
+
+        toast.success(
+          toReceive.length > 0
+            ? `Trade with ${otherUserName} completed: ${toReceive.length} card${
+                toReceive.length === 1 ? "" : "s"
+              } added to ${incomingBinder?.metadata?.name || "your binder"}`
+            : `Trade with ${otherUserName} completed`
+        );
+      } catch (error) {
+        console.error("Failed to settle trade:", error);
+        toast.error(`Couldn't complete your trade with ${otherUserName}`);
+      }
+    });
+  }, [
+    trades,
+    binders,
+    isLoading,
+    userId,
+    canAccessBinder,
+    removeCardFromBinder,
+    batchAddCards,
+  ]);
+
+  return null;
+};
+
+export default TradeSync;
@@ -0,0 +1,414 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { toast } from "react-hot-toast";
+import {
+  ArrowLeftIcon,
+  ArrowsRightLeftIcon,
+  CheckCircleIcon,
+  PaperAirplaneIcon,
+} from "@heroicons/react/24/outline";
+import { Button } from "../ui/Button";
+import { useBinderContext } from "../../contexts/BinderContext";
+import useCardPrices from "../../hooks/useCardPrices";
+import { tradeService } from "../../services/TradeService";
+import { getTradeItemsValue, getTradeSides } from "../../utils/trades";
+import TradeCardGrid from "./TradeCardGrid";
+import TradeBalance from "./TradeBalance";
+import TradeStatusBadge from "./TradeStatusBadge";
+import TradeProposalModal from "./TradeProposalModal";
+import IncomingBinderSelect from "./IncomingBinderSelect";
+
+const EVENT_LABELS = {
+  proposal: "proposed the trade",
+  counter: "made a counter offer",
+  accepted: "accepted the trade",
+  declined: "declined the trade",
+  cancelled: "cancelled the trade",
+};
+
+const formatTime = (timestamp) => {
+  const date = timestamp?.toDate?.();
+  return date
+    ? date.toLocaleString([], {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "";
+};
+
+/**
+ * TradeView - A trade with both card lists, its actions and its thread
+ * The user whose turn it is can accept, counter or decline; the other side
+ * can cancel while waiting.
+ */
+const TradeView = ({ trade, userId, myTradeItems, tradeActions, onBack }) => {
+  const [messages, setMessages] = useState([]);
+  const [newMessage, setNewMessage] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+  const [isAccepting, setIsAccepting] = useState(false);
+  const [incomingBinderId, setIncomingBinderId] = useState(null);
+  const [counterItems, setCounterItems] = useState(null);
+  const messagesEndRef = useRef(null);
+  const { binders, canAccessBinder } = useBinderContext();
+
+  const sides = trade ? getTradeSides(trade, userId) : null;
+
+  const cardEntries = useMemo(
+    () => (trade ? [...(trade.offered || []), ...(trade.requested || [])] : []),
+    [trade]
+  );
+  const { getCardValue, formatValue } = useCardPrices({ cardEntries });
+
+  useEffect(() => {
+    if (!trade?.id) return;
+    setIsAccepting(false);
+    setMessages([]);
+    return tradeService.subscribeToTradeMessages(trade.id, setMessages);
+  }, [trade?.id]);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages]);
+
+  if (!trade) {
+    return (
+      <div className="hidden md:flex flex-1 flex-col items-center justify-center bg-gray-50 dark:bg-gray-800 p-8 text-center">
+        <ArrowsRightLeftIcon className="w-20 h-20 text-gray-300 dark:text-gray-600 mb-4" />
+        <h3 className="text-xl font-semibold text-gray-800 dark:text-gray-200 mb-1">
+          Select a Trade
+        </h3>
+        <p className="text-gray-500 dark:text-gray-400 max-w-xs">
+          Choose a trade from the left to review the cards and respond.
+        </p>
+      </div>
+    );
+  }
+
+  const { giving, receiving, otherUserId, otherUserName, isAwaitingMe } = sides;
+  const isSettled = Boolean(trade.settledBy?.[userId]);
+  // The binder chosen for the received cards was deleted before settling
+  const needsIncomingBinder =
+    trade.status === "accepted" &&
+    !isSettled &&
+    receiving.length > 0 &&
+    !binders.some(
+      (binder) =>
+        binder.id === trade.incomingBinderIds?.[userId] &&
+        canAccessBinder(binder.id)
+    );
+
+  const run = async (action, successMessage) => {
+    setIsBusy(true);
+    try {
+      await action();
+      if (successMessage) toast.success(successMessage);
+      return true;
+    } catch (error) {
+      toast.error(error.message || "Something went wrong");
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleAccept = async () => {
+    const accepted = await run(
+      () => tradeActions.acceptTrade(trade, incomingBinderId),
+      "Trade accepted"
+    );
+    if (accepted) setIsAccepting(false);
+  };
+
+  const handleChangeIncomingBinder = () =>
+    run(
+      () => tradeActions.changeIncomingBinder(trade, incomingBinderId),
+      "Binder updated"
+    );
+
+  const handleDecline = () => {
+    if (!window.confirm(`Decline the trade with ${otherUserName}?`)) return;
+    run(() => tradeActions.declineTrade(trade), "Trade declined");
+  };
+
+  const handleCancel = () => {
+    if (!window.confirm("Cancel this trade proposal?")) return;
+    run(() => tradeActions.cancelTrade(trade), "Trade cancelled");
+  };
+
+  const handleOpenCounter = async () => {
+    // Their list may be private now; the cards already in the trade remain
+    const theirList = await tradeService
+      .getTradeList(otherUserId)
+      .catch(() => null);
+    setCounterItems(theirList?.items || []);
+  };
+
+  const handleCounter = async ({
+    giving,
+    receiving,
+    incomingBinderId,
+    message,
+  }) => {
+    await tradeActions.counterTrade(trade, {
+      offered: sides.isProposer ? giving : receiving,
+      requested: sides.isProposer ? receiving : giving,
+      incomingBinderId,
+      message,
+    });
+    toast.success("Counter offer sent");
+  };
+
+  const handleSendMessage = async (e) => {
+    e.preventDefault();
+    if (!newMessage.trim()) return;
+    const sent = await run(() =>
+      tradeActions.sendMessage(trade.id, newMessage)
+    );
+    if (sent) setNewMessage("");
+  };
+
+  return (
+    <div className="flex flex-col w-full h-full bg-white dark:bg-gray-800">
+      {/* Header */}
+      <div className="p-4 border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900 flex-shrink-0">
+        <div className="flex items-center justify-between gap-3">
+          <div className="flex items-center space-x-3 min-w-0">
+            {onBack && (
+              <button
+                onClick={onBack}
+                className="p-2 text-gray-500 hover:text-gray-800 dark:text-gray-400 dark:hover:text-gray-200 md:hidden"
+                aria-label="Back to trades"
+              >
+                <ArrowLeftIcon className="w-5 h-5" />
+              </button>
+            )}
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 truncate">
+              Trade with {otherUserName}
+            </h3>
+          </div>
+          <TradeStatusBadge status={isAwaitingMe ? "action" : trade.status} />
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {/* Cards */}
+        <div className="p-4 grid grid-cols-1 lg:grid-cols-2 gap-4 border-b border-gray-200 dark:border-gray-700">
+          <section>
+            <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-2">
+              You give ({giving.length})
+            </h4>
+            <TradeCardGrid
+              items={giving}
+              getCardValue={getCardValue}
+              formatValue={formatValue}
+            />
+          </section>
+          <section>
+            <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-2">
+              You get ({receiving.length})
+            </h4>
+            <TradeCardGrid
+              items={receiving}
+              getCardValue={getCardValue}
+              formatValue={formatValue}
+            />
+          </section>
+          <div className="lg:col-span-2">
+            <TradeBalance
+              giving={getTradeItemsValue(giving, getCardValue)}
+              receiving={getTradeItemsValue(receiving, getCardValue)}
+              formatValue={formatValue}
+            />
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div className="p-4 border-b border-gray-200 dark:border-gray-700">
+          {needsIncomingBinder ? (
+            <div className="space-y-3">
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                The binder for the cards you get no longer exists. Choose
+                another one to complete the trade.
+              </p>
+              <IncomingBinderSelect
+                value={incomingBinderId}
+                onChange={setIncomingBinderId}
+              />
+              <Button
+                onClick={handleChangeIncomingBinder}
+                disabled={isBusy || !incomingBinderId}
+              >
+                Use This Binder
+              </Button>
+            </div>
+          ) : trade.status === "accepted" ? (
+            <p className="flex items-center gap-2 text-sm text-green-700 dark:text-green-400">
+              <CheckCircleIcon className="w-5 h-5" />
+              {isSettled
+                ? "Trade completed. Your binders have been updated."
+                : "Trade accepted. Updating your binders..."}
+            </p>
+          ) : trade.status !== "pending" ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              This trade was {trade.status}.
+            </p>
+          ) : isAwaitingMe ? (
+            isAccepting ? (
+              <div className="space-y-3">
+                {receiving.length > 0 && (
+                  <IncomingBinderSelect
+                    value={incomingBinderId}
+                    onChange={setIncomingBinderId}
+                  />
+                )}
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  The cards you give are removed from your binders once the
+                  trade is accepted.
+                </p>
+                <div className="flex gap-2">
+                  <Button
+                    onClick={handleAccept}
+                    disabled={
+                      isBusy || (receiving.length > 0 && !incomingBinderId)
+                    }
+                  >
+                    Confirm Trade
+                  </Button>
+                  <Button
+                    variant="outline"
+                    onClick={() => setIsAccepting(false)}
+                    disabled={isBusy}
+                  >
+                    Back
+                  </Button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                <Button onClick={() => setIsAccepting(true)} disabled={isBusy}>
+                  Accept
+                </Button>
+                <Button
+                  variant="outline"
+                  onClick={handleOpenCounter}
+                  disabled={isBusy}
+                >
+                  Counter
+                </Button>
+                <Button
+                  variant="destructive"
+                  onClick={handleDecline}
+                  disabled={isBusy}
+                >
+                  Decline
+                </Button>
+              </div>
+            )
+          ) : (
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Waiting for {otherUserName} to respond.
+              </p>
+              <Button
+                variant="outline"
+                onClick={handleCancel}
+                disabled={isBusy}
+              >
+                Cancel Trade
+              </Button>
+            </div>
+          )}
+        </div>
+
+        {/* Thread */}
+        <div className="p-4 space-y-3">
+          {messages.map((message) => {
+            const isMine = message.senderId === userId;
+            const senderName = isMine ? "You" : otherUserName;
+
+            if (message.type !== "message") {
+              return (
+                <div key={message.id} className="text-center">
+                  <div className="text-xs text-gray-500 dark:text-gray-400">
+                    {senderName} {EVENT_LABELS[message.type]} ·{" "}
+                    {formatTime(message.timestamp)}
+                  </div>
+                  {message.message && (
+                    <p className="mt-1 inline-block px-3 py-1.5 rounded-lg text-sm bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200">
+                      {message.message}
+                    </p>
+                  )}
+                </div>
+              );
+            }
+
+            return (
+              <div
+                key={message.id}
+                className={`flex ${isMine ? "justify-end" : "justify-start"}`}
+              >
+                <div
+                  className={`max-w-xs lg:max-w-md px-4 py-2 rounded-2xl text-sm ${
+                    isMine
+                      ? "bg-blue-600 text-white"
+                      : "bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                  }`}
+                >
+                  <p className="whitespace-pre-wrap break-words">
+                    {message.message}
+                  </p>
+                  <p
+                    className={`mt-1 text-[11px] ${
+                      isMine ? "text-blue-100" : "text-gray-500"
+                    }`}
+                  >
+                    {formatTime(message.timestamp)}
+                  </p>
+                </div>
+              </div>
+            );
+          })}
+          <div ref={messagesEndRef} />
+        </div>
+      </div>
+
+      {/* Message Input */}
+      <form
+        onSubmit={handleSendMessage}
+        className="p-4 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900 flex space-x-3"
+      >
+        <input
+          type="text"
+          value={newMessage}
+          onChange={(e) => setNewMessage(e.target.value)}
+          placeholder={`Message ${otherUserName}...`}
+          maxLength={1000}
+          className="flex-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400 px-4 py-2 focus:border-blue-500 focus:ring-2 focus:ring-blue-500"
+        />
+        <Button
+          type="submit"
+          disabled={!newMessage.trim() || isBusy}
+          className="flex-shrink-0 px-4 py-2"
+        >
+          <PaperAirplaneIcon className="h-5 w-5" />
+        </Button>
+      </form>
+
+      {counterItems && (
+        <TradeProposalModal
+          otherUserName={otherUserName}
+          myItems={myTradeItems}
+          theirItems={counterItems}
+          initialGiving={giving}
+          initialReceiving={receiving}
+          isCounter
+          onSubmit={handleCounter}
+          onClose={() => setCounterItems(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TradeView;
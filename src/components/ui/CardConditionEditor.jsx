@@ -0,0 +1,173 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import {
+  CARD_CONDITIONS,
+  GRADING_COMPANIES,
+  GRADES,
+  getConditionInfo,
+  isGradedEntry,
+  normalizeGrading,
+} from "../../utils/cardCondition";
+
+const inputClassName =
+  "w-full px-2 py-1.5 text-sm border border-gray-200 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100";
+
+/**
+ * CardConditionEditor - Condition, grading, trade flag and notes of a binder card copy
+ * Used in CardModal when the binder can be edited. Selects and buttons save
+ * right away; text fields save when they lose focus.
+ */
+const CardConditionEditor = ({ cardEntry, onUpdate }) => {
+  const [certNumber, setCertNumber] = useState(
+    cardEntry.grading?.certNumber || ""
+  );
+  const [notes, setNotes] = useState(cardEntry.notes || "");
+
+  const isGraded = isGradedEntry(cardEntry);
+  const condition = getConditionInfo(cardEntry.condition).value;
+
+  const updateGrading = (changes) => {
+    onUpdate({
+      grading: normalizeGrading({ ...cardEntry.grading, ...changes }),
+    });
+  };
+
+  const handleToggleGraded = () => {
+    if (isGraded) {
+      onUpdate({ grading: null });
+    } else {
+      onUpdate({
+        grading: normalizeGrading({
+          company: GRADING_COMPANIES[0].value,
+          grade: GRADES[0],
+          certNumber,
+        }),
+      });
+    }
+  };
+
+  const handleCertBlur = () => {
+    if (certNumber.trim() !== (cardEntry.grading?.certNumber || "")) {
+      updateGrading({ certNumber });
+    }
+  };
+
+  const handleNotesBlur = () => {
+    if (notes !== (cardEntry.notes || "")) {
+      onUpdate({ notes });
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {/* Raw condition */}
+      <div>
+        <span className="text-sm font-medium text-gray-600 dark:text-gray-400 block mb-1">
+          Condition
+        </span>
+        <div className="grid grid-cols-5 gap-1">
+          {CARD_CONDITIONS.map((item) => (
+            <button
+              key={item.value}
+              type="button"
+              onClick={() => onUpdate({ condition: item.value })}
+              disabled={isGraded}
+              className={`px-2 py-1.5 text-xs font-semibold rounded-lg border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                condition === item.value
+                  ? "border-blue-500 bg-blue-50 dark:bg-blue-950 text-blue-900 dark:text-blue-200"
+                  : "border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:border-gray-300 dark:hover:border-gray-600"
+              }`}
+              title={item.label}
+            >
+              {item.short}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Grading */}
+      <div>
+        <label className="flex items-center gap-2 text-sm font-medium text-gray-600 dark:text-gray-400 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={isGraded}
+            onChange={handleToggleGraded}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          Graded slab
+        </label>
+        {isGraded && (
+          <div className="grid grid-cols-2 gap-2 mt-2">
+            <select
+              value={cardEntry.grading.company}
+              onChange={(e) => updateGrading({ company: e.target.value })}
+              className={inputClassName}
+              aria-label="Grading company"
+            >
+              {GRADING_COMPANIES.map((company) => (
+                <option key={company.value} value={company.value}>
+                  {company.label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={cardEntry.grading.grade ?? ""}
+              onChange={(e) => updateGrading({ grade: e.target.value })}
+              className={inputClassName}
+              aria-label="Grade"
+            >
+              <option value="">No grade</option>
+              {GRADES.map((grade) => (
+                <option key={grade} value={grade}>
+                  {grade}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={certNumber}
+              onChange={(e) => setCertNumber(e.target.value)}
+              onBlur={handleCertBlur}
+              placeholder="Cert number"
+              className={`${inputClassName} col-span-2`}
+              aria-label="Cert number"
+            />
+          </div>
+        )}
+      </div>
+
+      {/* Trade list */}
+      <label className="flex items-center gap-2 text-sm font-medium text-gray-600 dark:text-gray-400 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={Boolean(cardEntry.forTrade)}
+          onChange={() => onUpdate({ forTrade: !cardEntry.forTrade })}
+          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+        />
+        Available for trade
+      </label>
+
+      {/* Notes */}
+      <div>
+        <span className="text-sm font-medium text-gray-600 dark:text-gray-400 block mb-1">
+          Notes
+        </span>
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          onBlur={handleNotesBlur}
+          rows={2}
+          placeholder="Add a note about this copy"
+          className={`${inputClassName} resize-none`}
+        />
+      </div>
+    </div>
+  );
+};
+
+CardConditionEditor.propTypes = {
+  cardEntry: PropTypes.object.isRequired,
+  onUpdate: PropTypes.func.isRequired,
+};
+
+export default CardConditionEditor;
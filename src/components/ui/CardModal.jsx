@@ -1,10 +1,24 @@
-import React from "react";
+import React, { useMemo } from "react";
+import { Link } from "react-router-dom";
 import { X } from "lucide-react";
+import useCardPrices from "../../hooks/useCardPrices";
+import { getVariantLabel } from "../../utils/cardValuation";
+import {
+  getConditionInfo,
+  getGradingLabel,
+  isGradedEntry,
+} from "../../utils/cardCondition";
+import { DEFAULT_LANGUAGE, getLanguageInfo } from "../../utils/cardLanguages";
+import { getArtistPath } from "../../utils/artists";
+import CardConditionEditor from "./CardConditionEditor";
+import CardLocations from "../inventory/CardLocations";
 
 /**
  * CardModal - Reusable card preview modal component
  *
- * Used across multiple pages for displaying Pokemon card details in a modal overlay
+ * Used across multiple pages for displaying Pokemon card details in a modal overlay.
+ * Binder cards show their condition and grading; pass onUpdateCard to edit them.
+ * showLocations lists where the signed in user owns the card ("find in my binders").
  */
 const CardModal = ({
   selectedCard,
@@ -12,11 +26,40 @@ const CardModal = ({
   showArtist = true,
   showTypes = true,
   showNotes = true,
+  showPrice = true,
   showCloseHint = false,
   className = "",
+  onUpdateCard,
+  showLocations = false,
 }) => {
+  // Binder cards carry their entry in binderMetadata; search results only have card data
+  const cardEntry = useMemo(() => {
+    if (!selectedCard || !showPrice) return null;
+    return (
+      selectedCard.binderMetadata || {
+        cardId: selectedCard.id,
+        cardData: selectedCard,
+        reverseHolo: selectedCard.reverseHolo,
+      }
+    );
+  }, [selectedCard, showPrice]);
+  const cardEntries = useMemo(
+    () => (cardEntry ? [cardEntry] : []),
+    [cardEntry]
+  );
+  const { getCardValue, formatValue } = useCardPrices({ cardEntries });
+
   if (!selectedCard) return null;
 
+  const price = cardEntry ? getCardValue(cardEntry) : null;
+  const binderEntry = selectedCard.binderMetadata?.cardId
+    ? selectedCard.binderMetadata
+    : null;
+  const language =
+    selectedCard.binderMetadata?.language ||
+    selectedCard.language ||
+    DEFAULT_LANGUAGE;
+
   const handleBackdropClick = (e) => {
     if (e.target === e.currentTarget) {
       onClose();
@@ -90,6 +133,18 @@ const CardModal = ({
               </div>
             )}
 
+            {/* Language */}
+            {language !== DEFAULT_LANGUAGE && (
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-600 dark:text-gray-400">
+                  Language
+                </span>
+                <span className="text-sm font-semibold text-gray-900 dark:text-gray-100">
+                  {getLanguageInfo(language).label}
+                </span>
+              </div>
+            )}
+
             {/* Rarity */}
             {selectedCard.rarity && (
               <div className="flex items-center justify-between">
@@ -102,15 +157,58 @@ const CardModal = ({
               </div>
             )}
 
+            {/* Market Price */}
+            {price && (
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-600 dark:text-gray-400">
+                  Market Price
+                </span>
+                <span className="text-sm font-semibold text-green-700 dark:text-green-400">
+                  {formatValue(price.value, price.currency)}
+                  <span className="ml-1 text-xs font-normal text-gray-500 dark:text-gray-400">
+                    ({getVariantLabel(price.variant)})
+                  </span>
+                </span>
+              </div>
+            )}
+
+            {/* Condition / Grading */}
+            {binderEntry && !onUpdateCard && (
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-600 dark:text-gray-400">
+                  {isGradedEntry(binderEntry) ? "Graded" : "Condition"}
+                </span>
+                <span className="text-sm font-semibold text-gray-900 dark:text-gray-100">
+                  {isGradedEntry(binderEntry) ? (
+                    <>
+                      {getGradingLabel(binderEntry.grading)}
+                      {binderEntry.grading.certNumber && (
+                        <span className="ml-1 text-xs font-normal text-gray-500 dark:text-gray-400">
+                          (cert #{binderEntry.grading.certNumber})
+                        </span>
+                      )}
+                    </>
+                  ) : (
+                    getConditionInfo(binderEntry.condition).label
+                  )}
+                </span>
+              </div>
+            )}
+
             {/* Artist */}
             {showArtist && selectedCard.artist && (
               <div className="flex items-center justify-between">
                 <span className="text-sm font-medium text-gray-600 dark:text-gray-400">
                   Artist
                 </span>
-                <span className="text-sm font-semibold text-gray-900 dark:text-gray-100">
+                <Link
+                  to={getArtistPath(selectedCard.artist, language)}
+                  onClick={onClose}
+                  className="text-sm font-semibold text-blue-600 dark:text-blue-400 hover:underline"
+                  title={`More cards by ${selectedCard.artist}`}
+                >
                   {selectedCard.artist}
-                </span>
+                </Link>
               </div>
             )}
 
@@ -135,19 +233,45 @@ const CardModal = ({
                 </div>
               )}
 
-            {/* Notes */}
-            {showNotes && selectedCard.binderMetadata?.notes && (
-              <div className="pt-3 border-t border-gray-200">
-                <div className="pt-2">
-                  <span className="text-sm font-medium text-gray-600 dark:text-gray-400 block mb-1">
-                    Notes
-                  </span>
-                  <p className="text-sm text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-2 rounded-lg">
-                    {selectedCard.binderMetadata.notes}
-                  </p>
-                </div>
+            {/* Condition editor - clicks inside must not close the modal */}
+            {binderEntry && onUpdateCard && (
+              <div
+                className="pt-3 border-t border-gray-200 cursor-default"
+                onClick={(e) => e.stopPropagation()}
+              >
+                <CardConditionEditor
+                  key={binderEntry.instanceId}
+                  cardEntry={binderEntry}
+                  onUpdate={onUpdateCard}
+                />
+              </div>
+            )}
+
+            {/* Find in my binders */}
+            {showLocations && (
+              <div
+                className="pt-3 border-t border-gray-200 cursor-default"
+                onClick={(e) => e.stopPropagation()}
+              >
+                <CardLocations card={selectedCard} onNavigate={onClose} />
               </div>
             )}
+
+            {/* Notes */}
+            {showNotes &&
+              !onUpdateCard &&
+              selectedCard.binderMetadata?.notes && (
+                <div className="pt-3 border-t border-gray-200">
+                  <div className="pt-2">
+                    <span className="text-sm font-medium text-gray-600 dark:text-gray-400 block mb-1">
+                      Notes
+                    </span>
+                    <p className="text-sm text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-800 p-2 rounded-lg">
+                      {selectedCard.binderMetadata.notes}
+                    </p>
+                  </div>
+                </div>
+              )}
           </div>
 
           {/* Close hint */}
@@ -0,0 +1,40 @@
+import PropTypes from "prop-types";
+import { LanguageIcon } from "@heroicons/react/24/outline";
+import useCardLanguages from "../../hooks/useCardLanguages";
+
+/**
+ * LanguageSelect - Picks the catalog language cards are searched in
+ * Renders nothing while English is the only catalog available.
+ */
+const LanguageSelect = ({ value, onChange, className = "" }) => {
+  const { languages, hasMultipleLanguages } = useCardLanguages();
+
+  if (!hasMultipleLanguages) return null;
+
+  return (
+    <div className={`relative flex items-center ${className}`}>
+      <LanguageIcon className="absolute left-2 w-4 h-4 text-slate-400 dark:text-slate-500 pointer-events-none" />
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="pl-8 pr-3 py-1.5 border border-slate-300 dark:border-slate-600 rounded-md text-sm bg-card-background text-primary focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        aria-label="Card language"
+        title="Card language"
+      >
+        {languages.map((language) => (
+          <option key={language.code} value={language.code}>
+            {language.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+LanguageSelect.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  className: PropTypes.string,
+};
+
+export default LanguageSelect;
@@ -0,0 +1,48 @@
+import { HeartIcon } from "@heroicons/react/24/outline";
+import { HeartIcon as HeartSolid } from "@heroicons/react/24/solid";
+import { toast } from "react-hot-toast";
+import useWantList from "../../hooks/useWantList";
+
+/**
+ * WantListButton - Heart toggle that adds a card to / removes it from the want list
+ * Meant to be overlaid on card grids (search results).
+ */
+const WantListButton = ({ card, source = "search", className = "" }) => {
+  const { isWanted, addCards, removeCard } = useWantList();
+
+  if (!card?.id) return null;
+
+  const wanted = isWanted(card.id);
+
+  const handleClick = (e) => {
+    e.stopPropagation();
+
+    if (wanted) {
+      removeCard(card.id);
+      toast.success(`Removed ${card.name} from your want list`);
+    } else {
+      addCards([card], { source });
+      toast.success(`Added ${card.name} to your want list`);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      className={`bg-black/50 backdrop-blur-sm rounded-full p-1 transition-opacity pointer-events-auto z-20 ${
+        wanted ? "opacity-100" : "opacity-0 group-hover:opacity-100"
+      } ${className}`}
+      title={wanted ? "Remove from want list" : "Add to want list"}
+      aria-pressed={wanted}
+    >
+      {wanted ? (
+        <HeartSolid className="w-4 h-4 text-pink-400" />
+      ) : (
+        <HeartIcon className="w-4 h-4 text-white" />
+      )}
+    </button>
+  );
+};
+
+export default WantListButton;
@@ -0,0 +1,178 @@
+import { useMemo } from "react";
+import { CheckCircleIcon, TrashIcon } from "@heroicons/react/24/outline";
+import {
+  WANT_LIST_VARIANTS,
+  isWantListItemComplete,
+} from "../../utils/wantList";
+
+// Sort items by set, then by card number
+const compareItems = (a, b) => {
+  const setCompare = (a.cardData?.set?.name || "").localeCompare(
+    b.cardData?.set?.name || ""
+  );
+  if (setCompare !== 0) return setCompare;
+  return (a.cardData?.number || "").localeCompare(
+    b.cardData?.number || "",
+    undefined,
+    { numeric: true }
+  );
+};
+
+const WantListItem = ({ item, readOnly, onUpdate, onRemove }) => {
+  const complete = isWantListItemComplete(item);
+  const image = item.cardData?.imageSmall || item.cardData?.image;
+
+  return (
+    <div
+      className={`relative flex gap-3 p-3 rounded-lg border transition-colors ${
+        complete
+          ? "bg-green-50 dark:bg-green-900/20 border-green-200 dark:border-green-800"
+          : "bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700"
+      }`}
+    >
+      <div className="w-14 flex-shrink-0">
+        {image ? (
+          <img
+            src={image}
+            alt={item.cardData?.name || "Pokemon card"}
+            className={`w-full rounded ${complete ? "opacity-60" : ""}`}
+            loading="lazy"
+          />
+        ) : (
+          <div className="w-full aspect-[5/7] bg-gray-200 dark:bg-gray-700 rounded flex items-center justify-center text-xs text-gray-500">
+            {item.cardData?.number || "?"}
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 min-w-0">
+        <div className="flex items-start justify-between gap-2">
+          <div className="min-w-0">
+            <h4 className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">
+              {item.cardData?.name || item.cardId}
+            </h4>
+            <p className="text-xs text-gray-600 dark:text-gray-400 truncate">
+              #{item.cardData?.number || "?"} •{" "}
+              {item.cardData?.rarity || "Unknown rarity"}
+            </p>
+          </div>
+          {complete && (
+            <CheckCircleIcon
+              className="w-5 h-5 text-green-600 dark:text-green-400 flex-shrink-0"
+              title="Collected"
+            />
+          )}
+        </div>
+
+        {readOnly ? (
+          <p className="mt-2 text-xs text-gray-700 dark:text-gray-300">
+            {WANT_LIST_VARIANTS[item.variant] || item.variant} •{" "}
+            {Math.min(item.acquired || 0, item.quantity)}/{item.quantity}
+          </p>
+        ) : (
+          <div className="mt-2 flex flex-wrap items-center gap-2">
+            <select
+              value={item.variant}
+              onChange={(e) =>
+                onUpdate(item.itemId, { variant: e.target.value })
+              }
+              className="px-2 py-1 text-xs border border-gray-200 dark:border-gray-700 rounded bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+              aria-label="Wanted variant"
+            >
+              {Object.entries(WANT_LIST_VARIANTS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <div className="flex items-center gap-1 text-xs text-gray-700 dark:text-gray-300">
+              <span>{Math.min(item.acquired || 0, item.quantity)}/</span>
+              <input
+                type="number"
+                min="1"
+                max="99"
+                value={item.quantity}
+                onChange={(e) =>
+                  onUpdate(item.itemId, { quantity: e.target.value })
+                }
+                className="w-12 px-1 py-1 border border-gray-200 dark:border-gray-700 rounded bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+                aria-label="Wanted quantity"
+              />
+            </div>
+            <button
+              onClick={() => onRemove(item.itemId)}
+              className="ml-auto p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400 transition-colors"
+              title="Remove from want list"
+            >
+              <TrashIcon className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * WantListView - Want list items grouped by set
+ * Used by the owner's want list page and the shared (read-only) view.
+ */
+const WantListView = ({
+  items = {},
+  readOnly = false,
+  onUpdate = () => {},
+  onRemove = () => {},
+}) => {
+  const groups = useMemo(() => {
+    const bySet = new Map();
+    Object.values(items)
+      .sort(compareItems)
+      .forEach((item) => {
+        const setName = item.cardData?.set?.name || "Other Cards";
+        if (!bySet.has(setName)) bySet.set(setName, []);
+        bySet.get(setName).push(item);
+      });
+    return Array.from(bySet.entries());
+  }, [items]);
+
+  if (groups.length === 0) {
+    return (
+      <div className="text-center py-12 text-gray-500 dark:text-gray-400">
+        No cards on this want list yet.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {groups.map(([setName, setItems]) => {
+        const completed = setItems.filter(isWantListItemComplete).length;
+        return (
+          <section key={setName}>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                {setName}
+              </h3>
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                {completed}/{setItems.length} collected
+              </span>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+              {setItems.map((item) => (
+                <WantListItem
+                  key={item.itemId}
+                  item={item}
+                  readOnly={readOnly}
+                  onUpdate={onUpdate}
+                  onRemove={onRemove}
+                />
+              ))}
+            </div>
+          </section>
+        );
+      })}
+    </div>
+  );
+};
+
+export default WantListView;
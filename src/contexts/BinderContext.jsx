@@ -5,6 +5,7 @@ import {
   useEffect,
   useCallback,
   useRef,
+  useMemo,
 } from "react";
 import { toast } from "react-hot-toast";
 import { useRules } from "./RulesContext";
@@ -24,27 +25,48 @@ import {
   updateDoc,
   orderBy,
 } from "firebase/firestore";
-import { sortCards } from "../utils/binderSorting";
-import { getGridConfig } from "../hooks/useBinderDimensions";
-
-// Grid configuration - centralized to avoid inconsistencies
-const GRID_CONFIGS = {
-  "1x1": { total: 1 },
-  "2x2": { total: 4 },
-  "3x3": { total: 9 },
-  "4x3": { total: 12 },
-  "4x4": { total: 16 },
-};
+import { sortCards, isPriceSort } from "../utils/binderSorting";
+import { cardPriceService } from "../services/cardPriceService";
+import {
+  DEFAULT_GRID_SIZE,
+  GRID_LIMITS,
+  getGridConfig,
+  isValidGridSize,
+} from "../utils/binderGrids";
+import { useWantListStore } from "../stores/wantListStore";
+import { applyConflictResolutions } from "../utils/binderConflicts";
+import { DEFAULT_CONDITION } from "../utils/cardCondition";
+import { DEFAULT_LANGUAGE } from "../utils/cardLanguages";
+import { findUserByEmail } from "../utils/userManagement";
+import {
+  EMPTY_HISTORY,
+  createHistoryPatch,
+  applyHistoryPatch,
+  createHistoryCommand,
+  pushHistoryCommand,
+  moveHistoryCommands,
+  getPersistableHistory,
+} from "../utils/binderHistory";
+import {
+  getBinderRole as getUserBinderRole,
+  canEditBinder as canUserEditBinder,
+  isSharedWithUser,
+  addCollaborator,
+  updateCollaboratorRole,
+  removeCollaborator,
+} from "../utils/collaborators";
 
 // Storage keys
 const STORAGE_KEYS = {
   BINDERS: "pokemon_binders",
   CURRENT_BINDER: "current_binder_id",
+  HISTORY: "pokemon_binder_history",
 };
 
 // Default binder settings
 const DEFAULT_BINDER_SETTINGS = {
-  gridSize: "3x3",
+  gridSize: DEFAULT_GRID_SIZE,
+  gridPreset: null, // Preset picked for the grid size, see utils/binderGrids
   theme: "default",
   viewMode: "grid",
   autoSort: false,
@@ -56,6 +78,7 @@ const DEFAULT_BINDER_SETTINGS = {
   // Card back display settings
   showCardBackForEmpty: false, // Show card back instead of empty slots
   showCardBackForMissing: false, // Show card back instead of missing card overlay
+  language: "en", // Default catalog language when adding cards
   // Page management
   minPages: 1, // Minimum number of pages (including cover)
   maxPages: 100, // Maximum number of pages allowed
@@ -68,6 +91,25 @@ const DEFAULT_BINDER_SETTINGS = {
 // Create context
 const BinderContext = createContext();
 
+// Check off want list items for cards collected into one of the user's own
+// binders. Editors adding to someone else's binder keep their list as it is.
+const checkOffWantedCards = (binder, cards, userId) => {
+  const ownerId = binder?.ownerId;
+  if (ownerId && ownerId !== "local_user" && ownerId !== userId) return;
+
+  const checkedOff = useWantListStore.getState().checkOffCards(cards);
+  if (checkedOff.length === 0) return;
+
+  toast.success(
+    checkedOff.length === 1
+      ? `Checked off ${
+          checkedOff[0].cardData?.name || "a card"
+        } on your want list`
+      : `Checked off ${checkedOff.length} cards on your want list`,
+    { icon: "✅" }
+  );
+};
+
 // Local storage utilities
 const storage = {
   get: (key) => {
@@ -151,6 +193,39 @@ const markBinderAsModified = (binder, changeType, changeData, userId) => {
   };
 };
 
+// Wrap a binder updater so the change it makes can be undone. Updaters can
+// run more than once (binders list, current binder, StrictMode), so commands
+// are keyed by id and flushed into the history after the update renders.
+const trackHistory = (
+  pendingRef,
+  binderId,
+  type,
+  updateBinder,
+  label = null
+) => {
+  const commandId = generateChangeId();
+
+  return (binder) => {
+    const updated = updateBinder(binder);
+    if (binder?.id === binderId && updated !== binder) {
+      const patch = createHistoryPatch(binder, updated);
+      if (patch) {
+        pendingRef.current.set(commandId, {
+          binderId,
+          command: createHistoryCommand(commandId, type, patch, label),
+        });
+      }
+    }
+    return updated;
+  };
+};
+
+const omitBinderHistory = (historyByBinder, binderId) => {
+  const remaining = { ...historyByBinder };
+  delete remaining[binderId];
+  return remaining;
+};
+
 const updateBinderSyncStatus = (binder, syncStatus, additionalData = {}) => {
   return {
     ...binder,
@@ -181,7 +256,7 @@ const createNewBinder = (name, description = "", ownerId = "local_user") => ({
   lastModifiedBy: ownerId,
 
   sync: {
-    status: "local", // "local" | "synced" | "pending" | "conflict" | "error"
+    status: "local", // "local" | "synced" | "pending" | "queued" | "conflict" | "error"
     lastSynced: null,
     pendingChanges: [],
     conflictData: null,
@@ -343,7 +418,7 @@ const migrateBinder = (oldBinder) => {
             card.addedAt || oldBinder.createdAt || new Date().toISOString(),
           addedBy: oldBinder.ownerId || "local_user",
           notes: "",
-          condition: "mint",
+          condition: DEFAULT_CONDITION,
           quantity: 1,
           isProtected: false,
         };
@@ -359,14 +434,7 @@ const migrateBinder = (oldBinder) => {
     const positions = Object.keys(newCards).map((pos) => parseInt(pos));
     const maxPosition = Math.max(...positions);
     const gridSize = oldBinder.settings?.gridSize || "3x3";
-    const gridConfig = {
-      "1x1": { total: 1 },
-      "2x2": { total: 4 },
-      "3x3": { total: 9 },
-      "4x3": { total: 12 },
-      "4x4": { total: 16 },
-    };
-    const cardsPerPage = gridConfig[gridSize]?.total || 9;
+    const cardsPerPage = getGridConfig(gridSize).total;
     calculatedPageCount = Math.ceil((maxPosition + 1) / cardsPerPage);
   }
 
@@ -548,6 +616,17 @@ export const BinderProvider = ({ children }) => {
   const saveHistoryRef = useRef({});
   const revertHistoryRef = useRef({});
 
+  // Who is making changes, recorded as lastModifiedBy / addedBy. Binders can
+  // be shared, so this isn't always the owner of the binder being changed.
+  const actingUserIdRef = useRef("local_user");
+  actingUserIdRef.current = user?.uid || "local_user";
+
+  // Undo / redo stacks per binder: binderId -> { past, future }
+  const [binderHistory, setBinderHistory] = useState(
+    () => storage.get(STORAGE_KEYS.HISTORY) || {}
+  );
+  const pendingHistoryRef = useRef(new Map());
+
   // Cache management functions
   const isCacheValid = useCallback((cacheData) => {
     if (!cacheData || !cacheData.timestamp || !cacheData.isValid) return false;
@@ -652,6 +731,39 @@ export const BinderProvider = ({ children }) => {
     }
   }, [binders, isLoading]);
 
+  // Move commands recorded by binder updates into the history
+  useEffect(() => {
+    const pending = pendingHistoryRef.current;
+    if (pending.size === 0) return;
+
+    const recorded = [...pending.values()];
+    pending.clear();
+
+    // A null command means the binder was replaced and its history is stale
+    setBinderHistory((prev) =>
+      recorded.reduce((history, { binderId, command }) => {
+        if (!command) return omitBinderHistory(history, binderId);
+        return {
+          ...history,
+          [binderId]: pushHistoryCommand(history[binderId], command),
+        };
+      }, prev)
+    );
+  }, [binders, currentBinder]);
+
+  // Persist history so undo survives a reload
+  useEffect(() => {
+    if (!isLoading) {
+      storage.set(STORAGE_KEYS.HISTORY, getPersistableHistory(binderHistory));
+    }
+  }, [binderHistory, isLoading]);
+
+  const clearBinderHistory = useCallback((binderId) => {
+    setBinderHistory((prev) =>
+      prev[binderId] ? omitBinderHistory(prev, binderId) : prev
+    );
+  }, []);
+
   // Save current binder ID
   useEffect(() => {
     if (!isLoading) {
@@ -730,7 +842,7 @@ export const BinderProvider = ({ children }) => {
               updates,
               timestamp: new Date().toISOString(),
             },
-            binder.ownerId
+            actingUserIdRef.current
           );
         };
 
@@ -805,6 +917,11 @@ export const BinderProvider = ({ children }) => {
           throw new Error("Binder not found");
         }
 
+        // Shared binders can only be deleted by their owner
+        if (getUserBinderRole(binderToDelete, user?.uid) !== "owner") {
+          throw new Error("Only the owner can delete this binder");
+        }
+
         // Check if binder is synced to cloud and user is signed in
         const isCloudBinder =
           binderToDelete.sync?.status === "synced" ||
@@ -824,6 +941,7 @@ export const BinderProvider = ({ children }) => {
 
         // Delete from local state and localStorage
         setBinders((prev) => prev.filter((binder) => binder.id !== binderId));
+        clearBinderHistory(binderId);
 
         // If deleting current binder, clear it
         if (currentBinder?.id === binderId) {
@@ -840,16 +958,21 @@ export const BinderProvider = ({ children }) => {
         throw error;
       }
     },
-    [currentBinder, binders, user, binderSyncService, invalidateCache]
+    [
+      currentBinder,
+      binders,
+      user,
+      binderSyncService,
+      invalidateCache,
+      clearBinderHistory,
+    ]
   );
 
   // Set current binder with security check
   const selectBinder = useCallback(
     (binder) => {
-      // Security check: Only allow selection of visible binders
-      const isVisible = !user
-        ? binder.ownerId === "local_user"
-        : binder.ownerId === user.uid || binder.ownerId === "local_user";
+      // Security check: Only allow selection of visible or shared binders
+      const isVisible = Boolean(getUserBinderRole(binder, user?.uid));
 
       if (!isVisible) {
         console.warn(
@@ -898,6 +1021,14 @@ export const BinderProvider = ({ children }) => {
 
         // Note: Card will be cached when retrieved in useBinderPages hook
 
+        // Auto-sort by price needs the new card's catalog prices
+        if (
+          targetBinder.settings?.autoSort &&
+          isPriceSort(targetBinder.settings?.sortBy)
+        ) {
+          await cardPriceService.loadSetPrices(card.set?.id);
+        }
+
         const updateBinder = (binder) => {
           if (binder.id !== binderId) return binder;
 
@@ -925,9 +1056,11 @@ export const BinderProvider = ({ children }) => {
               reverseHolo: card.reverseHolo || false,
             },
             addedAt: new Date().toISOString(),
-            addedBy: binder.ownerId,
+            addedBy: actingUserIdRef.current,
             notes: metadata.notes || "",
-            condition: metadata.condition || "mint",
+            condition: metadata.condition || DEFAULT_CONDITION,
+            ...(metadata.grading && { grading: metadata.grading }),
+            language: card.language || metadata.language || DEFAULT_LANGUAGE,
             quantity: metadata.quantity || 1,
             isProtected: metadata.isProtected || false,
           };
@@ -936,7 +1069,7 @@ export const BinderProvider = ({ children }) => {
             id: generateChangeId(),
             timestamp: new Date().toISOString(),
             type: "card_added",
-            userId: binder.ownerId,
+            userId: actingUserIdRef.current,
             data: {
               cardId: card.id,
               position: targetPosition,
@@ -950,16 +1083,9 @@ export const BinderProvider = ({ children }) => {
           };
 
           // Calculate required pages after adding this card
-          const gridConfig = {
-            "1x1": { total: 1 },
-            "2x2": { total: 4 },
-            "3x3": { total: 9 },
-            "4x3": { total: 12 },
-            "4x4": { total: 16 },
-          };
-
-          const cardsPerPage =
-            gridConfig[binder.settings?.gridSize || "3x3"]?.total || 9;
+          const cardsPerPage = getGridConfig(
+            binder.settings?.gridSize || "3x3"
+          ).total;
           const maxPosition = Math.max(
             ...Object.keys(updatedCards).map((pos) => parseInt(pos))
           );
@@ -1002,7 +1128,7 @@ export const BinderProvider = ({ children }) => {
               position: targetPosition,
               previousValue: null,
             },
-            binder.ownerId
+            actingUserIdRef.current
           );
 
           // Apply auto-sort if enabled and not using custom sorting
@@ -1014,7 +1140,8 @@ export const BinderProvider = ({ children }) => {
             try {
               const sortedCards = sortCards(
                 finalBinder.cards,
-                binder.settings.sortBy
+                binder.settings.sortBy,
+                binder.settings.sortDirection
               );
               finalBinder = {
                 ...finalBinder,
@@ -1031,12 +1158,21 @@ export const BinderProvider = ({ children }) => {
           return finalBinder;
         };
 
-        setBinders((prev) => prev.map(updateBinder));
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "card_added",
+          updateBinder,
+          card.name ? `Added ${card.name}` : null
+        );
+        setBinders((prev) => prev.map(trackedUpdate));
 
         // Update current binder if it's the one being updated
         if (currentBinder?.id === binderId) {
-          setCurrentBinder((prev) => updateBinder(prev));
+          setCurrentBinder((prev) => trackedUpdate(prev));
         }
+
+        checkOffWantedCards(targetBinder, [card], actingUserIdRef.current);
       } catch (error) {
         console.error("Failed to add card to binder:", error);
         toast.error("Failed to add card to binder");
@@ -1090,15 +1226,21 @@ export const BinderProvider = ({ children }) => {
                 updatedMissingInstances.length !==
                 (binder.metadata?.missingInstances?.length || 0),
             },
-            binder.ownerId
+            actingUserIdRef.current
           );
         };
 
-        setBinders((prev) => prev.map(updateBinder));
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "card_removed",
+          updateBinder
+        );
+        setBinders((prev) => prev.map(trackedUpdate));
 
         // Update current binder if it's the one being updated
         if (currentBinder?.id === binderId) {
-          setCurrentBinder((prev) => updateBinder(prev));
+          setCurrentBinder((prev) => trackedUpdate(prev));
         }
       } catch (error) {
         console.error("Failed to remove card from binder:", error);
@@ -1162,15 +1304,21 @@ export const BinderProvider = ({ children }) => {
               updates: cardUpdates,
               previousValue: existingCard,
             },
-            binder.ownerId
+            actingUserIdRef.current
           );
         };
 
-        setBinders((prev) => prev.map(updateBinder));
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "card_updated",
+          updateBinder
+        );
+        setBinders((prev) => prev.map(trackedUpdate));
 
         // Update current binder if it's the one being updated
         if (currentBinder?.id === binderId) {
-          setCurrentBinder((prev) => updateBinder(prev));
+          setCurrentBinder((prev) => trackedUpdate(prev));
         }
       } catch (error) {
         console.error("Failed to update card in binder:", error);
@@ -1282,15 +1430,21 @@ export const BinderProvider = ({ children }) => {
               swappedWith: cardAtDestination?.cardId || null,
               optimistic,
             },
-            binder.ownerId
+            actingUserIdRef.current
           );
         };
 
-        setBinders((prev) => prev.map(updateBinder));
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "card_moved",
+          updateBinder
+        );
+        setBinders((prev) => prev.map(trackedUpdate));
 
         // Update current binder if it's the one being updated
         if (currentBinder?.id === binderId) {
-          setCurrentBinder((prev) => updateBinder(prev));
+          setCurrentBinder((prev) => trackedUpdate(prev));
         }
 
         return { success: true };
@@ -1314,6 +1468,9 @@ export const BinderProvider = ({ children }) => {
   );
 
   // Batch add cards (much more efficient than adding one by one)
+  // A null entry in `cards` leaves its slot empty (e.g. to start a group on a
+  // new page); cards flagged `missing: true` are added as missing.
+  // `metadata.checkOffWantList: false` leaves the want list alone.
   const batchAddCards = useCallback(
     async (
       binderId,
@@ -1326,6 +1483,7 @@ export const BinderProvider = ({ children }) => {
         if (!cards || !Array.isArray(cards) || cards.length === 0) {
           throw new Error("Invalid cards data");
         }
+        const cardsToAdd = cards.filter(Boolean);
 
         // Find the target binder for rule checking
         const targetBinder =
@@ -1343,7 +1501,7 @@ export const BinderProvider = ({ children }) => {
           { canPerformAction },
           user?.uid || "local_user",
           { ...targetBinder, cards: isReplacement ? {} : targetBinder.cards },
-          cards.length
+          cardsToAdd.length
         );
 
         if (!canAdd.allowed) {
@@ -1351,7 +1509,7 @@ export const BinderProvider = ({ children }) => {
           const remainingSpace = Math.max(0, limit - currentCards);
           throw new Error(
             canAdd.reason ||
-              `Cannot add ${cards.length} cards! ${
+              `Cannot add ${cardsToAdd.length} cards! ${
                 isReplacement
                   ? `This would exceed the ${limit} card limit.`
                   : `Only ${remainingSpace} slots remaining (${currentCards}/${limit} used).`
@@ -1359,6 +1517,16 @@ export const BinderProvider = ({ children }) => {
           );
         }
 
+        // Auto-sort by price needs the new cards' catalog prices
+        if (
+          targetBinder.settings?.autoSort &&
+          isPriceSort(targetBinder.settings?.sortBy)
+        ) {
+          await cardPriceService.loadPricesForEntries(
+            cardsToAdd.map((card) => ({ cardId: card.id, cardData: card }))
+          );
+        }
+
         const updateBinder = (binder) => {
           if (binder.id !== binderId) return binder;
 
@@ -1369,9 +1537,14 @@ export const BinderProvider = ({ children }) => {
               : findNextEmptyPosition(binder.cards);
 
           const addedCards = [];
+          const missingInstanceIds = [];
 
           // Add all cards in a single operation
           cards.forEach((card, index) => {
+            if (card === null) {
+              currentPosition++;
+              return;
+            }
             if (card && card.id) {
               // Find next available position
               while (updatedCards[currentPosition.toString()]) {
@@ -1379,7 +1552,8 @@ export const BinderProvider = ({ children }) => {
               }
 
               const cardEntry = {
-                instanceId: generateId(),
+                // Traded cards keep their instance (see TradeSync)
+                instanceId: card.instanceId || generateId(),
                 cardId: card.id,
                 // Store essential card data for cloud sync (filter out undefined values)
                 cardData: {
@@ -1399,14 +1573,21 @@ export const BinderProvider = ({ children }) => {
                   reverseHolo: card.reverseHolo || false,
                 },
                 addedAt: new Date().toISOString(),
-                addedBy: binder.ownerId,
+                addedBy: actingUserIdRef.current,
                 notes: metadata.notes || "",
-                condition: metadata.condition || "mint",
+                // Per-card condition/variant (e.g. from a CSV import) wins over metadata
+                condition:
+                  card.condition || metadata.condition || DEFAULT_CONDITION,
+                language:
+                  card.language || metadata.language || DEFAULT_LANGUAGE,
                 quantity: metadata.quantity || 1,
                 isProtected: metadata.isProtected || false,
+                ...(card.variant && { variant: card.variant }),
+                ...(card.grading && { grading: card.grading }),
               };
 
               updatedCards[currentPosition.toString()] = cardEntry;
+              if (card.missing) missingInstanceIds.push(cardEntry.instanceId);
               addedCards.push({
                 cardId: card.id,
                 position: currentPosition,
@@ -1420,16 +1601,9 @@ export const BinderProvider = ({ children }) => {
           }
 
           // Calculate required pages after adding all cards
-          const gridConfig = {
-            "1x1": { total: 1 },
-            "2x2": { total: 4 },
-            "3x3": { total: 9 },
-            "4x3": { total: 12 },
-            "4x4": { total: 16 },
-          };
-
-          const cardsPerPage =
-            gridConfig[binder.settings?.gridSize || "3x3"]?.total || 9;
+          const cardsPerPage = getGridConfig(
+            binder.settings?.gridSize || "3x3"
+          ).total;
           const maxPosition = Math.max(
             ...Object.keys(updatedCards).map((pos) => parseInt(pos))
           );
@@ -1458,6 +1632,15 @@ export const BinderProvider = ({ children }) => {
               ...binder.settings,
               pageCount: newPageCount,
             },
+            ...(missingInstanceIds.length > 0 && {
+              metadata: {
+                ...binder.metadata,
+                missingInstances: [
+                  ...(binder.metadata?.missingInstances || []),
+                  ...missingInstanceIds,
+                ],
+              },
+            }),
           };
 
           // Mark binder as modified
@@ -1469,7 +1652,7 @@ export const BinderProvider = ({ children }) => {
               count: addedCards.length,
               startPosition: startPosition,
             },
-            binder.ownerId
+            actingUserIdRef.current
           );
 
           // Apply auto-sort if enabled and not using custom sorting
@@ -1485,7 +1668,8 @@ export const BinderProvider = ({ children }) => {
             try {
               const sortedCards = sortCards(
                 finalBinder.cards,
-                binder.settings.sortBy
+                binder.settings.sortBy,
+                binder.settings.sortDirection
               );
               finalBinder = {
                 ...finalBinder,
@@ -1517,15 +1701,32 @@ export const BinderProvider = ({ children }) => {
         // Check if auto-sort was disabled before updating binders
         const binderToCheck =
           binders.find((b) => b.id === binderId) || currentBinder;
-        const isLikelyCompleteSet = isReplacement || cards.length >= 15;
+        const isLikelyCompleteSet = isReplacement || cardsToAdd.length >= 15;
         const wasAutoSortDisabled =
           isLikelyCompleteSet && binderToCheck?.settings?.autoSort;
 
-        setBinders((prev) => prev.map(updateBinder));
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "cards_batch_added",
+          updateBinder,
+          `Added ${cardsToAdd.length} card${cardsToAdd.length !== 1 ? "s" : ""}`
+        );
+        setBinders((prev) => prev.map(trackedUpdate));
 
         // Update current binder if it's the one being updated
         if (currentBinder?.id === binderId) {
-          setCurrentBinder((prev) => updateBinder(prev));
+          setCurrentBinder((prev) => trackedUpdate(prev));
+        }
+
+        // Whole-set layouts are mostly marked missing afterwards; their cards
+        // are checked off once unmarked (see checkOffCollectedCards)
+        if (metadata.checkOffWantList !== false) {
+          checkOffWantedCards(
+            targetBinder,
+            cardsToAdd.filter((card) => !card.missing),
+            actingUserIdRef.current
+          );
         }
 
         // Show notification only once after all updates are complete
@@ -1538,7 +1739,7 @@ export const BinderProvider = ({ children }) => {
           }, 500);
         }
 
-        return { success: true, count: cards.length };
+        return { success: true, count: cardsToAdd.length };
       } catch (error) {
         console.error("Failed to batch add cards to binder:", error);
         toast.error("Failed to add cards to binder");
@@ -1596,16 +1797,22 @@ export const BinderProvider = ({ children }) => {
               clearedMissingInstances: originalMissingCount,
               timestamp: new Date().toISOString(),
             },
-            binder.ownerId
+            actingUserIdRef.current
           );
         };
 
         // Update all binders atomically
-        setBinders((prev) => prev.map(updateBinder));
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "cards_batch_cleared",
+          updateBinder
+        );
+        setBinders((prev) => prev.map(trackedUpdate));
 
         // Update current binder if it's the one being cleared
         if (currentBinder?.id === binderId) {
-          setCurrentBinder((prev) => updateBinder(prev));
+          setCurrentBinder((prev) => trackedUpdate(prev));
         }
 
         toast.success(`Cleared ${cardCount} cards from binder`);
@@ -1664,15 +1871,21 @@ export const BinderProvider = ({ children }) => {
               toIndex,
               pageOrder: newPageOrder,
             },
-            binder.ownerId
+            actingUserIdRef.current
           );
         };
 
-        setBinders((prev) => prev.map(updateBinder));
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "pages_reordered",
+          updateBinder
+        );
+        setBinders((prev) => prev.map(trackedUpdate));
 
         // Update current binder if it's the one being updated
         if (currentBinder?.id === binderId) {
-          setCurrentBinder((prev) => updateBinder(prev));
+          setCurrentBinder((prev) => trackedUpdate(prev));
         }
 
         return { success: true };
@@ -1730,9 +1943,7 @@ export const BinderProvider = ({ children }) => {
           return { success: false, error: "Cannot move cover page" };
         }
 
-        // Get grid configuration - using centralized constant
-        const cardsPerPage =
-          GRID_CONFIGS[binder.settings?.gridSize || "3x3"]?.total || 9;
+        const cardsPerPage = getGridConfig(binder.settings?.gridSize).total;
 
         // Calculate position ranges for each card page
         // Card page 1 starts at position 0, card page 2 at position cardsPerPage, etc.
@@ -1796,15 +2007,21 @@ export const BinderProvider = ({ children }) => {
               sourceCardCount: Object.keys(sourceCards).length,
               targetCardCount: Object.keys(targetCards).length,
             },
-            binder.ownerId
+            actingUserIdRef.current
           );
         };
 
-        setBinders((prev) => prev.map(updateBinder));
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "card_pages_reordered",
+          updateBinder
+        );
+        setBinders((prev) => prev.map(trackedUpdate));
 
         // Update current binder if it's the one being updated
         if (currentBinder?.id === binderId) {
-          setCurrentBinder((prev) => updateBinder(prev));
+          setCurrentBinder((prev) => trackedUpdate(prev));
         }
 
         toast.success(
@@ -1887,15 +2104,22 @@ export const BinderProvider = ({ children }) => {
             updatedBinder,
             "batch_move_cards",
             { operations: successfulOperations },
-            binder.ownerId
+            actingUserIdRef.current
           );
         };
 
-        setBinders((prev) => prev.map(updateBinder));
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "batch_move_cards",
+          updateBinder,
+          `Moved ${operations.length} card${operations.length !== 1 ? "s" : ""}`
+        );
+        setBinders((prev) => prev.map(trackedUpdate));
 
         // Update current binder if it's the one being updated
         if (currentBinder?.id === binderId) {
-          setCurrentBinder((prev) => updateBinder(prev));
+          setCurrentBinder((prev) => trackedUpdate(prev));
         }
 
         return { success: true, operations };
@@ -1912,6 +2136,12 @@ export const BinderProvider = ({ children }) => {
   const updateBinderSettings = useCallback(
     async (binderId, settings) => {
       try {
+        if (settings.gridSize && !isValidGridSize(settings.gridSize)) {
+          throw new Error(
+            `Grids can be ${GRID_LIMITS.min} to ${GRID_LIMITS.max} pockets wide and tall`
+          );
+        }
+
         const updateBinder = (binder) => {
           if (binder.id !== binderId) return binder;
 
@@ -1922,16 +2152,7 @@ export const BinderProvider = ({ children }) => {
             settings.gridSize &&
             settings.gridSize !== binder.settings.gridSize
           ) {
-            // Get grid configuration for new size
-            const gridConfig = {
-              "1x1": { total: 1 },
-              "2x2": { total: 4 },
-              "3x3": { total: 9 },
-              "4x3": { total: 12 },
-              "4x4": { total: 16 },
-            };
-
-            const newCardsPerPage = gridConfig[settings.gridSize]?.total || 9;
+            const newCardsPerPage = getGridConfig(settings.gridSize).total;
 
             // Calculate required pages based on existing cards and new grid size
             if (binder.cards && typeof binder.cards === "object") {
@@ -1972,7 +2193,7 @@ export const BinderProvider = ({ children }) => {
                 );
                 console.log(
                   `Cards per page: ${binder.settings.gridSize} (${
-                    gridConfig[binder.settings.gridSize]?.total || 9
+                    getGridConfig(binder.settings.gridSize).total
                   }) → ${settings.gridSize} (${newCardsPerPage})`
                 );
                 console.log(`Max card position: ${maxPosition}`);
@@ -2002,15 +2223,21 @@ export const BinderProvider = ({ children }) => {
                   ? updatedSettings.pageCount
                   : undefined,
             },
-            binder.ownerId
+            actingUserIdRef.current
           );
         };
 
-        setBinders((prev) => prev.map(updateBinder));
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "settings_updated",
+          updateBinder
+        );
+        setBinders((prev) => prev.map(trackedUpdate));
 
         // Update current binder if it's the one being updated
         if (currentBinder?.id === binderId) {
-          setCurrentBinder((prev) => updateBinder(prev));
+          setCurrentBinder((prev) => trackedUpdate(prev));
         }
       } catch (error) {
         console.error("Failed to update binder settings:", error);
@@ -2177,15 +2404,21 @@ export const BinderProvider = ({ children }) => {
               pageNumber: newPageCount,
               previousPageCount: currentPageCount,
             },
-            binderToUpdate.ownerId
+            actingUserIdRef.current
           );
         };
 
-        setBinders((prev) => prev.map(updateBinder));
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "page_added",
+          updateBinder
+        );
+        setBinders((prev) => prev.map(trackedUpdate));
 
         // Update current binder if it's the one being updated
         if (currentBinder?.id === binderId) {
-          setCurrentBinder((prev) => updateBinder(prev));
+          setCurrentBinder((prev) => trackedUpdate(prev));
         }
 
         // Show success message
@@ -2258,15 +2491,21 @@ export const BinderProvider = ({ children }) => {
               fromPageCount: currentPageCount,
               toPageCount: newPageCount,
             },
-            binderToUpdate.ownerId
+            actingUserIdRef.current
           );
         };
 
-        setBinders((prev) => prev.map(updateBinder));
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "pages_batch_added",
+          updateBinder
+        );
+        setBinders((prev) => prev.map(trackedUpdate));
 
         // Update current binder if it's the one being updated
         if (currentBinder?.id === binderId) {
-          setCurrentBinder((prev) => updateBinder(prev));
+          setCurrentBinder((prev) => trackedUpdate(prev));
         }
 
         // Show success message
@@ -2302,15 +2541,7 @@ export const BinderProvider = ({ children }) => {
           }
 
           // Get grid configuration to check if last page has cards
-          const gridConfig = {
-            "1x1": { total: 1 },
-            "2x2": { total: 4 },
-            "3x3": { total: 9 },
-            "4x3": { total: 12 },
-            "4x4": { total: 16 },
-          };
-
-          const cardsPerPage = gridConfig[binder.settings.gridSize]?.total || 9;
+          const cardsPerPage = getGridConfig(binder.settings.gridSize).total;
 
           // Calculate positions for the last card pages to be removed
           // Formula: First binder page has 1 card page, subsequent pages have 2 card pages each
@@ -2354,7 +2585,7 @@ export const BinderProvider = ({ children }) => {
               pageNumber: currentPageCount,
               newPageCount: newPageCount,
             },
-            binder.ownerId
+            actingUserIdRef.current
           );
         };
 
@@ -2362,11 +2593,17 @@ export const BinderProvider = ({ children }) => {
         const binder = binders.find((b) => b.id === binderId);
         const pageNumberToRemove = binder?.settings?.pageCount || 1;
 
-        setBinders((prev) => prev.map(updateBinder));
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "page_removed",
+          updateBinder
+        );
+        setBinders((prev) => prev.map(trackedUpdate));
 
         // Update current binder if it's the one being updated
         if (currentBinder?.id === binderId) {
-          setCurrentBinder((prev) => updateBinder(prev));
+          setCurrentBinder((prev) => trackedUpdate(prev));
         }
 
         // Show success message only once
@@ -2397,16 +2634,9 @@ export const BinderProvider = ({ children }) => {
 
         if (positions.length > 0) {
           // Get grid configuration
-          const gridConfig = {
-            "1x1": { total: 1 },
-            "2x2": { total: 4 },
-            "3x3": { total: 9 },
-            "4x3": { total: 12 },
-            "4x4": { total: 16 },
-          };
-
-          const cardsPerPage =
-            gridConfig[binder.settings?.gridSize || "3x3"]?.total || 9;
+          const cardsPerPage = getGridConfig(
+            binder.settings?.gridSize || "3x3"
+          ).total;
 
           const maxPosition = Math.max(...positions);
           const requiredCardPages = Math.ceil((maxPosition + 1) / cardsPerPage);
@@ -2453,7 +2683,7 @@ export const BinderProvider = ({ children }) => {
             updatedBinder,
             "metadata_updated",
             { updates: metadataUpdates },
-            binder.ownerId
+            actingUserIdRef.current
           );
         };
 
@@ -2489,6 +2719,27 @@ export const BinderProvider = ({ children }) => {
     [binders, currentBinder]
   );
 
+  // Check off the want list for cards no longer marked as missing
+  const checkOffCollectedCards = useCallback(
+    (binderId, instanceIds = []) => {
+      const binder =
+        currentBinder?.id === binderId
+          ? currentBinder
+          : binders.find((b) => b.id === binderId);
+      if (!binder || instanceIds.length === 0) return;
+
+      const collected = new Set(instanceIds);
+      checkOffWantedCards(
+        binder,
+        Object.values(binder.cards || {}).filter(
+          (cardEntry) => cardEntry && collected.has(cardEntry.instanceId)
+        ),
+        actingUserIdRef.current
+      );
+    },
+    [binders, currentBinder]
+  );
+
   // Save binder to cloud with conflict detection
   const saveBinderToCloud = useCallback(
     async (binderId, options = {}) => {
@@ -2509,6 +2760,10 @@ export const BinderProvider = ({ children }) => {
         throw new Error("Binder not found");
       }
 
+      if (getUserBinderRole(binder, user.uid) === "viewer") {
+        throw new Error("You can view this binder but not save changes to it");
+      }
+
       // VALIDATION: Ensure missing instances are clean before saving
       const cardInstanceIdSet = new Set(
         Object.values(binder.cards || {})
@@ -2543,7 +2798,8 @@ export const BinderProvider = ({ children }) => {
       }
 
       // ----------------- Local rate limiting for Save action -----------------
-      {
+      // Saves queued while offline don't use up the limit
+      if (!binderSyncService.isOffline()) {
         const now = Date.now();
         const history = saveHistoryRef.current[binderId] || [];
         // prune entries older than window
@@ -2569,48 +2825,69 @@ export const BinderProvider = ({ children }) => {
           [binderId]: { status: "saving", message: "Saving to cloud..." },
         }));
 
-        // First check if there's a conflict
-        const cloudDoc = await binderSyncService.getCloudBinder(
-          binderId,
-          user.uid
-        );
-
-        if (cloudDoc && !options.forceOverwrite) {
-          const localModified = new Date(binder.lastModified || 0);
-          const cloudModified = new Date(cloudDoc.lastModified || 0);
-
-          // If cloud version is newer, ask user what to do
-          if (cloudModified > localModified) {
-            const shouldOverwrite = await new Promise((resolve) => {
-              // Show conflict dialog
-              const dialog = confirm(
-                `The binder "${binder.metadata?.name}" in the cloud was modified more recently.\n\n` +
-                  `Local version: ${localModified.toLocaleString()}\n` +
-                  `Cloud version: ${cloudModified.toLocaleString()}\n\n` +
-                  `Do you want to overwrite the cloud version with your local changes?\n\n` +
-                  `Click OK to overwrite, Cancel to keep cloud version.`
-              );
-              resolve(dialog);
-            });
+        // Saves merge whatever changed only in the cloud; slots changed on
+        // both sides are left for the user in the conflict dialog
+        let result;
+        try {
+          result = await binderSyncService.syncToCloud(
+            binder,
+            user.uid,
+            options
+          );
+        } catch (error) {
+          if (error.code === "OFFLINE_QUEUED") {
+            const queuedBinder = {
+              ...binder,
+              sync: { ...binder.sync, status: "queued" },
+            };
 
-            if (!shouldOverwrite) {
-              setSyncStatus((prev) => ({
-                ...prev,
-                [binderId]: {
-                  status: "conflict",
-                  message: "Save cancelled - cloud version is newer",
-                },
-              }));
-              throw new Error("Save cancelled - cloud version is newer");
+            setBinders((prev) =>
+              prev.map((b) => (b.id === binderId ? queuedBinder : b))
+            );
+            if (currentBinder?.id === binderId) {
+              setCurrentBinder(queuedBinder);
             }
+
+            setSyncStatus((prev) => ({
+              ...prev,
+              [binderId]: {
+                status: "queued",
+                message: "Saves when you're back online",
+              },
+            }));
+
+            toast(error.message, { id: `offline-save-${binderId}` });
+            return { success: false, queued: true };
           }
-        }
 
-        // Save to cloud (with forceOverwrite if user confirmed)
-        const result = await binderSyncService.syncToCloud(binder, user.uid, {
-          ...options,
-          forceOverwrite: options.forceOverwrite || cloudDoc,
-        });
+          if (error.code !== "SYNC_CONFLICT") throw error;
+
+          const conflictData = error.conflict.conflictData;
+          const conflictedBinder = {
+            ...binder,
+            sync: { ...binder.sync, status: "conflict", conflictData },
+          };
+
+          setBinders((prev) =>
+            prev.map((b) => (b.id === binderId ? conflictedBinder : b))
+          );
+          if (currentBinder?.id === binderId) {
+            setCurrentBinder(conflictedBinder);
+          }
+
+          setSyncStatus((prev) => ({
+            ...prev,
+            [binderId]: {
+              status: "conflict",
+              message: "Changed in the cloud - review to save",
+            },
+          }));
+
+          toast.error(
+            `"${binder.metadata?.name}" was changed in the cloud. Review the changes to finish saving.`
+          );
+          return { success: false, conflict: true, conflictData };
+        }
 
         if (result.success) {
           // Update local binder with synced version
@@ -2640,15 +2917,119 @@ export const BinderProvider = ({ children }) => {
           [binderId]: { status: "error", message: error.message },
         }));
 
-        if (!error.message.includes("cancelled")) {
-          toast.error(
-            `Failed to save "${binder.metadata?.name}": ${error.message}`
+        toast.error(
+          `Failed to save "${binder.metadata?.name}": ${error.message}`
+        );
+        throw error;
+      }
+    },
+    [binders, currentBinder, user]
+  );
+
+  // Save a binder after the user picked a side for every conflicting slot
+  const resolveBinderConflict = useCallback(
+    async (binderId, resolutions) => {
+      if (!user) {
+        throw new Error("User must be signed in to save");
+      }
+
+      const binder =
+        currentBinder?.id === binderId
+          ? currentBinder
+          : binders.find((b) => b.id === binderId);
+      const conflictData = binder?.sync?.conflictData;
+
+      if (!conflictData) {
+        throw new Error("No sync conflict to resolve");
+      }
+
+      const mergedBinder = applyConflictResolutions(
+        binder,
+        conflictData,
+        resolutions
+      );
+
+      try {
+        setSyncStatus((prev) => ({
+          ...prev,
+          [binderId]: { status: "saving", message: "Saving merged binder..." },
+        }));
+
+        // The reviewed cloud state becomes the base, so only cloud changes
+        // made since the dialog opened can conflict again
+        const result = await binderSyncService.syncToCloud(
+          mergedBinder,
+          user.uid,
+          { base: conflictData.cloudSnapshot }
+        );
+
+        setBinders((prev) =>
+          prev.map((b) => (b.id === binderId ? result.binder : b))
+        );
+        if (currentBinder?.id === binderId) {
+          setCurrentBinder(result.binder);
+        }
+
+        setSyncStatus((prev) => ({
+          ...prev,
+          [binderId]: {
+            status: "synced",
+            message: "Saved to cloud successfully",
+          },
+        }));
+
+        clearBinderHistory(binderId);
+
+        toast.success(`"${binder.metadata?.name}" merged and saved to cloud`);
+        return result;
+      } catch (error) {
+        if (error.code === "SYNC_CONFLICT") {
+          // The cloud changed again while the dialog was open
+          const newConflictData = error.conflict.conflictData;
+          const conflictedBinder = {
+            ...mergedBinder,
+            sync: {
+              ...mergedBinder.sync,
+              status: "conflict",
+              conflictData: newConflictData,
+            },
+          };
+
+          setBinders((prev) =>
+            prev.map((b) => (b.id === binderId ? conflictedBinder : b))
           );
+          if (currentBinder?.id === binderId) {
+            setCurrentBinder(conflictedBinder);
+          }
+
+          setSyncStatus((prev) => ({
+            ...prev,
+            [binderId]: {
+              status: "conflict",
+              message: "Changed in the cloud again - review to save",
+            },
+          }));
+
+          toast.error("The cloud copy changed again. Please review again.");
+          return {
+            success: false,
+            conflict: true,
+            conflictData: newConflictData,
+          };
         }
+
+        console.error("Failed to save merged binder:", error);
+        setSyncStatus((prev) => ({
+          ...prev,
+          [binderId]: { status: "error", message: error.message },
+        }));
+        toast.error(
+          `Failed to save "${binder.metadata?.name}": ${error.message}`
+        );
         throw error;
       }
     },
-    [binders, currentBinder, user]
+    [binders, currentBinder, user, clearBinderHistory]
   );
 
   // Legacy sync function - now just calls saveBinderToCloud
@@ -2697,9 +3078,14 @@ export const BinderProvider = ({ children }) => {
           },
         }));
 
+        // Shared binders are downloaded from their owner's document
+        const ownerId = binderSyncService.getCloudOwnerId(
+          binders.find((b) => b.id === binderId),
+          user.uid
+        );
         const result = await binderSyncService.downloadFromCloud(
           binderId,
-          user.uid
+          ownerId
         );
 
         if (result.success) {
@@ -2727,6 +3113,9 @@ export const BinderProvider = ({ children }) => {
             setCachedData(updatedBinders);
           }
 
+          // Local edits are gone, so there is nothing left to undo
+          clearBinderHistory(binderId);
+
           setSyncStatus((prev) => ({
             ...prev,
             [binderId]: {
@@ -2745,7 +3134,14 @@ export const BinderProvider = ({ children }) => {
         throw error;
       }
     },
-    [currentBinder, user, setCachedData, invalidateCache]
+    [
+      binders,
+      currentBinder,
+      user,
+      setCachedData,
+      invalidateCache,
+      clearBinderHistory,
+    ]
   );
 
   const getAllCloudBinders = useCallback(async () => {
@@ -2795,10 +3191,15 @@ export const BinderProvider = ({ children }) => {
       }
 
       try {
-        // Get all cloud binders
-        const cloudBinders = await binderSyncService.getAllCloudBinders(
-          user.uid
-        );
+        // Get all cloud binders, including the ones shared with the user
+        const [ownedBinders, sharedCloudBinders] = await Promise.all([
+          binderSyncService.getAllCloudBinders(user.uid),
+          binderSyncService.getCollaboratingBinders(user.uid).catch((error) => {
+            console.error("Failed to load shared binders:", error);
+            return null;
+          }),
+        ]);
+        const cloudBinders = [...ownedBinders, ...(sharedCloudBinders || [])];
 
         if (cloudBinders.length === 0) {
           return;
@@ -2824,11 +3225,17 @@ export const BinderProvider = ({ children }) => {
             // Never remove binders with "local" status - these are newly created and not yet saved
             const isNewLocalBinder = localBinder.sync?.status === "local";
 
+            // Shared binders are kept when they couldn't be loaded
+            const isUncheckedSharedBinder =
+              sharedCloudBinders === null &&
+              isSharedWithUser(localBinder, user.uid);
+
             // If this was a cloud binder but no longer exists in cloud, remove it
             // But don't remove local-only binders that were never synced
             if (
               wasCloudBinder &&
               !isNewLocalBinder &&
+              !isUncheckedSharedBinder &&
               !cloudBinderIds.has(localBinder.id)
             ) {
               console.log(
@@ -2864,10 +3271,19 @@ export const BinderProvider = ({ children }) => {
               const cloudModified = new Date(cloudBinder.lastModified || 0);
               const localModified = new Date(localBinder.lastModified || 0);
 
-              // Use cloud version if it's newer (version or timestamp)
+              // Use cloud version if it's newer (version or timestamp).
+              // Binders with a save queued offline keep their local changes;
+              // the replayed save detects any conflict with the cloud.
+              // Shared binders with unsaved edits keep them as well; saving
+              // merges in what the other collaborators changed.
+              const hasUnsavedSharedEdits =
+                localBinder.permissions?.collaboratorIds?.length > 0 &&
+                localBinder.sync?.status === "local";
+
               if (
-                cloudVersion > localVersion ||
-                cloudModified > localModified
+                localBinder.sync?.status !== "queued" &&
+                !hasUnsavedSharedEdits &&
+                (cloudVersion > localVersion || cloudModified > localModified)
               ) {
                 const localMissingInstances =
                   localBinder.metadata?.missingInstances || [];
@@ -2896,6 +3312,10 @@ export const BinderProvider = ({ children }) => {
                 merged[existingIndex] = updatedCloudBinder;
                 updatedCount++;
                 updatedBinderIds.push(cloudBinder.id);
+                pendingHistoryRef.current.set(`reset_${cloudBinder.id}`, {
+                  binderId: cloudBinder.id,
+                  command: null,
+                });
 
                 // Update current binder if it's the one being updated
                 setCurrentBinder((currentBinder) => {
@@ -2995,6 +3415,37 @@ export const BinderProvider = ({ children }) => {
     return () => clearInterval(interval);
   }, [user, autoSyncCloudBinders]);
 
+  // Replay saves queued while offline once the connection is back
+  const saveBinderToCloudRef = useRef(saveBinderToCloud);
+  saveBinderToCloudRef.current = saveBinderToCloud;
+
+  useEffect(() => {
+    if (!user || isLoading) return;
+
+    const replayOfflineSaves = async () => {
+      const queuedIds = binderSyncService.getQueuedBinderIds(user.uid);
+
+      for (const binderId of queuedIds) {
+        if (binderSyncService.isOffline()) return;
+
+        binderSyncService.removeFromOfflineQueue(binderId);
+        try {
+          // Re-queues itself if the connection drops again
+          await saveBinderToCloudRef.current(binderId);
+        } catch (error) {
+          console.error(`Failed to replay offline save of ${binderId}:`, error);
+        }
+      }
+    };
+
+    if (!binderSyncService.isOffline()) {
+      replayOfflineSaves();
+    }
+
+    window.addEventListener("online", replayOfflineSaves);
+    return () => window.removeEventListener("online", replayOfflineSaves);
+  }, [user, isLoading]);
+
   // Migration function to add cardData to existing binder cards
   const migrateBinderCardData = useCallback(async (binderId) => {
     // Get current state inside the function to avoid dependency issues
@@ -3091,6 +3542,13 @@ export const BinderProvider = ({ children }) => {
   // Get filtered binders for current user context
   const visibleBinders = getVisibleBinders();
 
+  // Binders other users shared with the current user. Kept apart from the
+  // user's own binders so collection stats and trades only count their cards.
+  const sharedBinders = useMemo(
+    () => binders.filter((binder) => isSharedWithUser(binder, user?.uid)),
+    [binders, user?.uid]
+  );
+
   // Auto-sync when user changes (logs in/out)
   useEffect(() => {
     if (user && !isLoading) {
@@ -3103,7 +3561,7 @@ export const BinderProvider = ({ children }) => {
   // Security check: Clear current binder if it doesn't belong to current user
   useEffect(() => {
     if (currentBinder) {
-      const isCurrentBinderVisible = visibleBinders.some(
+      const isCurrentBinderVisible = [...visibleBinders, ...sharedBinders].some(
         (b) => b.id === currentBinder.id
       );
       if (!isCurrentBinderVisible) {
@@ -3113,7 +3571,7 @@ export const BinderProvider = ({ children }) => {
         setCurrentBinder(null);
       }
     }
-  }, [currentBinder, visibleBinders]);
+  }, [currentBinder, visibleBinders, sharedBinders]);
 
   // Security helper: Check if user can access binder
   const canAccessBinder = useCallback(
@@ -3128,11 +3586,31 @@ export const BinderProvider = ({ children }) => {
     [binders, user]
   );
 
+  // Role of the current user on a binder: "owner", "editor", "viewer" or null
+  const getBinderRole = useCallback(
+    (binderId) =>
+      getUserBinderRole(
+        binders.find((b) => b.id === binderId),
+        user?.uid
+      ),
+    [binders, user?.uid]
+  );
+
+  // Security helper: Check if user can change a binder (owner or editor)
+  const canEditBinder = useCallback(
+    (binderId) =>
+      canUserEditBinder(
+        binders.find((b) => b.id === binderId),
+        user?.uid
+      ),
+    [binders, user?.uid]
+  );
+
   // Helper to mark binder as modified when any changes are made (with security check)
   const markAsModified = useCallback(
     (binderId, changeType, changeData) => {
       // Security check
-      if (!canAccessBinder(binderId)) {
+      if (!canEditBinder(binderId)) {
         console.warn(
           `Access denied: Cannot modify binder ${binderId} - not owned by current user`
         );
@@ -3159,7 +3637,7 @@ export const BinderProvider = ({ children }) => {
         );
       }
     },
-    [currentBinder, user, canAccessBinder]
+    [currentBinder, user, canEditBinder]
   );
 
   // Helper to check if a binder is local-only (not synced to current user's cloud)
@@ -3167,9 +3645,10 @@ export const BinderProvider = ({ children }) => {
     (binder) => {
       if (!user) return false; // Don't show local-only warnings when not logged in
 
-      // If binder belongs to a different user, it's local-only
+      // If binder belongs to a different user, it's local-only (unless
+      // they shared it with the current user)
       if (binder.ownerId !== user.uid && binder.ownerId !== "local_user") {
-        return true;
+        return !isSharedWithUser(binder, user.uid);
       }
 
       // If binder was created before login (ownerId: "local_user"), it's local-only
@@ -3331,8 +3810,13 @@ export const BinderProvider = ({ children }) => {
     if (!user) return { hasUnsaved: false, binders: [] };
 
     const unsavedBinders = binders.filter((binder) => {
-      // Only check binders owned by current user
-      if (binder.ownerId !== user.uid) return false;
+      // Only check binders the current user owns or edits
+      if (
+        binder.ownerId === "local_user" ||
+        !canUserEditBinder(binder, user.uid)
+      ) {
+        return false;
+      }
 
       // Check if binder has local changes that aren't synced
       return (
@@ -3463,6 +3947,9 @@ export const BinderProvider = ({ children }) => {
         if (!targetBinder) {
           throw new Error("Binder not found");
         }
+        if (getUserBinderRole(targetBinder, user?.uid) !== "owner") {
+          throw new Error("Only the owner can change who can see this binder");
+        }
 
         const newVersion = (targetBinder.version || 0) + 1;
 
@@ -3547,6 +4034,125 @@ export const BinderProvider = ({ children }) => {
     [binders, currentBinder, user]
   );
 
+  // Collaborator changes go straight to the binder document, like privacy
+  // changes, so unsaved card edits aren't saved along with them
+  const saveBinderCollaborators = useCallback(
+    async (binderId, updatePermissions) => {
+      const targetBinder = binders.find((b) => b.id === binderId);
+      if (!targetBinder) {
+        throw new Error("Binder not found");
+      }
+      if (!user || targetBinder.ownerId !== user.uid) {
+        throw new Error("Only the owner can share this binder");
+      }
+      if (!targetBinder.sync?.lastSynced) {
+        throw new Error("Save the binder to the cloud before sharing it");
+      }
+
+      const now = new Date().toISOString();
+      const permissions = updatePermissions(targetBinder.permissions || {});
+
+      const binderRef = doc(db, "user_binders", `${user.uid}_${binderId}`);
+      await updateDoc(binderRef, {
+        "permissions.collaborators": permissions.collaborators,
+        "permissions.collaboratorIds": permissions.collaboratorIds,
+        "permissions.editorIds": permissions.editorIds,
+        lastModified: now,
+        lastModifiedBy: user.uid,
+      });
+
+      const updateBinderDirectly = (binderToUpdate) => {
+        if (binderToUpdate.id !== binderId) return binderToUpdate;
+        return {
+          ...binderToUpdate,
+          permissions,
+          lastModified: now,
+          lastModifiedBy: user.uid,
+        };
+      };
+
+      setBinders((prev) => prev.map(updateBinderDirectly));
+      if (currentBinder?.id === binderId) {
+        setCurrentBinder((prev) => updateBinderDirectly(prev));
+      }
+      invalidateCache();
+
+      return permissions.collaborators;
+    },
+    [binders, currentBinder, user, invalidateCache]
+  );
+
+  // Invite a user to a binder by the email address of their account
+  const addBinderCollaborator = useCallback(
+    async (binderId, email, role = "viewer") => {
+      const targetBinder = binders.find((b) => b.id === binderId);
+      if (!targetBinder) {
+        throw new Error("Binder not found");
+      }
+
+      const invitedUser = await findUserByEmail(email);
+      if (!invitedUser) {
+        throw new Error("No user found with that email address");
+      }
+      if (invitedUser.uid === user?.uid) {
+        throw new Error("You already own this binder");
+      }
+
+      const isInvited = targetBinder.permissions?.collaboratorIds?.includes(
+        invitedUser.uid
+      );
+      if (!isInvited) {
+        const canAdd = await checkBinderLimits.canAddCollaborator(
+          { canPerformAction },
+          user?.uid || "local_user",
+          targetBinder
+        );
+        if (!canAdd.allowed) {
+          throw new Error(
+            canAdd.reason ||
+              "Collaborator limit reached! Remove someone before inviting more people."
+          );
+        }
+      }
+
+      return await saveBinderCollaborators(binderId, (permissions) =>
+        addCollaborator(
+          permissions,
+          {
+            userId: invitedUser.uid,
+            displayName: invitedUser.displayName,
+            photoURL: invitedUser.photoURL,
+            role,
+          },
+          user.uid
+        )
+      );
+    },
+    [
+      binders,
+      user,
+      checkBinderLimits,
+      canPerformAction,
+      saveBinderCollaborators,
+    ]
+  );
+
+  const updateBinderCollaboratorRole = useCallback(
+    async (binderId, collaboratorId, role) =>
+      await saveBinderCollaborators(binderId, (permissions) =>
+        updateCollaboratorRole(permissions, collaboratorId, role)
+      ),
+    [saveBinderCollaborators]
+  );
+
+  const removeBinderCollaborator = useCallback(
+    async (binderId, collaboratorId) =>
+      await saveBinderCollaborators(binderId, (permissions) =>
+        removeCollaborator(permissions, collaboratorId)
+      ),
+    [saveBinderCollaborators]
+  );
+
   // Share link management functions
   const createShareLink = useCallback(
     async (binderId, options = {}) => {
@@ -3560,10 +4166,6 @@ export const BinderProvider = ({ children }) => {
           throw new Error("Binder not found");
         }
 
-        if (!binder.permissions?.public) {
-          throw new Error("Binder must be public to create share links");
-        }
-
         const result = await shareService.createShareLink(
           binderId,
           user.uid,
@@ -3629,8 +4231,17 @@ export const BinderProvider = ({ children }) => {
 
   // Sorting functionality
   const sortBinder = useCallback(
-    (binderId, sortBy, sortDirection) => {
+    async (binderId, sortBy, sortDirection) => {
       try {
+        // Price sorts read catalog prices synchronously, so load them first
+        if (isPriceSort(sortBy)) {
+          const targetBinder =
+            binders.find((b) => b.id === binderId) || currentBinder;
+          await cardPriceService.loadPricesForEntries(
+            Object.values(targetBinder?.cards || {})
+          );
+        }
+
         const updateBinder = (binder) => {
           if (binder.id !== binderId) return binder;
 
@@ -3647,14 +4258,21 @@ export const BinderProvider = ({ children }) => {
             updatedBinder,
             "binder_sorted",
             { sortBy, sortDirection },
-            binder.ownerId
+            actingUserIdRef.current
           );
         };
 
-        setBinders((prev) => prev.map(updateBinder));
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "binder_sorted",
+          updateBinder,
+          `Sorted by ${sortBy}`
+        );
+        setBinders((prev) => prev.map(trackedUpdate));
 
         if (currentBinder?.id === binderId) {
-          setCurrentBinder((prev) => updateBinder(prev));
+          setCurrentBinder((prev) => trackedUpdate(prev));
         }
 
         toast.success(`Binder sorted by ${sortBy}`);
@@ -3663,7 +4281,7 @@ export const BinderProvider = ({ children }) => {
         toast.error("Failed to sort binder");
       }
     },
-    [currentBinder]
+    [binders, currentBinder]
   );
 
   // Update auto-sort setting
@@ -3687,13 +4305,20 @@ export const BinderProvider = ({ children }) => {
             },
             "settings_updated",
             { autoSort },
-            user?.uid || binder.ownerId
+            user?.uid || actingUserIdRef.current
           );
         };
 
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "settings_updated",
+          updateBinder
+        );
+
         // Update binders state and ensure currentBinder is synchronized
         setBinders((prev) => {
-          const updatedBinders = prev.map(updateBinder);
+          const updatedBinders = prev.map(trackedUpdate);
 
           // If the current binder is being updated, update it synchronously
           if (currentBinder?.id === binderId) {
@@ -3810,13 +4435,19 @@ export const BinderProvider = ({ children }) => {
             updatedBinder,
             "cards_compacted",
             { scope, pageIndices },
-            binder.ownerId
+            actingUserIdRef.current
           );
         };
 
-        setBinders((prev) => prev.map(updateBinder));
+        const trackedUpdate = trackHistory(
+          pendingHistoryRef,
+          binderId,
+          "cards_compacted",
+          updateBinder
+        );
+        setBinders((prev) => prev.map(trackedUpdate));
         if (currentBinder?.id === binderId) {
-          setCurrentBinder((prev) => updateBinder(prev));
+          setCurrentBinder((prev) => trackedUpdate(prev));
         }
 
         toast.success(
@@ -3834,10 +4465,73 @@ export const BinderProvider = ({ children }) => {
     [binders, currentBinder]
   );
 
+  // =============================
+  // Undo / Redo
+  // =============================
+  const getBinderHistory = useCallback(
+    (binderId) => binderHistory[binderId] || EMPTY_HISTORY,
+    [binderHistory]
+  );
+
+  // Undo or redo the last `steps` commands of a binder
+  const stepBinderHistory = useCallback(
+    (binderId, direction, steps = 1) => {
+      const history = binderHistory[binderId] || EMPTY_HISTORY;
+      const stack = direction === "undo" ? history.past : history.future;
+      const count = Math.min(Math.max(steps, 1), stack.length);
+      if (count === 0) return [];
+
+      // Most recent first, in the order they have to be applied
+      const commands = stack.slice(stack.length - count).reverse();
+
+      const updateBinder = (binder) => {
+        if (binder.id !== binderId) return binder;
+
+        const patchedBinder = commands.reduce(
+          (result, command) =>
+            applyHistoryPatch(result, command.patch, direction),
+          binder
+        );
+
+        return markBinderAsModified(
+          patchedBinder,
+          direction === "undo" ? "history_undo" : "history_redo",
+          { commands: commands.map((command) => command.id) },
+          actingUserIdRef.current
+        );
+      };
+
+      setBinders((prev) => prev.map(updateBinder));
+
+      if (currentBinder?.id === binderId) {
+        setCurrentBinder((prev) => updateBinder(prev));
+      }
+
+      setBinderHistory((prev) => ({
+        ...prev,
+        [binderId]: moveHistoryCommands(prev[binderId], direction, count),
+      }));
+
+      return commands;
+    },
+    [binderHistory, currentBinder]
+  );
+
+  const undoBinderChange = useCallback(
+    (binderId, steps = 1) => stepBinderHistory(binderId, "undo", steps),
+    [stepBinderHistory]
+  );
+
+  const redoBinderChange = useCallback(
+    (binderId, steps = 1) => stepBinderHistory(binderId, "redo", steps),
+    [stepBinderHistory]
+  );
+
   const value = {
     // State
     binders: visibleBinders, // Only expose visible binders for current user context
     allBinders: binders, // Keep reference to all binders for internal operations
+    sharedBinders, // Binders other users shared with the current user
     currentBinder,
     isLoading,
     syncStatus,
@@ -3857,6 +4551,7 @@ export const BinderProvider = ({ children }) => {
     batchMoveCards,
     updateBinderSettings,
     updateBinderMetadata,
+    checkOffCollectedCards,
 
     // Sorting Actions
     sortBinder,
@@ -3868,6 +4563,7 @@ export const BinderProvider = ({ children }) => {
     // Sync Actions
     saveBinderToCloud,
     syncBinderToCloud, // Legacy - same as saveBinderToCloud
+    resolveBinderConflict,
     downloadBinderFromCloud,
     getAllCloudBinders,
     deleteBinderFromCloud,
@@ -3877,6 +4573,12 @@ export const BinderProvider = ({ children }) => {
     migrateBinderCardData,
     markAsModified,
 
+    // History Actions
+    getBinderHistory,
+    undoBinderChange,
+    redoBinderChange,
+    clearBinderHistory,
+
     // Page Management
     addPage,
     batchAddPages,
@@ -3895,6 +4597,8 @@ export const BinderProvider = ({ children }) => {
 
     // Security & access control
     canAccessBinder,
+    getBinderRole,
+    canEditBinder,
     getVisibleBinders,
     checkUnsavedChanges,
     warnBeforeLogout,
@@ -3917,6 +4621,11 @@ export const BinderProvider = ({ children }) => {
     getPublicBinder,
     updateBinderPrivacy,
 
+    // Collaborators
+    addBinderCollaborator,
+    updateBinderCollaboratorRole,
+    removeBinderCollaborator,
+
     // Share link functions
     createShareLink,
     getShareLinks,
@@ -19,17 +19,29 @@ const optimizedBinderExample = {
   ownerId: "user_abc123", // User who owns this binder
   permissions: {
     public: false, // Is binder publicly viewable
-    collaborators: [], // Future: shared access
+    collaborators: [
+      // Users the owner invited (see utils/collaborators.js)
+      {
+        userId: "user_def456",
+        displayName: "Misty",
+        photoURL: null,
+        role: "editor", // viewer | editor
+        addedAt: "2024-01-02T00:00:00Z",
+        addedBy: "user_abc123",
+      },
+    ],
+    collaboratorIds: ["user_def456"], // Mirrors collaborators for queries/rules
+    editorIds: ["user_def456"], // Collaborators allowed to save changes
     shareCode: null, // Future: share links
   },
 
   // === VERSION CONTROL & SYNC ===
   version: 145, // Incremental version number
   lastModified: "2024-01-15T14:22:15.456Z", // Precise timestamp
-  lastModifiedBy: "user_abc123", // Who made the last change
+  lastModifiedBy: "user_abc123", // Who made the last change (owner or editor)
 
   sync: {
-    status: "synced", // "synced" | "pending" | "conflict" | "error"
+    status: "synced", // "synced" | "pending" | "queued" | "conflict" | "error"
     lastSynced: "2024-01-15T14:22:15.456Z", // Last successful sync
     pendingChanges: [], // Array of unsynced changes
     conflictData: null, // Holds conflict resolution data
@@ -50,7 +62,8 @@ const optimizedBinderExample = {
 
   // === SETTINGS (IMMUTABLE UPDATES) ===
   settings: {
-    gridSize: "3x3",
+    gridSize: "3x3", // "{cols}x{rows}", 1 to 6 each
+    gridPreset: "9-pocket", // Physical page preset, null for custom grids
     theme: "default", // Future: custom themes
     viewMode: "grid", // "grid" | "list" | "carousel"
     autoSort: false,
@@ -58,6 +71,7 @@ const optimizedBinderExample = {
     showStats: true,
     showGridNumbers: false,
     cardBackUrl: null, // Custom card back image
+    language: "en", // Default catalog language when adding cards
   },
 
   // === CARDS (OPTIMIZED STRUCTURE) ===
@@ -69,7 +83,9 @@ const optimizedBinderExample = {
       addedAt: "2024-01-15T10:35:22.789Z",
       addedBy: "user_abc123",
       notes: "", // User notes for this card
-      condition: "mint", // Card condition
+      condition: "near_mint", // near_mint | lightly_played | moderately_played | heavily_played | damaged
+      grading: null, // Graded slabs: { company: "PSA", grade: 10, certNumber: "12345678" }
+      language: "en", // Catalog language the card was added from
       quantity: 1, // Number of this card
       isProtected: false, // Future: protected slots
     },
@@ -89,7 +105,7 @@ const optimizedBinderExample = {
       addedAt: "2024-01-15T14:22:15.456Z",
       addedBy: "user_abc123",
       notes: "",
-      condition: "mint",
+      condition: "near_mint",
       quantity: 1,
       isProtected: false,
     },
@@ -199,6 +215,16 @@ const firebaseStructure = {
   // /cards/{cardId} - Global card cache
   cards: cardCacheExample,
 
+  // /user_binders/{ownerId}_{binderId}/presence/{userId} - Who has a shared
+  // binder open, kept fresh by a heartbeat while they do
+  binderPresence: {
+    user_def456: {
+      displayName: "Misty",
+      photoURL: null,
+      lastSeen: "2024-01-15T14:22:15.456Z", // Server timestamp
+    },
+  },
+
   // /users/{userId}/preferences
   userPreferences: {
     user_abc123: userPreferencesExample,
@@ -0,0 +1,18 @@
+import { useMemo } from "react";
+import useLocalCatalog from "./useLocalCatalog";
+import { buildArtistIndex } from "../utils/artists";
+
+/**
+ * Hook for the artist browser
+ * Loads every card of a catalog language and counts the cards of each artist.
+ * @param {string} language - Catalog language
+ */
+const useArtistCatalog = (language = "en") => {
+  const { cards, isLoading, error } = useLocalCatalog(language);
+
+  const artists = useMemo(() => buildArtistIndex(cards), [cards]);
+
+  return { cards, artists, isLoading, error };
+};
+
+export default useArtistCatalog;
@@ -1,4 +1,5 @@
 import { useState, useEffect, useMemo, useCallback } from "react";
+import { getGridConfig } from "../utils/binderGrids";
 
 // Configuration constants - centralized and easily maintainable
 const BINDER_CONFIG = {
@@ -15,22 +16,6 @@ const BINDER_CONFIG = {
   MOBILE_TOOLBAR_HEIGHT: 0, // Integrated into navigation now
   MOBILE_NAVIGATION_HEIGHT: 80,
   MOBILE_VERTICAL_PADDING: 80, // Space for mobile navigation only
-  GRID_CONFIGS: {
-    "1x1": { cols: 1, rows: 1, total: 1 },
-    "2x2": { cols: 2, rows: 2, total: 4 },
-    "3x3": { cols: 3, rows: 3, total: 9 },
-    "4x3": { cols: 4, rows: 3, total: 12 },
-    "4x4": { cols: 4, rows: 4, total: 16 },
-  },
-  DEFAULT_GRID: "3x3",
-};
-
-// Helper to get grid configuration safely
-export const getGridConfig = (size) => {
-  return (
-    BINDER_CONFIG.GRID_CONFIGS[size] ||
-    BINDER_CONFIG.GRID_CONFIGS[BINDER_CONFIG.DEFAULT_GRID]
-  );
 };
 
 // Custom hook for window dimensions with debouncing
@@ -177,7 +162,7 @@ const useBinderDimensions = (gridSize) => {
     );
 
     // Scale down 4x3 layout to make it more compact
-    if (gridSize === "4x3") {
+    if (grid.name === "4x3") {
       cardWidth = cardWidth * 0.85; // Scale down by 15%
     }
 
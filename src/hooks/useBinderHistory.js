@@ -0,0 +1,105 @@
+import { useCallback, useEffect } from "react";
+import { toast } from "react-hot-toast";
+import { EMPTY_HISTORY, getHistoryCommandLabel } from "../utils/binderHistory";
+
+// Typing in a field keeps the browser's own undo
+const isEditableTarget = (target) =>
+  target?.isContentEditable ||
+  ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName);
+
+/**
+ * Undo / redo for a binder, with Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) shortcuts
+ *
+ * @param {Object} options - Configuration options
+ * @param {Object} options.binder - Current binder object
+ * @param {Object} options.binderContext - Binder context providing the history actions
+ * @param {Object} options.isModalsOpenRef - Ref that is true while a modal is
+ *   open; shortcuts are ignored then
+ * @param {boolean} options.enabled - Whether undo / redo is available
+ * @returns {Object} History stacks and handlers
+ */
+const useBinderHistory = ({
+  binder,
+  binderContext,
+  isModalsOpenRef,
+  enabled = true,
+}) => {
+  const { getBinderHistory, undoBinderChange, redoBinderChange } =
+    binderContext;
+
+  const history =
+    enabled && binder && getBinderHistory
+      ? getBinderHistory(binder.id)
+      : EMPTY_HISTORY;
+
+  const canUndo = history.past.length > 0;
+  const canRedo = history.future.length > 0;
+
+  const undo = useCallback(
+    (steps = 1) => {
+      if (!enabled || !binder || !undoBinderChange) return;
+
+      const commands = undoBinderChange(binder.id, steps);
+      if (commands.length === 1) {
+        toast(`Undid: ${getHistoryCommandLabel(commands[0])}`, {
+          id: "binder-history",
+        });
+      } else if (commands.length > 1) {
+        toast(`Undid ${commands.length} changes`, { id: "binder-history" });
+      }
+    },
+    [enabled, binder, undoBinderChange]
+  );
+
+  const redo = useCallback(
+    (steps = 1) => {
+      if (!enabled || !binder || !redoBinderChange) return;
+
+      const commands = redoBinderChange(binder.id, steps);
+      if (commands.length === 1) {
+        toast(`Redid: ${getHistoryCommandLabel(commands[0])}`, {
+          id: "binder-history",
+        });
+      } else if (commands.length > 1) {
+        toast(`Redid ${commands.length} changes`, { id: "binder-history" });
+      }
+    },
+    [enabled, binder, redoBinderChange]
+  );
+
+  // Keyboard shortcuts
+  useEffect(() => {
+    if (!enabled || !binder) return;
+
+    const handleKeyDown = (event) => {
+      if (isModalsOpenRef?.current || isEditableTarget(event.target)) return;
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [enabled, binder, isModalsOpenRef, undo, redo]);
+
+  return {
+    past: history.past,
+    future: history.future,
+    canUndo,
+    canRedo,
+    undo,
+    redo,
+  };
+};
+
+export default useBinderHistory;
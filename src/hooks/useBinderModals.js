@@ -29,6 +29,12 @@ export const useBinderModals = ({
   const [isClearModalOpen, setIsClearModalOpen] = useState(false);
   const [isColorPickerOpen, setIsColorPickerOpen] = useState(false);
   const [isShareLinkModalOpen, setIsShareLinkModalOpen] = useState(false);
+  const [isSpreadsheetExportOpen, setIsSpreadsheetExportOpen] = useState(false);
+  const [isPlaceholderPrintOpen, setIsPlaceholderPrintOpen] = useState(false);
+  const [isPdfExportOpen, setIsPdfExportOpen] = useState(false);
+  const [isChecklistOpen, setIsChecklistOpen] = useState(false);
+  const [isShareImageOpen, setIsShareImageOpen] = useState(false);
+  const [isHistoryPanelOpen, setIsHistoryPanelOpen] = useState(false);
 
   // Modal-specific state
   const [targetPosition, setTargetPosition] = useState(null); // For slot-specific card addition
@@ -43,7 +49,13 @@ export const useBinderModals = ({
     isPageOverviewOpen ||
     isClearModalOpen ||
     isColorPickerOpen ||
-    isShareLinkModalOpen;
+    isShareLinkModalOpen ||
+    isSpreadsheetExportOpen ||
+    isPlaceholderPrintOpen ||
+    isPdfExportOpen ||
+    isChecklistOpen ||
+    isShareImageOpen ||
+    isHistoryPanelOpen;
 
   // Generic modal opener with duplicate prevention
   const openModal = useCallback(
@@ -169,6 +181,60 @@ export const useBinderModals = ({
     closeModal(setIsShareLinkModalOpen);
   }, [closeModal]);
 
+  // Spreadsheet Export Modal handlers
+  const openSpreadsheetExport = useCallback(() => {
+    openModal(setIsSpreadsheetExportOpen);
+  }, [openModal]);
+
+  const closeSpreadsheetExport = useCallback(() => {
+    closeModal(setIsSpreadsheetExportOpen);
+  }, [closeModal]);
+
+  // Placeholder Print Modal handlers
+  const openPlaceholderPrint = useCallback(() => {
+    openModal(setIsPlaceholderPrintOpen);
+  }, [openModal]);
+
+  const closePlaceholderPrint = useCallback(() => {
+    closeModal(setIsPlaceholderPrintOpen);
+  }, [closeModal]);
+
+  // PDF Export Modal handlers
+  const openPdfExport = useCallback(() => {
+    openModal(setIsPdfExportOpen);
+  }, [openModal]);
+
+  const closePdfExport = useCallback(() => {
+    closeModal(setIsPdfExportOpen);
+  }, [closeModal]);
+
+  // Checklist Modal handlers
+  const openChecklist = useCallback(() => {
+    openModal(setIsChecklistOpen);
+  }, [openModal]);
+
+  const closeChecklist = useCallback(() => {
+    closeModal(setIsChecklistOpen);
+  }, [closeModal]);
+
+  // Share Image Modal handlers
+  const openShareImage = useCallback(() => {
+    openModal(setIsShareImageOpen);
+  }, [openModal]);
+
+  const closeShareImage = useCallback(() => {
+    closeModal(setIsShareImageOpen);
+  }, [closeModal]);
+
+  // History Panel handlers
+  const openHistoryPanel = useCallback(() => {
+    openModal(setIsHistoryPanelOpen);
+  }, [openModal]);
+
+  const closeHistoryPanel = useCallback(() => {
+    closeModal(setIsHistoryPanelOpen);
+  }, [closeModal]);
+
   // Page selection handler
   const handlePageSelect = useCallback(
     (pageIndex) => {
@@ -185,6 +251,12 @@ export const useBinderModals = ({
     setIsClearModalOpen(false);
     setIsColorPickerOpen(false);
     setIsShareLinkModalOpen(false);
+    setIsSpreadsheetExportOpen(false);
+    setIsPlaceholderPrintOpen(false);
+    setIsPdfExportOpen(false);
+    setIsChecklistOpen(false);
+    setIsShareImageOpen(false);
+    setIsHistoryPanelOpen(false);
     setTargetPosition(null);
     setPreviewColor(null);
     modalOpenRef.current = false;
@@ -198,6 +270,12 @@ export const useBinderModals = ({
       isClearModalOpen,
       isColorPickerOpen,
       isShareLinkModalOpen,
+      isSpreadsheetExportOpen,
+      isPlaceholderPrintOpen,
+      isPdfExportOpen,
+      isChecklistOpen,
+      isShareImageOpen,
+      isHistoryPanelOpen,
       isAnyModalOpen,
     },
 
@@ -233,6 +311,24 @@ export const useBinderModals = ({
       openShareLinkModal,
       closeShareLinkModal,
 
+      // Spreadsheet Export Modal
+      openSpreadsheetExport,
+      closeSpreadsheetExport,
+
+      // Placeholder Print Modal
+      openPlaceholderPrint,
+      closePlaceholderPrint,
+      openPdfExport,
+      closePdfExport,
+      openChecklist,
+      closeChecklist,
+      openShareImage,
+      closeShareImage,
+
+      // History Panel
+      openHistoryPanel,
+      closeHistoryPanel,
+
       // Utilities
       closeAllModals,
     },
@@ -245,6 +341,12 @@ export const useBinderModals = ({
         clearBinder: isClearModalOpen,
         colorPicker: isColorPickerOpen,
         shareLink: isShareLinkModalOpen,
+        spreadsheetExport: isSpreadsheetExportOpen,
+        placeholderPrint: isPlaceholderPrintOpen,
+        pdfExport: isPdfExportOpen,
+        checklist: isChecklistOpen,
+        shareImage: isShareImageOpen,
+        historyPanel: isHistoryPanelOpen,
       };
       return modalMap[modalName] || false;
     },
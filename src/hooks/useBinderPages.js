@@ -1,8 +1,16 @@
 import { useState, useMemo, useEffect } from "react";
-import { getGridConfig } from "./useBinderDimensions";
+import { getGridConfig } from "../utils/binderGrids";
 import { useCardCache } from "../contexts/CardCacheContext";
 
-const useBinderPages = (binder, isMobile = false) => {
+/**
+ * Page navigation of a binder.
+ * @param {object} binder
+ * @param {boolean} isMobile - Single pages instead of spreads
+ * @param {object} options - { focusPosition } opens the page holding that
+ *   card position whenever it changes
+ */
+const useBinderPages = (binder, isMobile = false, options = {}) => {
+  const { focusPosition = null } = options;
   const [currentPageIndex, setCurrentPageIndex] = useState(0); // 0-based index
   const [currentMobilePageIndex, setCurrentMobilePageIndex] = useState(0); // For mobile single-page navigation
   const { getCardFromCache } = useCardCache();
@@ -125,6 +133,35 @@ const useBinderPages = (binder, isMobile = false) => {
     isMobile,
   ]);
 
+  // Open the page holding the focused card position
+  useEffect(() => {
+    if (focusPosition === null || !binder) return;
+
+    const cardsPerPage = getGridConfig(
+      binder.settings?.gridSize || "3x3"
+    ).total;
+    const cardPageIndex = Math.floor(focusPosition / cardsPerPage);
+
+    if (isMobile) {
+      // Index 0 is the cover
+      setCurrentMobilePageIndex(cardPageIndex + 1);
+      return;
+    }
+
+    // The first spread holds the cover and card page 0, then two card pages each
+    const physicalPageIndex =
+      cardPageIndex === 0 ? 0 : Math.floor((cardPageIndex - 1) / 2) + 1;
+    const pageOrder = binder.settings?.pageOrder;
+    const logicalPageIndex = Array.isArray(pageOrder)
+      ? pageOrder.indexOf(physicalPageIndex)
+      : -1;
+    setCurrentPageIndex(
+      logicalPageIndex === -1 ? physicalPageIndex : logicalPageIndex
+    );
+    // Only jump when the focus changes, not on every edit of the binder
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [focusPosition, binder?.id, isMobile]);
+
   // Helper function to get physical page index from logical page index
   const getPhysicalPageIndex = useMemo(() => {
     const pageOrder = binder?.settings?.pageOrder;
@@ -0,0 +1,105 @@
+import { useEffect, useMemo, useState } from "react";
+import { useAuth } from "./useAuth";
+import { binderSyncService } from "../services/binderSyncService";
+import {
+  getActiveViewers,
+  PRESENCE_HEARTBEAT_INTERVAL,
+} from "../utils/collaborators";
+
+/**
+ * Hook for the other people looking at a shared binder
+ * While the binder is open the user sends a presence heartbeat, and the
+ * binder document is watched so saves made by someone else show up.
+ * Binders that aren't shared with anyone are left alone.
+ * @param {object} binder - Binder being viewed
+ * @returns {object} - { viewers, remoteChange } where remoteChange is
+ *   { userId, displayName } of whoever saved changes not loaded here yet
+ */
+const useBinderPresence = (binder) => {
+  const { user } = useAuth();
+  const [cloudState, setCloudState] = useState({ binder: null, viewers: [] });
+  const [now, setNow] = useState(() => Date.now());
+
+  const binderId = binder?.id;
+  const ownerId = binder?.ownerId;
+  const isShared = binder?.permissions?.collaboratorIds?.length > 0;
+
+  useEffect(() => {
+    setCloudState({ binder: null, viewers: [] });
+    if (!user?.uid || !binderId || !isShared) return;
+
+    const viewer = {
+      userId: user.uid,
+      displayName: user.displayName,
+      photoURL: user.photoURL,
+    };
+    const sendHeartbeat = () => {
+      setNow(Date.now());
+      binderSyncService
+        .updatePresence(binderId, ownerId, viewer)
+        .catch((error) =>
+          console.error("Failed to update binder presence:", error)
+        );
+    };
+
+    sendHeartbeat();
+    const interval = setInterval(sendHeartbeat, PRESENCE_HEARTBEAT_INTERVAL);
+    const unsubscribe = binderSyncService.subscribeToCloudBinder(
+      binderId,
+      ownerId,
+      (state) => {
+        if (!state.error) setCloudState(state);
+      },
+      { includePresence: true }
+    );
+
+    return () => {
+      clearInterval(interval);
+      unsubscribe();
+      binderSyncService
+        .clearPresence(binderId, ownerId, user.uid)
+        .catch(() => {});
+    };
+  }, [
+    binderId,
+    ownerId,
+    isShared,
+    user?.uid,
+    user?.displayName,
+    user?.photoURL,
+  ]);
+
+  const viewers = useMemo(
+    () => getActiveViewers(cloudState.viewers, user?.uid, now),
+    [cloudState.viewers, user?.uid, now]
+  );
+
+  // A save is new to us when the cloud moved past the version we last
+  // saved or downloaded, and someone else made it
+  const lastSynced = binder?.sync?.lastSynced;
+  const remoteChange = useMemo(() => {
+    const cloudBinder = cloudState.binder;
+    if (!cloudBinder || !binderId || cloudBinder.lastModifiedBy === user?.uid) {
+      return null;
+    }
+
+    const syncedVersion = binderSyncService.getSyncBase(binderId)?.version;
+    if (syncedVersion === undefined || cloudBinder.version <= syncedVersion) {
+      return null;
+    }
+
+    const collaborator = cloudBinder.permissions?.collaborators?.find(
+      (entry) => entry.userId === cloudBinder.lastModifiedBy
+    );
+    return {
+      userId: cloudBinder.lastModifiedBy,
+      displayName: collaborator?.displayName || "The owner",
+    };
+    // lastSynced changes whenever a new sync base is stored
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cloudState.binder, binderId, user?.uid, lastSynced]);
+
+  return { viewers, remoteChange };
+};
+
+export default useBinderPresence;
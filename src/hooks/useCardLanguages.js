@@ -0,0 +1,29 @@
+import { useEffect, useState } from "react";
+import { pokemonTcgApi } from "../services/pokemonTcgApi";
+import { DEFAULT_LANGUAGE, getLanguageInfo } from "../utils/cardLanguages";
+
+/**
+ * Catalog languages that have local card data
+ * @returns {Object} { languages, hasMultipleLanguages }
+ */
+const useCardLanguages = () => {
+  const [languages, setLanguages] = useState([
+    getLanguageInfo(DEFAULT_LANGUAGE),
+  ]);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    pokemonTcgApi.getLanguages().then((codes) => {
+      if (isMounted) setLanguages(codes.map((code) => getLanguageInfo(code)));
+    });
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  return { languages, hasMultipleLanguages: languages.length > 1 };
+};
+
+export default useCardLanguages;
@@ -0,0 +1,98 @@
+import { useState, useEffect, useMemo, useCallback } from "react";
+import { useAtom } from "jotai";
+import { cardPriceService } from "../services/cardPriceService";
+import { priceSourceAtom, priceDisplayAtom } from "../atoms/priceSettingsAtoms";
+import {
+  PRICE_SOURCES,
+  DEFAULT_PRICE_SOURCE,
+  calculateBinderValue,
+  getCardEntryValue,
+  getCardSetId,
+  formatPrice,
+} from "../utils/cardValuation";
+
+/**
+ * Loads catalog prices for the cards in the given binders and exposes
+ * value helpers that respect the user's price source and currency settings.
+ * @param {object} options
+ * @param {Array} options.binders - Binders whose cards should be priced
+ * @param {Array} options.cardEntries - Individual card entries to price
+ */
+const useCardPrices = ({ binders = [], cardEntries = [] } = {}) => {
+  const [priceSource, setPriceSource] = useAtom(priceSourceAtom);
+  const [priceDisplay, setPriceDisplay] = useAtom(priceDisplayAtom);
+  const [isLoading, setIsLoading] = useState(false);
+  const [pricesVersion, setPricesVersion] = useState(0);
+
+  // Stable key of every set referenced by the binders and entries
+  const setIdsKey = useMemo(() => {
+    const setIds = new Set();
+    const addEntry = (cardEntry) => {
+      const setId = getCardSetId(cardEntry);
+      if (setId) setIds.add(setId);
+    };
+    binders.forEach((binder) => {
+      Object.values(binder?.cards || {}).forEach(addEntry);
+    });
+    cardEntries.forEach(addEntry);
+    return [...setIds].sort().join(",");
+  }, [binders, cardEntries]);
+
+  useEffect(() => {
+    if (!setIdsKey) return;
+
+    let mounted = true;
+    setIsLoading(true);
+    Promise.all(
+      setIdsKey.split(",").map((setId) => cardPriceService.loadSetPrices(setId))
+    ).finally(() => {
+      if (mounted) {
+        setIsLoading(false);
+        setPricesVersion((version) => version + 1);
+      }
+    });
+
+    return () => {
+      mounted = false;
+    };
+  }, [setIdsKey]);
+
+  const source = PRICE_SOURCES[priceSource]
+    ? priceSource
+    : DEFAULT_PRICE_SOURCE;
+
+  const getPriceData = useCallback(
+    (cardId) => cardPriceService.getPriceData(cardId),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [pricesVersion]
+  );
+
+  const getBinderValue = useCallback(
+    (binder) => calculateBinderValue(binder, getPriceData, { source }),
+    [getPriceData, source]
+  );
+
+  const getCardValue = useCallback(
+    (cardEntry) => getCardEntryValue(cardEntry, getPriceData, { source }),
+    [getPriceData, source]
+  );
+
+  const formatValue = useCallback(
+    (value, currency = PRICE_SOURCES[source].currency) =>
+      formatPrice(value, currency, priceDisplay),
+    [source, priceDisplay]
+  );
+
+  return {
+    isLoading,
+    priceSource: source,
+    setPriceSource,
+    priceDisplay,
+    setPriceDisplay,
+    getBinderValue,
+    getCardValue,
+    formatValue,
+  };
+};
+
+export default useCardPrices;
@@ -1,9 +1,12 @@
 import { useState, useEffect, useCallback, useMemo } from "react";
 import { pokemonTcgApi, normalizeCardData } from "../services/pokemonTcgApi";
 import { useCardCache } from "../contexts/CardCacheContext";
+import { DEFAULT_LANGUAGE } from "../utils/cardLanguages";
+import { parseCardQuery, isAdvancedQuery } from "../utils/cardQuery";
 
 // Custom hook for Pokemon card search functionality
-const useCardSearch = () => {
+// initialLanguage - catalog language searched until setLanguage is called
+const useCardSearch = ({ initialLanguage = DEFAULT_LANGUAGE } = {}) => {
   // Card cache
   const { addCardsToCache } = useCardCache();
 
@@ -19,6 +22,8 @@ const useCardSearch = () => {
     artist: "",
   });
   const [orderBy, setOrderBy] = useState("");
+  // Kept apart from filters: a language alone shouldn't count as a search
+  const [language, setLanguageState] = useState(initialLanguage);
 
   // Results state
   const [cards, setCards] = useState([]);
@@ -43,17 +48,17 @@ const useCardSearch = () => {
   const [availableSubtypes, setAvailableSubtypes] = useState([]);
   const [availableSupertypes, setAvailableSupertypes] = useState([]);
 
-  // Load filter options on mount
+  // Load filter options for the catalog language
   useEffect(() => {
     const loadFilterOptions = async () => {
       try {
         const [types, sets, rarities, subtypes, supertypes] = await Promise.all(
           [
-            pokemonTcgApi.getTypes(),
-            pokemonTcgApi.getSets(),
-            pokemonTcgApi.getRarities(),
-            pokemonTcgApi.getSubtypes(),
-            pokemonTcgApi.getSupertypes(),
+            pokemonTcgApi.getTypes(language),
+            pokemonTcgApi.getSets(language),
+            pokemonTcgApi.getRarities(language),
+            pokemonTcgApi.getSubtypes(language),
+            pokemonTcgApi.getSupertypes(language),
           ]
         );
 
@@ -68,15 +73,17 @@ const useCardSearch = () => {
     };
 
     loadFilterOptions();
-  }, []);
+  }, [language]);
 
-  // Load featured cards on mount
+  // Load featured cards for the catalog language
   useEffect(() => {
     const loadFeaturedCards = async () => {
       try {
         setFeaturedLoading(true);
-        const featured = await pokemonTcgApi.getFeaturedCards(12);
-        const normalizedFeatured = featured.map(normalizeCardData);
+        const featured = await pokemonTcgApi.getFeaturedCards(12, language);
+        const normalizedFeatured = featured.map((card) =>
+          normalizeCardData({ ...card, language })
+        );
 
         // Add featured cards to cache
         addCardsToCache(normalizedFeatured);
@@ -90,7 +97,7 @@ const useCardSearch = () => {
     };
 
     loadFeaturedCards();
-  }, []);
+  }, [language]);
 
   // Search function
   const searchCards = useCallback(
@@ -119,6 +126,7 @@ const useCardSearch = () => {
                   value && (Array.isArray(value) ? value.length > 0 : true)
               )
             ),
+            lang: language,
           },
         };
 
@@ -160,7 +168,7 @@ const useCardSearch = () => {
         setIsLoadingMore(false);
       }
     },
-    [searchQuery, filters, orderBy, pageSize]
+    [searchQuery, filters, orderBy, pageSize, language]
   );
 
   // Fetch all cards for a query up to a limit
@@ -179,6 +187,7 @@ const useCardSearch = () => {
                 value && (Array.isArray(value) ? value.length > 0 : true)
             )
           ),
+          lang: language,
         },
       };
 
@@ -193,7 +202,7 @@ const useCardSearch = () => {
         return [];
       }
     },
-    [searchQuery, filters, orderBy, addCardsToCache]
+    [searchQuery, filters, orderBy, language, addCardsToCache]
   );
 
   // Load more results
@@ -286,6 +295,13 @@ const useCardSearch = () => {
     }));
   }, []);
 
+  // Switch the catalog language. Set ids differ between catalogs, so the
+  // set filter is cleared.
+  const setLanguage = useCallback((nextLanguage) => {
+    setLanguageState(nextLanguage);
+    setFilters((prev) => (prev.set ? { ...prev, set: "" } : prev));
+  }, []);
+
   // Update search query
   const updateSearchQuery = useCallback((query) => {
     setSearchQuery(query);
@@ -315,6 +331,18 @@ const useCardSearch = () => {
     }
   }, [searchCards, filters]); // Removed searchQuery from dependencies
 
+  // Re-run a plain text search in the new language (filter searches re-run
+  // through the effect above)
+  useEffect(() => {
+    const hasFilters = Object.values(filters).some(
+      (value) => value && (Array.isArray(value) ? value.length > 0 : true)
+    );
+    if (searchQuery && !hasFilters) {
+      searchCards({ resetResults: true });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [language]);
+
   // Computed values
   const hasActiveFilters = useMemo(() => {
     return (
@@ -324,6 +352,18 @@ const useCardSearch = () => {
     );
   }, [filters, searchQuery]);
 
+  // Syntax problems of the search box query (e.g. an unknown field). The
+  // query is still searched, skipping the parts that couldn't be read.
+  const queryErrors = useMemo(
+    () => parseCardQuery(searchQuery).errors,
+    [searchQuery]
+  );
+
+  const isAdvancedSearch = useMemo(
+    () => isAdvancedQuery(searchQuery),
+    [searchQuery]
+  );
+
   const isEmpty = useMemo(() => {
     return !isLoading && cards.length === 0 && hasActiveFilters;
   }, [isLoading, cards.length, hasActiveFilters]);
@@ -337,6 +377,7 @@ const useCardSearch = () => {
     searchQuery,
     filters,
     orderBy,
+    language,
 
     // Results
     cards,
@@ -371,9 +412,12 @@ const useCardSearch = () => {
     updateSearchQuery,
     setOrderBy,
     setPageSize,
+    setLanguage,
 
     // Computed
     hasActiveFilters,
+    queryErrors,
+    isAdvancedSearch,
     isEmpty,
     showFeatured,
 
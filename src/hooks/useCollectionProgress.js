@@ -0,0 +1,74 @@
+import { useEffect, useMemo, useState } from "react";
+import useLocalCatalog from "./useLocalCatalog";
+import { useBinderContext } from "../contexts/BinderContext";
+import { pokemonTcgApi } from "../services/pokemonTcgApi";
+import { updateUserCollectionProgress } from "../utils/userManagement";
+import {
+  buildCollectionProgress,
+  getProgressTotals,
+  isSameProgressSummary,
+  summarizeCollectionProgress,
+} from "../utils/collectionProgress";
+
+/**
+ * Hook for the collection progress dashboard
+ * Works out the completion of every catalog set across all binders. When the
+ * user shows their progress on their profile, the summary of the English
+ * catalog is kept up to date on the user document.
+ * @param {string} language - Catalog language
+ * @param {object} userProfile - Profile of the signed in user, if any
+ * @returns {object} - { progress, totals, isLoading, error }
+ */
+const useCollectionProgress = (language = "en", userProfile = null) => {
+  const { binders } = useBinderContext();
+  const {
+    cards,
+    isLoading: isCatalogLoading,
+    error,
+  } = useLocalCatalog(language);
+  const [sets, setSets] = useState([]);
+  const [isSetsLoading, setIsSetsLoading] = useState(true);
+
+  useEffect(() => {
+    let isMounted = true;
+    setIsSetsLoading(true);
+    pokemonTcgApi
+      .getSets(language)
+      .then((allSets) => {
+        if (isMounted) setSets(allSets);
+      })
+      .catch((err) => {
+        console.error("Failed to load sets:", err);
+        if (isMounted) setSets([]);
+      })
+      .finally(() => {
+        if (isMounted) setIsSetsLoading(false);
+      });
+    return () => {
+      isMounted = false;
+    };
+  }, [language]);
+
+  const isLoading = isCatalogLoading || isSetsLoading;
+
+  const progress = useMemo(
+    () => (isLoading ? [] : buildCollectionProgress(sets, cards, binders)),
+    [isLoading, sets, cards, binders]
+  );
+  const totals = useMemo(() => getProgressTotals(progress), [progress]);
+
+  const userId = userProfile?.uid;
+  const isPublished = Boolean(userProfile?.showCollectionProgress);
+  const publishedSummary = userProfile?.collectionProgress;
+
+  useEffect(() => {
+    if (!userId || !isPublished || isLoading || language !== "en") return;
+    const summary = summarizeCollectionProgress(progress);
+    if (isSameProgressSummary(summary, publishedSummary)) return;
+    updateUserCollectionProgress(userId, summary);
+  }, [userId, isPublished, isLoading, language, progress, publishedSummary]);
+
+  return { progress, totals, isLoading, error };
+};
+
+export default useCollectionProgress;
@@ -0,0 +1,30 @@
+import { useCallback, useMemo } from "react";
+import { useBinderContext } from "../contexts/BinderContext";
+import { buildInventoryIndex, findOwnedCopies } from "../utils/inventory";
+
+/**
+ * Hook for the inventory index of the current user's binders
+ * Rebuilt whenever a binder changes, so lookups always match the binders.
+ * @returns {object} - { index, getOwnedCopies }
+ */
+const useInventory = () => {
+  const { binders, canAccessBinder } = useBinderContext();
+
+  const index = useMemo(
+    () =>
+      buildInventoryIndex(
+        binders.filter((binder) => canAccessBinder(binder.id))
+      ),
+    [binders, canAccessBinder]
+  );
+
+  // Owned copies of a card; see findOwnedCopies
+  const getOwnedCopies = useCallback(
+    (card, options) => findOwnedCopies(index, card, options),
+    [index]
+  );
+
+  return { index, getOwnedCopies };
+};
+
+export default useInventory;
@@ -0,0 +1,55 @@
+import { useMemo } from "react";
+import useLocalCatalog from "./useLocalCatalog";
+import { buildSpeciesIndex } from "../utils/livingDex";
+
+/**
+ * Hook for the living dex wizard
+ * Loads every card of a catalog language and groups the Pokémon by National
+ * Pokédex number. Also returns the series and rarities that can be preferred.
+ * @param {string} language - Catalog language
+ */
+const useLivingDexCatalog = (language = "en") => {
+  const { cards, isLoading, error } = useLocalCatalog(language);
+
+  const species = useMemo(() => buildSpeciesIndex(cards), [cards]);
+
+  const cardsById = useMemo(
+    () => new Map(cards.map((card) => [card.id, card])),
+    [cards]
+  );
+
+  // Series ordered by their first release, rarities by name
+  const { seriesOptions, rarityOptions } = useMemo(() => {
+    const firstRelease = new Map();
+    const rarities = new Set();
+    cards.forEach((card) => {
+      if (!card.nationalPokedexNumbers) return;
+      const series = card.set?.series;
+      const releaseDate = card.set?.releaseDate || "";
+      if (
+        series &&
+        (!firstRelease.has(series) || releaseDate < firstRelease.get(series))
+      ) {
+        firstRelease.set(series, releaseDate);
+      }
+      if (card.rarity) rarities.add(card.rarity);
+    });
+    return {
+      seriesOptions: [...firstRelease.keys()].sort((a, b) =>
+        firstRelease.get(a).localeCompare(firstRelease.get(b))
+      ),
+      rarityOptions: [...rarities].sort((a, b) => a.localeCompare(b)),
+    };
+  }, [cards]);
+
+  return {
+    species,
+    cardsById,
+    seriesOptions,
+    rarityOptions,
+    isLoading,
+    error,
+  };
+};
+
+export default useLivingDexCatalog;
@@ -0,0 +1,46 @@
+import { useEffect, useState } from "react";
+import { pokemonTcgApi } from "../services/pokemonTcgApi";
+
+/**
+ * Hook loading the whole local card catalog of a language
+ * Used by the tools that work across sets (living dex, artist browser,
+ * collection progress).
+ * @param {string} language - Catalog language
+ * @returns {object} - { cards, isLoading, error } with raw catalog cards
+ */
+const useLocalCatalog = (language = "en") => {
+  const [cards, setCards] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+    setIsLoading(true);
+    setError(null);
+
+    pokemonTcgApi
+      .getAllLocalCards(language)
+      .then((allCards) => {
+        if (!isMounted) return;
+        if (allCards.length === 0) {
+          setError("No card catalog is available for this language.");
+        }
+        setCards(allCards);
+      })
+      .catch((err) => {
+        console.error("Failed to load the card catalog:", err);
+        if (isMounted) setError("Failed to load the card catalog.");
+      })
+      .finally(() => {
+        if (isMounted) setIsLoading(false);
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [language]);
+
+  return { cards, isLoading, error };
+};
+
+export default useLocalCatalog;
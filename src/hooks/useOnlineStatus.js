@@ -0,0 +1,28 @@
+import { useEffect, useState } from "react";
+
+const getOnlineStatus = () =>
+  typeof navigator === "undefined" || navigator.onLine !== false;
+
+/**
+ * Track whether the browser has a network connection
+ * @returns {boolean} True while online
+ */
+const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(getOnlineStatus);
+
+  useEffect(() => {
+    const handleChange = () => setIsOnline(getOnlineStatus());
+
+    window.addEventListener("online", handleChange);
+    window.addEventListener("offline", handleChange);
+
+    return () => {
+      window.removeEventListener("online", handleChange);
+      window.removeEventListener("offline", handleChange);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+export default useOnlineStatus;
@@ -0,0 +1,66 @@
+import { useEffect, useState } from "react";
+import { pokemonTcgApi } from "../services/pokemonTcgApi";
+import useSetSearch from "./useSetSearch";
+
+/**
+ * Hook for the set wizard
+ * Loads the cards of every selected set in set order. Cards keep the
+ * tcgplayer price keys of the local catalog, which tell which printings
+ * (variants) of a card exist.
+ * @param {Array<object>} sets - Selected sets
+ * @param {string} language - Catalog language
+ * @returns {object} - { cardsBySet: { [setId]: cards }, isLoading, error }
+ */
+const useSelectedSetCards = (sets, language) => {
+  const { getSetCards } = useSetSearch({ language });
+  const [cardsBySet, setCardsBySet] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const setIds = sets.map((set) => set.id).join(",");
+
+  useEffect(() => {
+    let isMounted = true;
+    const ids = setIds ? setIds.split(",") : [];
+    setIsLoading(ids.length > 0);
+    setError(null);
+
+    Promise.all(
+      ids.map(async (setId) => {
+        const [cards, rawCards] = await Promise.all([
+          getSetCards(setId),
+          pokemonTcgApi.getLocalSetCards(setId, language),
+        ]);
+        const pricesById = new Map(
+          rawCards.map((card) => [card.id, card.tcgplayer])
+        );
+        return [
+          setId,
+          cards.map((card) =>
+            pricesById.get(card.id)
+              ? { ...card, tcgplayer: pricesById.get(card.id) }
+              : card
+          ),
+        ];
+      })
+    )
+      .then((entries) => {
+        if (isMounted) setCardsBySet(Object.fromEntries(entries));
+      })
+      .catch((err) => {
+        console.error("Failed to load set cards:", err);
+        if (isMounted) setError(err.message);
+      })
+      .finally(() => {
+        if (isMounted) setIsLoading(false);
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [setIds, language, getSetCards]);
+
+  return { cardsBySet, isLoading, error };
+};
+
+export default useSelectedSetCards;
@@ -1,11 +1,13 @@
 import { useState, useEffect, useCallback, useMemo } from "react";
 import { pokemonTcgApi, normalizeCardData } from "../services/pokemonTcgApi";
 import { useCardCache } from "../contexts/CardCacheContext";
+import { DEFAULT_LANGUAGE } from "../utils/cardLanguages";
 
 // In-memory cache for locally fetched set card files to avoid duplicate network hits across components
 const localSetCache = new Map();
 
-const useSetSearch = () => {
+// language - catalog the sets and their cards are loaded from
+const useSetSearch = ({ language = DEFAULT_LANGUAGE } = {}) => {
   const { addCardsToCache } = useCardCache();
   const [sets, setSets] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
@@ -50,14 +52,14 @@ const useSetSearch = () => {
     return sortedGroupedSets;
   }, [filteredSets]);
 
-  // Load all sets on mount
+  // Load all sets of the catalog language
   useEffect(() => {
     const loadSets = async () => {
       try {
         setIsLoading(true);
         setError(null);
 
-        const setsData = await pokemonTcgApi.getSets();
+        const setsData = await pokemonTcgApi.getSets(language);
 
         console.log("First set example:", setsData[0]);
 
@@ -85,7 +87,7 @@ const useSetSearch = () => {
     };
 
     loadSets();
-  }, []);
+  }, [language]);
 
   // Filter sets based on search query
   useEffect(() => {
@@ -143,8 +145,9 @@ const useSetSearch = () => {
       try {
         console.log("Fetching cards for set ID:", setId);
 
-        if (localSetCache.has(setId)) {
-          const cached = localSetCache.get(setId);
+        const cacheKey = `${language}_${setId}`;
+        if (localSetCache.has(cacheKey)) {
+          const cached = localSetCache.get(cacheKey);
           addCardsToCache(cached);
           return cached;
         }
@@ -152,7 +155,7 @@ const useSetSearch = () => {
         try {
           const localUrl = `${
             import.meta.env.BASE_URL || "/"
-          }data/en/cards/${setId}.json`;
+          }data/${language}/cards/${setId}.json`;
           const localResp = await fetch(localUrl);
           if (localResp.ok) {
             const localData = await localResp.json();
@@ -173,9 +176,11 @@ const useSetSearch = () => {
               return (a.number || "").localeCompare(b.number || "");
             });
 
-            const normalizedLocal = sortedLocalData.map(normalizeCardData);
+            const normalizedLocal = sortedLocalData.map((card) =>
+              normalizeCardData({ ...card, language })
+            );
             // Cache and return
-            localSetCache.set(setId, normalizedLocal);
+            localSetCache.set(cacheKey, normalizedLocal);
             addCardsToCache(normalizedLocal);
             return normalizedLocal;
           }
@@ -187,6 +192,11 @@ const useSetSearch = () => {
           );
         }
 
+        // The remote API only has English cards
+        if (language !== DEFAULT_LANGUAGE) {
+          throw new Error(`No local ${language} card data for set ${setId}`);
+        }
+
         // Primary attempt: search by set.id
         let cards = await fetchAllCards(`set.id:"${setId}"`);
 
@@ -210,7 +220,7 @@ const useSetSearch = () => {
         throw new Error(`Failed to load cards from set: ${err.message}`);
       }
     },
-    [addCardsToCache, sets]
+    [addCardsToCache, sets, language]
   );
 
   const updateSearchQuery = useCallback((query) => {
@@ -0,0 +1,61 @@
+import { useEffect, useMemo, useCallback } from "react";
+import { useAuth } from "./useAuth";
+import { useBinderContext } from "../contexts/BinderContext";
+import { useTradeListStore } from "../stores/tradeListStore";
+import { buildTradeList, isSameTradeList } from "../utils/trades";
+
+/**
+ * Hook for the current user's trade list
+ * The list is derived from the card instances flagged for trade in the
+ * user's binders. The published copy in Firebase is only rewritten when
+ * the flagged cards change or the list is made public/private.
+ * @param {object} options - { autoPublish } to publish changes as they happen
+ *   (done once for the app by TradeSync)
+ * @returns {object} - { items, isPublic, loading, setPublic }
+ */
+const useTradeList = ({ autoPublish = false } = {}) => {
+  const { user } = useAuth();
+  const { binders, canAccessBinder, isLoading } = useBinderContext();
+
+  const isPublic = useTradeListStore((state) => state.isPublic);
+  const loading = useTradeListStore((state) => state.loading);
+  const publishedItems = useTradeListStore((state) => state.publishedItems);
+  const initialize = useTradeListStore((state) => state.initialize);
+
+  useEffect(() => {
+    initialize(user?.uid || null, user?.displayName || null);
+  }, [user?.uid, user?.displayName, initialize]);
+
+  const ownBinders = useMemo(
+    () => binders.filter((binder) => canAccessBinder(binder.id)),
+    [binders, canAccessBinder]
+  );
+  const items = useMemo(() => buildTradeList(ownBinders), [ownBinders]);
+
+  // Publish once both the binders and the stored list have loaded. Without
+  // any binders yet (e.g. a new device before sync) the published list is
+  // left alone instead of being emptied.
+  useEffect(() => {
+    if (!autoPublish || !user?.uid || isLoading || publishedItems === null) {
+      return;
+    }
+    if (ownBinders.length === 0 || isSameTradeList(items, publishedItems)) {
+      return;
+    }
+    useTradeListStore.getState().schedulePublish(items);
+  }, [autoPublish, user?.uid, isLoading, ownBinders, items, publishedItems]);
+
+  const setPublic = useCallback(
+    async (value) => {
+      if (!user?.uid) {
+        throw new Error("Sign in to publish your trade list");
+      }
+      await useTradeListStore.getState().publish(items, Boolean(value));
+    },
+    [user?.uid, items]
+  );
+
+  return { items, isPublic, loading, setPublic };
+};
+
+export default useTradeList;
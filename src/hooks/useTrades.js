@@ -0,0 +1,190 @@
+import { useState, useEffect, useMemo, useCallback } from "react";
+import { useAuth } from "./useAuth";
+import { useBinderContext } from "../contexts/BinderContext";
+import { tradeService } from "../services/TradeService";
+import { findTradeItemSlot, getTradeSides } from "../utils/trades";
+
+const INCOMING_BINDER_KEY = "tradeIncomingBinder";
+
+/**
+ * Binder that received the cards of the last trade, used as the default
+ * @returns {string|null}
+ */
+export const getLastIncomingBinderId = () =>
+  localStorage.getItem(INCOMING_BINDER_KEY);
+
+/**
+ * Hook for the current user's trades
+ * Subscribes to every trade the user takes part in and exposes the actions
+ * of the trade workflow. Cards the user gives away are checked against the
+ * binders before proposing or accepting.
+ * @returns {object} - { trades, loading, unreadCount, actionCount, ...actions }
+ */
+const useTrades = () => {
+  const { user } = useAuth();
+  const { binders, canAccessBinder } = useBinderContext();
+  const [trades, setTrades] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!user?.uid) {
+      setTrades([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsubscribe = tradeService.subscribeToTrades(user.uid, (updated) => {
+      setTrades(updated);
+      setLoading(false);
+    });
+    return unsubscribe;
+  }, [user?.uid]);
+
+  const unreadCount = useMemo(
+    () =>
+      trades.reduce(
+        (sum, trade) => sum + (trade.unreadBy?.[user?.uid] || 0),
+        0
+      ),
+    [trades, user?.uid]
+  );
+
+  // Trades waiting on the user's response
+  const actionCount = useMemo(
+    () =>
+      trades.filter((trade) => getTradeSides(trade, user?.uid).isAwaitingMe)
+        .length,
+    [trades, user?.uid]
+  );
+
+  // Throw when a card the user would give away is no longer in a binder
+  const assertOwnsItems = useCallback(
+    (items) => {
+      const ownBinders = binders.filter((binder) => canAccessBinder(binder.id));
+      const gone = items.filter((item) => !findTradeItemSlot(ownBinders, item));
+      if (gone.length > 0) {
+        throw new Error(
+          `${gone
+            .map((item) => item.cardData?.name || item.cardId)
+            .join(", ")} ${
+            gone.length === 1 ? "is" : "are"
+          } no longer in your binders`
+        );
+      }
+    },
+    [binders, canAccessBinder]
+  );
+
+  const rememberIncomingBinder = (binderId) => {
+    if (binderId) localStorage.setItem(INCOMING_BINDER_KEY, binderId);
+  };
+
+  const proposeTrade = useCallback(
+    async ({ toUser, offered, requested, incomingBinderId, message }) => {
+      if (!user?.uid) {
+        throw new Error("Sign in to propose trades");
+      }
+      assertOwnsItems(offered);
+      rememberIncomingBinder(incomingBinderId);
+
+      return tradeService.createTrade({
+        fromUser: { uid: user.uid, displayName: user.displayName },
+        toUser,
+        offered,
+        requested,
+        incomingBinderId,
+        message,
+      });
+    },
+    [user?.uid, user?.displayName, assertOwnsItems]
+  );
+
+  const counterTrade = useCallback(
+    async (trade, { offered, requested, incomingBinderId, message }) => {
+      const isProposer = trade.fromUserId === user?.uid;
+      assertOwnsItems(isProposer ? offered : requested);
+      rememberIncomingBinder(incomingBinderId);
+
+      await tradeService.counterTrade(trade.id, user.uid, {
+        offered,
+        requested,
+        incomingBinderId,
+        message,
+      });
+    },
+    [user?.uid, assertOwnsItems]
+  );
+
+  const acceptTrade = useCallback(
+    async (trade, incomingBinderId) => {
+      const { giving, receiving } = getTradeSides(trade, user?.uid);
+      if (receiving.length > 0 && !incomingBinderId) {
+        throw new Error("Choose a binder for the incoming cards");
+      }
+      assertOwnsItems(giving);
+      rememberIncomingBinder(incomingBinderId);
+
+      await tradeService.acceptTrade(trade.id, user.uid, incomingBinderId);
+    },
+    [user?.uid, assertOwnsItems]
+  );
+
+  // Pick another binder for an accepted trade that couldn't be settled
+  const changeIncomingBinder = useCallback(
+    async (trade, incomingBinderId) => {
+      if (!incomingBinderId) {
+        throw new Error("Choose a binder for the incoming cards");
+      }
+      rememberIncomingBinder(incomingBinderId);
+
+      await tradeService.setIncomingBinder(
+        trade.id,
+        user.uid,
+        incomingBinderId
+      );
+    },
+    [user?.uid]
+  );
+
+  const declineTrade = useCallback(
+    (trade, message) => tradeService.declineTrade(trade.id, user?.uid, message),
+    [user?.uid]
+  );
+
+  const cancelTrade = useCallback(
+    (trade) => tradeService.cancelTrade(trade.id, user?.uid),
+    [user?.uid]
+  );
+
+  const sendMessage = useCallback(
+    (tradeId, message) =>
+      tradeService.sendTradeMessage(tradeId, user?.uid, message),
+    [user?.uid]
+  );
+
+  const markAsRead = useCallback(
+    (tradeId) => {
+      if (!user?.uid) return;
+      return tradeService.markTradeRead(tradeId, user.uid);
+    },
+    [user?.uid]
+  );
+
+  return {
+    trades,
+    loading,
+    unreadCount,
+    actionCount,
+    proposeTrade,
+    counterTrade,
+    acceptTrade,
+    changeIncomingBinder,
+    declineTrade,
+    cancelTrade,
+    sendMessage,
+    markAsRead,
+  };
+};
+
+export default useTrades;
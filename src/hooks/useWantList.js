@@ -0,0 +1,105 @@
+import { useEffect, useMemo, useCallback } from "react";
+import { useAuth } from "./useAuth";
+import { useWantListStore } from "../stores/wantListStore";
+import shareService from "../services/ShareService";
+import { getBaseCardId } from "../utils/cardValuation";
+import { getWantListStats } from "../utils/wantList";
+
+/**
+ * Hook for the current user's want list
+ * Loads the list for the signed in user and exposes helpers for the UI.
+ */
+const useWantList = () => {
+  const { user } = useAuth();
+
+  const items = useWantListStore((state) => state.items);
+  const isPublic = useWantListStore((state) => state.isPublic);
+  const loading = useWantListStore((state) => state.loading);
+  const syncing = useWantListStore((state) => state.syncing);
+  const error = useWantListStore((state) => state.error);
+  const initialize = useWantListStore((state) => state.initialize);
+
+  // Get actions directly from store (these are stable references)
+  const store = useWantListStore.getState();
+
+  useEffect(() => {
+    initialize(user?.uid || null, user?.displayName || null);
+  }, [user?.uid, user?.displayName, initialize]);
+
+  const stats = useMemo(() => getWantListStats(items), [items]);
+
+  // Card IDs on the list, regardless of variant
+  const wantedCardIds = useMemo(
+    () => new Set(Object.values(items).map((item) => item.cardId)),
+    [items]
+  );
+
+  const isWanted = useCallback(
+    (cardId) => wantedCardIds.has(getBaseCardId(cardId)),
+    [wantedCardIds]
+  );
+
+  // Remove every item of a card (used by the search toggle)
+  const removeCard = useCallback(
+    (cardId) => {
+      const baseId = getBaseCardId(cardId);
+      Object.values(items)
+        .filter((item) => item.cardId === baseId)
+        .forEach((item) => store.removeItem(item.itemId));
+    },
+    [items, store]
+  );
+
+  // Share links require the list to be public, like binders
+  const createShareLink = useCallback(async () => {
+    if (!user) {
+      throw new Error("Sign in to share your want list");
+    }
+    if (!useWantListStore.getState().isPublic) {
+      await store.setPublic(true);
+    } else {
+      await store.syncToCloud();
+    }
+    return shareService.createWantListShareLink(user.uid);
+  }, [user, store]);
+
+  const getShareLinks = useCallback(async () => {
+    if (!user) return [];
+    return shareService.getWantListShareLinks(user.uid);
+  }, [user]);
+
+  const revokeShareLink = useCallback(
+    async (shareToken) => {
+      if (!user) return false;
+      return shareService.revokeShareLink(shareToken, user.uid);
+    },
+    [user]
+  );
+
+  return {
+    // State
+    items,
+    isPublic,
+    loading,
+    syncing,
+    error,
+    stats,
+    canShare: Boolean(user),
+
+    // Helpers
+    isWanted,
+
+    // Actions
+    addCards: store.addCards,
+    updateItem: store.updateItem,
+    removeItem: store.removeItem,
+    removeCard,
+    clearCompleted: store.clearCompleted,
+    setPublic: store.setPublic,
+    createShareLink,
+    getShareLinks,
+    revokeShareLink,
+  };
+};
+
+export default useWantList;
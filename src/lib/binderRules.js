@@ -1,5 +1,6 @@
 import { RULE_TEMPLATES } from "./rules";
 import { GLOBAL_CARD_LIMIT } from "./globalRules.js";
+import { isLargeGridSize } from "../utils/binderGrids.js";
 
 // Binder-specific rule templates
 export const BINDER_RULE_TEMPLATES = {
@@ -75,7 +76,7 @@ export const BINDER_RULE_TEMPLATES = {
     },
   },
 
-  // Premium grid sizes (5x5, 6x6)
+  // Premium grid sizes (more than 16 pockets, e.g. 5x5)
   premium_grid_sizes: {
     name: "Premium Grid Sizes",
     description: "Restrict large grid sizes to premium users",
@@ -202,9 +203,7 @@ export const checkBinderLimits = {
 
   // Check if user can use specific grid size
   canUseGridSize: async (rulesContext, userId, gridSize) => {
-    const largeGridSizes = ["5x5", "6x6"];
-
-    if (largeGridSizes.includes(gridSize)) {
+    if (isLargeGridSize(gridSize)) {
       return await rulesContext.canPerformAction("use_large_grid");
     }
 
@@ -1,5 +1,6 @@
 import { z } from "zod";
 import { GLOBAL_CARD_LIMIT } from "./globalRules.js";
+import { PRESET_GRID_SIZES } from "../utils/binderGrids.js";
 
 // =====================================
 // ROLE SYSTEM (What you can DO)
@@ -73,7 +74,7 @@ export const SUBSCRIPTION_TIERS = {
       storageLimit: 100 * 1024 * 1024, // 100MB
 
       // All users get same features - no premium gating
-      availableGridSizes: ["3x3", "4x4", "5x5", "6x6"],
+      availableGridSizes: [...PRESET_GRID_SIZES, "custom"],
       customThemes: true,
       advancedSorting: true,
       publicSharing: true,
@@ -110,7 +111,7 @@ export const SUBSCRIPTION_TIERS = {
       storageLimit: 500 * 1024 * 1024, // 500MB
 
       // Same features as free - just more capacity
-      availableGridSizes: ["3x3", "4x4", "5x5", "6x6"],
+      availableGridSizes: [...PRESET_GRID_SIZES, "custom"],
       customThemes: true,
       advancedSorting: true,
       publicSharing: true,
@@ -146,7 +147,7 @@ export const SUBSCRIPTION_TIERS = {
       storageLimit: 1.5 * 1024 * 1024 * 1024, // 1.5GB
 
       // Same features - just more space
-      availableGridSizes: ["3x3", "4x4", "5x5", "6x6"],
+      availableGridSizes: [...PRESET_GRID_SIZES, "custom"],
       customThemes: true,
       advancedSorting: true,
       publicSharing: true,
@@ -183,7 +184,7 @@ export const SUBSCRIPTION_TIERS = {
       storageLimit: 5 * 1024 * 1024 * 1024, // 5GB
 
       // All features included
-      availableGridSizes: ["3x3", "4x4", "5x5", "6x6"],
+      availableGridSizes: [...PRESET_GRID_SIZES, "custom"],
       customThemes: true,
       advancedSorting: true,
       publicSharing: true,
@@ -0,0 +1,273 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  Link,
+  useNavigate,
+  useParams,
+  useSearchParams,
+} from "react-router-dom";
+import { toast } from "react-hot-toast";
+import {
+  ArrowLeftIcon,
+  CheckCircleIcon,
+  PaintBrushIcon,
+  PlusIcon,
+} from "@heroicons/react/24/outline";
+import useLocalCatalog from "../hooks/useLocalCatalog";
+import { useBinderContext } from "../contexts/BinderContext";
+import { useDocumentHead } from "../hooks/useDocumentHead";
+import { normalizeCardData } from "../services/pokemonTcgApi";
+import { GLOBAL_CARD_LIMIT } from "../lib/globalRules.js";
+import { getArtistCards, groupCardsBySet } from "../utils/artists";
+import { filterUnownedCards } from "../utils/wantList";
+
+const formatReleaseDate = (date) =>
+  date
+    ? new Date(date.replace(/\//g, "-")).toLocaleDateString(undefined, {
+        year: "numeric",
+        month: "short",
+      })
+    : "";
+
+/**
+ * ArtistPage - Every card illustrated by one artist, grouped by set
+ * Can create a binder holding all of them in release order.
+ */
+const ArtistPage = () => {
+  const { artistName = "" } = useParams();
+  const [searchParams] = useSearchParams();
+  const language = searchParams.get("lang") || "en";
+  const navigate = useNavigate();
+
+  const { cards, isLoading, error } = useLocalCatalog(language);
+  const { binders, createBinder, batchAddCards } = useBinderContext();
+  const [isCreating, setIsCreating] = useState(false);
+  const [pendingBinderId, setPendingBinderId] = useState(null);
+  const [series, setSeries] = useState("");
+
+  const allArtistCards = useMemo(
+    () => getArtistCards(cards, artistName),
+    [cards, artistName]
+  );
+  // Series in release order; cards are already chronological
+  const seriesOptions = useMemo(
+    () => [
+      ...new Set(
+        allArtistCards.map((card) => card.set?.series).filter(Boolean)
+      ),
+    ],
+    [allArtistCards]
+  );
+  const artistCards = useMemo(
+    () =>
+      series
+        ? allArtistCards.filter((card) => card.set?.series === series)
+        : allArtistCards,
+    [allArtistCards, series]
+  );
+  const setGroups = useMemo(() => groupCardsBySet(artistCards), [artistCards]);
+  // Shown as printed on the cards, whatever the case in the URL
+  const displayName = allArtistCards[0]?.artist || artistName;
+
+  const ownedIds = useMemo(() => {
+    const unowned = new Set(
+      filterUnownedCards(artistCards, binders).map((card) => card.id)
+    );
+    return new Set(
+      artistCards.map((card) => card.id).filter((id) => !unowned.has(id))
+    );
+  }, [artistCards, binders]);
+
+  useDocumentHead({
+    title: `${displayName} - Pokemon Card Artist | PkmnBindr`,
+    description: `Browse the ${allArtistCards.length} Pokemon cards illustrated by ${displayName}`,
+  });
+
+  const exceedsLimit = artistCards.length > GLOBAL_CARD_LIMIT;
+
+  const handleCreateBinder = async () => {
+    setIsCreating(true);
+    try {
+      const binder = await createBinder(
+        series
+          ? `${displayName} Collection (${series})`
+          : `${displayName} Collection`,
+        `Every ${
+          series ? `${series} ` : ""
+        }card illustrated by ${displayName}, in release order.`
+      );
+      // Cards are added once the new binder is in the context state
+      setPendingBinderId(binder.id);
+    } catch {
+      // Error handled by context
+      setIsCreating(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!pendingBinderId) return;
+    if (!binders.some((binder) => binder.id === pendingBinderId)) return;
+
+    const binderId = pendingBinderId;
+    setPendingBinderId(null);
+    const binderCards = artistCards.map((card) =>
+      normalizeCardData({ ...card, language })
+    );
+
+    batchAddCards(binderId, binderCards, 0, { checkOffWantList: false }, true)
+      .then(() => {
+        toast.success(
+          `Added ${binderCards.length} cards by ${displayName} to the new binder`
+        );
+        navigate(`/binder/${binderId}`);
+      })
+      .catch(() => {
+        // Error toast shown by context; the empty binder is kept
+        setIsCreating(false);
+      });
+  }, [
+    pendingBinderId,
+    binders,
+    artistCards,
+    language,
+    displayName,
+    batchAddCards,
+    navigate,
+  ]);
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Link
+          to={language === "en" ? "/artists" : `/artists?lang=${language}`}
+          className="inline-flex items-center gap-1 text-sm font-medium text-blue-600 dark:text-blue-400 hover:underline mb-4"
+        >
+          <ArrowLeftIcon className="w-4 h-4" />
+          All artists
+        </Link>
+
+        {/* Header */}
+        <div className="mb-8 flex flex-col lg:flex-row lg:items-end gap-4 lg:justify-between">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-gray-100 flex items-center gap-3">
+              <PaintBrushIcon className="w-8 h-8 text-purple-500" />
+              {displayName}
+            </h1>
+            {!isLoading && artistCards.length > 0 && (
+              <div className="mt-3 flex flex-wrap items-center gap-3 sm:gap-6 text-xs sm:text-sm text-gray-600 dark:text-gray-400">
+                <span>
+                  {artistCards.length} card
+                  {artistCards.length !== 1 ? "s" : ""}
+                </span>
+                <span>
+                  {setGroups.length} set{setGroups.length !== 1 ? "s" : ""}
+                </span>
+                <span>
+                  {ownedIds.size}/{artistCards.length} in your binders
+                </span>
+              </div>
+            )}
+          </div>
+
+          {allArtistCards.length > 0 && (
+            <div className="flex flex-col items-start lg:items-end gap-1">
+              <div className="flex flex-wrap items-center gap-2">
+                {seriesOptions.length > 1 && (
+                  <select
+                    value={series}
+                    onChange={(e) => setSeries(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    aria-label="Filter by series"
+                  >
+                    <option value="">All series</option>
+                    {seriesOptions.map((option) => (
+                      <option key={option} value={option}>
+                        {option}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                <button
+                  onClick={handleCreateBinder}
+                  disabled={isCreating || exceedsLimit}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm flex items-center gap-2"
+                >
+                  <PlusIcon className="w-4 h-4" />
+                  {isCreating ? "Creating binder..." : "Create Binder"}
+                </button>
+              </div>
+              {exceedsLimit && (
+                <span className="text-xs text-red-500 dark:text-red-400">
+                  More than the {GLOBAL_CARD_LIMIT} cards a binder can hold.
+                  Pick a series to split them up.
+                </span>
+              )}
+            </div>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-950 border border-red-200 dark:border-red-800 rounded-lg p-4 text-sm text-red-600 dark:text-red-400 mb-6">
+            {error}
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center py-16">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+          </div>
+        ) : artistCards.length === 0 ? (
+          <div className="text-center py-16 text-gray-500 dark:text-gray-400">
+            No cards by "{artistName}" in the card catalog.
+          </div>
+        ) : (
+          <div className="space-y-8">
+            {setGroups.map((group) => (
+              <section key={group.setId}>
+                <div className="flex items-center gap-3 mb-3 pb-2 border-b border-gray-200 dark:border-gray-700">
+                  {group.set?.images?.symbol && (
+                    <img
+                      src={group.set.images.symbol}
+                      alt=""
+                      className="w-6 h-6 object-contain"
+                    />
+                  )}
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                    {group.set?.name || "Unknown set"}
+                  </h2>
+                  <span className="text-sm text-gray-500 dark:text-gray-400">
+                    {formatReleaseDate(group.set?.releaseDate)} ·{" "}
+                    {group.cards.length} card
+                    {group.cards.length !== 1 ? "s" : ""}
+                  </span>
+                </div>
+                <div className="grid grid-cols-3 sm:grid-cols-5 lg:grid-cols-8 gap-3">
+                  {group.cards.map((card) => (
+                    <div key={card.id} className="relative">
+                      <img
+                        src={card.images?.small}
+                        alt={card.name}
+                        loading="lazy"
+                        className="w-full rounded-md"
+                      />
+                      <div className="mt-1 text-[11px] leading-tight text-gray-600 dark:text-gray-400 truncate">
+                        {card.name} · {card.number}
+                      </div>
+                      {ownedIds.has(card.id) && (
+                        <CheckCircleIcon
+                          className="h-5 w-5 text-green-600 bg-white rounded-full absolute top-1 right-1"
+                          title="In your binders"
+                        />
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </section>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ArtistPage;
@@ -0,0 +1,180 @@
+import { useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import {
+  MagnifyingGlassIcon,
+  PaintBrushIcon,
+} from "@heroicons/react/24/outline";
+import useArtistCatalog from "../hooks/useArtistCatalog";
+import LanguageSelect from "../components/ui/LanguageSelect";
+import { useDocumentHead } from "../hooks/useDocumentHead";
+import { getArtistPath } from "../utils/artists";
+import { normalizeText } from "../utils/cardQuery";
+
+const PAGE_SIZE = 60;
+
+const SORT_OPTIONS = [
+  { value: "cards", label: "Most cards" },
+  { value: "name", label: "Name" },
+  { value: "recent", label: "Most recent" },
+];
+
+const getYear = (date) => (date ? date.slice(0, 4) : "");
+
+/**
+ * ArtistsPage - Every illustrator of the local card catalog
+ * Links to an artist's cards, from where a binder can be built around them.
+ */
+const ArtistsPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const language = searchParams.get("lang") || "en";
+  const { artists, isLoading, error } = useArtistCatalog(language);
+
+  const [searchTerm, setSearchTerm] = useState("");
+  const [sortBy, setSortBy] = useState("cards");
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  useDocumentHead({
+    title: "Pokemon Card Artists | PkmnBindr",
+    description:
+      "Browse the illustrators of the Pokemon TCG and build a binder of their cards",
+  });
+
+  const filteredArtists = useMemo(() => {
+    const term = normalizeText(searchTerm.trim());
+    const matching = term
+      ? artists.filter((artist) => normalizeText(artist.name).includes(term))
+      : artists;
+    if (sortBy === "name") {
+      return [...matching].sort((a, b) => a.name.localeCompare(b.name));
+    }
+    if (sortBy === "recent") {
+      return [...matching].sort((a, b) =>
+        (b.lastRelease || "").localeCompare(a.lastRelease || "")
+      );
+    }
+    return matching; // Already by card count
+  }, [artists, searchTerm, sortBy]);
+
+  const handleLanguageChange = (newLanguage) => {
+    setSearchParams(newLanguage === "en" ? {} : { lang: newLanguage });
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8 flex flex-col lg:flex-row lg:items-end gap-4 lg:justify-between">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-gray-100 flex items-center gap-3">
+              <PaintBrushIcon className="w-8 h-8 text-purple-500" />
+              Artists
+            </h1>
+            <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+              {isLoading
+                ? "Counting cards..."
+                : `${artists.length} illustrators in the card catalog`}
+            </p>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <div className="relative">
+              <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => {
+                  setSearchTerm(e.target.value);
+                  setVisibleCount(PAGE_SIZE);
+                }}
+                placeholder="Search artists..."
+                className="pl-9 pr-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              aria-label="Sort artists"
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <LanguageSelect value={language} onChange={handleLanguageChange} />
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-950 border border-red-200 dark:border-red-800 rounded-lg p-4 text-sm text-red-600 dark:text-red-400 mb-6">
+            {error}
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center py-16">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+          </div>
+        ) : filteredArtists.length === 0 ? (
+          <div className="text-center py-16 text-gray-500 dark:text-gray-400">
+            No artists match "{searchTerm}".
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+              {filteredArtists.slice(0, visibleCount).map((artist) => (
+                <Link
+                  key={artist.name}
+                  to={getArtistPath(artist.name, language)}
+                  className="flex items-center gap-4 p-3 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl hover:border-purple-400 hover:shadow-md transition-all"
+                >
+                  <img
+                    src={artist.sampleCard?.images?.small}
+                    alt=""
+                    loading="lazy"
+                    className="w-14 rounded-md flex-shrink-0"
+                  />
+                  <div className="min-w-0">
+                    <div className="font-semibold text-gray-900 dark:text-gray-100 truncate">
+                      {artist.name}
+                    </div>
+                    <div className="text-sm text-gray-600 dark:text-gray-400">
+                      {artist.cardCount} card
+                      {artist.cardCount !== 1 ? "s" : ""} · {artist.setCount}{" "}
+                      set{artist.setCount !== 1 ? "s" : ""}
+                    </div>
+                    {artist.firstRelease && (
+                      <div className="text-xs text-gray-500 dark:text-gray-500">
+                        {getYear(artist.firstRelease) ===
+                        getYear(artist.lastRelease)
+                          ? getYear(artist.firstRelease)
+                          : `${getYear(artist.firstRelease)}–${getYear(
+                              artist.lastRelease
+                            )}`}
+                      </div>
+                    )}
+                  </div>
+                </Link>
+              ))}
+            </div>
+
+            {visibleCount < filteredArtists.length && (
+              <div className="flex justify-center mt-8">
+                <button
+                  onClick={() => setVisibleCount((count) => count + PAGE_SIZE)}
+                  className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors text-sm"
+                >
+                  Show more ({filteredArtists.length - visibleCount} left)
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ArtistsPage;
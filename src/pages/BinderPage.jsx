@@ -1,12 +1,19 @@
-import { useEffect, useState } from "react";
-import { useNavigate, useParams } from "react-router-dom";
+import { useEffect, useMemo, useState } from "react";
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
 import { toast } from "react-hot-toast";
+import { useSetAtom } from "jotai";
 import { useBinderContext } from "../contexts/BinderContext";
 import { Button } from "../components/ui/Button";
 import BinderContainer from "../components/binder/BinderContainer";
+import BinderPresence from "../components/binder/BinderPresence";
 import CardModal from "../components/ui/CardModal";
 import { useRules } from "../contexts/RulesContext";
 import { SelectionProvider } from "../contexts/selection";
+import { getGridConfig } from "../utils/binderGrids";
+import { highlightedPositionAtom } from "../atoms/binderFilterAtoms";
+
+// How long a slot opened from "Find in my binders" stays highlighted
+const HIGHLIGHT_DURATION = 4000;
 
 /**
  * BinderPage - Slim orchestrator component for binder editing
@@ -16,16 +23,26 @@ import { SelectionProvider } from "../contexts/selection";
 const BinderPage = () => {
   const navigate = useNavigate();
   const { id: binderId } = useParams();
-  const { currentBinder, binders, selectBinder, canAccessBinder } =
-    useBinderContext();
+  const [searchParams] = useSearchParams();
+  const setHighlightedPosition = useSetAtom(highlightedPositionAtom);
+  const {
+    currentBinder,
+    binders,
+    sharedBinders,
+    selectBinder,
+    getBinderRole,
+    updateCardInBinder,
+  } = useBinderContext();
 
   // Auto-select binder based on URL parameter with security check
   useEffect(() => {
-    if (binderId && binders.length > 0) {
-      const targetBinder = binders.find((binder) => binder.id === binderId);
+    if (binderId && (binders.length > 0 || sharedBinders.length > 0)) {
+      const targetBinder = [...binders, ...sharedBinders].find(
+        (binder) => binder.id === binderId
+      );
       if (targetBinder) {
-        // Security check: Verify user can access this binder
-        if (!canAccessBinder(binderId)) {
+        // Security check: Verify user owns the binder or it was shared with them
+        if (!getBinderRole(binderId)) {
           console.warn(`Access denied: User cannot access binder ${binderId}`);
           toast.error("Access denied: This binder belongs to another user");
           navigate("/binders", { replace: true });
@@ -44,12 +61,40 @@ const BinderPage = () => {
   }, [
     binderId,
     binders,
+    sharedBinders,
     currentBinder,
     selectBinder,
     navigate,
-    canAccessBinder,
+    getBinderRole,
   ]);
 
+  // Card position of a ?page=3&slot=5 link (both 1-based), once the binder
+  // from the URL is the current one
+  const gridSize = currentBinder?.settings?.gridSize || "3x3";
+  const isUrlBinderSelected = currentBinder?.id === binderId;
+  const focusPosition = useMemo(() => {
+    const page = parseInt(searchParams.get("page"), 10);
+    const slot = parseInt(searchParams.get("slot"), 10);
+    if (!isUrlBinderSelected || !(page > 0) || !(slot > 0)) return null;
+
+    const cardsPerPage = getGridConfig(gridSize).total;
+    return (page - 1) * cardsPerPage + Math.min(slot, cardsPerPage) - 1;
+  }, [searchParams, gridSize, isUrlBinderSelected]);
+
+  // Highlight the linked slot for a moment
+  useEffect(() => {
+    if (focusPosition === null) return;
+    setHighlightedPosition(focusPosition);
+    const timeout = setTimeout(
+      () => setHighlightedPosition(null),
+      HIGHLIGHT_DURATION
+    );
+    return () => {
+      clearTimeout(timeout);
+      setHighlightedPosition(null);
+    };
+  }, [focusPosition, setHighlightedPosition]);
+
   // Error handler for binder operations
   const handleError = (error) => {
     console.error("Binder operation failed:", error);
@@ -59,6 +104,31 @@ const BinderPage = () => {
   // Selected card state for modal view
   const [selectedCard, setSelectedCard] = useState(null);
 
+  // Slot of the selected card, read from the binder so edits made in the
+  // modal show up right away
+  const selectedSlot = useMemo(() => {
+    const instanceId = selectedCard?.binderMetadata?.instanceId;
+    if (!instanceId || !currentBinder?.cards) return null;
+
+    const match = Object.entries(currentBinder.cards).find(
+      ([, entry]) => entry?.instanceId === instanceId
+    );
+    return match ? { position: parseInt(match[0], 10), entry: match[1] } : null;
+  }, [selectedCard, currentBinder]);
+
+  const handleUpdateSelectedCard = async (cardUpdates) => {
+    if (!selectedSlot) return;
+    try {
+      await updateCardInBinder(
+        currentBinder.id,
+        selectedSlot.position,
+        cardUpdates
+      );
+    } catch (error) {
+      handleError(error);
+    }
+  };
+
   // Navigation handlers
   const handleCardClick = (card) => {
     // Toggle modal
@@ -79,6 +149,10 @@ const BinderPage = () => {
     // Optional: Update URL with page parameter in the future
   };
 
+  // Viewers of a shared binder can look but not change anything
+  const role = currentBinder ? getBinderRole(currentBinder.id) : null;
+  const isViewer = role === "viewer";
+
   // Don't render if no binder selected
   if (!currentBinder) {
     return (
@@ -111,20 +185,32 @@ const BinderPage = () => {
     <SelectionProvider>
       <BinderContainer
         binder={currentBinder}
-        mode="edit"
+        mode={isViewer ? "readonly" : "edit"}
+        focusPosition={focusPosition}
         onCardClick={handleCardClick}
         onCardDelete={handleCardDelete}
         onPageChange={handlePageChange}
         onError={handleError}
       />
 
+      {/* Who else has a shared binder open */}
+      <BinderPresence binder={currentBinder} role={role} />
+
       {/* Card Preview Modal */}
       <CardModal
-        selectedCard={selectedCard}
+        selectedCard={
+          selectedSlot
+            ? { ...selectedCard, binderMetadata: selectedSlot.entry }
+            : selectedCard
+        }
         onClose={() => setSelectedCard(null)}
+        onUpdateCard={
+          selectedSlot && !isViewer ? handleUpdateSelectedCard : undefined
+        }
         showArtist={true}
         showTypes={true}
         showNotes={false}
+        showLocations={true}
       />
     </SelectionProvider>
   );
@@ -10,6 +10,9 @@ import DeleteBinderModal from "../components/binder/DeleteBinderModal";
 import PublicBinderShowcase from "../components/binder/PublicBinderShowcase";
 import BinderCard from "../components/binder/BinderCard";
 import BinderCustomizationModal from "../components/binder/BinderCustomizationModal";
+import CollaboratorsModal from "../components/binder/CollaboratorsModal";
+import useCardPrices from "../hooks/useCardPrices";
+import { isSharedWithUser } from "../utils/collaborators";
 import {
   PlusIcon,
   MagnifyingGlassIcon,
@@ -25,9 +28,11 @@ import {
   FolderIcon,
   CalendarDaysIcon,
   PhotoIcon,
+  CurrencyDollarIcon,
   ExclamationTriangleIcon as ExclamationTriangleIconOutline,
   GlobeAltIcon,
   LockClosedIcon,
+  UserGroupIcon,
 } from "@heroicons/react/24/outline";
 import {
   CheckCircleIcon,
@@ -40,6 +45,7 @@ const BindersPage = () => {
   const { canPerformAction } = useRules();
   const {
     binders,
+    sharedBinders,
     currentBinder,
     isLoading,
     createBinder,
@@ -52,6 +58,7 @@ const BindersPage = () => {
     saveBinderToCloud,
     updateBinderPrivacy,
   } = useBinderContext();
+  const { getBinderValue, formatValue } = useCardPrices({ binders });
 
   // UI State
   const [viewMode, setViewMode] = useState("grid"); // 'grid' | 'list'
@@ -74,6 +81,7 @@ const BindersPage = () => {
   // Customization modal state
   const [showCustomizationModal, setShowCustomizationModal] = useState(false);
   const [binderToCustomize, setBinderToCustomize] = useState(null);
+  const [collaboratorsBinderId, setCollaboratorsBinderId] = useState(null);
 
   // Limits tracking state
   const [limits, setLimits] = useState({
@@ -223,6 +231,9 @@ const BindersPage = () => {
     // Guest binder (created without login)
     if (binder.ownerId === "local_user") return "guest";
 
+    // Binder another user shared with the current user
+    if (isSharedWithUser(binder, user?.uid)) return "shared";
+
     // Local-only (belongs to another user)
     if (isLocalOnlyBinder(binder)) return "local";
 
@@ -256,6 +267,8 @@ const BindersPage = () => {
         return <ExclamationTriangleIcon className="w-4 h-4 text-orange-500" />;
       case "guest":
         return <ComputerDesktopIcon className="w-4 h-4 text-blue-500" />;
+      case "shared":
+        return <UserGroupIcon className="w-4 h-4 text-purple-500" />;
       default:
         return null;
     }
@@ -271,6 +284,8 @@ const BindersPage = () => {
         return "Local Only";
       case "guest":
         return "Guest Binder";
+      case "shared":
+        return "Shared with you";
       default:
         return "";
     }
@@ -293,9 +308,13 @@ const BindersPage = () => {
       (sum, b) => sum + Object.keys(b.cards || {}).length,
       0
     );
+    const totalValue = binders.reduce(
+      (sum, b) => sum + getBinderValue(b).total,
+      0
+    );
 
-    return { total, synced, unsaved, localOnly, guest, totalCards };
-  }, [binders, user, isLocalOnlyBinder, isOwnedByCurrentUser]);
+    return { total, synced, unsaved, localOnly, guest, totalCards, totalValue };
+  }, [binders, user, isLocalOnlyBinder, isOwnedByCurrentUser, getBinderValue]);
 
   const handleCreateBinder = async (e) => {
     e.preventDefault();
@@ -357,6 +376,10 @@ const BindersPage = () => {
     }
   };
 
+  const handleManageCollaborators = (binder) => {
+    setCollaboratorsBinderId(binder.id);
+  };
+
   const handleCustomizeBinder = (binder) => {
     setBinderToCustomize(binder);
     setShowCustomizationModal(true);
@@ -426,6 +449,14 @@ const BindersPage = () => {
                   <PhotoIcon className="w-4 h-4 flex-shrink-0" />
                   <span>{stats.totalCards} total cards</span>
                 </div>
+                {stats.totalValue > 0 && (
+                  <div className="flex items-center gap-2">
+                    <CurrencyDollarIcon className="w-4 h-4 text-green-600 flex-shrink-0" />
+                    <span>
+                      {formatValue(stats.totalValue)} collection value
+                    </span>
+                  </div>
+                )}
                 <div className="flex items-center gap-2">
                   <span className="w-2 h-2 bg-gray-300 rounded-full flex-shrink-0"></span>
                   <span>
@@ -618,6 +649,7 @@ const BindersPage = () => {
               const isGuestBinder = status === "guest";
               const isGuestBinderInaccessible = isGuestBinder && user; // Only inaccessible if user is logged in
               const cardCount = Object.keys(binder.cards || {}).length;
+              const binderValue = getBinderValue(binder).total;
 
               if (viewMode === "list") {
                 return (
@@ -687,6 +719,12 @@ const BindersPage = () => {
                             }`}
                           >
                             <span>{cardCount} cards</span>
+                            {binderValue > 0 && (
+                              <span className="flex items-center gap-1 text-green-700 dark:text-green-400">
+                                <CurrencyDollarIcon className="w-4 h-4 flex-shrink-0" />
+                                {formatValue(binderValue)}
+                              </span>
+                            )}
                             <span className="flex items-center gap-1">
                               <CalendarDaysIcon className="w-4 h-4 flex-shrink-0" />
                               <span className="hidden sm:inline">
@@ -816,11 +854,44 @@ const BindersPage = () => {
                   user={user}
                   canCreateNewBinder={limits.binders.canCreate}
                   onCustomize={handleCustomizeBinder}
+                  onManageCollaborators={
+                    user ? handleManageCollaborators : null
+                  }
+                  binderValue={
+                    binderValue > 0 ? formatValue(binderValue) : null
+                  }
                 />
               );
             })}
           </div>
         )}
+
+        {/* Binders other users shared with the current user */}
+        {sharedBinders.length > 0 && (
+          <div className="mt-10">
+            <h2 className="flex items-center gap-2 text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">
+              <UserGroupIcon className="w-5 h-5 text-purple-500" />
+              Shared with You
+            </h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-2 xl:grid-cols-3 gap-4 sm:gap-6">
+              {sharedBinders.map((binder) => (
+                <BinderCard
+                  key={binder.id}
+                  binder={binder}
+                  showDeleteButton={false}
+                  showPublicToggle={false}
+                  showClaimButton={false}
+                  showDropdownMenu={false}
+                  onSelect={handleSelectBinder}
+                  getBinderStatus={getBinderStatus}
+                  getStatusIcon={getStatusIcon}
+                  getStatusText={getStatusText}
+                  user={user}
+                />
+              ))}
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Delete Confirmation Modal */}
@@ -835,6 +906,13 @@ const BindersPage = () => {
         isLoading={isDeleting}
       />
 
+      {/* Collaborators Modal */}
+      <CollaboratorsModal
+        isOpen={Boolean(collaboratorsBinderId)}
+        onClose={() => setCollaboratorsBinderId(null)}
+        binder={binders.find((binder) => binder.id === collaboratorsBinderId)}
+      />
+
       {/* Customization Modal */}
       {showCustomizationModal && (
         <BinderCustomizationModal
@@ -0,0 +1,285 @@
+import { useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import {
+  ChartPieIcon,
+  MagnifyingGlassIcon,
+  Square2StackIcon,
+} from "@heroicons/react/24/outline";
+import { useAuth } from "../hooks/useAuth";
+import useUserProfile from "../hooks/useUserProfile";
+import useCollectionProgress from "../hooks/useCollectionProgress";
+import { useDocumentHead } from "../hooks/useDocumentHead";
+import LanguageSelect from "../components/ui/LanguageSelect";
+import ProgressBar from "../components/progress/ProgressBar";
+import SetProgressCard from "../components/progress/SetProgressCard";
+import CollectionProgressToggle from "../components/progress/CollectionProgressToggle";
+import { normalizeText } from "../utils/cardQuery";
+import { getProgressPercent } from "../utils/collectionProgress";
+
+const PAGE_SIZE = 30;
+
+const SHOW_OPTIONS = [
+  { value: "started", label: "Started sets" },
+  { value: "incomplete", label: "Incomplete sets" },
+  { value: "completed", label: "Completed sets" },
+  { value: "all", label: "All sets" },
+];
+
+const SORT_OPTIONS = [
+  { value: "recent", label: "Newest first" },
+  { value: "oldest", label: "Oldest first" },
+  { value: "progress", label: "Most complete" },
+  { value: "name", label: "Name" },
+];
+
+const isComplete = (entry) => entry.total > 0 && entry.owned >= entry.total;
+
+/**
+ * CollectionProgressPage - How complete every set is across all binders
+ * Each set expands to its rarity and printing breakdown and missing cards.
+ */
+const CollectionProgressPage = () => {
+  const { user } = useAuth();
+  const { userProfile } = useUserProfile(user);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const language = searchParams.get("lang") || "en";
+  const { progress, totals, isLoading, error } = useCollectionProgress(
+    language,
+    userProfile
+  );
+
+  const [searchTerm, setSearchTerm] = useState("");
+  const [series, setSeries] = useState("");
+  const [show, setShow] = useState("started");
+  const [sortBy, setSortBy] = useState("recent");
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  useDocumentHead({
+    title: "Collection Progress | PkmnBindr",
+    description:
+      "Track how complete your Pokemon card sets are across all of your binders",
+  });
+
+  const seriesOptions = useMemo(
+    () => [...new Set(progress.map((entry) => entry.set.series))],
+    [progress]
+  );
+
+  const visibleProgress = useMemo(() => {
+    const term = normalizeText(searchTerm.trim());
+    const matching = progress.filter((entry) => {
+      if (series && entry.set.series !== series) return false;
+      if (show === "started" && entry.owned === 0) return false;
+      if (show === "incomplete" && (entry.owned === 0 || isComplete(entry))) {
+        return false;
+      }
+      if (show === "completed" && !isComplete(entry)) return false;
+      return !term || normalizeText(entry.set.name).includes(term);
+    });
+
+    const byRelease = (a, b) =>
+      (a.set.releaseDate || "").localeCompare(b.set.releaseDate || "");
+    if (sortBy === "oldest") return [...matching].sort(byRelease);
+    if (sortBy === "name") {
+      return [...matching].sort((a, b) => a.set.name.localeCompare(b.set.name));
+    }
+    if (sortBy === "progress") {
+      return [...matching].sort(
+        (a, b) => b.owned / b.total - a.owned / a.total || byRelease(b, a)
+      );
+    }
+    return [...matching].sort((a, b) => byRelease(b, a));
+  }, [progress, searchTerm, series, show, sortBy]);
+
+  const resetPaging = () => setVisibleCount(PAGE_SIZE);
+
+  const handleLanguageChange = (newLanguage) => {
+    setSearchParams(newLanguage === "en" ? {} : { lang: newLanguage });
+    setSeries("");
+    resetPaging();
+  };
+
+  const selectClassName =
+    "px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-6 flex flex-col lg:flex-row lg:items-end gap-4 lg:justify-between">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-gray-100 flex items-center gap-3">
+              <ChartPieIcon className="w-8 h-8 text-blue-500" />
+              Collection Progress
+            </h1>
+            <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+              Counted across all of your binders. Cards marked as missing don't
+              count as owned.
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Link
+              to="/duplicates"
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors flex items-center gap-2 text-sm"
+            >
+              <Square2StackIcon className="w-4 h-4" />
+              Duplicates
+            </Link>
+            <LanguageSelect value={language} onChange={handleLanguageChange} />
+          </div>
+        </div>
+
+        {/* Totals */}
+        {!isLoading && (
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+            {[
+              { label: "Sets Started", value: totals.setsStarted },
+              { label: "Sets Completed", value: totals.setsCompleted },
+              { label: "Unique Cards Owned", value: totals.owned },
+              {
+                label: "Of the Whole Catalog",
+                value: `${getProgressPercent(totals.owned, totals.total)}%`,
+              },
+            ].map((stat) => (
+              <div
+                key={stat.label}
+                className="bg-card-background rounded-xl border border-border dark:border-slate-700/80 p-4"
+              >
+                <div className="text-2xl font-bold text-primary dark:text-slate-100">
+                  {stat.value}
+                </div>
+                <div className="text-sm text-slate-500 dark:text-slate-400">
+                  {stat.label}
+                </div>
+              </div>
+            ))}
+            <div className="col-span-2 lg:col-span-4">
+              <ProgressBar
+                label="Catalog"
+                owned={totals.owned}
+                total={totals.total}
+              />
+            </div>
+          </div>
+        )}
+
+        {user && userProfile?.uid && (
+          <div className="bg-card-background rounded-xl border border-border dark:border-slate-700/80 p-4 mb-6">
+            <CollectionProgressToggle
+              userProfile={userProfile}
+              publish={false}
+            />
+            {userProfile.showCollectionProgress && language !== "en" && (
+              <p className="mt-2 text-xs text-slate-500 dark:text-slate-400">
+                Your profile shows your progress in the English catalog.
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          <div className="relative">
+            <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => {
+                setSearchTerm(e.target.value);
+                resetPaging();
+              }}
+              placeholder="Search sets..."
+              className="pl-9 pr-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <select
+            value={show}
+            onChange={(e) => {
+              setShow(e.target.value);
+              resetPaging();
+            }}
+            className={selectClassName}
+            aria-label="Show sets"
+          >
+            {SHOW_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={series}
+            onChange={(e) => {
+              setSeries(e.target.value);
+              resetPaging();
+            }}
+            className={selectClassName}
+            aria-label="Filter by series"
+          >
+            <option value="">All series</option>
+            {seriesOptions.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            className={selectClassName}
+            aria-label="Sort sets"
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-950 border border-red-200 dark:border-red-800 rounded-lg p-4 text-sm text-red-600 dark:text-red-400 mb-6">
+            {error}
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center py-16">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+          </div>
+        ) : visibleProgress.length === 0 ? (
+          <div className="text-center py-16 text-gray-500 dark:text-gray-400">
+            {show === "started" && totals.setsStarted === 0
+              ? "Add cards to your binders to start tracking your sets."
+              : "No sets match these filters."}
+          </div>
+        ) : (
+          <>
+            <div className="space-y-3">
+              {visibleProgress.slice(0, visibleCount).map((entry) => (
+                <SetProgressCard
+                  key={entry.set.id}
+                  entry={entry}
+                  language={language}
+                />
+              ))}
+            </div>
+
+            {visibleCount < visibleProgress.length && (
+              <div className="flex justify-center mt-8">
+                <button
+                  onClick={() => setVisibleCount((count) => count + PAGE_SIZE)}
+                  className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors text-sm"
+                >
+                  Show more ({visibleProgress.length - visibleCount} left)
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CollectionProgressPage;
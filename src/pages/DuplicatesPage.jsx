@@ -0,0 +1,323 @@
+import { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  ArrowsRightLeftIcon,
+  MagnifyingGlassIcon,
+  Square2StackIcon,
+} from "@heroicons/react/24/outline";
+import { toast } from "react-hot-toast";
+import { useBinderContext } from "../contexts/BinderContext";
+import useInventory from "../hooks/useInventory";
+import useCardPrices from "../hooks/useCardPrices";
+import { useDocumentHead } from "../hooks/useDocumentHead";
+import { getVariantLabel } from "../utils/cardValuation";
+import { getConditionInfo } from "../utils/cardCondition";
+import { DEFAULT_LANGUAGE, getLanguageInfo } from "../utils/cardLanguages";
+import { normalizeText } from "../utils/cardQuery";
+import { findDuplicates, getLocationPath } from "../utils/inventory";
+
+const PAGE_SIZE = 50;
+
+const SORT_OPTIONS = [
+  { value: "surplus", label: "Most surplus" },
+  { value: "value", label: "Highest value" },
+  { value: "name", label: "Name" },
+  { value: "set", label: "Set" },
+];
+
+// Price lookup entry of a duplicate group (one copy)
+const toCardEntry = (duplicate) => ({
+  cardId: duplicate.cardId,
+  cardData: duplicate.cardData,
+  variant: duplicate.variant,
+});
+
+/**
+ * DuplicatesPage - Cards owned more than once across all binders
+ * Every copy past the first is surplus and can be offered for trade.
+ */
+const DuplicatesPage = () => {
+  const { index } = useInventory();
+  const { updateCardInBinder } = useBinderContext();
+  const duplicates = useMemo(() => findDuplicates(index), [index]);
+  const cardEntries = useMemo(() => duplicates.map(toCardEntry), [duplicates]);
+  const { getCardValue, formatValue } = useCardPrices({ cardEntries });
+
+  const [searchTerm, setSearchTerm] = useState("");
+  const [sortBy, setSortBy] = useState("surplus");
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  useDocumentHead({
+    title: "Duplicates | PkmnBindr",
+    description:
+      "Find the Pokemon cards you own more than once across your binders",
+  });
+
+  const visibleDuplicates = useMemo(() => {
+    const getSurplusValue = (duplicate) =>
+      (getCardValue(toCardEntry(duplicate))?.value || 0) * duplicate.surplus;
+    const term = normalizeText(searchTerm.trim());
+    const matching = duplicates.filter(
+      (duplicate) =>
+        !term ||
+        normalizeText(duplicate.cardData?.name || "").includes(term) ||
+        normalizeText(duplicate.cardData?.set?.name || "").includes(term)
+    );
+
+    if (sortBy === "value") {
+      return [...matching].sort(
+        (a, b) => getSurplusValue(b) - getSurplusValue(a)
+      );
+    }
+    if (sortBy === "name") {
+      return [...matching].sort((a, b) =>
+        (a.cardData?.name || "").localeCompare(b.cardData?.name || "")
+      );
+    }
+    if (sortBy === "set") {
+      return [...matching].sort(
+        (a, b) =>
+          (a.cardData?.set?.name || "").localeCompare(
+            b.cardData?.set?.name || ""
+          ) ||
+          (parseInt(a.cardData?.number, 10) || 0) -
+            (parseInt(b.cardData?.number, 10) || 0)
+      );
+    }
+    return matching;
+  }, [duplicates, searchTerm, sortBy, getCardValue]);
+
+  // The first copy is kept; every other slot goes on (or off) the trade list
+  const handleToggleSurplusForTrade = async (duplicate) => {
+    const surplusLocations = duplicate.locations.slice(1);
+    const forTrade = !surplusLocations.every((location) => location.forTrade);
+    try {
+      await Promise.all(
+        surplusLocations.map((location) =>
+          updateCardInBinder(location.binderId, location.position, {
+            forTrade,
+          })
+        )
+      );
+      toast.success(
+        forTrade
+          ? "Surplus copies added to your trade list"
+          : "Surplus copies removed from your trade list"
+      );
+    } catch (error) {
+      console.error("Failed to update trade list:", error);
+    }
+  };
+
+  const totals = useMemo(
+    () => ({
+      cards: duplicates.length,
+      surplus: duplicates.reduce(
+        (sum, duplicate) => sum + duplicate.surplus,
+        0
+      ),
+      value: duplicates.reduce(
+        (sum, duplicate) =>
+          sum +
+          (getCardValue(toCardEntry(duplicate))?.value || 0) *
+            duplicate.surplus,
+        0
+      ),
+    }),
+    [duplicates, getCardValue]
+  );
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-6">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-gray-100 flex items-center gap-3">
+            <Square2StackIcon className="w-8 h-8 text-amber-500" />
+            Duplicates
+          </h1>
+          <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+            Cards you own more than once across your binders, per printing and
+            language. Every copy past the first is available for trade. Cards
+            marked as missing aren't counted.
+          </p>
+        </div>
+
+        {/* Totals */}
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+          {[
+            { label: "Cards With Duplicates", value: totals.cards },
+            { label: "Surplus Copies", value: totals.surplus },
+            { label: "Surplus Value", value: formatValue(totals.value) },
+          ].map((stat) => (
+            <div
+              key={stat.label}
+              className="bg-card-background rounded-xl border border-border dark:border-slate-700/80 p-4"
+            >
+              <div className="text-2xl font-bold text-primary dark:text-slate-100">
+                {stat.value}
+              </div>
+              <div className="text-sm text-slate-500 dark:text-slate-400">
+                {stat.label}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          <div className="relative">
+            <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => {
+                setSearchTerm(e.target.value);
+                setVisibleCount(PAGE_SIZE);
+              }}
+              placeholder="Search cards or sets..."
+              className="pl-9 pr-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label="Sort duplicates"
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {visibleDuplicates.length === 0 ? (
+          <div className="text-center py-16 text-gray-500 dark:text-gray-400">
+            {duplicates.length === 0
+              ? "You don't own any card more than once."
+              : "No duplicates match your search."}
+          </div>
+        ) : (
+          <>
+            <div className="space-y-3">
+              {visibleDuplicates.slice(0, visibleCount).map((duplicate) => {
+                const unitValue = getCardValue(toCardEntry(duplicate));
+                const { cardData } = duplicate;
+                const surplusLocations = duplicate.locations.slice(1);
+                const isListed =
+                  surplusLocations.length > 0 &&
+                  surplusLocations.every((location) => location.forTrade);
+
+                return (
+                  <div
+                    key={duplicate.key}
+                    className="bg-card-background rounded-xl border border-border dark:border-slate-700/80 p-4 flex gap-4"
+                  >
+                    <img
+                      src={cardData?.imageSmall || cardData?.image}
+                      alt={cardData?.name || duplicate.cardId}
+                      loading="lazy"
+                      className="w-16 sm:w-20 rounded-md self-start bg-slate-100 dark:bg-slate-700"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <div className="flex flex-wrap items-baseline justify-between gap-x-4 gap-y-1">
+                        <div className="min-w-0">
+                          <span className="font-semibold text-primary dark:text-slate-100">
+                            {cardData?.name || duplicate.cardId}
+                          </span>
+                          <span className="ml-2 text-xs text-slate-500 dark:text-slate-400">
+                            {cardData?.set?.name}
+                            {cardData?.number && ` · ${cardData.number}`}
+                            {duplicate.variant &&
+                              ` · ${getVariantLabel(duplicate.variant)}`}
+                            {duplicate.language !== DEFAULT_LANGUAGE &&
+                              ` · ${getLanguageInfo(duplicate.language).label}`}
+                          </span>
+                        </div>
+                        <div className="text-sm whitespace-nowrap">
+                          <span className="text-slate-500 dark:text-slate-400">
+                            Owned {duplicate.owned} ·{" "}
+                          </span>
+                          <span className="font-semibold text-amber-600 dark:text-amber-400">
+                            {duplicate.surplus} surplus
+                          </span>
+                          {unitValue && (
+                            <span className="ml-2 text-green-700 dark:text-green-400">
+                              {formatValue(
+                                unitValue.value * duplicate.surplus,
+                                unitValue.currency
+                              )}
+                            </span>
+                          )}
+                        </div>
+                      </div>
+
+                      <ul className="mt-3 flex flex-wrap gap-2">
+                        {duplicate.locations.map((location) => (
+                          <li key={`${location.binderId}-${location.position}`}>
+                            <Link
+                              to={getLocationPath(location)}
+                              className="inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-blue-50 dark:hover:bg-blue-900/30 transition-colors"
+                              title={getConditionInfo(location.condition).label}
+                            >
+                              <span className="font-medium">
+                                {location.binderName}
+                              </span>
+                              <span className="text-slate-500 dark:text-slate-400">
+                                p.{location.page} · slot {location.slot} ·{" "}
+                                {getConditionInfo(location.condition).short}
+                                {location.quantity > 1 &&
+                                  ` · ×${location.quantity}`}
+                              </span>
+                              {location.forTrade && (
+                                <ArrowsRightLeftIcon
+                                  className="w-3.5 h-3.5 text-blue-600 dark:text-blue-400"
+                                  title="Available for trade"
+                                />
+                              )}
+                            </Link>
+                          </li>
+                        ))}
+                      </ul>
+
+                      {surplusLocations.length > 0 && (
+                        <button
+                          onClick={() => handleToggleSurplusForTrade(duplicate)}
+                          className={`mt-3 inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-medium transition-colors ${
+                            isListed
+                              ? "bg-blue-50 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300 hover:bg-blue-100 dark:hover:bg-blue-900/50"
+                              : "border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800"
+                          }`}
+                        >
+                          <ArrowsRightLeftIcon className="w-4 h-4" />
+                          {isListed
+                            ? "Surplus listed for trade"
+                            : "Mark surplus for trade"}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            {visibleCount < visibleDuplicates.length && (
+              <div className="flex justify-center mt-8">
+                <button
+                  onClick={() => setVisibleCount((count) => count + PAGE_SIZE)}
+                  className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors text-sm"
+                >
+                  Show more ({visibleDuplicates.length - visibleCount} left)
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DuplicatesPage;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import { Link, useLocation } from "react-router-dom";
+import { Link, useLocation, useSearchParams } from "react-router-dom";
 import { useMessages, useConversationMessages } from "../hooks/useMessages";
 import { useAuth, useOwner } from "../hooks/useAuth";
 import { Button } from "../components/ui/Button";
@@ -7,12 +7,17 @@ import { InboxIcon as InboxSolid } from "@heroicons/react/24/solid";
 import ConversationList from "../components/messages/ConversationList";
 import ConversationView from "../components/messages/ConversationView";
 import NewConversationModal from "../components/messages/NewConversationModal";
+import TradeList from "../components/trades/TradeList";
+import TradeView from "../components/trades/TradeView";
+import useTrades from "../hooks/useTrades";
+import useTradeList from "../hooks/useTradeList";
 import { useMediaQuery } from "react-responsive";
 
 const MessagesPage = () => {
   const { user } = useAuth();
   const isOwner = useOwner();
   const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
   const isMobile = useMediaQuery({ query: "(max-width: 768px)" });
 
   const {
@@ -26,6 +31,23 @@ const MessagesPage = () => {
     startConversation,
   } = useMessages();
 
+  const tradeActions = useTrades();
+  const { items: myTradeItems } = useTradeList();
+  const {
+    trades,
+    loading: tradesLoading,
+    unreadCount: tradesUnread,
+    markAsRead: markTradeAsRead,
+  } = tradeActions;
+
+  // Trades share the page with conversations: ?tab=trades&trade=<id>
+  const activeTab =
+    searchParams.get("tab") === "trades" ? "trades" : "messages";
+  const selectedTrade =
+    trades.find((trade) => trade.id === searchParams.get("trade")) || null;
+  const selectedTradeId = selectedTrade?.id;
+  const selectedTradeUnread = selectedTrade?.unreadBy?.[user?.uid] || 0;
+
   const [selectedConversation, setSelectedConversation] = useState(null);
   const [showNewConversationModal, setShowNewConversationModal] =
     useState(false);
@@ -57,6 +79,12 @@ const MessagesPage = () => {
     }
   }, [selectedConversation, markAsRead, isOwner]);
 
+  useEffect(() => {
+    if (selectedTradeId && selectedTradeUnread > 0) {
+      markTradeAsRead(selectedTradeId);
+    }
+  }, [selectedTradeId, selectedTradeUnread, markTradeAsRead]);
+
   useEffect(() => {
     if (
       !isMobile &&
@@ -121,6 +149,16 @@ const MessagesPage = () => {
     setSelectedConversation(null);
   };
 
+  const handleSelectTab = (tab) => {
+    setSearchParams(tab === "trades" ? { tab } : {});
+  };
+
+  const handleSelectTrade = (trade) => {
+    setSearchParams(
+      trade ? { tab: "trades", trade: trade.id } : { tab: "trades" }
+    );
+  };
+
   if (!user) {
     return (
       <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center">
@@ -157,43 +195,90 @@ const MessagesPage = () => {
 
   const showConversationView = isMobile ? selectedConversation !== null : true;
   const showConversationList = isMobile ? selectedConversation === null : true;
+  const showTradeView = isMobile ? selectedTrade !== null : true;
+  const showTradeList = isMobile ? selectedTrade === null : true;
 
   return (
     <div className="min-h-screen bg-background">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
-        <div className="mb-8"></div>
+        <div className="mb-4 flex gap-2">
+          {[
+            { id: "messages", label: "Messages", count: unreadCount },
+            { id: "trades", label: "Trades", count: tradesUnread },
+          ].map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => handleSelectTab(tab.id)}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                activeTab === tab.id
+                  ? "bg-blue-600 text-white"
+                  : "bg-card-background border border-border text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800"
+              }`}
+            >
+              {tab.label}
+              {tab.count > 0 && (
+                <span className="bg-red-500 text-white text-xs rounded-full min-w-[1.25rem] h-5 px-1 flex items-center justify-center">
+                  {tab.count > 9 ? "9+" : tab.count}
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
 
         <div
           className="bg-card-background rounded-xl shadow-lg border border-border overflow-hidden"
           style={{ height: "calc(100vh - 200px)" }}
         >
-          <div className="flex h-full">
-            {showConversationList && (
-              <ConversationList
-                conversations={conversations}
-                loading={loading}
-                isOwner={isOwner}
-                selectedConversation={selectedConversation}
-                userProfiles={userProfiles}
-                setUserProfiles={setUserProfiles}
-                onSelectConversation={handleSelectConversation}
-              />
-            )}
-
-            {showConversationView && (
-              <ConversationView
-                user={user}
-                isOwner={isOwner}
-                selectedConversation={selectedConversation}
-                userProfiles={userProfiles}
-                messages={messages}
-                messagesLoading={messagesLoading}
-                onSendMessage={handleSendMessage}
-                onDeleteConversation={handleDeleteConversation}
-                onBack={isMobile ? handleBackToList : null}
-              />
-            )}
-          </div>
+          {activeTab === "trades" ? (
+            <div className="flex h-full">
+              {showTradeList && (
+                <TradeList
+                  trades={trades}
+                  loading={tradesLoading}
+                  userId={user.uid}
+                  selectedTradeId={selectedTrade?.id}
+                  onSelect={handleSelectTrade}
+                />
+              )}
+              {showTradeView && (
+                <TradeView
+                  trade={selectedTrade}
+                  userId={user.uid}
+                  myTradeItems={myTradeItems}
+                  tradeActions={tradeActions}
+                  onBack={isMobile ? () => handleSelectTrade(null) : null}
+                />
+              )}
+            </div>
+          ) : (
+            <div className="flex h-full">
+              {showConversationList && (
+                <ConversationList
+                  conversations={conversations}
+                  loading={loading}
+                  isOwner={isOwner}
+                  selectedConversation={selectedConversation}
+                  userProfiles={userProfiles}
+                  setUserProfiles={setUserProfiles}
+                  onSelectConversation={handleSelectConversation}
+                />
+              )}
+
+              {showConversationView && (
+                <ConversationView
+                  user={user}
+                  isOwner={isOwner}
+                  selectedConversation={selectedConversation}
+                  userProfiles={userProfiles}
+                  messages={messages}
+                  messagesLoading={messagesLoading}
+                  onSendMessage={handleSendMessage}
+                  onDeleteConversation={handleDeleteConversation}
+                  onBack={isMobile ? handleBackToList : null}
+                />
+              )}
+            </div>
+          )}
         </div>
 
         {showNewConversationModal && preSelectedUser && (
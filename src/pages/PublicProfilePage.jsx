@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { useParams, useNavigate } from "react-router-dom";
-import { Folder, Clock } from "lucide-react";
+import { Folder, Clock, PieChart } from "lucide-react";
 import { useAuth } from "../hooks/useAuth";
 import { useBinderContext } from "../contexts/BinderContext";
 import { getUserProfile } from "../utils/userManagement";
@@ -8,6 +8,8 @@ import { usePublicNavigation } from "../hooks/usePublicNavigation";
 import UserProfileCard from "../components/ui/UserProfileCard";
 import BinderCard from "../components/binder/BinderCard";
 import PublicBreadcrumb from "../components/ui/PublicBreadcrumb";
+import PublicCollectionProgress from "../components/progress/PublicCollectionProgress";
+import ProfileTradeList from "../components/trades/ProfileTradeList";
 import { toast } from "react-hot-toast";
 
 const PublicProfilePage = () => {
@@ -109,6 +111,8 @@ const PublicProfilePage = () => {
   }
 
   const isOwnProfile = user?.uid === userId;
+  // Shown when the user opted in (always listed on your own profile)
+  const showProgressTab = profileUser.showCollectionProgress || isOwnProfile;
 
   // Calculate stats from real data
   const stats = {
@@ -169,6 +173,28 @@ const PublicProfilePage = () => {
               >
                 Recent Activity
               </button>
+              <button
+                onClick={() => setActiveTab("trades")}
+                className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === "trades"
+                    ? "border-blue-500 text-blue-600"
+                    : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"
+                }`}
+              >
+                Trade List
+              </button>
+              {showProgressTab && (
+                <button
+                  onClick={() => setActiveTab("progress")}
+                  className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                    activeTab === "progress"
+                      ? "border-blue-500 text-blue-600"
+                      : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"
+                  }`}
+                >
+                  Collection Progress
+                </button>
+              )}
             </nav>
           </div>
 
@@ -221,6 +247,39 @@ const PublicProfilePage = () => {
               </div>
             )}
 
+            {activeTab === "trades" && (
+              <ProfileTradeList
+                key={profileUser.uid}
+                profileUser={profileUser}
+                isOwnProfile={isOwnProfile}
+              />
+            )}
+
+            {activeTab === "progress" &&
+              (profileUser.showCollectionProgress ? (
+                <PublicCollectionProgress
+                  summary={profileUser.collectionProgress}
+                />
+              ) : (
+                <div className="text-center py-12">
+                  <div className="w-16 h-16 mx-auto mb-4 bg-gray-100 rounded-full flex items-center justify-center">
+                    <PieChart className="w-8 h-8 text-gray-400" />
+                  </div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">
+                    Your Progress Is Private
+                  </h3>
+                  <p className="text-gray-500 max-w-sm mx-auto">
+                    Show how complete your sets are to visitors of your profile.
+                  </p>
+                  <button
+                    onClick={() => navigate("/settings")}
+                    className="mt-4 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+                  >
+                    Privacy Settings
+                  </button>
+                </div>
+              ))}
+
             {activeTab === "activity" && (
               <div className="text-center py-12">
                 <div className="w-16 h-16 mx-auto mb-4 bg-gray-100 rounded-full flex items-center justify-center">
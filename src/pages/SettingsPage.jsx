@@ -10,6 +10,7 @@ import UserProfileCard from "../components/ui/UserProfileCard";
 import ChangePasswordForm from "../components/auth/ChangePasswordForm";
 import ChangeDisplayNameForm from "../components/auth/ChangeDisplayNameForm";
 import SecuritySettings from "../components/auth/SecuritySettings";
+import CollectionProgressToggle from "../components/progress/CollectionProgressToggle";
 import {
   ExclamationTriangleIcon,
   ShieldExclamationIcon,
@@ -454,6 +455,7 @@ const SettingsPage = () => {
                 </p>
 
                 <div className="mt-6 pt-6 border-t border-slate-200 dark:border-slate-700 space-y-6">
+                  <CollectionProgressToggle userProfile={userProfile} />
                   <div className="flex items-center justify-between">
                     <div>
                       <h3 className="font-medium text-slate-800 dark:text-slate-200">
@@ -5,7 +5,10 @@ import shareService from "../services/ShareService";
 import { toast } from "react-hot-toast";
 import BinderContainer from "../components/binder/BinderContainer";
 import CardModal from "../components/ui/CardModal";
-import { ExclamationTriangleIcon } from "@heroicons/react/24/outline";
+import {
+  ExclamationTriangleIcon,
+  LockClosedIcon,
+} from "@heroicons/react/24/outline";
 import { useDocumentHead } from "../hooks/useDocumentHead";
 
 /**
@@ -33,6 +36,10 @@ const SharedBinderPage = () => {
   const [error, setError] = useState(null);
   const [selectedCard, setSelectedCard] = useState(null);
   const [showQRCode, setShowQRCode] = useState(false);
+  // Passcode-protected links: the submitted passcode and the form's input
+  const [passcode, setPasscode] = useState("");
+  const [passcodeInput, setPasscodeInput] = useState("");
+  const [passcodeRequired, setPasscodeRequired] = useState(false);
 
   // Cache configuration
   const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes in milliseconds
@@ -106,8 +113,9 @@ const SharedBinderPage = () => {
           binder: binderData,
           shareData: shareInfo,
           owner,
-        } = await shareService.getBinderByShareToken(shareToken);
+        } = await shareService.getBinderByShareToken(shareToken, { passcode });
 
+        setPasscodeRequired(false);
         setBinder(binderData);
         setShareData(shareInfo);
         setBinderOwner(owner);
@@ -120,6 +128,18 @@ const SharedBinderPage = () => {
         });
       } catch (error) {
         console.error("Error loading shared binder:", error);
+
+        if (
+          error.code === "PASSCODE_REQUIRED" ||
+          error.code === "PASSCODE_INVALID"
+        ) {
+          setPasscodeRequired(true);
+          if (error.code === "PASSCODE_INVALID") {
+            toast.error("Incorrect passcode");
+          }
+          return;
+        }
+
         setError(error.message);
 
         // Show user-friendly error messages
@@ -141,7 +161,13 @@ const SharedBinderPage = () => {
     };
 
     loadSharedBinder();
-  }, [shareToken]);
+  }, [shareToken, passcode]);
+
+  const handlePasscodeSubmit = (e) => {
+    e.preventDefault();
+    if (!passcodeInput.trim()) return;
+    setPasscode(passcodeInput.trim());
+  };
 
   const handleCardClick = (card) => {
     // If the same card is clicked again, close the modal
@@ -234,6 +260,43 @@ const SharedBinderPage = () => {
     );
   }
 
+  // Passcode prompt
+  if (passcodeRequired) {
+    return (
+      <div className="min-h-screen bg-background flex items-center justify-center">
+        <form
+          onSubmit={handlePasscodeSubmit}
+          className="bg-card-background rounded-2xl shadow-xl p-8 max-w-md w-full mx-4 text-center"
+        >
+          <div className="w-16 h-16 bg-blue-100 rounded-full flex items-center justify-center mx-auto mb-6">
+            <LockClosedIcon className="w-8 h-8 text-blue-600" />
+          </div>
+          <h2 className="text-xl font-bold text-gray-900 mb-2">
+            Passcode Required
+          </h2>
+          <p className="text-gray-600 mb-6">
+            Enter the passcode you were given with this link to view the binder.
+          </p>
+          <input
+            type="password"
+            value={passcodeInput}
+            onChange={(e) => setPasscodeInput(e.target.value)}
+            placeholder="Passcode"
+            autoFocus
+            className="w-full px-4 py-2 mb-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={!passcodeInput.trim()}
+            className="w-full bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            View Binder
+          </button>
+        </form>
+      </div>
+    );
+  }
+
   // Error state
   if (error || !binder || !shareData) {
     return (
@@ -326,6 +389,10 @@ const SharedBinderPage = () => {
           forceClearAndSync: () => {},
           migrateBinderCardData: () => {},
           markAsModified: () => {},
+          getBinderHistory: () => ({ past: [], future: [] }),
+          undoBinderChange: () => [],
+          redoBinderChange: () => [],
+          clearBinderHistory: () => {},
           addPage: () => {},
           batchAddPages: () => {},
           removePage: () => {},
@@ -374,7 +441,9 @@ const SharedBinderPage = () => {
         onClose={handleCloseModal}
         showArtist={true}
         showTypes={true}
-        showNotes={false}
+        // Links from before the hide option never showed notes
+        showNotes={shareData.hidePricesAndNotes === false}
+        showPrice={!shareData.hidePricesAndNotes}
       />
     </>
   );
@@ -0,0 +1,163 @@
+import { useState, useEffect } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { toast } from "react-hot-toast";
+import {
+  ExclamationTriangleIcon,
+  HeartIcon,
+} from "@heroicons/react/24/outline";
+import shareService from "../services/ShareService";
+import WantListView from "../components/wantlist/WantListView";
+import { useDocumentHead } from "../hooks/useDocumentHead";
+import { getWantListStats, isWantListItemComplete } from "../utils/wantList";
+
+/**
+ * SharedWantListPage - Displays a shared want list via share token
+ * Works for both authenticated and unauthenticated users.
+ */
+const SharedWantListPage = () => {
+  const { shareToken } = useParams();
+  const navigate = useNavigate();
+
+  const [wantList, setWantList] = useState(null);
+  const [owner, setOwner] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showCollected, setShowCollected] = useState(false);
+
+  useEffect(() => {
+    const loadSharedWantList = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        if (!shareToken) {
+          throw new Error("Share token is required");
+        }
+
+        const { wantList: wantListData, owner: ownerData } =
+          await shareService.getWantListByShareToken(shareToken);
+
+        setWantList(wantListData);
+        setOwner(ownerData);
+      } catch (error) {
+        console.error("Error loading shared want list:", error);
+        setError(error.message);
+
+        if (
+          error.message.includes("not found") ||
+          error.message.includes("revoked")
+        ) {
+          toast.error("This share link is not valid or has been revoked");
+        } else if (error.message.includes("expired")) {
+          toast.error("This share link has expired");
+        } else if (error.message.includes("no longer public")) {
+          toast.error("This want list is no longer publicly shared");
+        } else {
+          toast.error("Failed to load shared want list");
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSharedWantList();
+  }, [shareToken]);
+
+  const ownerName = owner?.displayName || "A collector";
+
+  useDocumentHead({
+    title: `${ownerName}'s Want List - Pokemon Cards | PkmnBindr`,
+    description: `See which Pokemon cards ${ownerName} is looking for`,
+    ogTitle: `${ownerName}'s Pokemon Card Want List`,
+    ogUrl: `https://www.pkmnbindr.com/share/wants/${shareToken}`,
+    canonicalUrl: `https://www.pkmnbindr.com/share/wants/${shareToken}`,
+  });
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-background flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading shared want list...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !wantList) {
+    return (
+      <div className="min-h-screen bg-background flex items-center justify-center">
+        <div className="bg-card-background rounded-2xl shadow-xl p-8 max-w-md w-full mx-4 text-center">
+          <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-6">
+            <ExclamationTriangleIcon className="w-8 h-8 text-red-500" />
+          </div>
+          <h2 className="text-xl font-bold text-gray-900 mb-2">
+            Share Link Not Available
+          </h2>
+          <p className="text-gray-600 mb-6">
+            {error ||
+              "The shared want list you're looking for is not accessible."}
+          </p>
+          <button
+            onClick={() => navigate("/")}
+            className="w-full bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Go to Homepage
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const items = wantList.items || {};
+  const stats = getWantListStats(items);
+  const visibleItems = showCollected
+    ? items
+    : Object.fromEntries(
+        Object.entries(items).filter(
+          ([, item]) => !isWantListItemComplete(item)
+        )
+      );
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-gray-100 flex items-center gap-3">
+              <HeartIcon className="w-8 h-8 text-pink-500" />
+              {ownerName}'s Want List
+            </h1>
+            <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+              Looking for {stats.totalItems - stats.completedItems} card
+              {stats.totalItems - stats.completedItems !== 1 ? "s" : ""}
+            </p>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={showCollected}
+              onChange={(e) => setShowCollected(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Show collected cards
+          </label>
+        </div>
+
+        <WantListView items={visibleItems} readOnly />
+
+        <div className="mt-12 text-center text-sm text-gray-500 dark:text-gray-400">
+          Shared with{" "}
+          <button
+            onClick={() => navigate("/")}
+            className="text-blue-600 dark:text-blue-400 hover:underline"
+          >
+            PkmnBindr
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SharedWantListPage;
@@ -0,0 +1,231 @@
+import { useState, useMemo } from "react";
+import { toast } from "react-hot-toast";
+import {
+  HeartIcon,
+  ShareIcon,
+  CheckCircleIcon,
+  CloudIcon,
+  MagnifyingGlassIcon,
+} from "@heroicons/react/24/outline";
+import useWantList from "../hooks/useWantList";
+import WantListView from "../components/wantlist/WantListView";
+import { isWantListItemComplete } from "../utils/wantList";
+
+const FILTERS = [
+  { value: "open", label: "Still wanted" },
+  { value: "completed", label: "Collected" },
+  { value: "all", label: "All" },
+];
+
+/**
+ * WantListPage - The user's want list
+ * Cards are checked off automatically when they are added to any binder.
+ */
+const WantListPage = () => {
+  const {
+    items,
+    isPublic,
+    loading,
+    syncing,
+    stats,
+    canShare,
+    updateItem,
+    removeItem,
+    clearCompleted,
+    setPublic,
+    createShareLink,
+  } = useWantList();
+
+  const [filter, setFilter] = useState("open");
+  const [searchTerm, setSearchTerm] = useState("");
+  const [isSharing, setIsSharing] = useState(false);
+
+  const visibleItems = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    return Object.fromEntries(
+      Object.entries(items).filter(([, item]) => {
+        const complete = isWantListItemComplete(item);
+        if (filter === "open" && complete) return false;
+        if (filter === "completed" && !complete) return false;
+        if (!term) return true;
+        return (
+          (item.cardData?.name || "").toLowerCase().includes(term) ||
+          (item.cardData?.set?.name || "").toLowerCase().includes(term)
+        );
+      })
+    );
+  }, [items, filter, searchTerm]);
+
+  const progress =
+    stats.wantedCards > 0
+      ? Math.round((stats.acquiredCards / stats.wantedCards) * 100)
+      : 0;
+
+  const handleShare = async () => {
+    setIsSharing(true);
+    try {
+      const { shareUrl } = await createShareLink();
+      await navigator.clipboard.writeText(shareUrl);
+      toast.success("Share link copied to clipboard!");
+    } catch (error) {
+      console.error("Failed to share want list:", error);
+      toast.error(error.message || "Failed to create share link");
+    } finally {
+      setIsSharing(false);
+    }
+  };
+
+  const handleTogglePublic = async () => {
+    try {
+      await setPublic(!isPublic);
+      toast.success(
+        isPublic
+          ? "Want list is now private. Share links stop working."
+          : "Want list is now public"
+      );
+    } catch (error) {
+      toast.error(error.message || "Failed to update want list");
+    }
+  };
+
+  const handleClearCompleted = () => {
+    if (stats.completedItems === 0) return;
+    clearCompleted();
+    toast.success(
+      `Removed ${stats.completedItems} collected card${
+        stats.completedItems !== 1 ? "s" : ""
+      }`
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="mb-8 flex flex-col lg:flex-row lg:items-end gap-4 lg:justify-between">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-gray-100 flex items-center gap-3">
+              <HeartIcon className="w-8 h-8 text-pink-500" />
+              My Want List
+            </h1>
+            <div className="mt-3 flex flex-wrap items-center gap-3 sm:gap-6 text-xs sm:text-sm text-gray-600 dark:text-gray-400">
+              <span>
+                {stats.acquiredCards}/{stats.wantedCards} cards collected
+              </span>
+              <span>
+                {stats.totalItems - stats.completedItems} still wanted
+              </span>
+              {canShare && (
+                <span className="flex items-center gap-2">
+                  <CloudIcon className="w-4 h-4 text-green-600 flex-shrink-0" />
+                  {syncing ? "Saving..." : "Synced"}
+                </span>
+              )}
+            </div>
+            <div className="mt-3 w-full sm:w-80 bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+              <div
+                className="bg-pink-500 h-2 rounded-full transition-all"
+                style={{ width: `${progress}%` }}
+              />
+            </div>
+          </div>
+
+          {/* Actions */}
+          <div className="flex flex-wrap items-center gap-2">
+            {canShare && (
+              <>
+                <button
+                  onClick={handleTogglePublic}
+                  className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors text-sm"
+                >
+                  {isPublic ? "Make Private" : "Make Public"}
+                </button>
+                <button
+                  onClick={handleShare}
+                  disabled={isSharing || stats.totalItems === 0}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm flex items-center gap-2"
+                >
+                  <ShareIcon className="w-4 h-4" />
+                  {isSharing ? "Creating link..." : "Share"}
+                </button>
+              </>
+            )}
+            <button
+              onClick={handleClearCompleted}
+              disabled={stats.completedItems === 0}
+              className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm flex items-center gap-2"
+            >
+              <CheckCircleIcon className="w-4 h-4" />
+              Clear Collected
+            </button>
+          </div>
+        </div>
+
+        {!canShare && stats.totalItems > 0 && (
+          <div className="mb-6 p-4 rounded-lg bg-blue-50 dark:bg-blue-950/30 border border-blue-200 dark:border-blue-800 text-sm text-blue-700 dark:text-blue-300">
+            Your want list is saved on this device. Sign in to sync it across
+            devices and share it with other collectors.
+          </div>
+        )}
+
+        {/* Filters */}
+        <div className="mb-6 flex flex-col sm:flex-row gap-3">
+          <div className="relative flex-1">
+            <MagnifyingGlassIcon className="absolute left-3 top-2.5 w-5 h-5 text-gray-400" />
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="Search by card or set name..."
+              className="w-full pl-10 pr-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div className="flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden">
+            {FILTERS.map((option) => (
+              <button
+                key={option.value}
+                onClick={() => setFilter(option.value)}
+                className={`px-4 py-2 text-sm transition-colors ${
+                  filter === option.value
+                    ? "bg-blue-600 text-white"
+                    : "bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+            <p className="text-gray-600 dark:text-gray-400">
+              Loading want list...
+            </p>
+          </div>
+        ) : stats.totalItems === 0 ? (
+          <div className="text-center py-16">
+            <HeartIcon className="w-16 h-16 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-2">
+              Your want list is empty
+            </h3>
+            <p className="text-gray-600 dark:text-gray-400 max-w-md mx-auto">
+              Tap the heart on a card while searching, add the cards you are
+              missing from a set in the set wizard, or add a binder's missing
+              cards from the Missing Cards view.
+            </p>
+          </div>
+        ) : (
+          <WantListView
+            items={visibleItems}
+            onUpdate={updateItem}
+            onRemove={removeItem}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WantListPage;
@@ -0,0 +1,58 @@
+import { createElement } from "react";
+import { pdf } from "@react-pdf/renderer";
+import ChecklistPdfDocument from "../components/checklist/ChecklistPdfDocument";
+import { pdfExportService } from "./PdfExportService";
+import { DEFAULT_PDF_PAGE_SIZE, PDF_PAGE_SIZES } from "../utils/binderPdf";
+
+// Narrow pages fit two columns of cards, the others three
+const getColumnCount = (pageSize) => (pageSize.width < 500 ? 2 : 3);
+
+class ChecklistPdfService {
+  /**
+   * Generate the PDF of a checklist and download it
+   * @param {Object} checklist - From buildSetChecklist or buildBinderChecklist
+   * @param {Object} options - { pageSize, filename }
+   * @returns {Promise<Object>} - { filename, cardCount }
+   */
+  async generateChecklistPdf(checklist, options = {}) {
+    const { pageSize = DEFAULT_PDF_PAGE_SIZE, filename = null } = options;
+
+    if (!checklist || checklist.total === 0) {
+      throw new Error("The checklist has no cards");
+    }
+
+    try {
+      const size =
+        PDF_PAGE_SIZES[pageSize] || PDF_PAGE_SIZES[DEFAULT_PDF_PAGE_SIZE];
+      const pdfDocument = createElement(ChecklistPdfDocument, {
+        checklist,
+        columns: getColumnCount(size),
+        pageSize: size,
+      });
+
+      const pdfBlob = await pdf(pdfDocument).toBlob();
+      const downloadFilename = filename || this.generateFilename(checklist);
+      pdfExportService.downloadPdf(pdfBlob, downloadFilename);
+
+      return { filename: downloadFilename, cardCount: checklist.total };
+    } catch (error) {
+      console.error("Error generating checklist PDF:", error);
+      throw new Error(`Failed to generate checklist: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate filename for the checklist PDF
+   */
+  generateFilename(checklist) {
+    const cleanName = (checklist.title || "Checklist").replace(
+      /[^a-zA-Z0-9\-_]/g,
+      "-"
+    );
+    return `${cleanName}-checklist.pdf`;
+  }
+}
+
+// Export singleton instance
+export const checklistPdfService = new ChecklistPdfService();
+export default checklistPdfService;
@@ -1,104 +1,87 @@
-import jsPDF from "jspdf";
-import html2canvas from "html2canvas";
+import { getGridConfig } from "../utils/binderGrids";
+import { buildBinderExportRows } from "../utils/binderExport";
+import {
+  DEFAULT_PDF_PAGE_SIZE,
+  PDF_PAGE_SIZES,
+  getBinderPdfPages,
+  getPdfImageUrls,
+  getPdfSheets,
+} from "../utils/binderPdf";
+
+// Images fetched at once while preparing the export
+const IMAGE_CONCURRENCY = 4;
+// Widest embedded card image in pixels, about twice its printed size
+const IMAGE_MAX_WIDTH = 400;
+// Exports with more images than this embed them smaller to bound memory
+const LARGE_EXPORT_IMAGES = 360;
+const LARGE_EXPORT_IMAGE_MAX_WIDTH = 240;
+const IMAGE_QUALITY = 0.85;
 
 class PdfExportService {
   constructor() {
-    this.pdf = null;
-    this.pageWidth = 210; // A4 width in mm
-    this.pageHeight = 297; // A4 height in mm
-    this.margin = 10; // 10mm margin
+    this.workerFailed = false;
   }
 
   /**
-   * Generate PDF from binder data
+   * Generate a vector PDF of a binder and download it
+   * Card images are downscaled to JPEG before embedding, and the PDF is laid
+   * out in a web worker when possible. Progress is reported as
+   * { stage: "images" | "rendering" | "writing", completed, total }.
    * @param {Object} binder - The binder object with all card data
-   * @param {Object} options - Export options (quality, format, etc.)
-   * @returns {Promise<Blob>} - PDF blob for download
+   * @param {Object} options - { pageSize, layout, includeEmptyPages,
+   *   includeIndex, includeChecklist, filename, onProgress }
+   * @returns {Promise<Object>} - { filename, pageCount }
    */
   async generateBinderPdf(binder, options = {}) {
     const {
-      quality = 0.95,
-      format = "a4",
-      includeEmptyPages = true,
+      pageSize = DEFAULT_PDF_PAGE_SIZE,
+      layout = "single",
+      includeEmptyPages = false,
+      includeIndex = true,
+      includeChecklist = true,
       filename = null,
+      onProgress,
     } = options;
 
-    // Validate input
     if (!binder) {
       throw new Error("Binder data is required");
     }
 
-    if (!binder.metadata?.name) {
-      console.warn("Binder missing name, using default");
-    }
-
-    // Validate and log binder structure for debugging
-    console.log("PDF Export - Binder structure:", {
-      hasCards: !!binder.cards,
-      cardsType: typeof binder.cards,
-      cardCount: binder.cards ? Object.keys(binder.cards).length : 0,
-      firstCardStructure: binder.cards ? Object.values(binder.cards)[0] : null,
-      gridSize: binder.settings?.gridSize,
-      binderName: binder.metadata?.name,
-    });
-
     try {
-      // Initialize PDF document
-      this.pdf = new jsPDF({
-        orientation: "portrait",
-        unit: "mm",
-        format: format.toLowerCase(),
-      });
-
-      // Add binder metadata
-      this.pdf.setProperties({
-        title: binder.metadata?.name || "Pokémon Binder",
-        subject: `Pokémon Trading Card Binder - ${
-          binder.metadata?.name || "Untitled"
-        }`,
-        author: "PokémonBindr",
-        creator: "PokémonBindr PDF Export",
-        keywords: "pokemon, trading cards, collection, binder",
-      });
-
-      // Generate cover page
-      console.log("PDF Export - Adding cover page...");
-      await this.addCoverPage(binder);
-
-      // Generate all card pages
-      console.log("PDF Export - Adding card pages...");
-      await this.addCardPages(binder, includeEmptyPages);
-
-      // Ensure we have at least one page
-      if (this.pdf.getNumberOfPages() === 0) {
-        throw new Error("PDF generation failed: No pages generated");
+      const pages = getBinderPdfPages(binder, { includeEmptyPages });
+      if (pages.length === 0) {
+        throw new Error("This binder has no cards to export");
       }
 
-      console.log(
-        `PDF Export - Generated ${this.pdf.getNumberOfPages()} pages`
-      );
+      const images = await this.loadImages(getPdfImageUrls(pages), onProgress);
 
-      // Get the PDF blob
-      const pdfBlob = this.pdf.output("blob");
+      onProgress?.({ stage: "rendering", completed: 0, total: 0 });
 
-      // Validate blob size
+      const checklistRows = includeChecklist
+        ? buildBinderExportRows(binder)
+        : null;
+      const pdfBlob = await this.renderPdf(
+        {
+          binder,
+          pages,
+          sheets: getPdfSheets(pages, layout),
+          grid: getGridConfig(binder.settings?.gridSize),
+          images,
+          pageSize:
+            PDF_PAGE_SIZES[pageSize] || PDF_PAGE_SIZES[DEFAULT_PDF_PAGE_SIZE],
+          checklistRows,
+          includeIndex,
+        },
+        onProgress
+      );
       if (pdfBlob.size === 0) {
         throw new Error("PDF generation failed: Empty PDF generated");
       }
 
-      console.log(
-        `PDF Export - Generated blob size: ${(
-          pdfBlob.size /
-          1024 /
-          1024
-        ).toFixed(2)}MB`
-      );
-
-      // Download the PDF
       const downloadFilename = filename || this.generateFilename(binder);
       this.downloadPdf(pdfBlob, downloadFilename);
 
-      return pdfBlob;
+      return { filename: downloadFilename, pageCount: pages.length };
     } catch (error) {
       console.error("Error generating PDF:", error);
       throw new Error(`Failed to generate PDF: ${error.message}`);
@@ -106,568 +89,154 @@ class PdfExportService {
   }
 
   /**
-   * Add cover page to PDF
+   * Lay out and write the PDF, in a web worker when the browser can run it
+   * If the worker can't start or be handed the binder, the PDF is rendered
+   * on the main thread instead and the worker isn't tried again.
+   * @param {Object} documentProps - Props for BinderPdfDocument
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<Blob>} - The PDF
    */
-  async addCoverPage(binder) {
-    // Create a temporary cover page element
-    const coverElement = this.createCoverPageElement(binder);
-    document.body.appendChild(coverElement);
-
-    try {
-      // Convert to canvas
-      const canvas = await html2canvas(coverElement, {
-        scale: 2,
-        useCORS: true,
-        allowTaint: true,
-        backgroundColor: "#ffffff",
-      });
-
-      // Add to PDF
-      const imgData = canvas.toDataURL("image/jpeg", 0.95);
-      const imgWidth = this.pageWidth - 2 * this.margin;
-      const imgHeight = (canvas.height * imgWidth) / canvas.width;
-
-      this.pdf.addImage(
-        imgData,
-        "JPEG",
-        this.margin,
-        this.margin,
-        imgWidth,
-        imgHeight
-      );
-    } finally {
-      // Clean up
-      document.body.removeChild(coverElement);
-    }
-  }
-
-  /**
-   * Add all card pages to PDF
-   */
-  async addCardPages(binder, includeEmptyPages) {
-    const gridConfig = this.getGridConfig(binder.settings?.gridSize || "3x3");
-    const cards = binder.cards || {};
-    const cardPositions = Object.keys(cards)
-      .map((pos) => parseInt(pos))
-      .sort((a, b) => a - b);
-
-    // Calculate total pages needed
-    const maxPosition =
-      cardPositions.length > 0 ? Math.max(...cardPositions) : 0;
-    const totalPages = Math.ceil((maxPosition + 1) / gridConfig.total) || 1;
-
-    for (let pageIndex = 0; pageIndex < totalPages; pageIndex++) {
-      const pageCards = this.getCardsForPage(cards, pageIndex, gridConfig);
-      const hasCards = pageCards.some((card) => card !== null);
-
-      if (hasCards || includeEmptyPages) {
-        this.pdf.addPage();
-        await this.addCardPage(binder, pageIndex, pageCards, gridConfig);
+  async renderPdf(documentProps, onProgress) {
+    if (typeof Worker !== "undefined" && !this.workerFailed) {
+      try {
+        return await this.renderPdfInWorker(documentProps, onProgress);
+      } catch (error) {
+        if (!error.workerFailed) throw error;
+        console.warn("PDF worker failed, rendering on the main thread:", error);
+        this.workerFailed = true;
       }
     }
-  }
 
-  /**
-   * Add a single card page to PDF
-   */
-  async addCardPage(binder, pageIndex, cards, gridConfig) {
-    const pageElement = this.createCardPageElement(
-      binder,
-      pageIndex,
-      cards,
-      gridConfig
+    // Let the progress update paint before the layout work starts
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    const { renderBinderPdf } = await import(
+      "../components/binder/pdf/renderBinderPdf"
     );
-    document.body.appendChild(pageElement);
-
-    try {
-      // Wait a moment for images to load
-      await new Promise((resolve) => setTimeout(resolve, 100));
-
-      // Convert to canvas with improved settings
-      const canvas = await html2canvas(pageElement, {
-        scale: 2,
-        useCORS: true,
-        allowTaint: true,
-        backgroundColor: "#ffffff",
-        logging: false, // Disable logging for cleaner output
-        imageTimeout: 15000, // 15 second timeout for images
-        removeContainer: false, // Don't remove the container
-        foreignObjectRendering: false, // Disable for better compatibility
-      });
-
-      // Validate canvas
-      if (!canvas || canvas.width === 0 || canvas.height === 0) {
-        throw new Error(`Failed to render page ${pageIndex + 1} to canvas`);
-      }
-
-      // Add to PDF
-      const imgData = canvas.toDataURL("image/jpeg", 0.95);
-      const imgWidth = this.pageWidth - 2 * this.margin;
-      const imgHeight = (canvas.height * imgWidth) / canvas.width;
-
-      // Ensure the image fits on the page
-      const maxHeight = this.pageHeight - 2 * this.margin;
-      const finalHeight = Math.min(imgHeight, maxHeight);
-      const finalWidth = (canvas.width * finalHeight) / canvas.height;
-
-      this.pdf.addImage(
-        imgData,
-        "JPEG",
-        this.margin,
-        this.margin,
-        finalWidth,
-        finalHeight
-      );
+    return renderBinderPdf(documentProps, onProgress);
+  }
 
-      console.log(
-        `PDF Export - Added page ${
-          pageIndex + 1
-        } (${finalWidth}x${finalHeight}mm)`
+  renderPdfInWorker(documentProps, onProgress) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(
+        new URL("../workers/binderPdf.worker.js", import.meta.url),
+        { type: "module" }
       );
-    } catch (error) {
-      console.error(`Error rendering page ${pageIndex + 1}:`, error);
-      // Add an error page instead of failing completely
-      this.addErrorPage(pageIndex + 1, error.message);
-    } finally {
-      // Clean up
-      if (document.body.contains(pageElement)) {
-        document.body.removeChild(pageElement);
+      const finish = (callback, value) => {
+        worker.terminate();
+        callback(value);
+      };
+      // Failures of the worker itself rather than of the export
+      const fail = (message) => {
+        const error = new Error(message);
+        error.workerFailed = true;
+        finish(reject, error);
+      };
+
+      worker.onmessage = ({ data: { type, progress, blob, error } }) => {
+        if (type === "progress") onProgress?.(progress);
+        else if (type === "done") finish(resolve, blob);
+        else finish(reject, new Error(error));
+      };
+      worker.onerror = (event) => fail(event.message || "Worker error");
+
+      try {
+        worker.postMessage({ documentProps });
+      } catch (error) {
+        // The binder couldn't be copied to the worker
+        fail(error.message);
       }
-    }
-  }
-
-  /**
-   * Create cover page HTML element for PDF
-   */
-  createCoverPageElement(binder) {
-    const coverDiv = document.createElement("div");
-    coverDiv.style.cssText = `
-      width: 800px;
-      height: 1100px;
-      background: white;
-      padding: 40px;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      position: absolute;
-      left: -10000px;
-      top: 0;
-      position: relative;
-    `;
-
-    // Add background logo watermark
-    const backgroundDiv = document.createElement("div");
-    backgroundDiv.style.cssText = `
-      position: absolute;
-      top: 0;
-      left: 0;
-      right: 0;
-      bottom: 0;
-      background-image: url('/logo.png');
-      background-repeat: no-repeat;
-      background-position: center center;
-      background-size: 300px auto;
-      opacity: 0.08;
-      z-index: 0;
-      pointer-events: none;
-    `;
-    coverDiv.appendChild(backgroundDiv);
-
-    const totalCards = Object.keys(binder.cards || {}).length;
-    const createdDate = binder.metadata?.createdAt
-      ? new Date(binder.metadata.createdAt).toLocaleDateString()
-      : "Unknown";
-
-    const contentDiv = document.createElement("div");
-    contentDiv.style.cssText = `
-      position: relative;
-      z-index: 1;
-      height: 100%;
-    `;
-    contentDiv.innerHTML = `
-      <div style="text-align: center; height: 100%; display: flex; flex-direction: column; justify-content: center; position: relative;">
-        <!-- Top watermark -->
-        <div style="
-          position: absolute;
-          top: 20px;
-          left: 50%;
-          transform: translateX(-50%);
-          font-size: 14px;
-          color: #d1d5db;
-          font-weight: 500;
-          letter-spacing: 1px;
-        ">
-          www.pkmnbindr.com
-        </div>
-        
-        <div style="margin-bottom: 60px;">
-          <h1 style="font-size: 48px; font-weight: bold; color: #1f2937; margin: 0 0 20px 0; line-height: 1.2;">
-            ${binder.metadata?.name || "My Pokémon Binder"}
-          </h1>
-          ${
-            binder.metadata?.description
-              ? `
-            <p style="font-size: 20px; color: #6b7280; margin: 0; line-height: 1.5;">
-              ${binder.metadata.description}
-            </p>
-          `
-              : ""
-          }
-        </div>
-        
-        <div style="background: linear-gradient(135deg, #dbeafe 0%, #e0e7ff 100%); border-radius: 20px; padding: 40px; margin: 40px 0;">
-          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 40px; text-align: center;">
-            <div>
-              <div style="font-size: 36px; font-weight: bold; color: #1d4ed8; margin-bottom: 8px;">
-                ${totalCards}
-              </div>
-              <div style="font-size: 16px; color: #6b7280; font-weight: 500;">
-                Total Cards
-              </div>
-            </div>
-            <div>
-              <div style="font-size: 36px; font-weight: bold; color: #1d4ed8; margin-bottom: 8px;">
-                ${binder.settings?.gridSize || "3×3"}
-              </div>
-              <div style="font-size: 16px; color: #6b7280; font-weight: 500;">
-                Grid Layout
-              </div>
-            </div>
-          </div>
-        </div>
-
-                 <div style="margin-top: auto; padding-top: 40px; border-top: 2px solid #e5e7eb;">
-           <p style="font-size: 16px; color: #9ca3af; margin: 0;">
-             Created: ${createdDate}
-           </p>
-           <p style="font-size: 14px; color: #d1d5db; margin: 8px 0 0 0;">
-             Generated by PokémonBindr
-           </p>
-           <p style="font-size: 14px; color: #9ca3af; margin: 8px 0 0 0; font-weight: 500;">
-             www.pkmnbindr.com
-           </p>
-         </div>
-      </div>
-    `;
-    coverDiv.appendChild(contentDiv);
-
-    return coverDiv;
+    });
   }
 
   /**
-   * Create card page HTML element for PDF
+   * Fetch card images as data URLs, a few at a time
+   * Images that fail to load map to null and are drawn as text instead.
+   * @returns {Promise<Map>} - Image URL to data URL
    */
-  createCardPageElement(binder, pageIndex, cards, gridConfig) {
-    // Calculate dynamic heights based on grid configuration
-    // Fixed calculation to include watermark text and proper margins
-    const watermarkHeight = 30; // Height for top watermark text + margin
-    const pageHeaderHeight = 90; // Height for page header with binder holes
-    const headerMargins = 35; // Total margins around header elements
-    const bottomMargin = 20; // Extra margin at bottom to prevent cutoff
-    const totalHeaderHeight =
-      watermarkHeight + pageHeaderHeight + headerMargins; // Total header space needed
-    const padding = 60; // Total padding (30px on each side)
-    const availableHeight = 1100 - padding - totalHeaderHeight - bottomMargin; // Available height for cards
-    const gap = 8;
-    const totalGapHeight = (gridConfig.rows - 1) * gap; // Total height taken by gaps
-    const cardHeight = Math.floor(
-      (availableHeight - totalGapHeight) / gridConfig.rows
-    ); // Height per card row
-
-    // Debug logging to help troubleshoot layout issues
-    if (gridConfig.rows > 3) {
-      console.log(
-        `PDF Layout Debug - ${gridConfig.rows}x${gridConfig.cols} grid:`,
-        {
-          availableHeight,
-          cardHeight,
-          totalHeight: cardHeight * gridConfig.rows + totalGapHeight,
-          remainingSpace:
-            availableHeight - (cardHeight * gridConfig.rows + totalGapHeight),
-        }
-      );
-    }
-
-    const pageDiv = document.createElement("div");
-    pageDiv.style.cssText = `
-      width: 800px;
-      height: 1100px;
-      background: white;
-      padding: 30px;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      position: absolute;
-      left: -10000px;
-      top: 0;
-      box-sizing: border-box;
-      position: relative;
-    `;
-
-    // Add background logo watermark
-    const backgroundDiv = document.createElement("div");
-    backgroundDiv.style.cssText = `
-      position: absolute;
-      top: 0;
-      left: 0;
-      right: 0;
-      bottom: 0;
-      background-image: url('/logo.png');
-      background-repeat: no-repeat;
-      background-position: center center;
-      background-size: 250px auto;
-      opacity: 0.05;
-      z-index: 0;
-      pointer-events: none;
-    `;
-    pageDiv.appendChild(backgroundDiv);
-
-    // Create page header
-    const headerHtml = `
-      <!-- Top watermark -->
-      <div style="
-        text-align: center;
-        margin-bottom: 15px;
-        font-size: 14px;
-        color: #d1d5db;
-        font-weight: 500;
-        letter-spacing: 1px;
-      ">
-        www.pkmnbindr.com
-      </div>
-      
-      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; padding-bottom: 10px; border-bottom: 1px solid #e5e7eb; height: ${pageHeaderHeight}px;">
-        <div style="font-size: 16px; font-weight: 600; color: #374151;">
-          Page ${pageIndex + 1}
-        </div>
-        <div style="display: flex; gap: 8px;">
-          <div style="width: 20px; height: 20px; background: #e5e7eb; border-radius: 50%; display: flex; align-items: center; justify-content: center;">
-            <div style="width: 12px; height: 12px; background: #9ca3af; border-radius: 50%;"></div>
-          </div>
-          <div style="width: 20px; height: 20px; background: #e5e7eb; border-radius: 50%; display: flex; align-items: center; justify-content: center;">
-            <div style="width: 12px; height: 12px; background: #9ca3af; border-radius: 50%;"></div>
-          </div>
-          <div style="width: 20px; height: 20px; background: #e5e7eb; border-radius: 50%; display: flex; align-items: center; justify-content: center;">
-            <div style="width: 12px; height: 12px; background: #9ca3af; border-radius: 50%;"></div>
-          </div>
-        </div>
-      </div>
-    `;
-
-    // Create card grid with dynamic height
-    const cardSlots = [];
-    for (let i = 0; i < gridConfig.total; i++) {
-      const card = cards[i];
-      cardSlots.push(this.createCardSlotHtml(card, i, cardHeight));
-    }
-
-    const gridHtml = `
-      <div style="
-        display: grid;
-        grid-template-columns: repeat(${gridConfig.cols}, 1fr);
-        grid-template-rows: repeat(${gridConfig.rows}, ${cardHeight}px);
-        gap: ${gap}px;
-        height: ${availableHeight}px;
-        max-height: ${availableHeight}px;
-        overflow: hidden;
-      ">
-        ${cardSlots.join("")}
-      </div>
-    `;
+  async loadImages(urls, onProgress) {
+    const images = new Map();
+    let completed = 0;
+    let next = 0;
+
+    const maxWidth =
+      urls.length > LARGE_EXPORT_IMAGES
+        ? LARGE_EXPORT_IMAGE_MAX_WIDTH
+        : IMAGE_MAX_WIDTH;
+
+    onProgress?.({ stage: "images", completed, total: urls.length });
+
+    const worker = async () => {
+      while (next < urls.length) {
+        const url = urls[next++];
+        images.set(url, await this.loadImage(url, maxWidth));
+        completed++;
+        onProgress?.({ stage: "images", completed, total: urls.length });
+      }
+    };
 
-    // Create content container with z-index
-    const contentDiv = document.createElement("div");
-    contentDiv.style.cssText = `
-      position: relative;
-      z-index: 1;
-      height: 100%;
-    `;
-    contentDiv.innerHTML = headerHtml + gridHtml;
-    pageDiv.appendChild(contentDiv);
-    return pageDiv;
+    await Promise.all(
+      Array.from({ length: Math.min(IMAGE_CONCURRENCY, urls.length) }, worker)
+    );
+    return images;
   }
 
   /**
-   * Create HTML for a single card slot
+   * Fetch one image as a data URL, or null when it can't be loaded
    */
-  createCardSlotHtml(card, slotIndex, cardHeight = null) {
-    // Calculate proper aspect ratio for card slots (standard Pokemon card is about 2.5:3.5 ratio)
-    const cardAspectRatio = 2.5 / 3.5; // width / height
-    const slotPadding = 8; // padding inside the slot
-
-    if (card && (card.image || card.imageSmall)) {
-      // Try to use imageSmall for better PDF performance, fallback to image
-      const imageUrl = card.imageSmall || card.image;
-      const cardName = this.escapeHtml(card.name || "Pokemon Card");
-      const setName = this.escapeHtml(card.set?.name || "Unknown Set");
-
-      return `
-        <div style="
-          background: white;
-          border: 2px solid #e5e7eb;
-          border-radius: 8px;
-          padding: ${slotPadding}px;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          position: relative;
-          height: 100%;
-          box-sizing: border-box;
-        ">
-          <img 
-            src="${imageUrl}" 
-            alt="${cardName}"
-            style="
-              max-width: 100%;
-              max-height: 100%;
-              border-radius: 4px;
-              object-fit: contain;
-            "
-            crossorigin="anonymous"
-            onerror="this.style.display='none';this.nextElementSibling.style.display='flex';"
-          />
-          <div style="
-            display: none;
-            align-items: center;
-            justify-content: center;
-            width: 100%;
-            height: 100%;
-            background: #f3f4f6;
-            border-radius: 4px;
-            font-size: 10px;
-            color: #6b7280;
-            text-align: center;
-            flex-direction: column;
-            padding: 8px;
-          ">
-            <div style="font-size: 18px; margin-bottom: 4px;">🃏</div>
-            <div style="font-weight: bold; margin-bottom: 2px; max-width: 100%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
-              ${cardName}
-            </div>
-            <div style="font-size: 8px; color: #9ca3af; max-width: 100%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
-              ${setName}
-            </div>
-            ${
-              card.number
-                ? `<div style="font-size: 8px; color: #9ca3af;">#${card.number}</div>`
-                : ""
-            }
-          </div>
-        </div>
-      `;
-    } else if (card) {
-      // Card exists but no image - show card info
-      const cardName = this.escapeHtml(card.name || "Pokemon Card");
-      const setName = this.escapeHtml(card.set?.name || "Unknown Set");
-
-      return `
-        <div style="
-          background: #f8fafc;
-          border: 2px solid #e2e8f0;
-          border-radius: 8px;
-          padding: ${slotPadding}px;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          height: 100%;
-          box-sizing: border-box;
-        ">
-          <div style="
-            text-align: center;
-            color: #64748b;
-            font-size: 10px;
-            padding: 8px;
-          ">
-            <div style="font-size: 18px; margin-bottom: 4px;">🃏</div>
-            <div style="font-weight: bold; margin-bottom: 2px; max-width: 100%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
-              ${cardName}
-            </div>
-            <div style="font-size: 8px; color: #94a3b8; max-width: 100%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
-              ${setName}
-            </div>
-            ${
-              card.number
-                ? `<div style="font-size: 8px; color: #94a3b8;">#${card.number}</div>`
-                : ""
-            }
-          </div>
-        </div>
-      `;
-    } else {
-      // Empty slot
-      return `
-        <div style="
-          background: #f9fafb;
-          border: 2px dashed #d1d5db;
-          border-radius: 8px;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          color: #9ca3af;
-          font-size: 12px;
-          height: 100%;
-          box-sizing: border-box;
-        ">
-          ${slotIndex + 1}
-        </div>
-      `;
+  async loadImage(url, maxWidth) {
+    try {
+      const response = await fetch(url, { mode: "cors" });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const blob = await this.downscaleImage(await response.blob(), maxWidth);
+
+      return await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      });
+    } catch (error) {
+      console.warn(`PDF Export - Could not load image ${url}:`, error);
+      return null;
     }
   }
 
   /**
-   * Get cards for a specific page
+   * Shrink an image wider than maxWidth to a JPEG of that width
+   * Images are returned unchanged when they are small enough or the browser
+   * can't decode them off the DOM.
    */
-  getCardsForPage(cards, pageIndex, gridConfig) {
-    const pageCards = [];
-    const startPosition = pageIndex * gridConfig.total;
-
-    for (let i = 0; i < gridConfig.total; i++) {
-      const globalPosition = startPosition + i;
-      const cardEntry = cards[globalPosition.toString()];
+  async downscaleImage(blob, maxWidth) {
+    if (typeof createImageBitmap === "undefined") return blob;
 
-      if (cardEntry) {
-        // Handle different card data structures after binder optimization
-        if (cardEntry.cardData && typeof cardEntry.cardData === "object") {
-          // Modern structure: { cardData: {card info}, metadata }
-          pageCards[i] = cardEntry.cardData;
-        } else if (
-          cardEntry.name &&
-          (cardEntry.image || cardEntry.imageSmall)
-        ) {
-          // Direct card data or admin normalized format
-          pageCards[i] = cardEntry;
-        } else if (cardEntry.cardId) {
-          // Legacy format or partial data - create minimal card object
-          pageCards[i] = {
-            id: cardEntry.cardId,
-            name: cardEntry.name || "Unknown Card",
-            image: cardEntry.image || "",
-            imageSmall: cardEntry.imageSmall || "",
-            set: cardEntry.set || { name: "Unknown Set" },
-            number: cardEntry.number || "",
-            rarity: cardEntry.rarity || "Unknown",
-            types: cardEntry.types || [],
-          };
-        } else {
-          pageCards[i] = null;
-        }
-      } else {
-        pageCards[i] = null;
+    const bitmap = await createImageBitmap(blob);
+    try {
+      if (bitmap.width <= maxWidth) return blob;
+
+      const width = maxWidth;
+      const height = Math.round((bitmap.height * maxWidth) / bitmap.width);
+      const canvas =
+        typeof OffscreenCanvas !== "undefined"
+          ? new OffscreenCanvas(width, height)
+          : Object.assign(document.createElement("canvas"), { width, height });
+      const context = canvas.getContext("2d");
+      // JPEG has no transparency, so rounded corners print white
+      context.fillStyle = "#ffffff";
+      context.fillRect(0, 0, width, height);
+      context.drawImage(bitmap, 0, 0, width, height);
+
+      if (canvas.convertToBlob) {
+        return await canvas.convertToBlob({
+          type: "image/jpeg",
+          quality: IMAGE_QUALITY,
+        });
       }
+      return await new Promise((resolve) =>
+        canvas.toBlob(resolve, "image/jpeg", IMAGE_QUALITY)
+      );
+    } finally {
+      bitmap.close();
     }
-
-    return pageCards;
-  }
-
-  /**
-   * Get grid configuration
-   */
-  getGridConfig(gridSize) {
-    const configs = {
-      "2x2": { cols: 2, rows: 2, total: 4 },
-      "3x3": { cols: 3, rows: 3, total: 9 },
-      "4x3": { cols: 4, rows: 3, total: 12 },
-      "4x4": { cols: 4, rows: 4, total: 16 },
-      "5x5": { cols: 5, rows: 5, total: 25 },
-      "6x6": { cols: 6, rows: 6, total: 36 },
-    };
-    return configs[gridSize] || configs["3x3"];
   }
 
   /**
@@ -680,40 +249,6 @@ class PdfExportService {
     return `${cleanName}-${timestamp}.pdf`;
   }
 
-  /**
-   * Escape HTML special characters
-   */
-  escapeHtml(text) {
-    const div = document.createElement("div");
-    div.textContent = text;
-    return div.innerHTML;
-  }
-
-  /**
-   * Add an error page when page rendering fails
-   */
-  addErrorPage(pageNumber, errorMessage) {
-    // Add basic text-based error page
-    this.pdf.setFontSize(16);
-    this.pdf.setTextColor(220, 38, 38); // Red color
-    this.pdf.text(
-      `Error rendering page ${pageNumber}`,
-      this.margin,
-      this.margin + 20
-    );
-
-    this.pdf.setFontSize(12);
-    this.pdf.setTextColor(75, 85, 99); // Gray color
-    this.pdf.text(
-      "The page could not be rendered properly.",
-      this.margin,
-      this.margin + 35
-    );
-    this.pdf.text(`Error: ${errorMessage}`, this.margin, this.margin + 50);
-
-    console.warn(`Added error page for page ${pageNumber}: ${errorMessage}`);
-  }
-
   /**
    * Download PDF blob
    */
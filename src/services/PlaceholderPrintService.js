@@ -0,0 +1,347 @@
+import jsPDF from "jspdf";
+import {
+  DEFAULT_PAPER_SIZE,
+  PLACEHOLDER_CARD_SIZE,
+  getPlaceholderSlots,
+  getSheetLayout,
+  layoutPlaceholderSheets,
+} from "../utils/placeholderPrint";
+
+// Crop marks sit outside the cards so they survive the cut
+const CROP_MARK_OFFSET = 1.5; // mm
+const CROP_MARK_LENGTH = 4; // mm
+
+// Greyed out images are drawn this wide at most (px)
+const MAX_IMAGE_WIDTH = 600;
+// How far the greyed out image is faded towards white (0-1)
+const IMAGE_FADE = 0.55;
+
+const LABEL_BAND_HEIGHT = 11; // mm
+
+/**
+ * Service for printing cut-to-size placeholders for a binder
+ * Unlike the binder PDF, the sheets are drawn directly with jsPDF so the
+ * placeholders come out at exactly 63×88 mm when printed at 100% scale.
+ */
+class PlaceholderPrintService {
+  /**
+   * Generate the placeholder sheets and download them
+   * @param {Object} binder - The binder to print placeholders for
+   * @param {Object} options - { includeMissing, includeEmpty, paperSize,
+   *   style: "image" | "text", matchPageOrder, filename }
+   * @returns {Promise<Object>} - { filename, placeholderCount, sheetCount }
+   */
+  async generatePlaceholderPdf(binder, options = {}) {
+    const {
+      includeMissing = true,
+      includeEmpty = false,
+      paperSize = DEFAULT_PAPER_SIZE,
+      style = "image",
+      matchPageOrder = false,
+      filename = null,
+    } = options;
+
+    if (!binder) {
+      throw new Error("Binder data is required");
+    }
+
+    const slots = getPlaceholderSlots(binder, { includeMissing, includeEmpty });
+    if (slots.length === 0) {
+      throw new Error(
+        "There are no cards or pockets to print placeholders for"
+      );
+    }
+
+    const layout = getSheetLayout(paperSize);
+    const sheets = layoutPlaceholderSheets(slots, {
+      gridSize: binder.settings?.gridSize,
+      paperSize,
+      matchPageOrder,
+    });
+
+    const pdf = new jsPDF({
+      orientation: "portrait",
+      unit: "mm",
+      format: [layout.paper.width, layout.paper.height],
+    });
+    pdf.setProperties({
+      title: `${binder.metadata?.name || "Binder"} - Placeholders`,
+      author: "PokémonBindr",
+      creator: "PokémonBindr Placeholder Print",
+    });
+
+    const images = new Map();
+
+    for (let index = 0; index < sheets.length; index++) {
+      if (index > 0) pdf.addPage();
+
+      for (const slot of sheets[index]) {
+        const imageData =
+          style === "image" && slot.cardData
+            ? await this.getFadedImage(slot.cardData, images)
+            : null;
+        this.drawPlaceholder(pdf, layout, slot, imageData);
+      }
+
+      this.drawCropMarks(pdf, layout, sheets[index]);
+      this.drawSheetFooter(pdf, layout, binder, index, sheets.length);
+    }
+
+    const downloadFilename = filename || this.generateFilename(binder);
+    pdf.save(downloadFilename);
+
+    return {
+      filename: downloadFilename,
+      placeholderCount: slots.length,
+      sheetCount: sheets.length,
+    };
+  }
+
+  /**
+   * Get the top left corner of a sheet cell
+   */
+  getCellOrigin(layout, cell) {
+    return {
+      x: layout.originX + (cell % layout.cols) * PLACEHOLDER_CARD_SIZE.width,
+      y:
+        layout.originY +
+        Math.floor(cell / layout.cols) * PLACEHOLDER_CARD_SIZE.height,
+    };
+  }
+
+  /**
+   * Draw one placeholder, as a faded card image or a text label
+   */
+  drawPlaceholder(pdf, layout, slot, imageData) {
+    const { width, height } = PLACEHOLDER_CARD_SIZE;
+    const { x, y } = this.getCellOrigin(layout, slot.cell);
+    const location = `Page ${slot.page} · Slot ${slot.slot}`;
+    const card = slot.cardData;
+
+    if (imageData) {
+      pdf.addImage(imageData, "JPEG", x, y, width, height);
+
+      // Label band so the placeholder still reads when the image is faint
+      const bandY = y + height - LABEL_BAND_HEIGHT;
+      pdf.setFillColor(255, 255, 255);
+      pdf.rect(x, bandY, width, LABEL_BAND_HEIGHT, "F");
+      this.setText(pdf, 8, "bold", 31);
+      pdf.text(
+        this.fitText(pdf, card.name || "Unknown Card", width - 6),
+        x + 3,
+        bandY + 4.5
+      );
+      this.setText(pdf, 6, "normal", 107);
+      pdf.text(
+        this.fitText(
+          pdf,
+          [card.number && `#${card.number}`, location]
+            .filter(Boolean)
+            .join(" · "),
+          width - 6
+        ),
+        x + 3,
+        bandY + 8.5
+      );
+    } else if (card) {
+      pdf.setFillColor(249, 250, 251);
+      pdf.rect(x, y, width, height, "F");
+
+      this.setText(pdf, 7, "normal", 156);
+      pdf.text("PLACEHOLDER", x + width / 2, y + 10, { align: "center" });
+
+      this.setText(pdf, 13, "bold", 31);
+      const nameLines = pdf
+        .splitTextToSize(card.name || "Unknown Card", width - 10)
+        .slice(0, 3);
+      pdf.text(nameLines, x + width / 2, y + 30, { align: "center" });
+
+      const details = [
+        card.set?.name,
+        card.number && `#${card.number}`,
+        card.rarity,
+      ].filter(Boolean);
+      this.setText(pdf, 8, "normal", 75);
+      details.forEach((line, index) => {
+        pdf.text(
+          this.fitText(pdf, line, width - 10),
+          x + width / 2,
+          y + 30 + nameLines.length * 5.5 + 4 + index * 4.5,
+          { align: "center" }
+        );
+      });
+
+      this.setText(pdf, 7, "normal", 107);
+      pdf.text(location, x + width / 2, y + height - 6, { align: "center" });
+    } else {
+      this.setText(pdf, 7, "normal", 156);
+      pdf.text("EMPTY POCKET", x + width / 2, y + height / 2 - 6, {
+        align: "center",
+      });
+      this.setText(pdf, 11, "bold", 75);
+      pdf.text(location, x + width / 2, y + height / 2 + 2, {
+        align: "center",
+      });
+    }
+
+    // Hairline cut guide
+    pdf.setDrawColor(209, 213, 219);
+    pdf.setLineWidth(0.1);
+    pdf.rect(x, y, width, height, "S");
+  }
+
+  /**
+   * Draw crop marks in the margin at every cut line of the sheet
+   */
+  drawCropMarks(pdf, layout, sheet) {
+    const { width, height } = PLACEHOLDER_CARD_SIZE;
+    const usedCols =
+      Math.max(...sheet.map((slot) => slot.cell % layout.cols)) + 1;
+    const usedRows =
+      Math.max(...sheet.map((slot) => Math.floor(slot.cell / layout.cols))) + 1;
+
+    const left = layout.originX;
+    const top = layout.originY;
+    const right = left + usedCols * width;
+    const bottom = top + usedRows * height;
+
+    pdf.setDrawColor(0, 0, 0);
+    pdf.setLineWidth(0.2);
+
+    for (let col = 0; col <= usedCols; col++) {
+      const x = left + col * width;
+      pdf.line(
+        x,
+        top - CROP_MARK_OFFSET - CROP_MARK_LENGTH,
+        x,
+        top - CROP_MARK_OFFSET
+      );
+      pdf.line(
+        x,
+        bottom + CROP_MARK_OFFSET,
+        x,
+        bottom + CROP_MARK_OFFSET + CROP_MARK_LENGTH
+      );
+    }
+
+    for (let row = 0; row <= usedRows; row++) {
+      const y = top + row * height;
+      pdf.line(
+        left - CROP_MARK_OFFSET - CROP_MARK_LENGTH,
+        y,
+        left - CROP_MARK_OFFSET,
+        y
+      );
+      pdf.line(
+        right + CROP_MARK_OFFSET,
+        y,
+        right + CROP_MARK_OFFSET + CROP_MARK_LENGTH,
+        y
+      );
+    }
+  }
+
+  /**
+   * Sheet number and a reminder to print at full size
+   */
+  drawSheetFooter(pdf, layout, binder, index, sheetCount) {
+    this.setText(pdf, 6, "normal", 156);
+    pdf.text(
+      `${binder.metadata?.name || "Binder"} · Sheet ${
+        index + 1
+      } of ${sheetCount} · Print at 100% scale`,
+      layout.paper.width / 2,
+      layout.paper.height - 2,
+      { align: "center" }
+    );
+  }
+
+  setText(pdf, size, weight, grey) {
+    pdf.setFont("helvetica", weight);
+    pdf.setFontSize(size);
+    pdf.setTextColor(grey, grey, grey);
+  }
+
+  /**
+   * Shorten text with an ellipsis until it fits a width (mm)
+   */
+  fitText(pdf, text, maxWidth) {
+    if (pdf.getTextWidth(text) <= maxWidth) return text;
+
+    let fitted = text;
+    while (fitted.length > 1 && pdf.getTextWidth(`${fitted}...`) > maxWidth) {
+      fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}...`;
+  }
+
+  /**
+   * Load a card image as a greyscale, faded JPEG data URL
+   * Images that can't be loaded (e.g. no CORS headers) return null so a
+   * text label is printed instead.
+   */
+  async getFadedImage(card, cache) {
+    const url = card.image || card.imageSmall;
+    if (!url) return null;
+
+    if (!cache.has(url)) {
+      cache.set(
+        url,
+        this.loadImage(url)
+          .then((image) => this.fadeImage(image))
+          .catch((error) => {
+            console.warn(`Placeholder image failed for ${url}:`, error);
+            return null;
+          })
+      );
+    }
+    return cache.get(url);
+  }
+
+  loadImage(url) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.crossOrigin = "anonymous";
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error("Image failed to load"));
+      image.src = url;
+    });
+  }
+
+  fadeImage(image) {
+    const scale = Math.min(1, MAX_IMAGE_WIDTH / image.naturalWidth);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+
+    const context = canvas.getContext("2d");
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+    const { data } = pixels;
+    for (let i = 0; i < data.length; i += 4) {
+      const grey = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      const faded = grey + (255 - grey) * IMAGE_FADE;
+      data[i] = data[i + 1] = data[i + 2] = faded;
+    }
+    context.putImageData(pixels, 0, 0);
+
+    return canvas.toDataURL("image/jpeg", 0.85);
+  }
+
+  /**
+   * Generate filename for the placeholder PDF
+   */
+  generateFilename(binder) {
+    const binderName = binder.metadata?.name || "Pokemon-Binder";
+    const cleanName = binderName.replace(/[^a-zA-Z0-9\-_]/g, "-");
+    const timestamp = new Date().toISOString().split("T")[0];
+    return `${cleanName}-placeholders-${timestamp}.pdf`;
+  }
+}
+
+// Export singleton instance
+export const placeholderPrintService = new PlaceholderPrintService();
+export default placeholderPrintService;
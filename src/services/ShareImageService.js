@@ -0,0 +1,434 @@
+import { createElement } from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import { QRCodeSVG } from "qrcode.react";
+import { getGridConfig } from "../utils/binderGrids";
+import { getPdfCardImage } from "../utils/binderPdf";
+import {
+  DEFAULT_SHARE_IMAGE_SIZE,
+  SHARE_IMAGE_SIZES,
+  getShareImageLayout,
+  getShareImageSheets,
+  getShareImageStats,
+  getTopCards,
+  layoutShareImageCollage,
+  layoutShareImagePages,
+} from "../utils/shareImage";
+
+const FONT_FAMILY =
+  'system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+const DEFAULT_ACCENT = "#2563eb";
+const BACKGROUND = "#0f172a";
+
+/**
+ * ShareImageService - Renders binder images for social media
+ * Images are drawn on a canvas from the binder data, so they look the same
+ * whatever the binder view on screen is doing.
+ */
+class ShareImageService {
+  constructor() {
+    // Card images by URL, kept between previews
+    this.imageCache = new Map();
+  }
+
+  /**
+   * Render a share image of a binder
+   * @param {Object} binder
+   * @param {Object} options
+   * @param {string} options.size - Key of SHARE_IMAGE_SIZES
+   * @param {string} options.layout - "page", "spread" or "collage"
+   * @param {number} options.sheetIndex - Page or spread to show
+   * @param {string} options.rankBy - Collage ranking, "rarity" or "price"
+   * @param {Function} options.getCardValue - (entry) => { value } or null
+   * @param {string} options.ownerName - Shown under the binder name
+   * @param {string} options.shareUrl - Printed and encoded as a QR code
+   * @param {string} options.valueLabel - Formatted binder value, if shown
+   * @returns {Promise<Object>} - { blob, filename }
+   */
+  async generateShareImage(binder, options = {}) {
+    const {
+      size: sizeKey = DEFAULT_SHARE_IMAGE_SIZE,
+      layout = "collage",
+      sheetIndex = 0,
+      rankBy = "rarity",
+      getCardValue,
+      ownerName = null,
+      shareUrl = null,
+      valueLabel = null,
+    } = options;
+
+    if (!binder) {
+      throw new Error("Binder data is required");
+    }
+
+    const size =
+      SHARE_IMAGE_SIZES[sizeKey] || SHARE_IMAGE_SIZES[DEFAULT_SHARE_IMAGE_SIZE];
+    const regions = getShareImageLayout(size);
+
+    const canvas = document.createElement("canvas");
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const ctx = canvas.getContext("2d");
+
+    this.drawBackground(ctx, size, binder.settings?.binderColor);
+    this.drawHeader(ctx, regions, binder, ownerName);
+
+    if (layout === "collage") {
+      const cards = getTopCards(binder, {
+        rankBy,
+        getCardValue,
+        limit: size.collageCount,
+      });
+      await this.drawCollage(ctx, regions, cards);
+    } else {
+      const sheets = getShareImageSheets(binder, layout);
+      const sheet = sheets[Math.min(sheetIndex, sheets.length - 1)];
+      if (sheet) {
+        await this.drawPages(ctx, regions, binder, sheet.pages);
+      }
+    }
+
+    await this.drawFooter(ctx, regions, binder, { shareUrl, valueLabel });
+
+    const blob = await new Promise((resolve, reject) =>
+      canvas.toBlob(
+        (result) =>
+          result ? resolve(result) : reject(new Error("Image export failed")),
+        "image/png"
+      )
+    );
+
+    return { blob, filename: this.generateFilename(binder, sizeKey) };
+  }
+
+  drawBackground(ctx, size, accent) {
+    const gradient = ctx.createLinearGradient(0, 0, size.width, size.height);
+    gradient.addColorStop(0, accent || DEFAULT_ACCENT);
+    gradient.addColorStop(0.65, BACKGROUND);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, size.width, size.height);
+
+    // Darken the top so white text reads on light binder colours
+    ctx.fillStyle = "rgba(15, 23, 42, 0.35)";
+    ctx.fillRect(0, 0, size.width, size.height);
+  }
+
+  drawHeader(ctx, regions, binder, ownerName) {
+    const { header, unit } = regions;
+    const titleSize = Math.round(unit * 1.5);
+    const brand = "PkmnBindr";
+
+    ctx.textBaseline = "top";
+    ctx.font = `600 ${Math.round(unit * 0.7)}px ${FONT_FAMILY}`;
+    const brandWidth = ctx.measureText(brand).width;
+    ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.textAlign = "right";
+    ctx.fillText(brand, header.x + header.width, header.y + unit * 0.4);
+
+    ctx.textAlign = "left";
+    ctx.fillStyle = "#ffffff";
+    ctx.font = `700 ${titleSize}px ${FONT_FAMILY}`;
+    ctx.fillText(
+      this.fitText(
+        ctx,
+        binder.metadata?.name || "My Pokémon Binder",
+        header.width - brandWidth - unit
+      ),
+      header.x,
+      header.y
+    );
+
+    if (ownerName) {
+      ctx.fillStyle = "rgba(255, 255, 255, 0.75)";
+      ctx.font = `400 ${Math.round(unit * 0.8)}px ${FONT_FAMILY}`;
+      ctx.fillText(
+        this.fitText(ctx, `by ${ownerName}`, header.width),
+        header.x,
+        header.y + titleSize * 1.25
+      );
+    }
+  }
+
+  async drawPages(ctx, regions, binder, pages) {
+    const grid = getGridConfig(binder.settings?.gridSize);
+    const layouts = layoutShareImagePages(regions.content, grid, pages.length);
+    const missingInstances = new Set(binder.metadata?.missingInstances || []);
+
+    const images = await this.loadImages(
+      pages
+        .filter(Boolean)
+        .flatMap((page) => page.slots.map((slot) => slot.cardEntry))
+    );
+
+    pages.forEach((page, index) => {
+      if (!page) return;
+      const { frame, cells } = layouts[index];
+
+      ctx.fillStyle = "rgba(255, 255, 255, 0.08)";
+      this.roundRect(ctx, frame, regions.unit * 0.5);
+      ctx.fill();
+
+      page.slots.forEach((slot, slotIndex) => {
+        const cell = cells[slotIndex];
+        if (!slot.cardEntry) {
+          ctx.fillStyle = "rgba(255, 255, 255, 0.06)";
+          this.roundRect(ctx, cell, cell.width * 0.045);
+          ctx.fill();
+          return;
+        }
+        this.drawCard(ctx, cell, slot.cardEntry, images, {
+          faded: missingInstances.has(slot.cardEntry.instanceId),
+        });
+      });
+    });
+  }
+
+  async drawCollage(ctx, regions, cards) {
+    const cells = layoutShareImageCollage(regions.content, cards.length);
+    const images = await this.loadImages(cards);
+
+    cards.forEach((entry, index) => {
+      ctx.save();
+      ctx.shadowColor = "rgba(0, 0, 0, 0.45)";
+      ctx.shadowBlur = regions.unit * 0.6;
+      ctx.shadowOffsetY = regions.unit * 0.2;
+      this.drawCard(ctx, cells[index], entry, images);
+      ctx.restore();
+    });
+  }
+
+  drawCard(ctx, cell, entry, images, { faded = false } = {}) {
+    const image = images.get(getPdfCardImage(entry));
+    const radius = cell.width * 0.045;
+
+    ctx.save();
+    ctx.globalAlpha = faded ? 0.35 : 1;
+    if (image) {
+      // Draw the shadow with a solid shape; clipped images don't cast one
+      ctx.fillStyle = "#1e293b";
+      this.roundRect(ctx, cell, radius);
+      ctx.fill();
+      ctx.shadowColor = "transparent";
+      ctx.clip();
+      ctx.drawImage(image, cell.x, cell.y, cell.width, cell.height);
+    } else {
+      ctx.fillStyle = "rgba(255, 255, 255, 0.9)";
+      this.roundRect(ctx, cell, radius);
+      ctx.fill();
+      ctx.shadowColor = "transparent";
+      this.drawCardLabel(ctx, cell, entry.cardData || {});
+    }
+    ctx.restore();
+  }
+
+  // Name and number for cards without a loadable image
+  drawCardLabel(ctx, cell, cardData) {
+    const padding = cell.width * 0.08;
+    const fontSize = Math.max(8, Math.round(cell.width * 0.1));
+
+    ctx.fillStyle = "#0f172a";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = `600 ${fontSize}px ${FONT_FAMILY}`;
+    ctx.fillText(
+      this.fitText(
+        ctx,
+        cardData.name || "Unknown Card",
+        cell.width - padding * 2
+      ),
+      cell.x + cell.width / 2,
+      cell.y + cell.height / 2 - fontSize * 0.7
+    );
+
+    ctx.fillStyle = "#475569";
+    ctx.font = `400 ${Math.round(fontSize * 0.8)}px ${FONT_FAMILY}`;
+    ctx.fillText(
+      this.fitText(
+        ctx,
+        [cardData.set?.name, cardData.number && `#${cardData.number}`]
+          .filter(Boolean)
+          .join(" · "),
+        cell.width - padding * 2
+      ),
+      cell.x + cell.width / 2,
+      cell.y + cell.height / 2 + fontSize * 0.7
+    );
+  }
+
+  async drawFooter(ctx, regions, binder, { shareUrl, valueLabel }) {
+    const { footer, unit } = regions;
+    const stats = getShareImageStats(binder);
+    const qrSize = shareUrl ? footer.height : 0;
+    const textWidth = footer.width - (qrSize ? qrSize + unit : 0);
+
+    const items = [
+      [stats.cardCount, stats.cardCount === 1 ? "card" : "cards"],
+      stats.missingCount > 0
+        ? [`${stats.percent}%`, "collected"]
+        : [stats.pageCount, stats.pageCount === 1 ? "page" : "pages"],
+      ...(valueLabel ? [[valueLabel, "value"]] : []),
+    ];
+
+    // Stats as "value label" pairs along the top of the footer
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    let x = footer.x;
+    items.forEach(([value, label]) => {
+      ctx.fillStyle = "#ffffff";
+      ctx.font = `700 ${Math.round(unit * 1.1)}px ${FONT_FAMILY}`;
+      const valueText = String(value);
+      ctx.fillText(valueText, x, footer.y);
+      const valueWidth = ctx.measureText(valueText).width;
+
+      ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+      ctx.font = `400 ${Math.round(unit * 0.7)}px ${FONT_FAMILY}`;
+      ctx.fillText(label, x + valueWidth + unit * 0.3, footer.y + unit * 0.35);
+      x += valueWidth + unit * 0.3 + ctx.measureText(label).width + unit;
+    });
+
+    if (!shareUrl) return;
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+    ctx.font = `500 ${Math.round(unit * 0.75)}px ${FONT_FAMILY}`;
+    ctx.textBaseline = "bottom";
+    ctx.fillText(
+      this.fitText(ctx, shareUrl.replace(/^https?:\/\//, ""), textWidth),
+      footer.x,
+      footer.y + footer.height
+    );
+
+    const qr = await this.loadQrCode(shareUrl);
+    if (qr) {
+      const frame = {
+        x: footer.x + footer.width - qrSize,
+        y: footer.y,
+        width: qrSize,
+        height: qrSize,
+      };
+      ctx.fillStyle = "#ffffff";
+      this.roundRect(ctx, frame, unit * 0.3);
+      ctx.fill();
+      const inset = qrSize * 0.06;
+      ctx.drawImage(
+        qr,
+        frame.x + inset,
+        frame.y + inset,
+        qrSize - inset * 2,
+        qrSize - inset * 2
+      );
+    }
+  }
+
+  /**
+   * Load the images of card entries, a few at a time
+   * @returns {Promise<Map>} - Image URL to a drawable image, or null
+   */
+  async loadImages(entries) {
+    const urls = [
+      ...new Set(
+        entries.map((entry) => getPdfCardImage(entry)).filter(Boolean)
+      ),
+    ];
+    const images = new Map();
+
+    for (let i = 0; i < urls.length; i += 6) {
+      const batch = urls.slice(i, i + 6);
+      const loaded = await Promise.all(batch.map((url) => this.loadImage(url)));
+      batch.forEach((url, index) => images.set(url, loaded[index]));
+    }
+    return images;
+  }
+
+  /**
+   * Load one image without tainting the canvas, or null when it fails
+   */
+  async loadImage(url) {
+    if (this.imageCache.has(url)) return this.imageCache.get(url);
+
+    try {
+      const response = await fetch(url, { mode: "cors" });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const image = await createImageBitmap(await response.blob());
+      this.imageCache.set(url, image);
+      return image;
+    } catch (error) {
+      console.warn(`Share image - Could not load image ${url}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Render a QR code of a URL to a drawable image
+   */
+  async loadQrCode(value) {
+    // Standalone SVG images need the namespace React leaves out
+    const svg = renderToStaticMarkup(
+      createElement(QRCodeSVG, {
+        value,
+        size: 256,
+        level: "M",
+        xmlns: "http://www.w3.org/2000/svg",
+      })
+    );
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+
+    try {
+      const image = new Image();
+      image.src = url;
+      await image.decode();
+      return image;
+    } catch (error) {
+      console.warn("Share image - Could not render QR code:", error);
+      return null;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * Shorten text with an ellipsis to fit a width in the current font
+   */
+  fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+
+    let fitted = text;
+    while (
+      fitted.length > 1 &&
+      ctx.measureText(`${fitted}…`).width > maxWidth
+    ) {
+      fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}…`;
+  }
+
+  roundRect(ctx, { x, y, width, height }, radius) {
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, height, radius);
+  }
+
+  /**
+   * Generate filename for a share image
+   */
+  generateFilename(binder, sizeKey) {
+    const binderName = binder.metadata?.name || "Pokemon-Binder";
+    const cleanName = binderName.replace(/[^a-zA-Z0-9\-_]/g, "-");
+    return `${cleanName}-${sizeKey}.png`;
+  }
+
+  /**
+   * Download an image blob
+   */
+  downloadImage(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Export singleton instance
+export const shareImageService = new ShareImageService();
+export default shareImageService;
@@ -11,9 +11,27 @@ import {
   orderBy,
   serverTimestamp,
   increment,
+  writeBatch,
 } from "firebase/firestore";
-import { db } from "../lib/firebase";
+import { auth, db } from "../lib/firebase";
 import { toast } from "react-hot-toast";
+import { stableStringify } from "../utils/binderConflicts";
+import {
+  getViewDayKey,
+  hideBinderNotes,
+  isShareLinkExpired,
+} from "../utils/shareLinks";
+
+// Share links for want lists are stored next to binder links and use this
+// reserved id in place of a binder ID
+export const WANT_LIST_SHARE_ID = "wantlist";
+
+// Active share links a binder can have at once
+export const MAX_SHARE_LINKS_PER_BINDER = 10;
+
+// PBKDF2 rounds for the access key of a passcode-protected link, so every
+// passcode guess costs the guesser real work
+const PASSCODE_KEY_ITERATIONS = 100000;
 
 /**
  * ShareService - Manages binder sharing functionality
@@ -23,6 +41,10 @@ class ShareService {
   constructor() {
     this.collectionName = "publicShares";
     this.binderCollectionName = "user_binders";
+    this.wantListCollectionName = "user_wantlists";
+    // The copy of the binder each link-only share link shows, stored under
+    // the link's access key. Viewers never read the binder itself.
+    this.snapshotCollectionName = "sharedBinders";
   }
 
   /**
@@ -47,17 +69,58 @@ class ShareService {
   }
 
   /**
-   * Create a share link for a public binder
+   * Get the key a share link's binder copy is stored under
+   * Protected links use a key derived from the token and the passcode, so
+   * only viewers who know the passcode can find the copy. The passcode and
+   * its hash are stored nowhere.
+   * @param {string} shareToken
+   * @param {string} passcode - Passcode of a protected link
+   * @returns {Promise<string>} - The token, or a hex PBKDF2 digest
+   */
+  async getAccessKey(shareToken, passcode) {
+    const code = passcode?.trim();
+    if (!code) return shareToken;
+
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+      "raw",
+      encoder.encode(code),
+      "PBKDF2",
+      false,
+      ["deriveBits"]
+    );
+    const bits = await crypto.subtle.deriveBits(
+      {
+        name: "PBKDF2",
+        hash: "SHA-256",
+        salt: encoder.encode(shareToken),
+        iterations: PASSCODE_KEY_ITERATIONS,
+      },
+      key,
+      256
+    );
+    return Array.from(new Uint8Array(bits))
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  /**
+   * Create a share link for a binder
+   * Links work whether or not the binder is public; anyone with the link
+   * can view the binder until it expires or is revoked.
    * @param {string} binderId - The binder ID
    * @param {string} ownerId - The owner's user ID
    * @param {Object} options - Share options
    * @param {Date} options.expiresAt - Optional expiration date
-   * @param {string} options.description - Optional description
+   * @param {string} options.description - Optional link name
+   * @param {string} options.passcode - Optional passcode viewers must enter
+   * @param {boolean} options.hidePricesAndNotes - Hide card prices and the
+   *   owner's notes from viewers
    * @returns {Promise<Object>} - Share data including token and URL
    */
   async createShareLink(binderId, ownerId, options = {}) {
     try {
-      // Verify the binder exists and is public
+      // Verify the binder exists
       const binderRef = doc(
         db,
         this.binderCollectionName,
@@ -69,46 +132,14 @@ class ShareService {
         throw new Error("Binder not found");
       }
 
-      const binderData = binderSnap.data();
-      if (!binderData.permissions?.public) {
-        throw new Error("Binder must be public to create share links");
-      }
+      const binderData = await this._attachCards(binderRef, binderSnap.data());
 
-      // Check for existing active share links for this binder
-      const existingSharesQuery = query(
-        collection(db, this.collectionName),
-        where("binderId", "==", binderId),
-        where("ownerId", "==", ownerId),
-        where("isActive", "==", true)
+      const activeLinks = (await this.getShareLinks(binderId, ownerId)).filter(
+        (link) => !isShareLinkExpired(link)
       );
-
-      const existingShares = await getDocs(existingSharesQuery);
-
-      // NEW POLICY: Only 1 active share link per binder
-      // If an existing active link exists, revoke it automatically
-      if (existingShares.size > 0) {
-        console.log(
-          `Found ${existingShares.size} existing active share link(s) for binder ${binderId}. Revoking automatically...`
-        );
-
-        // Revoke all existing active links for this binder
-        const revokePromises = [];
-        existingShares.forEach((shareDoc) => {
-          const shareData = shareDoc.data();
-          revokePromises.push(
-            updateDoc(doc(db, this.collectionName, shareData.shareToken), {
-              isActive: false,
-              revokedAt: serverTimestamp(),
-              revokedBy: ownerId,
-              revokeReason: "Replaced by new share link",
-            })
-          );
-        });
-
-        // Wait for all revocations to complete
-        await Promise.all(revokePromises);
-        console.log(
-          `Successfully revoked ${existingShares.size} existing share link(s)`
+      if (activeLinks.length >= MAX_SHARE_LINKS_PER_BINDER) {
+        throw new Error(
+          `A binder can have up to ${MAX_SHARE_LINKS_PER_BINDER} active share links. Revoke one to create another.`
         );
       }
 
@@ -130,6 +161,8 @@ class ShareService {
         );
       }
 
+      const passcode = options.passcode?.trim();
+
       // Create share document
       const shareData = {
         shareToken,
@@ -141,17 +174,32 @@ class ShareService {
         expiresAt: options.expiresAt || null,
         description: options.description || null,
         isActive: true,
-        // viewCount: 0,  // Disabled
-        // lastViewed: null,  // Disabled
+        // Shows a copy of the binder, even while the binder is private
+        linkOnly: true,
+        isPasscodeProtected: Boolean(passcode),
+        hidePricesAndNotes: Boolean(options.hidePricesAndNotes),
+        viewCount: 0,
+        lastViewed: null,
+        dailyViews: {},
         metadata: {
           userAgent: navigator.userAgent,
           referrer: document.referrer,
-          replacedExistingLinks: existingShares.size > 0,
-          version: "v2", // Track new single-link policy
+          version: "v3", // Several links per binder, link-only access
         },
       };
 
-      await setDoc(doc(db, this.collectionName, shareToken), shareData);
+      const shareRef = doc(db, this.collectionName, shareToken);
+      await setDoc(shareRef, shareData);
+      try {
+        await this.writeShareSnapshot(
+          await this.getAccessKey(shareToken, passcode),
+          shareData,
+          binderData
+        );
+      } catch (error) {
+        await deleteDoc(shareRef);
+        throw error;
+      }
 
       // Generate the share URL
       const shareUrl = `${window.location.origin}/share/${shareToken}`;
@@ -162,9 +210,9 @@ class ShareService {
         shareUrl,
         shareData: {
           ...shareData,
+          createdAt: new Date(),
           shareUrl,
         },
-        replacedExistingLinks: existingShares.size > 0, // Let the UI know if we replaced links
       };
     } catch (error) {
       console.error("Error creating share link:", error);
@@ -206,6 +254,114 @@ class ShareService {
     }
   }
 
+  /**
+   * Write the copy of a binder that a share link shows
+   * The owner's notes are left out when the link hides them.
+   * @param {string} accessKey - From getAccessKey
+   * @param {Object} shareLink - { shareToken, binderId, ownerId,
+   *   hidePricesAndNotes }
+   * @param {Object} binder - The binder with its cards
+   * @returns {Promise<void>}
+   */
+  async writeShareSnapshot(accessKey, shareLink, binder) {
+    const {
+      cards = {},
+      permissions: _permissions,
+      sync: _sync,
+      serverTimestamp: _serverTimestamp,
+      cardCount: _cardCount,
+      ...binderData
+    } = shareLink.hidePricesAndNotes ? hideBinderNotes(binder) : binder;
+    const snapshotRef = doc(db, this.snapshotCollectionName, accessKey);
+
+    // Cards go into a subcollection, like large binders
+    await setDoc(snapshotRef, {
+      shareToken: shareLink.shareToken,
+      binderId: shareLink.binderId,
+      ownerId: shareLink.ownerId,
+      hidePricesAndNotes: Boolean(shareLink.hidePricesAndNotes),
+      binder: { ...binderData, cardsStorage: "subcollection" },
+      updatedAt: serverTimestamp(),
+    });
+    await this._saveSnapshotCards(snapshotRef, cards);
+  }
+
+  /**
+   * Update the copies of a binder shown by its share links
+   * Called after the owner saves the binder. A binder without link-only
+   * share links costs a single query.
+   * @param {Object} binder - The saved binder with its cards
+   * @param {string} ownerId - The owner's user ID
+   * @returns {Promise<void>}
+   */
+  async refreshShareSnapshots(binder, ownerId) {
+    const snapshotsQuery = query(
+      collection(db, this.snapshotCollectionName),
+      where("ownerId", "==", ownerId),
+      where("binderId", "==", binder.id)
+    );
+    const snapshot = await getDocs(snapshotsQuery);
+
+    await Promise.all(
+      snapshot.docs.map((snapshotDoc) =>
+        this.writeShareSnapshot(snapshotDoc.id, snapshotDoc.data(), binder)
+      )
+    );
+  }
+
+  /**
+   * Delete the binder copy of a share link
+   * @param {string} shareToken - The share token
+   * @param {string} ownerId - The owner's user ID
+   * @returns {Promise<void>}
+   */
+  async deleteShareSnapshot(shareToken, ownerId) {
+    const snapshotsQuery = query(
+      collection(db, this.snapshotCollectionName),
+      where("ownerId", "==", ownerId),
+      where("shareToken", "==", shareToken)
+    );
+    const snapshot = await getDocs(snapshotsQuery);
+
+    for (const snapshotDoc of snapshot.docs) {
+      await this._saveSnapshotCards(snapshotDoc.ref, {});
+      await deleteDoc(snapshotDoc.ref);
+    }
+  }
+
+  /**
+   * Internal helper – write the cards of a binder copy, only touching the
+   * positions that changed. Chunked below Firestore's 500 writes per batch.
+   */
+  async _saveSnapshotCards(snapshotRef, cards) {
+    const existingSnap = await getDocs(collection(snapshotRef, "cards"));
+    const existing = new Map(
+      existingSnap.docs.map((cardDoc) => [
+        cardDoc.id,
+        stableStringify(cardDoc.data()),
+      ])
+    );
+
+    const writes = [];
+    Object.entries(cards).forEach(([position, entry]) => {
+      if (!entry || existing.get(position) === stableStringify(entry)) return;
+      writes.push((batch) =>
+        batch.set(doc(snapshotRef, "cards", position), entry)
+      );
+    });
+    existing.forEach((_, position) => {
+      if (cards[position]) return;
+      writes.push((batch) => batch.delete(doc(snapshotRef, "cards", position)));
+    });
+
+    const CHUNK_SIZE = 400;
+    for (let i = 0; i < writes.length; i += CHUNK_SIZE) {
+      const batch = writeBatch(db);
+      writes.slice(i, i + CHUNK_SIZE).forEach((write) => write(batch));
+      await batch.commit();
+    }
+  }
+
   /**
    * Revoke a share link
    * @param {string} shareToken - The share token to revoke
@@ -234,6 +390,10 @@ class ShareService {
         revokedAt: serverTimestamp(),
       });
 
+      if (shareData.linkOnly) {
+        await this.deleteShareSnapshot(shareToken, ownerId);
+      }
+
       return true;
     } catch (error) {
       console.error("Error revoking share link:", error);
@@ -264,9 +424,11 @@ class ShareService {
   /**
    * Get binder data by share token (for public viewing)
    * @param {string} shareToken - The share token
+   * @param {Object} options
+   * @param {string} options.passcode - Passcode of a protected link
    * @returns {Promise<Object>} - Binder data and owner info
    */
-  async getBinderByShareToken(shareToken) {
+  async getBinderByShareToken(shareToken, options = {}) {
     try {
       // Get share data
       const shareRef = doc(db, this.collectionName, shareToken);
@@ -287,32 +449,18 @@ class ShareService {
         throw new Error("Share link has expired");
       }
 
-      // Get binder data
-      const binderRef = doc(
-        db,
-        this.binderCollectionName,
-        `${shareData.ownerId}_${shareData.binderId}`
-      );
-      const binderSnap = await getDoc(binderRef);
-
-      if (!binderSnap.exists()) {
-        throw new Error("Binder not found");
+      if (shareData.isPasscodeProtected && !options.passcode?.trim()) {
+        const error = new Error("This share link needs a passcode");
+        error.code = "PASSCODE_REQUIRED";
+        throw error;
       }
 
-      let binderData = binderSnap.data();
-
-      // If using subcollection storage load cards separately
-      if (binderData.cardsStorage === "subcollection") {
-        binderData = await this._attachCards(binderRef, binderData);
-      }
+      const binderData = shareData.linkOnly
+        ? await this._getShareSnapshot(shareData, options.passcode)
+        : await this._getPublicBinder(shareData);
 
-      // Verify binder is still public
-      if (!binderData.permissions?.public) {
-        throw new Error("Binder is no longer public");
-      }
-
-      // Track view - DISABLED
-      // await this.trackView(shareToken);
+      // Counted in the background; a failed count doesn't block viewing
+      this.trackView(shareToken, shareData.ownerId);
 
       // Remove server timestamp before returning
       const { serverTimestamp, ...binder } = binderData;
@@ -336,25 +484,74 @@ class ShareService {
   }
 
   /**
-   * Track a view of a shared binder - DISABLED
+   * Internal helper – read the binder copy of a link-only share link.
+   * A protected link's copy is only found with the right passcode.
+   */
+  async _getShareSnapshot(shareData, passcode) {
+    const accessKey = await this.getAccessKey(
+      shareData.shareToken,
+      shareData.isPasscodeProtected ? passcode : null
+    );
+    const snapshotRef = doc(db, this.snapshotCollectionName, accessKey);
+    const snapshotSnap = await getDoc(snapshotRef);
+
+    if (!snapshotSnap.exists()) {
+      if (shareData.isPasscodeProtected) {
+        const error = new Error("Incorrect passcode");
+        error.code = "PASSCODE_INVALID";
+        throw error;
+      }
+      throw new Error("Binder not found");
+    }
+
+    return this._attachCards(snapshotRef, snapshotSnap.data().binder);
+  }
+
+  /**
+   * Internal helper – read the binder of a share link made before link-only
+   * sharing, which needs the binder to be public.
+   */
+  async _getPublicBinder(shareData) {
+    const binderRef = doc(
+      db,
+      this.binderCollectionName,
+      `${shareData.ownerId}_${shareData.binderId}`
+    );
+    const binderSnap = await getDoc(binderRef);
+
+    if (!binderSnap.exists()) {
+      throw new Error("Binder not found");
+    }
+
+    const binderData = await this._attachCards(binderRef, binderSnap.data());
+    if (!binderData.permissions?.public) {
+      throw new Error("Binder is no longer public");
+    }
+    return binderData;
+  }
+
+  /**
+   * Track a view of a shared binder
+   * The owner opening their own link isn't counted.
    * @param {string} shareToken - The share token
+   * @param {string} ownerId - The owner's user ID
    * @returns {Promise<void>}
    */
-  async trackView(shareToken) {
-    // View tracking disabled
-    return;
-
-    // try {
-    //   const shareRef = doc(db, this.collectionName, shareToken);
-    //
-    //   await updateDoc(shareRef, {
-    //     viewCount: increment(1),
-    //     lastViewed: serverTimestamp(),
-    //   });
-    // } catch (error) {
-    //   console.error("Error tracking view:", error);
-    //   // Don't throw error for analytics tracking failures
-    // }
+  async trackView(shareToken, ownerId) {
+    if (auth.currentUser?.uid === ownerId) return;
+
+    try {
+      const shareRef = doc(db, this.collectionName, shareToken);
+
+      await updateDoc(shareRef, {
+        viewCount: increment(1),
+        lastViewed: serverTimestamp(),
+        [`dailyViews.${getViewDayKey()}`]: increment(1),
+      });
+    } catch (error) {
+      console.error("Error tracking view:", error);
+      // Don't throw error for analytics tracking failures
+    }
   }
 
   /**
@@ -373,26 +570,29 @@ class ShareService {
       );
 
       const snapshot = await getDocs(sharesQuery);
-      // let totalViews = 0;  // Disabled
+      let totalViews = 0;
+      let lastViewed = null;
       let activeLinks = 0;
       let totalLinks = 0;
 
       snapshot.forEach((doc) => {
         const data = doc.data();
         totalLinks++;
-        // totalViews += data.viewCount || 0;  // Disabled
-
-        if (data.isActive) {
-          const isExpired =
-            data.expiresAt && data.expiresAt.toDate() < new Date();
-          if (!isExpired) {
-            activeLinks++;
-          }
+        totalViews += data.viewCount || 0;
+
+        const viewed = data.lastViewed?.toDate?.();
+        if (viewed && (!lastViewed || viewed > lastViewed)) {
+          lastViewed = viewed;
+        }
+
+        if (data.isActive && !isShareLinkExpired(data)) {
+          activeLinks++;
         }
       });
 
       return {
-        // totalViews,  // Disabled
+        totalViews,
+        lastViewed,
         activeLinks,
         totalLinks,
         shares: snapshot.docs.map((doc) => ({
@@ -406,6 +606,198 @@ class ShareService {
     }
   }
 
+  /**
+   * Create a share link for a user's want list
+   * Uses the same token flow as binders - the list must be public.
+   * @param {string} ownerId - The owner's user ID
+   * @param {Object} options - Share options
+   * @param {Date} options.expiresAt - Optional expiration date
+   * @returns {Promise<Object>} - Share data including token and URL
+   */
+  async createWantListShareLink(ownerId, options = {}) {
+    try {
+      const wantListRef = doc(db, this.wantListCollectionName, ownerId);
+      const wantListSnap = await getDoc(wantListRef);
+
+      if (!wantListSnap.exists()) {
+        throw new Error("Want list not found");
+      }
+
+      const wantListData = wantListSnap.data();
+      if (!wantListData.permissions?.public) {
+        throw new Error("Want list must be public to create share links");
+      }
+
+      // Reuse the active link so shared URLs keep working
+      const existingShares = await this.getWantListShareLinks(ownerId);
+      if (existingShares.length > 0) {
+        return {
+          success: true,
+          shareToken: existingShares[0].shareToken,
+          shareUrl: existingShares[0].shareUrl,
+          shareData: existingShares[0],
+          replacedExistingLinks: false,
+        };
+      }
+
+      // Generate unique token
+      let shareToken;
+      let tokenExists = true;
+      let attempts = 0;
+
+      while (tokenExists && attempts < 10) {
+        shareToken = this.generateShareToken();
+        const tokenDoc = await getDoc(doc(db, this.collectionName, shareToken));
+        tokenExists = tokenDoc.exists();
+        attempts++;
+      }
+
+      if (tokenExists) {
+        throw new Error(
+          "Failed to generate unique share token. Please try again."
+        );
+      }
+
+      const shareData = {
+        shareToken,
+        shareType: "wantlist",
+        binderId: WANT_LIST_SHARE_ID,
+        ownerId,
+        binderName: "Want List",
+        ownerDisplayName: wantListData.ownerDisplayName || "Unknown User",
+        createdAt: serverTimestamp(),
+        expiresAt: options.expiresAt || null,
+        description: options.description || null,
+        isActive: true,
+        metadata: {
+          userAgent: navigator.userAgent,
+          referrer: document.referrer,
+          version: "v2",
+        },
+      };
+
+      await setDoc(doc(db, this.collectionName, shareToken), shareData);
+
+      const shareUrl = this.getWantListShareUrl(shareToken);
+
+      return {
+        success: true,
+        shareToken,
+        shareUrl,
+        shareData: {
+          ...shareData,
+          shareUrl,
+        },
+        replacedExistingLinks: false,
+      };
+    } catch (error) {
+      console.error("Error creating want list share link:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active share links of a user's want list
+   * @param {string} ownerId - The owner's user ID
+   * @returns {Promise<Array>} - Array of share links
+   */
+  async getWantListShareLinks(ownerId) {
+    try {
+      const sharesQuery = query(
+        collection(db, this.collectionName),
+        where("binderId", "==", WANT_LIST_SHARE_ID),
+        where("ownerId", "==", ownerId),
+        where("isActive", "==", true)
+      );
+
+      const snapshot = await getDocs(sharesQuery);
+      const shareLinks = [];
+
+      snapshot.forEach((doc) => {
+        const data = doc.data();
+        shareLinks.push({
+          ...data,
+          shareUrl: this.getWantListShareUrl(data.shareToken),
+        });
+      });
+
+      return shareLinks;
+    } catch (error) {
+      console.error("Error fetching want list share links:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a want list by share token (for public viewing)
+   * @param {string} shareToken - The share token
+   * @returns {Promise<Object>} - Want list data and owner info
+   */
+  async getWantListByShareToken(shareToken) {
+    try {
+      const shareSnap = await getDoc(doc(db, this.collectionName, shareToken));
+
+      if (!shareSnap.exists()) {
+        throw new Error("Share link not found or has been revoked");
+      }
+
+      const shareData = shareSnap.data();
+
+      if (shareData.shareType !== "wantlist") {
+        throw new Error("Share link not found or has been revoked");
+      }
+
+      if (!shareData.isActive) {
+        throw new Error("Share link has been revoked");
+      }
+
+      if (shareData.expiresAt && shareData.expiresAt.toDate() < new Date()) {
+        throw new Error("Share link has expired");
+      }
+
+      const wantListSnap = await getDoc(
+        doc(db, this.wantListCollectionName, shareData.ownerId)
+      );
+
+      if (!wantListSnap.exists()) {
+        throw new Error("Want list not found");
+      }
+
+      const wantListData = wantListSnap.data();
+
+      if (!wantListData.permissions?.public) {
+        throw new Error("Want list is no longer public");
+      }
+
+      // Remove server timestamp before returning
+      const { serverTimestamp: _serverTimestamp, ...wantList } = wantListData;
+
+      return {
+        wantList,
+        shareData: {
+          ...shareData,
+          shareUrl: this.getWantListShareUrl(shareToken),
+        },
+        owner: {
+          uid: shareData.ownerId,
+          displayName: shareData.ownerDisplayName,
+        },
+      };
+    } catch (error) {
+      console.error("Error getting want list by share token:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the public URL of a want list share token
+   * @param {string} shareToken - The share token
+   * @returns {string}
+   */
+  getWantListShareUrl(shareToken) {
+    return `${window.location.origin}/share/wants/${shareToken}`;
+  }
+
   /**
    * Clean up expired share links
    * @returns {Promise<number>} - Number of links cleaned up
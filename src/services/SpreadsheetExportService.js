@@ -0,0 +1,246 @@
+import JSZip from "jszip";
+import { cardPriceService } from "./cardPriceService";
+import {
+  getExportColumns,
+  buildBinderExportRows,
+  rowsToCsv,
+} from "../utils/binderExport";
+
+const XLSX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Characters that are not allowed in XML 1.0 documents
+const INVALID_XML_CHARS =
+  // eslint-disable-next-line no-control-regex
+  /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+/**
+ * Service for exporting binder contents as CSV or Excel (.xlsx) files
+ * The .xlsx workbook is assembled by hand (SpreadsheetML zipped with JSZip)
+ * so no spreadsheet library is needed.
+ */
+class SpreadsheetExportService {
+  /**
+   * Export a binder and download the file
+   * @param {Object} binder - The binder to export
+   * @param {Object} options - { format: "csv" | "xlsx", includePrices, priceSource, filename }
+   * @returns {Promise<Object>} - { filename, rowCount }
+   */
+  async exportBinder(binder, options = {}) {
+    const {
+      format = "csv",
+      includePrices = false,
+      priceSource,
+      filename = null,
+    } = options;
+
+    if (!binder) {
+      throw new Error("Binder data is required");
+    }
+
+    if (includePrices) {
+      await cardPriceService.loadPricesForEntries(
+        Object.values(binder.cards || {})
+      );
+    }
+
+    const columns = getExportColumns(includePrices);
+    const rows = buildBinderExportRows(binder, {
+      includePrices,
+      priceSource,
+      getPriceData: (cardId) => cardPriceService.getPriceData(cardId),
+    });
+
+    const blob =
+      format === "xlsx"
+        ? await this.generateXlsx(columns, rows, binder.metadata?.name)
+        : this.generateCsv(columns, rows);
+
+    const downloadFilename = filename || this.generateFilename(binder, format);
+    this.downloadFile(blob, downloadFilename);
+
+    return { filename: downloadFilename, rowCount: rows.length };
+  }
+
+  /**
+   * Generate a CSV blob (with BOM so Excel detects UTF-8)
+   */
+  generateCsv(columns, rows) {
+    return new Blob(["\uFEFF", rowsToCsv(columns, rows)], {
+      type: "text/csv;charset=utf-8",
+    });
+  }
+
+  /**
+   * Generate an .xlsx blob with a single worksheet
+   */
+  async generateXlsx(columns, rows, sheetName = "Binder") {
+    const zip = new JSZip();
+
+    zip.file(
+      "[Content_Types].xml",
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`
+    );
+
+    zip.file(
+      "_rels/.rels",
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`
+    );
+
+    zip.file(
+      "xl/workbook.xml",
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${this.escapeXml(
+        this.getSheetName(sheetName)
+      )}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`
+    );
+
+    zip.file(
+      "xl/_rels/workbook.xml.rels",
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+    );
+
+    // Style 1 = bold header
+    zip.file(
+      "xl/styles.xml",
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`
+    );
+
+    zip.file("xl/worksheets/sheet1.xml", this.buildWorksheet(columns, rows));
+
+    return zip.generateAsync({ type: "blob", mimeType: XLSX_MIME_TYPE });
+  }
+
+  /**
+   * Build the worksheet XML (inline strings, frozen header row)
+   */
+  buildWorksheet(columns, rows) {
+    const headerCells = columns
+      .map((column, colIndex) =>
+        this.buildCell(colIndex, 1, column.label, "string", 1)
+      )
+      .join("");
+
+    const dataRows = rows
+      .map((row, rowIndex) => {
+        const cells = columns
+          .map((column, colIndex) =>
+            this.buildCell(colIndex, rowIndex + 2, row[column.key], column.type)
+          )
+          .join("");
+        return `<row r="${rowIndex + 2}">${cells}</row>`;
+      })
+      .join("");
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetData><row r="1">${headerCells}</row>${dataRows}</sheetData>
+</worksheet>`;
+  }
+
+  /**
+   * Build a single cell; empty values are left out
+   */
+  buildCell(colIndex, rowNumber, value, type, styleId = 0) {
+    if (value === null || value === undefined || value === "") return "";
+
+    const ref = `${this.getColumnLetter(colIndex)}${rowNumber}`;
+    const style = styleId ? ` s="${styleId}"` : "";
+
+    if (type === "number" && typeof value === "number") {
+      return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(
+      value.toString()
+    )}</t></is></c>`;
+  }
+
+  /**
+   * Convert a zero-based column index to a column letter (0 -> A, 26 -> AA)
+   */
+  getColumnLetter(index) {
+    let letter = "";
+    let n = index + 1;
+    while (n > 0) {
+      const remainder = (n - 1) % 26;
+      letter = String.fromCharCode(65 + remainder) + letter;
+      n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+  }
+
+  /**
+   * Excel sheet names are limited to 31 characters without []:*?/\
+   */
+  getSheetName(name) {
+    const cleanName = (name || "Binder")
+      .replace(/[[\]:*?/\\]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+    return cleanName.slice(0, 31) || "Binder";
+  }
+
+  /**
+   * Escape XML special characters and drop invalid control characters
+   */
+  escapeXml(text) {
+    return text
+      .replace(INVALID_XML_CHARS, "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Generate filename for the export
+   */
+  generateFilename(binder, format = "csv") {
+    const binderName = binder.metadata?.name || "Pokemon-Binder";
+    const cleanName = binderName.replace(/[^a-zA-Z0-9\-_]/g, "-");
+    const timestamp = new Date().toISOString().split("T")[0];
+    return `${cleanName}-${timestamp}.${format}`;
+  }
+
+  /**
+   * Download a blob
+   */
+  downloadFile(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Export singleton instance
+export const spreadsheetExportService = new SpreadsheetExportService();
+export default spreadsheetExportService;
@@ -0,0 +1,432 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  serverTimestamp,
+  runTransaction,
+  increment,
+} from "firebase/firestore";
+import { db } from "../lib/firebase";
+import { MAX_TRADE_ITEMS } from "../utils/trades";
+
+const TRADE_LISTS = "user_tradelists";
+const TRADES = "trades";
+const MESSAGES = "messages";
+
+// Thread entries written for each step of a trade
+const EVENT_MESSAGES = {
+  proposal: "Proposed a trade",
+  counter: "Made a counter offer",
+  accepted: "Accepted the trade",
+  declined: "Declined the trade",
+  cancelled: "Cancelled the trade",
+};
+
+const truncate = (message) =>
+  message.length > 100 ? `${message.substring(0, 100)}...` : message;
+
+/**
+ * Service for trade lists and trade proposals between users
+ * A trade list is a single document per user with the card instances flagged
+ * for trade. Each trade is a document in `trades` with its own message thread;
+ * both participants can read it and take turns responding.
+ */
+export class TradeService {
+  /**
+   * Get a user's trade list
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object|null>} - The trade list, or null when none exists
+   */
+  async getTradeList(userId) {
+    if (!userId) {
+      throw new Error("User ID is required");
+    }
+
+    try {
+      const tradeListSnap = await getDoc(doc(db, TRADE_LISTS, userId));
+      if (!tradeListSnap.exists()) return null;
+
+      const { serverTimestamp: _serverTimestamp, ...tradeList } =
+        tradeListSnap.data();
+      return tradeList;
+    } catch (error) {
+      console.error("Failed to get trade list:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a user's trade list
+   * @param {string} userId - The user ID
+   * @param {Object} tradeList - { items, isPublic, ownerDisplayName }
+   */
+  async saveTradeList(userId, tradeList) {
+    if (!userId) {
+      throw new Error("User ID is required");
+    }
+
+    const tradeListData = {
+      ownerId: userId,
+      ownerDisplayName: tradeList.ownerDisplayName || null,
+      items: tradeList.items || [],
+      isPublic: Boolean(tradeList.isPublic),
+      lastModified: new Date().toISOString(),
+      serverTimestamp: serverTimestamp(),
+    };
+
+    try {
+      await setDoc(doc(db, TRADE_LISTS, userId), tradeListData);
+      return { success: true, lastModified: tradeListData.lastModified };
+    } catch (error) {
+      console.error("Failed to save trade list:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Propose a trade to another user
+   * @param {Object} proposal - { fromUser: { uid, displayName },
+   *   toUser: { uid, displayName }, offered, requested, incomingBinderId,
+   *   message }
+   * @returns {Promise<string>} - The new trade ID
+   */
+  async createTrade({
+    fromUser,
+    toUser,
+    offered = [],
+    requested = [],
+    incomingBinderId,
+    message = "",
+  }) {
+    if (!fromUser?.uid || !toUser?.uid) {
+      throw new Error("Both users are required");
+    }
+    if (fromUser.uid === toUser.uid) {
+      throw new Error("You can't trade with yourself");
+    }
+    this.validateItems(offered, requested);
+
+    const tradeRef = doc(collection(db, TRADES));
+    const note = message.trim();
+
+    try {
+      await setDoc(tradeRef, {
+        participants: [fromUser.uid, toUser.uid],
+        fromUserId: fromUser.uid,
+        fromUserName: fromUser.displayName || "Trainer",
+        toUserId: toUser.uid,
+        toUserName: toUser.displayName || "Trainer",
+        offered,
+        requested,
+        status: "pending",
+        awaitingUserId: toUser.uid,
+        incomingBinderIds: { [fromUser.uid]: incomingBinderId || null },
+        settledBy: {},
+        unreadBy: { [fromUser.uid]: 0, [toUser.uid]: 1 },
+        round: 1,
+        lastMessage: truncate(note || EVENT_MESSAGES.proposal),
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+      await this.addThreadMessage(tradeRef.id, fromUser.uid, "proposal", note);
+      return tradeRef.id;
+    } catch (error) {
+      console.error("Failed to create trade:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Counter a pending trade with changed card lists
+   * `offered` and `requested` keep their meaning from the original proposal.
+   */
+  async counterTrade(
+    tradeId,
+    userId,
+    { offered, requested, incomingBinderId, message = "" }
+  ) {
+    this.validateItems(offered, requested);
+    const note = message.trim();
+
+    await this.respond(tradeId, userId, "counter", note, (trade) => ({
+      offered,
+      requested,
+      awaitingUserId: this.getOtherUserId(trade, userId),
+      [`incomingBinderIds.${userId}`]: incomingBinderId || null,
+      round: (trade.round || 1) + 1,
+    }));
+  }
+
+  /**
+   * Accept a pending trade
+   * @param {string} incomingBinderId - Binder that receives the accepter's
+   *   cards, if they get any
+   */
+  async acceptTrade(tradeId, userId, incomingBinderId) {
+    await this.respond(tradeId, userId, "accepted", "", () => ({
+      status: "accepted",
+      awaitingUserId: null,
+      [`incomingBinderIds.${userId}`]: incomingBinderId || null,
+      acceptedAt: serverTimestamp(),
+    }));
+  }
+
+  /**
+   * Decline a pending trade
+   */
+  async declineTrade(tradeId, userId, message = "") {
+    await this.respond(tradeId, userId, "declined", message.trim(), () => ({
+      status: "declined",
+      awaitingUserId: null,
+    }));
+  }
+
+  /**
+   * Withdraw a pending trade while the other user still has to respond
+   */
+  async cancelTrade(tradeId, userId) {
+    await this.respond(
+      tradeId,
+      userId,
+      "cancelled",
+      "",
+      () => ({ status: "cancelled", awaitingUserId: null }),
+      { requireTurn: false }
+    );
+  }
+
+  /**
+   * Change the binder that receives a participant's cards of an accepted
+   * trade, e.g. after the chosen binder was deleted
+   */
+  async setIncomingBinder(tradeId, userId, incomingBinderId) {
+    try {
+      await updateDoc(doc(db, TRADES, tradeId), {
+        [`incomingBinderIds.${userId}`]: incomingBinderId,
+      });
+    } catch (error) {
+      console.error("Failed to change trade binder:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a participant has moved the cards of an accepted trade
+   */
+  async markSettled(tradeId, userId) {
+    try {
+      await updateDoc(doc(db, TRADES, tradeId), {
+        [`settledBy.${userId}`]: true,
+      });
+    } catch (error) {
+      console.error("Failed to mark trade settled:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reset a participant's unread count of a trade
+   */
+  async markTradeRead(tradeId, userId) {
+    try {
+      await updateDoc(doc(db, TRADES, tradeId), {
+        [`unreadBy.${userId}`]: 0,
+      });
+    } catch (error) {
+      console.error("Failed to mark trade read:", error);
+    }
+  }
+
+  /**
+   * Send a chat message in a trade thread
+   */
+  async sendTradeMessage(tradeId, senderId, message) {
+    const text = message?.trim();
+    if (!tradeId || !senderId || !text) {
+      throw new Error("Trade ID, sender ID, and message are required");
+    }
+
+    const tradeRef = doc(db, TRADES, tradeId);
+
+    try {
+      await runTransaction(db, async (transaction) => {
+        const tradeDoc = await transaction.get(tradeRef);
+        if (!tradeDoc.exists()) {
+          throw new Error("Trade not found");
+        }
+
+        transaction.set(doc(collection(tradeRef, MESSAGES)), {
+          senderId,
+          type: "message",
+          message: text,
+          timestamp: serverTimestamp(),
+        });
+        transaction.update(tradeRef, {
+          lastMessage: truncate(text),
+          updatedAt: serverTimestamp(),
+          [`unreadBy.${this.getOtherUserId(tradeDoc.data(), senderId)}`]:
+            increment(1),
+        });
+      });
+    } catch (error) {
+      console.error("Failed to send trade message:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe to every trade a user takes part in, newest activity first
+   * @returns {Function} - Unsubscribe
+   */
+  subscribeToTrades(userId, callback) {
+    const q = query(
+      collection(db, TRADES),
+      where("participants", "array-contains", userId)
+    );
+
+    return onSnapshot(
+      q,
+      (snapshot) => {
+        const trades = snapshot.docs.map((tradeDoc) => ({
+          id: tradeDoc.id,
+          ...tradeDoc.data(),
+        }));
+
+        // Sort on client side to avoid index requirement
+        trades.sort((a, b) => {
+          const aTime = a.updatedAt?.toDate?.() || new Date(0);
+          const bTime = b.updatedAt?.toDate?.() || new Date(0);
+          return bTime - aTime;
+        });
+
+        callback(trades);
+      },
+      (error) => {
+        console.error("Error in trades subscription:", error);
+        callback([]);
+      }
+    );
+  }
+
+  /**
+   * Subscribe to the thread of a trade, oldest first
+   * @returns {Function} - Unsubscribe
+   */
+  subscribeToTradeMessages(tradeId, callback) {
+    const q = query(
+      collection(db, TRADES, tradeId, MESSAGES),
+      orderBy("timestamp", "asc")
+    );
+
+    return onSnapshot(
+      q,
+      (snapshot) => {
+        callback(
+          snapshot.docs.map((messageDoc) => ({
+            id: messageDoc.id,
+            ...messageDoc.data(),
+          }))
+        );
+      },
+      (error) => {
+        console.error("Error in trade messages subscription:", error);
+        callback([]);
+      }
+    );
+  }
+
+  /**
+   * Apply a response to a pending trade and log it in the thread
+   * @param {Function} getUpdates - (trade) => fields to update
+   * @param {Object} options - { requireTurn } false lets the waiting side act
+   */
+  async respond(
+    tradeId,
+    userId,
+    type,
+    note,
+    getUpdates,
+    { requireTurn = true } = {}
+  ) {
+    const tradeRef = doc(db, TRADES, tradeId);
+
+    try {
+      await runTransaction(db, async (transaction) => {
+        const tradeDoc = await transaction.get(tradeRef);
+        if (!tradeDoc.exists()) {
+          throw new Error("Trade not found");
+        }
+
+        const trade = tradeDoc.data();
+        if (!trade.participants?.includes(userId)) {
+          throw new Error("You're not part of this trade");
+        }
+        if (trade.status !== "pending") {
+          throw new Error(`This trade was already ${trade.status}`);
+        }
+        if (requireTurn && trade.awaitingUserId !== userId) {
+          throw new Error("It's not your turn to respond");
+        }
+        if (!requireTurn && trade.awaitingUserId === userId) {
+          throw new Error("Respond to the trade instead of cancelling it");
+        }
+
+        transaction.set(doc(collection(tradeRef, MESSAGES)), {
+          senderId: userId,
+          type,
+          message: note || "",
+          timestamp: serverTimestamp(),
+        });
+        transaction.update(tradeRef, {
+          ...getUpdates(trade),
+          lastMessage: truncate(note || EVENT_MESSAGES[type]),
+          updatedAt: serverTimestamp(),
+          [`unreadBy.${this.getOtherUserId(trade, userId)}`]: increment(1),
+        });
+      });
+    } catch (error) {
+      console.error(`Failed to ${type} trade:`, error);
+      throw error;
+    }
+  }
+
+  async addThreadMessage(tradeId, senderId, type, note) {
+    const messagesRef = collection(db, TRADES, tradeId, MESSAGES);
+    await setDoc(doc(messagesRef), {
+      senderId,
+      type,
+      message: note || "",
+      timestamp: serverTimestamp(),
+    });
+  }
+
+  getOtherUserId(trade, userId) {
+    return trade.fromUserId === userId ? trade.toUserId : trade.fromUserId;
+  }
+
+  validateItems(offered = [], requested = []) {
+    if (offered.length === 0 && requested.length === 0) {
+      throw new Error("Add at least one card to the trade");
+    }
+    if (
+      offered.length > MAX_TRADE_ITEMS ||
+      requested.length > MAX_TRADE_ITEMS
+    ) {
+      throw new Error(
+        `A trade can include up to ${MAX_TRADE_ITEMS} cards per side`
+      );
+    }
+  }
+}
+
+// Create singleton instance
+export const tradeService = new TradeService();
+
+// Default export
+export default tradeService;
@@ -15,8 +15,19 @@ import {
 } from "firebase/firestore";
 import { db } from "../lib/firebase";
 import { useAuth } from "../hooks/useAuth";
+import { shareService } from "./ShareService";
+import {
+  computeBinderConflict,
+  createSyncSnapshot,
+  hasCloudChanges,
+  hasUnresolvedConflicts,
+  applyConflictResolutions,
+} from "../utils/binderConflicts";
 
 const COLLECTION_NAME = "user_binders";
+const PRESENCE_COLLECTION = "presence";
+const SYNC_BASE_KEY_PREFIX = "binder_sync_base_";
+const OFFLINE_QUEUE_KEY = "binder_offline_queue";
 
 // Helper function to recursively remove undefined values from an object
 const removeUndefinedValues = (obj) => {
@@ -52,6 +63,7 @@ export class BinderSyncService {
       forceOverwrite = false,
       resolveConflicts = true,
       retryOnError = true,
+      base = null,
     } = options;
 
     if (!userId) {
@@ -62,6 +74,11 @@ export class BinderSyncService {
       throw new Error("Invalid binder data");
     }
 
+    // Saves made without a connection are replayed once it comes back
+    if (this.isOffline()) {
+      throw this._queueOfflineSave(binder.id, userId);
+    }
+
     // Prevent concurrent syncs of the same binder
     if (this.syncQueue.has(binder.id)) {
       return await this.syncQueue.get(binder.id);
@@ -71,6 +88,7 @@ export class BinderSyncService {
       forceOverwrite,
       resolveConflicts,
       retryOnError,
+      base,
     });
 
     this.syncQueue.set(binder.id, syncPromise);
@@ -83,51 +101,80 @@ export class BinderSyncService {
     }
   }
 
-  async _performSync(binder, userId, options) {
-    const binderRef = doc(db, COLLECTION_NAME, `${userId}_${binder.id}`);
+  /**
+   * Get the user whose document holds a binder. Binders shared with the
+   * user are saved back to the owner's document.
+   */
+  getCloudOwnerId(binder, userId) {
+    const isCollaborator =
+      binder?.ownerId &&
+      binder.ownerId !== userId &&
+      binder.permissions?.collaboratorIds?.includes(userId);
+
+    return isCollaborator ? binder.ownerId : userId;
+  }
+
+  async _performSync(localBinder, userId, options) {
+    const ownerId = this.getCloudOwnerId(localBinder, userId);
+    const binderRef = doc(db, COLLECTION_NAME, `${ownerId}_${localBinder.id}`);
 
     try {
       // Get current cloud version if it exists
       const cloudDoc = await getDoc(binderRef);
       const cloudBinder = cloudDoc.exists() ? cloudDoc.data() : null;
 
+      // Only the owner decides who the binder is shared with
+      const binder =
+        cloudBinder && ownerId !== userId
+          ? { ...localBinder, permissions: cloudBinder.permissions }
+          : localBinder;
+
       // Check for conflicts
       if (cloudBinder && !options.forceOverwrite) {
-        const conflict = this._detectConflict(binder, cloudBinder);
+        cloudBinder.cards = await this._getCloudCards(binderRef, cloudBinder);
+
+        const conflict = this._detectConflict(
+          binder,
+          cloudBinder,
+          options.base || this.getSyncBase(binder.id)
+        );
         if (conflict.hasConflict) {
-          if (options.resolveConflicts) {
+          if (options.resolveConflicts && !conflict.needsUserResolution) {
             const resolved = await this._resolveConflict(
               binder,
               cloudBinder,
               conflict
             );
-            return await this._saveBinder(binderRef, resolved, userId);
+            return await this._saveBinder(binderRef, resolved, userId, ownerId);
           } else {
-            throw new Error("Sync conflict detected", {
-              code: "SYNC_CONFLICT",
-              conflict,
-            });
+            const error = new Error("Sync conflict detected");
+            error.code = "SYNC_CONFLICT";
+            error.conflict = conflict;
+            throw error;
           }
         }
       }
 
       // No conflicts, proceed with save
-      return await this._saveBinder(binderRef, binder, userId);
+      return await this._saveBinder(binderRef, binder, userId, ownerId);
     } catch (error) {
+      if (this._isNetworkError(error) && this.isOffline()) {
+        throw this._queueOfflineSave(localBinder.id, userId);
+      }
       if (options.retryOnError && error.code !== "SYNC_CONFLICT") {
-        return await this._retrySync(binder, userId, options, error);
+        return await this._retrySync(localBinder, userId, options, error);
       }
       throw error;
     }
   }
 
-  async _saveBinder(binderRef, binder, userId) {
+  async _saveBinder(binderRef, binder, userId, ownerId = userId) {
     const now = new Date().toISOString();
 
     const syncedBinder = {
       ...binder,
       // Ensure ownerId is set correctly
-      ownerId: userId,
+      ownerId,
       // Update sync metadata
       sync: {
         ...binder.sync,
@@ -178,6 +225,20 @@ export class BinderSyncService {
       await this._saveCardsSubcollection(binderRef, syncedBinder.cards || {});
     }
 
+    // Share links show a copy of the binder, which only the owner can update
+    if (ownerId === userId) {
+      shareService
+        .refreshShareSnapshots(
+          { ...cleanedDocData, cards: syncedBinder.cards || {} },
+          ownerId
+        )
+        .catch((error) => {
+          console.error("Failed to refresh shared binder copies:", error);
+        });
+    }
+
+    this.saveSyncBase(syncedBinder);
+
     return {
       success: true,
       binder: syncedBinder,
@@ -306,16 +367,7 @@ export class BinderSyncService {
     // Remove server timestamp before returning
     const { serverTimestamp, cardCount, ...binderMeta } = cloudBinder;
 
-    let cardsData = binderMeta.cards || {};
-
-    // If binder uses subcollection storage, fetch cards separately
-    if (binderMeta.cardsStorage === "subcollection") {
-      cardsData = {};
-      const cardsSnap = await getDocs(collection(binderRef, "cards"));
-      cardsSnap.forEach((cardDoc) => {
-        cardsData[cardDoc.id] = cardDoc.data();
-      });
-    }
+    const cardsData = await this._getCloudCards(binderRef, binderMeta);
 
     const cleanBinder = {
       ...binderMeta,
@@ -331,6 +383,8 @@ export class BinderSyncService {
       },
     };
 
+    this.saveSyncBase(cleanBinder);
+
     return {
       success: true,
       binder: cleanBinder,
@@ -338,6 +392,134 @@ export class BinderSyncService {
     };
   }
 
+  /**
+   * Get the cards of a cloud binder, fetching the subcollection if needed
+   */
+  async _getCloudCards(binderRef, cloudBinder) {
+    // If binder uses subcollection storage, fetch cards separately
+    if (cloudBinder.cardsStorage !== "subcollection") {
+      return cloudBinder.cards || {};
+    }
+
+    const cardsData = {};
+    const cardsSnap = await getDocs(collection(binderRef, "cards"));
+    cardsSnap.forEach((cardDoc) => {
+      cardsData[cardDoc.id] = cardDoc.data();
+    });
+    return cardsData;
+  }
+
+  /**
+   * Get the snapshot of a binder taken at its last successful sync
+   */
+  getSyncBase(binderId) {
+    try {
+      const item = localStorage.getItem(`${SYNC_BASE_KEY_PREFIX}${binderId}`);
+      return item ? JSON.parse(item) : null;
+    } catch (error) {
+      console.error("Error reading sync base:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Remember the synced state of a binder for three-way conflict detection
+   */
+  saveSyncBase(binder) {
+    try {
+      localStorage.setItem(
+        `${SYNC_BASE_KEY_PREFIX}${binder.id}`,
+        JSON.stringify(createSyncSnapshot(binder))
+      );
+    } catch (error) {
+      console.error("Error writing sync base:", error);
+    }
+  }
+
+  clearSyncBase(binderId) {
+    try {
+      localStorage.removeItem(`${SYNC_BASE_KEY_PREFIX}${binderId}`);
+    } catch (error) {
+      console.error("Error removing sync base:", error);
+    }
+  }
+
+  /**
+   * Whether the browser reports having no connection
+   */
+  isOffline() {
+    return typeof navigator !== "undefined" && navigator.onLine === false;
+  }
+
+  _isNetworkError(error) {
+    // Firestore reports "unavailable" when it can't reach the backend
+    return error?.code === "unavailable";
+  }
+
+  /**
+   * Get the binders waiting to be saved once the connection is back
+   * @returns {Object} - { [binderId]: { userId, queuedAt } }
+   */
+  getOfflineQueue() {
+    try {
+      const item = localStorage.getItem(OFFLINE_QUEUE_KEY);
+      return item ? JSON.parse(item) : {};
+    } catch (error) {
+      console.error("Error reading offline queue:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Get the ids of the queued binders of a user, oldest first
+   */
+  getQueuedBinderIds(userId) {
+    return Object.entries(this.getOfflineQueue())
+      .filter(([, entry]) => entry.userId === userId)
+      .sort((a, b) => a[1].queuedAt.localeCompare(b[1].queuedAt))
+      .map(([binderId]) => binderId);
+  }
+
+  isQueuedOffline(binderId) {
+    return Boolean(this.getOfflineQueue()[binderId]);
+  }
+
+  removeFromOfflineQueue(binderId) {
+    const queue = this.getOfflineQueue();
+    if (!queue[binderId]) return;
+    delete queue[binderId];
+    try {
+      localStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(queue));
+    } catch (error) {
+      console.error("Error writing offline queue:", error);
+    }
+  }
+
+  /**
+   * Queue a binder save for when the connection is back. Only the id is
+   * stored; the binder itself is already kept in localStorage, so the replay
+   * saves whatever the latest local version is.
+   * @returns {Error} - Error with code "OFFLINE_QUEUED" for the caller to throw
+   */
+  _queueOfflineSave(binderId, userId) {
+    const queue = this.getOfflineQueue();
+    queue[binderId] = {
+      userId,
+      queuedAt: queue[binderId]?.queuedAt || new Date().toISOString(),
+    };
+    try {
+      localStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(queue));
+    } catch (error) {
+      console.error("Error writing offline queue:", error);
+    }
+
+    const error = new Error(
+      "You're offline. The binder will be saved when you're back online."
+    );
+    error.code = "OFFLINE_QUEUED";
+    return error;
+  }
+
   /**
    * Get all cloud binders for a user
    */
@@ -374,79 +556,119 @@ export class BinderSyncService {
         querySnapshot = allDocsSnapshot;
       }
 
-      const binders = [];
+      return await this._readCloudBinders(querySnapshot);
+    } catch (error) {
+      console.error("Error in getAllCloudBinders:", error);
+      throw error;
+    }
+  }
 
-      // Use for...of to allow await inside the loop when fetching cards
-      for (const docSnap of querySnapshot.docs) {
-        const data = docSnap.data();
+  /**
+   * Get the cloud binders other users shared with a user
+   */
+  async getCollaboratingBinders(userId) {
+    if (!userId) {
+      throw new Error("User ID is required");
+    }
 
-        // Manual filter if we're using fallback
-        const isArchived = data.metadata?.isArchived;
-        if (isArchived === true) {
-          continue;
-        }
+    try {
+      const sharedQuery = query(
+        collection(db, COLLECTION_NAME),
+        where("permissions.collaboratorIds", "array-contains", userId)
+      );
 
-        const { serverTimestamp, cardCount, ...binderMeta } = data;
-
-        // Deep copy binderMeta to avoid mutation when adding cards later
-        const binder = { ...binderMeta };
-
-        // If binder stores cards in subcollection, fetch them now so the caller
-        // receives a complete binder object ready for use.
-        if (binder.cardsStorage === "subcollection") {
-          try {
-            const cardsSnap = await getDocs(collection(docSnap.ref, "cards"));
-            const cards = {};
-            cardsSnap.forEach((cardDoc) => {
-              cards[cardDoc.id] = cardDoc.data();
-            });
-            binder.cards = cards;
-          } catch (cardsErr) {
-            console.warn(
-              `Failed to fetch card subcollection for binder ${binder.id}:`,
-              cardsErr
-            );
-            // Fallback to empty object – ensure property exists
-            binder.cards = {};
-          }
-        } else {
-          // Embedded storage – ensure cards field exists (may be large)
-          binder.cards = binder.cards || {};
-        }
+      return await this._readCloudBinders(await getDocs(sharedQuery));
+    } catch (error) {
+      console.error("Error in getCollaboratingBinders:", error);
+      throw error;
+    }
+  }
 
-        binders.push(binder);
+  /**
+   * Turn binder documents into complete binders, newest first
+   */
+  async _readCloudBinders(querySnapshot) {
+    const binders = [];
+
+    // Use for...of to allow await inside the loop when fetching cards
+    for (const docSnap of querySnapshot.docs) {
+      const data = docSnap.data();
+
+      // Manual filter if we're using fallback
+      const isArchived = data.metadata?.isArchived;
+      if (isArchived === true) {
+        continue;
       }
 
-      return binders.sort((a, b) => {
-        const aDate = new Date(a.metadata?.createdAt || 0);
-        const bDate = new Date(b.metadata?.createdAt || 0);
-        return bDate - aDate; // desc order
-      });
-    } catch (error) {
-      console.error("Error in getAllCloudBinders:", error);
-      throw error;
+      const { serverTimestamp, cardCount, ...binderMeta } = data;
+
+      // Deep copy binderMeta to avoid mutation when adding cards later
+      const binder = { ...binderMeta };
+
+      // If binder stores cards in subcollection, fetch them now so the caller
+      // receives a complete binder object ready for use.
+      if (binder.cardsStorage === "subcollection") {
+        try {
+          const cardsSnap = await getDocs(collection(docSnap.ref, "cards"));
+          const cards = {};
+          cardsSnap.forEach((cardDoc) => {
+            cards[cardDoc.id] = cardDoc.data();
+          });
+          binder.cards = cards;
+        } catch (cardsErr) {
+          console.warn(
+            `Failed to fetch card subcollection for binder ${binder.id}:`,
+            cardsErr
+          );
+          // Fallback to empty object – ensure property exists
+          binder.cards = {};
+        }
+      } else {
+        // Embedded storage – ensure cards field exists (may be large)
+        binder.cards = binder.cards || {};
+      }
+
+      binders.push(binder);
     }
+
+    return binders.sort((a, b) => {
+      const aDate = new Date(a.metadata?.createdAt || 0);
+      const bDate = new Date(b.metadata?.createdAt || 0);
+      return bDate - aDate; // desc order
+    });
   }
 
   /**
    * Real-time listener for cloud binder changes
+   * With `includePresence` the callback also gets the users who have the
+   * binder open, as `viewers` ({ userId, displayName, photoURL, lastSeen }).
+   * @param {string} binderId - Binder to watch
+   * @param {string} userId - Owner of the binder document
+   * @param {Function} callback - Called with { exists, binder, viewers }
+   * @param {Object} options - { includePresence }
+   * @returns {Function} - Unsubscribe from all listeners
    */
-  subscribeToCloudBinder(binderId, userId, callback) {
+  subscribeToCloudBinder(binderId, userId, callback, options = {}) {
     if (!userId || !binderId) {
       throw new Error("User ID and Binder ID are required");
     }
 
     const binderRef = doc(db, COLLECTION_NAME, `${userId}_${binderId}`);
+    let latest = { exists: false, binder: null, viewers: [] };
+    const emit = (changes) => {
+      latest = { ...latest, ...changes };
+      callback(latest);
+    };
 
-    return onSnapshot(
+    const unsubscribeBinder = onSnapshot(
       binderRef,
       (doc) => {
         if (doc.exists()) {
           const data = doc.data();
           const { serverTimestamp, ...binder } = data;
-          callback({ exists: true, binder });
+          emit({ exists: true, binder });
         } else {
-          callback({ exists: false, binder: null });
+          emit({ exists: false, binder: null });
         }
       },
       (error) => {
@@ -454,21 +676,91 @@ export class BinderSyncService {
         callback({ error: error.message });
       }
     );
+
+    if (!options.includePresence) {
+      return unsubscribeBinder;
+    }
+
+    const unsubscribePresence = onSnapshot(
+      collection(binderRef, PRESENCE_COLLECTION),
+      (snapshot) => {
+        const viewers = snapshot.docs.map((viewerDoc) => {
+          // Our own pending heartbeat has no server time yet
+          const data = viewerDoc.data({ serverTimestamps: "estimate" });
+          return {
+            userId: viewerDoc.id,
+            displayName: data.displayName || "User",
+            photoURL: data.photoURL || null,
+            lastSeen: data.lastSeen?.toMillis?.() || 0,
+          };
+        });
+        emit({ viewers });
+      },
+      (error) => {
+        console.error("Binder presence subscription error:", error);
+      }
+    );
+
+    return () => {
+      unsubscribeBinder();
+      unsubscribePresence();
+    };
   }
 
   /**
-   * Conflict detection between local and cloud versions
+   * Mark a user as having a binder open (sent as a heartbeat)
+   * @param {string} binderId - Binder being viewed
+   * @param {string} ownerId - Owner of the binder document
+   * @param {Object} viewer - { userId, displayName, photoURL }
    */
-  _detectConflict(localBinder, cloudBinder) {
+  async updatePresence(binderId, ownerId, viewer) {
+    const presenceRef = doc(
+      db,
+      COLLECTION_NAME,
+      `${ownerId}_${binderId}`,
+      PRESENCE_COLLECTION,
+      viewer.userId
+    );
+
+    await setDoc(presenceRef, {
+      displayName: viewer.displayName || "User",
+      photoURL: viewer.photoURL || null,
+      lastSeen: serverTimestamp(),
+    });
+  }
+
+  /**
+   * Remove a user from the presence list of a binder
+   */
+  async clearPresence(binderId, ownerId, userId) {
+    await deleteDoc(
+      doc(
+        db,
+        COLLECTION_NAME,
+        `${ownerId}_${binderId}`,
+        PRESENCE_COLLECTION,
+        userId
+      )
+    );
+  }
+
+  /**
+   * Conflict detection between local and cloud versions.
+   * With a base snapshot the cloud only conflicts when it changed since the
+   * last sync; without one, a newer cloud version is treated as a conflict.
+   * `conflictData` holds the slot-level diff (see utils/binderConflicts).
+   */
+  _detectConflict(localBinder, cloudBinder, base = null) {
     const conflict = {
       hasConflict: false,
+      needsUserResolution: false,
       type: null,
       details: {},
+      conflictData: null,
     };
 
     // Version conflict
     if (cloudBinder.version > localBinder.version) {
-      conflict.hasConflict = true;
       conflict.type = "version_newer_remote";
       conflict.details.localVersion = localBinder.version;
       conflict.details.cloudVersion = cloudBinder.version;
@@ -479,7 +771,6 @@ export class BinderSyncService {
     const cloudModified = new Date(cloudBinder.lastModified);
 
     if (cloudModified > localModified) {
-      conflict.hasConflict = true;
       conflict.type = conflict.type || "timestamp_newer_remote";
       conflict.details.localModified = localBinder.lastModified;
       conflict.details.cloudModified = cloudBinder.lastModified;
@@ -492,109 +783,35 @@ export class BinderSyncService {
       : cloudBinder.cardCount || 0;
 
     if (localCardCount !== cloudCardCount) {
-      conflict.hasConflict = true;
       conflict.type = conflict.type || "content_different";
       conflict.details.localCardCount = localCardCount;
       conflict.details.cloudCardCount = cloudCardCount;
     }
 
-    return conflict;
-  }
-
-  /**
-   * Intelligent conflict resolution
-   */
-  async _resolveConflict(localBinder, cloudBinder, conflict) {
-    console.log("Resolving conflict:", conflict);
-
-    switch (conflict.type) {
-      case "version_newer_remote":
-        // Cloud is newer, merge changes carefully
-        return this._mergeChanges(localBinder, cloudBinder, "cloud_wins");
-
-      case "timestamp_newer_remote":
-        // Cloud was modified more recently
-        return this._mergeChanges(localBinder, cloudBinder, "cloud_wins");
+    const conflictData = computeBinderConflict(localBinder, cloudBinder, base);
 
-      case "content_different":
-        // Different content, try to merge intelligently
-        return this._mergeChanges(
-          localBinder,
-          cloudBinder,
-          "intelligent_merge"
-        );
+    conflict.hasConflict = base
+      ? hasCloudChanges(conflictData)
+      : conflict.type === "version_newer_remote" ||
+        conflict.type === "timestamp_newer_remote";
 
-      default:
-        // Default to local wins if unsure
-        return this._mergeChanges(localBinder, cloudBinder, "local_wins");
+    if (conflict.hasConflict) {
+      conflict.conflictData = conflictData;
+      conflict.needsUserResolution = hasUnresolvedConflicts(conflictData);
+      conflict.details.slotCount = conflictData.slots.length;
+      conflict.details.fieldCount = conflictData.fields.length;
     }
+
+    return conflict;
   }
 
   /**
-   * Merge changes between local and cloud versions
+   * Merge the changes that only happened on one side since the last sync
    */
-  _mergeChanges(localBinder, cloudBinder, strategy) {
-    const now = new Date().toISOString();
-
-    switch (strategy) {
-      case "cloud_wins":
-        return {
-          ...cloudBinder,
-          sync: {
-            ...cloudBinder.sync,
-            status: "synced",
-            lastSynced: now,
-            pendingChanges: [],
-            conflictData: null,
-          },
-        };
-
-      case "local_wins":
-        return {
-          ...localBinder,
-          version:
-            Math.max(localBinder.version || 0, cloudBinder.version || 0) + 1,
-          lastModified: now,
-        };
-
-      case "intelligent_merge":
-        // Merge cards intelligently - combine both sets
-        const mergedCards = { ...cloudBinder.cards };
-
-        // Add local cards that aren't in cloud
-        Object.entries(localBinder.cards || {}).forEach(([position, card]) => {
-          if (!mergedCards[position]) {
-            mergedCards[position] = card;
-          } else {
-            // Position conflict - local card takes precedence if newer
-            const localAdded = new Date(card.addedAt);
-            const cloudAdded = new Date(mergedCards[position].addedAt);
-            if (localAdded > cloudAdded) {
-              mergedCards[position] = card;
-            }
-          }
-        });
-
-        return {
-          ...localBinder,
-          ...cloudBinder,
-          cards: mergedCards,
-          version:
-            Math.max(localBinder.version || 0, cloudBinder.version || 0) + 1,
-          lastModified: now,
-          metadata: {
-            ...cloudBinder.metadata,
-            ...localBinder.metadata, // Local metadata wins
-          },
-          settings: {
-            ...cloudBinder.settings,
-            ...localBinder.settings, // Local settings win
-          },
-        };
+  async _resolveConflict(localBinder, cloudBinder, conflict) {
+    console.log("Resolving conflict:", conflict.type, conflict.details);
 
-      default:
-        return localBinder;
-    }
+    return applyConflictResolutions(localBinder, conflict.conflictData);
   }
 
   /**
@@ -626,8 +843,24 @@ export class BinderSyncService {
       // continue to delete main doc regardless
     }
 
+    // Presence entries of shared binders
+    try {
+      const presenceSnap = await getDocs(
+        collection(binderRef, PRESENCE_COLLECTION)
+      );
+      if (!presenceSnap.empty) {
+        const batch = writeBatch(db);
+        presenceSnap.forEach((viewerDoc) => batch.delete(viewerDoc.ref));
+        await batch.commit();
+      }
+    } catch (presenceErr) {
+      console.warn("Failed to delete binder presence:", presenceErr);
+    }
+
     // Finally delete the parent binder document
     await deleteDoc(binderRef);
+    this.clearSyncBase(binderId);
+    this.removeFromOfflineQueue(binderId);
 
     return { success: true, message: "Binder permanently deleted from cloud" };
   }
@@ -696,8 +929,13 @@ export const useBinder = () => {
     downloadFromCloud: (binderId) =>
       binderSyncService.downloadFromCloud(binderId, user?.uid),
     getAllCloudBinders: () => binderSyncService.getAllCloudBinders(user?.uid),
-    subscribeToCloudBinder: (binderId, callback) =>
-      binderSyncService.subscribeToCloudBinder(binderId, user?.uid, callback),
+    subscribeToCloudBinder: (binderId, callback, options) =>
+      binderSyncService.subscribeToCloudBinder(
+        binderId,
+        user?.uid,
+        callback,
+        options
+      ),
     deleteFromCloud: (binderId) =>
       binderSyncService.deleteFromCloud(binderId, user?.uid),
     checkSyncStatus: (binderIds) =>
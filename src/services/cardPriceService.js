@@ -0,0 +1,72 @@
+import { pokemonTcgApi } from "./pokemonTcgApi";
+import { getBaseCardId, getCardSetId } from "../utils/cardValuation";
+
+/**
+ * Service for looking up catalog prices of cards
+ * Prices come from the tcgplayer / cardmarket blocks of the local set JSON,
+ * so no price data needs to be stored on binder card entries.
+ */
+export class CardPriceService {
+  constructor() {
+    this.prices = new Map(); // cardId -> { tcgplayer, cardmarket, updatedAt }
+    this.loadedSets = new Map(); // setId -> Promise
+  }
+
+  /**
+   * Load (once) the prices of every card in a set
+   * @param {string} setId - The set ID
+   * @param {string} lang - Catalog language folder
+   */
+  loadSetPrices(setId, lang = "en") {
+    if (!setId) return Promise.resolve();
+
+    const cacheKey = `${lang}_${setId}`;
+    if (this.loadedSets.has(cacheKey)) return this.loadedSets.get(cacheKey);
+
+    const promise = pokemonTcgApi
+      .getLocalSetCards(setId, lang)
+      .then((cards) => {
+        cards.forEach((card) => {
+          if (!card?.id) return;
+          this.prices.set(card.id, {
+            tcgplayer: card.tcgplayer?.prices || null,
+            cardmarket: card.cardmarket?.prices || null,
+            updatedAt:
+              card.tcgplayer?.updatedAt || card.cardmarket?.updatedAt || null,
+          });
+        });
+      })
+      .catch((error) => {
+        console.warn(`Failed to load prices for set ${setId}:`, error);
+        this.loadedSets.delete(cacheKey);
+      });
+
+    this.loadedSets.set(cacheKey, promise);
+    return promise;
+  }
+
+  /**
+   * Load the prices needed for a list of binder card entries
+   * @param {Array} cardEntries - Card entries from binder.cards
+   */
+  async loadPricesForEntries(cardEntries = []) {
+    const setIds = new Set(
+      cardEntries.map((entry) => getCardSetId(entry)).filter(Boolean)
+    );
+    await Promise.all([...setIds].map((setId) => this.loadSetPrices(setId)));
+  }
+
+  /**
+   * Get the price data of a loaded card
+   * @param {string} cardId - The card ID (reverse holo suffixes are ignored)
+   */
+  getPriceData(cardId) {
+    return this.prices.get(getBaseCardId(cardId)) || null;
+  }
+}
+
+// Create singleton instance
+export const cardPriceService = new CardPriceService();
+
+// Default export
+export default cardPriceService;
@@ -0,0 +1,77 @@
+/**
+ * Service for searching the local card catalog in a web worker
+ * The worker loads the prebuilt search index (see
+ * scripts/build-search-index.js) on the first search of each language.
+ * Searches resolve to null when the index can't be used, so callers fall
+ * back to filtering the catalog themselves.
+ */
+export class CardSearchService {
+  constructor() {
+    this.worker = null;
+    this.nextRequestId = 0;
+    this.pendingRequests = new Map(); // requestId -> { resolve, reject }
+    this.unavailableLanguages = new Set(); // languages without an index
+    this.workerFailed = false;
+  }
+
+  isSupported() {
+    return typeof Worker !== "undefined" && !this.workerFailed;
+  }
+
+  getWorker() {
+    if (this.worker) return this.worker;
+
+    this.worker = new Worker(
+      new URL("../workers/cardSearch.worker.js", import.meta.url),
+      { type: "module" }
+    );
+    this.worker.onmessage = ({ data: { id, result, error } }) => {
+      const request = this.pendingRequests.get(id);
+      if (!request) return;
+      this.pendingRequests.delete(id);
+      if (error) request.reject(new Error(error));
+      else request.resolve(result);
+    };
+    this.worker.onerror = (event) => {
+      // The worker script itself failed; stop using it for this session
+      console.warn("Card search worker failed:", event.message);
+      this.workerFailed = true;
+      this.worker.terminate();
+      this.worker = null;
+      this.pendingRequests.forEach(({ resolve }) => resolve(null));
+      this.pendingRequests.clear();
+    };
+    return this.worker;
+  }
+
+  /**
+   * Search the catalog of a language
+   * @param {Object} params - { query, filters, orderBy, page, pageSize, lang }
+   * @returns {Promise<Object|null>} - { cards, totalCount, page, pageSize,
+   *   hasMore } with raw catalog cards, or null without a usable index
+   */
+  async search({ lang = "en", ...params }) {
+    if (!this.isSupported() || this.unavailableLanguages.has(lang)) {
+      return null;
+    }
+
+    const id = ++this.nextRequestId;
+    const result = await new Promise((resolve, reject) => {
+      this.pendingRequests.set(id, { resolve, reject });
+      this.getWorker().postMessage({
+        id,
+        type: "search",
+        payload: { ...params, lang },
+      });
+    });
+
+    if (result === null) this.unavailableLanguages.add(lang);
+    return result;
+  }
+}
+
+// Create singleton instance
+export const cardSearchService = new CardSearchService();
+
+// Default export
+export default cardSearchService;
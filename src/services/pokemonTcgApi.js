@@ -9,6 +9,15 @@ const MAX_PAGE_SIZE = 250;
 
 // Import Supabase API for fallback
 import { supabaseApi, normalizeSupabaseCardData } from "./supabaseApi.js";
+import { cardSearchService } from "./cardSearchService.js";
+import {
+  parseCardQuery,
+  matchesCardQuery,
+  matchesSearchFilters,
+  isAdvancedQuery,
+  toRemoteQuery,
+  sortCards,
+} from "../utils/cardQuery.js";
 /* Local sets JSON is now generated into public/data/{lang}/sets/sets.json at build time. */
 const localSetsDataPromises = new Map();
 async function loadLocalSetsData(lang = "en") {
@@ -25,6 +34,21 @@ async function loadLocalSetsData(lang = "en") {
   return promise;
 }
 
+// Catalog languages generated by the cloning script (public/data/languages.json)
+let availableLanguagesPromise = null;
+function loadAvailableLanguages() {
+  if (availableLanguagesPromise) return availableLanguagesPromise;
+
+  const url = `${import.meta.env.BASE_URL || "/"}data/languages.json`;
+  availableLanguagesPromise = fetch(url)
+    .then((res) => (res.ok ? res.json() : null))
+    .then((languages) =>
+      Array.isArray(languages) && languages.length > 0 ? languages : ["en"]
+    )
+    .catch(() => ["en"]);
+  return availableLanguagesPromise;
+}
+
 // Fetch static metadata arrays (types, subtypes, etc.) from public folder
 async function loadLocalMeta(name, lang = "en") {
   const url = `${
@@ -92,60 +116,11 @@ const metaCache = new ApiCache(2 * 60 * 60 * 1000); // 2 hours
 const localCardsCache = new Map();
 
 function applyLocalFilters(cards, { query, filters }) {
-  return cards.filter((card) => {
-    // Name filter (basic contains, case-insensitive)
-    if (query) {
-      const term = query.toLowerCase();
-      if (!card.name?.toLowerCase().includes(term)) return false;
-    }
-    // Supertype
-    if (filters.supertype && card.supertype !== filters.supertype) return false;
-    // Types
-    if (filters.types && filters.types.length > 0) {
-      if (!card.types || !card.types.includes(filters.types[0])) return false;
-    }
-    // Subtypes
-    if (filters.subtypes && filters.subtypes.length > 0) {
-      if (!card.subtypes || !card.subtypes.includes(filters.subtypes[0]))
-        return false;
-    }
-    // Rarity
-    if (filters.rarity && card.rarity !== filters.rarity) return false;
-    // Artist
-    if (filters.artist && card.artist !== filters.artist) return false;
-    return true;
-  });
-}
-
-function sortCards(cards, orderBy) {
-  if (!orderBy) return cards;
-  const desc = orderBy.startsWith("-");
-  const field = desc ? orderBy.slice(1) : orderBy;
-  const accessor = (card) => {
-    switch (field) {
-      case "number":
-        return parseInt(card.number, 10) || 0;
-      case "name":
-        return card.name?.toLowerCase() || "";
-      case "rarity":
-        return card.rarity || "";
-      case "set.releaseDate": {
-        return card.set?.releaseDate
-          ? new Date(card.set.releaseDate).getTime()
-          : 0;
-      }
-      default:
-        return 0;
-    }
-  };
-  const sorted = [...cards].sort((a, b) => {
-    const av = accessor(a);
-    const bv = accessor(b);
-    if (av < bv) return desc ? 1 : -1;
-    if (av > bv) return desc ? -1 : 1;
-    return 0;
-  });
-  return sorted;
+  // Search box syntax (name:, hp>=, OR, -field:...) - see utils/cardQuery
+  const { ast } = parseCardQuery(query);
+  return cards.filter(
+    (card) => matchesCardQuery(card, ast) && matchesSearchFilters(card, filters)
+  );
 }
 
 // Rate limiting
@@ -488,51 +463,46 @@ export const pokemonTcgApi = {
     orderBy = "",
     filters = {},
   } = {}) {
-    /* ---------- LOCAL JSON SHORT-CIRCUIT (global file) ---------- */
+    /* ---------- SEARCH INDEX (web worker) ---------- */
     if (!filters.set) {
       const langFolder = filters.lang || "en";
-      const cacheKey = `${langFolder}_ALL`;
-      let allCards;
       try {
-        const allUrl = `${
-          import.meta.env.BASE_URL || "/"
-        }data/${langFolder}/cards/all.json`;
-        const allResp = await fetch(allUrl);
-        if (allResp.ok) {
-          allCards = await allResp.json();
-          localCardsCache.set(cacheKey, allCards);
-        } else {
-          throw new Error("all.json missing");
-        }
-      } catch (_) {
-        /* ---------- Fallback: aggregate all per-set files ---------- */
-        if (!localCardsCache.has(cacheKey)) {
-          // Gather set IDs from dynamically loaded local sets list
-          const localSets = await loadLocalSetsData(langFolder);
-          const setIds = localSets ? localSets.map((s) => s.id) : [];
-          const fetchPromises = setIds.map((id) =>
-            fetch(
-              `${
-                import.meta.env.BASE_URL || "/"
-              }data/${langFolder}/cards/${id}.json`
-            )
-              .then((res) => (res.ok ? res.json() : []))
-              .catch(() => [])
-          );
-          const results = await Promise.all(fetchPromises);
-          allCards = results.flat();
-          localCardsCache.set(cacheKey, allCards);
-        } else {
-          allCards = localCardsCache.get(cacheKey);
+        const indexed = await cardSearchService.search({
+          query,
+          page,
+          pageSize,
+          orderBy,
+          filters,
+          lang: langFolder,
+        });
+        if (indexed) {
+          return {
+            ...indexed,
+            cards: indexed.cards.map((card) => ({
+              ...normalizeCardData(card),
+              language: langFolder,
+            })),
+          };
         }
+      } catch (error) {
+        console.warn("Indexed search failed, filtering locally:", error);
       }
+    }
+
+    /* ---------- LOCAL JSON SHORT-CIRCUIT (global file) ---------- */
+    if (!filters.set) {
+      const langFolder = filters.lang || "en";
+      const allCards = await this.getAllLocalCards(langFolder);
       if (allCards) {
         const filtered = applyLocalFilters(allCards, { query, filters });
         const sorted = sortCards(filtered, orderBy);
         const startIdx = (page - 1) * pageSize;
         const paginated = sorted.slice(startIdx, startIdx + pageSize);
         return {
-          cards: paginated.map(normalizeCardData),
+          cards: paginated.map((card) => ({
+            ...normalizeCardData(card),
+            language: langFolder,
+          })),
           totalCount: sorted.length,
           page,
           pageSize,
@@ -568,7 +538,10 @@ export const pokemonTcgApi = {
         const startIdx = (page - 1) * pageSize;
         const paginated = sorted.slice(startIdx, startIdx + pageSize);
         return {
-          cards: paginated.map(normalizeCardData),
+          cards: paginated.map((card) => ({
+            ...normalizeCardData(card),
+            language: langFolder,
+          })),
           totalCount: sorted.length,
           page,
           pageSize,
@@ -578,8 +551,15 @@ export const pokemonTcgApi = {
     }
 
     /* ---------- EXISTING REMOTE FLOW ---------- */
+    // The remote API only has English cards
+    if (filters.lang && filters.lang !== "en") {
+      return { cards: [], totalCount: 0, page, pageSize, hasMore: false };
+    }
+
     let q = "";
-    if (query) {
+    if (query && isAdvancedQuery(query)) {
+      q += toRemoteQuery(parseCardQuery(query).ast);
+    } else if (query) {
       q += this.buildFuzzyNameQuery(query.trim());
     }
 
@@ -647,6 +627,62 @@ export const pokemonTcgApi = {
     }
   },
 
+  // Raw (un-normalized) cards of the whole local JSON catalog: all.json when
+  // generated, otherwise every per-set file. Empty when nothing is available.
+  async getAllLocalCards(lang = "en") {
+    const cacheKey = `${lang}_ALL`;
+    if (localCardsCache.has(cacheKey)) return localCardsCache.get(cacheKey);
+
+    let allCards;
+    try {
+      const allUrl = `${
+        import.meta.env.BASE_URL || "/"
+      }data/${lang}/cards/all.json`;
+      const allResp = await fetch(allUrl);
+      if (allResp.ok) {
+        allCards = await allResp.json();
+      } else {
+        throw new Error("all.json missing");
+      }
+    } catch (_) {
+      /* ---------- Fallback: aggregate all per-set files ---------- */
+      // Gather set IDs from dynamically loaded local sets list
+      const localSets = await loadLocalSetsData(lang);
+      const setIds = localSets ? localSets.map((s) => s.id) : [];
+      const fetchPromises = setIds.map((id) =>
+        fetch(`${import.meta.env.BASE_URL || "/"}data/${lang}/cards/${id}.json`)
+          .then((res) => (res.ok ? res.json() : []))
+          .catch(() => [])
+      );
+      const results = await Promise.all(fetchPromises);
+      allCards = results.flat();
+    }
+    localCardsCache.set(cacheKey, allCards);
+    return allCards;
+  },
+
+  // Raw (un-normalized) cards of one set from the local JSON catalog.
+  // Returns an empty array when the set file is unavailable.
+  async getLocalSetCards(setId, lang = "en") {
+    if (!setId) return [];
+    const cacheKey = `${lang}_${setId}`;
+    if (localCardsCache.has(cacheKey)) return localCardsCache.get(cacheKey);
+
+    try {
+      const localUrl = `${
+        import.meta.env.BASE_URL || "/"
+      }data/${lang}/cards/${setId}.json`;
+      const resp = await fetch(localUrl);
+      if (!resp.ok) return [];
+      const cards = await resp.json();
+      localCardsCache.set(cacheKey, cards);
+      return cards;
+    } catch (error) {
+      console.warn(`Local JSON for set ${setId} not available`, error);
+      return [];
+    }
+  },
+
   async getCard(cardId) {
     if (!cardId) throw new Error("Card ID is required");
     try {
@@ -722,7 +758,8 @@ export const pokemonTcgApi = {
       console.warn("Local featured cards fallback failed", err);
     }
 
-    /* Remote fallback */
+    /* Remote fallback (English only) */
+    if (lang !== "en") return [];
     try {
       const response = await apiRequest("/cards", {
         params: {
@@ -741,6 +778,7 @@ export const pokemonTcgApi = {
     // Attempt to load from local JSON generated by the cloning script first
     const localSets = await loadLocalSetsData(lang);
     if (localSets) return localSets;
+    if (lang !== "en") return [];
 
     console.warn("Local set data unavailable, falling back to remote API");
     try {
@@ -758,6 +796,12 @@ export const pokemonTcgApi = {
     }
   },
 
+  // Codes of the catalog languages available locally, English first
+  async getLanguages() {
+    const languages = await loadAvailableLanguages();
+    return ["en", ...languages.filter((lang) => lang !== "en")];
+  },
+
   async getTypes(lang = "en") {
     const local = await loadLocalMeta("types", lang);
     if (local) return local;
@@ -857,6 +901,7 @@ export function normalizeCardData(card) {
     artist: card.artist,
     addedAt: new Date().toISOString(),
     source: card.source || "pokemon-tcg-api", // Keep source if normalized from Supabase
+    language: card.language || "en",
   };
 }
 
@@ -0,0 +1,71 @@
+import { doc, setDoc, getDoc, serverTimestamp } from "firebase/firestore";
+import { db } from "../lib/firebase";
+
+const COLLECTION_NAME = "user_wantlists";
+
+/**
+ * Service for syncing a user's want list to Firebase
+ * The list lives in a single document per user, next to user_binders,
+ * so it can be loaded in one read and shared through a share token.
+ */
+export class WantListService {
+  /**
+   * Get a user's want list from Firebase
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object|null>} - The want list, or null when none exists
+   */
+  async getWantList(userId) {
+    if (!userId) {
+      throw new Error("User ID is required");
+    }
+
+    try {
+      const wantListSnap = await getDoc(doc(db, COLLECTION_NAME, userId));
+      if (!wantListSnap.exists()) return null;
+
+      // Remove server timestamp before returning
+      const { serverTimestamp: _serverTimestamp, ...wantList } =
+        wantListSnap.data();
+      return wantList;
+    } catch (error) {
+      console.error("Failed to get want list:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a user's want list to Firebase
+   * @param {string} userId - The user ID
+   * @param {Object} wantList - { items, permissions, ownerDisplayName }
+   */
+  async saveWantList(userId, wantList) {
+    if (!userId) {
+      throw new Error("User ID is required");
+    }
+
+    const wantListData = {
+      ownerId: userId,
+      ownerDisplayName: wantList.ownerDisplayName || null,
+      items: wantList.items || {},
+      permissions: {
+        public: Boolean(wantList.permissions?.public),
+      },
+      lastModified: new Date().toISOString(),
+      serverTimestamp: serverTimestamp(),
+    };
+
+    try {
+      await setDoc(doc(db, COLLECTION_NAME, userId), wantListData);
+      return { success: true, lastModified: wantListData.lastModified };
+    } catch (error) {
+      console.error("Failed to save want list:", error);
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+export const wantListService = new WantListService();
+
+// Default export
+export default wantListService;
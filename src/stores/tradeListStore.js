@@ -0,0 +1,89 @@
+import { create } from "zustand";
+import { devtools } from "zustand/middleware";
+import { tradeService } from "../services/TradeService";
+
+// Wait for a burst of binder edits to finish before publishing
+const PUBLISH_DELAY = 2000; // ms
+let publishTimeout = null;
+
+/**
+ * The published copy of the signed in user's trade list.
+ * The list itself is derived from the binders (cards flagged for trade);
+ * this store only tracks what was last written to Firebase and whether the
+ * list is shown on the public profile.
+ */
+export const useTradeListStore = create()(
+  devtools(
+    (set, get) => ({
+      // State
+      userId: null,
+      ownerDisplayName: null,
+      isPublic: false,
+      publishedItems: null, // null until loaded
+      loading: false,
+      error: null,
+
+      initialize: async (userId, ownerDisplayName = null) => {
+        const state = get();
+        if (state.loading || state.userId === (userId || null)) return;
+
+        clearTimeout(publishTimeout);
+        if (!userId) {
+          set({
+            userId: null,
+            ownerDisplayName: null,
+            isPublic: false,
+            publishedItems: null,
+          });
+          return;
+        }
+
+        try {
+          set({ userId, ownerDisplayName, loading: true, error: null });
+          const tradeList = await tradeService.getTradeList(userId);
+          set({
+            isPublic: Boolean(tradeList?.isPublic),
+            publishedItems: tradeList?.items || [],
+            loading: false,
+          });
+        } catch (error) {
+          console.error("Error loading trade list:", error);
+          set({ error: error.message, loading: false, publishedItems: [] });
+        }
+      },
+
+      // Debounced so quick binder edits only cause one write
+      schedulePublish: (items) => {
+        if (!get().userId) return;
+        clearTimeout(publishTimeout);
+        publishTimeout = setTimeout(() => {
+          get()
+            .publish(items)
+            .catch(() => {});
+        }, PUBLISH_DELAY);
+      },
+
+      publish: async (items, isPublic = get().isPublic) => {
+        const { userId, ownerDisplayName } = get();
+        if (!userId) return;
+
+        clearTimeout(publishTimeout);
+        try {
+          await tradeService.saveTradeList(userId, {
+            items,
+            isPublic,
+            ownerDisplayName,
+          });
+          set({ publishedItems: items, isPublic, error: null });
+        } catch (error) {
+          console.error("Error publishing trade list:", error);
+          set({ error: error.message });
+          throw error;
+        }
+      },
+    }),
+    {
+      name: "trade-list-store", // devtools name
+    }
+  )
+);
@@ -0,0 +1,242 @@
+import { create } from "zustand";
+import { persist, devtools } from "zustand/middleware";
+import { wantListService } from "../services/wantListService";
+import {
+  createWantListItem,
+  getWantListItemId,
+  isWantListItemComplete,
+  reconcileWantList,
+} from "../utils/wantList";
+
+// Delay before local edits are written to Firebase
+const SYNC_DELAY = 1500; // ms
+let syncTimeout = null;
+
+export const useWantListStore = create()(
+  devtools(
+    persist(
+      (set, get) => ({
+        // State
+        items: {}, // itemId -> want list item
+        isPublic: false,
+        userId: null, // Owner of the persisted list (null = local only)
+        ownerDisplayName: null,
+        initialized: false,
+        loading: false,
+        syncing: false,
+        error: null,
+        lastSynced: null,
+
+        // Actions
+        clearError: () => set({ error: null }),
+
+        // Load the signed in user's list and merge anything added while signed out
+        initialize: async (userId, ownerDisplayName = null) => {
+          const state = get();
+          if (state.loading) return;
+          if (state.initialized && state.userId === (userId || null)) return;
+
+          if (!userId) {
+            // Signed out - keep a local list, but never another user's list
+            set({
+              items: state.userId ? {} : state.items,
+              isPublic: false,
+              userId: null,
+              ownerDisplayName: null,
+              initialized: true,
+            });
+            return;
+          }
+
+          try {
+            set({ loading: true, error: null });
+            const cloudList = await wantListService.getWantList(userId);
+            const localItems = state.userId === null ? state.items : {};
+            const cloudItems = cloudList?.items || {};
+
+            const localOnlyItems = Object.fromEntries(
+              Object.entries(localItems).filter(
+                ([itemId]) => !cloudItems[itemId]
+              )
+            );
+
+            set({
+              items: { ...cloudItems, ...localOnlyItems },
+              isPublic: Boolean(cloudList?.permissions?.public),
+              userId,
+              ownerDisplayName,
+              initialized: true,
+              loading: false,
+              lastSynced: cloudList?.lastModified || null,
+            });
+
+            if (Object.keys(localOnlyItems).length > 0) {
+              get().scheduleSync();
+            }
+          } catch (error) {
+            console.error("Error loading want list:", error);
+            set({ error: error.message, loading: false, initialized: true });
+          }
+        },
+
+        /**
+         * Add cards to the want list
+         * Duplicate cards in one call are combined into a single item.
+         * @param {Array} cards - Cards or binder card entries
+         * @param {Object} options - { variant, quantity, source, sourceBinderId }
+         * @returns {Object} - { added, alreadyListed }
+         */
+        addCards: (cards = [], options = {}) => {
+          const items = { ...get().items };
+          const newItems = {};
+          let alreadyListed = 0;
+
+          cards.forEach((card) => {
+            const item = createWantListItem(card, options);
+            if (!item) return;
+
+            if (items[item.itemId]) {
+              alreadyListed++;
+              return;
+            }
+
+            if (newItems[item.itemId]) {
+              newItems[item.itemId].quantity += 1;
+            } else {
+              newItems[item.itemId] = item;
+            }
+          });
+
+          const added = Object.keys(newItems).length;
+          if (added > 0) {
+            set({ items: { ...items, ...newItems } });
+            get().scheduleSync();
+          }
+
+          return { added, alreadyListed };
+        },
+
+        /**
+         * Update an item's quantity or variant
+         * Changing the variant moves the item to its new key.
+         */
+        updateItem: (itemId, updates = {}) => {
+          const items = { ...get().items };
+          const item = items[itemId];
+          if (!item) return;
+
+          const variant = updates.variant || item.variant;
+          const quantity = Math.max(
+            1,
+            parseInt(updates.quantity ?? item.quantity, 10) || 1
+          );
+          const newItemId = getWantListItemId(item.cardId, variant);
+
+          const updatedItem = { ...item, ...updates, itemId: newItemId };
+          updatedItem.quantity = quantity;
+          updatedItem.completedAt = isWantListItemComplete(updatedItem)
+            ? item.completedAt || new Date().toISOString()
+            : null;
+
+          delete items[itemId];
+          items[newItemId] = updatedItem;
+
+          set({ items });
+          get().scheduleSync();
+        },
+
+        removeItem: (itemId) => {
+          const items = { ...get().items };
+          if (!items[itemId]) return;
+          delete items[itemId];
+          set({ items });
+          get().scheduleSync();
+        },
+
+        // Remove every item that has been fully collected
+        clearCompleted: () => {
+          const items = Object.fromEntries(
+            Object.entries(get().items).filter(
+              ([, item]) => !isWantListItemComplete(item)
+            )
+          );
+          set({ items });
+          get().scheduleSync();
+        },
+
+        /**
+         * Check off items satisfied by cards that were added to a binder
+         * @param {Array} cards - The added cards
+         * @returns {Array} - The items that were checked off
+         */
+        checkOffCards: (cards = []) => {
+          const { items } = get();
+          if (Object.keys(items).length === 0) return [];
+
+          const { items: updatedItems, checkedOff } = reconcileWantList(
+            items,
+            cards
+          );
+          if (checkedOff.length > 0) {
+            set({ items: updatedItems });
+            get().scheduleSync();
+          }
+          return checkedOff;
+        },
+
+        // Make the list readable through share links (signed in users only)
+        setPublic: async (isPublic) => {
+          const { userId } = get();
+          if (!userId) {
+            throw new Error("Sign in to share your want list");
+          }
+          set({ isPublic: Boolean(isPublic) });
+          await get().syncToCloud();
+        },
+
+        // Debounced save so quick edits only cause one write
+        scheduleSync: () => {
+          if (!get().userId) return;
+          clearTimeout(syncTimeout);
+          syncTimeout = setTimeout(() => {
+            get()
+              .syncToCloud()
+              .catch(() => {});
+          }, SYNC_DELAY);
+        },
+
+        syncToCloud: async () => {
+          const { userId, items, isPublic, ownerDisplayName } = get();
+          if (!userId) return;
+
+          clearTimeout(syncTimeout);
+          try {
+            set({ syncing: true, error: null });
+            const result = await wantListService.saveWantList(userId, {
+              items,
+              permissions: { public: isPublic },
+              ownerDisplayName,
+            });
+            set({ syncing: false, lastSynced: result.lastModified });
+          } catch (error) {
+            console.error("Error syncing want list:", error);
+            set({ syncing: false, error: error.message });
+            throw error;
+          }
+        },
+      }),
+      {
+        name: "want-list-storage", // localStorage key
+        partialize: (state) => ({
+          items: state.items,
+          isPublic: state.isPublic,
+          userId: state.userId,
+          // Don't persist loading, syncing, error, or initialized
+        }),
+      }
+    ),
+    {
+      name: "want-list-store", // devtools name
+    }
+  )
+);
@@ -0,0 +1,114 @@
+/**
+ * Artist Utilities
+ * Groups the local card catalog by illustrator for the artist browser and
+ * the "create binder from artist" action.
+ */
+
+import { normalizeText } from "./cardQuery";
+
+/**
+ * Build the link to an artist page.
+ * @param {string} artist - Artist name as printed on the cards
+ * @param {string} language - Catalog language
+ * @returns {string}
+ */
+export const getArtistPath = (artist, language = "en") =>
+  `/artists/${encodeURIComponent(artist)}${
+    language && language !== "en" ? `?lang=${language}` : ""
+  }`;
+
+const getReleaseDate = (card) => card.set?.releaseDate || "";
+
+// Card numbers sort naturally ("2" < "10" < "TG01")
+const compareCardNumbers = (a, b) =>
+  String(a.number || "").localeCompare(String(b.number || ""), undefined, {
+    numeric: true,
+  });
+
+/**
+ * Order cards chronologically: by set release date, then set, then number.
+ * @param {Array<object>} cards
+ * @returns {Array<object>} - A new, sorted array
+ */
+export const sortCardsChronologically = (cards) =>
+  [...cards].sort(
+    (a, b) =>
+      getReleaseDate(a).localeCompare(getReleaseDate(b)) ||
+      String(a.set?.id || "").localeCompare(String(b.set?.id || "")) ||
+      compareCardNumbers(a, b)
+  );
+
+/**
+ * Count the cards of every artist in a catalog.
+ * @param {Array<object>} cards - Raw catalog cards
+ * @returns {Array<object>} - { name, cardCount, setCount, firstRelease,
+ *   lastRelease, sampleCard }, most prolific first
+ */
+export const buildArtistIndex = (cards) => {
+  const artists = new Map();
+
+  cards.forEach((card) => {
+    const name = card.artist?.trim();
+    if (!name) return;
+    if (!artists.has(name)) {
+      artists.set(name, {
+        name,
+        cardCount: 0,
+        sets: new Set(),
+        firstRelease: null,
+        lastRelease: null,
+        sampleCard: card,
+      });
+    }
+    const entry = artists.get(name);
+    const releaseDate = getReleaseDate(card);
+    entry.cardCount++;
+    if (card.set?.id) entry.sets.add(card.set.id);
+    if (releaseDate) {
+      if (!entry.firstRelease || releaseDate < entry.firstRelease) {
+        entry.firstRelease = releaseDate;
+      }
+      if (!entry.lastRelease || releaseDate > entry.lastRelease) {
+        entry.lastRelease = releaseDate;
+        // The newest card shows off the artist's current work
+        entry.sampleCard = card;
+      }
+    }
+  });
+
+  return [...artists.values()]
+    .map(({ sets, ...entry }) => ({ ...entry, setCount: sets.size }))
+    .sort((a, b) => b.cardCount - a.cardCount || a.name.localeCompare(b.name));
+};
+
+/**
+ * Cards illustrated by an artist, in chronological order.
+ * @param {Array<object>} cards - Raw catalog cards
+ * @param {string} artist - Exact artist name
+ * @returns {Array<object>}
+ */
+export const getArtistCards = (cards, artist) => {
+  const target = normalizeText(artist.trim());
+  return sortCardsChronologically(
+    cards.filter((card) => normalizeText(card.artist?.trim() || "") === target)
+  );
+};
+
+/**
+ * Group chronologically sorted cards by set, keeping the order.
+ * @param {Array<object>} cards
+ * @returns {Array<object>} - { set, cards }
+ */
+export const groupCardsBySet = (cards) => {
+  const groups = [];
+  cards.forEach((card) => {
+    const setId = card.set?.id || "unknown";
+    const last = groups[groups.length - 1];
+    if (last && last.setId === setId) {
+      last.cards.push(card);
+    } else {
+      groups.push({ setId, set: card.set || null, cards: [card] });
+    }
+  });
+  return groups;
+};
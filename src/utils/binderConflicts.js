@@ -0,0 +1,345 @@
+/**
+ * Binder Conflict Utilities
+ * Three-way diff between the local binder, the cloud binder and the snapshot
+ * taken at the last successful sync ("base"). Slots and settings changed on
+ * only one side are merged automatically; slots changed on both sides are
+ * left for the user to decide.
+ */
+
+export const CONFLICT_SIDES = {
+  LOCAL: "local",
+  CLOUD: "cloud",
+};
+
+// Binder sections compared key by key
+const COMPARED_SECTIONS = ["metadata", "settings"];
+
+// Labels for the fields shown in the conflict dialog
+const FIELD_LABELS = {
+  "metadata.name": "Name",
+  "metadata.description": "Description",
+  "metadata.tags": "Tags",
+  "metadata.coverImageUrl": "Cover image",
+  "metadata.missingInstances": "Missing cards",
+  "metadata.sortOrder": "Sort order",
+  "metadata.isArchived": "Archived",
+  "settings.gridSize": "Grid size",
+  "settings.sortBy": "Sort by",
+  "settings.sortDirection": "Sort direction",
+  "settings.autoSort": "Auto sort",
+  "settings.binderColor": "Binder color",
+  "settings.pageCount": "Page count",
+  "settings.language": "Card language",
+};
+
+/**
+ * JSON with sorted keys and without undefined values, so that Firestore
+ * reordering keys or dropping undefined fields is not seen as a change.
+ * @param {*} value
+ * @returns {string}
+ */
+export const stableStringify = (value) => {
+  if (value === null || value === undefined) return "null";
+  if (typeof value !== "object") return JSON.stringify(value);
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  const entries = Object.keys(value)
+    .filter((key) => value[key] !== undefined)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+  return `{${entries.join(",")}}`;
+};
+
+/**
+ * Short fingerprint of a value (FNV-1a). Empty values have no fingerprint.
+ * @param {*} value
+ * @returns {string|null}
+ */
+export const fingerprint = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = stableStringify(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${(hash >>> 0).toString(36)}${text.length.toString(36)}`;
+};
+
+/**
+ * Get the compared metadata / settings values of a binder keyed by path.
+ * @param {object} binder
+ * @returns {object} - { "metadata.name": value, ... }
+ */
+export const getComparedFields = (binder) => {
+  const fields = {};
+  COMPARED_SECTIONS.forEach((section) => {
+    Object.entries(binder?.[section] || {}).forEach(([key, value]) => {
+      if (value !== undefined) fields[`${section}.${key}`] = value;
+    });
+  });
+  return fields;
+};
+
+/**
+ * Get a readable label for a field path.
+ * @param {string} path
+ * @returns {string}
+ */
+export const getFieldLabel = (path) => {
+  if (FIELD_LABELS[path]) return FIELD_LABELS[path];
+  const key = path.split(".").pop();
+  return key
+    .replace(/([A-Z])/g, " $1")
+    .replace(/^./, (char) => char.toUpperCase());
+};
+
+/**
+ * Snapshot a binder for later three-way comparisons. Only fingerprints are
+ * kept so the snapshot stays small enough for localStorage.
+ * @param {object} binder
+ * @returns {object} - { version, lastModified, cards, fields }
+ */
+export const createSyncSnapshot = (binder) => {
+  const cards = {};
+  Object.entries(binder?.cards || {}).forEach(([position, entry]) => {
+    const print = fingerprint(entry);
+    if (print) cards[position] = print;
+  });
+
+  const fields = {};
+  Object.entries(getComparedFields(binder)).forEach(([path, value]) => {
+    const print = fingerprint(value);
+    if (print) fields[path] = print;
+  });
+
+  return {
+    version: binder?.version || 0,
+    lastModified: binder?.lastModified || null,
+    cards,
+    fields,
+  };
+};
+
+// Which side can be taken without asking: the side that changed since base
+const getAutoResolution = (basePrint, localPrint, cloudPrint) => {
+  if (basePrint === undefined) return null; // no base, cannot tell
+  if (localPrint === basePrint) return CONFLICT_SIDES.CLOUD;
+  if (cloudPrint === basePrint) return CONFLICT_SIDES.LOCAL;
+  return null; // changed on both sides
+};
+
+/**
+ * Diff a local binder against its cloud copy.
+ * Every slot or field that differs is listed; `autoResolution` is set when
+ * only one side changed since the base snapshot and null for true conflicts.
+ * @param {object} localBinder
+ * @param {object} cloudBinder - Including its cards
+ * @param {object|null} base - From createSyncSnapshot, null if unknown
+ * @returns {object} - Stored in binder.sync.conflictData
+ */
+export const computeBinderConflict = (
+  localBinder,
+  cloudBinder,
+  base = null
+) => {
+  const localCards = localBinder?.cards || {};
+  const cloudCards = cloudBinder?.cards || {};
+
+  const positions = [
+    ...new Set([...Object.keys(localCards), ...Object.keys(cloudCards)]),
+  ].sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+
+  const slots = [];
+  positions.forEach((position) => {
+    const local = localCards[position] || null;
+    const cloud = cloudCards[position] || null;
+    const localPrint = fingerprint(local);
+    const cloudPrint = fingerprint(cloud);
+    if (localPrint === cloudPrint) return;
+
+    slots.push({
+      position: parseInt(position, 10),
+      local,
+      cloud,
+      autoResolution: getAutoResolution(
+        base ? base.cards?.[position] || null : undefined,
+        localPrint,
+        cloudPrint
+      ),
+    });
+  });
+
+  const localFields = getComparedFields(localBinder);
+  const cloudFields = getComparedFields(cloudBinder);
+  const paths = [
+    ...new Set([...Object.keys(localFields), ...Object.keys(cloudFields)]),
+  ].sort();
+
+  const fields = [];
+  paths.forEach((path) => {
+    const local = localFields[path] ?? null;
+    const cloud = cloudFields[path] ?? null;
+    const localPrint = fingerprint(local);
+    const cloudPrint = fingerprint(cloud);
+    if (localPrint === cloudPrint) return;
+
+    fields.push({
+      path,
+      label: getFieldLabel(path),
+      local,
+      cloud,
+      autoResolution: getAutoResolution(
+        base ? base.fields?.[path] || null : undefined,
+        localPrint,
+        cloudPrint
+      ),
+    });
+  });
+
+  return {
+    detectedAt: new Date().toISOString(),
+    hasBase: Boolean(base),
+    localVersion: localBinder?.version || 0,
+    cloudVersion: cloudBinder?.version || 0,
+    localModified: localBinder?.lastModified || null,
+    cloudModified: cloudBinder?.lastModified || null,
+    // The cloud state the user is resolving against, used as the next base
+    cloudSnapshot: createSyncSnapshot(cloudBinder),
+    slots,
+    fields,
+  };
+};
+
+/**
+ * Whether the cloud has changes the local binder doesn't have yet.
+ * @param {object} conflictData
+ * @returns {boolean}
+ */
+export const hasCloudChanges = (conflictData) =>
+  [...(conflictData?.slots || []), ...(conflictData?.fields || [])].some(
+    (item) => item.autoResolution !== CONFLICT_SIDES.LOCAL
+  );
+
+/**
+ * Get the slots and fields changed on both sides.
+ * @param {object} conflictData
+ * @returns {object} - { slots, fields }
+ */
+export const getUnresolvedConflicts = (conflictData) => ({
+  slots: (conflictData?.slots || []).filter((slot) => !slot.autoResolution),
+  fields: (conflictData?.fields || []).filter((field) => !field.autoResolution),
+});
+
+/**
+ * Whether any slot or field needs the user to pick a side.
+ * @param {object} conflictData
+ * @returns {boolean}
+ */
+export const hasUnresolvedConflicts = (conflictData) => {
+  const { slots, fields } = getUnresolvedConflicts(conflictData);
+  return slots.length > 0 || fields.length > 0;
+};
+
+/**
+ * Build the initial resolutions: automatic sides where known, local otherwise.
+ * @param {object} conflictData
+ * @param {string} fallback - Side used for true conflicts
+ * @returns {object} - { slots: { [position]: side }, fields: { [path]: side } }
+ */
+export const getDefaultResolutions = (
+  conflictData,
+  fallback = CONFLICT_SIDES.LOCAL
+) => ({
+  slots: Object.fromEntries(
+    (conflictData?.slots || []).map((slot) => [
+      slot.position,
+      slot.autoResolution || fallback,
+    ])
+  ),
+  fields: Object.fromEntries(
+    (conflictData?.fields || []).map((field) => [
+      field.path,
+      field.autoResolution || fallback,
+    ])
+  ),
+});
+
+/**
+ * Apply the chosen sides to the local binder.
+ * Slots and fields without a choice use their automatic side, or local.
+ * @param {object} localBinder
+ * @param {object} conflictData - From computeBinderConflict
+ * @param {object} resolutions - { slots: { [position]: side }, fields: { [path]: side } }
+ * @returns {object} - The merged binder
+ */
+export const applyConflictResolutions = (
+  localBinder,
+  conflictData,
+  resolutions = {}
+) => {
+  const cards = { ...(localBinder.cards || {}) };
+  const sections = Object.fromEntries(
+    COMPARED_SECTIONS.map((section) => [
+      section,
+      { ...(localBinder[section] || {}) },
+    ])
+  );
+
+  (conflictData?.slots || []).forEach((slot) => {
+    const side =
+      resolutions.slots?.[slot.position] ||
+      slot.autoResolution ||
+      CONFLICT_SIDES.LOCAL;
+    const entry = side === CONFLICT_SIDES.CLOUD ? slot.cloud : slot.local;
+
+    if (entry) {
+      cards[slot.position] = entry;
+    } else {
+      delete cards[slot.position];
+    }
+  });
+
+  (conflictData?.fields || []).forEach((field) => {
+    const side =
+      resolutions.fields?.[field.path] ||
+      field.autoResolution ||
+      CONFLICT_SIDES.LOCAL;
+    const value = side === CONFLICT_SIDES.CLOUD ? field.cloud : field.local;
+    const [section, key] = field.path.split(".");
+
+    if (value === null) {
+      delete sections[section][key];
+    } else {
+      sections[section][key] = value;
+    }
+  });
+
+  // Missing flags can only point at cards that survived the merge
+  if (Array.isArray(sections.metadata.missingInstances)) {
+    const instanceIds = new Set(
+      Object.values(cards)
+        .map((entry) => entry?.instanceId)
+        .filter(Boolean)
+    );
+    sections.metadata.missingInstances =
+      sections.metadata.missingInstances.filter((id) => instanceIds.has(id));
+  }
+
+  return {
+    ...localBinder,
+    ...sections,
+    cards,
+    version: Math.max(
+      localBinder.version || 0,
+      conflictData?.cloudVersion || 0
+    ),
+    lastModified: new Date().toISOString(),
+    sync: {
+      ...localBinder.sync,
+      status: "pending",
+      conflictData: null,
+    },
+  };
+};
@@ -0,0 +1,142 @@
+/**
+ * Binder Export Utilities
+ * Flattens a binder into one row per card instance for the CSV / Excel export.
+ */
+
+import { getGridConfig } from "./binderGrids";
+import {
+  PRICE_SOURCES,
+  DEFAULT_PRICE_SOURCE,
+  getCardEntryValue,
+  getVariantLabel,
+} from "./cardValuation";
+import { getCardVariant } from "./wantList";
+import { getConditionInfo, isGradedEntry } from "./cardCondition";
+import { getCardLanguage, getLanguageInfo } from "./cardLanguages";
+
+// Columns of every export, in order. `type` drives the Excel cell type.
+export const EXPORT_COLUMNS = [
+  { key: "page", label: "Page", type: "number" },
+  { key: "slot", label: "Slot", type: "number" },
+  { key: "cardId", label: "Card ID", type: "string" },
+  { key: "name", label: "Name", type: "string" },
+  { key: "setName", label: "Set", type: "string" },
+  { key: "setId", label: "Set ID", type: "string" },
+  { key: "number", label: "Number", type: "string" },
+  { key: "rarity", label: "Rarity", type: "string" },
+  { key: "variant", label: "Variant", type: "string" },
+  { key: "language", label: "Language", type: "string" },
+  { key: "condition", label: "Condition", type: "string" },
+  { key: "gradingCompany", label: "Grading Company", type: "string" },
+  { key: "grade", label: "Grade", type: "number" },
+  { key: "certNumber", label: "Cert Number", type: "string" },
+  { key: "quantity", label: "Quantity", type: "number" },
+  { key: "missing", label: "Missing", type: "string" },
+  { key: "notes", label: "Notes", type: "string" },
+];
+
+// Extra columns added when prices are included
+export const PRICE_COLUMNS = [
+  { key: "priceSource", label: "Price Source", type: "string" },
+  { key: "currency", label: "Currency", type: "string" },
+  { key: "unitPrice", label: "Unit Price", type: "number" },
+  { key: "totalPrice", label: "Total Price", type: "number" },
+];
+
+/**
+ * Get the columns of an export.
+ * @param {boolean} includePrices
+ * @returns {Array}
+ */
+export const getExportColumns = (includePrices = false) =>
+  includePrices ? [...EXPORT_COLUMNS, ...PRICE_COLUMNS] : EXPORT_COLUMNS;
+
+/**
+ * Build the export rows of a binder, sorted by position.
+ * @param {object} binder
+ * @param {object} options
+ * @param {boolean} options.includePrices - Add the price columns
+ * @param {function} options.getPriceData - (cardId) => price data or null
+ * @param {string} options.priceSource - Key of PRICE_SOURCES
+ * @returns {Array} - Row objects keyed by column key
+ */
+export const buildBinderExportRows = (binder, options = {}) => {
+  const {
+    includePrices = false,
+    getPriceData = () => null,
+    priceSource = DEFAULT_PRICE_SOURCE,
+  } = options;
+
+  if (!binder?.cards) return [];
+
+  const cardsPerPage = getGridConfig(binder.settings?.gridSize || "3x3").total;
+  const missingInstances = new Set(binder.metadata?.missingInstances || []);
+  const source =
+    PRICE_SOURCES[priceSource] || PRICE_SOURCES[DEFAULT_PRICE_SOURCE];
+
+  return Object.entries(binder.cards)
+    .map(([position, cardEntry]) => ({
+      position: parseInt(position, 10),
+      cardEntry,
+    }))
+    .filter(({ position, cardEntry }) => !isNaN(position) && cardEntry)
+    .sort((a, b) => a.position - b.position)
+    .map(({ position, cardEntry }) => {
+      const cardData = cardEntry.cardData || {};
+      const variant = getCardVariant(cardEntry);
+      const grading = isGradedEntry(cardEntry) ? cardEntry.grading : null;
+
+      const row = {
+        page: Math.floor(position / cardsPerPage) + 1,
+        slot: (position % cardsPerPage) + 1,
+        cardId: cardEntry.cardId || cardData.id || "",
+        name: cardData.name || "",
+        setName: cardData.set?.name || "",
+        setId: cardData.set?.id || "",
+        number: cardData.number || "",
+        rarity: cardData.rarity || "",
+        variant: variant ? getVariantLabel(variant) : "",
+        language: getLanguageInfo(getCardLanguage(cardEntry)).label,
+        condition: getConditionInfo(cardEntry.condition).label,
+        gradingCompany: grading?.company || "",
+        grade: grading?.grade ?? null,
+        certNumber: grading?.certNumber || "",
+        quantity: cardEntry.quantity > 0 ? cardEntry.quantity : 1,
+        missing: missingInstances.has(cardEntry.instanceId) ? "Yes" : "No",
+        notes: cardEntry.notes || "",
+      };
+
+      if (includePrices) {
+        const value = getCardEntryValue(cardEntry, getPriceData, {
+          source: priceSource,
+        });
+        row.priceSource = source.label;
+        row.currency = value?.currency || source.currency;
+        row.unitPrice = value ? value.value : null;
+        row.totalPrice = value ? value.total : null;
+      }
+
+      return row;
+    });
+};
+
+// Quote a CSV field when it contains a delimiter, quote or line break
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = value.toString();
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise export rows as CSV (RFC 4180, CRLF line endings).
+ * @param {Array} columns - From getExportColumns
+ * @param {Array} rows - From buildBinderExportRows
+ * @returns {string}
+ */
+export const rowsToCsv = (columns, rows) =>
+  [
+    columns.map((column) => escapeCsvValue(column.label)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCsvValue(row[column.key])).join(",")
+    ),
+  ].join("\r\n");
@@ -0,0 +1,171 @@
+/**
+ * Binder Grid Registry
+ * A binder page is a grid of pockets stored as `settings.gridSize` in
+ * "{cols}x{rows}" form, so "4x3" is 4 columns by 3 rows. Any size within
+ * GRID_LIMITS works; presets name the page layouts sold for real binders and
+ * `settings.gridPreset` remembers which one was picked when two share a size.
+ */
+
+export const DEFAULT_GRID_SIZE = "3x3";
+
+export const GRID_LIMITS = { min: 1, max: 6 };
+
+// Pages with more pockets than this are premium "large grids"
+export const LARGE_GRID_POCKETS = 16;
+
+export const GRID_PRESETS = [
+  {
+    id: "9-pocket",
+    gridSize: "3x3",
+    label: "9-Pocket",
+    description: "Standard binder pages",
+  },
+  {
+    id: "12-pocket",
+    gridSize: "4x3",
+    label: "12-Pocket",
+    description: "Zip binders with 3 rows of 4",
+  },
+  {
+    id: "16-pocket",
+    gridSize: "4x4",
+    label: "16-Pocket",
+    description: "Large binders with 4 rows of 4",
+  },
+  {
+    id: "4-pocket",
+    gridSize: "2x2",
+    label: "4-Pocket",
+    description: "Mini portfolios",
+  },
+  {
+    id: "4-pocket-toploader",
+    gridSize: "2x2",
+    label: "4-Pocket Toploader",
+    description: "Pages that hold cards in 3×4 toploaders",
+  },
+  {
+    id: "8-pocket-landscape",
+    gridSize: "4x2",
+    label: "8-Pocket Landscape",
+    description: "Landscape pages with 2 rows of 4",
+  },
+  {
+    id: "1-pocket",
+    gridSize: "1x1",
+    label: "Single Card",
+    description: "One card per page",
+  },
+];
+
+// Every size a preset uses, in preset order
+export const PRESET_GRID_SIZES = [
+  ...new Set(GRID_PRESETS.map((preset) => preset.gridSize)),
+];
+
+const isWithinLimits = (value) =>
+  Number.isInteger(value) &&
+  value >= GRID_LIMITS.min &&
+  value <= GRID_LIMITS.max;
+
+/**
+ * Parse a grid size string
+ * @param {string} gridSize - e.g. "4x3"
+ * @returns {{cols: number, rows: number}|null} - null when invalid or out of limits
+ */
+export const parseGridSize = (gridSize) => {
+  const match = /^(\d+)x(\d+)$/.exec(String(gridSize || "").trim());
+  if (!match) return null;
+
+  const cols = Number(match[1]);
+  const rows = Number(match[2]);
+  if (!isWithinLimits(cols) || !isWithinLimits(rows)) return null;
+
+  return { cols, rows };
+};
+
+/**
+ * Build a grid size string from columns and rows
+ */
+export const formatGridSize = (cols, rows) => `${cols}x${rows}`;
+
+/**
+ * Whether a grid size can be used for a binder
+ */
+export const isValidGridSize = (gridSize) => parseGridSize(gridSize) !== null;
+
+// Configs are cached so every caller gets the same object for a size, which
+// keeps hook dependencies stable
+const gridConfigCache = new Map();
+
+/**
+ * Get the layout of a grid size, falling back to the default grid
+ * @param {string} gridSize - e.g. "4x3"
+ * @returns {{name: string, cols: number, rows: number, total: number}}
+ */
+export const getGridConfig = (gridSize) => {
+  const name = isValidGridSize(gridSize) ? gridSize : DEFAULT_GRID_SIZE;
+
+  if (!gridConfigCache.has(name)) {
+    const { cols, rows } = parseGridSize(name);
+    gridConfigCache.set(name, { name, cols, rows, total: cols * rows });
+  }
+  return gridConfigCache.get(name);
+};
+
+/**
+ * Get how many card pages a binder has, counting manually added pages
+ * The first binder page holds the cover and one card page, every page after
+ * it holds two.
+ * @param {object} binder
+ * @returns {number}
+ */
+export const getCardPageCount = (binder) => {
+  const cardsPerPage = getGridConfig(binder?.settings?.gridSize).total;
+  const pageCount = binder?.settings?.pageCount || 1;
+  const pagesFromSettings = pageCount === 1 ? 1 : 1 + (pageCount - 1) * 2;
+  const positions = Object.keys(binder?.cards || {})
+    .map((position) => parseInt(position, 10))
+    .filter((position) => !isNaN(position));
+  const pagesFromCards =
+    positions.length > 0
+      ? Math.floor(Math.max(...positions) / cardsPerPage) + 1
+      : 0;
+
+  return Math.max(pagesFromSettings, pagesFromCards);
+};
+
+/**
+ * Display label for a grid size, e.g. "4×3"
+ */
+export const getGridLabel = (gridSize) => {
+  const { cols, rows } = getGridConfig(gridSize);
+  return `${cols}×${rows}`;
+};
+
+/**
+ * Get the preset a binder's grid matches
+ * The stored `gridPreset` wins when it still matches the grid size,
+ * otherwise the first preset of that size is used.
+ * @param {object} settings - binder.settings
+ * @returns {object|null} - Preset, or null for custom grids
+ */
+export const getGridPreset = (settings = {}) => {
+  const gridSize = settings.gridSize || DEFAULT_GRID_SIZE;
+  const matching = GRID_PRESETS.filter(
+    (preset) => preset.gridSize === gridSize
+  );
+
+  return (
+    matching.find((preset) => preset.id === settings.gridPreset) ||
+    matching[0] ||
+    null
+  );
+};
+
+/**
+ * Whether a grid size needs the premium large grid feature
+ */
+export const isLargeGridSize = (gridSize) =>
+  isValidGridSize(gridSize) &&
+  getGridConfig(gridSize).total > LARGE_GRID_POCKETS;
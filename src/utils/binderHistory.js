@@ -0,0 +1,266 @@
+/**
+ * Binder History Utilities
+ * Undo / redo commands for binder edits. Every command carries a patch with
+ * the before and after value of each slot, setting and metadata field it
+ * touched, so it can be applied in either direction.
+ */
+
+import { stableStringify, getFieldLabel } from "./binderConflicts";
+
+// Commands kept per binder
+export const HISTORY_LIMIT = 50;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+// Sections patched key by key
+const PATCHED_SECTIONS = ["settings", "metadata"];
+
+export const HISTORY_LABELS = {
+  card_added: "Added card",
+  cards_batch_added: "Added cards",
+  card_removed: "Removed card",
+  card_updated: "Updated card",
+  card_moved: "Moved card",
+  batch_move_cards: "Moved cards",
+  card_pages_reordered: "Reordered card pages",
+  pages_reordered: "Reordered pages",
+  page_added: "Added page",
+  pages_batch_added: "Added pages",
+  page_removed: "Removed page",
+  binder_sorted: "Sorted binder",
+  settings_updated: "Changed settings",
+  cards_batch_cleared: "Cleared binder",
+  cards_compacted: "Compacted cards",
+};
+
+const isSameValue = (a, b) =>
+  a === b || stableStringify(a) === stableStringify(b);
+
+/**
+ * Build the patch between two versions of a binder.
+ * Card entries are stored once and referenced by index, so moves and sorts
+ * don't duplicate every card in localStorage.
+ * @param {object} before
+ * @param {object} after
+ * @returns {object|null} - { entries, cards, settings, metadata } or null if nothing changed
+ */
+export const createHistoryPatch = (before, after) => {
+  if (!before || !after || before === after) return null;
+
+  const entries = [];
+  const entryIndexes = new Map();
+  const addEntry = (entry) => {
+    if (!entry) return null;
+    if (!entryIndexes.has(entry)) {
+      entryIndexes.set(entry, entries.length);
+      entries.push(entry);
+    }
+    return entryIndexes.get(entry);
+  };
+
+  const beforeCards = before.cards || {};
+  const afterCards = after.cards || {};
+  const cards = {};
+  new Set([...Object.keys(beforeCards), ...Object.keys(afterCards)]).forEach(
+    (position) => {
+      const beforeEntry = beforeCards[position] || null;
+      const afterEntry = afterCards[position] || null;
+      if (isSameValue(beforeEntry, afterEntry)) return;
+      cards[position] = [addEntry(beforeEntry), addEntry(afterEntry)];
+    }
+  );
+
+  const patch = { entries, cards };
+  let hasChanges = Object.keys(cards).length > 0;
+
+  PATCHED_SECTIONS.forEach((section) => {
+    const beforeSection = before[section] || {};
+    const afterSection = after[section] || {};
+    if (beforeSection === afterSection) return;
+
+    const changes = {};
+    new Set([
+      ...Object.keys(beforeSection),
+      ...Object.keys(afterSection),
+    ]).forEach((key) => {
+      const beforeValue = beforeSection[key] ?? null;
+      const afterValue = afterSection[key] ?? null;
+      if (!isSameValue(beforeValue, afterValue)) {
+        changes[key] = [beforeValue, afterValue];
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      patch[section] = changes;
+      hasChanges = true;
+    }
+  });
+
+  return hasChanges ? patch : null;
+};
+
+/**
+ * Apply a patch to a binder.
+ * @param {object} binder
+ * @param {object} patch - From createHistoryPatch
+ * @param {string} direction - "undo" restores the before values, "redo" the after values
+ * @returns {object} - The patched binder
+ */
+export const applyHistoryPatch = (binder, patch, direction = "undo") => {
+  const side = direction === "undo" ? 0 : 1;
+  const cards = { ...(binder.cards || {}) };
+
+  Object.entries(patch.cards || {}).forEach(([position, indexes]) => {
+    const index = indexes[side];
+    if (index === null) {
+      delete cards[position];
+    } else {
+      cards[position] = patch.entries[index];
+    }
+  });
+
+  const patched = { ...binder, cards };
+  PATCHED_SECTIONS.forEach((section) => {
+    if (!patch[section]) return;
+    const values = { ...(binder[section] || {}) };
+    Object.entries(patch[section]).forEach(([key, change]) => {
+      values[key] = change[side];
+    });
+    patched[section] = values;
+  });
+
+  return patched;
+};
+
+/**
+ * Create a history command.
+ * @param {string} id
+ * @param {string} type - Change type, see HISTORY_LABELS
+ * @param {object} patch - From createHistoryPatch
+ * @param {string} label - Optional description, derived from the patch if left out
+ * @returns {object}
+ */
+export const createHistoryCommand = (id, type, patch, label = null) => ({
+  id,
+  type,
+  label,
+  timestamp: new Date().toISOString(),
+  patch,
+});
+
+/**
+ * Add a command to a binder's history. New commands clear the redo stack.
+ * @param {object} history - { past, future }
+ * @param {object} command
+ * @returns {object}
+ */
+export const pushHistoryCommand = (history = EMPTY_HISTORY, command) => ({
+  past: [...history.past, command].slice(-HISTORY_LIMIT),
+  future: [],
+});
+
+/**
+ * Move commands between the undo and redo stacks.
+ * Both stacks keep their next command at the end.
+ * @param {object} history - { past, future }
+ * @param {string} direction - "undo" | "redo"
+ * @param {number} count
+ * @returns {object}
+ */
+export const moveHistoryCommands = (
+  history = EMPTY_HISTORY,
+  direction,
+  count = 1
+) => {
+  const from = direction === "undo" ? history.past : history.future;
+  const to = direction === "undo" ? history.future : history.past;
+  const moved = from.slice(from.length - count).reverse();
+  const remaining = from.slice(0, from.length - moved.length);
+  const target = [...to, ...moved];
+
+  return direction === "undo"
+    ? { past: remaining, future: target }
+    : { past: target, future: remaining };
+};
+
+// Commands persisted per binder, and the card entries kept across all of
+// them, so history can't fill up localStorage
+const PERSISTED_HISTORY_LIMIT = 20;
+const MAX_PERSISTED_ENTRIES = 2000;
+
+// Keep the newest commands of a stack within the entry budget
+const trimCommands = (commands, budget) => {
+  const kept = [];
+  let remaining = budget;
+  for (let i = commands.length - 1; i >= 0; i--) {
+    if (kept.length >= PERSISTED_HISTORY_LIMIT) break;
+    const size = commands[i].patch?.entries?.length || 0;
+    if (size > remaining) break;
+    remaining -= size;
+    kept.unshift(commands[i]);
+  }
+  return { kept, remaining };
+};
+
+/**
+ * Trim the history of all binders before it's written to localStorage.
+ * Undo commands take priority over redo commands.
+ * @param {object} historyByBinder - { [binderId]: { past, future } }
+ * @returns {object}
+ */
+export const getPersistableHistory = (historyByBinder = {}) => {
+  const persisted = {};
+  Object.entries(historyByBinder).forEach(([binderId, history]) => {
+    if (!history) return;
+    const past = trimCommands(history.past || [], MAX_PERSISTED_ENTRIES);
+    const future = trimCommands(history.future || [], past.remaining);
+    if (past.kept.length === 0 && future.kept.length === 0) return;
+    persisted[binderId] = { past: past.kept, future: future.kept };
+  });
+  return persisted;
+};
+
+// Name of the card a single-card command is about
+const getPatchCardName = (patch, side) => {
+  const slots = Object.values(patch?.cards || {});
+  const slot = slots.find((indexes) => indexes[side] !== null);
+  return slot ? patch.entries[slot[side]]?.cardData?.name : null;
+};
+
+/**
+ * Describe a command for the history panel.
+ * @param {object} command
+ * @returns {string}
+ */
+export const getHistoryCommandLabel = (command) => {
+  if (command.label) return command.label;
+
+  const { type, patch } = command;
+  const cardName =
+    type === "card_removed"
+      ? getPatchCardName(patch, 0)
+      : getPatchCardName(patch, 1);
+
+  switch (type) {
+    case "card_added":
+      return cardName ? `Added ${cardName}` : HISTORY_LABELS.card_added;
+    case "card_removed":
+      return cardName ? `Removed ${cardName}` : HISTORY_LABELS.card_removed;
+    case "card_updated":
+      return cardName ? `Updated ${cardName}` : HISTORY_LABELS.card_updated;
+    case "card_moved":
+      return cardName ? `Moved ${cardName}` : HISTORY_LABELS.card_moved;
+    case "settings_updated": {
+      const keys = Object.keys(patch?.settings || {}).filter(
+        (key) => key !== "pageCount"
+      );
+      return keys.length > 0
+        ? `Changed ${keys
+            .map((key) => getFieldLabel(`settings.${key}`).toLowerCase())
+            .join(", ")}`
+        : HISTORY_LABELS.settings_updated;
+    }
+    default:
+      return HISTORY_LABELS[type] || "Edited binder";
+  }
+};
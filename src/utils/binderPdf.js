@@ -0,0 +1,136 @@
+/**
+ * Binder PDF Utilities
+ * Page sizes and the page / spread structure of the binder PDF export.
+ * Sizes are in PDF points (1/72 inch), the unit @react-pdf/renderer uses.
+ */
+
+import { getCardPageCount, getGridConfig } from "./binderGrids";
+
+export const PDF_PAGE_SIZES = {
+  letter: { label: "Letter", width: 612, height: 792 },
+  a4: { label: "A4", width: 595.28, height: 841.89 },
+  a5: { label: "A5", width: 419.53, height: 595.28 },
+};
+
+export const DEFAULT_PDF_PAGE_SIZE = "a4";
+
+export const PDF_LAYOUTS = {
+  single: {
+    label: "Single pages",
+    description: "One binder page per sheet",
+  },
+  spread: {
+    label: "Spreads",
+    description: "Two binder pages side by side, as the binder opens",
+  },
+};
+
+// Standard trading card, width / height
+export const CARD_ASPECT_RATIO = 63 / 88;
+
+/**
+ * Get the card pages of a binder with the entry in every slot
+ * @param {object} binder
+ * @param {object} options - { includeEmptyPages }
+ * @returns {Array} - { number, cardCount, slots: [{ position, slot,
+ *   cardEntry, isMissing }] } where cardEntry is null for empty slots
+ */
+export const getBinderPdfPages = (binder, options = {}) => {
+  const { includeEmptyPages = false } = options;
+  if (!binder) return [];
+
+  const cards = binder.cards || {};
+  const cardsPerPage = getGridConfig(binder.settings?.gridSize).total;
+  const missingInstances = new Set(binder.metadata?.missingInstances || []);
+  const pages = [];
+
+  for (let index = 0; index < getCardPageCount(binder); index++) {
+    const slots = Array.from({ length: cardsPerPage }, (_, slotIndex) => {
+      const position = index * cardsPerPage + slotIndex;
+      const cardEntry = cards[position] || null;
+      return {
+        position,
+        slot: slotIndex + 1,
+        cardEntry,
+        isMissing: Boolean(
+          cardEntry && missingInstances.has(cardEntry.instanceId)
+        ),
+      };
+    });
+    const cardCount = slots.filter((slot) => slot.cardEntry).length;
+
+    if (cardCount > 0 || includeEmptyPages) {
+      pages.push({ number: index + 1, cardCount, slots });
+    }
+  }
+
+  return pages;
+};
+
+/**
+ * Group card pages into the sheets of the PDF
+ * Spreads follow the binder: card page 1 sits opposite the inside of the
+ * cover, then pages 2 & 3, 4 & 5 and so on face each other.
+ * @param {Array} pages - From getBinderPdfPages
+ * @param {string} layout - Key of PDF_LAYOUTS
+ * @returns {Array} - Sheets as [left, right] for spreads (either may be
+ *   null) or [page] for single pages
+ */
+export const getPdfSheets = (pages, layout = "single") => {
+  if (layout !== "spread") {
+    return pages.map((page) => [page]);
+  }
+
+  const spreads = new Map();
+  pages.forEach((page) => {
+    const spreadIndex =
+      page.number === 1 ? 0 : Math.floor((page.number - 2) / 2) + 1;
+    const isLeft = page.number !== 1 && page.number % 2 === 0;
+
+    if (!spreads.has(spreadIndex)) spreads.set(spreadIndex, [null, null]);
+    spreads.get(spreadIndex)[isLeft ? 0 : 1] = page;
+  });
+
+  return [...spreads.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([, spread]) => spread);
+};
+
+/**
+ * Get the largest card size that fits a grid into an area
+ * @param {object} area - { width, height }
+ * @param {object} grid - From getGridConfig
+ * @param {number} gap - Space between cards
+ * @returns {object} - { width, height }
+ */
+export const getPdfCardSize = (area, grid, gap) => {
+  const widthFromColumns = (area.width - gap * (grid.cols - 1)) / grid.cols;
+  const heightFromRows = (area.height - gap * (grid.rows - 1)) / grid.rows;
+  const width = Math.min(widthFromColumns, heightFromRows * CARD_ASPECT_RATIO);
+
+  return { width, height: width / CARD_ASPECT_RATIO };
+};
+
+/**
+ * Get the image of every card in the PDF, largest available first
+ * @param {Array} pages - From getBinderPdfPages
+ * @returns {Array} - Unique image URLs
+ */
+export const getPdfImageUrls = (pages) => {
+  const urls = new Set();
+  pages.forEach((page) =>
+    page.slots.forEach(({ cardEntry }) => {
+      const url = getPdfCardImage(cardEntry);
+      if (url) urls.add(url);
+    })
+  );
+  return [...urls];
+};
+
+/**
+ * Image used for a card entry in the PDF
+ */
+export const getPdfCardImage = (cardEntry) => {
+  const cardData = cardEntry?.cardData || {};
+  return cardData.image || cardData.imageSmall || null;
+};
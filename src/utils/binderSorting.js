@@ -3,6 +3,9 @@
  * Provides robust sorting functionality for card collections in binders
  */
 
+import { cardPriceService } from "../services/cardPriceService";
+import { getCardEntryValue, getStoredPriceSource } from "./cardValuation";
+
 // Rarity hierarchy for consistent sorting
 const RARITY_HIERARCHY = {
   Common: 1,
@@ -184,10 +187,23 @@ const parseCardNumber = (number) => {
   };
 };
 
+/**
+ * Compare two card numbers: prefix, then numeric part, then suffix
+ */
+export const compareCardNumbers = (aNumber, bNumber) => {
+  const a = parseCardNumber(aNumber);
+  const b = parseCardNumber(bNumber);
+  const aPrefix = a.prefix || "";
+  const bPrefix = b.prefix || "";
+  if (aPrefix !== bPrefix) return aPrefix.localeCompare(bPrefix);
+  if (a.numeric !== b.numeric) return a.numeric - b.numeric;
+  return a.suffix.localeCompare(b.suffix);
+};
+
 /**
  * Get rarity weight for sorting
  */
-const getRarityWeight = (rarity) => {
+export const getRarityWeight = (rarity) => {
   if (!rarity) return 999;
   return RARITY_HIERARCHY[rarity] || 999;
 };
@@ -309,6 +325,73 @@ const sortByType = (cardsArray, direction = "asc") => {
   });
 };
 
+/**
+ * Compare two cards by set name, then by card number within the set
+ */
+const compareBySetAndNumber = (a, b) => {
+  const aSet = a.cardData?.set?.name || "";
+  const bSet = b.cardData?.set?.name || "";
+  if (aSet !== bSet) return aSet.localeCompare(bSet);
+
+  return compareCardNumbers(a.cardData?.number, b.cardData?.number);
+};
+
+/**
+ * Resolve the per-copy market price of every card once, before sorting.
+ * Cards without price data get null.
+ */
+const getPriceMap = (cardsArray, priceOptions = {}) => {
+  const {
+    getPriceData = (cardId) => cardPriceService.getPriceData(cardId),
+    priceSource = getStoredPriceSource(),
+  } = priceOptions;
+
+  const prices = new Map();
+  cardsArray.forEach((card) => {
+    const value = getCardEntryValue(card, getPriceData, {
+      source: priceSource,
+    });
+    prices.set(card, value ? value.value : null);
+  });
+  return prices;
+};
+
+/**
+ * Sort cards by market price. Cards without price data always sink to the
+ * end (in either direction) and keep a stable set/number order there.
+ * @param {boolean} setTieBreak - Order equal prices by set and number
+ */
+const sortByPrice = (
+  cardsArray,
+  direction = "asc",
+  priceOptions = {},
+  setTieBreak = false
+) => {
+  const prices = getPriceMap(cardsArray, priceOptions);
+
+  return cardsArray.sort((a, b) => {
+    const aPrice = prices.get(a);
+    const bPrice = prices.get(b);
+
+    if (aPrice === null || bPrice === null) {
+      if (aPrice === null && bPrice === null) {
+        return compareBySetAndNumber(a, b);
+      }
+      return aPrice === null ? 1 : -1;
+    }
+
+    let comparison = aPrice - bPrice;
+    if (direction !== "asc") comparison = -comparison;
+
+    if (comparison === 0) {
+      comparison = setTieBreak
+        ? compareBySetAndNumber(a, b)
+        : a.originalPosition - b.originalPosition;
+    }
+    return comparison;
+  });
+};
+
 /**
  * Sort cards by name alphabetically
  */
@@ -423,9 +506,16 @@ const sortByTypeThenRarity = (cardsArray, direction = "asc") => {
  * @param {object} cards - The cards object from the binder
  * @param {string} sortBy - The sort key (e.g., 'rarity', 'number')
  * @param {string} sortDirection - The sort direction ('asc' or 'desc')
+ * @param {object} priceOptions - { getPriceData, priceSource } for price sorts;
+ *   defaults to the prices preloaded in cardPriceService and the user's source
  * @returns {object} - The sorted cards object
  */
-export const sortCards = (cards, sortBy, sortDirection = "asc") => {
+export const sortCards = (
+  cards,
+  sortBy,
+  sortDirection = "asc",
+  priceOptions = {}
+) => {
   if (!cards || typeof cards !== "object") {
     console.warn("sortCards: cards parameter is not a valid object", cards);
     return {};
@@ -459,6 +549,12 @@ export const sortCards = (cards, sortBy, sortDirection = "asc") => {
     case "typeRarity":
       sortedArray = sortByTypeThenRarity(cardsArray, sortDirection);
       break;
+    case "price":
+      sortedArray = sortByPrice(cardsArray, sortDirection, priceOptions);
+      break;
+    case "priceThenSet":
+      sortedArray = sortByPrice(cardsArray, sortDirection, priceOptions, true);
+      break;
     case "custom":
     default:
       // For custom, just sort by original position to maintain order
@@ -491,8 +587,20 @@ export const getSortOptions = () => [
   { value: "name", label: "By Name (A-Z)", icon: "SortAsc" },
   { value: "rarityType", label: "By Rarity + Type", icon: "Gem" },
   { value: "typeRarity", label: "By Type + Rarity", icon: "Tag" },
+  { value: "price", label: "By Market Price", icon: "DollarSign" },
+  { value: "priceThenSet", label: "By Price + Set", icon: "DollarSign" },
 ];
 
+// Sort keys that need catalog prices loaded before sorting
+const PRICE_SORT_OPTIONS = ["price", "priceThenSet"];
+
+/**
+ * Check whether a sort key depends on catalog price data
+ * @param {string} sortBy - The sort key
+ * @returns {boolean}
+ */
+export const isPriceSort = (sortBy) => PRICE_SORT_OPTIONS.includes(sortBy);
+
 /**
  * Validate sort option
  */
@@ -527,6 +635,8 @@ export const getSortDirectionInfo = (sortBy, sortDirection) => {
   switch (sortBy) {
     case "rarity":
     case "number":
+    case "price":
+    case "priceThenSet":
       return {
         label: isAsc ? "Low to High" : "High to Low",
       };
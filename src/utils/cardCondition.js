@@ -0,0 +1,148 @@
+/**
+ * Card Condition Utilities
+ * Raw card condition scale (NM/LP/MP/HP/DMG) and graded slab details for
+ * binder card entries. Entries store `condition` and, for slabs, `grading`:
+ * { company, grade, certNumber }.
+ */
+
+export const DEFAULT_CONDITION = "near_mint";
+
+export const CARD_CONDITIONS = [
+  { value: "near_mint", short: "NM", label: "Near Mint" },
+  { value: "lightly_played", short: "LP", label: "Lightly Played" },
+  { value: "moderately_played", short: "MP", label: "Moderately Played" },
+  { value: "heavily_played", short: "HP", label: "Heavily Played" },
+  { value: "damaged", short: "DMG", label: "Damaged" },
+];
+
+// Values written before the NM-DMG scale existed
+const LEGACY_CONDITIONS = {
+  mint: "near_mint",
+  excellent: "lightly_played",
+  good: "moderately_played",
+  poor: "heavily_played",
+};
+
+export const GRADING_COMPANIES = [
+  { value: "PSA", label: "PSA" },
+  { value: "BGS", label: "Beckett (BGS)" },
+  { value: "CGC", label: "CGC" },
+  { value: "SGC", label: "SGC" },
+  { value: "TAG", label: "TAG" },
+  { value: "other", label: "Other" },
+];
+
+// 10 down to 1 in half steps
+export const GRADES = Array.from({ length: 19 }, (_, i) => 10 - i * 0.5);
+
+// Values of the binder condition filter besides the condition values
+export const CONDITION_FILTERS = {
+  ALL: "all",
+  GRADED: "graded",
+  RAW: "raw",
+};
+
+/**
+ * Map a stored condition (including legacy values) to the NM-DMG scale.
+ * @param {string} condition
+ * @returns {string}
+ */
+export const normalizeConditionValue = (condition) => {
+  if (!condition) return DEFAULT_CONDITION;
+  if (LEGACY_CONDITIONS[condition]) return LEGACY_CONDITIONS[condition];
+  return CARD_CONDITIONS.some((item) => item.value === condition)
+    ? condition
+    : DEFAULT_CONDITION;
+};
+
+/**
+ * Get the scale entry of a condition.
+ * @param {string} condition
+ * @returns {object} - { value, short, label }
+ */
+export const getConditionInfo = (condition) =>
+  CARD_CONDITIONS.find(
+    (item) => item.value === normalizeConditionValue(condition)
+  );
+
+/**
+ * Clean up grading details from a form or an import.
+ * @param {object} grading - { company, grade, certNumber }
+ * @returns {object|null} - null when no company is set
+ */
+export const normalizeGrading = (grading) => {
+  const company = grading?.company?.toString().trim();
+  if (!company) return null;
+
+  const grade = parseFloat(grading.grade);
+  return {
+    company,
+    grade: Number.isFinite(grade) ? Math.min(Math.max(grade, 1), 10) : null,
+    certNumber: grading.certNumber?.toString().trim() || null,
+  };
+};
+
+/**
+ * Whether a card entry is a graded slab.
+ * @param {object} cardEntry
+ * @returns {boolean}
+ */
+export const isGradedEntry = (cardEntry) =>
+  Boolean(cardEntry?.grading?.company);
+
+/**
+ * Short grading label, e.g. "PSA 10" or "BGS 9.5".
+ * @param {object} grading
+ * @returns {string}
+ */
+export const getGradingLabel = (grading) => {
+  if (!grading?.company) return "";
+  const company =
+    grading.company === "other" ? "Graded" : grading.company.toString();
+  return grading.grade !== null && grading.grade !== undefined
+    ? `${company} ${grading.grade}`
+    : company;
+};
+
+/**
+ * Badge shown on a binder card: the slab grade for graded cards, otherwise
+ * the condition. Near Mint raw cards get no badge to keep binders clean.
+ * @param {object} cardEntry
+ * @returns {object|null} - { type: "graded" | "condition", label, title }
+ */
+export const getConditionBadge = (cardEntry) => {
+  if (!cardEntry) return null;
+
+  if (isGradedEntry(cardEntry)) {
+    const { certNumber } = cardEntry.grading;
+    return {
+      type: "graded",
+      label: getGradingLabel(cardEntry.grading),
+      title: certNumber
+        ? `${getGradingLabel(cardEntry.grading)} (cert #${certNumber})`
+        : getGradingLabel(cardEntry.grading),
+    };
+  }
+
+  const condition = getConditionInfo(cardEntry.condition);
+  if (condition.value === DEFAULT_CONDITION) return null;
+
+  return { type: "condition", label: condition.short, title: condition.label };
+};
+
+/**
+ * Whether a card entry passes the binder condition filter.
+ * @param {object} cardEntry
+ * @param {string} filter - A CONDITION_FILTERS value or a condition value
+ * @returns {boolean}
+ */
+export const matchesConditionFilter = (cardEntry, filter) => {
+  if (!filter || filter === CONDITION_FILTERS.ALL) return true;
+  if (!cardEntry) return false;
+  if (filter === CONDITION_FILTERS.GRADED) return isGradedEntry(cardEntry);
+  if (filter === CONDITION_FILTERS.RAW) return !isGradedEntry(cardEntry);
+  return (
+    !isGradedEntry(cardEntry) &&
+    normalizeConditionValue(cardEntry.condition) === filter
+  );
+};
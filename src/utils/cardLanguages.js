@@ -0,0 +1,49 @@
+/**
+ * Card Language Utilities
+ * Languages of the local card catalog. Each language has its own folder in
+ * public/data/{code}; public/data/languages.json lists the generated ones.
+ */
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const CARD_LANGUAGES = [
+  { code: "en", label: "English", short: "EN" },
+  { code: "ja", label: "Japanese", short: "JP" },
+  { code: "de", label: "German", short: "DE" },
+  { code: "fr", label: "French", short: "FR" },
+  { code: "it", label: "Italian", short: "IT" },
+  { code: "es", label: "Spanish", short: "ES" },
+  { code: "pt", label: "Portuguese", short: "PT" },
+  { code: "ko", label: "Korean", short: "KR" },
+  { code: "zh-tw", label: "Chinese (Traditional)", short: "ZH" },
+];
+
+/**
+ * Get the info of a language code, falling back to the code itself for
+ * catalogs generated with a language this list doesn't know yet.
+ * @param {string} code
+ * @returns {object} - { code, label, short }
+ */
+export const getLanguageInfo = (code = DEFAULT_LANGUAGE) =>
+  CARD_LANGUAGES.find((language) => language.code === code) || {
+    code,
+    label: code,
+    short: code.toUpperCase(),
+  };
+
+/**
+ * Language of a binder card entry. Entries added before languages existed
+ * are English.
+ * @param {object} cardEntry
+ * @returns {string}
+ */
+export const getCardLanguage = (cardEntry) =>
+  cardEntry?.language || DEFAULT_LANGUAGE;
+
+/**
+ * Default catalog language of a binder.
+ * @param {object} binder
+ * @returns {string}
+ */
+export const getBinderLanguage = (binder) =>
+  binder?.settings?.language || DEFAULT_LANGUAGE;
@@ -0,0 +1,558 @@
+/**
+ * Card Query Utilities
+ * Parses the search syntax of the card search box and evaluates it against
+ * cards of the local JSON catalog. The syntax follows the Pokemon TCG API:
+ *
+ *   charizard                      name contains "charizard"
+ *   name:"Charizard ex"            quoted values may contain spaces
+ *   name:char*                     * is a wildcard
+ *   hp>=120  hp:>=120              comparisons: > >= < <=
+ *   nationalPokedexNumbers:1..151  ranges (either end may be left open)
+ *   types:fire OR types:water      OR binds looser than AND
+ *   -subtypes:ex  NOT subtypes:ex  negation
+ *   (types:fire OR types:water) rarity:"Illustration Rare"
+ */
+
+// How a field is compared:
+//   text    - contains, case- and accent-insensitive
+//   keyword - equals, case- and accent-insensitive
+//   number  - numeric equality, comparisons and ranges
+const FIELD_DEFINITIONS = [
+  { names: ["name"], paths: [{ path: "name", type: "text" }] },
+  {
+    names: ["set"],
+    paths: [
+      { path: "set.id", type: "keyword" },
+      { path: "set.ptcgoCode", type: "keyword" },
+      { path: "set.name", type: "text" },
+    ],
+  },
+  { names: ["set.id"], paths: [{ path: "set.id", type: "keyword" }] },
+  { names: ["set.name"], paths: [{ path: "set.name", type: "text" }] },
+  {
+    names: ["series", "set.series"],
+    paths: [{ path: "set.series", type: "text" }],
+  },
+  {
+    names: ["releaseDate", "set.releaseDate"],
+    paths: [{ path: "set.releaseDate", type: "keyword" }],
+  },
+  { names: ["artist"], paths: [{ path: "artist", type: "text" }] },
+  { names: ["hp"], paths: [{ path: "hp", type: "number" }] },
+  { names: ["rarity"], paths: [{ path: "rarity", type: "keyword" }] },
+  { names: ["types", "type"], paths: [{ path: "types", type: "keyword" }] },
+  {
+    names: ["subtypes", "subtype"],
+    paths: [{ path: "subtypes", type: "keyword" }],
+  },
+  { names: ["supertype"], paths: [{ path: "supertype", type: "keyword" }] },
+  {
+    names: ["regulationMark", "regulation"],
+    paths: [{ path: "regulationMark", type: "keyword" }],
+  },
+  {
+    names: ["nationalPokedexNumbers", "pokedex", "dex"],
+    paths: [{ path: "nationalPokedexNumbers", type: "number" }],
+  },
+  { names: ["number"], paths: [{ path: "number", type: "keyword" }] },
+  { names: ["id"], paths: [{ path: "id", type: "keyword" }] },
+  { names: ["evolvesFrom"], paths: [{ path: "evolvesFrom", type: "text" }] },
+  { names: ["evolvesTo"], paths: [{ path: "evolvesTo", type: "text" }] },
+  { names: ["flavorText"], paths: [{ path: "flavorText", type: "text" }] },
+  {
+    names: ["attacks", "attack", "attacks.name"],
+    paths: [{ path: "attacks.name", type: "text" }],
+  },
+  {
+    names: ["abilities", "ability", "abilities.name"],
+    paths: [{ path: "abilities.name", type: "text" }],
+  },
+  {
+    names: ["convertedRetreatCost", "retreat"],
+    paths: [{ path: "convertedRetreatCost", type: "number" }],
+  },
+  // legal:standard - the value names the format
+  { names: ["legal", "legalities"], paths: [], legality: true },
+];
+
+const FIELDS = new Map(
+  FIELD_DEFINITIONS.flatMap((definition) =>
+    definition.names.map((name) => [name.toLowerCase(), definition])
+  )
+);
+
+// Field names of the remote API, where they differ from the first alias
+const REMOTE_FIELD_NAMES = {
+  series: "set.series",
+  releaseDate: "set.releaseDate",
+  attacks: "attacks.name",
+  abilities: "abilities.name",
+};
+
+// Examples shown by the search box help
+export const CARD_QUERY_EXAMPLES = [
+  { query: "name:charizard", description: "Name contains a word" },
+  { query: 'rarity:"Illustration Rare"', description: "Exact value" },
+  { query: "hp>=120", description: "Compare numbers" },
+  { query: "nationalPokedexNumbers:1..151", description: "Range" },
+  { query: "types:fire OR types:water", description: "Either one" },
+  { query: "-subtypes:ex", description: "Exclude" },
+  { query: "set:sv3pt5 artist:arita", description: "Set and artist" },
+  { query: "regulationMark:G legal:standard", description: "Format" },
+];
+
+const COMPARISON_OPERATORS = [">=", "<=", ">", "<"];
+const FIELD_PATTERN = /^([A-Za-z][\w.]*)(>=|<=|>|<|:)/;
+
+// Lowercase and strip accents so "pokemon" matches "Pokémon"
+export const normalizeText = (value) =>
+  String(value)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+/**
+ * Split a query into tokens. Quotes group words; the quote characters are
+ * dropped from the token text.
+ * @param {string} query
+ * @param {string[]} errors - Collects syntax problems
+ * @returns {Array<object>}
+ */
+const tokenize = (query, errors) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < query.length) {
+    const char = query[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+    if (char === "(" || char === ")") {
+      tokens.push({ type: char });
+      index++;
+      continue;
+    }
+    if (char === "-" && query[index + 1] && !/\s/.test(query[index + 1])) {
+      tokens.push({ type: "NOT" });
+      index++;
+      continue;
+    }
+
+    let text = "";
+    let firstQuote = -1;
+    let inQuotes = false;
+    while (index < query.length) {
+      const current = query[index];
+      if (current === '"') {
+        if (firstQuote === -1) firstQuote = text.length;
+        inQuotes = !inQuotes;
+      } else if (!inQuotes && (/\s/.test(current) || "()".includes(current))) {
+        break;
+      } else {
+        text += current;
+      }
+      index++;
+    }
+    if (inQuotes) {
+      errors.push("Missing closing quote");
+    }
+
+    const quoted = firstQuote !== -1;
+    if (!quoted && (text === "OR" || text === "AND" || text === "NOT")) {
+      tokens.push({ type: text });
+    } else {
+      tokens.push({ type: "TERM", text, firstQuote });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Turn the text of a term token into a term node.
+ * @param {object} token
+ * @param {string[]} errors
+ * @returns {object|null} - null when the term should be ignored
+ */
+const parseTerm = ({ text, firstQuote }, errors) => {
+  const match = text.match(FIELD_PATTERN);
+  // A colon inside a quoted phrase doesn't make it a field
+  const hasField =
+    match && (firstQuote === -1 || match[0].length <= firstQuote);
+
+  if (!hasField) {
+    return text ? { type: "term", field: null, op: ":", value: text } : null;
+  }
+
+  const [prefix, fieldName] = match;
+  let op = match[2];
+  let value = text.slice(prefix.length);
+
+  // hp:>=120 is the same as hp>=120
+  if (op === ":") {
+    const comparison = COMPARISON_OPERATORS.find((candidate) =>
+      value.startsWith(candidate)
+    );
+    if (comparison && firstQuote !== prefix.length) {
+      op = comparison;
+      value = value.slice(comparison.length);
+    }
+  }
+
+  const definition = FIELDS.get(fieldName.toLowerCase());
+  if (!definition) {
+    errors.push(`Unknown field "${fieldName}"`);
+    return null;
+  }
+  if (!value) {
+    errors.push(`Missing value for "${fieldName}"`);
+    return null;
+  }
+
+  const node = { type: "term", field: fieldName, definition, op, value };
+  const range = op === ":" && firstQuote === -1 ? value.split("..") : null;
+  if (range && range.length === 2) {
+    node.op = "range";
+    node.min = range[0] || null;
+    node.max = range[1] || null;
+  }
+  return node;
+};
+
+/**
+ * Parse a search query into an expression tree.
+ * Parsing never fails: problems are reported in `errors` and the offending
+ * part of the query is skipped.
+ * @param {string} query
+ * @returns {{ ast: object|null, errors: string[] }} - ast is null for an
+ *   empty query (matches every card)
+ */
+export const parseCardQuery = (query = "") => {
+  const errors = [];
+  const tokens = tokenize(query || "", errors);
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const combine = (type, children) => {
+    const nodes = children.filter(Boolean);
+    if (nodes.length === 0) return null;
+    return nodes.length === 1 ? nodes[0] : { type, children: nodes };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) return null;
+
+    if (token.type === "NOT") {
+      position++;
+      const child = parseUnary();
+      return child ? { type: "not", child } : null;
+    }
+    if (token.type === "(") {
+      position++;
+      const inner = parseOr();
+      if (peek()?.type === ")") {
+        position++;
+      } else {
+        errors.push("Missing closing parenthesis");
+      }
+      return inner;
+    }
+
+    position++;
+    return token.type === "TERM" ? parseTerm(token, errors) : null;
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (peek() && peek().type !== "OR" && peek().type !== ")") {
+      if (peek().type === "AND") {
+        position++;
+        continue;
+      }
+      children.push(parseUnary());
+    }
+    return combine("and", children);
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === "OR") {
+      position++;
+      children.push(parseAnd());
+    }
+    return combine("or", children);
+  };
+
+  const parts = [];
+  while (position < tokens.length) {
+    parts.push(parseOr());
+    if (peek()?.type === ")") {
+      errors.push("Unexpected closing parenthesis");
+      position++;
+    }
+  }
+
+  return { ast: combine("and", parts), errors };
+};
+
+/**
+ * Whether a query uses any syntax beyond plain words.
+ * @param {string} query
+ * @returns {boolean}
+ */
+export const isAdvancedQuery = (query = "") =>
+  /[:<>()"*]|(^|\s)-\S|\b(OR|AND|NOT)\b/.test(query || "");
+
+/**
+ * Values found at a dotted path. Arrays along the way are flattened, so
+ * "attacks.name" yields the name of every attack.
+ */
+const getValuesAtPath = (card, path) => {
+  let values = [card];
+  for (const key of path.split(".")) {
+    values = values
+      .flatMap((value) => (value == null ? [] : value[key]))
+      .flatMap((value) => (Array.isArray(value) ? value : [value]))
+      .filter((value) => value != null && value !== "");
+  }
+  return values;
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+// Compare numerically when both sides are numbers, as text otherwise
+const compareValues = (cardValue, queryValue) => {
+  const a = toNumber(cardValue);
+  const b = toNumber(queryValue);
+  if (a !== null && b !== null) return a - b;
+  const textA = normalizeText(cardValue);
+  const textB = normalizeText(queryValue);
+  return textA < textB ? -1 : textA > textB ? 1 : 0;
+};
+
+const wildcardCache = new Map();
+const wildcardToRegExp = (value) => {
+  if (!wildcardCache.has(value)) {
+    const pattern = normalizeText(value)
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    wildcardCache.set(value, new RegExp(`^${pattern}$`));
+  }
+  return wildcardCache.get(value);
+};
+
+const matchesValue = (cardValue, type, node) => {
+  switch (node.op) {
+    case "range":
+      return (
+        (node.min === null || compareValues(cardValue, node.min) >= 0) &&
+        (node.max === null || compareValues(cardValue, node.max) <= 0)
+      );
+    case ">":
+      return compareValues(cardValue, node.value) > 0;
+    case ">=":
+      return compareValues(cardValue, node.value) >= 0;
+    case "<":
+      return compareValues(cardValue, node.value) < 0;
+    case "<=":
+      return compareValues(cardValue, node.value) <= 0;
+    default:
+      break;
+  }
+
+  if (node.value.includes("*")) {
+    return wildcardToRegExp(node.value).test(normalizeText(cardValue));
+  }
+  if (type === "number") {
+    return compareValues(cardValue, node.value) === 0;
+  }
+  if (type === "text") {
+    return normalizeText(cardValue).includes(normalizeText(node.value));
+  }
+  return normalizeText(cardValue) === normalizeText(node.value);
+};
+
+const matchesTerm = (card, node) => {
+  if (!node.definition) {
+    return matchesValue(card.name || "", "text", node);
+  }
+  if (node.definition.legality) {
+    const legalities = card.legalities || {};
+    return Object.entries(legalities).some(
+      ([format, status]) =>
+        normalizeText(format) === normalizeText(node.value) &&
+        normalizeText(status) === "legal"
+    );
+  }
+  return node.definition.paths.some(({ path, type }) =>
+    getValuesAtPath(card, path).some((value) => matchesValue(value, type, node))
+  );
+};
+
+/**
+ * Evaluate a parsed query against a raw card of the catalog.
+ * @param {object} card
+ * @param {object|null} ast - From parseCardQuery
+ * @param {Function} [matchText] - (card, node) => boolean for plain words;
+ *   defaults to "name contains"
+ * @returns {boolean}
+ */
+export const matchesCardQuery = (card, ast, matchText = matchesTerm) => {
+  if (!ast) return true;
+  switch (ast.type) {
+    case "and":
+      return ast.children.every((child) =>
+        matchesCardQuery(card, child, matchText)
+      );
+    case "or":
+      return ast.children.some((child) =>
+        matchesCardQuery(card, child, matchText)
+      );
+    case "not":
+      return !matchesCardQuery(card, ast.child, matchText);
+    default:
+      return ast.definition ? matchesTerm(card, ast) : matchText(card, ast);
+  }
+};
+
+/**
+ * Plain-word terms of a parsed query that aren't negated. These are the
+ * words a relevance ranking should score.
+ * @param {object|null} ast
+ * @returns {Array<object>}
+ */
+export const getTextTerms = (ast) => {
+  if (!ast || ast.type === "not") return [];
+  if (ast.type === "and" || ast.type === "or") {
+    return ast.children.flatMap(getTextTerms);
+  }
+  return ast.definition ? [] : [ast];
+};
+
+/**
+ * Check a raw card against the filter panel values (supertype, types,
+ * subtypes, rarity, artist). Types and subtypes match any selected value.
+ * @param {object} card
+ * @param {object} filters
+ * @returns {boolean}
+ */
+export const matchesSearchFilters = (card, filters = {}) => {
+  if (filters.supertype && card.supertype !== filters.supertype) return false;
+  if (filters.types && filters.types.length > 0) {
+    if (!card.types || !filters.types.some((type) => card.types.includes(type)))
+      return false;
+  }
+  if (filters.subtypes && filters.subtypes.length > 0) {
+    if (
+      !card.subtypes ||
+      !filters.subtypes.some((subtype) => card.subtypes.includes(subtype))
+    )
+      return false;
+  }
+  if (filters.rarity && card.rarity !== filters.rarity) return false;
+  if (filters.artist && card.artist !== filters.artist) return false;
+  return true;
+};
+
+/**
+ * Sort raw cards by a Pokemon TCG API orderBy value ("name", "-hp", ...).
+ * @param {Array<object>} cards
+ * @param {string} orderBy - Prefix with - for descending
+ * @returns {Array<object>} - A sorted copy (the input when orderBy is empty)
+ */
+export const sortCards = (cards, orderBy) => {
+  if (!orderBy) return cards;
+  const desc = orderBy.startsWith("-");
+  const field = desc ? orderBy.slice(1) : orderBy;
+  const accessor = (card) => {
+    switch (field) {
+      case "number":
+        return parseInt(card.number, 10) || 0;
+      case "name":
+        return card.name?.toLowerCase() || "";
+      case "rarity":
+        return card.rarity || "";
+      case "set.releaseDate": {
+        return card.set?.releaseDate
+          ? new Date(card.set.releaseDate).getTime()
+          : 0;
+      }
+      default:
+        return 0;
+    }
+  };
+  const sorted = [...cards].sort((a, b) => {
+    const av = accessor(a);
+    const bv = accessor(b);
+    if (av < bv) return desc ? 1 : -1;
+    if (av > bv) return desc ? -1 : 1;
+    return 0;
+  });
+  return sorted;
+};
+
+const quoteRemoteValue = (value) =>
+  /[\s:]/.test(value) ? `"${value}"` : value;
+
+/**
+ * Convert a parsed query to the query string of the remote Pokemon TCG API,
+ * which uses Lucene syntax for ranges and comparisons.
+ * @param {object|null} ast - From parseCardQuery
+ * @returns {string}
+ */
+export const toRemoteQuery = (ast) => {
+  if (!ast) return "";
+  switch (ast.type) {
+    case "and":
+      return ast.children.map(toRemoteQuery).filter(Boolean).join(" ");
+    case "or":
+      return `(${ast.children.map(toRemoteQuery).join(" OR ")})`;
+    case "not":
+      return `-${toRemoteQuery(ast.child)}`;
+    default:
+      break;
+  }
+
+  if (!ast.definition) {
+    return ast.value.includes(" ")
+      ? `name:"${ast.value}"`
+      : `name:*${ast.value.replace(/^\*|\*$/g, "")}*`;
+  }
+  if (ast.definition.legality) {
+    return `legalities.${ast.value.toLowerCase()}:legal`;
+  }
+
+  // set: accepts an id or a name
+  if (ast.definition.names[0] === "set" && ast.op === ":") {
+    const value = quoteRemoteValue(ast.value);
+    return ast.value.includes(" ")
+      ? `set.name:${value}`
+      : `(set.id:${value} OR set.name:${value})`;
+  }
+
+  const field =
+    REMOTE_FIELD_NAMES[ast.definition.names[0]] || ast.definition.names[0];
+
+  switch (ast.op) {
+    case "range":
+      return `${field}:[${ast.min ?? "*"} TO ${ast.max ?? "*"}]`;
+    case ">":
+      return `${field}:{${ast.value} TO *]`;
+    case ">=":
+      return `${field}:[${ast.value} TO *]`;
+    case "<":
+      return `${field}:[* TO ${ast.value}}`;
+    case "<=":
+      return `${field}:[* TO ${ast.value}]`;
+    default:
+      return `${field}:${quoteRemoteValue(ast.value)}`;
+  }
+};
@@ -0,0 +1,343 @@
+/**
+ * Card Valuation Utilities
+ * Resolves market prices for binder card instances from the tcgplayer /
+ * cardmarket price data bundled with the local card catalog and aggregates
+ * them per page and per binder.
+ */
+
+import { getGridConfig } from "./binderGrids";
+import { getPriceVariant } from "./cardVariants";
+
+// Supported price sources. `provider` is the key in the catalog card JSON.
+export const PRICE_SOURCES = {
+  tcgplayer_market: {
+    label: "TCGplayer Market",
+    provider: "tcgplayer",
+    field: "market",
+    currency: "USD",
+  },
+  tcgplayer_mid: {
+    label: "TCGplayer Mid",
+    provider: "tcgplayer",
+    field: "mid",
+    currency: "USD",
+  },
+  tcgplayer_low: {
+    label: "TCGplayer Low",
+    provider: "tcgplayer",
+    field: "low",
+    currency: "USD",
+  },
+  cardmarket_trend: {
+    label: "Cardmarket Trend",
+    provider: "cardmarket",
+    field: "trend",
+    currency: "EUR",
+  },
+  cardmarket_avg: {
+    label: "Cardmarket 30-day Avg",
+    provider: "cardmarket",
+    field: "avg30",
+    currency: "EUR",
+  },
+};
+
+export const DEFAULT_PRICE_SOURCE = "tcgplayer_market";
+
+// localStorage key of the user's price source (written by priceSourceAtom)
+export const PRICE_SOURCE_STORAGE_KEY = "priceSource";
+
+/**
+ * Read the user's chosen price source outside of React.
+ * @returns {string}
+ */
+export const getStoredPriceSource = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRICE_SOURCE_STORAGE_KEY));
+    if (PRICE_SOURCES[stored]) return stored;
+  } catch (error) {
+    console.warn("Failed to load price source from localStorage:", error);
+  }
+  return DEFAULT_PRICE_SOURCE;
+};
+
+// Currencies the value can be displayed in ("auto" = the source's own currency)
+export const DISPLAY_CURRENCIES = ["auto", "USD", "EUR", "GBP", "CAD", "AUD"];
+
+// Cardmarket keys per field, split by normal / reverse holo printing
+const CARDMARKET_FIELDS = {
+  trend: { normal: "trendPrice", reverse: "reverseHoloTrend" },
+  avg30: { normal: "avg30", reverse: "reverseHoloAvg30" },
+};
+
+// TCGplayer finish preference when the instance is not a reverse holo
+const NORMAL_VARIANT_ORDER = [
+  "normal",
+  "holofoil",
+  "unlimited",
+  "unlimitedHolofoil",
+  "1stEdition",
+  "1stEditionHolofoil",
+];
+const HOLO_VARIANT_ORDER = [
+  "holofoil",
+  "unlimitedHolofoil",
+  "normal",
+  "unlimited",
+  "1stEditionHolofoil",
+  "1stEdition",
+];
+
+// Human readable names for the finishes found in the price data
+export const VARIANT_LABELS = {
+  normal: "Normal",
+  holofoil: "Holofoil",
+  reverseHolofoil: "Reverse Holo",
+  reverseHolo: "Reverse Holo",
+  unlimited: "Unlimited",
+  unlimitedHolofoil: "Unlimited Holo",
+  shadowless: "Shadowless",
+  shadowlessHolofoil: "Shadowless Holo",
+  "1stEdition": "1st Edition",
+  "1stEditionHolofoil": "1st Edition Holo",
+};
+
+export const getVariantLabel = (variant) => VARIANT_LABELS[variant] || variant;
+
+const isPositiveNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value > 0;
+
+/**
+ * Strip the suffixes the set wizard appends to reverse holo copies
+ * ("sv3pt5-2-rh", "sv3pt5-2-rh-2") so the catalog entry can be found.
+ * @param {string} cardId
+ * @returns {string}
+ */
+export const getBaseCardId = (cardId) => {
+  if (!cardId) return "";
+  return cardId.toString().replace(/-rh(-\d+)?$/, "");
+};
+
+/**
+ * Derive the set id for a binder card entry.
+ * @param {object} cardEntry - Card entry from binder.cards
+ * @returns {string|null}
+ */
+export const getCardSetId = (cardEntry) => {
+  if (!cardEntry) return null;
+  if (cardEntry.cardData?.set?.id) return cardEntry.cardData.set.id;
+
+  const baseId = getBaseCardId(cardEntry.cardId);
+  const separator = baseId.lastIndexOf("-");
+  return separator > 0 ? baseId.slice(0, separator) : null;
+};
+
+/**
+ * Check whether a binder card entry is flagged as a reverse holo.
+ * Mirrors the locations PokemonCard checks for the flag.
+ */
+export const isReverseHoloEntry = (cardEntry) =>
+  Boolean(
+    cardEntry?.reverseHolo ||
+      cardEntry?.cardData?.reverseHolo ||
+      cardEntry?.binderMetadata?.reverseHolo
+  );
+
+/**
+ * Pick the TCGplayer finish that matches a card instance.
+ * @param {object} prices - tcgplayer.prices from the catalog
+ * @param {object} options - { reverseHolo, rarity, variant }
+ * @returns {string|null} - The finish key, e.g. "reverseHolofoil"
+ */
+export const resolveTcgplayerVariant = (prices, options = {}) => {
+  if (!prices) return null;
+  const { reverseHolo = false, rarity = "", variant = null } = options;
+
+  const priceVariant = variant && getPriceVariant(variant);
+  if (priceVariant && prices[priceVariant]) return priceVariant;
+  if (reverseHolo) {
+    return prices.reverseHolofoil ? "reverseHolofoil" : null;
+  }
+
+  const order = /holo/i.test(rarity || "")
+    ? HOLO_VARIANT_ORDER
+    : NORMAL_VARIANT_ORDER;
+  return order.find((key) => prices[key]) || null;
+};
+
+/**
+ * Resolve the market price for a single card instance.
+ * @param {object} priceData - { tcgplayer, cardmarket } prices for the card
+ * @param {object} options - { source, reverseHolo, rarity, variant }
+ * @returns {object|null} - { value, currency, variant, source } or null when unpriced
+ */
+export const resolveCardPrice = (priceData, options = {}) => {
+  if (!priceData) return null;
+
+  const sourceKey = PRICE_SOURCES[options.source]
+    ? options.source
+    : DEFAULT_PRICE_SOURCE;
+  const source = PRICE_SOURCES[sourceKey];
+
+  if (source.provider === "tcgplayer") {
+    const prices = priceData.tcgplayer;
+    const variant = resolveTcgplayerVariant(prices, options);
+    if (!variant) return null;
+
+    const value = prices[variant]?.[source.field];
+    if (!isPositiveNumber(value)) return null;
+
+    return { value, currency: source.currency, variant, source: sourceKey };
+  }
+
+  const prices = priceData.cardmarket;
+  if (!prices) return null;
+
+  const fields = CARDMARKET_FIELDS[source.field];
+  const key = options.reverseHolo ? fields.reverse : fields.normal;
+  const value = prices[key];
+  if (!isPositiveNumber(value)) return null;
+
+  return {
+    value,
+    currency: source.currency,
+    variant: options.reverseHolo ? "reverseHolo" : "normal",
+    source: sourceKey,
+  };
+};
+
+/**
+ * Resolve the total value of a binder card entry (price × quantity).
+ * @param {object} cardEntry - Card entry from binder.cards
+ * @param {function} getPriceData - (cardId) => price data or null
+ * @param {object} options - { source }
+ * @returns {object|null} - Resolved price with `total` added, or null
+ */
+export const getCardEntryValue = (cardEntry, getPriceData, options = {}) => {
+  if (!cardEntry) return null;
+
+  const priceData = getPriceData(getBaseCardId(cardEntry.cardId));
+  const price = resolveCardPrice(priceData, {
+    ...options,
+    reverseHolo: isReverseHoloEntry(cardEntry),
+    rarity: cardEntry.cardData?.rarity,
+    variant: cardEntry.variant || null,
+  });
+  if (!price) return null;
+
+  const quantity = cardEntry.quantity > 0 ? cardEntry.quantity : 1;
+  return { ...price, total: price.value * quantity };
+};
+
+/**
+ * Calculate the value of a binder, totalled per card page and overall.
+ * Cards marked as missing are counted separately since they are not owned.
+ * @param {object} binder
+ * @param {function} getPriceData - (cardId) => price data or null
+ * @param {object} options - { source }
+ * @returns {object} - { total, missingTotal, pricedCount, unpricedCount, currency, pages }
+ */
+export const calculateBinderValue = (binder, getPriceData, options = {}) => {
+  const source =
+    PRICE_SOURCES[options.source] || PRICE_SOURCES[DEFAULT_PRICE_SOURCE];
+  const result = {
+    total: 0,
+    missingTotal: 0,
+    pricedCount: 0,
+    unpricedCount: 0,
+    currency: source.currency,
+    pages: [],
+  };
+
+  if (!binder?.cards) return result;
+
+  const cardsPerPage = getGridConfig(binder.settings?.gridSize || "3x3").total;
+  const missingInstances = new Set(binder.metadata?.missingInstances || []);
+  const pageTotals = new Map();
+
+  Object.entries(binder.cards).forEach(([position, cardEntry]) => {
+    const value = getCardEntryValue(cardEntry, getPriceData, options);
+    if (!value) {
+      result.unpricedCount += 1;
+      return;
+    }
+
+    if (missingInstances.has(cardEntry.instanceId)) {
+      result.missingTotal += value.total;
+      return;
+    }
+
+    result.total += value.total;
+    result.pricedCount += 1;
+
+    const cardPageIndex = Math.floor(parseInt(position, 10) / cardsPerPage);
+    pageTotals.set(
+      cardPageIndex,
+      (pageTotals.get(cardPageIndex) || 0) + value.total
+    );
+  });
+
+  result.pages = Array.from(pageTotals.entries())
+    .map(([cardPageIndex, total]) => ({ cardPageIndex, total }))
+    .sort((a, b) => a.cardPageIndex - b.cardPageIndex);
+
+  return result;
+};
+
+/**
+ * Key of a currency pair in the display settings' `exchangeRates`.
+ * @param {string} sourceCurrency
+ * @param {string} displayCurrency
+ * @returns {string} - e.g. "USD->EUR"
+ */
+export const getExchangeRateKey = (sourceCurrency, displayCurrency) =>
+  `${sourceCurrency}->${displayCurrency}`;
+
+/**
+ * Resolve the currency values are shown in and the rate to convert to it.
+ * Rates are kept per currency pair, so switching to a source in another
+ * currency never reuses a rate entered for the previous one.
+ * @param {string} sourceCurrency - Currency of the price source
+ * @param {object} displaySettings - { currency, exchangeRates }
+ * @returns {{ displayCurrency: string, rate: number }}
+ */
+export const getDisplayConversion = (sourceCurrency, displaySettings = {}) => {
+  const { currency = "auto", exchangeRates = {} } = displaySettings;
+  const displayCurrency =
+    !currency || currency === "auto" ? sourceCurrency : currency;
+  const rate =
+    displayCurrency === sourceCurrency
+      ? 1
+      : Number(
+          exchangeRates[getExchangeRateKey(sourceCurrency, displayCurrency)]
+        ) || 1;
+
+  return { displayCurrency, rate };
+};
+
+/**
+ * Format a price for display, converting to the chosen display currency.
+ * @param {number} value - Amount in the source currency
+ * @param {string} sourceCurrency - Currency of the price source
+ * @param {object} displaySettings - { currency, exchangeRates }
+ * @returns {string}
+ */
+export const formatPrice = (value, sourceCurrency, displaySettings = {}) => {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return "—";
+  }
+
+  const { displayCurrency, rate } = getDisplayConversion(
+    sourceCurrency,
+    displaySettings
+  );
+
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency: displayCurrency,
+    }).format(value * rate);
+  } catch {
+    return `${(value * rate).toFixed(2)} ${displayCurrency}`;
+  }
+};
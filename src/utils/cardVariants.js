@@ -0,0 +1,181 @@
+/**
+ * Card Variant Utilities
+ * Works out the printings (variants) a card exists in from the tcgplayer
+ * price keys bundled with the local card catalog, and builds the card list
+ * of a master set with one binder card per printing.
+ */
+
+// Finish and edition of every variant key. The keys are the tcgplayer price
+// keys, plus the Shadowless printings the price data doesn't tell apart.
+export const VARIANT_ATTRIBUTES = {
+  normal: { finish: "normal", edition: null },
+  holofoil: { finish: "holofoil", edition: null },
+  reverseHolofoil: { finish: "reverseHolofoil", edition: null },
+  unlimited: { finish: "normal", edition: "unlimited" },
+  unlimitedHolofoil: { finish: "holofoil", edition: "unlimited" },
+  shadowless: { finish: "normal", edition: "shadowless" },
+  shadowlessHolofoil: { finish: "holofoil", edition: "shadowless" },
+  "1stEdition": { finish: "normal", edition: "1stEdition" },
+  "1stEditionHolofoil": { finish: "holofoil", edition: "1stEdition" },
+};
+
+// Variant order within a card. The first variant a card has is its main
+// printing; the others are the extra copies of a master set.
+export const VARIANT_ORDER = [
+  "normal",
+  "holofoil",
+  "unlimited",
+  "unlimitedHolofoil",
+  "shadowless",
+  "shadowlessHolofoil",
+  "1stEdition",
+  "1stEditionHolofoil",
+  "reverseHolofoil",
+];
+
+// Sets with a Shadowless print run between 1st Edition and Unlimited
+export const SHADOWLESS_SET_IDS = ["base1"];
+
+// Every card of a Shadowless set was printed in all three runs, while its
+// price data mostly lists a plain finish for the Unlimited printing
+const EDITION_RUN_VARIANTS = {
+  normal: ["unlimited", "shadowless", "1stEdition"],
+  holofoil: ["unlimitedHolofoil", "shadowlessHolofoil", "1stEditionHolofoil"],
+};
+
+// Shadowless cards are priced like their Unlimited counterparts
+const PRICE_VARIANT_FALLBACKS = {
+  shadowless: "unlimited",
+  shadowlessHolofoil: "unlimitedHolofoil",
+};
+
+/**
+ * Get the price key to look up for a variant.
+ * @param {string} variant
+ * @returns {string}
+ */
+export const getPriceVariant = (variant) =>
+  PRICE_VARIANT_FALLBACKS[variant] || variant;
+
+/**
+ * Get the finish and edition of a variant.
+ * @param {string} variant
+ * @returns {object} - { finish, edition }, edition null when not applicable
+ */
+export const getVariantAttributes = (variant) =>
+  VARIANT_ATTRIBUTES[variant] || { finish: "normal", edition: null };
+
+// Rarities that had reverse holos, for cards without price data
+const REVERSE_HOLO_RARITIES = ["Common", "Uncommon", "Rare", "Rare Holo"];
+
+/**
+ * Whether a card's variants come from its price data rather than a guess.
+ * @param {object} card - Raw catalog card
+ * @returns {boolean}
+ */
+export const hasVariantData = (card) =>
+  Object.keys(card?.tcgplayer?.prices || {}).some(
+    (key) => VARIANT_ATTRIBUTES[key]
+  );
+
+/**
+ * List the variants a card was printed in, main printing first.
+ * Cards without price data fall back to a guess from their rarity.
+ * @param {object} card - Raw catalog card (or normalized card)
+ * @returns {string[]} - Variant keys
+ */
+export const getCardVariants = (card) => {
+  if (!card) return [];
+
+  if (!hasVariantData(card)) {
+    const main = /holo/i.test(card.rarity || "") ? "holofoil" : "normal";
+    return REVERSE_HOLO_RARITIES.includes(card.rarity)
+      ? [main, "reverseHolofoil"]
+      : [main];
+  }
+
+  const prices = card.tcgplayer.prices;
+  const variants = VARIANT_ORDER.filter(
+    (variant) => getPriceVariant(variant) === variant && prices[variant]
+  );
+  if (!SHADOWLESS_SET_IDS.includes(card.set?.id)) return variants;
+
+  const editionVariants = new Set(
+    variants.flatMap((variant) => EDITION_RUN_VARIANTS[variant] || [variant])
+  );
+  return VARIANT_ORDER.filter((variant) => editionVariants.has(variant));
+};
+
+/**
+ * Count the extra printings of a list of cards by variant.
+ * @param {Array<object>} cards - Raw catalog cards
+ * @returns {Array<object>} - { variant, count } in VARIANT_ORDER
+ */
+export const countExtraVariants = (cards) => {
+  const counts = new Map();
+  cards.forEach((card) => {
+    getCardVariants(card)
+      .slice(1)
+      .forEach((variant) => {
+        counts.set(variant, (counts.get(variant) || 0) + 1);
+      });
+  });
+  return VARIANT_ORDER.filter((variant) => counts.has(variant)).map(
+    (variant) => ({ variant, count: counts.get(variant) })
+  );
+};
+
+// Binder card for one printing of a catalog card
+const createVariantCard = (card, variant, isMain) => {
+  const { finish } = getVariantAttributes(variant);
+  return {
+    ...card,
+    // A guessed main printing stays unspecified, like a single card
+    ...((!isMain || hasVariantData(card)) && { variant }),
+    ...(finish === "reverseHolofoil" && { reverseHolo: true }),
+  };
+};
+
+/**
+ * Build the binder cards of a set: the main printing of each card, plus the
+ * chosen extra printings.
+ * @param {Array<object>} cards - Raw catalog cards of the set, in set order
+ * @param {object} options - { extraVariants: string[], reverseHoloCopies,
+ *   placement: "interleaved" | "first" | "last" }
+ * @returns {Array<object>}
+ */
+export const buildMasterSetCards = (cards, options = {}) => {
+  const {
+    extraVariants = [],
+    reverseHoloCopies = 1,
+    placement = "interleaved",
+  } = options;
+
+  const main = [];
+  const extras = [];
+  const interleaved = [];
+
+  cards.forEach((card) => {
+    const [mainVariant, ...otherVariants] = getCardVariants(card);
+    const mainCard = createVariantCard(card, mainVariant, true);
+    const extraCards = otherVariants
+      .filter((variant) => extraVariants.includes(variant))
+      .flatMap((variant) => {
+        const copies =
+          getVariantAttributes(variant).finish === "reverseHolofoil"
+            ? reverseHoloCopies
+            : 1;
+        return Array.from({ length: copies }, () =>
+          createVariantCard(card, variant, false)
+        );
+      });
+
+    main.push(mainCard);
+    extras.push(...extraCards);
+    interleaved.push(mainCard, ...extraCards);
+  });
+
+  if (placement === "first") return [...extras, ...main];
+  if (placement === "last") return [...main, ...extras];
+  return interleaved;
+};
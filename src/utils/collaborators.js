@@ -0,0 +1,135 @@
+/**
+ * Binder Collaboration Utilities
+ * Owners can invite other users to a binder as a viewer or an editor. The
+ * invites live in `permissions.collaborators`; `collaboratorIds` and
+ * `editorIds` mirror them so Firestore queries and security rules can match
+ * on the user id alone.
+ */
+
+export const COLLABORATOR_ROLES = {
+  viewer: { label: "Viewer", description: "Can open the binder" },
+  editor: {
+    label: "Editor",
+    description: "Can add, move and remove cards",
+  },
+};
+
+// Users with the binder open send a heartbeat and drop out of the presence
+// list once it stops
+export const PRESENCE_HEARTBEAT_INTERVAL = 30 * 1000; // 30 seconds
+export const PRESENCE_TIMEOUT = 90 * 1000; // 90 seconds
+
+/**
+ * Get the role of a user on a binder.
+ * Guest binders ("local_user") belong to whoever is using the device.
+ * @param {object} binder - Binder to check
+ * @param {string|null} userId - Signed in user, null for guests
+ * @returns {"owner"|"editor"|"viewer"|null}
+ */
+export const getBinderRole = (binder, userId) => {
+  if (!binder) return null;
+  if (binder.ownerId === "local_user") return "owner";
+  if (!userId) return null;
+  if (binder.ownerId === userId) return "owner";
+
+  const collaborator = binder.permissions?.collaborators?.find(
+    (entry) => entry.userId === userId
+  );
+  return COLLABORATOR_ROLES[collaborator?.role] ? collaborator.role : null;
+};
+
+/**
+ * Whether a user can change the cards and settings of a binder
+ */
+export const canEditBinder = (binder, userId) => {
+  const role = getBinderRole(binder, userId);
+  return role === "owner" || role === "editor";
+};
+
+/**
+ * Whether a binder is shared with the user by someone else
+ */
+export const isSharedWithUser = (binder, userId) => {
+  const role = getBinderRole(binder, userId);
+  return role === "editor" || role === "viewer";
+};
+
+// Rebuild the id lists that the queries and rules match on
+const withCollaborators = (permissions, collaborators) => ({
+  ...permissions,
+  collaborators,
+  collaboratorIds: collaborators.map((entry) => entry.userId),
+  editorIds: collaborators
+    .filter((entry) => entry.role === "editor")
+    .map((entry) => entry.userId),
+});
+
+/**
+ * Add a collaborator, or change the role of one already invited
+ * @param {object} permissions - binder.permissions
+ * @param {object} collaborator - { userId, displayName, photoURL, role }
+ * @param {string} addedBy - User sending the invite
+ * @returns {object} - Updated permissions
+ */
+export const addCollaborator = (permissions = {}, collaborator, addedBy) => {
+  const collaborators = permissions.collaborators || [];
+  const existing = collaborators.find(
+    (entry) => entry.userId === collaborator.userId
+  );
+  if (existing) {
+    return updateCollaboratorRole(
+      permissions,
+      collaborator.userId,
+      collaborator.role
+    );
+  }
+
+  return withCollaborators(permissions, [
+    ...collaborators,
+    {
+      userId: collaborator.userId,
+      displayName: collaborator.displayName || "User",
+      photoURL: collaborator.photoURL || null,
+      role: collaborator.role,
+      addedAt: new Date().toISOString(),
+      addedBy,
+    },
+  ]);
+};
+
+/**
+ * Change the role of a collaborator
+ * @returns {object} - Updated permissions
+ */
+export const updateCollaboratorRole = (permissions = {}, userId, role) =>
+  withCollaborators(
+    permissions,
+    (permissions.collaborators || []).map((entry) =>
+      entry.userId === userId ? { ...entry, role } : entry
+    )
+  );
+
+/**
+ * Remove a collaborator from a binder
+ * @returns {object} - Updated permissions
+ */
+export const removeCollaborator = (permissions = {}, userId) =>
+  withCollaborators(
+    permissions,
+    (permissions.collaborators || []).filter((entry) => entry.userId !== userId)
+  );
+
+/**
+ * Get the other users who have had the binder open recently
+ * @param {Array} viewers - Presence entries ({ userId, lastSeen (ms), ... })
+ * @param {string} userId - Current user, left out of the list
+ * @param {number} now - Current time in ms
+ * @returns {Array}
+ */
+export const getActiveViewers = (viewers, userId, now = Date.now()) =>
+  (viewers || []).filter(
+    (viewer) =>
+      viewer.userId !== userId &&
+      viewer.lastSeen &&
+      now - viewer.lastSeen < PRESENCE_TIMEOUT
+  );
@@ -0,0 +1,191 @@
+/**
+ * Collection Progress Utilities
+ * Works out how complete each set of the catalog is across all of a user's
+ * binders: owned vs. total cards, broken down by rarity and by printing.
+ */
+
+import { getCardVariants } from "./cardVariants";
+import { getOwnedVariants } from "./wantList";
+
+/**
+ * Check whether a card is numbered past the printed set total (secret rare).
+ * @param {object} card - Catalog card
+ * @param {object} set - Catalog set with printedTotal and total
+ * @returns {boolean}
+ */
+export const isSecretCard = (card, set) => {
+  if (!set?.printedTotal || set.printedTotal >= (set.total || 0)) return false;
+  const number = card?.number || "";
+  return !/^\d+$/.test(number) || parseInt(number, 10) > set.printedTotal;
+};
+
+/**
+ * Match owned copies to the printings of a card.
+ * A copy without a known variant counts as the main printing.
+ * @param {string[]} variants - Result of getCardVariants
+ * @param {Array} ownedVariants - Variants of the owned copies of the card
+ * @returns {Set} - The printings that are owned
+ */
+export const getOwnedCardVariants = (variants, ownedVariants) => {
+  const remaining = [...ownedVariants];
+  const owned = new Set();
+
+  variants.forEach((variant) => {
+    const index = remaining.indexOf(variant);
+    if (index === -1) return;
+    owned.add(variant);
+    remaining.splice(index, 1);
+  });
+  if (variants.length > 0 && !owned.has(variants[0])) {
+    const index = remaining.indexOf(null);
+    if (index !== -1) owned.add(variants[0]);
+  }
+  return owned;
+};
+
+// Add one card to a { key -> { owned, total } } breakdown
+const countBreakdown = (breakdown, key, isOwned) => {
+  if (!breakdown.has(key)) breakdown.set(key, { owned: 0, total: 0 });
+  const entry = breakdown.get(key);
+  entry.total++;
+  if (isOwned) entry.owned++;
+};
+
+/**
+ * Work out the progress of one set.
+ * @param {object} set - Catalog set
+ * @param {Array} cards - Raw catalog cards of the set
+ * @param {Map} ownedVariants - Result of getOwnedVariants
+ * @returns {object} - { set, owned, total, printedOwned, printedTotal,
+ *   byRarity, byVariant, missingCards }
+ */
+export const buildSetProgress = (set, cards, ownedVariants) => {
+  const byRarity = new Map();
+  const byVariant = new Map();
+  const missingCards = [];
+  let owned = 0;
+  let printedOwned = 0;
+  let printedTotal = 0;
+
+  cards.forEach((card) => {
+    const cardOwned = ownedVariants.get(card.id) || [];
+    const isOwned = cardOwned.length > 0;
+    const isSecret = isSecretCard(card, set);
+
+    if (isOwned) owned++;
+    else missingCards.push(card);
+    if (!isSecret) {
+      printedTotal++;
+      if (isOwned) printedOwned++;
+    }
+    countBreakdown(byRarity, card.rarity || "Unknown", isOwned);
+
+    const variants = getCardVariants(card);
+    const ownedPrintings = getOwnedCardVariants(variants, cardOwned);
+    variants.forEach((variant) =>
+      countBreakdown(byVariant, variant, ownedPrintings.has(variant))
+    );
+  });
+
+  return {
+    set,
+    owned,
+    total: cards.length,
+    printedOwned,
+    printedTotal,
+    byRarity: Array.from(byRarity, ([rarity, counts]) => ({
+      rarity,
+      ...counts,
+    })),
+    byVariant: Array.from(byVariant, ([variant, counts]) => ({
+      variant,
+      ...counts,
+    })),
+    missingCards,
+  };
+};
+
+/**
+ * Work out the progress of every set of the catalog.
+ * @param {Array} sets - Catalog sets
+ * @param {Array} cards - Raw catalog cards of all sets
+ * @param {Array} binders - The user's binders
+ * @returns {Array} - buildSetProgress results, in the order of sets
+ */
+export const buildCollectionProgress = (sets, cards, binders) => {
+  const ownedVariants = getOwnedVariants(binders);
+  const cardsBySet = new Map();
+  cards.forEach((card) => {
+    const setId = card.set?.id;
+    if (!setId) return;
+    if (!cardsBySet.has(setId)) cardsBySet.set(setId, []);
+    cardsBySet.get(setId).push(card);
+  });
+
+  return sets
+    .filter((set) => cardsBySet.has(set.id))
+    .map((set) => buildSetProgress(set, cardsBySet.get(set.id), ownedVariants));
+};
+
+/**
+ * Totals over a list of set progress entries.
+ * @param {Array} progress - Result of buildCollectionProgress
+ * @returns {object} - { setsStarted, setsCompleted, owned, total }
+ */
+export const getProgressTotals = (progress) => ({
+  setsStarted: progress.filter((entry) => entry.owned > 0).length,
+  setsCompleted: progress.filter(
+    (entry) => entry.total > 0 && entry.owned >= entry.total
+  ).length,
+  owned: progress.reduce((sum, entry) => sum + entry.owned, 0),
+  total: progress.reduce((sum, entry) => sum + entry.total, 0),
+});
+
+/**
+ * Percentage of a count, rounded down so 100% means complete.
+ * @param {number} owned
+ * @param {number} total
+ * @returns {number}
+ */
+export const getProgressPercent = (owned, total) =>
+  total > 0 ? Math.floor((owned / total) * 100) : 0;
+
+/**
+ * Compact summary of the started sets, published on the user profile.
+ * @param {Array} progress - Result of buildCollectionProgress
+ * @returns {object} - { sets: { [setId]: counts }, updatedAt }
+ */
+export const summarizeCollectionProgress = (progress) => ({
+  sets: Object.fromEntries(
+    progress
+      .filter((entry) => entry.owned > 0)
+      .map((entry) => [
+        entry.set.id,
+        {
+          owned: entry.owned,
+          total: entry.total,
+          printedOwned: entry.printedOwned,
+          printedTotal: entry.printedTotal,
+        },
+      ])
+  ),
+  updatedAt: new Date().toISOString(),
+});
+
+/**
+ * Compare the set counts of two progress summaries.
+ * @param {object} a - summarizeCollectionProgress result
+ * @param {object} b - summarizeCollectionProgress result
+ * @returns {boolean}
+ */
+export const isSameProgressSummary = (a, b) => {
+  const setsA = a?.sets || {};
+  const setsB = b?.sets || {};
+  const ids = Object.keys(setsA);
+  if (ids.length !== Object.keys(setsB).length) return false;
+  return ids.every((setId) =>
+    ["owned", "total", "printedOwned", "printedTotal"].every(
+      (key) => setsA[setId]?.[key] === setsB[setId]?.[key]
+    )
+  );
+};
@@ -0,0 +1,468 @@
+/**
+ * CSV Import Utilities
+ * Parses collection spreadsheets (CSV / TSV exports) and resolves each row
+ * against the local set and card catalog so it can be added to a binder.
+ */
+
+import { GRADING_COMPANIES, normalizeGrading } from "./cardCondition";
+
+// Row resolution states
+export const IMPORT_ROW_STATUS = {
+  MATCHED: "matched",
+  AMBIGUOUS: "ambiguous",
+  UNMATCHED: "unmatched",
+};
+
+// Upper bound of copies a single row can add
+export const MAX_ROW_QUANTITY = 100;
+
+// Accepted header names per column (compared after normalizeHeader)
+const COLUMN_ALIASES = {
+  set: [
+    "set",
+    "set code",
+    "setcode",
+    "code",
+    "ptcgo",
+    "ptcgocode",
+    "ptcgo code",
+    "set id",
+    "setid",
+  ],
+  setName: ["set name", "setname", "expansion", "expansion name"],
+  number: [
+    "number",
+    "no",
+    "#",
+    "num",
+    "card number",
+    "card no",
+    "collector number",
+    "card #",
+  ],
+  name: ["name", "card name", "card", "cardname", "pokemon"],
+  variant: ["variant", "finish", "printing", "foil", "version"],
+  quantity: ["quantity", "qty", "count", "amount", "copies"],
+  condition: ["condition", "cond"],
+  gradingCompany: ["grading company", "grader", "grading service", "graded by"],
+  grade: ["grade", "graded grade"],
+  certNumber: ["cert number", "cert", "cert #", "certification number"],
+};
+
+// Spreadsheet spellings of the finishes used in the price data
+const VARIANT_ALIASES = {
+  reverseHolofoil: [
+    "reverse",
+    "reverse holo",
+    "reverse holofoil",
+    "reverseholo",
+    "reverseholofoil",
+    "rh",
+    "rev holo",
+  ],
+  holofoil: ["holo", "holofoil", "foil", "holo rare"],
+  normal: ["normal", "non holo", "nonholo", "regular", "standard"],
+  "1stEdition": ["1st edition", "1st", "first edition", "1stedition"],
+  "1stEditionHolofoil": [
+    "1st edition holo",
+    "1st edition holofoil",
+    "1stEditionHolofoil",
+  ],
+  unlimited: ["unlimited"],
+  unlimitedHolofoil: ["unlimited holo", "unlimited holofoil"],
+};
+
+// Spreadsheet condition grades mapped to the binder's condition values
+const CONDITION_ALIASES = {
+  near_mint: [
+    "nm",
+    "near mint",
+    "near_mint",
+    "nm/m",
+    "nm-m",
+    "m",
+    "mint",
+    "gem mint",
+  ],
+  lightly_played: [
+    "lp",
+    "lightly played",
+    "light played",
+    "lightly_played",
+    "ex",
+    "excellent",
+  ],
+  moderately_played: [
+    "mp",
+    "moderately played",
+    "moderately_played",
+    "played",
+    "gd",
+    "good",
+  ],
+  heavily_played: ["hp", "heavily played", "heavily_played", "poor", "pr"],
+  damaged: ["dmg", "damaged"],
+};
+
+const normalizeHeader = (header) =>
+  (header || "")
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[_\-.]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const normalizeName = (name) =>
+  (name || "")
+    .toString()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Normalise a collector number for comparison.
+ * "004/102" -> "4", "SWSH001" -> "swsh1", "TG05" -> "tg5"
+ * @param {string} number
+ * @returns {string}
+ */
+export const normalizeCardNumber = (number) => {
+  const value = (number || "").toString().split("/")[0].trim().toLowerCase();
+  const match = value.match(/^([a-z]*)0*(\d+)(.*)$/);
+  return match ? `${match[1]}${match[2]}${match[3]}` : value;
+};
+
+/**
+ * Map a spreadsheet variant to a price finish key.
+ * @param {string} value
+ * @returns {string|null} - The finish key, or null when not recognised
+ */
+export const normalizeImportVariant = (value) => {
+  const normalized = normalizeHeader(value);
+  if (!normalized) return null;
+
+  const match = Object.entries(VARIANT_ALIASES).find(([, aliases]) =>
+    aliases.some((alias) => normalizeHeader(alias) === normalized)
+  );
+  return match ? match[0] : null;
+};
+
+/**
+ * Map a spreadsheet condition to a binder condition value.
+ * @param {string} value
+ * @returns {string|null}
+ */
+export const normalizeCondition = (value) => {
+  const normalized = (value || "").toString().trim().toLowerCase();
+  if (!normalized) return null;
+
+  const match = Object.entries(CONDITION_ALIASES).find(([, aliases]) =>
+    aliases.includes(normalized)
+  );
+  return match ? match[0] : null;
+};
+
+/**
+ * Map spreadsheet grading columns to a card's grading details.
+ * @param {string} company
+ * @param {string} grade
+ * @param {string} certNumber
+ * @returns {object|null}
+ */
+export const normalizeImportGrading = (company, grade, certNumber) => {
+  const normalized = (company || "").toString().trim().toLowerCase();
+  if (!normalized) return null;
+
+  const known = GRADING_COMPANIES.find(
+    (item) =>
+      item.value.toLowerCase() === normalized ||
+      item.label.toLowerCase() === normalized
+  );
+  return normalizeGrading({
+    company: known ? known.value : "other",
+    grade,
+    certNumber,
+  });
+};
+
+// Pick the delimiter that occurs most often in the header line
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/)[0] || "";
+  const counts = [",", ";", "\t"].map((delimiter) => ({
+    delimiter,
+    count: firstLine.split(delimiter).length - 1,
+  }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ",";
+};
+
+/**
+ * Parse CSV text into rows of fields.
+ * Supports quoted fields, escaped quotes ("") and comma, semicolon or tab delimiters.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsv = (text) => {
+  const source = (text || "").replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Parse a collection CSV into import rows.
+ * @param {string} text - CSV file contents
+ * @returns {object} - { rows, columns, error }
+ */
+export const parseCollectionCsv = (text) => {
+  const [headerRow, ...dataRows] = parseCsv(text);
+  if (!headerRow) {
+    return { rows: [], columns: {}, error: "The file is empty." };
+  }
+
+  // Map each known column to its index in the header
+  const headers = headerRow.map(normalizeHeader);
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([column, aliases]) => {
+    const index = headers.findIndex((header) => aliases.includes(header));
+    if (index !== -1) columns[column] = index;
+  });
+
+  if (columns.set === undefined && columns.setName === undefined) {
+    return {
+      rows: [],
+      columns,
+      error: "Couldn't find a set column (e.g. 'Set Code' or 'Set Name').",
+    };
+  }
+  if (columns.number === undefined && columns.name === undefined) {
+    return {
+      rows: [],
+      columns,
+      error: "Couldn't find a 'Number' or 'Name' column.",
+    };
+  }
+
+  const getValue = (fields, column) =>
+    columns[column] !== undefined ? (fields[columns[column]] || "").trim() : "";
+
+  const rows = dataRows.map((fields, index) => {
+    const quantity = parseInt(getValue(fields, "quantity"), 10);
+    const variantValue = getValue(fields, "variant");
+
+    return {
+      rowNumber: index + 2, // 1-based, after the header row
+      set: getValue(fields, "set"),
+      setName: getValue(fields, "setName"),
+      number: getValue(fields, "number"),
+      name: getValue(fields, "name"),
+      variantLabel: variantValue,
+      variant: normalizeImportVariant(variantValue),
+      quantity:
+        quantity > 0
+          ? Math.min(quantity, MAX_ROW_QUANTITY)
+          : quantity === 0
+          ? 0
+          : 1,
+      condition: normalizeCondition(getValue(fields, "condition")),
+      grading: normalizeImportGrading(
+        getValue(fields, "gradingCompany"),
+        getValue(fields, "grade"),
+        getValue(fields, "certNumber")
+      ),
+    };
+  });
+
+  return {
+    rows: rows.filter((row) => row.quantity > 0),
+    columns,
+    error: null,
+  };
+};
+
+// Find the catalog sets a row refers to, best match first
+const findRowSets = (row, sets) => {
+  const code = (row.set || "").toLowerCase();
+  const name = normalizeName(row.setName || row.set);
+
+  if (code) {
+    const byId = sets.filter((set) => set.id.toLowerCase() === code);
+    if (byId.length > 0) return byId;
+
+    const byCode = sets.filter(
+      (set) => (set.ptcgoCode || "").toLowerCase() === code
+    );
+    if (byCode.length > 0) return byCode;
+  }
+
+  if (name) {
+    // Also accept names prefixed with the series, e.g. "Scarlet & Violet 151"
+    return sets.filter(
+      (set) =>
+        normalizeName(set.name) === name ||
+        normalizeName(`${set.series} ${set.name}`) === name
+    );
+  }
+  return [];
+};
+
+const namesMatch = (rowName, cardName) => {
+  const a = normalizeName(rowName);
+  const b = normalizeName(cardName);
+  return a === b || (a.length > 2 && b.includes(a));
+};
+
+/**
+ * Resolve parsed rows against the catalog.
+ * @param {Array} rows - Rows from parseCollectionCsv
+ * @param {object} catalog
+ * @param {Array} catalog.sets - Sets from sets.json
+ * @param {function} catalog.getSetCards - async (setId) => normalized cards
+ * @returns {Promise<Array>} - Rows with { status, card, candidates, reason }
+ */
+export const resolveImportRows = async (rows, { sets, getSetCards }) => {
+  const resolved = [];
+
+  for (const row of rows) {
+    const rowSets = findRowSets(row, sets);
+    if (rowSets.length === 0) {
+      resolved.push({
+        ...row,
+        status: IMPORT_ROW_STATUS.UNMATCHED,
+        card: null,
+        candidates: [],
+        reason: `Unknown set "${row.set || row.setName || ""}"`,
+      });
+      continue;
+    }
+
+    const setCards = (
+      await Promise.all(rowSets.map((set) => getSetCards(set.id)))
+    ).flat();
+
+    const number = normalizeCardNumber(row.number);
+    const numberMatches = number
+      ? setCards.filter((card) => normalizeCardNumber(card.number) === number)
+      : [];
+    const nameMatches = row.name
+      ? setCards.filter((card) => namesMatch(row.name, card.name))
+      : [];
+
+    let candidates;
+    let reason = null;
+
+    if (number) {
+      const confirmed = row.name
+        ? numberMatches.filter((card) => namesMatch(row.name, card.name))
+        : numberMatches;
+
+      if (confirmed.length > 0) {
+        candidates = confirmed;
+      } else if (numberMatches.length > 0) {
+        // Number exists but the name disagrees - let the user decide
+        candidates = [...numberMatches, ...nameMatches];
+        reason = `#${row.number} is ${numberMatches[0].name}, not ${row.name}`;
+      } else {
+        candidates = nameMatches;
+        reason = `No card #${row.number} in ${rowSets[0].name}`;
+      }
+    } else {
+      candidates = nameMatches;
+    }
+
+    // Remove duplicates (a card can match by number and by name)
+    candidates = candidates.filter(
+      (card, index) => candidates.findIndex((c) => c.id === card.id) === index
+    );
+
+    let status;
+    if (candidates.length === 1 && !reason) {
+      status = IMPORT_ROW_STATUS.MATCHED;
+    } else if (candidates.length > 0) {
+      status = IMPORT_ROW_STATUS.AMBIGUOUS;
+      reason = reason || `${candidates.length} possible cards`;
+    } else {
+      status = IMPORT_ROW_STATUS.UNMATCHED;
+      reason = reason || `No card named "${row.name}" in ${rowSets[0].name}`;
+    }
+
+    resolved.push({
+      ...row,
+      status,
+      card: status === IMPORT_ROW_STATUS.MATCHED ? candidates[0] : null,
+      candidates,
+      reason,
+    });
+  }
+
+  return resolved;
+};
+
+/**
+ * Build the cards to add to the binder from resolved rows.
+ * Each copy becomes its own card instance. The printing is kept in
+ * `variant` like the set wizard does, with reverse holos also flagged.
+ * @param {Array} resolvedRows - Rows with a chosen `card`
+ * @returns {Array}
+ */
+export const buildImportCards = (resolvedRows) => {
+  const cards = [];
+
+  resolvedRows.forEach((row) => {
+    if (!row.card) return;
+
+    for (let i = 0; i < row.quantity; i++) {
+      cards.push({
+        ...row.card,
+        ...(row.condition && { condition: row.condition }),
+        ...(row.grading && { grading: row.grading }),
+        ...(row.variant && { variant: row.variant }),
+        ...(row.variant === "reverseHolofoil" && { reverseHolo: true }),
+      });
+    }
+  });
+
+  return cards;
+};
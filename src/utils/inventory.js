@@ -0,0 +1,168 @@
+/**
+ * Inventory Utilities
+ * A per-user index of every card across all binders. Each binder only knows
+ * its own cards; the index answers "do I already own this, and where?" and
+ * lists the surplus copies that are available for trade.
+ */
+
+import { getGridConfig } from "./binderGrids";
+import { getBaseCardId } from "./cardValuation";
+import { getCardVariant } from "./wantList";
+import { getCardLanguage } from "./cardLanguages";
+
+/**
+ * Build the inventory index of a user's binders.
+ * @param {Array} binders - The user's binders
+ * @returns {Map} - base card id -> locations, ordered by binder and position.
+ *   A location is { binderId, binderName, position, page, slot, instanceId,
+ *   cardId, cardData, variant, condition, language, quantity, isMissing,
+ *   forTrade }
+ */
+export const buildInventoryIndex = (binders = []) => {
+  const index = new Map();
+
+  binders.forEach((binder) => {
+    if (!binder?.cards) return;
+    const cardsPerPage = getGridConfig(
+      binder.settings?.gridSize || "3x3"
+    ).total;
+    const missingInstances = new Set(binder.metadata?.missingInstances || []);
+
+    Object.entries(binder.cards)
+      .map(([position, entry]) => ({ position: parseInt(position, 10), entry }))
+      .filter(({ position, entry }) => !isNaN(position) && entry?.cardId)
+      .sort((a, b) => a.position - b.position)
+      .forEach(({ position, entry }) => {
+        const cardId = getBaseCardId(entry.cardId);
+        if (!index.has(cardId)) index.set(cardId, []);
+        index.get(cardId).push({
+          binderId: binder.id,
+          binderName: binder.metadata?.name || "Untitled Binder",
+          position,
+          page: Math.floor(position / cardsPerPage) + 1,
+          slot: (position % cardsPerPage) + 1,
+          instanceId: entry.instanceId,
+          cardId,
+          cardData: entry.cardData || null,
+          variant: getCardVariant(entry),
+          condition: entry.condition || null,
+          language: getCardLanguage(entry),
+          quantity: entry.quantity > 0 ? entry.quantity : 1,
+          isMissing: missingInstances.has(entry.instanceId),
+          forTrade: Boolean(entry.forTrade),
+        });
+      });
+  });
+
+  return index;
+};
+
+/**
+ * Check whether two printings are the same. A copy without a known variant
+ * counts as any printing except reverse holo.
+ * @param {string|null} a - Result of getCardVariant
+ * @param {string|null} b - Result of getCardVariant
+ * @returns {boolean}
+ */
+export const isSamePrinting = (a, b) => {
+  if (a && b) return a === b;
+  return (a === "reverseHolofoil") === (b === "reverseHolofoil");
+};
+
+/**
+ * Look up the owned copies of a card.
+ * Copies marked as missing in their binder are left out.
+ * @param {Map} index - Result of buildInventoryIndex
+ * @param {object} card - Card (search result) or binder card entry
+ * @param {object} options - { excludeBinderId } to skip the binder being edited
+ * @returns {object} - { copies, samePrinting } lists of locations
+ */
+export const findOwnedCopies = (index, card, options = {}) => {
+  const cardId = getBaseCardId(card?.originalId || card?.cardId || card?.id);
+  const variant = getCardVariant(card);
+  const copies = (index?.get(cardId) || []).filter(
+    (location) =>
+      !location.isMissing && location.binderId !== options.excludeBinderId
+  );
+
+  return {
+    copies,
+    samePrinting: copies.filter((location) =>
+      isSamePrinting(location.variant, variant)
+    ),
+  };
+};
+
+/**
+ * Count the copies in a list of locations (a slot can hold several).
+ * @param {Array} locations
+ * @returns {number}
+ */
+export const countCopies = (locations = []) =>
+  locations.reduce((sum, location) => sum + location.quantity, 0);
+
+/**
+ * List the cards owned more than once, per printing and language.
+ * The first copy is kept; every other copy is surplus.
+ * @param {Map} index - Result of buildInventoryIndex
+ * @returns {Array} - { key, cardId, cardData, variant, language, locations,
+ *   owned, surplus } sorted by surplus, then name
+ */
+export const findDuplicates = (index) => {
+  const groups = new Map();
+
+  index.forEach((locations) => {
+    locations
+      .filter((location) => !location.isMissing)
+      .forEach((location) => {
+        const key = [
+          location.cardId,
+          location.variant || "",
+          location.language,
+        ].join("__");
+        if (!groups.has(key)) {
+          groups.set(key, {
+            key,
+            cardId: location.cardId,
+            cardData: location.cardData,
+            variant: location.variant,
+            language: location.language,
+            locations: [],
+          });
+        }
+        const group = groups.get(key);
+        group.locations.push(location);
+        if (!group.cardData) group.cardData = location.cardData;
+      });
+  });
+
+  return Array.from(groups.values())
+    .map((group) => {
+      const owned = countCopies(group.locations);
+      return { ...group, owned, surplus: owned - 1 };
+    })
+    .filter((group) => group.surplus > 0)
+    .sort(
+      (a, b) =>
+        b.surplus - a.surplus ||
+        (a.cardData?.name || a.cardId).localeCompare(
+          b.cardData?.name || b.cardId
+        )
+    );
+};
+
+/**
+ * Describe where a copy sits, e.g. "Base Set · Page 3, Slot 5".
+ * @param {object} location - Inventory location
+ * @returns {string}
+ */
+export const formatLocation = (location) =>
+  `${location.binderName} · Page ${location.page}, Slot ${location.slot}`;
+
+/**
+ * Path that opens a binder on the page of a location and highlights its slot.
+ * @param {object} location - Inventory location
+ * @returns {string}
+ */
+export const getLocationPath = (location) =>
+  `/binder/${location.binderId}?page=${location.page}&slot=${location.slot}`;
@@ -0,0 +1,181 @@
+/**
+ * Living Dex Utilities
+ * Builds a "living dex" binder from the local catalog: one card per National
+ * Pokédex number, in dex order, picked by the collector's preferences.
+ */
+
+import { getBaseCardId } from "./cardValuation";
+import { normalizeText } from "./cardQuery";
+
+// National Pokédex range of each generation
+export const POKEDEX_GENERATIONS = [
+  { id: 1, label: "Generation I", region: "Kanto", first: 1, last: 151 },
+  { id: 2, label: "Generation II", region: "Johto", first: 152, last: 251 },
+  { id: 3, label: "Generation III", region: "Hoenn", first: 252, last: 386 },
+  { id: 4, label: "Generation IV", region: "Sinnoh", first: 387, last: 493 },
+  { id: 5, label: "Generation V", region: "Unova", first: 494, last: 649 },
+  { id: 6, label: "Generation VI", region: "Kalos", first: 650, last: 721 },
+  { id: 7, label: "Generation VII", region: "Alola", first: 722, last: 809 },
+  { id: 8, label: "Generation VIII", region: "Galar", first: 810, last: 905 },
+  { id: 9, label: "Generation IX", region: "Paldea", first: 906, last: 1025 },
+];
+
+// Era preference values besides a specific set series
+export const ERA_NEWEST = "newest";
+export const ERA_OLDEST = "oldest";
+
+export const DEFAULT_LIVING_DEX_PREFERENCES = {
+  era: ERA_NEWEST, // ERA_NEWEST, ERA_OLDEST or a set series ("Base", "XY", ...)
+  rarity: "", // Preferred rarity, "" for any
+  artist: "", // Preferred artist (partial name), "" for any
+};
+
+/**
+ * Get the generation of a National Pokédex number
+ * @param {number} dexNumber
+ * @returns {object|null}
+ */
+export const getGeneration = (dexNumber) =>
+  POKEDEX_GENERATIONS.find(
+    (generation) =>
+      dexNumber >= generation.first && dexNumber <= generation.last
+  ) || null;
+
+/**
+ * Group the Pokémon cards of a catalog by National Pokédex number.
+ * Cards showing several Pokémon (TAG TEAM, "& " cards) are only used for a
+ * number that has no single-Pokémon card.
+ * @param {Array<object>} cards - Raw catalog cards
+ * @returns {Map<number, object>} - dexNumber -> { number, name, candidates }
+ */
+export const buildSpeciesIndex = (cards) => {
+  const single = new Map();
+  const shared = new Map();
+
+  cards.forEach((card) => {
+    const numbers = card.nationalPokedexNumbers || [];
+    const target = numbers.length === 1 ? single : shared;
+    numbers.forEach((number) => {
+      if (!target.has(number)) target.set(number, []);
+      target.get(number).push(card);
+    });
+  });
+
+  const species = new Map();
+  new Set([...single.keys(), ...shared.keys()]).forEach((number) => {
+    const candidates = single.get(number) || shared.get(number);
+    // The plainest name is the species name ("Charizard", not "Dark Charizard")
+    const name = candidates
+      .map((card) => card.name)
+      .reduce((shortest, cardName) =>
+        cardName.length < shortest.length ? cardName : shortest
+      );
+    species.set(number, { number, name, candidates });
+  });
+  return species;
+};
+
+const getReleaseTime = (card) =>
+  card.set?.releaseDate ? new Date(card.set.releaseDate).getTime() : 0;
+
+/**
+ * Order the printings of a species by how well they fit the preferences,
+ * best first. Era, rarity and artist matches outrank each other in that
+ * order; ties go to the newest (or, for the "oldest" era, oldest) printing.
+ * @param {object} species - From buildSpeciesIndex
+ * @param {object} preferences - See DEFAULT_LIVING_DEX_PREFERENCES
+ * @returns {Array<object>}
+ */
+export const rankSpeciesCandidates = (species, preferences) => {
+  const { era, rarity, artist } = {
+    ...DEFAULT_LIVING_DEX_PREFERENCES,
+    ...preferences,
+  };
+  const artistTerm = normalizeText(artist.trim());
+  const speciesName = normalizeText(species.name);
+
+  const score = (card) => {
+    let total = 0;
+    if (era !== ERA_NEWEST && era !== ERA_OLDEST && card.set?.series === era) {
+      total += 8;
+    }
+    if (rarity && card.rarity === rarity) total += 4;
+    if (artistTerm && normalizeText(card.artist || "").includes(artistTerm)) {
+      total += 2;
+    }
+    // Prefer the plain species card over special forms
+    if (normalizeText(card.name) === speciesName) total += 1;
+    return total;
+  };
+
+  return [...species.candidates]
+    .map((card) => ({ card, score: score(card) }))
+    .sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      const age = getReleaseTime(b.card) - getReleaseTime(a.card);
+      return era === ERA_OLDEST ? -age : age;
+    })
+    .map(({ card }) => card);
+};
+
+/**
+ * Dex numbers the collection already has a card of.
+ * Missing cards don't count.
+ * @param {Array<object>} binders - Binders to look in
+ * @param {Map<string, object>} cardsById - Catalog cards by id
+ * @returns {Set<number>}
+ */
+export const getOwnedDexNumbers = (binders, cardsById) => {
+  const owned = new Set();
+  binders.forEach((binder) => {
+    const missing = new Set(binder?.metadata?.missingInstances || []);
+    Object.values(binder?.cards || {}).forEach((entry) => {
+      if (!entry?.cardId || missing.has(entry.instanceId)) return;
+      const card = cardsById.get(getBaseCardId(entry.cardId));
+      (card?.nationalPokedexNumbers || []).forEach((number) =>
+        owned.add(number)
+      );
+    });
+  });
+  return owned;
+};
+
+/**
+ * Lay out the picked cards in dex order for batchAddCards. Numbers without a
+ * card keep an empty slot, and with alignGenerations each generation starts
+ * on a new page (null entries fill the rest of the previous page).
+ * @param {Array<number>} dexNumbers - Numbers in the binder, ascending
+ * @param {Map<number, object>} picks - dexNumber -> card
+ * @param {object} options - { cardsPerPage, alignGenerations, startPosition }
+ * @returns {Array<object|null>}
+ */
+export const buildLivingDexLayout = (
+  dexNumbers,
+  picks,
+  { cardsPerPage = 9, alignGenerations = true, startPosition = 0 } = {}
+) => {
+  const layout = [];
+  let previousGeneration = null;
+
+  dexNumbers.forEach((number) => {
+    const generation = getGeneration(number)?.id ?? null;
+    if (
+      alignGenerations &&
+      previousGeneration !== null &&
+      generation !== previousGeneration
+    ) {
+      const used = (startPosition + layout.length) % cardsPerPage;
+      if (used > 0) {
+        layout.push(...Array(cardsPerPage - used).fill(null));
+      }
+    }
+    previousGeneration = generation;
+    layout.push(picks.get(number) || null);
+  });
+
+  // Trailing empty slots don't need to be placed
+  while (layout.length > 0 && layout[layout.length - 1] === null) {
+    layout.pop();
+  }
+  return layout;
+};
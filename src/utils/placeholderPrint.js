@@ -0,0 +1,143 @@
+/**
+ * Placeholder Print Utilities
+ * Picks the binder slots that need a printed placeholder (missing cards and/or
+ * empty pockets) and lays them out as cut-to-size cards on paper sheets.
+ * All measurements are in millimetres.
+ */
+
+import { getCardPageCount, getGridConfig } from "./binderGrids";
+
+// Standard trading card size
+export const PLACEHOLDER_CARD_SIZE = { width: 63, height: 88 };
+
+export const PAPER_SIZES = {
+  a4: { label: "A4", width: 210, height: 297 },
+  letter: { label: "Letter", width: 215.9, height: 279.4 },
+};
+
+export const DEFAULT_PAPER_SIZE = "a4";
+
+// Room kept around the cards for the crop marks
+const MIN_SHEET_MARGIN = 7;
+
+/**
+ * Get the slots of a binder that need a placeholder, sorted by position
+ * @param {object} binder
+ * @param {object} options
+ * @param {boolean} options.includeMissing - Cards marked as missing
+ * @param {boolean} options.includeEmpty - Pockets with no card
+ * @returns {Array} - { position, page, slot, cardData } where cardData is
+ *   null for empty pockets
+ */
+export const getPlaceholderSlots = (binder, options = {}) => {
+  const { includeMissing = true, includeEmpty = false } = options;
+  if (!binder) return [];
+
+  const cards = binder.cards || {};
+  const cardsPerPage = getGridConfig(binder.settings?.gridSize).total;
+  const missingInstances = new Set(binder.metadata?.missingInstances || []);
+  const slots = [];
+
+  const addSlot = (position, cardData) =>
+    slots.push({
+      position,
+      page: Math.floor(position / cardsPerPage) + 1,
+      slot: (position % cardsPerPage) + 1,
+      cardData,
+    });
+
+  if (includeMissing) {
+    Object.entries(cards).forEach(([position, cardEntry]) => {
+      if (cardEntry && missingInstances.has(cardEntry.instanceId)) {
+        addSlot(parseInt(position, 10), cardEntry.cardData || {});
+      }
+    });
+  }
+
+  if (includeEmpty) {
+    const totalSlots = getCardPageCount(binder) * cardsPerPage;
+    for (let position = 0; position < totalSlots; position++) {
+      if (!cards[position]) addSlot(position, null);
+    }
+  }
+
+  return slots
+    .filter((slot) => !isNaN(slot.position))
+    .sort((a, b) => a.position - b.position);
+};
+
+/**
+ * Get how many placeholders fit on a sheet and where the first one goes
+ * @param {string} paperSize - Key of PAPER_SIZES
+ * @returns {object} - { paper, cols, rows, perSheet, originX, originY }
+ */
+export const getSheetLayout = (paperSize = DEFAULT_PAPER_SIZE) => {
+  const paper = PAPER_SIZES[paperSize] || PAPER_SIZES[DEFAULT_PAPER_SIZE];
+  const { width, height } = PLACEHOLDER_CARD_SIZE;
+
+  const cols = Math.floor((paper.width - 2 * MIN_SHEET_MARGIN) / width);
+  const rows = Math.floor((paper.height - 2 * MIN_SHEET_MARGIN) / height);
+
+  return {
+    paper,
+    cols,
+    rows,
+    perSheet: cols * rows,
+    originX: (paper.width - cols * width) / 2,
+    originY: (paper.height - rows * height) / 2,
+  };
+};
+
+// Fill sheets cell by cell, in order
+const packSlots = (slots, perSheet) => {
+  const sheets = [];
+  for (let i = 0; i < slots.length; i += perSheet) {
+    sheets.push(
+      slots.slice(i, i + perSheet).map((slot, cell) => ({ ...slot, cell }))
+    );
+  }
+  return sheets;
+};
+
+/**
+ * Lay placeholder slots out on sheets
+ * By default the placeholders are packed to save paper. With matchPageOrder
+ * every binder page starts a new sheet and, when the page grid fits on the
+ * sheet, each placeholder sits in the same row and column as its pocket.
+ * @param {Array} slots - From getPlaceholderSlots
+ * @param {object} options - { gridSize, paperSize, matchPageOrder }
+ * @returns {Array} - Sheets, each a list of slots with the `cell` they use
+ *   (row * layout.cols + col)
+ */
+export const layoutPlaceholderSheets = (slots, options = {}) => {
+  const { gridSize, paperSize, matchPageOrder = false } = options;
+  const layout = getSheetLayout(paperSize);
+
+  if (!matchPageOrder) {
+    return packSlots(slots, layout.perSheet);
+  }
+
+  const grid = getGridConfig(gridSize);
+  const gridFitsSheet = grid.cols <= layout.cols && grid.rows <= layout.rows;
+
+  const pages = new Map();
+  slots.forEach((slot) => {
+    if (!pages.has(slot.page)) pages.set(slot.page, []);
+    pages.get(slot.page).push(slot);
+  });
+
+  return [...pages.values()].flatMap((pageSlots) => {
+    if (!gridFitsSheet) {
+      return packSlots(pageSlots, layout.perSheet);
+    }
+
+    return [
+      pageSlots.map((slot) => {
+        const index = slot.slot - 1;
+        const col = index % grid.cols;
+        const row = Math.floor(index / grid.cols);
+        return { ...slot, cell: row * layout.cols + col };
+      }),
+    ];
+  });
+};
@@ -0,0 +1,226 @@
+/**
+ * Card Search Index Utilities
+ * Builds and queries the full-text index of a card catalog language
+ * (public/data/{lang}/search-index.json, written by
+ * scripts/build-search-index.js). Shared by the build script and the search
+ * worker, so this module must not depend on the browser.
+ */
+
+import { normalizeText } from "./cardQuery.js";
+
+export const SEARCH_INDEX_VERSION = 1;
+
+// Indexed text, best field first. A card's score for a word is the weight
+// of the best field it appears in.
+export const SEARCH_INDEX_FIELDS = [
+  { key: "name", weight: 10, getText: (card) => [card.name] },
+  {
+    key: "abilities",
+    weight: 4,
+    getText: (card) =>
+      (card.abilities || []).flatMap((ability) => [ability.name, ability.text]),
+  },
+  {
+    key: "attacks",
+    weight: 3,
+    getText: (card) =>
+      (card.attacks || []).flatMap((attack) => [attack.name, attack.text]),
+  },
+  // Trainer and Energy effects, plus rule boxes
+  { key: "rules", weight: 2, getText: (card) => card.rules || [] },
+  { key: "flavorText", weight: 1, getText: (card) => [card.flavorText] },
+];
+
+// Words too common in card text to be worth indexing
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "as",
+  "at",
+  "be",
+  "by",
+  "for",
+  "from",
+  "if",
+  "in",
+  "is",
+  "it",
+  "its",
+  "of",
+  "on",
+  "or",
+  "that",
+  "the",
+  "this",
+  "to",
+  "with",
+  "you",
+  "your",
+]);
+
+/**
+ * Split text into normalized search words. Apostrophes are dropped so
+ * "Professor's" and "professors" are the same word.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenizeSearchText = (text) =>
+  normalizeText(text || "")
+    .replace(/['’]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(
+      (word) =>
+        word && (word.length > 1 || /\d/.test(word)) && !STOP_WORDS.has(word)
+    );
+
+/**
+ * Build the search index of a catalog.
+ * Postings pack the card and field into one number:
+ * cardIndex * SEARCH_INDEX_FIELDS.length + fieldIndex.
+ * @param {Array<object>} cards - Raw cards of the catalog
+ * @param {string} lang
+ * @returns {object} - { version, lang, fields, ids, terms }
+ */
+export const buildSearchIndex = (cards, lang = "en") => {
+  const fieldCount = SEARCH_INDEX_FIELDS.length;
+  const terms = {};
+
+  cards.forEach((card, cardIndex) => {
+    const seen = new Set();
+    SEARCH_INDEX_FIELDS.forEach((field, fieldIndex) => {
+      field
+        .getText(card)
+        .flatMap(tokenizeSearchText)
+        .forEach((word) => {
+          // Only the best field of a word counts
+          if (seen.has(word)) return;
+          seen.add(word);
+          if (!Object.prototype.hasOwnProperty.call(terms, word)) {
+            terms[word] = [];
+          }
+          terms[word].push(cardIndex * fieldCount + fieldIndex);
+        });
+    });
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    lang,
+    fields: SEARCH_INDEX_FIELDS.map((field) => field.key),
+    ids: cards.map((card) => card.id),
+    terms,
+  };
+};
+
+// Optimal string alignment distance, giving up once it exceeds maxDistance
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (
+        previousPrevious &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed in a word: none for short words, more for long ones
+const getAllowedTypos = (word) =>
+  word.length >= 9 ? 2 : word.length >= 5 ? 1 : 0;
+
+/**
+ * Create a matcher over a loaded search index.
+ * @param {object} index - Contents of search-index.json
+ * @returns {object} - { scoreText(text) => Map<cardIndex, score> | null }
+ */
+export const createSearchIndexMatcher = (index) => {
+  const fieldCount = index.fields.length;
+  const fieldWeights = index.fields.map(
+    (key) => SEARCH_INDEX_FIELDS.find((field) => field.key === key)?.weight || 1
+  );
+  const vocabulary = Object.keys(index.terms);
+  const wordCache = new Map();
+
+  // Cards containing a word, or a close match of it, with their score
+  const scoreWord = (word) => {
+    if (wordCache.has(word)) return wordCache.get(word);
+
+    const allowedTypos = getAllowedTypos(word);
+    const scores = new Map();
+    vocabulary.forEach((candidate) => {
+      let quality = 0;
+      if (candidate === word) {
+        quality = 1;
+      } else if (word.length >= 2 && candidate.startsWith(word)) {
+        // Still typing the word
+        quality = 0.7;
+      } else if (allowedTypos > 0) {
+        const distance = editDistance(word, candidate, allowedTypos);
+        if (distance <= allowedTypos) quality = 0.5 / distance;
+      }
+      if (!quality) return;
+
+      index.terms[candidate].forEach((posting) => {
+        const cardIndex = Math.floor(posting / fieldCount);
+        const score = quality * fieldWeights[posting % fieldCount];
+        if (score > (scores.get(cardIndex) || 0)) {
+          scores.set(cardIndex, score);
+        }
+      });
+    });
+
+    if (wordCache.size > 200) wordCache.clear();
+    wordCache.set(word, scores);
+    return scores;
+  };
+
+  return {
+    /**
+     * Score cards against every word of a text (all words must match).
+     * @param {string} text
+     * @returns {Map<number, number>|null} - null when the text has no
+     *   searchable words
+     */
+    scoreText(text) {
+      const words = tokenizeSearchText(text);
+      if (words.length === 0) return null;
+
+      const [first, ...rest] = words.map(scoreWord);
+      const scores = new Map();
+      first.forEach((score, cardIndex) => {
+        let total = score;
+        for (const wordScores of rest) {
+          const wordScore = wordScores.get(cardIndex);
+          if (!wordScore) return;
+          total += wordScore;
+        }
+        scores.set(cardIndex, total);
+      });
+      return scores;
+    },
+  };
+};
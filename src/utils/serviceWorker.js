@@ -0,0 +1,19 @@
+/**
+ * Service Worker Registration
+ * Registers public/service-worker.js, which caches the app shell, the card
+ * catalog and card images so binders keep working without a connection.
+ */
+
+/**
+ * Register the service worker once the page has loaded.
+ * Skipped in development, where Vite serves unbundled modules.
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/service-worker.js").catch((error) => {
+      console.error("Service worker registration failed:", error);
+    });
+  });
+};
@@ -0,0 +1,270 @@
+/**
+ * Set Checklist Utilities
+ * Builds printable checklists of a catalog set or of the cards in a binder:
+ * one row per card with its number, name, rarity and a checkbox for each
+ * finish it was printed in, ticked when a copy is owned in any binder.
+ */
+
+import { getCardVariants, getVariantAttributes } from "./cardVariants";
+import { getBaseCardId } from "./cardValuation";
+import { getOwnedVariants } from "./wantList";
+import { getOwnedCardVariants, isSecretCard } from "./collectionProgress";
+import { compareCardNumbers, getRarityWeight } from "./binderSorting";
+
+// Checkbox columns, one per finish
+export const CHECKLIST_FINISHES = [
+  { finish: "normal", label: "N", name: "Normal" },
+  { finish: "reverseHolofoil", label: "R", name: "Reverse Holo" },
+  { finish: "holofoil", label: "H", name: "Holo" },
+];
+
+export const CHECKLIST_SORT_OPTIONS = [
+  { value: "number", label: "Card number" },
+  { value: "rarity", label: "Rarity" },
+];
+
+// Symbols printed on the cards. Other rarities get a star and a short code.
+const RARITY_SYMBOLS = {
+  Common: { shape: "circle" },
+  Uncommon: { shape: "diamond" },
+  Rare: { shape: "star" },
+  "Rare Holo": { shape: "star", label: "H" },
+  "Double Rare": { shape: "star", count: 2 },
+  "Ultra Rare": { shape: "star", count: 2, tone: "silver" },
+  "Illustration Rare": { shape: "star", tone: "gold" },
+  "Special Illustration Rare": { shape: "star", count: 2, tone: "gold" },
+  "Hyper Rare": { shape: "star", count: 3, tone: "gold" },
+  Promo: { shape: null, label: "PR" },
+};
+
+// Scarlet & Violet rarities in the order they appear in a set, slotted into
+// the binder sort's rarity weights
+const SET_RARITY_WEIGHTS = {
+  "Double Rare": 4.5,
+  "Illustration Rare": 15.2,
+  "Ultra Rare": 15.4,
+  "Special Illustration Rare": 15.6,
+  "Hyper Rare": 15.8,
+};
+
+/**
+ * Get the weight of a rarity in set order, higher is rarer
+ * Unknown rarities weigh 999 like in the binder sort.
+ */
+export const getSetRarityWeight = (rarity) =>
+  SET_RARITY_WEIGHTS[rarity] ?? getRarityWeight(rarity);
+
+/**
+ * Get the symbol of a rarity
+ * @param {string} rarity
+ * @returns {object|null} - { shape: "circle" | "diamond" | "star" | null,
+ *   count, tone: "black" | "silver" | "gold", label }, null without a rarity
+ */
+export const getRaritySymbol = (rarity) => {
+  if (!rarity || rarity === "None") return null;
+
+  const symbol = RARITY_SYMBOLS[rarity] || {
+    shape: "star",
+    // Keep uppercase words like "EX" or "VMAX", abbreviate the others
+    label: rarity
+      .split(/\s+/)
+      .filter((word) => word !== "Rare")
+      .map((word) => (word === word.toUpperCase() ? word : word[0]))
+      .join(""),
+  };
+  return { count: 1, tone: "black", label: "", ...symbol };
+};
+
+// One checklist row per catalog card
+const buildChecklistRow = (card, ownedVariants, isSecret) => {
+  const variants = getCardVariants(card);
+  const owned = getOwnedCardVariants(
+    variants,
+    ownedVariants.get(getBaseCardId(card.id)) || []
+  );
+  const finishes = new Set(
+    variants.map((variant) => getVariantAttributes(variant).finish)
+  );
+  const ownedFinishes = new Set(
+    [...owned].map((variant) => getVariantAttributes(variant).finish)
+  );
+
+  return {
+    id: card.id,
+    number: card.number || "",
+    name: card.name || "Unknown Card",
+    rarity: card.rarity || "",
+    setId: card.set?.id || "",
+    setName: card.set?.name || "",
+    isSecret,
+    isOwned: owned.size > 0,
+    finishes: CHECKLIST_FINISHES.map(({ finish }) => ({
+      finish,
+      available: finishes.has(finish),
+      owned: ownedFinishes.has(finish),
+    })),
+  };
+};
+
+const compareRows = (sortBy) => (a, b) => {
+  if (sortBy === "rarity") {
+    const weight = getSetRarityWeight(a.rarity) - getSetRarityWeight(b.rarity);
+    if (weight !== 0) return weight;
+  }
+  return compareCardNumbers(a.number, b.number);
+};
+
+// Checklist items: rows, with a heading before each set when there are several
+const buildChecklistItems = (rows, sortBy) => {
+  const sorted = [...rows].sort(compareRows(sortBy));
+  const setIds = new Set(rows.map((row) => row.setId));
+  if (setIds.size < 2 || sortBy === "rarity") {
+    return sorted.map((row) => ({ type: "card", ...row }));
+  }
+
+  const bySet = new Map();
+  sorted.forEach((row) => {
+    if (!bySet.has(row.setId)) bySet.set(row.setId, []);
+    bySet.get(row.setId).push(row);
+  });
+
+  return [...bySet.values()]
+    .sort((a, b) => a[0].setName.localeCompare(b[0].setName))
+    .flatMap((setRows) => [
+      { type: "heading", title: setRows[0].setName || "Unknown Set" },
+      ...setRows.map((row) => ({ type: "card", ...row })),
+    ]);
+};
+
+const summarize = (title, subtitle, rows, sortBy) => ({
+  title,
+  subtitle,
+  items: buildChecklistItems(rows, sortBy),
+  owned: rows.filter((row) => row.isOwned).length,
+  total: rows.length,
+});
+
+/**
+ * Build the checklist of a catalog set
+ * @param {object} set - Catalog set
+ * @param {Array} cards - Raw catalog cards of the set
+ * @param {Array} binders - The user's binders, for what is owned
+ * @param {object} options - { sortBy, includeSecrets }
+ * @returns {object} - { title, subtitle, items, owned, total } where items
+ *   are { type: "card", ...row } or { type: "heading", title }
+ */
+export const buildSetChecklist = (set, cards, binders, options = {}) => {
+  const { sortBy = "number", includeSecrets = true } = options;
+  const ownedVariants = getOwnedVariants(binders);
+
+  const rows = cards
+    .map((card) =>
+      buildChecklistRow(card, ownedVariants, isSecretCard(card, set))
+    )
+    .filter((row) => includeSecrets || !row.isSecret);
+
+  return summarize(
+    set.name,
+    [set.series, set.releaseDate?.slice(0, 4)].filter(Boolean).join(" · "),
+    rows,
+    sortBy
+  );
+};
+
+/**
+ * Build the checklist of the cards in a binder, one row per card
+ * @param {object} binder
+ * @param {Array} binders - The user's binders, for what is owned
+ * @param {Array} sets - Catalog sets, to tell secret rares apart
+ * @param {object} options - { sortBy, includeSecrets }
+ * @returns {object} - Same shape as buildSetChecklist
+ */
+export const buildBinderChecklist = (binder, binders, sets, options = {}) => {
+  const { sortBy = "number", includeSecrets = true } = options;
+  const ownedVariants = getOwnedVariants(binders);
+  const setsById = new Map(sets.map((set) => [set.id, set]));
+
+  const cards = new Map();
+  Object.values(binder?.cards || {}).forEach((entry) => {
+    if (!entry?.cardData) return;
+    const id = getBaseCardId(entry.cardId || entry.cardData.id);
+    if (!cards.has(id)) cards.set(id, { ...entry.cardData, id });
+  });
+
+  const rows = [...cards.values()]
+    .map((card) =>
+      buildChecklistRow(
+        card,
+        ownedVariants,
+        isSecretCard(card, setsById.get(card.set?.id))
+      )
+    )
+    .filter((row) => includeSecrets || !row.isSecret);
+
+  return summarize(
+    binder?.metadata?.name || "Untitled Binder",
+    "Binder checklist",
+    rows,
+    sortBy
+  );
+};
+
+/**
+ * Count the secret rares a checklist would list with secrets included
+ */
+export const countSecretCards = (checklist) =>
+  checklist.items.filter((item) => item.type === "card" && item.isSecret)
+    .length;
+
+/**
+ * Get the rarities used in a checklist with their symbols, rarest last
+ * @returns {Array} - { rarity, symbol }
+ */
+export const getChecklistLegend = (items) =>
+  [
+    ...new Set(
+      items.filter((item) => item.type === "card").map((item) => item.rarity)
+    ),
+  ]
+    .map((rarity) => ({ rarity, symbol: getRaritySymbol(rarity) }))
+    .filter(({ symbol }) => symbol)
+    .sort(
+      (a, b) => getSetRarityWeight(a.rarity) - getSetRarityWeight(b.rarity)
+    );
+
+/**
+ * Split checklist items into pages of columns, filled column by column
+ * A heading never ends a column.
+ * @param {Array} items - Checklist items
+ * @param {object} layout - { columns, firstPageRows, rows } rows per column
+ * @returns {Array} - Pages, each a list of columns of items
+ */
+export const paginateChecklist = (items, layout) => {
+  const { columns, firstPageRows, rows } = layout;
+  const pages = [];
+  let page = [];
+  let column = [];
+
+  const capacity = () => (pages.length === 0 ? firstPageRows : rows);
+
+  items.forEach((item, index) => {
+    const isLastInColumn = column.length === capacity() - 1;
+    const startsNewColumn =
+      column.length >= capacity() ||
+      (item.type === "heading" && isLastInColumn && index < items.length - 1);
+
+    if (startsNewColumn && column.length > 0) {
+      page.push(column);
+      column = [];
+      if (page.length === columns) {
+        pages.push(page);
+        page = [];
+      }
+    }
+    column.push(item);
+  });
+
+  if (column.length > 0) page.push(column);
+  if (page.length > 0) pages.push(page);
+  return pages;
+};
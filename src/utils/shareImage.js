@@ -0,0 +1,279 @@
+/**
+ * Share Image Utilities
+ * Sizes, layout and content of the social media images of a binder: a card
+ * page, a two-page spread or a collage of the binder's best cards, framed
+ * by the binder name, owner, stats and share link. Sizes are in pixels.
+ */
+
+import { getBaseCardId } from "./cardValuation";
+import { getSetRarityWeight } from "./setChecklist";
+import { getBinderPdfPages, getPdfCardSize, getPdfSheets } from "./binderPdf";
+
+export const SHARE_IMAGE_SIZES = {
+  og: {
+    label: "Link preview",
+    description: "1200×630 for Open Graph, X and Discord",
+    width: 1200,
+    height: 630,
+    collageCount: 6,
+  },
+  square: {
+    label: "Instagram post",
+    description: "1080×1080",
+    width: 1080,
+    height: 1080,
+    collageCount: 9,
+  },
+  portrait: {
+    label: "Instagram portrait",
+    description: "1080×1350",
+    width: 1080,
+    height: 1350,
+    collageCount: 9,
+  },
+  story: {
+    label: "Story",
+    description: "1080×1920 for Instagram and TikTok stories",
+    width: 1080,
+    height: 1920,
+    collageCount: 12,
+  },
+};
+
+export const DEFAULT_SHARE_IMAGE_SIZE = "og";
+
+export const SHARE_IMAGE_LAYOUTS = {
+  page: { label: "Single page", description: "One binder page" },
+  spread: { label: "Spread", description: "Two facing pages" },
+  collage: { label: "Top cards", description: "The binder's best cards" },
+};
+
+export const SHARE_IMAGE_RANKINGS = [
+  { value: "rarity", label: "Rarity" },
+  { value: "price", label: "Price" },
+];
+
+// Gap between cards, as a share of the card width
+const CARD_GAP_RATIO = 0.06;
+
+/**
+ * Get the stats shown on a share image
+ * @param {object} binder
+ * @returns {object} - { cardCount, ownedCount, missingCount, percent,
+ *   pageCount }
+ */
+export const getShareImageStats = (binder) => {
+  const entries = Object.values(binder?.cards || {}).filter(Boolean);
+  const missingInstances = new Set(binder?.metadata?.missingInstances || []);
+  const missingCount = entries.filter((entry) =>
+    missingInstances.has(entry.instanceId)
+  ).length;
+  const ownedCount = entries.length - missingCount;
+
+  return {
+    cardCount: entries.length,
+    ownedCount,
+    missingCount,
+    percent:
+      entries.length > 0 ? Math.round((ownedCount / entries.length) * 100) : 0,
+    pageCount: getBinderPdfPages(binder).length,
+  };
+};
+
+/**
+ * Pick the best cards of a binder for a collage
+ * Missing cards are left out and each card appears once.
+ * @param {object} binder
+ * @param {object} options - { rankBy: "rarity" | "price", getCardValue,
+ *   limit } where getCardValue(entry) returns { value } or null
+ * @returns {Array} - Card entries, best first
+ */
+export const getTopCards = (binder, options = {}) => {
+  const { rankBy = "rarity", getCardValue = () => null, limit = 9 } = options;
+  const missingInstances = new Set(binder?.metadata?.missingInstances || []);
+
+  // Unknown rarities weigh 999 in the sort tables; they aren't the rarest
+  const rarityScore = (entry) => {
+    const weight = getSetRarityWeight(entry.cardData?.rarity);
+    return weight >= 999 ? 0 : weight;
+  };
+  const priceScore = (entry) => getCardValue(entry)?.value || 0;
+  const [first, second] =
+    rankBy === "price" ? [priceScore, rarityScore] : [rarityScore, priceScore];
+
+  const seen = new Set();
+  return Object.entries(binder?.cards || {})
+    .map(([position, entry]) => ({ position: parseInt(position, 10), entry }))
+    .filter(
+      ({ position, entry }) =>
+        !isNaN(position) &&
+        entry?.cardData &&
+        !missingInstances.has(entry.instanceId)
+    )
+    .map(({ position, entry }) => ({
+      position,
+      entry,
+      first: first(entry),
+      second: second(entry),
+    }))
+    .sort(
+      (a, b) =>
+        b.first - a.first || b.second - a.second || a.position - b.position
+    )
+    .filter(({ entry }) => {
+      const cardId = getBaseCardId(entry.cardId || entry.cardData.id);
+      if (seen.has(cardId)) return false;
+      seen.add(cardId);
+      return true;
+    })
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+};
+
+/**
+ * Get the page or spread choices of a binder for the share image
+ * @param {object} binder
+ * @param {string} layout - "page" or "spread"
+ * @returns {Array} - { label, pages } with pages as in getPdfSheets
+ */
+export const getShareImageSheets = (binder, layout) => {
+  const pages = getBinderPdfPages(binder);
+  return getPdfSheets(pages, layout === "spread" ? "spread" : "single").map(
+    (sheet) => {
+      const numbers = sheet.filter(Boolean).map((page) => page.number);
+      return {
+        label:
+          numbers.length > 1
+            ? `Pages ${numbers[0]}–${numbers[1]}`
+            : `Page ${numbers[0]}`,
+        pages: sheet,
+      };
+    }
+  );
+};
+
+/**
+ * Split a share image into its regions
+ * @param {object} size - Entry of SHARE_IMAGE_SIZES
+ * @returns {object} - { unit, padding, header, content, footer } where the
+ *   regions are { x, y, width, height } and unit scales the text
+ */
+export const getShareImageLayout = (size) => {
+  const { width, height } = size;
+  const unit = Math.min(width, height) / 24;
+  const padding = Math.round(unit * 1.2);
+  const headerHeight = Math.round(unit * 3);
+  const footerHeight = Math.round(unit * 3.6);
+  const gap = Math.round(unit * 0.8);
+
+  const innerWidth = width - padding * 2;
+  return {
+    unit,
+    padding,
+    header: { x: padding, y: padding, width: innerWidth, height: headerHeight },
+    content: {
+      x: padding,
+      y: padding + headerHeight + gap,
+      width: innerWidth,
+      height: height - padding * 2 - headerHeight - footerHeight - gap * 2,
+    },
+    footer: {
+      x: padding,
+      y: height - padding - footerHeight,
+      width: innerWidth,
+      height: footerHeight,
+    },
+  };
+};
+
+// Lay a grid of cards out centred in an area
+const layoutGrid = (area, cols, rows) => {
+  const grid = { cols, rows };
+  // The gap depends on the card size, so size the cards with an estimate
+  const estimate = getPdfCardSize(area, grid, 0);
+  const gap = Math.round(estimate.width * CARD_GAP_RATIO);
+  const card = getPdfCardSize(area, grid, gap);
+  const gridWidth = card.width * cols + gap * (cols - 1);
+  const gridHeight = card.height * rows + gap * (rows - 1);
+  const originX = area.x + (area.width - gridWidth) / 2;
+  const originY = area.y + (area.height - gridHeight) / 2;
+
+  return {
+    card,
+    gridWidth,
+    gridHeight,
+    cells: Array.from({ length: cols * rows }, (_, index) => ({
+      x: originX + (index % cols) * (card.width + gap),
+      y: originY + Math.floor(index / cols) * (card.height + gap),
+      width: card.width,
+      height: card.height,
+    })),
+  };
+};
+
+/**
+ * Place the pockets of one or two binder pages in the content area
+ * @param {object} area - Content region
+ * @param {object} grid - From getGridConfig
+ * @param {number} pageCount - 1 for a page, 2 for a spread
+ * @returns {Array} - Per page, { frame, cells } where frame is the page
+ *   outline and cells the pockets in slot order
+ */
+export const layoutShareImagePages = (area, grid, pageCount) => {
+  const gutter = pageCount > 1 ? Math.round(area.width * 0.03) : 0;
+  const pageWidth = (area.width - gutter) / pageCount;
+  // Room inside the page outline around the pockets
+  const inset = Math.round(Math.min(pageWidth, area.height) * 0.04);
+  const pageAreas = Array.from({ length: pageCount }, (_, index) => ({
+    x: area.x + index * (pageWidth + gutter) + inset,
+    y: area.y + inset,
+    width: pageWidth - inset * 2,
+    height: area.height - inset * 2,
+  }));
+
+  const layouts = pageAreas.map((pageArea) =>
+    layoutGrid(pageArea, grid.cols, grid.rows)
+  );
+  return layouts.map((layout) => ({
+    frame: {
+      x: layout.cells[0].x - inset,
+      y: layout.cells[0].y - inset,
+      width: layout.gridWidth + inset * 2,
+      height: layout.gridHeight + inset * 2,
+    },
+    cells: layout.cells,
+  }));
+};
+
+/**
+ * Place collage cards in the content area, picking the arrangement that
+ * gives the largest cards
+ * @param {object} area - Content region
+ * @param {number} count - Number of cards
+ * @returns {Array} - Cells for the cards, best card first
+ */
+export const layoutShareImageCollage = (area, count) => {
+  if (count === 0) return [];
+
+  let best = null;
+  for (let cols = 1; cols <= count; cols++) {
+    const rows = Math.ceil(count / cols);
+    const layout = layoutGrid(area, cols, rows);
+    if (!best || layout.card.width > best.layout.card.width) {
+      best = { cols, rows, layout };
+    }
+  }
+
+  // Centre a short last row
+  const { cols, layout } = best;
+  const lastRowCount = count % cols || cols;
+  const lastRowStart = count - lastRowCount;
+  const stride = cols > 1 ? layout.cells[1].x - layout.cells[0].x : 0;
+  const shift = ((cols - lastRowCount) * stride) / 2;
+
+  return layout.cells
+    .slice(0, count)
+    .map((cell, index) =>
+      index >= lastRowStart ? { ...cell, x: cell.x + shift } : cell
+    );
+};
@@ -0,0 +1,70 @@
+/**
+ * Share Link Utilities
+ * Expiry, view history and the binder data a share link shows. View counts
+ * are kept per day under `dailyViews`, keyed by UTC date ("2026-10-19").
+ */
+
+// Firestore timestamps, dates and date strings to a Date
+const toDate = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+/**
+ * Check whether a share link has passed its expiry date
+ * @param {object} link - Share link document
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export const isShareLinkExpired = (link, now = new Date()) => {
+  const expiresAt = toDate(link?.expiresAt);
+  return Boolean(expiresAt && expiresAt < now);
+};
+
+/**
+ * Get the `dailyViews` key of a date
+ * @param {Date} date
+ * @returns {string} - UTC date as YYYY-MM-DD
+ */
+export const getViewDayKey = (date = new Date()) =>
+  date.toISOString().slice(0, 10);
+
+/**
+ * Get the daily views of a share link over the last days, oldest first
+ * @param {object} link - Share link document
+ * @param {number} days - Number of days, today included
+ * @param {Date} now
+ * @returns {Array} - { date, count } with date as YYYY-MM-DD
+ */
+export const getShareViewHistory = (link, days = 14, now = new Date()) => {
+  const dailyViews = link?.dailyViews || {};
+  const today = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate()
+  );
+
+  return Array.from({ length: days }, (_, index) => {
+    const date = getViewDayKey(
+      new Date(today - (days - 1 - index) * 24 * 60 * 60 * 1000)
+    );
+    return { date, count: dailyViews[date] || 0 };
+  });
+};
+
+/**
+ * Remove the owner's notes from a binder shown through a share link that
+ * hides prices and notes. Prices aren't stored on the binder; the viewer
+ * hides them.
+ * @param {object} binder
+ * @returns {object} - Copy of the binder
+ */
+export const hideBinderNotes = (binder) => ({
+  ...binder,
+  cards: Object.fromEntries(
+    Object.entries(binder.cards || {}).map(([position, entry]) => [
+      position,
+      entry ? { ...entry, notes: "" } : entry,
+    ])
+  ),
+});
@@ -0,0 +1,191 @@
+/**
+ * Trade Utilities
+ * Helpers for trade lists (card instances flagged "for trade") and trade
+ * proposals between two users. A proposal always lists the cards from the
+ * proposer's side as `offered` and the other user's as `requested`; counter
+ * offers edit both lists and hand the turn back.
+ */
+
+import { getBaseCardId } from "./cardValuation";
+import { getCardVariant } from "./wantList";
+import { getCardLanguage } from "./cardLanguages";
+import { DEFAULT_CONDITION } from "./cardCondition";
+
+export const TRADE_STATUSES = {
+  pending: { label: "Pending" },
+  accepted: { label: "Accepted" },
+  declined: { label: "Declined" },
+  cancelled: { label: "Cancelled" },
+};
+
+// Most cards a single trade can move in each direction
+export const MAX_TRADE_ITEMS = 50;
+
+/**
+ * Create a trade item from a binder card entry.
+ * Only the fields needed to show and re-create the card are kept.
+ * @param {object} cardEntry - Entry from binder.cards
+ * @param {string} binderId - Binder holding the entry
+ * @returns {object|null}
+ */
+export const createTradeItem = (cardEntry, binderId) => {
+  if (!cardEntry?.instanceId || !cardEntry.cardId) return null;
+  const cardData = cardEntry.cardData || {};
+
+  return {
+    instanceId: cardEntry.instanceId,
+    binderId,
+    cardId: getBaseCardId(cardEntry.cardId),
+    cardData: {
+      id: cardData.id || cardEntry.cardId,
+      name: cardData.name || null,
+      image: cardData.image || null,
+      imageSmall: cardData.imageSmall || null,
+      set: {
+        id: cardData.set?.id || null,
+        name: cardData.set?.name || null,
+        series: cardData.set?.series || null,
+      },
+      number: cardData.number || null,
+      rarity: cardData.rarity || null,
+    },
+    variant: getCardVariant(cardEntry),
+    condition: cardEntry.condition || DEFAULT_CONDITION,
+    language: getCardLanguage(cardEntry),
+  };
+};
+
+/**
+ * Collect the card instances flagged for trade across binders.
+ * Cards marked as missing in a binder can't be traded.
+ * @param {Array} binders - The user's binders
+ * @returns {Array} - Trade items, ordered by card name
+ */
+export const buildTradeList = (binders = []) => {
+  const items = [];
+  binders.forEach((binder) => {
+    const missing = new Set(binder?.metadata?.missingInstances || []);
+    Object.values(binder?.cards || {}).forEach((entry) => {
+      if (!entry?.forTrade || missing.has(entry.instanceId)) return;
+      const item = createTradeItem(entry, binder.id);
+      if (item) items.push(item);
+    });
+  });
+
+  return items.sort((a, b) =>
+    (a.cardData.name || "").localeCompare(b.cardData.name || "")
+  );
+};
+
+/**
+ * Compare two trade lists by the instances and their details.
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {boolean}
+ */
+export const isSameTradeList = (a = [], b = []) =>
+  a.length === b.length &&
+  a.every(
+    (item, index) =>
+      item.instanceId === b[index]?.instanceId &&
+      item.binderId === b[index]?.binderId &&
+      item.variant === b[index]?.variant &&
+      item.condition === b[index]?.condition
+  );
+
+/**
+ * Find the binder slot of a trade item in the user's binders.
+ * Looks in the item's binder first, in case the card was moved elsewhere.
+ * @param {Array} binders
+ * @param {object} item - Trade item
+ * @returns {object|null} - { binderId, position, entry }
+ */
+export const findTradeItemSlot = (binders = [], item) => {
+  const ordered = [
+    ...binders.filter((binder) => binder.id === item.binderId),
+    ...binders.filter((binder) => binder.id !== item.binderId),
+  ];
+
+  for (const binder of ordered) {
+    const match = Object.entries(binder.cards || {}).find(
+      ([, entry]) => entry?.instanceId === item.instanceId
+    );
+    if (match) {
+      return {
+        binderId: binder.id,
+        position: parseInt(match[0], 10),
+        entry: match[1],
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Turn a received trade item into a card for batchAddCards.
+ * The card keeps the item's instance ID, so it can be found once added.
+ * @param {object} item - Trade item
+ * @returns {object}
+ */
+export const toBinderCard = (item) => ({
+  ...item.cardData,
+  id: item.cardData?.id || item.cardId,
+  instanceId: item.instanceId,
+  condition: item.condition,
+  language: item.language,
+  reverseHolo: item.variant === "reverseHolofoil",
+  ...(item.variant && { variant: item.variant }),
+});
+
+/**
+ * Look at a trade from one participant's side.
+ * @param {object} trade
+ * @param {string} userId
+ * @returns {object} - { giving, receiving, otherUserId, otherUserName,
+ *   isProposer, isAwaitingMe }
+ */
+export const getTradeSides = (trade, userId) => {
+  const isProposer = trade.fromUserId === userId;
+  return {
+    giving: (isProposer ? trade.offered : trade.requested) || [],
+    receiving: (isProposer ? trade.requested : trade.offered) || [],
+    otherUserId: isProposer ? trade.toUserId : trade.fromUserId,
+    otherUserName: isProposer ? trade.toUserName : trade.fromUserName,
+    isProposer,
+    isAwaitingMe: trade.status === "pending" && trade.awaitingUserId === userId,
+  };
+};
+
+/**
+ * Sum the catalog value of trade items.
+ * @param {Array} items - Trade items
+ * @param {Function} getCardValue - From useCardPrices
+ * @returns {object} - { total, unpriced }
+ */
+export const getTradeItemsValue = (items = [], getCardValue) =>
+  items.reduce(
+    (sum, item) => {
+      const value = getCardValue({
+        cardId: item.cardId,
+        cardData: item.cardData,
+        variant: item.variant,
+      });
+      return value
+        ? { ...sum, total: sum.total + value.value }
+        : { ...sum, unpriced: sum.unpriced + 1 };
+    },
+    { total: 0, unpriced: 0 }
+  );
+
+/**
+ * Short description of a trade for lists, e.g. "2 cards for 1 card".
+ * @param {object} trade
+ * @param {string} userId - Viewing user
+ * @returns {string}
+ */
+export const describeTrade = (trade, userId) => {
+  const { giving, receiving } = getTradeSides(trade, userId);
+  const count = (items) =>
+    `${items.length} card${items.length === 1 ? "" : "s"}`;
+  return `${count(giving)} for ${count(receiving)}`;
+};
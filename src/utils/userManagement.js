@@ -9,6 +9,7 @@ import {
   orderBy,
   serverTimestamp,
   where,
+  limit,
 } from "firebase/firestore";
 import { db } from "../lib/firebase";
 
@@ -171,6 +172,68 @@ export const updateUserStats = async (userId, binderCount, cardCount) => {
   }
 };
 
+/**
+ * Show or hide the collection progress on the public profile
+ * The published summary is removed when it is hidden.
+ */
+export const updateCollectionProgressVisibility = async (userId, isVisible) => {
+  try {
+    const userRef = doc(db, USERS_COLLECTION, userId);
+    await updateDoc(userRef, {
+      showCollectionProgress: Boolean(isVisible),
+      ...(!isVisible && { collectionProgress: null }),
+      updatedAt: serverTimestamp(),
+    });
+    return true;
+  } catch (error) {
+    console.error("Error updating collection progress visibility:", error);
+    return false;
+  }
+};
+
+/**
+ * Publish the per-set collection progress summary shown on the profile
+ */
+export const updateUserCollectionProgress = async (userId, summary) => {
+  try {
+    const userRef = doc(db, USERS_COLLECTION, userId);
+    await updateDoc(userRef, {
+      collectionProgress: summary,
+      updatedAt: serverTimestamp(),
+    });
+    return true;
+  } catch (error) {
+    console.error("Error updating collection progress:", error);
+    return false;
+  }
+};
+
+/**
+ * Find a user by the email address of their account
+ * @returns {Promise<Object|null>} - { uid, displayName, photoURL } or null
+ */
+export const findUserByEmail = async (email) => {
+  const normalizedEmail = email?.trim().toLowerCase();
+  if (!normalizedEmail) return null;
+
+  const usersQuery = query(
+    collection(db, USERS_COLLECTION),
+    where("email", "==", normalizedEmail),
+    limit(1)
+  );
+  const querySnapshot = await getDocs(usersQuery);
+  if (querySnapshot.empty) return null;
+
+  const userDoc = querySnapshot.docs[0];
+  const userData = userDoc.data();
+  return {
+    uid: userData.uid || userDoc.id,
+    displayName:
+      userData.displayName || userData.email?.split("@")[0] || "User",
+    photoURL: userData.photoURL || null,
+  };
+};
+
 /**
  * Get user profile by ID
  */
@@ -195,6 +258,10 @@ export const getUserProfile = async (userId) => {
         emailVerified: userData.emailVerified || false,
         binderCount: userData.binderCount || 0,
         cardCount: userData.cardCount || 0,
+        showCollectionProgress: userData.showCollectionProgress || false,
+        collectionProgress: userData.showCollectionProgress
+          ? userData.collectionProgress || null
+          : null,
         createdAt: userData.createdAt?.toDate() || new Date(),
         lastSignIn: userData.lastSignIn?.toDate() || new Date(),
         updatedAt: userData.updatedAt?.toDate() || new Date(),
@@ -0,0 +1,224 @@
+/**
+ * Want List Utilities
+ * Helpers for building want-list items and reconciling them against the
+ * cards that are added to binders ("have vs. want").
+ */
+
+import { getBaseCardId, isReverseHoloEntry } from "./cardValuation";
+
+// Variants a collector can ask for. "any" is satisfied by every printing.
+export const WANT_LIST_VARIANTS = {
+  any: "Any printing",
+  normal: "Normal",
+  holofoil: "Holofoil",
+  reverseHolofoil: "Reverse Holo",
+  "1stEdition": "1st Edition",
+  "1stEditionHolofoil": "1st Edition Holo",
+};
+
+export const DEFAULT_WANT_VARIANT = "any";
+
+// Where an item was added from (shown in the want list)
+export const WANT_LIST_SOURCES = {
+  search: "Card search",
+  wizard: "Set wizard",
+  binder: "Missing cards",
+  progress: "Collection progress",
+  manual: "Manual",
+};
+
+/**
+ * Build the key of a want-list item. One item exists per card and variant.
+ * @param {string} cardId
+ * @param {string} variant
+ * @returns {string}
+ */
+export const getWantListItemId = (cardId, variant = DEFAULT_WANT_VARIANT) =>
+  `${getBaseCardId(cardId)}__${variant}`;
+
+/**
+ * Work out the printing of a card being added to a binder.
+ * Reverse holo copies from the set wizard carry the flag (or the -rh suffix).
+ * @param {object} card - Card (search result) or binder card entry
+ * @returns {string|null} - The variant key, or null when not specified
+ */
+export const getCardVariant = (card) => {
+  if (!card) return null;
+  if (card.variant) return card.variant;
+
+  const cardId = card.cardId || card.id || "";
+  if (isReverseHoloEntry(card) || /-rh(-\d+)?$/.test(cardId)) {
+    return "reverseHolofoil";
+  }
+  return null;
+};
+
+/**
+ * Check whether a printing satisfies the variant asked for.
+ * A card without a known variant counts for every non reverse holo printing.
+ * @param {string} wantedVariant
+ * @param {string|null} cardVariant - Result of getCardVariant
+ * @returns {boolean}
+ */
+export const matchesWantedVariant = (wantedVariant, cardVariant) => {
+  if (!wantedVariant || wantedVariant === DEFAULT_WANT_VARIANT) return true;
+  if (!cardVariant) return wantedVariant !== "reverseHolofoil";
+  return wantedVariant === cardVariant;
+};
+
+/**
+ * Create a want-list item from a card or a binder card entry.
+ * @param {object} card - Card (search result) or binder card entry
+ * @param {object} options - { variant, quantity, source, sourceBinderId }
+ * @returns {object|null}
+ */
+export const createWantListItem = (card, options = {}) => {
+  const cardData = card?.cardData || card;
+  const cardId = getBaseCardId(card?.cardId || card?.originalId || card?.id);
+  if (!cardId) return null;
+
+  const variant =
+    options.variant || getCardVariant(card) || DEFAULT_WANT_VARIANT;
+
+  return {
+    itemId: getWantListItemId(cardId, variant),
+    cardId,
+    variant,
+    quantity: Math.max(1, parseInt(options.quantity, 10) || 1),
+    acquired: 0,
+    // Keep enough card data to render the list without loading the catalog
+    cardData: {
+      id: cardId,
+      name: cardData?.name || null,
+      image: cardData?.image || cardData?.images?.large || null,
+      imageSmall: cardData?.imageSmall || cardData?.images?.small || null,
+      set: {
+        id: cardData?.set?.id || null,
+        name: cardData?.set?.name || null,
+        series: cardData?.set?.series || null,
+      },
+      number: cardData?.number || null,
+      rarity: cardData?.rarity || null,
+    },
+    source: options.source || "manual",
+    sourceBinderId: options.sourceBinderId || null,
+    addedAt: new Date().toISOString(),
+    completedAt: null,
+  };
+};
+
+/**
+ * Check whether a want-list item has been fully collected.
+ * @param {object} item
+ * @returns {boolean}
+ */
+export const isWantListItemComplete = (item) =>
+  (item?.acquired || 0) >= (item?.quantity || 1);
+
+/**
+ * Summarise a want list.
+ * @param {object} items - Map of itemId -> item
+ * @returns {object} - { totalItems, completedItems, wantedCards, acquiredCards }
+ */
+export const getWantListStats = (items = {}) => {
+  const values = Object.values(items);
+  return {
+    totalItems: values.length,
+    completedItems: values.filter(isWantListItemComplete).length,
+    wantedCards: values.reduce((sum, item) => sum + (item.quantity || 1), 0),
+    acquiredCards: values.reduce(
+      (sum, item) => sum + Math.min(item.acquired || 0, item.quantity || 1),
+      0
+    ),
+  };
+};
+
+/**
+ * Check off the want-list items satisfied by newly added cards.
+ * Each added card counts towards one open item of the same card, preferring
+ * an exact variant match over an "any printing" item.
+ * @param {object} items - Map of itemId -> item
+ * @param {Array} cards - Cards added to a binder
+ * @returns {object} - { items, checkedOff } where checkedOff lists updated items
+ */
+export const reconcileWantList = (items = {}, cards = []) => {
+  const updatedItems = { ...items };
+  const checkedOff = new Map();
+
+  cards.forEach((card) => {
+    const cardId = getBaseCardId(card?.cardId || card?.originalId || card?.id);
+    if (!cardId) return;
+    const cardVariant = getCardVariant(card);
+
+    const candidates = Object.values(updatedItems).filter(
+      (item) =>
+        item.cardId === cardId &&
+        !isWantListItemComplete(item) &&
+        matchesWantedVariant(item.variant, cardVariant)
+    );
+    if (candidates.length === 0) return;
+
+    const target =
+      candidates.find((item) => item.variant !== DEFAULT_WANT_VARIANT) ||
+      candidates[0];
+    const acquired = (target.acquired || 0) + 1;
+    const updatedItem = {
+      ...target,
+      acquired,
+      completedAt:
+        acquired >= (target.quantity || 1) ? new Date().toISOString() : null,
+    };
+
+    updatedItems[target.itemId] = updatedItem;
+    checkedOff.set(target.itemId, updatedItem);
+  });
+
+  return { items: updatedItems, checkedOff: Array.from(checkedOff.values()) };
+};
+
+/**
+ * Collect the printings owned across binders.
+ * Cards marked as missing in a binder do not count as owned.
+ * @param {Array} binders - The user's binders
+ * @returns {Map} - base card id -> owned variants (null when not specified)
+ */
+export const getOwnedVariants = (binders = []) => {
+  const owned = new Map();
+  binders.forEach((binder) => {
+    const missing = new Set(binder?.metadata?.missingInstances || []);
+    Object.values(binder?.cards || {}).forEach((entry) => {
+      if (!entry || missing.has(entry.instanceId)) return;
+      const cardId = getBaseCardId(entry.cardId);
+      if (!owned.has(cardId)) owned.set(cardId, []);
+      owned.get(cardId).push(getCardVariant(entry));
+    });
+  });
+  return owned;
+};
+
+/**
+ * Drop the cards that are already owned in any binder.
+ * Cards marked as missing in a binder do not count as owned.
+ * @param {Array} cards - Cards to check
+ * @param {Array} binders - The user's binders
+ * @returns {Array} - Cards not owned yet
+ */
+export const filterUnownedCards = (cards = [], binders = []) => {
+  const owned = getOwnedVariants(binders); // base card id -> remaining owned variants
+
+  return cards.filter((card) => {
+    const variants = owned.get(getBaseCardId(card?.originalId || card?.id));
+    if (!variants) return true;
+
+    // Each owned copy covers one wanted copy of a matching printing
+    const wantedVariant = getCardVariant(card) || "normal";
+    const index = variants.findIndex((variant) =>
+      wantedVariant === "reverseHolofoil"
+        ? variant === "reverseHolofoil"
+        : variant !== "reverseHolofoil"
+    );
+    if (index === -1) return true;
+    variants.splice(index, 1);
+    return false;
+  });
+};
@@ -0,0 +1,21 @@
+/**
+ * Binder PDF worker
+ * Lays out and writes a binder PDF off the main thread, so large binders
+ * don't freeze the tab while the export runs.
+ *
+ * Messages: { documentProps } -> { type: "progress", progress }* then
+ * { type: "done", blob } | { type: "error", error }
+ */
+
+import { renderBinderPdf } from "../components/binder/pdf/renderBinderPdf";
+
+self.onmessage = async ({ data: { documentProps } }) => {
+  try {
+    const blob = await renderBinderPdf(documentProps, (progress) =>
+      self.postMessage({ type: "progress", progress })
+    );
+    self.postMessage({ type: "done", blob });
+  } catch (error) {
+    self.postMessage({ type: "error", error: error.message });
+  }
+};
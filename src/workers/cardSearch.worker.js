@@ -0,0 +1,170 @@
+/**
+ * Card search worker
+ * Loads the search index and cards of a catalog language once and answers
+ * searches off the main thread, so typing in the search box stays smooth.
+ *
+ * Messages: { id, type: "search", payload } -> { id, result } | { id, error }
+ * The result is null when the language has no search index, so the caller
+ * can fall back to searching the catalog directly.
+ */
+
+import {
+  parseCardQuery,
+  matchesCardQuery,
+  matchesSearchFilters,
+  getTextTerms,
+  normalizeText,
+  sortCards,
+} from "../utils/cardQuery";
+import {
+  SEARCH_INDEX_VERSION,
+  createSearchIndexMatcher,
+} from "../utils/searchIndex";
+
+const BASE_URL = import.meta.env.BASE_URL || "/";
+
+// lang -> Promise<{ cards, cardIndexes, matcher } | null>
+const catalogs = new Map();
+
+const fetchJson = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+  return response.json();
+};
+
+// Every card of a language: all.json when generated, per-set files otherwise
+const loadCards = async (lang) => {
+  try {
+    return await fetchJson(`${BASE_URL}data/${lang}/cards/all.json`);
+  } catch {
+    const sets = await fetchJson(`${BASE_URL}data/${lang}/sets/sets.json`);
+    const setCards = await Promise.all(
+      sets.map((set) =>
+        fetchJson(`${BASE_URL}data/${lang}/cards/${set.id}.json`).catch(
+          () => []
+        )
+      )
+    );
+    return setCards.flat();
+  }
+};
+
+const loadCatalog = (lang) => {
+  if (!catalogs.has(lang)) {
+    const promise = (async () => {
+      let index;
+      try {
+        index = await fetchJson(`${BASE_URL}data/${lang}/search-index.json`);
+      } catch {
+        return null;
+      }
+      if (index.version !== SEARCH_INDEX_VERSION) return null;
+
+      const cards = await loadCards(lang);
+      // The index refers to cards by position in its own id list
+      const indexById = new Map(
+        index.ids.map((id, position) => [id, position])
+      );
+      return {
+        cards,
+        cardIndexes: cards.map((card) => indexById.get(card.id)),
+        matcher: createSearchIndexMatcher(index),
+      };
+    })();
+    // Retry on the next search if loading failed
+    promise.catch(() => catalogs.delete(lang));
+    catalogs.set(lang, promise);
+  }
+  return catalogs.get(lang);
+};
+
+const search = async ({
+  lang = "en",
+  query,
+  filters = {},
+  orderBy,
+  page,
+  pageSize,
+}) => {
+  const catalog = await loadCatalog(lang);
+  if (!catalog) return null;
+
+  const { cards, cardIndexes, matcher } = catalog;
+  const { ast } = parseCardQuery(query);
+
+  // Plain words are looked up in the index (typo tolerant, all text fields)
+  const termScores = new Map();
+  const getTermScores = (node) => {
+    if (!termScores.has(node)) {
+      termScores.set(node, matcher.scoreText(node.value));
+    }
+    return termScores.get(node);
+  };
+  const matchText = (card, node, position) => {
+    const scores = getTermScores(node);
+    if (scores?.has(cardIndexes[position])) return true;
+    // Part of a name ("zard"), stop words the index drops and cards newer
+    // than the index still match by name
+    return normalizeText(card.name || "").includes(normalizeText(node.value));
+  };
+
+  const matches = [];
+  cards.forEach((card, position) => {
+    if (
+      matchesSearchFilters(card, filters) &&
+      matchesCardQuery(card, ast, (_, node) => matchText(card, node, position))
+    ) {
+      matches.push(position);
+    }
+  });
+
+  let results;
+  const textTerms = getTextTerms(ast);
+  if (orderBy || textTerms.length === 0) {
+    results = sortCards(
+      matches.map((position) => cards[position]),
+      orderBy
+    );
+  } else {
+    // Relevance: word scores, plus a bonus when the name is what was typed
+    const phrase = normalizeText(textTerms.map((node) => node.value).join(" "));
+    const scored = matches.map((position) => {
+      const card = cards[position];
+      const cardIndex = cardIndexes[position];
+      let score = textTerms.reduce(
+        (total, node) => total + (getTermScores(node)?.get(cardIndex) || 0),
+        0
+      );
+      const name = normalizeText(card.name || "");
+      if (name === phrase) score += 25;
+      else if (name.startsWith(phrase)) score += 10;
+      return { card, score };
+    });
+    scored.sort(
+      (a, b) =>
+        b.score - a.score ||
+        (b.card.set?.releaseDate || "").localeCompare(
+          a.card.set?.releaseDate || ""
+        )
+    );
+    results = scored.map(({ card }) => card);
+  }
+
+  const startIdx = (page - 1) * pageSize;
+  return {
+    cards: results.slice(startIdx, startIdx + pageSize),
+    totalCount: results.length,
+    page,
+    pageSize,
+    hasMore: startIdx + pageSize < results.length,
+  };
+};
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  try {
+    if (type !== "search") throw new Error(`Unknown message type: ${type}`);
+    self.postMessage({ id, result: await search(payload) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -1,9 +1,36 @@
+import { readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
+// Lists the built JS and CSS files in the service worker's BUILD_FILES so
+// they are precached on install
+const precacheBuildFiles = () => ({
+  name: "precache-build-files",
+  apply: "build",
+  async writeBundle(options, bundle) {
+    const files = Object.keys(bundle)
+      .filter((fileName) => /\.(js|css)$/.test(fileName))
+      .map((fileName) => `/${fileName}`);
+    const workerPath = join(options.dir, "service-worker.js");
+    const worker = await readFile(workerPath, "utf8");
+    const placeholder = "const BUILD_FILES = [];";
+    if (!worker.includes(placeholder)) {
+      this.error("service-worker.js has no BUILD_FILES placeholder");
+    }
+    await writeFile(
+      workerPath,
+      worker.replace(
+        placeholder,
+        `const BUILD_FILES = ${JSON.stringify(files)};`
+      )
+    );
+  },
+});
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheBuildFiles()],
   optimizeDeps: {
     include: ["react-colorful"],
   },